@@ -0,0 +1,240 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "./ArbitratorRegistry.sol";
+import "./Roles.sol";
+
+/**
+ * @title Arbitrable
+ * @dev Dispute resolution shared by contracts that hold funds between a buyer and a
+ *      supplier. Disputes are keyed by the inheriting contract's own ID (order or escrow).
+ *
+ *      Raising a dispute opens an evidence period during which both parties submit
+ *      evidence (e.g. IPFS hashes of documents). Once it ends, the remaining funds are
+ *      split between the parties: by an ARBITRATOR_ROLE holder through `resolveDispute`,
+ *      or, if either party escalated the dispute, by the average of the votes of `quorum`
+ *      arbitrators registered in the ArbitratorRegistry. A panel that has not reached its
+ *      quorum by the voting deadline hands the dispute back to the ARBITRATOR_ROLE holders.
+ */
+abstract contract Arbitrable is Ownable, Roles, ReentrancyGuard, Initializable {
+
+    /// @notice Role settling disputes that were not escalated to the panel
+    bytes32 public constant ARBITRATOR_ROLE = keccak256("ARBITRATOR_ROLE");
+
+    /**
+     * @notice Arbitration state of a dispute
+     * @param evidenceDeadline End of the evidence period; the dispute can be settled from then on
+     * @param escalated True if the arbitrator panel, not an ARBITRATOR_ROLE holder, settles the dispute
+     * @param quorum Votes needed, fixed when the dispute is escalated
+     * @param voteCount Votes cast so far
+     * @param supplierPercentageTotal Sum of the supplier percentages voted
+     * @param resolved True once the funds have been split
+     * @param votingDeadline End of the panel's vote, fixed when the dispute is escalated;
+     *        an ARBITRATOR_ROLE holder settles the dispute after it
+     */
+    struct Arbitration {
+        uint256 evidenceDeadline;
+        bool escalated;
+        uint256 quorum;
+        uint256 voteCount;
+        uint256 supplierPercentageTotal;
+        bool resolved;
+        uint256 votingDeadline;
+    }
+
+    /**
+     * @notice A piece of evidence submitted by a party
+     * @param party Buyer or supplier who submitted it
+     * @param evidence Reference to the evidence (IPFS hash, URL...)
+     * @param submittedAt Submission time
+     */
+    struct Evidence {
+        address party;
+        string evidence;
+        uint256 submittedAt;
+    }
+
+    /// @notice Panel voting on escalated disputes
+    ArbitratorRegistry public arbitratorRegistry;
+
+    /// @notice Time both parties have to submit evidence after a dispute is raised (3 days initially)
+    uint256 public evidencePeriod;
+
+    /// @notice Maps dispute ID (order or escrow ID) to its arbitration state
+    mapping(uint256 => Arbitration) public arbitrations;
+
+    /// @notice Maps dispute ID and arbitrator to whether they voted
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+
+    /// @dev Evidence submitted for each dispute, in submission order
+    mapping(uint256 => Evidence[]) private _evidenceLog;
+
+    /// @notice Emitted when a party submits evidence
+    event EvidenceSubmitted(uint256 indexed disputeId, address indexed party, string evidence);
+
+    /// @notice Emitted when a party hands a dispute to the arbitrator panel
+    event DisputeEscalated(uint256 indexed disputeId, address indexed escalatedBy, uint256 quorum);
+
+    /// @notice Emitted when an arbitrator votes on an escalated dispute
+    event ArbitratorVoted(uint256 indexed disputeId, address indexed arbitrator, uint256 supplierPercentage);
+
+    /// @notice Emitted when the owner changes the evidence period
+    event EvidencePeriodUpdated(uint256 evidencePeriod);
+
+    /**
+     * @dev Called by the inheriting contract's initializer; the caller gets ARBITRATOR_ROLE
+     * @param _arbitratorRegistry Deployed ArbitratorRegistry
+     */
+    function __Arbitrable_init(address _arbitratorRegistry) internal onlyInitializing {
+        require(_arbitratorRegistry != address(0), "Invalid arbitrator registry");
+        arbitratorRegistry = ArbitratorRegistry(_arbitratorRegistry);
+        evidencePeriod = 3 days;
+        _grantRole(ARBITRATOR_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice Changes the evidence period of disputes raised from now on (owner only)
+     * @param _evidencePeriod Duration in seconds, at most 30 days
+     */
+    function setEvidencePeriod(uint256 _evidencePeriod) external onlyOwner {
+        require(_evidencePeriod <= 30 days, "Evidence period too long");
+        evidencePeriod = _evidencePeriod;
+        emit EvidencePeriodUpdated(_evidencePeriod);
+    }
+
+    /**
+     * @notice Submits evidence for an open dispute
+     * @dev Only the parties can submit, and only during the evidence period
+     * @param _disputeId ID of the disputed order or escrow
+     * @param _evidence Reference to the evidence (IPFS hash, URL...)
+     */
+    function submitEvidence(uint256 _disputeId, string calldata _evidence) external {
+        _requireOpenDispute(_disputeId);
+        require(_isParty(_disputeId, msg.sender), "Only the parties can submit evidence");
+        require(block.timestamp < arbitrations[_disputeId].evidenceDeadline, "Evidence period over");
+        require(bytes(_evidence).length > 0, "Evidence required");
+
+        _evidenceLog[_disputeId].push(Evidence({
+            party: msg.sender,
+            evidence: _evidence,
+            submittedAt: block.timestamp
+        }));
+        emit EvidenceSubmitted(_disputeId, msg.sender, _evidence);
+    }
+
+    /**
+     * @notice Hands a dispute to the arbitrator panel instead of the ARBITRATOR_ROLE holders
+     * @dev Either party can escalate until the dispute is resolved. The panel must have
+     *      `quorum` arbitrators who are not parties to the dispute, and gets the registry's
+     *      voting period after the evidence period to vote.
+     * @param _disputeId ID of the disputed order or escrow
+     */
+    function escalateDispute(uint256 _disputeId) external {
+        _requireOpenDispute(_disputeId);
+        require(_isParty(_disputeId, msg.sender), "Only the parties can escalate");
+        Arbitration storage arbitration = arbitrations[_disputeId];
+        require(!arbitration.escalated, "Already escalated");
+
+        (address buyer, address supplier) = _parties(_disputeId);
+        (uint256 votesNeeded, uint256 votingPeriod) = arbitratorRegistry.panelFor(buyer, supplier);
+
+        uint256 votingStart = block.timestamp > arbitration.evidenceDeadline
+            ? block.timestamp
+            : arbitration.evidenceDeadline;
+        arbitration.escalated = true;
+        arbitration.quorum = votesNeeded;
+        arbitration.votingDeadline = votingStart + votingPeriod;
+        emit DisputeEscalated(_disputeId, msg.sender, votesNeeded);
+    }
+
+    /**
+     * @notice Settles a dispute that was not escalated, or whose panel did not reach its
+     *         quorum by the voting deadline (ARBITRATOR_ROLE)
+     * @param _disputeId ID of the disputed order or escrow
+     * @param _supplierPercentage Share of the remaining funds paid to the supplier (0-100);
+     *        the rest is refunded to the buyer
+     */
+    function resolveDispute(uint256 _disputeId, uint256 _supplierPercentage)
+        external
+        onlyRole(ARBITRATOR_ROLE)
+        nonReentrant
+    {
+        _requireOpenDispute(_disputeId);
+        Arbitration storage arbitration = arbitrations[_disputeId];
+        // 0 unless the dispute was escalated
+        require(block.timestamp >= arbitration.votingDeadline, "Dispute escalated to arbitrators");
+        require(block.timestamp >= arbitration.evidenceDeadline, "Evidence period not over");
+        require(_supplierPercentage <= 100, "Invalid percentage");
+
+        arbitration.resolved = true;
+        _settleDispute(_disputeId, _supplierPercentage);
+    }
+
+    /**
+     * @notice Votes on an escalated dispute (registered arbitrators only)
+     * @dev Open from the end of the evidence period until the voting deadline. The vote
+     *      reaching the quorum settles the dispute with the average supplier percentage,
+     *      rounded down
+     * @param _disputeId ID of the disputed order or escrow
+     * @param _supplierPercentage Share of the remaining funds the arbitrator awards the supplier (0-100)
+     */
+    function castVote(uint256 _disputeId, uint256 _supplierPercentage) external nonReentrant {
+        _requireOpenDispute(_disputeId);
+        Arbitration storage arbitration = arbitrations[_disputeId];
+        require(arbitration.escalated, "Dispute not escalated");
+        require(arbitratorRegistry.isArbitrator(msg.sender), "Not an arbitrator");
+        require(!_isParty(_disputeId, msg.sender), "Parties cannot vote");
+        require(!hasVoted[_disputeId][msg.sender], "Already voted");
+        require(block.timestamp >= arbitration.evidenceDeadline, "Evidence period not over");
+        require(block.timestamp < arbitration.votingDeadline, "Voting period over");
+        require(_supplierPercentage <= 100, "Invalid percentage");
+
+        hasVoted[_disputeId][msg.sender] = true;
+        arbitration.voteCount++;
+        arbitration.supplierPercentageTotal += _supplierPercentage;
+        emit ArbitratorVoted(_disputeId, msg.sender, _supplierPercentage);
+
+        if (arbitration.voteCount == arbitration.quorum) {
+            arbitration.resolved = true;
+            _settleDispute(_disputeId, arbitration.supplierPercentageTotal / arbitration.quorum);
+        }
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Starts the evidence period; called by the inheriting contract when a dispute is raised
+     */
+    function _openArbitration(uint256 _disputeId) internal {
+        arbitrations[_disputeId].evidenceDeadline = block.timestamp + evidencePeriod;
+    }
+
+    function _requireOpenDispute(uint256 _disputeId) private view {
+        require(_isDisputed(_disputeId), "Not in dispute");
+        require(!arbitrations[_disputeId].resolved, "Dispute already resolved");
+    }
+
+    /// @dev True while the order or escrow is in its disputed state
+    function _isDisputed(uint256 _disputeId) internal view virtual returns (bool);
+
+    /// @dev True for the buyer and the supplier of the disputed order or escrow
+    function _isParty(uint256 _disputeId, address _account) internal view returns (bool) {
+        (address buyer, address supplier) = _parties(_disputeId);
+        return _account == buyer || _account == supplier;
+    }
+
+    /// @dev Buyer and supplier (or seller) of the disputed order or escrow
+    function _parties(uint256 _disputeId) internal view virtual returns (address buyer, address supplier);
+
+    /// @dev Pays `_supplierPercentage` of the remaining funds to the supplier and refunds the rest
+    function _settleDispute(uint256 _disputeId, uint256 _supplierPercentage) internal virtual;
+
+    // View functions
+
+    function getEvidence(uint256 _disputeId) external view returns (Evidence[] memory) {
+        return _evidenceLog[_disputeId];
+    }
+}
@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title ArbitratorRegistry
+ * @dev Panel of arbitrators shared by the contracts that hold disputed funds
+ *      (SupplyChainPayment, PaymentEscrow). An escalated dispute is settled by
+ *      the votes of `quorum` registered arbitrators, cast within `votingPeriod`.
+ */
+contract ArbitratorRegistry is Ownable {
+
+    /// @notice True if the address may vote on escalated disputes
+    mapping(address => bool) public isArbitrator;
+
+    /// @notice Votes needed to settle an escalated dispute
+    uint256 public quorum = 3;
+
+    /// @dev Registered arbitrators, in registration order
+    address[] private _arbitrators;
+
+    /// @notice Time the panel has to vote once the evidence period of an escalated dispute is over
+    uint256 public votingPeriod = 7 days;
+
+    /// @notice Emitted when an arbitrator joins the panel
+    event ArbitratorAdded(address indexed arbitrator);
+
+    /// @notice Emitted when an arbitrator leaves the panel
+    event ArbitratorRemoved(address indexed arbitrator);
+
+    /// @notice Emitted when the number of votes needed changes
+    event QuorumUpdated(uint256 quorum);
+
+    /// @notice Emitted when the time the panel has to vote changes
+    event VotingPeriodUpdated(uint256 votingPeriod);
+
+    constructor() Ownable(msg.sender) {}
+
+    /**
+     * @notice Registers an arbitrator (owner only)
+     * @param _arbitrator Account that will vote on escalated disputes
+     */
+    function addArbitrator(address _arbitrator) external onlyOwner {
+        require(_arbitrator != address(0), "Invalid arbitrator");
+        require(!isArbitrator[_arbitrator], "Already an arbitrator");
+
+        isArbitrator[_arbitrator] = true;
+        _arbitrators.push(_arbitrator);
+        emit ArbitratorAdded(_arbitrator);
+    }
+
+    /**
+     * @notice Removes an arbitrator (owner only)
+     * @dev Votes already cast on open disputes still count
+     * @param _arbitrator Registered arbitrator
+     */
+    function removeArbitrator(address _arbitrator) external onlyOwner {
+        require(isArbitrator[_arbitrator], "Not an arbitrator");
+
+        isArbitrator[_arbitrator] = false;
+        for (uint256 i = 0; i < _arbitrators.length; i++) {
+            if (_arbitrators[i] == _arbitrator) {
+                _arbitrators[i] = _arbitrators[_arbitrators.length - 1];
+                _arbitrators.pop();
+                break;
+            }
+        }
+        emit ArbitratorRemoved(_arbitrator);
+    }
+
+    /**
+     * @notice Sets the number of votes needed to settle an escalated dispute (owner only)
+     * @dev Disputes escalated earlier keep the quorum they were escalated with
+     * @param _quorum Votes needed, at least 1
+     */
+    function setQuorum(uint256 _quorum) external onlyOwner {
+        require(_quorum > 0, "Quorum must be > 0");
+        quorum = _quorum;
+        emit QuorumUpdated(_quorum);
+    }
+
+    /**
+     * @notice Sets the time the panel has to vote on an escalated dispute (owner only)
+     * @dev Disputes escalated earlier keep the voting deadline they were escalated with
+     * @param _votingPeriod Duration in seconds, between 1 and 30 days
+     */
+    function setVotingPeriod(uint256 _votingPeriod) external onlyOwner {
+        require(_votingPeriod >= 1 days && _votingPeriod <= 30 days, "Invalid voting period");
+        votingPeriod = _votingPeriod;
+        emit VotingPeriodUpdated(_votingPeriod);
+    }
+
+    function arbitratorCount() external view returns (uint256) {
+        return _arbitrators.length;
+    }
+
+    /**
+     * @notice Terms of a panel voting on a dispute between two parties
+     * @dev Reverts unless `quorum` arbitrators other than the parties, who cannot vote
+     *      on their own dispute, are registered
+     * @return votesNeeded Current quorum
+     * @return period Current voting period
+     */
+    function panelFor(address _buyer, address _supplier) external view returns (uint256 votesNeeded, uint256 period) {
+        uint256 eligible = _arbitrators.length;
+        if (isArbitrator[_buyer]) {
+            eligible--;
+        }
+        if (_supplier != _buyer && isArbitrator[_supplier]) {
+            eligible--;
+        }
+        require(eligible >= quorum, "Not enough arbitrators");
+        return (quorum, votingPeriod);
+    }
+
+    function getArbitrators() external view returns (address[] memory) {
+        return _arbitrators;
+    }
+}
@@ -2,12 +2,16 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Roles.sol";
 
 /**
  * @title CustomsCompliance
  * @dev Track customs clearance for international shipments
  */
-contract CustomsCompliance is Ownable {
+contract CustomsCompliance is Ownable, Roles {
+
+    /// @notice Role clearing declarations and flagging them for inspection
+    bytes32 public constant CUSTOMS_OFFICER_ROLE = keccak256("CUSTOMS_OFFICER_ROLE");
     
     struct CustomsDeclaration {
         uint256 shipmentId;
@@ -29,8 +33,10 @@ contract CustomsCompliance is Ownable {
     event CustomsCleared(uint256 indexed declarationId, uint256 clearanceDate);
     event InspectionRequired(uint256 indexed declarationId);
     
+    /// @dev The deployer gets CUSTOMS_OFFICER_ROLE
     constructor() Ownable(msg.sender) {
         _declarationIdCounter = 1;
+        _grantRole(CUSTOMS_OFFICER_ROLE, msg.sender);
     }
     
     function fileDeclaration(
@@ -60,7 +66,7 @@ contract CustomsCompliance is Ownable {
         return declarationId;
     }
     
-    function clearCustoms(uint256 _declarationId, string memory _officer) external onlyOwner {
+    function clearCustoms(uint256 _declarationId, string memory _officer) external onlyRole(CUSTOMS_OFFICER_ROLE) {
         require(_declarationId > 0 && _declarationId < _declarationIdCounter, "Invalid ID");
         
         declarations[_declarationId].isCleared = true;
@@ -70,7 +76,7 @@ contract CustomsCompliance is Ownable {
         emit CustomsCleared(_declarationId, block.timestamp);
     }
     
-    function flagForInspection(uint256 _declarationId) external onlyOwner {
+    function flagForInspection(uint256 _declarationId) external onlyRole(CUSTOMS_OFFICER_ROLE) {
         require(_declarationId > 0 && _declarationId < _declarationIdCounter, "Invalid ID");
         
         requiresInspection[_declarationId] = true;
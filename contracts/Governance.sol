@@ -0,0 +1,378 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/**
+ * @title Governance
+ * @dev M-of-N multisig with a timelock, meant to own the contracts and hold the
+ *      roles whose misuse would move funds or change terms: fee updates and
+ *      withdrawals (SupplyChainPayment) and outright escrow refunds (PaymentEscrow's
+ *      REFUNDER_ROLE).
+ *      Disputes are still settled by the arbitrators, who keep their role.
+ *
+ *      A signer proposes a call; once `threshold` signers approved it, it is
+ *      queued and can be executed by anyone after `delay`, within GRACE_PERIOD.
+ *      Until then the proposer can cancel it. The signers, threshold and delay
+ *      only change through proposals executed by this contract itself.
+ *
+ *      Fees withdrawn by Governance accrue here and leave through proposals too
+ *      (an ETH transfer is a proposal with a value and empty data).
+ */
+contract Governance is ReentrancyGuard {
+
+    enum ProposalState { Pending, Queued, Ready, Executed, Cancelled, Expired }
+
+    struct Proposal {
+        address proposer;
+        address target;
+        uint256 value;
+        bytes data;
+        string description;
+        uint256 approvals;      // Approvals of current signers, filled in by getProposal
+        uint256 eta;            // Earliest execution time, 0 until queued
+        bool executed;
+        bool cancelled;
+    }
+
+    /// @notice Shortest delay the signers can set
+    uint256 public constant MIN_DELAY = 1 hours;
+
+    /// @notice Longest delay the signers can set
+    uint256 public constant MAX_DELAY = 30 days;
+
+    /// @notice Time a ready proposal can still be executed before it expires
+    uint256 public constant GRACE_PERIOD = 14 days;
+
+    /// @notice True if the address may propose and approve
+    mapping(address => bool) public isSigner;
+
+    /// @notice Approvals needed to queue a proposal
+    uint256 public threshold;
+
+    /// @notice Seconds between queuing a proposal and executing it
+    uint256 public delay;
+
+    /// @dev Current signers, in the order they were added
+    address[] private _signers;
+
+    Proposal[] private _proposals;
+
+    /// @dev Times each account was made a signer; approvals only count for the current term
+    mapping(address => uint256) private _signerTerm;
+
+    /// @dev proposal id => signer => term of the signer's approval (0 = none)
+    mapping(uint256 => mapping(address => uint256)) private _approvalTerm;
+
+    /// @notice Emitted when a signer proposes a call
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        address indexed target,
+        uint256 value,
+        bytes data,
+        string description
+    );
+
+    /// @notice Emitted for each approval, the proposer's included
+    event ProposalApproved(uint256 indexed proposalId, address indexed signer, uint256 approvals);
+
+    /// @notice Emitted when a signer withdraws an approval before the proposal is queued
+    event ApprovalRevoked(uint256 indexed proposalId, address indexed signer, uint256 approvals);
+
+    /// @notice Emitted when a proposal reaches the threshold
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
+
+    /// @notice Emitted when a proposal's call is made
+    event ProposalExecuted(uint256 indexed proposalId, address indexed executor);
+
+    /// @notice Emitted when a proposal is withdrawn
+    event ProposalCancelled(uint256 indexed proposalId);
+
+    event SignerAdded(address indexed signer);
+    event SignerRemoved(address indexed signer);
+    event ThresholdUpdated(uint256 threshold);
+    event DelayUpdated(uint256 delay);
+
+    /// @notice Emitted when ETH is sent to Governance (e.g. withdrawn platform fees)
+    event Received(address indexed sender, uint256 amount);
+
+    modifier onlySigner() {
+        require(isSigner[msg.sender], "Not a signer");
+        _;
+    }
+
+    /// @dev Signer management goes through proposals, which Governance executes on itself
+    modifier onlyGovernance() {
+        require(msg.sender == address(this), "Only through a proposal");
+        _;
+    }
+
+    modifier proposalExists(uint256 _proposalId) {
+        require(_proposalId < _proposals.length, "Proposal does not exist");
+        _;
+    }
+
+    /**
+     * @param _initialSigners Accounts that propose and approve
+     * @param _threshold Approvals needed, 1 to the number of signers
+     * @param _delay Seconds between queuing and execution, MIN_DELAY to MAX_DELAY
+     */
+    constructor(address[] memory _initialSigners, uint256 _threshold, uint256 _delay) {
+        for (uint256 i = 0; i < _initialSigners.length; i++) {
+            _addSigner(_initialSigners[i]);
+        }
+        _setThreshold(_threshold);
+        _setDelay(_delay);
+    }
+
+    receive() external payable {
+        emit Received(msg.sender, msg.value);
+    }
+
+    /**
+     * @notice Proposes a call, approved by the proposer (signers only)
+     * @param _target Contract to call (Governance itself for signer management)
+     * @param _value ETH sent with the call, from Governance's balance
+     * @param _data Encoded call, empty for a plain ETH transfer
+     * @param _description What the call does and why, for the other signers
+     * @return proposalId Index of the proposal
+     */
+    function propose(
+        address _target,
+        uint256 _value,
+        bytes calldata _data,
+        string calldata _description
+    ) external onlySigner returns (uint256 proposalId) {
+        require(_target != address(0), "Invalid target");
+
+        proposalId = _proposals.length;
+        Proposal storage proposal = _proposals.push();
+        proposal.proposer = msg.sender;
+        proposal.target = _target;
+        proposal.value = _value;
+        proposal.data = _data;
+        proposal.description = _description;
+
+        emit ProposalCreated(proposalId, msg.sender, _target, _value, _data, _description);
+        _approve(proposalId);
+    }
+
+    /**
+     * @notice Approves a pending proposal (signers only)
+     * @dev The approval reaching the threshold queues the proposal
+     */
+    function approve(uint256 _proposalId) external onlySigner proposalExists(_proposalId) {
+        require(state(_proposalId) == ProposalState.Pending, "Proposal not pending");
+        require(!_hasApproved(_proposalId, msg.sender), "Already approved");
+
+        _approve(_proposalId);
+    }
+
+    /**
+     * @notice Withdraws the caller's approval of a proposal that is not queued yet
+     */
+    function revokeApproval(uint256 _proposalId) external proposalExists(_proposalId) {
+        require(state(_proposalId) == ProposalState.Pending, "Proposal not pending");
+        require(_hasApproved(_proposalId, msg.sender), "Not approved");
+
+        _approvalTerm[_proposalId][msg.sender] = 0;
+        emit ApprovalRevoked(_proposalId, msg.sender, _approvalCount(_proposalId));
+    }
+
+    /**
+     * @notice Queues a pending proposal that has enough approvals
+     * @dev Only needed after the threshold was lowered: approvals queue proposals themselves
+     */
+    function queue(uint256 _proposalId) external proposalExists(_proposalId) {
+        require(state(_proposalId) == ProposalState.Pending, "Proposal not pending");
+        require(_approvalCount(_proposalId) >= threshold, "Not enough approvals");
+
+        _queue(_proposalId);
+    }
+
+    /**
+     * @notice Makes a ready proposal's call
+     * @dev Anyone can execute once the delay is over; a failing call reverts with its own error
+     */
+    function execute(uint256 _proposalId) external nonReentrant proposalExists(_proposalId) {
+        ProposalState current = state(_proposalId);
+        require(current != ProposalState.Queued, "Timelock not expired");
+        require(current == ProposalState.Ready, "Proposal not ready");
+
+        Proposal storage proposal = _proposals[_proposalId];
+        proposal.executed = true;
+        if (proposal.data.length == 0) {
+            Address.sendValue(payable(proposal.target), proposal.value);
+        } else {
+            Address.functionCallWithValue(proposal.target, proposal.data, proposal.value);
+        }
+
+        emit ProposalExecuted(_proposalId, msg.sender);
+    }
+
+    /**
+     * @notice Withdraws a proposal that was not executed (proposer, or Governance through a proposal)
+     */
+    function cancel(uint256 _proposalId) external proposalExists(_proposalId) {
+        Proposal storage proposal = _proposals[_proposalId];
+        require(msg.sender == proposal.proposer || msg.sender == address(this), "Not the proposer");
+        ProposalState current = state(_proposalId);
+        require(
+            current == ProposalState.Pending || current == ProposalState.Queued || current == ProposalState.Ready,
+            "Proposal not open"
+        );
+
+        proposal.cancelled = true;
+        emit ProposalCancelled(_proposalId);
+    }
+
+    // Signer management (through proposals)
+
+    /**
+     * @notice Adds a signer
+     */
+    function addSigner(address _signer) external onlyGovernance {
+        _addSigner(_signer);
+    }
+
+    /**
+     * @notice Removes a signer
+     * @dev The signer's approvals of proposals that are not queued yet no longer count, not
+     *      even if the signer is added again; proposals queued earlier stay queued
+     */
+    function removeSigner(address _signer) external onlyGovernance {
+        require(isSigner[_signer], "Not a signer");
+        require(_signers.length > threshold, "Would fall below threshold");
+
+        isSigner[_signer] = false;
+        for (uint256 i = 0; i < _signers.length; i++) {
+            if (_signers[i] == _signer) {
+                _signers[i] = _signers[_signers.length - 1];
+                _signers.pop();
+                break;
+            }
+        }
+        emit SignerRemoved(_signer);
+    }
+
+    /**
+     * @notice Sets the approvals needed to queue a proposal
+     * @dev Proposals queued earlier stay queued
+     */
+    function setThreshold(uint256 _threshold) external onlyGovernance {
+        _setThreshold(_threshold);
+    }
+
+    /**
+     * @notice Sets the delay between queuing and execution
+     * @dev Proposals queued earlier keep their execution time
+     */
+    function setDelay(uint256 _delay) external onlyGovernance {
+        _setDelay(_delay);
+    }
+
+    // View functions
+
+    /**
+     * @notice Where a proposal stands: Pending (collecting approvals), Queued (timelocked),
+     *         Ready (executable), Executed, Cancelled or Expired (not executed within GRACE_PERIOD)
+     */
+    function state(uint256 _proposalId) public view proposalExists(_proposalId) returns (ProposalState) {
+        Proposal storage proposal = _proposals[_proposalId];
+        if (proposal.executed) {
+            return ProposalState.Executed;
+        }
+        if (proposal.cancelled) {
+            return ProposalState.Cancelled;
+        }
+        if (proposal.eta == 0) {
+            return ProposalState.Pending;
+        }
+        if (block.timestamp < proposal.eta) {
+            return ProposalState.Queued;
+        }
+        if (block.timestamp <= proposal.eta + GRACE_PERIOD) {
+            return ProposalState.Ready;
+        }
+        return ProposalState.Expired;
+    }
+
+    function getProposal(uint256 _proposalId)
+        external
+        view
+        proposalExists(_proposalId)
+        returns (Proposal memory proposal)
+    {
+        proposal = _proposals[_proposalId];
+        proposal.approvals = _approvalCount(_proposalId);
+    }
+
+    /// @notice True if the signer's approval of the proposal counts
+    function hasApproved(uint256 _proposalId, address _signer) external view returns (bool) {
+        return _hasApproved(_proposalId, _signer);
+    }
+
+    function proposalCount() external view returns (uint256) {
+        return _proposals.length;
+    }
+
+    function getSigners() external view returns (address[] memory) {
+        return _signers;
+    }
+
+    // Internal functions
+
+    function _approve(uint256 _proposalId) internal {
+        _approvalTerm[_proposalId][msg.sender] = _signerTerm[msg.sender];
+        uint256 approvals = _approvalCount(_proposalId);
+        emit ProposalApproved(_proposalId, msg.sender, approvals);
+
+        if (approvals >= threshold) {
+            _queue(_proposalId);
+        }
+    }
+
+    /// @dev Approvals of a proposal by current signers: those of removed signers no longer count
+    function _approvalCount(uint256 _proposalId) internal view returns (uint256 count) {
+        for (uint256 i = 0; i < _signers.length; i++) {
+            if (_hasApproved(_proposalId, _signers[i])) {
+                count++;
+            }
+        }
+    }
+
+    /// @dev Approvals given before a signer was removed and added again belong to an earlier term
+    function _hasApproved(uint256 _proposalId, address _signer) internal view returns (bool) {
+        return isSigner[_signer] && _approvalTerm[_proposalId][_signer] == _signerTerm[_signer];
+    }
+
+    function _queue(uint256 _proposalId) internal {
+        uint256 eta = block.timestamp + delay;
+        _proposals[_proposalId].eta = eta;
+        emit ProposalQueued(_proposalId, eta);
+    }
+
+    function _addSigner(address _signer) internal {
+        require(_signer != address(0), "Invalid signer");
+        require(!isSigner[_signer], "Already a signer");
+
+        isSigner[_signer] = true;
+        _signerTerm[_signer]++;
+        _signers.push(_signer);
+        emit SignerAdded(_signer);
+    }
+
+    function _setThreshold(uint256 _threshold) internal {
+        require(_threshold > 0 && _threshold <= _signers.length, "Invalid threshold");
+        threshold = _threshold;
+        emit ThresholdUpdated(_threshold);
+    }
+
+    function _setDelay(uint256 _delay) internal {
+        require(_delay >= MIN_DELAY && _delay <= MAX_DELAY, "Invalid delay");
+        delay = _delay;
+        emit DelayUpdated(_delay);
+    }
+}
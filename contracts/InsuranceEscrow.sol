@@ -2,13 +2,47 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./ShippingTracker.sol";
 
 /**
  * @title InsuranceEscrow
- * @dev Insurance and escrow for shipments
+ * @dev Parametric late-delivery and loss insurance for ShippingTracker shipments.
+ *
+ *      Policies pay out without a claims adjuster: once the tracker records the
+ *      shipment as delivered after its estimated arrival, the policy pays
+ *      `payoutPerPeriod` for every full `period` (e.g. an hour or a day) of delay;
+ *      a shipment marked lost pays the whole coverage. Payouts are capped at the
+ *      coverage and anyone can trigger them before the policy ends. The premium
+ *      grows with the coverage, the duration and how fast the schedule pays.
+ *
+ *      Only the buyer of the shipment's order can insure it, for an account other
+ *      than the shipper and the supplier, and only outcomes an authorized carrier
+ *      confirmed pay out: the supplier picks the shipper and the estimated arrival,
+ *      so their own reports must not trigger payouts.
+ *
+ *      Payouts come from a pool capitalized by underwriters, who receive shares
+ *      and earn the premiums. The pool stays solvent: a policy is only written if
+ *      the pool can pay its full coverage on top of every open policy, and capital
+ *      locked by open policies cannot be withdrawn.
  */
-contract InsuranceEscrow is Ownable {
-    
+contract InsuranceEscrow is Ownable, ReentrancyGuard {
+
+    /**
+     * @notice A parametric policy on one shipment
+     * @param shipmentId ShippingTracker shipment covered
+     * @param insured Account receiving the payout
+     * @param coverageAmount Maximum payout; locked in the pool while the policy is open
+     * @param premium Premium paid into the pool
+     * @param startDate Creation time
+     * @param endDate Last moment a payout can be triggered
+     * @param payoutPerPeriod Payout for every full period of delay
+     * @param period Length of a delay period in seconds (3600 for hourly, 86400 for daily)
+     * @param isActive True until the policy pays out or expires
+     * @param isClaimed True once paid
+     * @param payout Amount paid
+     * @param policyNumber Off-chain reference
+     */
     struct Insurance {
         uint256 shipmentId;
         address insured;
@@ -16,37 +50,170 @@ contract InsuranceEscrow is Ownable {
         uint256 premium;
         uint256 startDate;
         uint256 endDate;
+        uint256 payoutPerPeriod;
+        uint256 period;
         bool isActive;
         bool isClaimed;
+        uint256 payout;
         string policyNumber;
     }
-    
+
+    uint256 public constant MAX_POLICY_DURATION = 365 days;
+    uint256 public constant BASIS_POINTS = 10000;
+
+    /// @notice Tracker whose arrival times and statuses trigger payouts
+    ShippingTracker public shippingTracker;
+
+    /// @notice Premium: coverage * (baseRateBps + dailyRateBps * days started
+    ///         + delayRateBps / days of delay until the schedule pays the whole coverage) / 10000
+    uint256 public baseRateBps = 100;
+    uint256 public dailyRateBps = 10;
+    uint256 public delayRateBps = 500;
+
+    /// @notice Coverage of every open policy, which the pool must be able to pay
+    uint256 public lockedCoverage;
+
+    /// @notice Underwriter shares of the pool (the contract's whole balance)
+    uint256 public totalShares;
+    mapping(address => uint256) public shares;
+
     mapping(uint256 => Insurance) public policies;
     mapping(uint256 => uint256) public shipmentToPolicy;
     uint256 private _policyIdCounter;
-    
+
     event PolicyCreated(uint256 indexed policyId, uint256 shipmentId, uint256 coverageAmount);
-    event ClaimFiled(uint256 indexed policyId, address indexed claimant);
-    event ClaimApproved(uint256 indexed policyId, uint256 amount);
-    event ClaimRejected(uint256 indexed policyId, string reason);
-    
-    constructor() Ownable(msg.sender) {
+    event ClaimPaid(uint256 indexed policyId, address indexed insured, uint256 amount, bool lost, uint256 delay);
+    event PolicyExpired(uint256 indexed policyId);
+    event CapitalProvided(address indexed underwriter, uint256 amount, uint256 shares);
+    event CapitalWithdrawn(address indexed underwriter, uint256 amount, uint256 shares);
+    event PremiumRatesUpdated(uint256 baseRateBps, uint256 dailyRateBps, uint256 delayRateBps);
+
+    modifier policyExists(uint256 _policyId) {
+        require(_policyId > 0 && _policyId < _policyIdCounter, "Invalid policy");
+        _;
+    }
+
+    /**
+     * @param _shippingTracker ShippingTracker whose shipments are insured
+     */
+    constructor(address _shippingTracker) Ownable(msg.sender) {
+        require(_shippingTracker != address(0), "Invalid tracker");
+        shippingTracker = ShippingTracker(_shippingTracker);
         _policyIdCounter = 1;
     }
-    
+
+    // ========== Underwriting pool ==========
+
+    /**
+     * @notice Adds capital to the pool in exchange for shares
+     */
+    function provideCapital() external payable nonReentrant {
+        require(msg.value > 0, "Amount must be > 0");
+        uint256 assetsBefore = address(this).balance - msg.value;
+        require(totalShares == 0 || assetsBefore > 0, "Pool insolvent");
+
+        uint256 minted = totalShares == 0 ? msg.value : (msg.value * totalShares) / assetsBefore;
+        require(minted > 0, "Amount too small");
+        shares[msg.sender] += minted;
+        totalShares += minted;
+
+        emit CapitalProvided(msg.sender, msg.value, minted);
+    }
+
+    /**
+     * @notice Redeems shares for their part of the pool
+     * @dev Reverts if the rest of the pool could no longer pay every open policy
+     * @param _shares Shares to redeem
+     */
+    function withdrawCapital(uint256 _shares) external nonReentrant {
+        require(_shares > 0 && _shares <= shares[msg.sender], "Invalid shares");
+        uint256 amount = (_shares * address(this).balance) / totalShares;
+        require(address(this).balance - amount >= lockedCoverage, "Capital locked by open policies");
+
+        shares[msg.sender] -= _shares;
+        totalShares -= _shares;
+
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Transfer failed");
+
+        emit CapitalWithdrawn(msg.sender, amount, _shares);
+    }
+
+    /**
+     * @notice Pool capital not backing open policies
+     */
+    function freeCapital() public view returns (uint256) {
+        return address(this).balance - lockedCoverage;
+    }
+
+    /**
+     * @notice Updates the premium rates (owner only)
+     */
+    function setPremiumRates(uint256 _baseRateBps, uint256 _dailyRateBps, uint256 _delayRateBps) external onlyOwner {
+        require(
+            _baseRateBps <= BASIS_POINTS && _dailyRateBps <= BASIS_POINTS && _delayRateBps <= BASIS_POINTS,
+            "Rate too high"
+        );
+        baseRateBps = _baseRateBps;
+        dailyRateBps = _dailyRateBps;
+        delayRateBps = _delayRateBps;
+        emit PremiumRatesUpdated(_baseRateBps, _dailyRateBps, _delayRateBps);
+    }
+
+    // ========== Policies ==========
+
+    /**
+     * @notice Minimum premium for a coverage, duration and payout schedule
+     * @dev Every started day of the duration counts in full. A schedule paying the whole
+     *      coverage within a day of delay pays the full delayRateBps, one taking ten days a tenth.
+     * @param _payoutPerPeriod Payout for every full period of delay
+     * @param _period Delay period in seconds; at most MAX_POLICY_DURATION
+     */
+    function quotePremium(
+        uint256 _coverageAmount,
+        uint256 _duration,
+        uint256 _payoutPerPeriod,
+        uint256 _period
+    ) public view returns (uint256) {
+        require(_payoutPerPeriod > 0 && _period > 0 && _period <= MAX_POLICY_DURATION, "Invalid payout schedule");
+        uint256 daysCovered = (_duration + 1 days - 1) / 1 days;
+        uint256 periodsToCoverage = (_coverageAmount + _payoutPerPeriod - 1) / _payoutPerPeriod;
+        uint256 daysToCoverage = (periodsToCoverage * _period + 1 days - 1) / 1 days;
+        uint256 rateBps = baseRateBps + dailyRateBps * daysCovered + delayRateBps / daysToCoverage;
+        return (_coverageAmount * rateBps) / BASIS_POINTS;
+    }
+
+    /**
+     * @notice Insures a shipment that is still on its way (buyer of the shipment's order only)
+     * @dev msg.value is the premium; it must be at least quotePremium and is added to the pool
+     * @param _shipmentId ShippingTracker shipment; it must be in transit or delayed and due in the future
+     * @param _insured Account receiving the payout; neither the shipper nor the supplier
+     * @param _coverageAmount Maximum payout (paid in full if the shipment is lost)
+     * @param _duration Seconds during which payouts can be triggered
+     * @param _payoutPerPeriod Payout for every full period of delay
+     * @param _period Delay period in seconds; at most MAX_POLICY_DURATION
+     * @param _policyNumber Off-chain reference
+     * @return The new policy ID
+     */
     function createPolicy(
         uint256 _shipmentId,
         address _insured,
         uint256 _coverageAmount,
         uint256 _duration,
+        uint256 _payoutPerPeriod,
+        uint256 _period,
         string memory _policyNumber
     ) external payable returns (uint256) {
         require(_insured != address(0), "Invalid address");
         require(_coverageAmount > 0, "Invalid coverage");
-        require(msg.value > 0, "Premium required");
-        
+        require(_duration > 0 && _duration <= MAX_POLICY_DURATION, "Invalid duration");
+        require(shipmentToPolicy[_shipmentId] == 0, "Shipment already insured");
+        _checkInsurable(_shipmentId, _insured);
+        require(msg.value >= quotePremium(_coverageAmount, _duration, _payoutPerPeriod, _period), "Premium too low");
+        require(lockedCoverage + _coverageAmount <= address(this).balance, "Insufficient pool capital");
+
         uint256 policyId = _policyIdCounter++;
-        
+
         policies[policyId] = Insurance({
             shipmentId: _shipmentId,
             insured: _insured,
@@ -54,54 +221,114 @@ contract InsuranceEscrow is Ownable {
             premium: msg.value,
             startDate: block.timestamp,
             endDate: block.timestamp + _duration,
+            payoutPerPeriod: _payoutPerPeriod,
+            period: _period,
             isActive: true,
             isClaimed: false,
+            payout: 0,
             policyNumber: _policyNumber
         });
-        
+
         shipmentToPolicy[_shipmentId] = policyId;
-        
+        lockedCoverage += _coverageAmount;
+
         emit PolicyCreated(policyId, _shipmentId, _coverageAmount);
-        
+
         return policyId;
     }
-    
-    function fileClaim(uint256 _policyId) external {
-        require(_policyId > 0 && _policyId < _policyIdCounter, "Invalid policy");
+
+    /**
+     * @notice Payout the policy's shipment currently triggers
+     * @return amount Payout (0 if the shipment is on its way, arrived on time or its
+     *         outcome was not confirmed by an authorized carrier)
+     * @return lost True if the shipment was marked lost
+     * @return delay Seconds the delivery was late
+     */
+    function payoutDue(uint256 _policyId)
+        public
+        view
+        policyExists(_policyId)
+        returns (uint256 amount, bool lost, uint256 delay)
+    {
+        Insurance storage policy = policies[_policyId];
+        ShippingTracker.Shipment memory shipment = shippingTracker.getShipment(policy.shipmentId);
+
+        if (!shippingTracker.carrierConfirmed(policy.shipmentId)) {
+            return (0, false, 0);
+        }
+        if (shipment.status == ShippingTracker.ShipmentStatus.Lost) {
+            return (policy.coverageAmount, true, 0);
+        }
+        if (
+            shipment.status == ShippingTracker.ShipmentStatus.Delivered &&
+            shipment.actualArrival > shipment.estimatedArrival
+        ) {
+            delay = shipment.actualArrival - shipment.estimatedArrival;
+            amount = (delay / policy.period) * policy.payoutPerPeriod;
+            if (amount > policy.coverageAmount) {
+                amount = policy.coverageAmount;
+            }
+        }
+    }
+
+    /**
+     * @notice Pays the insured what the shipment's outcome triggers
+     * @dev Anyone can call it while the policy is open
+     */
+    function claimPayout(uint256 _policyId) external nonReentrant policyExists(_policyId) {
         Insurance storage policy = policies[_policyId];
-        require(policy.insured == msg.sender, "Not insured");
         require(policy.isActive, "Policy not active");
-        require(!policy.isClaimed, "Already claimed");
         require(block.timestamp <= policy.endDate, "Policy expired");
-        
-        emit ClaimFiled(_policyId, msg.sender);
+        (uint256 amount, bool lost, uint256 delay) = payoutDue(_policyId);
+        require(amount > 0, "No payout due");
+
+        policy.isActive = false;
+        policy.isClaimed = true;
+        policy.payout = amount;
+        lockedCoverage -= policy.coverageAmount;
+
+        (bool sent, ) = payable(policy.insured).call{value: amount}("");
+        require(sent, "Transfer failed");
+
+        emit ClaimPaid(_policyId, policy.insured, amount, lost, delay);
     }
-    
-    function approveClaim(uint256 _policyId, uint256 _amount) external onlyOwner {
-        require(_policyId > 0 && _policyId < _policyIdCounter, "Invalid policy");
+
+    /**
+     * @notice Closes a policy that ended without a payout, releasing its coverage
+     * @dev Anyone can call it after the end date
+     */
+    function expirePolicy(uint256 _policyId) external policyExists(_policyId) {
         Insurance storage policy = policies[_policyId];
         require(policy.isActive, "Policy not active");
-        require(!policy.isClaimed, "Already claimed");
-        require(_amount <= policy.coverageAmount, "Exceeds coverage");
-        
-        policy.isClaimed = true;
+        require(block.timestamp > policy.endDate, "Policy still running");
+
         policy.isActive = false;
-        
-        payable(policy.insured).transfer(_amount);
-        
-        emit ClaimApproved(_policyId, _amount);
-    }
-    
-    function rejectClaim(uint256 _policyId, string memory _reason) external onlyOwner {
-        require(_policyId > 0 && _policyId < _policyIdCounter, "Invalid policy");
-        
-        emit ClaimRejected(_policyId, _reason);
+        lockedCoverage -= policy.coverageAmount;
+
+        emit PolicyExpired(_policyId);
     }
-    
-    function getPolicy(uint256 _policyId) external view returns (Insurance memory) {
-        require(_policyId > 0 && _policyId < _policyIdCounter, "Invalid policy");
+
+    function getPolicy(uint256 _policyId) external view policyExists(_policyId) returns (Insurance memory) {
         return policies[_policyId];
     }
-    
-    receive() external payable {}
+
+    /**
+     * @dev Throws unless the shipment is on its way and due in the future, the caller is
+     *      the buyer of its order and the insured is neither its shipper nor the supplier
+     */
+    function _checkInsurable(uint256 _shipmentId, address _insured) private view {
+        ShippingTracker.Shipment memory shipment = shippingTracker.getShipment(_shipmentId);
+        require(
+            shipment.status == ShippingTracker.ShipmentStatus.InTransit ||
+                shipment.status == ShippingTracker.ShipmentStatus.Delayed,
+            "Shipment not in transit"
+        );
+        require(shipment.estimatedArrival > block.timestamp, "Shipment already due");
+
+        (, address buyer, address supplier, , , , , , ) = shippingTracker.paymentContract().getOrder(
+            shipment.orderId
+        );
+        require(msg.sender == buyer, "Only the order's buyer");
+        require(_insured != shipment.shipper && _insured != supplier, "Insured cannot be shipper or supplier");
+    }
 }
@@ -2,12 +2,16 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Roles.sol";
 
 /**
  * @title LogisticsProvider
  * @dev Registry and management for logistics providers
  */
-contract LogisticsProvider is Ownable {
+contract LogisticsProvider is Ownable, Roles {
+
+    /// @notice Role verifying and suspending providers
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
     
     /**
      * @notice Data structure for a registered logistics provider
@@ -54,8 +58,10 @@ contract LogisticsProvider is Ownable {
     /// @notice Emitted when a provider is suspended or removed
     event ProviderDeactivated(uint256 indexed providerId);
     
+    /// @dev The deployer gets VERIFIER_ROLE
     constructor() Ownable(msg.sender) {
         _providerIdCounter = 1;
+        _grantRole(VERIFIER_ROLE, msg.sender);
     }
     
     /**
@@ -96,10 +102,10 @@ contract LogisticsProvider is Ownable {
     }
     
     /**
-     * @notice Marks a provider as officially verified (Admin only)
+     * @notice Marks a provider as officially verified (Verifier only)
      * @param _providerId Unique identifier
      */
-    function verifyProvider(uint256 _providerId) external onlyOwner {
+    function verifyProvider(uint256 _providerId) external onlyRole(VERIFIER_ROLE) {
         require(_providerId > 0 && _providerId < _providerIdCounter, "Invalid ID");
         providers[_providerId].isVerified = true;
         emit ProviderVerified(_providerId);
@@ -139,10 +145,10 @@ contract LogisticsProvider is Ownable {
     }
     
     /**
-     * @notice Suspends a provider from the network (Admin only)
+     * @notice Suspends a provider from the network (Verifier only)
      * @param _providerId Unique identifier
      */
-    function deactivateProvider(uint256 _providerId) external onlyOwner {
+    function deactivateProvider(uint256 _providerId) external onlyRole(VERIFIER_ROLE) {
         require(_providerId > 0 && _providerId < _providerIdCounter, "Invalid ID");
         providers[_providerId].isActive = false;
         emit ProviderDeactivated(_providerId);
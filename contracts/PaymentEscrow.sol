@@ -4,12 +4,20 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./Arbitrable.sol";
+import "./Upgradeable.sol";
 
 /**
  * @title PaymentEscrow
- * @dev Escrow service for supply chain payments
+ * @dev Escrow service for supply chain payments. Disputed escrows are settled through
+ *      Arbitrable: after the evidence period the funds are split between buyer and
+ *      seller by an ARBITRATOR_ROLE holder or an arbitrator panel. Funded escrows are
+ *      refunded outright by REFUNDER_ROLE holders.
  */
-contract PaymentEscrow is Ownable, ReentrancyGuard {
+contract PaymentEscrow is Ownable, ReentrancyGuard, Upgradeable, Arbitrable {
+    
+    /// @notice Role refunding funded escrows to their buyer
+    bytes32 public constant REFUNDER_ROLE = keccak256("REFUNDER_ROLE");
     
     /// @notice Lifecycle stages of an escrow arrangement
     enum EscrowStatus { Created, Funded, Completed, Refunded, Disputed }
@@ -59,7 +67,31 @@ contract PaymentEscrow is Ownable, ReentrancyGuard {
     /// @notice Emitted when a dispute is formally raised by either party
     event EscrowDisputed(uint256 indexed escrowId);
     
-    constructor() Ownable(msg.sender) {
+    /// @notice Emitted when a disputed escrow is split between seller and buyer
+    event EscrowResolved(
+        uint256 indexed escrowId,
+        address indexed resolvedBy,
+        uint256 sellerPercentage,
+        uint256 sellerAmount,
+        uint256 refundAmount
+    );
+    
+    /**
+     * @param _arbitratorRegistry Deployed ArbitratorRegistry voting on escalated disputes
+     */
+    constructor(address _arbitratorRegistry) Ownable(msg.sender) {
+        initialize(_arbitratorRegistry);
+    }
+
+    /**
+     * @notice Sets up the contract behind a proxy; same parameters as the constructor
+     * @dev Run by the constructor for direct deployments, see Upgradeable. The caller
+     *      gets ARBITRATOR_ROLE and REFUNDER_ROLE.
+     */
+    function initialize(address _arbitratorRegistry) public initializer {
+        __Upgradeable_init();
+        __Arbitrable_init(_arbitratorRegistry);
+        _grantRole(REFUNDER_ROLE, msg.sender);
         _escrowIdCounter = 1;
     }
     
@@ -161,13 +193,13 @@ contract PaymentEscrow is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @notice Admin function to return funds to the buyer
-     * @dev Used in case of successful cancellation or dispute resolution
+     * @notice Returns the funds to the buyer (REFUNDER_ROLE)
+     * @dev Used in case of successful cancellation; disputed escrows are settled with resolveDispute
      * @param _escrowId The ID of the escrow to refund
      */
-    function refundBuyer(uint256 _escrowId) external onlyOwner {
+    function refundBuyer(uint256 _escrowId) external onlyRole(REFUNDER_ROLE) {
         Escrow storage escrow = escrows[_escrowId];
-        require(escrow.status == EscrowStatus.Funded || escrow.status == EscrowStatus.Disputed, "Invalid status");
+        require(escrow.status == EscrowStatus.Funded, "Invalid status");
         
         escrow.status = EscrowStatus.Refunded;
         
@@ -182,6 +214,7 @@ contract PaymentEscrow is Ownable, ReentrancyGuard {
     
     /**
      * @notice Allows a party to formally pause the escrow due to a disagreement
+     * @dev Opens the evidence period of the dispute
      * @param _escrowId The ID of the escrow to dispute
      */
     function raiseDispute(uint256 _escrowId) external {
@@ -190,6 +223,48 @@ contract PaymentEscrow is Ownable, ReentrancyGuard {
         require(escrow.status == EscrowStatus.Funded, "Invalid status");
         
         escrow.status = EscrowStatus.Disputed;
+        _openArbitration(_escrowId);
         emit EscrowDisputed(_escrowId);
     }
+    
+    /**
+     * @dev Pays `_sellerPercentage` of the escrow to the seller and refunds the rest.
+     *      Any seller share completes the escrow; a full refund marks it refunded.
+     */
+    function _settleDispute(uint256 _escrowId, uint256 _sellerPercentage) internal override {
+        Escrow storage escrow = escrows[_escrowId];
+        uint256 sellerAmount = (escrow.amount * _sellerPercentage) / 100;
+        uint256 refundAmount = escrow.amount - sellerAmount;
+        
+        escrow.status = _sellerPercentage > 0 ? EscrowStatus.Completed : EscrowStatus.Refunded;
+        
+        if (sellerAmount > 0) {
+            _payout(escrow.token, escrow.seller, sellerAmount);
+        }
+        if (refundAmount > 0) {
+            _payout(escrow.token, escrow.buyer, refundAmount);
+        }
+        
+        emit EscrowResolved(_escrowId, msg.sender, _sellerPercentage, sellerAmount, refundAmount);
+    }
+    
+    function _isDisputed(uint256 _escrowId) internal view override returns (bool) {
+        return escrows[_escrowId].status == EscrowStatus.Disputed;
+    }
+    
+    function _parties(uint256 _escrowId) internal view override returns (address, address) {
+        return (escrows[_escrowId].buyer, escrows[_escrowId].seller);
+    }
+    
+    /**
+     * @dev Sends ETH (`_token` == address(0)) or ERC20 tokens held by the escrow
+     */
+    function _payout(address _token, address _to, uint256 _amount) private {
+        if (_token == address(0)) {
+            (bool success, ) = payable(_to).call{value: _amount}("");
+            require(success, "Transfer failed");
+        } else {
+            require(IERC20(_token).transfer(_to, _amount), "Transfer failed");
+        }
+    }
 }
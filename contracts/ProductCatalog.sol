@@ -2,12 +2,13 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Upgradeable.sol";
 
 /**
  * @title ProductCatalog
  * @dev Product listing and inventory management system for suppliers
  */
-contract ProductCatalog is Ownable {
+contract ProductCatalog is Ownable, Upgradeable {
     
     struct Product {
         uint256 productId;
@@ -64,7 +65,17 @@ contract ProductCatalog is Ownable {
         uint256 timestamp
     );
 
-    constructor() Ownable(msg.sender) {}
+    constructor() Ownable(msg.sender) {
+        initialize();
+    }
+
+    /**
+     * @notice Sets up the contract behind a proxy
+     * @dev Run by the constructor for direct deployments, see Upgradeable
+     */
+    function initialize() public initializer {
+        __Upgradeable_init();
+    }
 
     /**
      * @dev Add a new product
@@ -2,12 +2,22 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Roles.sol";
+import "./Upgradeable.sol";
 
 /**
  * @title ReputationSystem
- * @dev Supplier reputation and rating system with reviews and badges
+ * @dev Supplier reputation and rating system with reviews and badges.
+ *      Reviews are limited to the buyer of an order that the order recorder
+ *      (SupplyChainPayment) reported as completed. Records are kept per recorder, as
+ *      a redeployed payment contract numbers its orders from 0 again; reviews are for
+ *      orders of the current recorder. Reviews are verified and badges awarded by
+ *      VERIFIER_ROLE holders.
  */
-contract ReputationSystem is Ownable {
+contract ReputationSystem is Ownable, Roles, Upgradeable {
+
+    /// @notice Role verifying reviews and awarding badges
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
     
     struct Review {
         uint256 reviewId;
@@ -20,6 +30,13 @@ contract ReputationSystem is Ownable {
         bool isVerified; // Verified if linked to completed order
     }
 
+    struct CompletedOrder {
+        address buyer;
+        address supplier;
+        uint256 completedAt;
+        bool reviewed;
+    }
+
     struct SupplierReputation {
         uint256 totalReviews;
         uint256 totalRating;
@@ -30,15 +47,22 @@ contract ReputationSystem is Ownable {
 
     // State variables
     uint256 public reviewCounter;
+    address public orderRecorder; // Contract allowed to report completed orders
     
     // Mappings
     mapping(uint256 => Review) public reviews;
     mapping(address => SupplierReputation) public reputations;
-    mapping(address => mapping(uint256 => bool)) public hasReviewed; // reviewer => orderId => bool
+    // Keyed by order ID alone, which collides across recorders; superseded by
+    // recordedOrders and only kept for the storage layout of upgraded proxies
+    mapping(address => mapping(uint256 => bool)) private hasReviewed;
+    mapping(uint256 => CompletedOrder) private completedOrders;
     
     // Badge definitions
     string[] public availableBadges;
 
+    // recorder => orderId => completed order
+    mapping(address => mapping(uint256 => CompletedOrder)) public recordedOrders;
+
     // Events
     event ReviewSubmitted(
         uint256 indexed reviewId,
@@ -65,7 +89,26 @@ contract ReputationSystem is Ownable {
         uint256 totalReviews
     );
 
+    event OrderRecorderUpdated(address indexed recorder);
+
+    event OrderCompletionRecorded(
+        uint256 indexed orderId,
+        address indexed buyer,
+        address indexed supplier
+    );
+
     constructor() Ownable(msg.sender) {
+        initialize();
+    }
+
+    /**
+     * @dev Sets up the contract behind a proxy; run by the constructor for direct deployments.
+     *      The caller gets VERIFIER_ROLE.
+     */
+    function initialize() public initializer {
+        __Upgradeable_init();
+        _grantRole(VERIFIER_ROLE, msg.sender);
+
         // Initialize default badges
         availableBadges.push("Verified Supplier");
         availableBadges.push("Top Rated");
@@ -75,7 +118,32 @@ contract ReputationSystem is Ownable {
     }
 
     /**
-     * @dev Submit a review for a supplier
+     * @dev Set the contract allowed to report completed orders (owner only)
+     */
+    function setOrderRecorder(address _recorder) external onlyOwner {
+        require(_recorder != address(0), "Invalid recorder");
+        orderRecorder = _recorder;
+
+        emit OrderRecorderUpdated(_recorder);
+    }
+
+    /**
+     * @dev Record a completed order so its buyer can review the supplier (order recorder only)
+     */
+    function recordCompletedOrder(uint256 _orderId, address _buyer, address _supplier) external {
+        require(msg.sender == orderRecorder, "Only order recorder");
+        require(recordedOrders[msg.sender][_orderId].buyer == address(0), "Order already recorded");
+
+        CompletedOrder storage order = recordedOrders[msg.sender][_orderId];
+        order.buyer = _buyer;
+        order.supplier = _supplier;
+        order.completedAt = block.timestamp;
+
+        emit OrderCompletionRecorded(_orderId, _buyer, _supplier);
+    }
+
+    /**
+     * @dev Submit a review for a supplier (buyer of a completed order only)
      */
     function submitReview(
         address _supplier,
@@ -86,7 +154,12 @@ contract ReputationSystem is Ownable {
         require(_supplier != address(0), "Invalid supplier");
         require(_supplier != msg.sender, "Cannot review yourself");
         require(_rating >= 1 && _rating <= 5, "Rating must be 1-5");
-        require(!hasReviewed[msg.sender][_orderId], "Already reviewed this order");
+
+        CompletedOrder storage order = recordedOrders[orderRecorder][_orderId];
+        require(order.buyer != address(0), "Order not completed");
+        require(order.buyer == msg.sender, "Only the buyer can review");
+        require(!order.reviewed, "Already reviewed this order");
+        require(order.supplier == _supplier, "Supplier did not fulfil this order");
 
         uint256 reviewId = reviewCounter++;
         
@@ -100,7 +173,7 @@ contract ReputationSystem is Ownable {
         newReview.timestamp = block.timestamp;
         newReview.isVerified = false;
 
-        hasReviewed[msg.sender][_orderId] = true;
+        order.reviewed = true;
         
         // Update supplier reputation
         _updateReputation(_supplier, reviewId, _rating);
@@ -111,9 +184,9 @@ contract ReputationSystem is Ownable {
     }
 
     /**
-     * @dev Verify a review (owner only)
+     * @dev Verify a review (VERIFIER_ROLE)
      */
-    function verifyReview(uint256 _reviewId) external onlyOwner {
+    function verifyReview(uint256 _reviewId) external onlyRole(VERIFIER_ROLE) {
         require(_reviewId < reviewCounter, "Review does not exist");
         require(!reviews[_reviewId].isVerified, "Already verified");
 
@@ -123,9 +196,9 @@ contract ReputationSystem is Ownable {
     }
 
     /**
-     * @dev Award badge to supplier (owner only)
+     * @dev Award badge to supplier (VERIFIER_ROLE)
      */
-    function awardBadge(address _supplier, string memory _badge) external onlyOwner {
+    function awardBadge(address _supplier, string memory _badge) external onlyRole(VERIFIER_ROLE) {
         require(_supplier != address(0), "Invalid supplier");
         
         // Check if badge exists
@@ -223,10 +296,11 @@ contract ReputationSystem is Ownable {
     }
 
     /**
-     * @dev Check if user has reviewed an order
+     * @dev Check if user has reviewed an order of the current recorder
      */
     function hasUserReviewedOrder(address _user, uint256 _orderId) external view returns (bool) {
-        return hasReviewed[_user][_orderId];
+        CompletedOrder storage order = recordedOrders[orderRecorder][_orderId];
+        return order.buyer == _user && order.reviewed;
     }
 
     /**
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title Roles
+ * @dev Named roles for the privileged operations of a contract (verifying suppliers,
+ *      settling disputes, clearing customs...), so they can be handed to different
+ *      accounts instead of all being done by the owner. The owner grants and revokes
+ *      roles and keeps the configuration functions; holders can renounce their roles.
+ *
+ *      Roles are `keccak256` hashes of their names, declared as constants by each
+ *      contract (e.g. `VERIFIER_ROLE`). Events and the unauthorized-account error match
+ *      OpenZeppelin's AccessControl, so the usual tooling can follow role changes.
+ *
+ *      Membership lives in ERC-7201 namespaced storage, so adding roles to a contract
+ *      already deployed behind a proxy leaves its storage layout unchanged.
+ */
+abstract contract Roles is Ownable {
+
+    /// @custom:storage-location erc7201:supplychain.storage.Roles
+    struct RolesStorage {
+        mapping(bytes32 => mapping(address => bool)) members;
+    }
+
+    /// @dev keccak256(abi.encode(uint256(keccak256("supplychain.storage.Roles")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant ROLES_STORAGE = 0x14d8dcf4f9a28ed5471282359f181914e2fb6ef775e8793608f17215e80a6200;
+
+    /// @notice Emitted when `account` is granted `role`
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+
+    /// @notice Emitted when `account` loses `role`, revoked by the owner or renounced
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+
+    /// @notice Thrown when the caller lacks the role an operation needs
+    error AccessControlUnauthorizedAccount(address account, bytes32 neededRole);
+
+    /// @dev Throws unless the caller holds `role`
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
+        _;
+    }
+
+    /**
+     * @notice Whether `account` holds `role`
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return _rolesStorage().members[role][account];
+    }
+
+    /**
+     * @notice Grants `role` to `account` (owner only)
+     */
+    function grantRole(bytes32 role, address account) external onlyOwner {
+        _grantRole(role, account);
+    }
+
+    /**
+     * @notice Revokes `role` from `account` (owner only)
+     */
+    function revokeRole(bytes32 role, address account) external onlyOwner {
+        _revokeRole(role, account);
+    }
+
+    /**
+     * @notice Gives up one of the caller's roles
+     */
+    function renounceRole(bytes32 role) external {
+        _revokeRole(role, msg.sender);
+    }
+
+    // Internal functions
+
+    function _checkRole(bytes32 role) internal view {
+        if (!hasRole(role, msg.sender)) {
+            revert AccessControlUnauthorizedAccount(msg.sender, role);
+        }
+    }
+
+    function _grantRole(bytes32 role, address account) internal {
+        RolesStorage storage $ = _rolesStorage();
+        if (!$.members[role][account]) {
+            $.members[role][account] = true;
+            emit RoleGranted(role, account, msg.sender);
+        }
+    }
+
+    function _revokeRole(bytes32 role, address account) internal {
+        RolesStorage storage $ = _rolesStorage();
+        if ($.members[role][account]) {
+            $.members[role][account] = false;
+            emit RoleRevoked(role, account, msg.sender);
+        }
+    }
+
+    function _rolesStorage() private pure returns (RolesStorage storage $) {
+        assembly {
+            $.slot := ROLES_STORAGE
+        }
+    }
+}
@@ -2,39 +2,138 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./SupplyChainPayment.sol";
 
 /**
  * @title ShippingTracker
- * @dev Track shipments in the supply chain
+ * @dev Track shipments in the supply chain. Every shipment is bound to a milestone of a
+ *      SupplyChainPayment order: delivering it completes the milestone, and once the
+ *      buyer's grace period is over without approval or dispute anyone can release its
+ *      payment (if the owner enabled auto-approval).
+ *
+ *      Status changes follow a fixed state machine and can only be made by the shipment's
+ *      shipper or a carrier authorized by the owner:
+ *
+ *          InTransit <-> Delayed
+ *              |            |
+ *              +-> Delivered / Lost (final)
+ *
+ *      The shipper is chosen by the supplier, so only final statuses recorded by an
+ *      authorized carrier count as confirmed (`carrierConfirmed`), e.g. for insurance.
  */
 contract ShippingTracker is Ownable {
-    
+
+    /// @notice Lifecycle of a shipment
+    enum ShipmentStatus { InTransit, Delayed, Delivered, Lost }
+
+    /**
+     * @notice A shipment of the goods of one order milestone
+     * @param orderId SupplyChainPayment order the goods belong to
+     * @param milestoneIndex Milestone the delivery fulfils
+     * @param shipper Account responsible for the shipment
+     * @param origin Sending party (e.g. warehouse)
+     * @param destination Receiving party
+     * @param departureTime Creation time
+     * @param estimatedArrival Expected arrival time
+     * @param actualArrival Delivery time, 0 until delivered
+     * @param status Current state
+     * @param trackingNumber Carrier tracking number
+     */
     struct Shipment {
         uint256 orderId;
+        uint256 milestoneIndex;
         address shipper;
         address origin;
         address destination;
         uint256 departureTime;
         uint256 estimatedArrival;
         uint256 actualArrival;
-        string status; // "pending", "in_transit", "delivered", "delayed"
+        ShipmentStatus status;
         string trackingNumber;
     }
-    
+
+    /// @notice Payment contract whose milestones shipments are bound to
+    SupplyChainPayment public paymentContract;
+
+    /// @notice Time the buyer has after delivery to approve or dispute before anyone
+    ///         can auto-approve the milestone; 0 disables auto-approval
+    uint256 public autoApprovalPeriod;
+
+    /// @notice Carriers allowed to update the status of any shipment
+    mapping(address => bool) public authorizedCarriers;
+
+    /// @notice True once an authorized carrier recorded the shipment's final status
+    ///         (Delivered or Lost); InsuranceEscrow only pays on confirmed outcomes
+    mapping(uint256 => bool) public carrierConfirmed;
+
     mapping(uint256 => Shipment) public shipments;
     mapping(string => uint256) public trackingToShipmentId;
     uint256 private _shipmentIdCounter;
-    
-    event ShipmentCreated(uint256 indexed shipmentId, uint256 indexed orderId, string trackingNumber);
-    event ShipmentStatusUpdated(uint256 indexed shipmentId, string status);
+
+    event ShipmentCreated(
+        uint256 indexed shipmentId,
+        uint256 indexed orderId,
+        uint256 milestoneIndex,
+        string trackingNumber
+    );
+    event ShipmentStatusUpdated(uint256 indexed shipmentId, ShipmentStatus status);
     event ShipmentDelivered(uint256 indexed shipmentId, uint256 deliveryTime);
-    
-    constructor() Ownable(msg.sender) {
+    event DeliveryAutoApproved(uint256 indexed shipmentId, uint256 indexed orderId, uint256 milestoneIndex);
+    event CarrierAuthorizationUpdated(address indexed carrier, bool authorized);
+    event AutoApprovalPeriodUpdated(uint256 period);
+
+    /**
+     * @dev Throws unless the caller is the shipment's shipper or an authorized carrier
+     */
+    modifier onlyCarrier(uint256 _shipmentId) {
+        require(_shipmentId > 0 && _shipmentId < _shipmentIdCounter, "Invalid shipment ID");
+        require(
+            msg.sender == shipments[_shipmentId].shipper || authorizedCarriers[msg.sender],
+            "Only shipper or authorized carrier"
+        );
+        _;
+    }
+
+    /**
+     * @param _paymentContract SupplyChainPayment whose milestones shipments complete; it must
+     *        trust this tracker (SupplyChainPayment.setShippingTracker)
+     */
+    constructor(address _paymentContract) Ownable(msg.sender) {
+        require(_paymentContract != address(0), "Invalid payment contract");
+        paymentContract = SupplyChainPayment(_paymentContract);
         _shipmentIdCounter = 1;
     }
-    
+
+    /**
+     * @notice Allows or revokes a carrier account (owner only)
+     * @param _carrier Carrier account, e.g. a carrier's feed
+     * @param _authorized True to let it update every shipment
+     */
+    function setCarrier(address _carrier, bool _authorized) external onlyOwner {
+        require(_carrier != address(0), "Invalid carrier");
+        authorizedCarriers[_carrier] = _authorized;
+        emit CarrierAuthorizationUpdated(_carrier, _authorized);
+    }
+
+    /**
+     * @notice Sets the buyer's grace period after delivery (owner only)
+     * @param _period Seconds after delivery before auto-approval; 0 disables it
+     */
+    function setAutoApprovalPeriod(uint256 _period) external onlyOwner {
+        autoApprovalPeriod = _period;
+        emit AutoApprovalPeriodUpdated(_period);
+    }
+
+    /**
+     * @notice Ships the goods of an order milestone
+     * @dev Only the order's supplier can bind a shipment to the milestones of an order in progress
+     * @param _orderId SupplyChainPayment order ID
+     * @param _milestoneIndex Milestone the delivery fulfils; it must not be completed yet
+     * @return The new shipment ID
+     */
     function createShipment(
         uint256 _orderId,
+        uint256 _milestoneIndex,
         address _shipper,
         address _origin,
         address _destination,
@@ -43,44 +142,110 @@ contract ShippingTracker is Ownable {
     ) external returns (uint256) {
         require(_shipper != address(0), "Invalid shipper");
         require(trackingToShipmentId[_trackingNumber] == 0, "Tracking number exists");
-        
+        require(_orderId < paymentContract.orderCounter(), "Order does not exist");
+        (, , address supplier, , , , , SupplyChainPayment.OrderStatus status, ) = paymentContract.getOrder(_orderId);
+        require(msg.sender == supplier, "Only the order's supplier");
+        require(status == SupplyChainPayment.OrderStatus.InProgress, "Order not in progress");
+        require(_milestoneIndex < paymentContract.getMilestoneCount(_orderId), "Invalid milestone index");
+        require(!paymentContract.getMilestone(_orderId, _milestoneIndex).isCompleted, "Milestone already completed");
+
         uint256 shipmentId = _shipmentIdCounter++;
-        
+
         shipments[shipmentId] = Shipment({
             orderId: _orderId,
+            milestoneIndex: _milestoneIndex,
             shipper: _shipper,
             origin: _origin,
             destination: _destination,
             departureTime: block.timestamp,
             estimatedArrival: _estimatedArrival,
             actualArrival: 0,
-            status: "in_transit",
+            status: ShipmentStatus.InTransit,
             trackingNumber: _trackingNumber
         });
-        
+
         trackingToShipmentId[_trackingNumber] = shipmentId;
-        
-        emit ShipmentCreated(shipmentId, _orderId, _trackingNumber);
-        
+
+        emit ShipmentCreated(shipmentId, _orderId, _milestoneIndex, _trackingNumber);
+
         return shipmentId;
     }
-    
-    function updateStatus(uint256 _shipmentId, string memory _status) external {
-        require(_shipmentId > 0 && _shipmentId < _shipmentIdCounter, "Invalid shipment ID");
-        shipments[_shipmentId].status = _status;
+
+    /**
+     * @notice Moves a shipment to InTransit, Delayed or Lost
+     * @dev Delivery goes through markDelivered
+     */
+    function updateStatus(uint256 _shipmentId, ShipmentStatus _status) external onlyCarrier(_shipmentId) {
+        require(_status != ShipmentStatus.Delivered, "Use markDelivered");
+        Shipment storage shipment = shipments[_shipmentId];
+        require(_canTransition(shipment.status, _status), "Invalid status transition");
+
+        shipment.status = _status;
+        if (_status == ShipmentStatus.Lost) {
+            carrierConfirmed[_shipmentId] = authorizedCarriers[msg.sender];
+        }
         emit ShipmentStatusUpdated(_shipmentId, _status);
     }
-    
-    function markDelivered(uint256 _shipmentId) external {
-        require(_shipmentId > 0 && _shipmentId < _shipmentIdCounter, "Invalid shipment ID");
-        shipments[_shipmentId].status = "delivered";
-        shipments[_shipmentId].actualArrival = block.timestamp;
+
+    /**
+     * @notice Records the delivery and completes the bound milestone
+     * @dev Only while the order is in progress, so a delivery never counts before the buyer
+     *      started the order. The milestone is left alone if the supplier already completed it.
+     */
+    function markDelivered(uint256 _shipmentId) external onlyCarrier(_shipmentId) {
+        Shipment storage shipment = shipments[_shipmentId];
+        require(_canTransition(shipment.status, ShipmentStatus.Delivered), "Invalid status transition");
+        (, , , , , , , SupplyChainPayment.OrderStatus status, ) = paymentContract.getOrder(shipment.orderId);
+        require(status == SupplyChainPayment.OrderStatus.InProgress, "Order not in progress");
+
+        shipment.status = ShipmentStatus.Delivered;
+        shipment.actualArrival = block.timestamp;
+        carrierConfirmed[_shipmentId] = authorizedCarriers[msg.sender];
         emit ShipmentDelivered(_shipmentId, block.timestamp);
+
+        paymentContract.confirmDelivery(shipment.orderId, shipment.milestoneIndex);
     }
-    
+
+    /**
+     * @notice Releases the payment of a delivered milestone the buyer neither approved
+     *         nor disputed during the grace period
+     * @dev Anyone can call it; reverts if auto-approval is disabled. The grace period runs from
+     *      the later of the delivery and the milestone's completion.
+     */
+    function autoApproveDelivery(uint256 _shipmentId) external {
+        require(_shipmentId > 0 && _shipmentId < _shipmentIdCounter, "Invalid shipment ID");
+        require(autoApprovalPeriod > 0, "Auto-approval disabled");
+        Shipment storage shipment = shipments[_shipmentId];
+        require(shipment.status == ShipmentStatus.Delivered, "Shipment not delivered");
+        uint256 completionDate = paymentContract.getMilestone(shipment.orderId, shipment.milestoneIndex).completionDate;
+        uint256 deliveredAt = completionDate > shipment.actualArrival ? completionDate : shipment.actualArrival;
+        require(block.timestamp >= deliveredAt + autoApprovalPeriod, "Grace period not over");
+
+        emit DeliveryAutoApproved(_shipmentId, shipment.orderId, shipment.milestoneIndex);
+        paymentContract.approveDeliveredMilestone(shipment.orderId, shipment.milestoneIndex);
+    }
+
+    function getShipment(uint256 _shipmentId) external view returns (Shipment memory) {
+        require(_shipmentId > 0 && _shipmentId < _shipmentIdCounter, "Invalid shipment ID");
+        return shipments[_shipmentId];
+    }
+
     function getShipmentByTracking(string memory _trackingNumber) external view returns (Shipment memory) {
         uint256 shipmentId = trackingToShipmentId[_trackingNumber];
         require(shipmentId > 0, "Shipment not found");
         return shipments[shipmentId];
     }
+
+    /**
+     * @dev Allowed moves: InTransit <-> Delayed, and either of them to Delivered or Lost
+     */
+    function _canTransition(ShipmentStatus _from, ShipmentStatus _to) private pure returns (bool) {
+        if (_from == ShipmentStatus.InTransit) {
+            return _to != ShipmentStatus.InTransit;
+        }
+        if (_from == ShipmentStatus.Delayed) {
+            return _to != ShipmentStatus.Delayed;
+        }
+        return false;
+    }
 }
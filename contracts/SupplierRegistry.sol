@@ -2,12 +2,18 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Roles.sol";
+import "./Upgradeable.sol";
 
 /**
  * @title SupplierRegistry
- * @dev Enhanced supplier registration and profile management system
+ * @dev Enhanced supplier registration and profile management system.
+ *      Suppliers are verified and deactivated by VERIFIER_ROLE holders.
  */
-contract SupplierRegistry is Ownable {
+contract SupplierRegistry is Ownable, Roles, Upgradeable {
+
+    /// @notice Role verifying and deactivating suppliers
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
     
     /**
      * @notice Comprehensive profile for a registered supplier
@@ -18,7 +24,7 @@ contract SupplierRegistry is Ownable {
      * @param documentHash IPFS link to legal/business verification files
      * @param categories High-level industry groupings (e.g., Raw Materials, Logistics)
      * @param tags Specific search keywords or labels
-     * @param isVerified True if owner has audited the documents
+     * @param isVerified True if a verifier has audited the documents
      * @param isActive True if the supplier is currently operational
      * @param registrationDate UNIX timestamp of first registration
      * @param lastUpdated UNIX timestamp of most recent profile modification
@@ -88,7 +94,19 @@ contract SupplierRegistry is Ownable {
         uint256 timestamp
     );
 
-    constructor() Ownable(msg.sender) {}
+    constructor() Ownable(msg.sender) {
+        initialize();
+    }
+
+    /**
+     * @notice Sets up the contract behind a proxy
+     * @dev Run by the constructor for direct deployments, see Upgradeable. The caller
+     *      gets VERIFIER_ROLE.
+     */
+    function initialize() public initializer {
+        __Upgradeable_init();
+        _grantRole(VERIFIER_ROLE, msg.sender);
+    }
 
     /**
      * @dev Register as a supplier
@@ -199,13 +217,13 @@ contract SupplierRegistry is Ownable {
     }
 
     /**
-     * @dev Verify supplier (owner only)
+     * @dev Verify supplier (VERIFIER_ROLE)
      */
     /**
-     * @notice Marks a profile as verified after off-chain audit (Admin only)
+     * @notice Marks a profile as verified after off-chain audit (Verifier only)
      * @param _supplier Address to verify
      */
-    function verifySupplier(address _supplier) external onlyOwner {
+    function verifySupplier(address _supplier) external onlyRole(VERIFIER_ROLE) {
         require(suppliers[_supplier].supplierAddress != address(0), "Supplier not found");
         require(!suppliers[_supplier].isVerified, "Already verified");
 
@@ -216,13 +234,13 @@ contract SupplierRegistry is Ownable {
     }
 
     /**
-     * @dev Deactivate supplier (owner only)
+     * @dev Deactivate supplier (VERIFIER_ROLE)
      */
     /**
-     * @notice Prevents a supplier from participating in the network (Admin only)
+     * @notice Prevents a supplier from participating in the network (Verifier only)
      * @param _supplier Address to deactivate
      */
-    function deactivateSupplier(address _supplier) external onlyOwner {
+    function deactivateSupplier(address _supplier) external onlyRole(VERIFIER_ROLE) {
         require(suppliers[_supplier].supplierAddress != address(0), "Supplier not found");
         require(suppliers[_supplier].isActive, "Already deactivated");
 
@@ -270,6 +288,23 @@ contract SupplierRegistry is Ownable {
         );
     }
 
+    /**
+     * @notice Registration, verification and activity flags of a supplier in one call
+     * @dev Used by SupplyChainPayment to decide whether a supplier can take new orders
+     * @param _supplier Address of the entity
+     * @return isRegistered True if the address has a profile
+     * @return isVerified Audit status
+     * @return isActive Operation status
+     */
+    function getSupplierStatus(address _supplier) external view returns (
+        bool isRegistered,
+        bool isVerified,
+        bool isActive
+    ) {
+        SupplierProfile storage supplier = suppliers[_supplier];
+        return (supplier.supplierAddress != address(0), supplier.isVerified, supplier.isActive);
+    }
+
     /**
      * @dev Get supplier categories
      */
@@ -3,32 +3,51 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "./SupplierRegistry.sol";
+import "./ReputationSystem.sol";
+import "./Arbitrable.sol";
+import "./Upgradeable.sol";
 
 /**
  * @title SupplyChainPayment
- * @dev Automated supply chain payment system with milestone-based payments and escrow
+ * @dev Automated supply chain payment system with milestone-based payments and escrow.
+ *      Orders are paid in native ETH or in an ERC20 token whitelisted by the owner; every
+ *      payout, fee and refund of an order uses the token it was funded with.
+ *      Supplier profiles, verification and activity live in SupplierRegistry; completed
+ *      orders are reported to ReputationSystem so their buyers can review the supplier.
+ *      Disputed orders are settled through Arbitrable: after the evidence period the
+ *      remaining funds are split between buyer and supplier by an ARBITRATOR_ROLE holder or an
+ *      arbitrator panel. Collected platform fees are withdrawn by TREASURER_ROLE holders.
+ *      ShippingTracker completes a milestone when the shipment bound to it is delivered, and
+ *      may approve it once the buyer's grace period has passed.
+ *      Buyers can give milestones delivery deadlines before an order starts: once one is
+ *      missed, or a milestone is completed after it, the buyer can reclaim the unpaid
+ *      remainder (or raise a dispute). Completed milestones the buyer leaves unapproved for
+ *      the order's approval window can be approved by anyone, unless they were late.
+ *      Buyers without gas can sign `addMilestone`, `startOrder` and `approveMilestone` as
+ *      EIP-712 typed data; anyone (e.g. a relayer) then submits the `...BySig` variant. Each
+ *      signature carries the buyer's next nonce and a deadline, so it can be used only once.
  */
-contract SupplyChainPayment is Ownable, ReentrancyGuard {
+contract SupplyChainPayment is Ownable, ReentrancyGuard, Upgradeable, Arbitrable, EIP712, Nonces {
+    using SafeERC20 for IERC20;
+
+    /// @notice Role withdrawing collected platform fees
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
     
     // Structs
     /**
-     * @notice Stores information about a registered supplier
-     * @param supplierAddress Address of the supplier account
-     * @param name Registered name of the supplier
-     * @param contactInfo Encrypted or public contact details
-     * @param isVerified Whether the supplier has passed KYC/compliance
+     * @notice Payment statistics of a supplier (the profile itself lives in SupplierRegistry)
      * @param totalOrdersCompleted Cumulative count of successfully finished orders
-     * @param totalAmountEarned Total funds paid out to this supplier in WEI
-     * @param registrationDate Timestamp of registration
-     */
-    struct Supplier {
-        address supplierAddress;
-        string name;
-        string contactInfo;
-        bool isVerified;
+     * @param totalAmountEarned Total ETH paid out to this supplier in WEI (see supplierTokenEarnings for ERC20)
+     */
+    struct SupplierStats {
         uint256 totalOrdersCompleted;
         uint256 totalAmountEarned;
-        uint256 registrationDate;
     }
     
     /**
@@ -55,7 +74,8 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
      * @param buyer Address of the client/importer
      * @param supplier Address of the vendor/manufacturer
      * @param productDescription Summary of the goods being procured
-     * @param totalAmount Total value of the order locked in escrow
+     * @param totalAmount Total value of the order locked in escrow, in units of paymentToken
+     * @param paymentToken ERC20 token the order is paid in; address(0) for native ETH
      * @param paidAmount Amount already released to the supplier
      * @param createdDate Timestamp of order initiation
      * @param status Current lifecycle state of the order
@@ -69,6 +89,7 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
         address supplier;
         string productDescription;
         uint256 totalAmount;
+        address paymentToken;
         uint256 paidAmount;
         uint256 createdDate;
         OrderStatus status;
@@ -85,13 +106,22 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
         Created,      // Just opened, milestones being defined
         InProgress,   // Active production/shipping
         Completed,    // All milestones approved and funds released
-        Cancelled,    // Refunded before start or after dispute
+        Cancelled,    // Refunded before start, after a missed deadline or after dispute
         Disputed      // Paused due to conflict
     }
     
     // State variables
-    /// @notice Maps supplier address to their profile data
-    mapping(address => Supplier) public suppliers;
+    /// @notice Registry deciding which suppliers can take orders
+    SupplierRegistry public supplierRegistry;
+    
+    /// @notice Reputation contract notified of completed orders
+    ReputationSystem public reputationSystem;
+    
+    /// @notice ShippingTracker allowed to complete and auto-approve delivered milestones
+    address public shippingTracker;
+    
+    /// @notice Maps supplier address to their payment statistics
+    mapping(address => SupplierStats) public supplierStats;
     
     /// @notice Maps order ID to the full Order struct
     mapping(uint256 => Order) public orders;
@@ -105,31 +135,55 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
     /// @notice Incremental counter for generating unique order IDs
     uint256 public orderCounter;
     
-    /// @notice Fee percentage taken by the platform (e.g. 1 = 1%)
-    uint256 public platformFeePercentage = 1;
+    /// @notice Fee percentage taken by the platform (e.g. 1 = 1%; 1 initially)
+    uint256 public platformFeePercentage;
     
     /// @notice Cumulative platform fees stored in the contract in WEI
     uint256 public totalPlatformFees;
     
-    // Events
-    /// @notice Emitted when a new supplier registers
-    /// @param supplier Address of the supplier
-    /// @param name Name of the supplier
-    /// @param timestamp Registration time
-    event SupplierRegistered(address indexed supplier, string name, uint256 timestamp);
+    /// @notice ERC20 tokens orders can be paid in (native ETH is always accepted)
+    mapping(address => bool) public acceptedTokens;
+    
+    /// @notice Platform fees stored in the contract per ERC20 token
+    mapping(address => uint256) public tokenPlatformFees;
+    
+    /// @notice Maps supplier address and ERC20 token to the total paid out in that token
+    mapping(address => mapping(address => uint256)) public supplierTokenEarnings;
+    
+    /// @notice Time the buyer has to approve a completed milestone before anyone can release
+    ///         its payment, in seconds (7 days initially; 0 disables auto-approval)
+    uint256 public approvalWindow;
+    
+    /// @notice Approval window of each order, fixed when the order starts
+    mapping(uint256 => uint256) public orderApprovalWindows;
+    
+    /// @notice Delivery deadline by order ID and milestone index (0 = none)
+    /// @dev Not a Milestone member: milestones are stored in an array, so the struct
+    ///      cannot grow without moving the data of proxied deployments
+    mapping(uint256 => mapping(uint256 => uint256)) public milestoneDeadlines;
     
-    /// @notice Emitted when a supplier is verified by the owner
-    /// @param supplier Address of the verified supplier
-    /// @param timestamp Verification time
-    event SupplierVerified(address indexed supplier, uint256 timestamp);
+    /// @dev EIP-712 types of the buyer actions that can be signed and relayed
+    bytes32 private constant ADD_MILESTONE_TYPEHASH = keccak256(
+        "AddMilestone(uint256 orderId,string description,uint256 paymentPercentage,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 private constant START_ORDER_TYPEHASH =
+        keccak256("StartOrder(uint256 orderId,uint256 nonce,uint256 deadline)");
+    bytes32 private constant APPROVE_MILESTONE_TYPEHASH =
+        keccak256("ApproveMilestone(uint256 orderId,uint256 milestoneIndex,uint256 nonce,uint256 deadline)");
     
+    // Events
     /// @notice Emitted when a buyer creates a new order
     /// @param orderId Unique ID of the order
     /// @param buyer Address of the buyer
     /// @param supplier Address of the supplier
-    /// @param amount Total amount locked in escrow
+    /// @param amount Total amount locked in escrow, in units of the order's payment token
     event OrderCreated(uint256 indexed orderId, address indexed buyer, address indexed supplier, uint256 amount);
     
+    /// @notice Emitted when the owner adds or removes an accepted ERC20 payment token
+    /// @param token Address of the ERC20 token
+    /// @param accepted True if new orders can be paid in the token
+    event PaymentTokenUpdated(address indexed token, bool accepted);
+    
     /// @notice Emitted when a milestone is added to an order
     /// @param orderId ID of the order
     /// @param milestoneIndex Index of the new milestone
@@ -137,6 +191,11 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
     /// @param percentage Payment percentage for this milestone
     event MilestoneAdded(uint256 indexed orderId, uint256 milestoneIndex, string description, uint256 percentage);
     
+    /// @notice Emitted when the buyer starts an order once its milestones total 100%
+    /// @param orderId ID of the order
+    /// @param timestamp Start time
+    event OrderStarted(uint256 indexed orderId, uint256 timestamp);
+    
     /// @notice Emitted when a supplier marks a milestone as completed
     /// @param orderId ID of the order
     /// @param milestoneIndex Index of the completed milestone
@@ -161,28 +220,61 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
     /// @param reason Text reason for the dispute
     event DisputeRaised(uint256 indexed orderId, address indexed raisedBy, string reason);
     
-    /// @notice Emitted when a dispute is resolved by the owner
+    /// @notice Emitted when a dispute is settled and the remaining funds are split
     /// @param orderId ID of the order
-    /// @param resolvedBy Address of the resolver (owner)
-    /// @param inFavorOfSupplier True if supplier received the remaining funds
-    event DisputeResolved(uint256 indexed orderId, address indexed resolvedBy, bool inFavorOfSupplier);
+    /// @param resolvedBy ARBITRATOR_ROLE holder, or the arbitrator casting the deciding vote
+    /// @param supplierPercentage Share of the remaining funds awarded to the supplier (0-100)
+    /// @param supplierPayment Amount paid to the supplier, after the platform fee
+    /// @param refundAmount Amount refunded to the buyer
+    event DisputeResolved(
+        uint256 indexed orderId,
+        address indexed resolvedBy,
+        uint256 supplierPercentage,
+        uint256 supplierPayment,
+        uint256 refundAmount
+    );
     
     /// @notice Emitted when an order is fully completed
     /// @param orderId ID of the order
     /// @param timestamp Completion time
     event OrderCompleted(uint256 indexed orderId, uint256 timestamp);
     
-    /// @notice Emitted when an order is cancelled
+    /// @notice Emitted when ReputationSystem refused to record a completed order; the
+    ///         order still completes, but its buyer cannot review the supplier
+    /// @param orderId ID of the order
+    event OrderCompletionNotRecorded(uint256 indexed orderId);
+    
+    /// @notice Emitted when the owner sets the ShippingTracker trusted with delivered milestones
+    /// @param tracker Address of the ShippingTracker
+    event ShippingTrackerUpdated(address indexed tracker);
+    
+    /// @notice Emitted when the buyer sets the delivery deadline of a milestone
+    /// @param orderId ID of the order
+    /// @param milestoneIndex Index of the milestone
+    /// @param deadline Last timestamp the milestone can be completed on time (0 = none)
+    event MilestoneDeadlineSet(uint256 indexed orderId, uint256 milestoneIndex, uint256 deadline);
+    
+    /// @notice Emitted when the owner changes the approval window of orders started from now on
+    /// @param window New window in seconds
+    event ApprovalWindowUpdated(uint256 window);
+    
+    /// @notice Emitted when an order is cancelled, or reclaimed by the buyer after a missed deadline
     /// @param orderId ID of the order
     /// @param refundAmount Amount refunded to the buyer
     event OrderCancelled(uint256 indexed orderId, uint256 refundAmount);
     
+    /// @notice Emitted when a treasurer withdraws collected platform fees
+    /// @param token Token the fees were collected in (address(0) for ETH)
+    /// @param recipient Address receiving the fees (the treasurer)
+    /// @param amount Amount withdrawn
+    event PlatformFeesWithdrawn(address indexed token, address indexed recipient, uint256 amount);
+    
     // Modifiers
     /**
      * @dev Throws if called by any account other than the buyer of the order.
      */
     modifier onlyBuyer(uint256 _orderId) {
-        require(orders[_orderId].buyer == msg.sender, "Only buyer can perform this action");
+        _checkBuyer(_orderId);
         _;
     }
     
@@ -190,7 +282,15 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
      * @dev Throws if called by any account other than the supplier of the order.
      */
     modifier onlySupplier(uint256 _orderId) {
-        require(orders[_orderId].supplier == msg.sender, "Only supplier can perform this action");
+        _checkSupplier(_orderId);
+        _;
+    }
+    
+    /**
+     * @dev Throws if called by any account other than the ShippingTracker.
+     */
+    modifier onlyShippingTracker() {
+        _checkShippingTracker();
         _;
     }
     
@@ -198,59 +298,87 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
      * @dev Throws if the order ID is out of bounds.
      */
     modifier orderExists(uint256 _orderId) {
-        require(_orderId < orderCounter, "Order does not exist");
+        _checkOrderExists(_orderId);
         _;
     }
     
     /**
-     * @dev Throws if the supplier is not registered or not verified.
+     * @dev Throws if the supplier is not registered, verified and active in SupplierRegistry.
      */
     modifier validSupplier(address _supplier) {
-        require(suppliers[_supplier].supplierAddress != address(0), "Supplier not registered");
-        require(suppliers[_supplier].isVerified, "Supplier not verified");
+        _checkSupplierStatus(_supplier);
         _;
     }
     
-    constructor() Ownable(msg.sender) {}
+    /**
+     * @param _supplierRegistry Deployed SupplierRegistry
+     * @param _reputationSystem Deployed ReputationSystem; this contract must be set as its order recorder
+     * @param _arbitratorRegistry Deployed ArbitratorRegistry voting on escalated disputes
+     */
+    constructor(
+        address _supplierRegistry,
+        address _reputationSystem,
+        address _arbitratorRegistry
+    ) Ownable(msg.sender) EIP712("SupplyChainPayment", "1") {
+        initialize(_supplierRegistry, _reputationSystem, _arbitratorRegistry);
+    }
+
+    /**
+     * @notice Sets up the contract behind a proxy; same parameters as the constructor
+     * @dev Run by the constructor for direct deployments, see Upgradeable. The caller
+     *      gets ARBITRATOR_ROLE and TREASURER_ROLE.
+     */
+    function initialize(
+        address _supplierRegistry,
+        address _reputationSystem,
+        address _arbitratorRegistry
+    ) public initializer {
+        require(_supplierRegistry != address(0), "Invalid registry");
+        require(_reputationSystem != address(0), "Invalid reputation system");
+        __Upgradeable_init();
+        __Arbitrable_init(_arbitratorRegistry);
+        supplierRegistry = SupplierRegistry(_supplierRegistry);
+        reputationSystem = ReputationSystem(_reputationSystem);
+        platformFeePercentage = 1;
+        approvalWindow = 7 days;
+        _grantRole(TREASURER_ROLE, msg.sender);
+    }
     
     /**
-     * @notice Registers the caller as a supplier in the system
-     * @dev Initial status is unverified; requires owner verification afterwards
-     * @param _name Display name of the supplier/company
-     * @param _contactInfo Public contact details (email, phone, etc.)
+     * @notice Adds or removes an ERC20 token orders can be paid in
+     * @dev Existing orders keep settling in their token after it is removed
+     * @param _token Address of the ERC20 token
+     * @param _accepted True to accept the token for new orders
      */
-    function registerSupplier(string memory _name, string memory _contactInfo) external {
-        require(suppliers[msg.sender].supplierAddress == address(0), "Supplier already registered");
-        require(bytes(_name).length > 0, "Name cannot be empty");
-        
-        suppliers[msg.sender] = Supplier({
-            supplierAddress: msg.sender,
-            name: _name,
-            contactInfo: _contactInfo,
-            isVerified: false,
-            totalOrdersCompleted: 0,
-            totalAmountEarned: 0,
-            registrationDate: block.timestamp
-        });
-        
-        emit SupplierRegistered(msg.sender, _name, block.timestamp);
+    function setAcceptedToken(address _token, bool _accepted) external onlyOwner {
+        require(_token != address(0), "Invalid token");
+        acceptedTokens[_token] = _accepted;
+        emit PaymentTokenUpdated(_token, _accepted);
     }
     
     /**
-     * @dev Verify a supplier (only owner)
-     * @param _supplier Supplier address to verify
+     * @notice Sets the ShippingTracker whose deliveries complete milestones (owner only)
+     * @param _tracker Address of the ShippingTracker
      */
-    function verifySupplier(address _supplier) external onlyOwner {
-        require(suppliers[_supplier].supplierAddress != address(0), "Supplier not registered");
-        require(!suppliers[_supplier].isVerified, "Supplier already verified");
-        
-        suppliers[_supplier].isVerified = true;
-        emit SupplierVerified(_supplier, block.timestamp);
+    function setShippingTracker(address _tracker) external onlyOwner {
+        require(_tracker != address(0), "Invalid tracker");
+        shippingTracker = _tracker;
+        emit ShippingTrackerUpdated(_tracker);
+    }
+    
+    /**
+     * @notice Sets how long buyers have to approve completed milestones (owner only)
+     * @dev Applies to orders started afterwards; started orders keep their window
+     * @param _window Seconds after completion; 0 turns auto-approval off
+     */
+    function setApprovalWindow(uint256 _window) external onlyOwner {
+        approvalWindow = _window;
+        emit ApprovalWindowUpdated(_window);
     }
     
     /**
      * @notice Initiates a new order with funds held in escrow
-     * @dev Caller must send exact funds. Supplier must be verified.
+     * @dev Caller must send exact funds. Supplier must be verified and active in the registry.
      * @param _supplier Address of the verified provider
      * @param _productDescription Details of the order scope
      */
@@ -258,27 +386,30 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
         address _supplier,
         string memory _productDescription
     ) external payable validSupplier(_supplier) {
-        require(msg.value > 0, "Order amount must be greater than 0");
-        require(bytes(_productDescription).length > 0, "Product description required");
-        require(_supplier != msg.sender, "Cannot create order with yourself");
-        
-        uint256 orderId = orderCounter++;
-        
-        Order storage newOrder = orders[orderId];
-        newOrder.orderId = orderId;
-        newOrder.buyer = msg.sender;
-        newOrder.supplier = _supplier;
-        newOrder.productDescription = _productDescription;
-        newOrder.totalAmount = msg.value;
-        newOrder.paidAmount = 0;
-        newOrder.createdDate = block.timestamp;
-        newOrder.status = OrderStatus.Created;
-        newOrder.disputeRaised = false;
-        
-        buyerOrders[msg.sender].push(orderId);
-        supplierOrders[_supplier].push(orderId);
+        _createOrder(_supplier, _productDescription, address(0), msg.value);
+    }
+    
+    /**
+     * @notice Initiates a new order paid in an accepted ERC20 token
+     * @dev The buyer must first approve this contract for `_amount`. Tokens that
+     *      take a fee on transfer are rejected, as the escrow would be short.
+     * @param _supplier Address of the verified provider
+     * @param _productDescription Details of the order scope
+     * @param _token Accepted ERC20 token to pay in
+     * @param _amount Order value in the token's smallest unit
+     */
+    function createOrderWithToken(
+        address _supplier,
+        string memory _productDescription,
+        address _token,
+        uint256 _amount
+    ) external validSupplier(_supplier) nonReentrant {
+        require(acceptedTokens[_token], "Token not accepted");
+        _createOrder(_supplier, _productDescription, _token, _amount);
         
-        emit OrderCreated(orderId, msg.sender, _supplier, msg.value);
+        uint256 balanceBefore = IERC20(_token).balanceOf(address(this));
+        IERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+        require(IERC20(_token).balanceOf(address(this)) - balanceBefore == _amount, "Incorrect amount received");
     }
     
     /**
@@ -292,29 +423,54 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
         uint256 _orderId,
         string memory _description,
         uint256 _paymentPercentage
+    ) external orderExists(_orderId) onlyBuyer(_orderId) {
+        _addMilestone(_orderId, _description, _paymentPercentage);
+    }
+    
+    /**
+     * @notice addMilestone on behalf of the buyer, who signed an EIP-712 `AddMilestone`
+     * @param _orderId ID of the order
+     * @param _description What the supplier must achieve
+     * @param _paymentPercentage Percentage of total order value (1-100)
+     * @param _deadline Last timestamp the signature is valid
+     * @param _signature Buyer's signature over the action, their current nonce and the deadline
+     */
+    function addMilestoneBySig(
+        uint256 _orderId,
+        string memory _description,
+        uint256 _paymentPercentage,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external orderExists(_orderId) {
+        _useBuyerSignature(
+            _orderId,
+            abi.encode(ADD_MILESTONE_TYPEHASH, _orderId, keccak256(bytes(_description)), _paymentPercentage),
+            _deadline,
+            _signature
+        );
+        _addMilestone(_orderId, _description, _paymentPercentage);
+    }
+    
+    /**
+     * @notice Sets the date a milestone must be completed by
+     * @dev Only before the order starts. Once it has passed with the milestone
+     *      incomplete, the buyer can reclaim the order or raise a dispute.
+     * @param _orderId ID of the order
+     * @param _milestoneIndex Index of the milestone
+     * @param _deadline Timestamp in the future, or 0 for no deadline
+     */
+    function setMilestoneDeadline(
+        uint256 _orderId,
+        uint256 _milestoneIndex,
+        uint256 _deadline
     ) external orderExists(_orderId) onlyBuyer(_orderId) {
         Order storage order = orders[_orderId];
-        require(order.status == OrderStatus.Created, "Can only add milestones to created orders");
-        require(_paymentPercentage > 0 && _paymentPercentage <= 100, "Invalid percentage");
-        require(bytes(_description).length > 0, "Description required");
-        
-        // Check total percentage doesn't exceed 100%
-        uint256 totalPercentage = 0;
-        for (uint256 i = 0; i < order.milestones.length; i++) {
-            totalPercentage += order.milestones[i].paymentPercentage;
-        }
-        require(totalPercentage + _paymentPercentage <= 100, "Total percentage exceeds 100%");
-        
-        order.milestones.push(Milestone({
-            description: _description,
-            paymentPercentage: _paymentPercentage,
-            isCompleted: false,
-            isApproved: false,
-            completionDate: 0,
-            approvalDate: 0
-        }));
+        require(order.status == OrderStatus.Created, "Order already started");
+        _milestoneAt(order, _milestoneIndex);
+        require(_deadline == 0 || _deadline > block.timestamp, "Deadline must be in the future");
         
-        emit MilestoneAdded(_orderId, order.milestones.length - 1, _description, _paymentPercentage);
+        milestoneDeadlines[_orderId][_milestoneIndex] = _deadline;
+        emit MilestoneDeadlineSet(_orderId, _milestoneIndex, _deadline);
     }
     
     /**
@@ -323,18 +479,22 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
      * @param _orderId ID of the order to start
      */
     function startOrder(uint256 _orderId) external orderExists(_orderId) onlyBuyer(_orderId) {
-        Order storage order = orders[_orderId];
-        require(order.status == OrderStatus.Created, "Order already started");
-        require(order.milestones.length > 0, "Must add at least one milestone");
-        
-        // Verify milestones add up to 100%
-        uint256 totalPercentage = 0;
-        for (uint256 i = 0; i < order.milestones.length; i++) {
-            totalPercentage += order.milestones[i].paymentPercentage;
-        }
-        require(totalPercentage == 100, "Milestones must total 100%");
-        
-        order.status = OrderStatus.InProgress;
+        _startOrder(_orderId);
+    }
+    
+    /**
+     * @notice startOrder on behalf of the buyer, who signed an EIP-712 `StartOrder`
+     * @param _orderId ID of the order to start
+     * @param _deadline Last timestamp the signature is valid
+     * @param _signature Buyer's signature over the action, their current nonce and the deadline
+     */
+    function startOrderBySig(
+        uint256 _orderId,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external orderExists(_orderId) {
+        _useBuyerSignature(_orderId, abi.encode(START_ORDER_TYPEHASH, _orderId), _deadline, _signature);
+        _startOrder(_orderId);
     }
     
     /**
@@ -348,14 +508,10 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
         uint256 _milestoneIndex
     ) external orderExists(_orderId) onlySupplier(_orderId) {
         Order storage order = orders[_orderId];
-        require(order.status == OrderStatus.InProgress, "Order not in progress");
-        require(_milestoneIndex < order.milestones.length, "Invalid milestone index");
-        require(!order.milestones[_milestoneIndex].isCompleted, "Milestone already completed");
-        
-        order.milestones[_milestoneIndex].isCompleted = true;
-        order.milestones[_milestoneIndex].completionDate = block.timestamp;
+        _checkInProgress(order);
+        require(!_milestoneAt(order, _milestoneIndex).isCompleted, "Milestone already completed");
         
-        emit MilestoneCompleted(_orderId, _milestoneIndex, block.timestamp);
+        _markCompleted(_orderId, _milestoneIndex);
     }
     
     /**
@@ -368,52 +524,97 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
         uint256 _orderId,
         uint256 _milestoneIndex
     ) external orderExists(_orderId) onlyBuyer(_orderId) nonReentrant {
+        _approveMilestone(_orderId, _milestoneIndex);
+    }
+    
+    /**
+     * @notice approveMilestone on behalf of the buyer, who signed an EIP-712 `ApproveMilestone`
+     * @param _orderId ID of the order
+     * @param _milestoneIndex Index of the deliverable to pay for
+     * @param _deadline Last timestamp the signature is valid
+     * @param _signature Buyer's signature over the action, their current nonce and the deadline
+     */
+    function approveMilestoneBySig(
+        uint256 _orderId,
+        uint256 _milestoneIndex,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external orderExists(_orderId) nonReentrant {
+        _useBuyerSignature(
+            _orderId,
+            abi.encode(APPROVE_MILESTONE_TYPEHASH, _orderId, _milestoneIndex),
+            _deadline,
+            _signature
+        );
+        _approveMilestone(_orderId, _milestoneIndex);
+    }
+    
+    /**
+     * @notice EIP-712 domain separator of the signed buyer actions
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+    
+    /**
+     * @notice Marks the milestone a delivered shipment was bound to as finished
+     * @dev Called by ShippingTracker on delivery. Does nothing if the order is not in
+     *      progress or the supplier already completed the milestone, so that delivery
+     *      tracking never depends on the order's state.
+     * @param _orderId ID of the order
+     * @param _milestoneIndex Index of the delivered milestone
+     */
+    function confirmDelivery(
+        uint256 _orderId,
+        uint256 _milestoneIndex
+    ) external orderExists(_orderId) onlyShippingTracker {
         Order storage order = orders[_orderId];
-        require(order.status == OrderStatus.InProgress, "Order not in progress");
-        require(_milestoneIndex < order.milestones.length, "Invalid milestone index");
-        require(order.milestones[_milestoneIndex].isCompleted, "Milestone not completed");
-        require(!order.milestones[_milestoneIndex].isApproved, "Milestone already approved");
-        
-        Milestone storage milestone = order.milestones[_milestoneIndex];
-        milestone.isApproved = true;
-        milestone.approvalDate = block.timestamp;
-        
-        // Calculate payment amount
-        uint256 paymentAmount = (order.totalAmount * milestone.paymentPercentage) / 100;
-        uint256 platformFee = (paymentAmount * platformFeePercentage) / 100;
-        uint256 supplierPayment = paymentAmount - platformFee;
-        
-        order.paidAmount += paymentAmount;
-        totalPlatformFees += platformFee;
-        
-        // Update supplier stats
-        suppliers[order.supplier].totalAmountEarned += supplierPayment;
-        
-        // Transfer payment to supplier
-        (bool success, ) = payable(order.supplier).call{value: supplierPayment}("");
-        require(success, "Payment transfer failed");
-        
-        emit MilestoneApproved(_orderId, _milestoneIndex, supplierPayment);
-        emit PaymentReleased(_orderId, order.supplier, supplierPayment);
-        
-        // Check if all milestones are approved
-        bool allApproved = true;
-        for (uint256 i = 0; i < order.milestones.length; i++) {
-            if (!order.milestones[i].isApproved) {
-                allApproved = false;
-                break;
-            }
+        if (
+            order.status != OrderStatus.InProgress ||
+            _milestoneIndex >= order.milestones.length ||
+            order.milestones[_milestoneIndex].isCompleted
+        ) {
+            return;
         }
         
-        if (allApproved) {
-            order.status = OrderStatus.Completed;
-            suppliers[order.supplier].totalOrdersCompleted++;
-            emit OrderCompleted(_orderId, block.timestamp);
-        }
+        _markCompleted(_orderId, _milestoneIndex);
+    }
+    
+    /**
+     * @notice Releases the payment of a delivered milestone the buyer did not approve in time
+     * @dev Called by ShippingTracker once the buyer's grace period after delivery is over. The
+     *      order's approval window after completion must be over too, so the buyer gets the longer
+     *      of the two whichever way the milestone is approved. Raising a dispute in the meantime
+     *      prevents it, and so does a delivery after the milestone's deadline.
+     * @param _orderId ID of the order
+     * @param _milestoneIndex Index of the delivered milestone
+     */
+    function approveDeliveredMilestone(
+        uint256 _orderId,
+        uint256 _milestoneIndex
+    ) external orderExists(_orderId) onlyShippingTracker nonReentrant {
+        _checkApprovalWindowOver(_orderId, _milestoneIndex, true);
+        _approveMilestone(_orderId, _milestoneIndex);
     }
     
     /**
-     * @notice Freezes an order due to conflict
+     * @notice Releases the payment of a completed milestone the buyer did not approve in time
+     * @dev Anyone can call this once the order's approval window after completion is over.
+     *      Raising a dispute during the window prevents it; milestones completed after their
+     *      deadline are left for the buyer to approve or reclaim.
+     * @param _orderId ID of the order
+     * @param _milestoneIndex Index of the completed milestone
+     */
+    function autoApproveMilestone(
+        uint256 _orderId,
+        uint256 _milestoneIndex
+    ) external orderExists(_orderId) nonReentrant {
+        _checkApprovalWindowOver(_orderId, _milestoneIndex, false);
+        _approveMilestone(_orderId, _milestoneIndex);
+    }
+    
+    /**
+     * @notice Freezes an order due to conflict and opens the evidence period
      * @dev Can be called by buyer or supplier
      * @param _orderId ID of the disputed order
      * @param _reason Narrative explaining the conflict
@@ -423,10 +624,7 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
         string memory _reason
     ) external orderExists(_orderId) {
         Order storage order = orders[_orderId];
-        require(
-            msg.sender == order.buyer || msg.sender == order.supplier,
-            "Only buyer or supplier can raise dispute"
-        );
+        require(_isParty(_orderId, msg.sender), "Only buyer or supplier can raise dispute");
         require(order.status == OrderStatus.InProgress, "Can only dispute in-progress orders");
         require(!order.disputeRaised, "Dispute already raised");
         require(bytes(_reason).length > 0, "Reason required");
@@ -434,82 +632,80 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
         order.disputeRaised = true;
         order.disputeReason = _reason;
         order.status = OrderStatus.Disputed;
+        _openArbitration(_orderId);
         
         emit DisputeRaised(_orderId, msg.sender, _reason);
     }
     
     /**
-     * @notice Finalizes a disputed order and distributes remaining funds
-     * @dev Only the owner can resolve disputes
-     * @param _orderId ID of the order
-     * @param _inFavorOfSupplier If true, supplier gets paid; if false, buyer gets refunded
+     * @notice Cancels an order before work starts
+     * @dev Only allowed if order is in Created state. Full refund to buyer.
+     * @param _orderId ID of the order to cancel
      */
-    function resolveDispute(
-        uint256 _orderId,
-        bool _inFavorOfSupplier
-    ) external orderExists(_orderId) onlyOwner nonReentrant {
+    function cancelOrder(uint256 _orderId) external orderExists(_orderId) onlyBuyer(_orderId) nonReentrant {
         Order storage order = orders[_orderId];
-        require(order.status == OrderStatus.Disputed, "Order not in dispute");
+        require(order.status == OrderStatus.Created, "Can only cancel created orders");
         
-        uint256 remainingAmount = order.totalAmount - order.paidAmount;
+        _cancelOrder(_orderId, order.totalAmount);
+    }
+    
+    /**
+     * @notice Cancels an order whose supplier missed a milestone deadline and refunds what
+     *         was not paid out yet
+     * @dev A milestone completed after its deadline counts as missed unless the buyer
+     *      approved it, so completing it late does not prevent the reclaim. Milestones
+     *      completed on time must be approved first (or disputed instead), so the supplier
+     *      is paid for what they delivered.
+     * @param _orderId ID of the order to reclaim
+     */
+    function reclaimOrder(uint256 _orderId) external orderExists(_orderId) onlyBuyer(_orderId) nonReentrant {
+        Order storage order = orders[_orderId];
+        _checkInProgress(order);
         
-        if (_inFavorOfSupplier) {
-            // Pay remaining amount to supplier
-            if (remainingAmount > 0) {
-                uint256 platformFee = (remainingAmount * platformFeePercentage) / 100;
-                uint256 supplierPayment = remainingAmount - platformFee;
-                
-                totalPlatformFees += platformFee;
-                suppliers[order.supplier].totalAmountEarned += supplierPayment;
-                
-                (bool success, ) = payable(order.supplier).call{value: supplierPayment}("");
-                require(success, "Payment transfer failed");
-                
-                order.paidAmount = order.totalAmount;
+        bool missed = false;
+        for (uint256 i = 0; i < order.milestones.length; i++) {
+            Milestone storage milestone = order.milestones[i];
+            if (milestone.isApproved) {
+                continue;
             }
-            order.status = OrderStatus.Completed;
-            suppliers[order.supplier].totalOrdersCompleted++;
-        } else {
-            // Refund remaining amount to buyer
-            if (remainingAmount > 0) {
-                (bool success, ) = payable(order.buyer).call{value: remainingAmount}("");
-                require(success, "Refund transfer failed");
+            if (_missedDeadline(_orderId, i)) {
+                missed = true;
+            } else {
+                require(!milestone.isCompleted, "Milestones awaiting approval");
             }
-            order.status = OrderStatus.Cancelled;
         }
+        require(missed, "No missed deadline");
         
-        emit DisputeResolved(_orderId, msg.sender, _inFavorOfSupplier);
+        _cancelOrder(_orderId, order.totalAmount - order.paidAmount);
     }
     
     /**
-     * @notice Cancels an order before work starts
-     * @dev Only allowed if order is in Created state. Full refund to buyer.
-     * @param _orderId ID of the order to cancel
+     * @dev Withdraw platform fees to the caller (TREASURER_ROLE)
      */
-    function cancelOrder(uint256 _orderId) external orderExists(_orderId) onlyBuyer(_orderId) nonReentrant {
-        Order storage order = orders[_orderId];
-        require(order.status == OrderStatus.Created, "Can only cancel created orders");
+    function withdrawPlatformFees() external onlyRole(TREASURER_ROLE) nonReentrant {
+        uint256 amount = totalPlatformFees;
+        require(amount > 0, "No fees to withdraw");
         
-        order.status = OrderStatus.Cancelled;
-        uint256 refundAmount = order.totalAmount;
+        totalPlatformFees = 0;
         
-        (bool success, ) = payable(order.buyer).call{value: refundAmount}("");
-        require(success, "Refund transfer failed");
+        _transfer(address(0), msg.sender, amount, "Withdrawal failed");
         
-        emit OrderCancelled(_orderId, refundAmount);
+        emit PlatformFeesWithdrawn(address(0), msg.sender, amount);
     }
     
     /**
-     * @dev Withdraw platform fees (only owner)
+     * @dev Withdraw platform fees collected in an ERC20 token to the caller (TREASURER_ROLE)
+     * @param _token Token to withdraw
      */
-    function withdrawPlatformFees() external onlyOwner nonReentrant {
-        uint256 amount = totalPlatformFees;
+    function withdrawTokenFees(address _token) external onlyRole(TREASURER_ROLE) nonReentrant {
+        uint256 amount = tokenPlatformFees[_token];
         require(amount > 0, "No fees to withdraw");
         
-        totalPlatformFees = 0;
+        tokenPlatformFees[_token] = 0;
+        
+        IERC20(_token).safeTransfer(msg.sender, amount);
         
-        (bool success, ) = payable(owner()).call{value: amount}("");
-        require(success, "Withdrawal failed");
+        emit PlatformFeesWithdrawn(_token, msg.sender, amount);
     }
     
     /**
@@ -521,10 +717,300 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
         platformFeePercentage = _newFeePercentage;
     }
     
+    // Internal functions
+    
+    /**
+     * @dev Appends a milestone to an order that has not started, keeping the total within 100%
+     */
+    function _addMilestone(uint256 _orderId, string memory _description, uint256 _paymentPercentage) private {
+        Order storage order = orders[_orderId];
+        require(order.status == OrderStatus.Created, "Can only add milestones to created orders");
+        require(_paymentPercentage > 0 && _paymentPercentage <= 100, "Invalid percentage");
+        require(bytes(_description).length > 0, "Description required");
+        
+        // Check total percentage doesn't exceed 100%
+        require(_totalPercentage(order) + _paymentPercentage <= 100, "Total percentage exceeds 100%");
+        
+        order.milestones.push(Milestone({
+            description: _description,
+            paymentPercentage: _paymentPercentage,
+            isCompleted: false,
+            isApproved: false,
+            completionDate: 0,
+            approvalDate: 0
+        }));
+        
+        emit MilestoneAdded(_orderId, order.milestones.length - 1, _description, _paymentPercentage);
+    }
+    
+    /**
+     * @dev Moves a created order whose milestones total 100% to InProgress
+     */
+    function _startOrder(uint256 _orderId) private {
+        Order storage order = orders[_orderId];
+        require(order.status == OrderStatus.Created, "Order already started");
+        require(order.milestones.length > 0, "Must add at least one milestone");
+        
+        // Verify milestones add up to 100%
+        require(_totalPercentage(order) == 100, "Milestones must total 100%");
+        
+        order.status = OrderStatus.InProgress;
+        orderApprovalWindows[_orderId] = approvalWindow;
+        emit OrderStarted(_orderId, block.timestamp);
+    }
+    
+    /**
+     * @dev Sum of the payment percentages of an order's milestones
+     */
+    function _totalPercentage(Order storage _order) private view returns (uint256 total) {
+        for (uint256 i = 0; i < _order.milestones.length; i++) {
+            total += _order.milestones[i].paymentPercentage;
+        }
+    }
+    
+    /**
+     * @dev Milestone of an order, reverting for an index out of bounds
+     */
+    function _milestoneAt(Order storage _order, uint256 _milestoneIndex) private view returns (Milestone storage) {
+        require(_milestoneIndex < _order.milestones.length, "Invalid milestone index");
+        return _order.milestones[_milestoneIndex];
+    }
+    
+    /**
+     * @dev Cancels an order and refunds the buyer what was not paid out
+     */
+    function _cancelOrder(uint256 _orderId, uint256 _refundAmount) private {
+        Order storage order = orders[_orderId];
+        order.status = OrderStatus.Cancelled;
+        
+        _transfer(order.paymentToken, order.buyer, _refundAmount, "Refund transfer failed");
+        
+        emit OrderCancelled(_orderId, _refundAmount);
+    }
+    
+    /**
+     * @dev True if the milestone was completed after its deadline, or is not completed and past it
+     */
+    function _missedDeadline(uint256 _orderId, uint256 _milestoneIndex) private view returns (bool) {
+        uint256 deadline = milestoneDeadlines[_orderId][_milestoneIndex];
+        Milestone storage milestone = orders[_orderId].milestones[_milestoneIndex];
+        return deadline > 0 && (milestone.isCompleted ? milestone.completionDate : block.timestamp) > deadline;
+    }
+    
+    /**
+     * @dev Marks a milestone of an order in progress as finished now
+     */
+    function _markCompleted(uint256 _orderId, uint256 _milestoneIndex) private {
+        Milestone storage milestone = orders[_orderId].milestones[_milestoneIndex];
+        milestone.isCompleted = true;
+        milestone.completionDate = block.timestamp;
+        
+        emit MilestoneCompleted(_orderId, _milestoneIndex, block.timestamp);
+    }
+    
+    /**
+     * @dev Checks that the buyer of the order signed the action with their next nonce, and uses the nonce
+     * @param _action abi-encoded type hash and fields of the action, without the nonce and deadline
+     */
+    function _useBuyerSignature(
+        uint256 _orderId,
+        bytes memory _action,
+        uint256 _deadline,
+        bytes memory _signature
+    ) private {
+        require(block.timestamp <= _deadline, "Signature expired");
+        address buyer = orders[_orderId].buyer;
+        bytes32 structHash = keccak256(abi.encodePacked(_action, abi.encode(_useNonce(buyer), _deadline)));
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(_hashTypedDataV4(structHash), _signature);
+        require(error == ECDSA.RecoverError.NoError && signer == buyer, "Invalid buyer signature");
+    }
+    
+    /**
+     * @dev Pays out a completed milestone (minus the platform fee) and completes the
+     *      order once every milestone is approved
+     */
+    function _approveMilestone(uint256 _orderId, uint256 _milestoneIndex) private {
+        Order storage order = orders[_orderId];
+        _checkInProgress(order);
+        Milestone storage milestone = _milestoneAt(order, _milestoneIndex);
+        require(milestone.isCompleted, "Milestone not completed");
+        require(!milestone.isApproved, "Milestone already approved");
+        
+        milestone.isApproved = true;
+        milestone.approvalDate = block.timestamp;
+        
+        bool allApproved = true;
+        for (uint256 i = 0; i < order.milestones.length; i++) {
+            if (!order.milestones[i].isApproved) {
+                allApproved = false;
+                break;
+            }
+        }
+        
+        // Calculate payment amount; the last approval also pays what rounding left over
+        uint256 paymentAmount = allApproved
+            ? order.totalAmount - order.paidAmount
+            : (order.totalAmount * milestone.paymentPercentage) / 100;
+        uint256 supplierPayment = _payOut(order, paymentAmount);
+        
+        emit MilestoneApproved(_orderId, _milestoneIndex, supplierPayment);
+        emit PaymentReleased(_orderId, order.supplier, supplierPayment);
+        
+        if (allApproved) {
+            _completeOrder(order);
+            emit OrderCompleted(_orderId, block.timestamp);
+        }
+    }
+    
+    /**
+     * @dev Stores a new order in the Created state and indexes it by buyer and supplier
+     */
+    function _createOrder(
+        address _supplier,
+        string memory _productDescription,
+        address _token,
+        uint256 _amount
+    ) private {
+        require(_amount > 0, "Order amount must be greater than 0");
+        require(bytes(_productDescription).length > 0, "Product description required");
+        require(_supplier != msg.sender, "Cannot create order with yourself");
+        
+        uint256 orderId = orderCounter++;
+        
+        Order storage newOrder = orders[orderId];
+        newOrder.orderId = orderId;
+        newOrder.buyer = msg.sender;
+        newOrder.supplier = _supplier;
+        newOrder.productDescription = _productDescription;
+        newOrder.totalAmount = _amount;
+        newOrder.paymentToken = _token;
+        newOrder.createdDate = block.timestamp;
+        
+        buyerOrders[msg.sender].push(orderId);
+        supplierOrders[_supplier].push(orderId);
+        
+        emit OrderCreated(orderId, msg.sender, _supplier, _amount);
+    }
+    
+    /**
+     * @dev Splits the unpaid part of a disputed order. Any supplier share completes the
+     *      order (and lets the buyer review it); a full refund cancels it.
+     */
+    function _settleDispute(uint256 _orderId, uint256 _supplierPercentage) internal override {
+        Order storage order = orders[_orderId];
+        uint256 remainingAmount = order.totalAmount - order.paidAmount;
+        uint256 supplierAmount = (remainingAmount * _supplierPercentage) / 100;
+        uint256 refundAmount = remainingAmount - supplierAmount;
+        
+        if (_supplierPercentage > 0) {
+            _completeOrder(order);
+        } else {
+            order.status = OrderStatus.Cancelled;
+        }
+        
+        uint256 supplierPayment = supplierAmount > 0 ? _payOut(order, supplierAmount) : 0;
+        if (refundAmount > 0) {
+            _transfer(order.paymentToken, order.buyer, refundAmount, "Refund transfer failed");
+        }
+        
+        emit DisputeResolved(_orderId, msg.sender, _supplierPercentage, supplierPayment, refundAmount);
+    }
+    
+    function _isDisputed(uint256 _orderId) internal view override returns (bool) {
+        return orders[_orderId].status == OrderStatus.Disputed;
+    }
+    
+    function _parties(uint256 _orderId) internal view override returns (address, address) {
+        return (orders[_orderId].buyer, orders[_orderId].supplier);
+    }
+    
+    /**
+     * @dev Marks an order completed and reports it to ReputationSystem so the buyer can review the supplier.
+     *      A failing report (e.g. this contract is no longer the order recorder) must not keep the
+     *      supplier from being paid, so it only emits OrderCompletionNotRecorded.
+     */
+    function _completeOrder(Order storage _order) private {
+        _order.status = OrderStatus.Completed;
+        supplierStats[_order.supplier].totalOrdersCompleted++;
+        try reputationSystem.recordCompletedOrder(_order.orderId, _order.buyer, _order.supplier) {} catch {
+            emit OrderCompletionNotRecorded(_order.orderId);
+        }
+    }
+    
+    /**
+     * @dev Pays `_amount` of the order to the supplier minus the platform fee, booking the fee
+     *      and the supplier's earnings in the order's payment token
+     * @return supplierPayment Amount sent to the supplier
+     */
+    function _payOut(Order storage _order, uint256 _amount) private returns (uint256 supplierPayment) {
+        uint256 platformFee = (_amount * platformFeePercentage) / 100;
+        supplierPayment = _amount - platformFee;
+        _order.paidAmount += _amount;
+        
+        if (_order.paymentToken == address(0)) {
+            totalPlatformFees += platformFee;
+            supplierStats[_order.supplier].totalAmountEarned += supplierPayment;
+        } else {
+            tokenPlatformFees[_order.paymentToken] += platformFee;
+            supplierTokenEarnings[_order.supplier][_order.paymentToken] += supplierPayment;
+        }
+        
+        _transfer(_order.paymentToken, _order.supplier, supplierPayment, "Payment transfer failed");
+    }
+    
+    /**
+     * @dev Sends ETH (`_token` == address(0)) or ERC20 tokens held by the contract
+     */
+    function _transfer(address _token, address _to, uint256 _amount, string memory _error) private {
+        if (_token == address(0)) {
+            (bool success, ) = payable(_to).call{value: _amount}("");
+            require(success, _error);
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
+        }
+    }
+    
+    // Modifier checks, out of line so that their code is not repeated in every function using them
+    
+    function _checkBuyer(uint256 _orderId) private view {
+        require(orders[_orderId].buyer == msg.sender, "Only buyer can perform this action");
+    }
+    
+    function _checkSupplier(uint256 _orderId) private view {
+        require(orders[_orderId].supplier == msg.sender, "Only supplier can perform this action");
+    }
+    
+    function _checkShippingTracker() private view {
+        require(msg.sender == shippingTracker, "Only shipping tracker");
+    }
+    
+    function _checkOrderExists(uint256 _orderId) private view {
+        require(_orderId < orderCounter, "Order does not exist");
+    }
+    
+    function _checkInProgress(Order storage _order) private view {
+        require(_order.status == OrderStatus.InProgress, "Order not in progress");
+    }
+    
+    /// @dev A window of 0 disables auto-approval, but leaves delivered milestones to the tracker's grace period
+    function _checkApprovalWindowOver(uint256 _orderId, uint256 _milestoneIndex, bool _delivered) private view {
+        uint256 window = orderApprovalWindows[_orderId];
+        uint256 completionDate = _milestoneAt(orders[_orderId], _milestoneIndex).completionDate;
+        require((_delivered || window > 0) && block.timestamp >= completionDate + window, "Approval window not over");
+        require(!_missedDeadline(_orderId, _milestoneIndex), "Milestone missed its deadline");
+    }
+    
+    function _checkSupplierStatus(address _supplier) private view {
+        (bool isRegistered, bool isVerified, bool isActive) = supplierRegistry.getSupplierStatus(_supplier);
+        require(isRegistered, "Supplier not registered");
+        require(isVerified, "Supplier not verified");
+        require(isActive, "Supplier not active");
+    }
+    
     // View functions
     
-    function getSupplier(address _supplier) external view returns (Supplier memory) {
-        return suppliers[_supplier];
+    function getSupplierStats(address _supplier) external view returns (SupplierStats memory) {
+        return supplierStats[_supplier];
     }
     
     function getOrder(uint256 _orderId) external view returns (
@@ -553,8 +1039,7 @@ contract SupplyChainPayment is Ownable, ReentrancyGuard {
     }
     
     function getMilestone(uint256 _orderId, uint256 _milestoneIndex) external view returns (Milestone memory) {
-        require(_milestoneIndex < orders[_orderId].milestones.length, "Invalid milestone index");
-        return orders[_orderId].milestones[_milestoneIndex];
+        return _milestoneAt(orders[_orderId], _milestoneIndex);
     }
     
     function getMilestoneCount(uint256 _orderId) external view returns (uint256) {
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/StorageSlot.sol";
+
+/**
+ * @title ERC1967Implementation
+ * @dev Implementation slot of ERC-1967 proxies. OpenZeppelin's ERC1967Utils and
+ *      ERC1967Proxy need solc 0.8.21+, so this covers the part the project uses.
+ */
+library ERC1967Implementation {
+
+    /// @dev keccak256("eip1967.proxy.implementation") - 1
+    bytes32 internal constant SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    /// @notice Emitted when the implementation changes (as IERC1967.Upgraded)
+    event Upgraded(address indexed implementation);
+
+    function get() internal view returns (address) {
+        return StorageSlot.getAddressSlot(SLOT).value;
+    }
+
+    /**
+     * @dev Stores the new implementation and, if `_data` is not empty, runs it in the
+     *      proxy's context (e.g. an initializer)
+     */
+    function upgradeToAndCall(address _implementation, bytes memory _data) internal {
+        require(_implementation.code.length > 0, "Implementation is not a contract");
+        StorageSlot.getAddressSlot(SLOT).value = _implementation;
+        emit Upgraded(_implementation);
+        if (_data.length > 0) {
+            Address.functionDelegateCall(_implementation, _data);
+        }
+    }
+}
+
+/**
+ * @title SupplyChainProxy
+ * @dev ERC-1967 proxy the deployment engine puts in front of the upgradeable contracts
+ *      (see Upgradeable). Upgrades are done by the implementation (UUPS), so the proxy
+ *      itself has no admin functions.
+ */
+contract SupplyChainProxy is Proxy {
+
+    /**
+     * @param _logic Initial implementation
+     * @param _data Call to its initializer, run in the proxy's storage
+     */
+    constructor(address _logic, bytes memory _data) payable {
+        ERC1967Implementation.upgradeToAndCall(_logic, _data);
+    }
+
+    function _implementation() internal view override returns (address) {
+        return ERC1967Implementation.get();
+    }
+}
@@ -3,12 +3,16 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Roles.sol";
 
 /**
  * @title SupplyChainToken
  * @dev Platform utility token with staking and reward distribution
  */
-contract SupplyChainToken is ERC20, Ownable {
+contract SupplyChainToken is ERC20, Ownable, Roles {
+
+    /// @notice Role minting tokens and distributing rewards
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     
     struct StakeInfo {
         uint256 amount;
@@ -37,14 +41,16 @@ contract SupplyChainToken is ERC20, Ownable {
     event RewardClaimed(address indexed user, uint256 amount, uint256 timestamp);
     event RewardRateUpdated(uint256 newRate, uint256 timestamp);
 
+    /// @dev The deployer receives the initial supply and MINTER_ROLE
     constructor() ERC20("SupplyChain Token", "SCT") Ownable(msg.sender) {
         _mint(msg.sender, INITIAL_SUPPLY);
+        _grantRole(MINTER_ROLE, msg.sender);
     }
 
     /**
-     * @dev Mint new tokens (owner only)
+     * @dev Mint new tokens (MINTER_ROLE)
      */
-    function mint(address _to, uint256 _amount) external onlyOwner {
+    function mint(address _to, uint256 _amount) external onlyRole(MINTER_ROLE) {
         require(_to != address(0), "Invalid address");
         require(totalSupply() + _amount <= MAX_SUPPLY, "Exceeds max supply");
         
@@ -186,9 +192,9 @@ contract SupplyChainToken is ERC20, Ownable {
     }
 
     /**
-     * @dev Distribute rewards to multiple users (owner only)
+     * @dev Distribute rewards to multiple users (MINTER_ROLE)
      */
-    function distributeRewards(address[] memory _users, uint256[] memory _amounts) external onlyOwner {
+    function distributeRewards(address[] memory _users, uint256[] memory _amounts) external onlyRole(MINTER_ROLE) {
         require(_users.length == _amounts.length, "Arrays length mismatch");
         
         for (uint256 i = 0; i < _users.length; i++) {
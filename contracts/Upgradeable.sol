@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/interfaces/draft-IERC1822.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "./SupplyChainProxy.sol";
+
+/**
+ * @title Upgradeable
+ * @dev UUPS upgrade support for the stateful contracts. They can be deployed directly,
+ *      as before, or behind a SupplyChainProxy that keeps their storage and balance
+ *      across implementation upgrades, which only the owner can make.
+ *
+ *      Inheriting contracts set up their state in an `initializer` function instead of
+ *      the constructor, and their constructor calls it: a direct deployment is
+ *      initialized as usual, while an implementation deployed for a proxy is locked so
+ *      it can never be initialized again. State variables must not have initial values,
+ *      which would only be written to the implementation's storage.
+ *
+ *      Same interface as OpenZeppelin's UUPSUpgradeable (`upgradeToAndCall`,
+ *      `proxiableUUID`), which needs solc 0.8.22+.
+ */
+abstract contract Upgradeable is Ownable, Initializable, IERC1822Proxiable {
+
+    /// @dev Address of the implementation itself, to tell direct calls from proxied ones
+    address private immutable _self = address(this);
+
+    /// @dev Throws unless called through a proxy currently pointing at this implementation
+    modifier onlyProxy() {
+        require(address(this) != _self && ERC1967Implementation.get() == _self, "Must be called through a proxy");
+        _;
+    }
+
+    /**
+     * @dev Makes the caller of the initializer the owner. Behind a proxy this is the
+     *      account deploying the proxy, which calls the initializer in the same transaction.
+     */
+    function __Upgradeable_init() internal onlyInitializing {
+        _transferOwnership(msg.sender);
+    }
+
+    /**
+     * @notice ERC-1822 slot the implementation is stored in, checked before upgrading to it
+     * @dev Only on the implementation: a proxy pointing at a proxy would brick it
+     */
+    function proxiableUUID() external view returns (bytes32) {
+        require(address(this) == _self, "Must not be called through a proxy");
+        return ERC1967Implementation.SLOT;
+    }
+
+    /**
+     * @notice Moves the proxy to a new implementation (owner only)
+     * @param _implementation Upgradeable implementation, checked through proxiableUUID
+     * @param _data Call run in the proxy's context after the upgrade (e.g. a migration), or empty
+     */
+    function upgradeToAndCall(address _implementation, bytes calldata _data) external payable onlyProxy onlyOwner {
+        try IERC1822Proxiable(_implementation).proxiableUUID() returns (bytes32 slot) {
+            require(slot == ERC1967Implementation.SLOT, "Unsupported proxiable UUID");
+        } catch {
+            revert("Implementation is not upgradeable");
+        }
+        ERC1967Implementation.upgradeToAndCall(_implementation, _data);
+    }
+}
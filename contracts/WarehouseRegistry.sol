@@ -2,12 +2,16 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Roles.sol";
 
 /**
  * @title WarehouseRegistry
  * @dev Registry for verified warehouses in supply chain
  */
-contract WarehouseRegistry is Ownable {
+contract WarehouseRegistry is Ownable, Roles {
+
+    /// @notice Role certifying warehouses
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
     
     /**
      * @notice Container for warehouse storage and management details
@@ -43,14 +47,16 @@ contract WarehouseRegistry is Ownable {
     /// @notice Emitted when a new warehouse is onboarded
     event WarehouseRegistered(uint256 indexed warehouseId, string name);
     
-    /// @notice Emitted when the warehouse is certified by the admin
+    /// @notice Emitted when the warehouse is certified by a verifier
     event WarehouseVerified(uint256 indexed warehouseId);
     
     /// @notice Emitted when stock levels are modified
     event StockUpdated(uint256 indexed warehouseId, uint256 newStock);
     
+    /// @dev The deployer gets VERIFIER_ROLE
     constructor() Ownable(msg.sender) {
         _warehouseIdCounter = 1;
+        _grantRole(VERIFIER_ROLE, msg.sender);
     }
     
     /**
@@ -91,10 +97,10 @@ contract WarehouseRegistry is Ownable {
     }
     
     /**
-     * @notice Marks a facility as verified (Admin only)
+     * @notice Marks a facility as verified (Verifier only)
      * @param _warehouseId Unique identifier
      */
-    function verifyWarehouse(uint256 _warehouseId) external onlyOwner {
+    function verifyWarehouse(uint256 _warehouseId) external onlyRole(VERIFIER_ROLE) {
         require(_warehouseId > 0 && _warehouseId < _warehouseIdCounter, "Invalid ID");
         warehouses[_warehouseId].isVerified = true;
         emit WarehouseVerified(_warehouseId);
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../SupplyChainPayment.sol";
+import "../SupplierRegistry.sol";
+
+/**
+ * @title SupplyChainPaymentV2
+ * @dev Next version of SupplyChainPayment used by the upgrade tests: appends state
+ *      and functions, which keeps the storage layout compatible
+ */
+contract SupplyChainPaymentV2 is SupplyChainPayment {
+
+    /// @notice State added by the new version
+    string public releaseNote;
+
+    constructor(
+        address _supplierRegistry,
+        address _reputationSystem,
+        address _arbitratorRegistry
+    ) SupplyChainPayment(_supplierRegistry, _reputationSystem, _arbitratorRegistry) {}
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function setReleaseNote(string calldata _note) external onlyOwner {
+        releaseNote = _note;
+    }
+}
+
+/// @dev Declares a variable ahead of everything it is inherited with
+contract StorageShift {
+    uint256 internal shifted;
+}
+
+/**
+ * @title SupplierRegistryShifted
+ * @dev SupplierRegistry with every state variable pushed one slot down: the upgrade
+ *      check must refuse it
+ */
+contract SupplierRegistryShifted is StorageShift, SupplierRegistry {}
@@ -0,0 +1,6 @@
+/**
+ * @title supply-chain-payment-base
+ * @dev Package entry point: the JavaScript SDK for the deployed contracts.
+ *      See lib/sdk for details.
+ */
+module.exports = require("./lib/sdk");
@@ -0,0 +1,79 @@
+const path = require("path");
+const { getAddress } = require("ethers");
+const { writeSheet } = require("../bulk/sheets");
+const { ETH, MOVEMENT_COLUMNS, collectMovements } = require("./movements");
+const {
+  PERIODS,
+  SUPPLIER_LEDGER_COLUMNS,
+  PERIOD_LEDGER_COLUMNS,
+  periodOf,
+  supplierLedger,
+  periodLedger,
+} = require("./ledgers");
+const { RECONCILIATION_COLUMNS, reconcile } = require("./reconcile");
+
+/**
+ * @title Accounting
+ * @dev Finance reports of SupplyChainPayment and PaymentEscrow: every money
+ *      movement rebuilt from events, ledgers per supplier and per period, and
+ *      a reconciliation of the contracts' balances (see the modules).
+ */
+
+/**
+ * @notice Builds the ledgers of a date range
+ * @param {Object} ledger Result of collectMovements
+ * @param {Object} [options]
+ * @param {bigint|number} [options.since] First second included (unix)
+ * @param {bigint|number} [options.until] First second excluded (unix)
+ * @param {string} [options.supplier] Only this supplier's orders and escrows
+ * @param {string} [options.period] One of PERIODS (default "month")
+ * @return {{movements: Object[], suppliers: Object[], periods: Object[]}}
+ */
+function buildReports(ledger, { since = null, until = null, supplier = null, period = "month" } = {}) {
+  const account = supplier && getAddress(supplier);
+  const movements = ledger.movements.filter(
+    ({ time, supplier: party }) =>
+      (since === null || time >= Number(since)) &&
+      (until === null || time < Number(until)) &&
+      (!account || party === account)
+  );
+  return { movements, suppliers: supplierLedger(movements), periods: periodLedger(movements, { period }) };
+}
+
+/**
+ * @notice Writes the reports to `movements`, `suppliers` and `periods` sheets in a directory
+ * @param {string} directory Destination (created if needed)
+ * @param {Object} reports See buildReports
+ * @param {Object} [options]
+ * @param {string} [options.format] "csv" (default) or "json"
+ * @return {{movements: string, suppliers: string, periods: string}} Files written
+ */
+function writeReports(directory, reports, { format = "csv" } = {}) {
+  const sheets = {
+    movements: MOVEMENT_COLUMNS,
+    suppliers: SUPPLIER_LEDGER_COLUMNS,
+    periods: PERIOD_LEDGER_COLUMNS,
+  };
+  const files = {};
+  for (const [name, columns] of Object.entries(sheets)) {
+    files[name] = path.join(directory, `${name}.${format}`);
+    writeSheet(files[name], reports[name], columns, { format });
+  }
+  return files;
+}
+
+module.exports = {
+  ETH,
+  PERIODS,
+  MOVEMENT_COLUMNS,
+  SUPPLIER_LEDGER_COLUMNS,
+  PERIOD_LEDGER_COLUMNS,
+  RECONCILIATION_COLUMNS,
+  collectMovements,
+  periodOf,
+  supplierLedger,
+  periodLedger,
+  buildReports,
+  writeReports,
+  reconcile,
+};
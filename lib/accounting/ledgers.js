@@ -0,0 +1,154 @@
+/**
+ * @title Ledgers
+ * @dev Per-supplier and per-period totals of money movements (see movements.js).
+ *      Totals are kept per token, in its base units: amounts in different
+ *      tokens are never added up.
+ */
+
+const PERIODS = ["day", "week", "month", "quarter", "year"];
+
+const SUPPLIER_LEDGER_COLUMNS = [
+  "supplier",
+  "token",
+  "orders",
+  "escrows",
+  "deposited",
+  "paid",
+  "fees",
+  "refunded",
+  "held",
+];
+
+const PERIOD_LEDGER_COLUMNS = ["period", "token", "deposits", "payments", "fees", "refunds", "withdrawals", "net"];
+
+/**
+ * @notice Name of the period a time falls in, in UTC
+ * @param {number} time Unix seconds
+ * @param {string} period One of PERIODS
+ * @return {string} e.g. "2026-10-18", "2026-W42" (ISO week), "2026-10", "2026-Q4" or "2026"
+ */
+function periodOf(time, period) {
+  const date = new Date(time * 1000);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  const pad = (value) => String(value).padStart(2, "0");
+  switch (period) {
+    case "day":
+      return date.toISOString().slice(0, 10);
+    case "week": {
+      // The ISO week belongs to the year of its Thursday
+      const weekday = (date.getUTCDay() + 6) % 7;
+      const thursday = new Date(Date.UTC(year, date.getUTCMonth(), date.getUTCDate() + 3 - weekday));
+      const firstDay = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+      const week = Math.floor((thursday.getTime() - firstDay) / (7 * 24 * 60 * 60 * 1000)) + 1;
+      return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+    }
+    case "month":
+      return `${year}-${pad(month)}`;
+    case "quarter":
+      return `${year}-Q${Math.ceil(month / 3)}`;
+    case "year":
+      return String(year);
+    default:
+      throw new Error(`Unknown period: ${period} (expected ${PERIODS.join(", ")})`);
+  }
+}
+
+/// @dev Row of `rows` keyed by `key`, created with `init` when missing
+function entry(rows, key, init) {
+  if (!rows.has(key)) {
+    rows.set(key, init());
+  }
+  return rows.get(key);
+}
+
+/**
+ * @notice What each supplier's orders and escrows moved, per token
+ * @param {Object[]} movements See collectMovements
+ * @return {Object[]} `{ supplier, token, orders, escrows, deposited, paid, fees, refunded, held }` sorted by
+ *         supplier; `held` is what the contracts still hold for them (deposited - paid - fees - refunded)
+ */
+function supplierLedger(movements) {
+  const rows = new Map();
+  const references = new Map();
+  for (const movement of movements.filter((candidate) => candidate.supplier)) {
+    const { supplier, token } = movement;
+    const row = entry(rows, `${supplier}/${token}`, () => ({
+      supplier,
+      token,
+      orders: 0,
+      escrows: 0,
+      deposited: 0n,
+      paid: 0n,
+      fees: 0n,
+      refunded: 0n,
+      held: 0n,
+    }));
+    const seen = entry(references, `${supplier}/${token}`, () => new Set());
+    if (!seen.has(movement.reference)) {
+      seen.add(movement.reference);
+      row[movement.contract === "PaymentEscrow" ? "escrows" : "orders"]++;
+    }
+
+    if (movement.type === "deposit") {
+      row.deposited += movement.amount;
+    } else if (movement.type === "payment") {
+      row.paid += movement.amount;
+      row.fees += movement.fee;
+    } else if (movement.type === "refund") {
+      row.refunded += movement.amount;
+    }
+    row.held = row.deposited - row.paid - row.fees - row.refunded;
+  }
+  return [...rows.values()].sort((a, b) => a.supplier.localeCompare(b.supplier) || a.token.localeCompare(b.token));
+}
+
+/**
+ * @notice Totals per period and token
+ * @param {Object[]} movements See collectMovements
+ * @param {Object} [options]
+ * @param {string} [options.period] One of PERIODS (default "month")
+ * @return {Object[]} `{ period, token, deposits, payments, fees, refunds, withdrawals, net }` in period order;
+ *         `net` is the change in what the contracts hold (deposits - payments - refunds - withdrawals)
+ */
+function periodLedger(movements, { period = "month" } = {}) {
+  const rows = new Map();
+  for (const movement of movements) {
+    const key = periodOf(movement.time, period);
+    const row = entry(rows, `${key}/${movement.token}`, () => ({
+      period: key,
+      token: movement.token,
+      deposits: 0n,
+      payments: 0n,
+      fees: 0n,
+      refunds: 0n,
+      withdrawals: 0n,
+      net: 0n,
+    }));
+    const { amount } = movement;
+    if (movement.type === "deposit") {
+      row.deposits += amount;
+      row.net += amount;
+    } else if (movement.type === "payment") {
+      row.payments += amount;
+      row.fees += movement.fee;
+      row.net -= amount;
+    } else if (movement.type === "refund") {
+      row.refunds += amount;
+      row.net -= amount;
+    } else if (movement.type === "withdrawal") {
+      row.withdrawals += amount;
+      row.net -= amount;
+    }
+  }
+  return [...rows.values()].sort((a, b) => a.period.localeCompare(b.period) || a.token.localeCompare(b.token));
+}
+
+module.exports = {
+  PERIODS,
+  SUPPLIER_LEDGER_COLUMNS,
+  PERIOD_LEDGER_COLUMNS,
+  periodOf,
+  supplierLedger,
+  periodLedger,
+};
@@ -0,0 +1,310 @@
+const { ZeroAddress, getAddress } = require("ethers");
+
+/**
+ * @title Money movements
+ * @dev Rebuilds every transfer of value into and out of SupplyChainPayment and
+ *      PaymentEscrow from their events, in chain order:
+ *
+ *        deposit     OrderCreated (buyer pays the order), EscrowFunded
+ *        payment     MilestoneApproved, the supplier's share of DisputeResolved,
+ *                    EscrowReleased, the seller's share of EscrowResolved
+ *        refund      OrderCancelled, the buyer's share of DisputeResolved,
+ *                    EscrowRefunded, the buyer's share of EscrowResolved
+ *        withdrawal  PlatformFeesWithdrawn
+ *
+ * Payments carry the platform fee the contract kept. Events only report what
+ * the supplier received, so the fee is the gross share (the order amount times
+ * the milestone's percentage, what is left for the approval completing the
+ * order, or the supplier's part of what was left of a disputed order) minus
+ * that; this holds whatever fee percentage was in force.
+ */
+
+/// @dev Token label of native ETH
+const ETH = "ETH";
+
+/// @dev Columns of a movement, in report order
+const MOVEMENT_COLUMNS = [
+  "date",
+  "block",
+  "transaction",
+  "contract",
+  "reference",
+  "type",
+  "memo",
+  "token",
+  "from",
+  "to",
+  "supplier",
+  "amount",
+  "fee",
+];
+
+const tokenLabel = (token) => (token === ZeroAddress ? ETH : getAddress(token));
+
+/**
+ * @notice Fetches and decodes a contract's events, in batches of blocks
+ * @return {Promise<Object[]>} `{ name, args, blockNumber, transactionHash, index }` in chain order
+ */
+async function fetchEvents(contract, { fromBlock, toBlock, batchSize }) {
+  const provider = contract.runner.provider || contract.runner;
+  const address = await contract.getAddress();
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += batchSize) {
+    const end = Math.min(start + batchSize - 1, toBlock);
+    for (const log of await provider.getLogs({ address, fromBlock: start, toBlock: end })) {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed) {
+        const { blockNumber, transactionHash, index } = log;
+        events.push({ name: parsed.name, args: parsed.args, blockNumber, transactionHash, index });
+      }
+    }
+  }
+  return events;
+}
+
+/**
+ * @notice Reconstructs the money movements of the payment contracts
+ * @param {Object} options
+ * @param {Contract} options.payment SupplyChainPayment contract
+ * @param {Contract} [options.escrow] PaymentEscrow contract
+ * @param {number} [options.fromBlock] First block to read (the deployment block; earlier events are needed
+ *        to work out fees, so filter the result by date rather than starting later)
+ * @param {number} [options.toBlock] Last block to read (default: latest)
+ * @param {number} [options.batchSize] Blocks per getLogs request
+ * @return {Promise<{movements: Object[], orders: Map, escrows: Map}>} Movements (see MOVEMENT_COLUMNS; `time`
+ *         in unix seconds, amounts in the token's base units) and the orders and escrows they belong to
+ */
+async function collectMovements({ payment, escrow = null, fromBlock = 0, toBlock, batchSize = 2000 }) {
+  const provider = payment.runner.provider || payment.runner;
+  const last = toBlock ?? (await provider.getBlockNumber());
+  const paymentAddress = await payment.getAddress();
+  const sources = [{ name: "SupplyChainPayment", contract: payment }];
+  if (escrow) {
+    sources.push({ name: "PaymentEscrow", contract: escrow });
+  }
+
+  const events = [];
+  for (const { name, contract } of sources) {
+    for (const event of await fetchEvents(contract, { fromBlock, toBlock: last, batchSize })) {
+      events.push({ ...event, contract: name });
+    }
+  }
+  events.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const blockTimes = new Map();
+  const timeOf = async (blockNumber) => {
+    if (!blockTimes.has(blockNumber)) {
+      blockTimes.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+    }
+    return blockTimes.get(blockNumber);
+  };
+
+  const orders = new Map();
+  const escrows = new Map();
+  const movements = [];
+  for (const event of events) {
+    const { name, args } = event;
+    const record = async (fields) => {
+      const time = await timeOf(event.blockNumber);
+      movements.push({
+        time,
+        date: new Date(time * 1000).toISOString(),
+        block: event.blockNumber,
+        transaction: event.transactionHash,
+        contract: event.contract,
+        fee: 0n,
+        ...fields,
+      });
+    };
+
+    if (event.contract === "SupplyChainPayment") {
+      const order = orders.get(args.orderId);
+      const reference = `order ${args.orderId}`;
+      switch (name) {
+        case "OrderCreated": {
+          const { paymentToken } = await payment.orders(args.orderId);
+          const created = {
+            buyer: args.buyer,
+            supplier: args.supplier,
+            token: tokenLabel(paymentToken),
+            total: args.amount,
+            paid: 0n,
+            percentages: [],
+            approved: 0,
+          };
+          orders.set(args.orderId, created);
+          await record({
+            reference,
+            type: "deposit",
+            memo: "Order created",
+            token: created.token,
+            from: created.buyer,
+            to: paymentAddress,
+            supplier: created.supplier,
+            amount: args.amount,
+          });
+          break;
+        }
+        case "MilestoneAdded":
+          order.percentages[Number(args.milestoneIndex)] = args.percentage;
+          break;
+        case "MilestoneApproved": {
+          // The approval completing the order is paid whatever is left
+          order.approved += 1;
+          const gross =
+            order.approved === order.percentages.length
+              ? order.total - order.paid
+              : (order.total * order.percentages[Number(args.milestoneIndex)]) / 100n;
+          order.paid += gross;
+          await record({
+            reference,
+            type: "payment",
+            memo: `Milestone ${args.milestoneIndex} approved`,
+            token: order.token,
+            from: paymentAddress,
+            to: order.supplier,
+            supplier: order.supplier,
+            amount: args.paymentAmount,
+            fee: gross - args.paymentAmount,
+          });
+          break;
+        }
+        case "OrderCancelled":
+          await record({
+            reference,
+            type: "refund",
+            memo: "Order cancelled",
+            token: order.token,
+            from: paymentAddress,
+            to: order.buyer,
+            supplier: order.supplier,
+            amount: args.refundAmount,
+          });
+          break;
+        case "DisputeResolved": {
+          const supplierAmount = order.total - order.paid - args.refundAmount;
+          order.paid += supplierAmount;
+          const memo = `Dispute settled, ${args.supplierPercentage}% to the supplier`;
+          if (supplierAmount > 0n) {
+            await record({
+              reference,
+              type: "payment",
+              memo,
+              token: order.token,
+              from: paymentAddress,
+              to: order.supplier,
+              supplier: order.supplier,
+              amount: args.supplierPayment,
+              fee: supplierAmount - args.supplierPayment,
+            });
+          }
+          if (args.refundAmount > 0n) {
+            await record({
+              reference,
+              type: "refund",
+              memo,
+              token: order.token,
+              from: paymentAddress,
+              to: order.buyer,
+              supplier: order.supplier,
+              amount: args.refundAmount,
+            });
+          }
+          break;
+        }
+        case "PlatformFeesWithdrawn":
+          await record({
+            reference: "platform fees",
+            type: "withdrawal",
+            memo: "Platform fees withdrawn",
+            token: tokenLabel(args.token),
+            from: paymentAddress,
+            to: args.recipient,
+            supplier: null,
+            amount: args.amount,
+          });
+          break;
+      }
+    } else {
+      const reference = `escrow ${args.escrowId}`;
+      const escrowAddress = await escrow.getAddress();
+      const held = escrows.get(args.escrowId);
+      switch (name) {
+        case "EscrowCreated": {
+          const { token } = await escrow.escrows(args.escrowId);
+          escrows.set(args.escrowId, {
+            buyer: args.buyer,
+            seller: args.seller,
+            token: tokenLabel(token),
+            amount: args.amount,
+          });
+          break;
+        }
+        case "EscrowFunded":
+          await record({
+            reference,
+            type: "deposit",
+            memo: "Escrow funded",
+            token: held.token,
+            from: held.buyer,
+            to: escrowAddress,
+            supplier: held.seller,
+            amount: args.amount,
+          });
+          break;
+        case "EscrowReleased":
+          await record({
+            reference,
+            type: "payment",
+            memo: "Escrow released",
+            token: held.token,
+            from: escrowAddress,
+            to: held.seller,
+            supplier: held.seller,
+            amount: args.amount,
+          });
+          break;
+        case "EscrowRefunded":
+          await record({
+            reference,
+            type: "refund",
+            memo: "Escrow refunded",
+            token: held.token,
+            from: escrowAddress,
+            to: held.buyer,
+            supplier: held.seller,
+            amount: args.amount,
+          });
+          break;
+        case "EscrowResolved": {
+          const memo = `Dispute settled, ${args.sellerPercentage}% to the seller`;
+          const shares = [
+            ["payment", held.seller, args.sellerAmount],
+            ["refund", held.buyer, args.refundAmount],
+          ];
+          for (const [type, to, amount] of shares.filter((share) => share[2] > 0n)) {
+            await record({
+              reference,
+              type,
+              memo,
+              token: held.token,
+              from: escrowAddress,
+              to,
+              supplier: held.seller,
+              amount,
+            });
+          }
+          break;
+        }
+      }
+    }
+  }
+  return { movements, orders, escrows };
+}
+
+module.exports = {
+  ETH,
+  MOVEMENT_COLUMNS,
+  tokenLabel,
+  collectMovements,
+};
@@ -0,0 +1,133 @@
+const { Contract, ZeroAddress } = require("ethers");
+const { ETH } = require("./movements");
+
+/**
+ * @title Reconciliation
+ * @dev Checks that each payment contract holds exactly what it owes, per token:
+ *
+ *        SupplyChainPayment  sum(totalAmount - paidAmount) of open orders (Created,
+ *                            InProgress, Disputed) + platform fees not withdrawn
+ *        PaymentEscrow       amount of funded and disputed escrows
+ *
+ * against its balance. The movements rebuilt from the events must add up to the
+ * same figure (deposits - payments - refunds - withdrawals), so a mismatch on
+ * either side is flagged: money that arrived outside the contract's functions,
+ * or movements the events do not account for.
+ */
+
+const RECONCILIATION_COLUMNS = [
+  "contract",
+  "token",
+  "balance",
+  "open",
+  "fees",
+  "expected",
+  "recorded",
+  "difference",
+  "status",
+];
+
+/// @dev SupplyChainPayment.OrderStatus values that still hold funds (Created, InProgress, Disputed)
+const OPEN_ORDER_STATUSES = [0n, 1n, 4n];
+
+/// @dev PaymentEscrow.EscrowStatus values that still hold funds (Funded, Disputed)
+const OPEN_ESCROW_STATUSES = [1n, 4n];
+
+const ERC20_ABI = ["function balanceOf(address account) view returns (uint256)"];
+
+async function balanceOf(provider, token, account) {
+  if (token === ETH) {
+    return provider.getBalance(account);
+  }
+  return new Contract(token, ERC20_ABI, provider).balanceOf(account);
+}
+
+/// @dev What the movements leave in a contract, per token
+function recordedHoldings(movements, contract) {
+  const held = new Map();
+  for (const { contract: source, type, token, amount } of movements) {
+    if (source === contract) {
+      held.set(token, (held.get(token) || 0n) + (type === "deposit" ? amount : -amount));
+    }
+  }
+  return held;
+}
+
+/**
+ * @notice Reconciles the payment contracts' balances with what they owe
+ * @param {Object} options
+ * @param {Contract} options.payment SupplyChainPayment contract
+ * @param {Contract} [options.escrow] PaymentEscrow contract
+ * @param {Object} options.ledger Result of collectMovements over the whole history of both contracts
+ * @return {Promise<{balanced: boolean, accounts: Object[]}>} One account per contract and token
+ *         (see RECONCILIATION_COLUMNS), status "ok" or "mismatch"; difference is balance - expected
+ */
+async function reconcile({ payment, escrow = null, ledger }) {
+  const provider = payment.runner.provider || payment.runner;
+  const accounts = [];
+
+  // `owed` maps each token the contract has dealt in to { open, fees }
+  const settle = async (name, contract, owed) => {
+    const address = await contract.getAddress();
+    const recorded = recordedHoldings(ledger.movements, name);
+    for (const token of new Set([ETH, ...owed.keys(), ...recorded.keys()])) {
+      const { open, fees } = owed.get(token) || { open: 0n, fees: 0n };
+      const balance = await balanceOf(provider, token, address);
+      const expected = open + fees;
+      const held = recorded.get(token) || 0n;
+      accounts.push({
+        contract: name,
+        token,
+        balance,
+        open,
+        fees,
+        expected,
+        recorded: held,
+        difference: balance - expected,
+        status: balance === expected && held === expected ? "ok" : "mismatch",
+      });
+    }
+  };
+  const owe = (owed, token) => {
+    const label = token === ZeroAddress ? ETH : token;
+    if (!owed.has(label)) {
+      owed.set(label, { open: 0n, fees: 0n });
+    }
+    return owed.get(label);
+  };
+
+  const owedByOrders = new Map([[ETH, { open: 0n, fees: await payment.totalPlatformFees() }]]);
+  const orderCount = await payment.orderCounter();
+  for (let id = 0n; id < orderCount; id++) {
+    const order = await payment.orders(id);
+    const owed = owe(owedByOrders, order.paymentToken);
+    if (OPEN_ORDER_STATUSES.includes(order.status)) {
+      owed.open += order.totalAmount - order.paidAmount;
+    }
+  }
+  for (const [token, owed] of owedByOrders) {
+    if (token !== ETH) {
+      owed.fees = await payment.tokenPlatformFees(token);
+    }
+  }
+  await settle("SupplyChainPayment", payment, owedByOrders);
+
+  if (escrow) {
+    const owedByEscrows = new Map();
+    for (const id of ledger.escrows.keys()) {
+      const held = await escrow.escrows(id);
+      const owed = owe(owedByEscrows, held.token);
+      if (OPEN_ESCROW_STATUSES.includes(held.status)) {
+        owed.open += held.amount;
+      }
+    }
+    await settle("PaymentEscrow", escrow, owedByEscrows);
+  }
+
+  return { balanced: accounts.every((account) => account.status === "ok"), accounts };
+}
+
+module.exports = {
+  RECONCILIATION_COLUMNS,
+  reconcile,
+};
@@ -0,0 +1,8 @@
+const { ROUTES, ApiError, handle, createServer } = require("./server");
+
+module.exports = {
+  ROUTES,
+  ApiError,
+  handle,
+  createServer,
+};
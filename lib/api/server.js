@@ -0,0 +1,299 @@
+const http = require("http");
+const { isAddress } = require("ethers");
+const { ORDER_STATUS } = require("../sdk");
+const { parseTime } = require("../cli/context");
+const { queries } = require("../indexer");
+
+/**
+ * @title Read-only HTTP API
+ * @dev JSON endpoints over the indexer store (see lib/indexer). Lists are
+ *      paginated with `limit`/`offset` and answer
+ *      `{ data, pagination: { limit, offset, next } }`, where `next` is the
+ *      offset of the following page or null; single records answer `{ data }`;
+ *      errors answer `{ error }` with a 4xx status.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// --- query parameters -------------------------------------------------------
+
+function address(value, name) {
+  if (value === undefined) return undefined;
+  if (!isAddress(value)) {
+    throw new ApiError(400, `Invalid ${name}: ${value}`);
+  }
+  return value;
+}
+
+function integer(value, name) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) {
+    throw new ApiError(400, `Invalid ${name}: ${value}`);
+  }
+  return Number(value);
+}
+
+function boolean(value, name) {
+  if (value === undefined) return undefined;
+  if (value !== "true" && value !== "false") {
+    throw new ApiError(400, `Invalid ${name}: ${value} (expected true or false)`);
+  }
+  return value === "true";
+}
+
+function time(value, name) {
+  if (value === undefined) return undefined;
+  try {
+    return Number(parseTime(value));
+  } catch (error) {
+    throw new ApiError(400, `Invalid ${name}: ${value} (use unix seconds or an ISO date)`);
+  }
+}
+
+function oneOf(value, allowed, name) {
+  if (value !== undefined && !allowed.includes(value)) {
+    throw new ApiError(400, `Invalid ${name}: ${value} (expected one of ${allowed.join(", ")})`);
+  }
+  return value;
+}
+
+function paging(query) {
+  const limit = integer(query.limit, "limit") ?? DEFAULT_LIMIT;
+  if (limit < 1 || limit > MAX_LIMIT) {
+    throw new ApiError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  return { limit, offset: integer(query.offset, "offset") ?? 0 };
+}
+
+function list(rows, { limit, offset }) {
+  return { data: rows, pagination: { limit, offset, next: rows.length === limit ? offset + limit : null } };
+}
+
+function found(record, what) {
+  if (!record) {
+    throw new ApiError(404, `${what} not found`);
+  }
+  return { data: record };
+}
+
+// --- routes -----------------------------------------------------------------
+
+/**
+ * @dev [path, handler(store, params, query, context)]; `:name` segments become params
+ */
+const ROUTES = [
+  [
+    "/status",
+    (store, params, query, { network, contracts }) => ({
+      data: {
+        network,
+        chainId: store.getMeta("chain_id"),
+        indexedBlock: store.getMeta("last_block") === null ? null : Number(store.getMeta("last_block")),
+        contracts,
+      },
+    }),
+  ],
+  [
+    "/orders",
+    (store, params, query) => {
+      const page = paging(query);
+      const rows = queries.listOrders(store, {
+        buyer: address(query.buyer, "buyer"),
+        supplier: address(query.supplier, "supplier"),
+        status: oneOf(query.status, ORDER_STATUS, "status"),
+        token: address(query.token, "token"),
+        createdFrom: time(query.from, "from"),
+        createdTo: time(query.to, "to"),
+        ...page,
+      });
+      return list(rows, page);
+    },
+  ],
+  ["/orders/:id", (store, { id }) => found(queries.getOrder(store, integer(id, "order ID")), `Order ${id}`)],
+  [
+    "/orders/:id/milestones",
+    (store, { id }) => {
+      const order = found(queries.getOrder(store, integer(id, "order ID")), `Order ${id}`).data;
+      return { data: order.milestones };
+    },
+  ],
+  [
+    "/suppliers",
+    (store, params, query) => {
+      const page = paging(query);
+      const rows = queries.listSuppliers(store, {
+        verified: boolean(query.verified, "verified"),
+        active: boolean(query.active, "active"),
+        category: query.category,
+        ...page,
+      });
+      return list(rows, page);
+    },
+  ],
+  [
+    "/suppliers/leaderboard",
+    (store, params, query) => {
+      const page = paging(query);
+      return list(queries.rankSuppliers(store, { minReviews: integer(query.minReviews, "minReviews"), ...page }), page);
+    },
+  ],
+  [
+    "/suppliers/:address",
+    (store, params) =>
+      found(queries.getSupplier(store, address(params.address, "address")), `Supplier ${params.address}`),
+  ],
+  [
+    "/suppliers/:address/reviews",
+    (store, params, query) => {
+      const page = paging(query);
+      return list(queries.listReviews(store, { supplier: address(params.address, "address"), ...page }), page);
+    },
+  ],
+  [
+    "/reviews",
+    (store, params, query) => {
+      const page = paging(query);
+      const rows = queries.listReviews(store, {
+        supplier: address(query.supplier, "supplier"),
+        reviewer: address(query.reviewer, "reviewer"),
+        verified: boolean(query.verified, "verified"),
+        ...page,
+      });
+      return list(rows, page);
+    },
+  ],
+  [
+    "/products",
+    (store, params, query) => {
+      const page = paging(query);
+      const rows = queries.listProducts(store, {
+        supplier: address(query.supplier, "supplier"),
+        category: query.category,
+        active: boolean(query.active, "active"),
+        inStock: boolean(query.inStock, "inStock"),
+        ...page,
+      });
+      return list(rows, page);
+    },
+  ],
+  ["/products/:id", (store, { id }) => found(queries.getProduct(store, integer(id, "product ID")), `Product ${id}`)],
+  [
+    "/shipments",
+    (store, params, query) => {
+      const page = paging(query);
+      const rows = queries.listShipments(store, {
+        orderId: integer(query.orderId, "orderId"),
+        status: query.status,
+        ...page,
+      });
+      return list(rows, page);
+    },
+  ],
+  // Numeric IDs or tracking numbers
+  ["/shipments/:id", (store, { id }) => found(queries.getShipment(store, id), `Shipment ${id}`)],
+  [
+    "/escrows",
+    (store, params, query) => {
+      const page = paging(query);
+      const rows = queries.listEscrows(store, {
+        orderId: integer(query.orderId, "orderId"),
+        buyer: address(query.buyer, "buyer"),
+        seller: address(query.seller, "seller"),
+        status: query.status,
+        ...page,
+      });
+      return list(rows, page);
+    },
+  ],
+  [
+    "/policies",
+    (store, params, query) => {
+      const page = paging(query);
+      const rows = queries.listPolicies(store, {
+        shipmentId: integer(query.shipmentId, "shipmentId"),
+        status: query.status,
+        ...page,
+      });
+      return list(rows, page);
+    },
+  ],
+  ["/policies/:id", (store, { id }) => found(queries.getPolicy(store, integer(id, "policy ID")), `Policy ${id}`)],
+];
+
+const MATCHERS = ROUTES.map(([pattern, handler]) => {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return "([^/]+)";
+  });
+  return { regex: new RegExp(`^${source}/?$`), names, handler };
+});
+
+/**
+ * @notice Resolves one request
+ * @return {{status: number, body: Object}}
+ */
+function handle(store, method, url, context) {
+  const { pathname, searchParams } = new URL(url, "http://localhost");
+  if (method !== "GET") {
+    return { status: 405, body: { error: `${method} is not supported; this API is read-only` } };
+  }
+  for (const { regex, names, handler } of MATCHERS) {
+    const match = pathname.match(regex);
+    if (!match) continue;
+
+    const params = Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+    try {
+      return { status: 200, body: handler(store, params, Object.fromEntries(searchParams), context) };
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return { status: error.status, body: { error: error.message } };
+      }
+      throw error;
+    }
+  }
+  return { status: 404, body: { error: `No route for ${pathname}` } };
+}
+
+/**
+ * @notice Creates the HTTP server (call `listen` on the result)
+ * @param {Object} options
+ * @param {Store} options.store Indexer store to read from
+ * @param {string} [options.network] Network name reported by /status
+ * @param {Object} [options.contracts] Deployed addresses reported by /status
+ * @param {string} [options.cors] Access-Control-Allow-Origin value; null to omit the header
+ * @param {Function} [options.log] Error logger
+ * @return {http.Server}
+ */
+function createServer({ store, network = null, contracts = {}, cors = "*", log = console.error }) {
+  return http.createServer((request, response) => {
+    let result;
+    try {
+      result = handle(store, request.method, request.url, { network, contracts });
+    } catch (error) {
+      log(error);
+      result = { status: 500, body: { error: "Internal error" } };
+    }
+    const headers = { "Content-Type": "application/json" };
+    if (cors) {
+      headers["Access-Control-Allow-Origin"] = cors;
+    }
+    response.writeHead(result.status, headers);
+    response.end(JSON.stringify(result.body));
+  });
+}
+
+module.exports = {
+  ROUTES,
+  ApiError,
+  handle,
+  createServer,
+};
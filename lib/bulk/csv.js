@@ -0,0 +1,79 @@
+/**
+ * @title CSV
+ * @dev Minimal RFC 4180 reading and writing, shared by the bulk sheets and the
+ *      carrier feeds (lib/oracle/feed).
+ */
+
+/**
+ * @notice Splits CSV text into records keyed by the header row
+ * @dev Supports quoted fields with embedded commas, quotes ("") and newlines.
+ *      Blank lines are skipped; cells and header names are trimmed.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error("Unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+  if (!header) {
+    return [];
+  }
+  return records.map((cells) => Object.fromEntries(header.map((name, i) => [name.trim(), (cells[i] || "").trim()])));
+}
+
+function quote(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @notice Writes records as CSV with a header row
+ * @param {Object[]} records Plain objects
+ * @param {string[]} columns Keys to write, in order
+ * @return {string}
+ */
+function formatCsv(records, columns) {
+  return [columns, ...records.map((record) => columns.map((column) => record[column]))]
+    .map((cells) => cells.map(quote).join(","))
+    .join("\n")
+    .concat("\n");
+}
+
+module.exports = {
+  parseCsv,
+  formatCsv,
+};
@@ -0,0 +1,104 @@
+const { parseEther } = require("ethers");
+
+/**
+ * @title Row fields
+ * @dev Validation of the cells of a bulk sheet. Each parser returns the
+ *      normalized value or throws a RowError naming the column.
+ */
+
+/// @notice A row that cannot be imported; the rest of the sheet still is
+class RowError extends Error {}
+
+/// @dev IPFS CIDv0 (base58btc, "Qm...") or CIDv1 in base32 ("b...", e.g. "bafy...")
+const IPFS_CID = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/;
+
+const blank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+function text(row, column, { required = false, max = 256 } = {}) {
+  const value = blank(row[column]) ? "" : String(row[column]).trim();
+  if (required && !value) {
+    throw new RowError(`${column} is required`);
+  }
+  if (value.length > max) {
+    throw new RowError(`${column} is longer than ${max} characters`);
+  }
+  return value;
+}
+
+/**
+ * @notice IPFS reference, with or without an `ipfs://` prefix; empty is allowed
+ * @return {string} The bare CID, or ""
+ */
+function ipfsHash(row, column) {
+  const value = text(row, column).replace(/^ipfs:\/\//, "");
+  if (value && !IPFS_CID.test(value)) {
+    throw new RowError(`${column} must be an IPFS CID (Qm... or b...), got ${row[column]}`);
+  }
+  return value;
+}
+
+/**
+ * @notice Positive amount in ETH ("0.05")
+ * @return {bigint} Amount in wei
+ */
+function etherAmount(row, column) {
+  const value = text(row, column, { required: true });
+  if (!/^\d+(\.\d{1,18})?$/.test(value) || parseEther(value) === 0n) {
+    throw new RowError(`${column} must be a positive amount in ETH with at most 18 decimals, got ${value}`);
+  }
+  return parseEther(value);
+}
+
+function integer(row, column, { required = false } = {}) {
+  if (blank(row[column])) {
+    if (required) {
+      throw new RowError(`${column} is required`);
+    }
+    return null;
+  }
+  const value = String(row[column]).trim();
+  if (!/^\d+$/.test(value)) {
+    throw new RowError(`${column} must be a whole number, got ${value}`);
+  }
+  return BigInt(value);
+}
+
+/**
+ * @notice true/false, yes/no or 1/0; blank leaves the on-chain value as it is
+ * @return {boolean|null}
+ */
+function boolean(row, column) {
+  if (blank(row[column])) {
+    return null;
+  }
+  const value = String(row[column]).trim().toLowerCase();
+  if (["true", "yes", "1"].includes(value)) return true;
+  if (["false", "no", "0"].includes(value)) return false;
+  throw new RowError(`${column} must be true or false, got ${row[column]}`);
+}
+
+/**
+ * @notice Array, or ";"-separated list in a CSV cell
+ * @return {string[]} Trimmed, non-empty, without duplicates
+ */
+function list(row, column, { max = 64 } = {}) {
+  const value = row[column];
+  const items = blank(value) ? [] : Array.isArray(value) ? value.map(String) : String(value).split(";");
+  const unique = [...new Set(items.map((item) => item.trim()).filter(Boolean))];
+  const long = unique.find((item) => item.length > max);
+  if (long) {
+    throw new RowError(`${column} entry "${long}" is longer than ${max} characters`);
+  }
+  return unique;
+}
+
+module.exports = {
+  RowError,
+  IPFS_CID,
+  text,
+  ipfsHash,
+  etherAmount,
+  integer,
+  boolean,
+  list,
+};
@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { reasonOf } = require("../sdk/errors");
+const { RowError } = require("./fields");
+
+/**
+ * @title Bulk importer
+ * @dev Applies the rows of a sheet to a contract, row by row, in batches.
+ *
+ * Every row is validated, then planned against the chain: the plan is the
+ * list of transactions that make the on-chain record match the row (nothing
+ * for rows that already match). Transactions are sent one after the other
+ * and each is awaited, so a row's later transactions see its earlier ones.
+ * A row whose plan or transaction fails is reported and the import moves on.
+ *
+ * After every batch the outcome of the rows applied so far is written to
+ * `progressFile`, keyed by the sheet's hash. Importing the same sheet again
+ * skips those rows ("resumed"), so an interrupted import picks up where it
+ * stopped; failed and invalid rows are tried again. Plans are computed from
+ * the chain, so even a row that was sent but not recorded is not applied twice.
+ */
+
+/// @dev Outcomes kept in the progress file
+const APPLIED = ["added", "updated", "deactivated", "registered", "unchanged"];
+
+/**
+ * @notice Fingerprint of a sheet's contents, naming its progress
+ */
+function sheetHash(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * @notice Imports validated, planned rows
+ * @param {Object} options
+ * @param {Object[]} options.rows Rows as read from the sheet
+ * @param {string} options.sheet Hash of the sheet (see sheetHash)
+ * @param {Contract} options.contract Contract the actions are sent to, connected to the importing account
+ * @param {Function} options.validate `(row) => values`, throwing a RowError for invalid rows
+ * @param {Function} options.identify `(row, values) => fields` naming the row in the report
+ * @param {Function} options.plan `async (values) => { status, actions, ...fields }`, throwing a RowError
+ *        when the row cannot apply (see planProduct, planSupplier)
+ * @param {Function} [options.target] `(values) => key` of the on-chain record a row changes; once a row
+ *        is planned, later rows changing the same record are refused
+ * @param {Function} [options.settled] `(result, receipts)` completes a result from its receipts
+ * @param {number} [options.batchSize] Rows applied between progress checkpoints
+ * @param {string} [options.progressFile] JSON file of applied rows (none when omitted)
+ * @param {boolean} [options.dryRun] Only plan: report the transactions without sending them
+ * @param {Function} [options.log] Progress logger
+ * @return {Promise<Object[]>} One result per row: `{ row, status, ...fields, actions, transactions, error }`,
+ *         row being 1-based and status one of APPLIED, "planned", "invalid" or "failed"
+ */
+async function importRows({
+  rows,
+  sheet,
+  contract,
+  validate,
+  identify,
+  plan,
+  target = null,
+  settled = () => {},
+  batchSize = 20,
+  progressFile = null,
+  dryRun = false,
+  log = () => {},
+}) {
+  const saved = progressFile && fs.existsSync(progressFile) ? JSON.parse(fs.readFileSync(progressFile, "utf8")) : null;
+  const done = saved && saved.sheet === sheet ? saved.rows : {};
+  const targets = new Map();
+  const results = [];
+
+  const save = () => {
+    if (!progressFile || dryRun) {
+      return;
+    }
+    const rowsDone = Object.fromEntries(
+      results.filter((result) => APPLIED.includes(result.status)).map((result) => [result.row, result])
+    );
+    fs.mkdirSync(path.dirname(progressFile), { recursive: true });
+    const plain = (key, value) => (typeof value === "bigint" ? value.toString() : value);
+    fs.writeFileSync(progressFile, JSON.stringify({ sheet, rows: rowsDone }, plain, 2));
+  };
+
+  for (let start = 0; start < rows.length; start += batchSize) {
+    for (const [offset, row] of rows.slice(start, start + batchSize).entries()) {
+      const number = start + offset + 1;
+      if (done[number]) {
+        results.push({ ...done[number], resumed: true });
+        continue;
+      }
+
+      let values = null;
+      const result = { row: number, status: null, actions: [], transactions: [], error: null };
+      results.push(result);
+      try {
+        values = validate(row);
+        Object.assign(result, identify(row, values));
+        const key = target ? target(values) : null;
+        if (targets.has(key)) {
+          throw new RowError(`Row ${targets.get(key)} already changes ${key}`);
+        }
+        const { status, actions, ...fields } = await plan(values);
+        if (key !== null) {
+          targets.set(key, number);
+        }
+        Object.assign(result, fields, { actions: actions.map((action) => action.method) });
+
+        if (dryRun) {
+          result.status = actions.length === 0 ? status : "planned";
+          continue;
+        }
+        const receipts = [];
+        for (const { method, args } of actions) {
+          const tx = await contract[method](...args);
+          result.transactions.push(tx.hash);
+          receipts.push(await tx.wait());
+        }
+        settled(result, receipts);
+        result.status = status;
+      } catch (error) {
+        Object.assign(result, values ? {} : identify(row, null));
+        result.status = error instanceof RowError ? "invalid" : "failed";
+        result.error = error instanceof RowError ? error.message : reasonOf(error, contract.interface);
+      }
+    }
+    save();
+    log(`Rows ${start + 1}-${Math.min(start + batchSize, rows.length)} of ${rows.length} done`);
+  }
+  return results;
+}
+
+/**
+ * @notice Counts results by status
+ * @return {Object} e.g. `{ rows: 12, added: 3, updated: 2, unchanged: 6, invalid: 1, resumed: 0 }`
+ */
+function summarize(results) {
+  const summary = { rows: results.length, resumed: results.filter((result) => result.resumed).length };
+  for (const { status } of results) {
+    summary[status] = (summary[status] || 0) + 1;
+  }
+  return summary;
+}
+
+module.exports = {
+  APPLIED,
+  sheetHash,
+  importRows,
+  summarize,
+};
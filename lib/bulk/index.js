@@ -0,0 +1,147 @@
+const fs = require("fs");
+const { RowError, IPFS_CID } = require("./fields");
+const { SheetError, formatOf, parseSheet, readSheet, writeSheet } = require("./sheets");
+const {
+  PRODUCT_COLUMNS,
+  PRODUCT_EXPORT_COLUMNS,
+  validateProduct,
+  loadProducts,
+  planProduct,
+  productRow,
+} = require("./products");
+const { SUPPLIER_COLUMNS, validateSupplier, loadSupplier, loadSuppliers, planSupplier } = require("./suppliers");
+const { sheetHash, importRows, summarize } = require("./importer");
+
+/**
+ * @title Bulk import/export
+ * @dev CSV/JSON sheets of ProductCatalog products and SupplierRegistry
+ *      suppliers (see products.js and suppliers.js for the columns). Imports
+ *      diff every row against the chain and only send what changed; exports
+ *      write the same columns, so an exported sheet imports as unchanged.
+ */
+
+const PRODUCT_REPORT_COLUMNS = ["row", "status", "productId", "name", "actions", "transactions", "error"];
+const SUPPLIER_REPORT_COLUMNS = ["row", "status", "address", "actions", "transactions", "error"];
+
+/**
+ * @notice Imports a product sheet as the supplier the catalog is connected to
+ * @param {Contract} catalog ProductCatalog connected to the supplier's account
+ * @param {string} file Sheet (.csv or .json)
+ * @param {Object} [options] batchSize, progressFile, dryRun and log (see importRows);
+ *        categories restricts the allowed categories
+ * @return {Promise<{summary: Object, results: Object[]}>}
+ */
+async function importProducts(catalog, file, { categories, ...options } = {}) {
+  const text = fs.readFileSync(file, "utf8");
+  const rows = parseSheet(text, { format: formatOf(file), columns: PRODUCT_COLUMNS, kind: "products" });
+  const supplier = await catalog.runner.getAddress();
+  const existing = await loadProducts(catalog, { supplier });
+
+  const results = await importRows({
+    ...options,
+    rows,
+    sheet: sheetHash(text),
+    contract: catalog,
+    validate: (row) => validateProduct(row, { categories }),
+    identify: (row, values) => ({
+      productId: values && values.productId !== null ? Number(values.productId) : null,
+      name: values ? values.name : row.name || null,
+    }),
+    plan: async (values) => {
+      const { productId, ...plan } = planProduct(values, existing);
+      return { ...plan, productId: productId === null ? null : Number(productId) };
+    },
+    target: (values) => {
+      const match = existing.find((product) =>
+        values.productId !== null ? product.productId === values.productId : product.name === values.name
+      );
+      return match ? `product ${match.productId}` : `new product "${values.name}"`;
+    },
+    settled: (result, receipts) => {
+      for (const log of receipts.flatMap((receipt) => receipt.logs)) {
+        const event = catalog.interface.parseLog(log);
+        if (event && event.name === "ProductAdded") {
+          result.productId = Number(event.args.productId);
+        }
+      }
+    },
+  });
+  return { summary: summarize(results), results };
+}
+
+/**
+ * @notice Imports a supplier sheet as the account the registry is connected to
+ * @param {Contract} registry SupplierRegistry connected to the importing account
+ * @param {string} file Sheet (.csv or .json)
+ * @param {Object} [options] batchSize, progressFile, dryRun and log (see importRows)
+ * @return {Promise<{summary: Object, results: Object[]}>}
+ */
+async function importSuppliers(registry, file, options = {}) {
+  const text = fs.readFileSync(file, "utf8");
+  const rows = parseSheet(text, { format: formatOf(file), columns: SUPPLIER_COLUMNS, kind: "suppliers" });
+  const sender = await registry.runner.getAddress();
+  const accounts = {
+    sender,
+    owner: await registry.owner(),
+    verifier: await registry.hasRole(await registry.VERIFIER_ROLE(), sender),
+  };
+
+  const results = await importRows({
+    ...options,
+    rows,
+    sheet: sheetHash(text),
+    contract: registry,
+    validate: validateSupplier,
+    identify: (row, values) => ({ address: values ? values.address : row.address || null }),
+    plan: async (values) => planSupplier(values, await loadSupplier(registry, values.address), accounts),
+    target: (values) => values.address,
+  });
+  return { summary: summarize(results), results };
+}
+
+/**
+ * @notice Writes the catalog to a sheet
+ * @param {Object} [options]
+ * @param {string} [options.supplier] Only this supplier's products
+ * @return {Promise<number>} Products written
+ */
+async function exportProducts(catalog, file, { supplier } = {}) {
+  const products = await loadProducts(catalog, { supplier });
+  writeSheet(file, products.map(productRow), PRODUCT_EXPORT_COLUMNS);
+  return products.length;
+}
+
+/**
+ * @notice Writes every registered supplier to a sheet
+ * @return {Promise<number>} Suppliers written
+ */
+async function exportSuppliers(registry, file) {
+  const suppliers = await loadSuppliers(registry);
+  writeSheet(file, suppliers, SUPPLIER_COLUMNS);
+  return suppliers.length;
+}
+
+module.exports = {
+  RowError,
+  SheetError,
+  IPFS_CID,
+  PRODUCT_COLUMNS,
+  PRODUCT_EXPORT_COLUMNS,
+  PRODUCT_REPORT_COLUMNS,
+  SUPPLIER_COLUMNS,
+  SUPPLIER_REPORT_COLUMNS,
+  parseSheet,
+  readSheet,
+  writeSheet,
+  validateProduct,
+  validateSupplier,
+  planProduct,
+  planSupplier,
+  loadProducts,
+  loadSuppliers,
+  importRows,
+  importProducts,
+  importSuppliers,
+  exportProducts,
+  exportSuppliers,
+};
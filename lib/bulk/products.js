@@ -0,0 +1,166 @@
+const { formatEther } = require("ethers");
+const { RowError, text, ipfsHash, etherAmount, integer, boolean } = require("./fields");
+
+/**
+ * @title Product sheets
+ * @dev Rows of a ProductCatalog sheet, and how one maps onto the catalog.
+ *
+ * Columns: productId, name, description, imageHash, category, price (ETH),
+ * inventory, active. A row is matched to an existing product of the importing
+ * supplier by `productId` when given, otherwise by name (names cannot change
+ * on-chain). New products are added with `addProduct`; for existing ones only
+ * what differs is sent: `updateProduct` (description, image, category),
+ * `updatePrice`, `updateInventory`, and `deactivateProduct` for `active=false`.
+ */
+
+const PRODUCT_COLUMNS = ["productId", "name", "description", "imageHash", "category", "price", "inventory", "active"];
+
+/// @dev Exports also name the supplier; imports ignore it (products belong to the importing account)
+const PRODUCT_EXPORT_COLUMNS = ["productId", "supplier", ...PRODUCT_COLUMNS.slice(1)];
+
+/**
+ * @notice Validates a product row
+ * @param {Object} row Row as read from the sheet
+ * @param {Object} [options]
+ * @param {string[]} [options.categories] Allowed categories (any when omitted)
+ * @return {Object} `{ productId, name, description, imageHash, category, price, inventory, active }`,
+ *         productId null when not given, price in wei, active true unless the row says false
+ */
+function validateProduct(row, { categories } = {}) {
+  const values = {
+    productId: integer(row, "productId"),
+    name: text(row, "name", { required: true, max: 100 }),
+    description: text(row, "description", { max: 1000 }),
+    imageHash: ipfsHash(row, "imageHash"),
+    category: text(row, "category", { required: true, max: 64 }),
+    price: etherAmount(row, "price"),
+    inventory: integer(row, "inventory", { required: true }),
+    active: boolean(row, "active") !== false,
+  };
+  if (categories && !categories.includes(values.category)) {
+    throw new RowError(`category must be one of ${categories.join(", ")}, got ${values.category}`);
+  }
+  return values;
+}
+
+/**
+ * @notice Reads products from the catalog
+ * @param {Contract} catalog ProductCatalog contract
+ * @param {Object} [options]
+ * @param {string} [options.supplier] Only this supplier's products (default: every product)
+ * @return {Promise<Object[]>} `{ productId, supplier, name, description, imageHash, category, price, inventory,
+ *         active }`
+ */
+async function loadProducts(catalog, { supplier } = {}) {
+  const ids = supplier
+    ? await catalog.getProductsBySupplier(supplier)
+    : Array.from({ length: Number(await catalog.productCounter()) }, (_, id) => BigInt(id));
+  const products = [];
+  for (const id of ids) {
+    const product = await catalog.getProduct(id);
+    products.push({
+      productId: product.productId,
+      supplier: product.supplier,
+      name: product.name,
+      description: product.description,
+      imageHash: product.imageHash,
+      category: product.category,
+      price: product.price,
+      inventory: product.inventory,
+      active: product.isActive,
+    });
+  }
+  return products;
+}
+
+/**
+ * @notice Decides the transactions that bring the catalog in line with a row
+ * @param {Object} values Validated row (see validateProduct)
+ * @param {Object[]} existing The importing supplier's products (see loadProducts)
+ * @return {{status: string, productId: bigint|null, actions: {method: string, args: Array}[]}}
+ *         status "added", "updated", "deactivated" or "unchanged"; throws a RowError when the row cannot apply
+ */
+function planProduct(values, existing) {
+  let product;
+  if (values.productId !== null) {
+    product = existing.find((candidate) => candidate.productId === values.productId);
+    if (!product) {
+      throw new RowError(`Product ${values.productId} is not one of the supplier's products`);
+    }
+    if (product.name !== values.name) {
+      throw new RowError(`Product ${values.productId} is named "${product.name}"; names cannot change`);
+    }
+  } else {
+    const named = existing.filter((candidate) => candidate.name === values.name);
+    const active = named.filter((candidate) => candidate.active);
+    if (active.length > 1) {
+      throw new RowError(`Several active products are named "${values.name}"; give the productId`);
+    }
+    product = active[0] || named[named.length - 1];
+  }
+
+  if (!product) {
+    if (!values.active) {
+      return { status: "unchanged", productId: null, actions: [] };
+    }
+    const { name, description, imageHash, category, price, inventory } = values;
+    return {
+      status: "added",
+      productId: null,
+      actions: [{ method: "addProduct", args: [name, description, imageHash, category, price, inventory] }],
+    };
+  }
+
+  const { productId } = product;
+  if (!product.active) {
+    if (values.active) {
+      throw new RowError(`Product ${productId} is deactivated and cannot be updated`);
+    }
+    return { status: "unchanged", productId, actions: [] };
+  }
+
+  if (!values.active) {
+    return { status: "deactivated", productId, actions: [{ method: "deactivateProduct", args: [productId] }] };
+  }
+  const actions = [];
+  if (
+    product.description !== values.description ||
+    product.imageHash !== values.imageHash ||
+    product.category !== values.category
+  ) {
+    actions.push({ method: "updateProduct", args: [productId, values.description, values.imageHash, values.category] });
+  }
+  if (product.price !== values.price) {
+    actions.push({ method: "updatePrice", args: [productId, values.price] });
+  }
+  if (product.inventory !== values.inventory) {
+    actions.push({ method: "updateInventory", args: [productId, values.inventory] });
+  }
+  return { status: actions.length === 0 ? "unchanged" : "updated", productId, actions };
+}
+
+/**
+ * @notice Sheet row of a product (see loadProducts), in the import's format
+ */
+function productRow(product) {
+  return {
+    productId: Number(product.productId),
+    supplier: product.supplier,
+    name: product.name,
+    description: product.description,
+    imageHash: product.imageHash,
+    category: product.category,
+    price: formatEther(product.price),
+    inventory: product.inventory.toString(),
+    active: product.active,
+  };
+}
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  PRODUCT_EXPORT_COLUMNS,
+  validateProduct,
+  loadProducts,
+  planProduct,
+  productRow,
+};
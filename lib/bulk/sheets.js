@@ -0,0 +1,105 @@
+const fs = require("fs");
+const path = require("path");
+const { parseCsv, formatCsv } = require("./csv");
+
+/**
+ * @title Sheets
+ * @dev Reads and writes the CSV and JSON sheets of the bulk import/export.
+ *      The format follows the file extension (`.csv`, anything else is JSON).
+ *      JSON sheets are an array of rows, or an object holding one under the
+ *      sheet's kind (`{ "products": [...] }`). Column names are matched
+ *      loosely: `imageHash`, `image_hash` and `Image Hash` are the same column.
+ */
+
+/// @notice A sheet that cannot be read at all; no row of it is imported
+class SheetError extends Error {}
+
+const looseKey = (key) => String(key).replace(/[\s_-]+/g, "").toLowerCase();
+
+function formatOf(file, format) {
+  return format || (path.extname(file).toLowerCase() === ".csv" ? "csv" : "json");
+}
+
+/**
+ * @notice Parses a sheet into rows keyed by the given columns
+ * @param {string} text Sheet contents
+ * @param {Object} options
+ * @param {string} options.format "csv" or "json"
+ * @param {string[]} options.columns Known columns; others are dropped
+ * @param {string} [options.kind] Key of the rows in an object-shaped JSON sheet
+ * @return {Object[]} Rows with the values as given (strings from CSV, any JSON type from JSON)
+ */
+function parseSheet(text, { format, columns, kind }) {
+  let records;
+  if (format === "csv") {
+    try {
+      records = parseCsv(text);
+    } catch (error) {
+      throw new SheetError(`${error.message} in CSV sheet`);
+    }
+  } else {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new SheetError(`Invalid JSON sheet: ${error.message}`);
+    }
+    records = Array.isArray(parsed) ? parsed : parsed && parsed[kind];
+    if (!Array.isArray(records) || records.some((record) => !record || typeof record !== "object")) {
+      throw new SheetError(`A JSON sheet is an array of rows${kind ? ` or { "${kind}": [...] }` : ""}`);
+    }
+  }
+
+  const byKey = Object.fromEntries(columns.map((column) => [looseKey(column), column]));
+  return records.map((record) => {
+    const row = {};
+    for (const [key, value] of Object.entries(record)) {
+      const column = byKey[looseKey(key)];
+      if (column) {
+        row[column] = value;
+      }
+    }
+    return row;
+  });
+}
+
+/**
+ * @notice Reads a sheet file (see parseSheet)
+ */
+function readSheet(file, { format, columns, kind }) {
+  return parseSheet(fs.readFileSync(file, "utf8"), { format: formatOf(file, format), columns, kind });
+}
+
+/**
+ * @notice Writes rows to a sheet file
+ * @dev CSV cells join arrays with ";"; JSON keeps the values' types
+ * @param {string} file Destination; its extension picks the format unless `format` is given
+ * @param {Object[]} rows Plain objects (bigints are written as decimal strings)
+ * @param {string[]} columns Columns to write, in order
+ */
+function writeSheet(file, rows, columns, { format } = {}) {
+  const plain = rows.map((row) =>
+    Object.fromEntries(
+      columns.map((column) => {
+        const value = row[column];
+        return [column, typeof value === "bigint" ? value.toString() : value === undefined ? null : value];
+      })
+    )
+  );
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  if (formatOf(file, format) === "csv") {
+    const cell = (value) => (Array.isArray(value) ? value.join(";") : value);
+    const cells = plain.map((row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, cell(value)])));
+    fs.writeFileSync(file, formatCsv(cells, columns));
+  } else {
+    fs.writeFileSync(file, `${JSON.stringify(plain, null, 2)}\n`);
+  }
+}
+
+module.exports = {
+  SheetError,
+  formatOf,
+  parseSheet,
+  readSheet,
+  writeSheet,
+};
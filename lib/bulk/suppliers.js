@@ -0,0 +1,174 @@
+const { ZeroAddress, isAddress, getAddress } = require("ethers");
+const { RowError, text, ipfsHash, boolean, list } = require("./fields");
+
+/**
+ * @title Supplier sheets
+ * @dev Rows of a SupplierRegistry sheet, and how one maps onto the registry.
+ *
+ * Columns: address, businessName, contactEmail, businessAddress, documentHash,
+ * categories and tags (arrays, or ";"-separated in CSV), verified, active.
+ * The registry splits who may change what, so a row only goes through if the
+ * importing account may send every transaction it needs:
+ *
+ *  - the supplier itself: `registerSupplier`, `updateProfile` (contact email,
+ *    business address, document hash) and `addTag`
+ *  - the registry owner: `addCategory`
+ *  - a verifier (VERIFIER_ROLE holder): `verifySupplier` and `deactivateSupplier`
+ *
+ * Categories and tags are only ever added; a supplier cannot be unverified or
+ * reactivated, and its business name cannot change.
+ */
+
+const SUPPLIER_COLUMNS = [
+  "address",
+  "businessName",
+  "contactEmail",
+  "businessAddress",
+  "documentHash",
+  "categories",
+  "tags",
+  "verified",
+  "active",
+];
+
+/**
+ * @notice Validates a supplier row
+ * @return {Object} The row's values with address checksummed, categories and tags as arrays,
+ *         and verified/active null when blank (left as they are)
+ */
+function validateSupplier(row) {
+  const address = text(row, "address", { required: true });
+  if (!isAddress(address) || getAddress(address) === ZeroAddress) {
+    throw new RowError(`address must be an account address, got ${address}`);
+  }
+  const contactEmail = text(row, "contactEmail", { required: true, max: 254 });
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contactEmail)) {
+    throw new RowError(`contactEmail must be an email address, got ${contactEmail}`);
+  }
+  return {
+    address: getAddress(address),
+    businessName: text(row, "businessName", { required: true, max: 100 }),
+    contactEmail,
+    businessAddress: text(row, "businessAddress"),
+    documentHash: ipfsHash(row, "documentHash"),
+    categories: list(row, "categories"),
+    tags: list(row, "tags"),
+    verified: boolean(row, "verified"),
+    active: boolean(row, "active"),
+  };
+}
+
+/**
+ * @notice Reads a supplier's registry profile
+ * @return {Promise<Object|null>} Same shape as validateSupplier, or null if the address is not registered
+ */
+async function loadSupplier(registry, address) {
+  const profile = await registry.suppliers(address);
+  if (profile.supplierAddress === ZeroAddress) {
+    return null;
+  }
+  return {
+    address: profile.supplierAddress,
+    businessName: profile.businessName,
+    contactEmail: profile.contactEmail,
+    businessAddress: profile.businessAddress,
+    documentHash: profile.documentHash,
+    categories: [...(await registry.getSupplierCategories(address))],
+    tags: [...(await registry.getSupplierTags(address))],
+    verified: profile.isVerified,
+    active: profile.isActive,
+  };
+}
+
+/**
+ * @notice Reads every registered supplier, in registration order
+ */
+async function loadSuppliers(registry) {
+  const suppliers = [];
+  for (const address of await registry.getAllSuppliers()) {
+    suppliers.push(await loadSupplier(registry, address));
+  }
+  return suppliers;
+}
+
+/**
+ * @notice Decides the transactions that bring the registry in line with a row
+ * @param {Object} values Validated row (see validateSupplier)
+ * @param {Object|null} existing The supplier's current profile (see loadSupplier)
+ * @param {Object} accounts
+ * @param {string} accounts.sender Importing account
+ * @param {string} accounts.owner Registry owner
+ * @param {boolean} accounts.verifier Whether the importing account holds VERIFIER_ROLE
+ * @return {{status: string, actions: {method: string, args: Array}[]}} status "registered", "updated"
+ *         or "unchanged"; throws a RowError when the row cannot apply or needs another account
+ */
+function planSupplier(values, existing, { sender, owner, verifier }) {
+  const { address } = values;
+  const steps = [];
+  const supplierStep = (method, args) => steps.push({ method, args, by: "supplier" });
+  const ownerStep = (method, args) => steps.push({ method, args, by: "owner" });
+  const verifierStep = (method, args) => steps.push({ method, args, by: "verifier" });
+
+  if (!existing) {
+    supplierStep("registerSupplier", [
+      values.businessName,
+      values.contactEmail,
+      values.businessAddress,
+      values.documentHash,
+    ]);
+  } else {
+    if (existing.businessName !== values.businessName) {
+      throw new RowError(`Registered as "${existing.businessName}"; the business name cannot change`);
+    }
+    if (values.verified === false && existing.verified) {
+      throw new RowError("Already verified; a supplier cannot be unverified");
+    }
+    if (values.active === true && !existing.active) {
+      throw new RowError("Deactivated; a supplier cannot be reactivated");
+    }
+    if (
+      existing.contactEmail !== values.contactEmail ||
+      existing.businessAddress !== values.businessAddress ||
+      existing.documentHash !== values.documentHash
+    ) {
+      supplierStep("updateProfile", [values.contactEmail, values.businessAddress, values.documentHash]);
+    }
+  }
+
+  const current = existing || { categories: [], tags: [], verified: false, active: true };
+  for (const tag of values.tags.filter((tag) => !current.tags.includes(tag))) {
+    supplierStep("addTag", [tag]);
+  }
+  for (const category of values.categories.filter((category) => !current.categories.includes(category))) {
+    ownerStep("addCategory", [address, category]);
+  }
+  if (values.verified && !current.verified) {
+    verifierStep("verifySupplier", [address]);
+  }
+  if (values.active === false && current.active) {
+    verifierStep("deactivateSupplier", [address]);
+  }
+
+  const allowed = { supplier: sender === address, owner: sender === owner, verifier: Boolean(verifier) };
+  const denied = steps.filter((step) => !allowed[step.by]);
+  if (denied.length > 0) {
+    const who = {
+      supplier: `the supplier (${address})`,
+      owner: `the registry owner (${owner})`,
+      verifier: "a verifier (VERIFIER_ROLE)",
+    }[denied[0].by];
+    const methods = [...new Set(denied.map((step) => step.method))].join(", ");
+    throw new RowError(`${methods} must be sent by ${who}; import this row from that account`);
+  }
+
+  const status = steps.length === 0 ? "unchanged" : existing ? "updated" : "registered";
+  return { status, actions: steps.map(({ method, args }) => ({ method, args })) };
+}
+
+module.exports = {
+  SUPPLIER_COLUMNS,
+  validateSupplier,
+  loadSupplier,
+  loadSuppliers,
+  planSupplier,
+};
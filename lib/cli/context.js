@@ -0,0 +1,129 @@
+const { recordPath, loadRecord } = require("../deployment/record");
+const { OrderClient } = require("../sdk");
+
+/**
+ * @title CLI context
+ * @dev Shared plumbing for the operator commands in tasks/cli: finds contract
+ *      addresses in the deployment record, picks the sending account and
+ *      parses user input.
+ */
+
+/**
+ * @notice Builds the context for one command invocation
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} args Task arguments (`deployment`, `from`)
+ */
+function createContext(hre, { deployment, from } = {}) {
+  let record;
+  let signer;
+
+  const context = {
+    hre,
+
+    /// @notice Deployment record in use (deployment-<network>.json unless --deployment is given)
+    record() {
+      if (!record) {
+        const file = deployment || recordPath(hre);
+        record = loadRecord(file);
+        if (!record) {
+          throw new Error(`No deployment record at ${file}; deploy first or pass --deployment`);
+        }
+      }
+      return record;
+    },
+
+    address(name) {
+      const address = context.record().contracts[name];
+      if (!address) {
+        throw new Error(`${name} is not deployed on ${hre.network.name}`);
+      }
+      return address;
+    },
+
+    async signer() {
+      if (!signer) {
+        signer = await resolveSigner(hre, from);
+      }
+      return signer;
+    },
+
+    /// @notice Contract from the deployment record, connected to the sending account
+    async contract(name) {
+      const info = (context.record().artifacts || {})[name];
+      const artifact = (info && info.contract) || name;
+      return hre.ethers.getContractAt(artifact, context.address(name), await context.signer());
+    },
+
+    async orders() {
+      return new OrderClient(await context.contract("SupplyChainPayment"));
+    },
+  };
+
+  return context;
+}
+
+/**
+ * @notice Account to send transactions from
+ * @param {string} [from] Address or index of one of the network's configured accounts
+ */
+async function resolveSigner(hre, from) {
+  const signers = await hre.ethers.getSigners();
+  if (!from) {
+    return signers[0];
+  }
+  if (/^\d+$/.test(from)) {
+    const signer = signers[Number(from)];
+    if (!signer) {
+      throw new Error(`No account #${from} configured for ${hre.network.name}`);
+    }
+    return signer;
+  }
+  const signer = signers.find((candidate) => candidate.address.toLowerCase() === from.toLowerCase());
+  if (!signer) {
+    throw new Error(`${from} is not one of the accounts configured for ${hre.network.name}`);
+  }
+  return signer;
+}
+
+/**
+ * @notice Parses a decimal amount ("1.5") in whole units into base units
+ */
+function parseAmount(hre, value, decimals = 18) {
+  if (!/^\d+(\.\d+)?$/.test(String(value))) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  return hre.ethers.parseUnits(String(value), decimals);
+}
+
+/**
+ * @notice Parses a point in time given as unix seconds or an ISO date
+ * @return {bigint} Unix timestamp in seconds
+ */
+function parseTime(value) {
+  if (/^\d+$/.test(String(value))) {
+    return BigInt(value);
+  }
+  const millis = Date.parse(value);
+  if (Number.isNaN(millis)) {
+    throw new Error(`Invalid time: ${value} (use unix seconds or an ISO date)`);
+  }
+  return BigInt(Math.floor(millis / 1000));
+}
+
+/**
+ * @notice Parses a non-negative integer identifier
+ */
+function parseId(value, what = "ID") {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`Invalid ${what}: ${value}`);
+  }
+  return BigInt(value);
+}
+
+module.exports = {
+  createContext,
+  resolveSigner,
+  parseAmount,
+  parseTime,
+  parseId,
+};
@@ -0,0 +1,67 @@
+/**
+ * @title CLI output
+ * @dev Commands return plain objects; this module prints them either as JSON
+ *      (`--json`, for scripting) or as indented `key: value` text.
+ */
+
+/**
+ * @notice Converts bigints and Dates into JSON-friendly values
+ */
+function toPlain(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]));
+  }
+  return value;
+}
+
+function formatText(value, indent = "") {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return [`${indent}(none)`];
+    }
+    return value.flatMap((item, index) =>
+      item && typeof item === "object"
+        ? [`${indent}- [${index}]`, ...formatText(item, `${indent}  `)]
+        : [`${indent}- ${item}`]
+    );
+  }
+  if (value && typeof value === "object") {
+    return Object.entries(value).flatMap(([key, item]) =>
+      item && typeof item === "object"
+        ? [`${indent}${key}:`, ...formatText(item, `${indent}  `)]
+        : [`${indent}${key}: ${item === null ? "-" : item}`]
+    );
+  }
+  return [`${indent}${value}`];
+}
+
+/**
+ * @notice Prints a command result
+ * @param {*} result Command result
+ * @param {Object} [options]
+ * @param {boolean} [options.json] Print JSON instead of text
+ * @param {Function} [options.log] Output sink (defaults to console.log)
+ */
+function print(result, { json = false, log = console.log } = {}) {
+  const plain = toPlain(result);
+  if (json) {
+    log(JSON.stringify(plain, null, 2));
+  } else {
+    formatText(plain).forEach((line) => log(line));
+  }
+}
+
+module.exports = {
+  toPlain,
+  formatText,
+  print,
+};
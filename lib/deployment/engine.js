@@ -0,0 +1,405 @@
+const defaultManifest = require("./manifest");
+const { resolve, addressRefs } = require("./refs");
+const { toJson } = require("./record");
+const { storageLayoutOf } = require("./layout");
+const { assignRoles } = require("./roles");
+
+/// @dev Proxy deployed in front of `proxy: "uups"` entries
+const PROXY_CONTRACT = "SupplyChainProxy";
+
+/**
+ * @title Deployment engine
+ * @dev Deploys the contracts described by a manifest (see ./manifest.js) in
+ *      dependency order and runs their post-deploy calls.
+ */
+
+/**
+ * @notice Returns every manifest entry the given entry depends on
+ * @param {Object} entry Manifest entry
+ * @return {string[]} Names of the dependencies, without duplicates
+ */
+function dependenciesOf(entry) {
+  const deps = [
+    ...(entry.dependsOn || []),
+    ...addressRefs(entry.args || []),
+    ...(entry.calls || []).flatMap((call) => [
+      ...(call.target ? [call.target] : []),
+      ...addressRefs(call.args || []),
+    ]),
+    ...Object.values(entry.roles || {}).flatMap(addressRefs),
+  ];
+  return [...new Set(deps)].filter((dep) => dep !== entry.name);
+}
+
+/**
+ * @notice Returns every manifest entry that depends on the given entries, directly or not
+ * @param {Object[]} manifest Deployment manifest
+ * @param {string[]} names Names of the entries
+ * @return {string[]} Names of the dependents in manifest order, without the given entries
+ */
+function dependentsOf(manifest, names) {
+  const reached = new Set(names);
+  let grown = true;
+  while (grown) {
+    grown = false;
+    for (const entry of manifest) {
+      if (!reached.has(entry.name) && dependenciesOf(entry).some((dep) => reached.has(dep))) {
+        reached.add(entry.name);
+        grown = true;
+      }
+    }
+  }
+  return manifest.map((entry) => entry.name).filter((name) => reached.has(name) && !names.includes(name));
+}
+
+/**
+ * @notice Orders manifest entries so that every entry follows its dependencies
+ * @dev Stable topological sort: independent entries keep their manifest order
+ * @param {Object[]} manifest Deployment manifest
+ * @param {string[]} [only] Restrict the plan to these entries (plus their dependencies)
+ * @return {Object[]} Entries in deployment order
+ */
+function planDeployment(manifest, only) {
+  const byName = new Map();
+  for (const entry of manifest) {
+    if (!entry.name) {
+      throw new Error("Manifest entry without a name");
+    }
+    if (byName.has(entry.name)) {
+      throw new Error(`Duplicate manifest entry: ${entry.name}`);
+    }
+    byName.set(entry.name, entry);
+  }
+
+  for (const entry of manifest) {
+    for (const dep of dependenciesOf(entry)) {
+      if (!byName.has(dep)) {
+        throw new Error(`${entry.name} depends on unknown contract ${dep}`);
+      }
+    }
+  }
+
+  // Select the requested entries and everything they transitively need
+  let selected = new Set(manifest.map((entry) => entry.name));
+  if (only && only.length > 0) {
+    selected = new Set();
+    const stack = [...only];
+    while (stack.length > 0) {
+      const name = stack.pop();
+      if (!byName.has(name)) {
+        throw new Error(`Unknown contract: ${name}`);
+      }
+      if (!selected.has(name)) {
+        selected.add(name);
+        stack.push(...dependenciesOf(byName.get(name)));
+      }
+    }
+  }
+
+  const ordered = [];
+  const state = new Map(); // name => "visiting" | "done"
+
+  const visit = (name, path) => {
+    if (state.get(name) === "done") return;
+    if (state.get(name) === "visiting") {
+      throw new Error(`Dependency cycle: ${[...path, name].join(" -> ")}`);
+    }
+    state.set(name, "visiting");
+    for (const dep of dependenciesOf(byName.get(name))) {
+      visit(dep, [...path, name]);
+    }
+    state.set(name, "done");
+    ordered.push(byName.get(name));
+  };
+
+  for (const entry of manifest) {
+    if (selected.has(entry.name)) {
+      visit(entry.name, []);
+    }
+  }
+
+  return ordered;
+}
+
+/**
+ * @notice Checks whether a previously recorded deployment can be kept as is
+ * @dev The recorded artifact hash must match the current build, the code at the
+ *      address must be unchanged and the constructor arguments must be the same.
+ *      Entries recorded with an address only (older records) are reused when
+ *      the on-chain code equals the artifact's runtime bytecode.
+ */
+async function isReusable(ethers, address, info, bytecodeHash, args) {
+  if (!address) {
+    return false;
+  }
+  const code = await ethers.provider.getCode(address);
+  if (code === "0x") {
+    return false;
+  }
+  const codeHash = ethers.keccak256(code);
+
+  if (!info) {
+    return codeHash === bytecodeHash && args.length === 0;
+  }
+  return (
+    info.bytecodeHash === bytecodeHash &&
+    info.codeHash === codeHash &&
+    sameJson(info.constructorArgs || [], args)
+  );
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(toJson(a)) === JSON.stringify(toJson(b));
+}
+
+/**
+ * @notice Checks whether a recorded proxy and its implementation can be kept as is
+ * @dev A proxy is never replaced implicitly, since a new one starts with empty storage:
+ *      if its implementation no longer matches the build, the proxy must be upgraded
+ *      (see ./upgrade.js) or explicitly redeployed with `force`. The same goes for
+ *      initializer arguments that changed, e.g. because a dependency was redeployed.
+ */
+async function isReusableProxy(ethers, name, address, info, bytecodeHash, args) {
+  if (!address || !info || !info.proxy || (await ethers.provider.getCode(address)) === "0x") {
+    return false;
+  }
+  if (await isReusable(ethers, info.implementation, info, bytecodeHash, args)) {
+    return true;
+  }
+  const initialized = info.constructorArgs || [];
+  if (await isReusable(ethers, info.implementation, info, bytecodeHash, initialized)) {
+    const current = toJson(args);
+    const changes = [...Array(Math.max(initialized.length, current.length)).keys()]
+      .filter((index) => !sameJson(initialized[index], current[index]))
+      .map((index) => `argument ${index}: ${initialized[index]} -> ${current[index]}`);
+    throw new Error(
+      `${name} is deployed behind a proxy initialized with other arguments (${changes.join(", ")}): ` +
+        `force a new proxy to use them (its state is not carried over), or keep its dependencies`
+    );
+  }
+  throw new Error(
+    `${name} is deployed behind a proxy and its implementation changed: upgrade it with ` +
+      `\`npx hardhat upgrade ${name}\`, or force a new proxy (its state is not carried over)`
+  );
+}
+
+/**
+ * @notice Deploys a contract and waits for the deployment to be confirmed
+ * @return {Promise<{address: string, codeHash: string, receipt: Object}>}
+ */
+async function deployContract(ethers, contract, args, signer, confirmations) {
+  const factory = await ethers.getContractFactory(contract, signer);
+  const instance = await factory.deploy(...args);
+  await instance.waitForDeployment();
+  const receipt = await instance.deploymentTransaction().wait(confirmations);
+  const address = await instance.getAddress();
+  return { address, codeHash: ethers.keccak256(await ethers.provider.getCode(address)), receipt };
+}
+
+/**
+ * @notice Deploys a manifest on the network `hre` is connected to
+ * @dev Resumable: contracts found in `options.record` whose code and constructor
+ *      arguments still match are skipped, and `options.save` is called with the
+ *      updated record after every deployment and post-deploy call. Role assignments
+ *      (`roles`) are checked against the chain on every run, unless the deployer no
+ *      longer owns the contract (see lib/governance).
+ *
+ *      Entries with `proxy: "uups"` are deployed as an implementation (with the entry's
+ *      args) behind a SupplyChainProxy whose constructor calls `initialize` with the
+ *      same args; the proxy's address is the one recorded and used everywhere.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} [options]
+ * @param {Object[]} [options.manifest] Manifest to deploy (defaults to ./manifest.js)
+ * @param {string[]} [options.only] Deploy only these entries and their dependencies
+ * @param {string[]} [options.force] Redeploy these entries even if they are unchanged, then
+ *        check the entries depending on them (even outside `only`) against the new addresses
+ * @param {Object} [options.record] Existing deployment record to resume from
+ * @param {Function} [options.save] Persists the record, called after each step
+ * @param {number} [options.confirmations] Blocks to wait for after each transaction
+ * @param {Object} [options.env] Source for `env()` references (defaults to process.env)
+ * @param {Function} [options.log] Progress logger (defaults to console.log)
+ * @return {Promise<Object>} The updated deployment record
+ */
+async function deploy(hre, options = {}) {
+  const {
+    manifest = defaultManifest,
+    only,
+    force = [],
+    record: previous = null,
+    save = async () => {},
+    confirmations = 1,
+    env = process.env,
+    log = console.log,
+  } = options;
+
+  const { ethers } = hre;
+  const [signer] = await ethers.getSigners();
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+  if (previous && previous.chainId !== undefined && Number(previous.chainId) !== chainId) {
+    throw new Error(`Deployment record is for chain ${previous.chainId}, connected to chain ${chainId}`);
+  }
+  for (const name of force) {
+    if (!manifest.some((entry) => entry.name === name)) {
+      throw new Error(`Unknown contract: ${name}`);
+    }
+  }
+
+  let selection;
+  if (only && only.length > 0) {
+    // Dependents of forced entries must follow them to their new address
+    const dependents = dependentsOf(manifest, force).filter((name) => !only.includes(name));
+    if (dependents.length > 0) {
+      log(`Also checking ${dependents.join(", ")}, depending on ${force.join(", ")}`);
+    }
+    selection = [...only, ...force, ...dependents];
+  }
+  const plan = planDeployment(manifest, selection);
+  const record = {
+    network: hre.network.name,
+    chainId,
+    deployer: signer.address,
+    deploymentTime: new Date().toISOString(),
+    blockNumber: previous ? previous.blockNumber : undefined,
+    contracts: { ...(previous ? previous.contracts : {}) },
+    artifacts: { ...(previous ? previous.artifacts : {}) },
+  };
+  const context = { addresses: record.contracts, deployer: signer.address, env };
+
+  const persist = async () => {
+    const blocks = Object.values(record.artifacts)
+      .map((info) => info.blockNumber)
+      .filter((block) => block !== undefined);
+    if (blocks.length > 0) {
+      record.blockNumber = Math.min(...blocks);
+    }
+    record.deploymentTime = new Date().toISOString();
+    await save(record);
+  };
+
+  for (const [index, entry] of plan.entries()) {
+    const artifactName = entry.contract || entry.name;
+    const artifact = await hre.artifacts.readArtifact(artifactName);
+    const bytecodeHash = ethers.keccak256(artifact.deployedBytecode);
+    const args = resolve(entry.args || [], context);
+    const step = `[${index + 1}/${plan.length}]`;
+    if (entry.proxy && entry.proxy !== "uups") {
+      throw new Error(`${entry.name}: unsupported proxy kind ${entry.proxy}`);
+    }
+
+    let info = record.artifacts[entry.name];
+    let instance;
+    const reuse =
+      !force.includes(entry.name) &&
+      (entry.proxy
+        ? await isReusableProxy(ethers, entry.name, record.contracts[entry.name], info, bytecodeHash, args)
+        : await isReusable(ethers, record.contracts[entry.name], info, bytecodeHash, args));
+
+    if (reuse) {
+      log(`\n${step} ${entry.name} unchanged at ${record.contracts[entry.name]}, skipping`);
+      instance = await ethers.getContractAt(artifactName, record.contracts[entry.name], signer);
+      if (!info) {
+        // Older record with an address only: adopt it with full metadata
+        info = {
+          contract: artifactName,
+          bytecodeHash,
+          codeHash: bytecodeHash,
+          constructorArgs: toJson(args),
+          calls: [],
+        };
+        record.artifacts[entry.name] = info;
+        await persist();
+      }
+    } else {
+      log(`\n${step} Deploying ${entry.name}${entry.proxy ? " behind a proxy" : ""}...`);
+      const deployed = await deployContract(ethers, artifactName, args, signer, confirmations);
+      let { address, receipt } = deployed;
+
+      info = {
+        contract: artifactName,
+        bytecodeHash,
+        codeHash: deployed.codeHash,
+        constructorArgs: toJson(args),
+        calls: [],
+      };
+      if (entry.proxy) {
+        const factory = await ethers.getContractFactory(artifactName);
+        const proxyArgs = [deployed.address, factory.interface.encodeFunctionData("initialize", args)];
+        ({ address, receipt } = await deployContract(ethers, PROXY_CONTRACT, proxyArgs, signer, confirmations));
+        Object.assign(info, {
+          proxy: entry.proxy,
+          implementation: deployed.address,
+          proxyConstructorArgs: proxyArgs,
+          storageLayout: await storageLayoutOf(hre, artifactName),
+          upgrades: [],
+        });
+      }
+      info.transactionHash = receipt.hash;
+      info.blockNumber = receipt.blockNumber;
+      record.contracts[entry.name] = address;
+      record.artifacts[entry.name] = info;
+      await persist();
+      log(`   ✅ Deployed at: ${address}${entry.proxy ? ` (implementation ${deployed.address})` : ""}`);
+      instance = await ethers.getContractAt(artifactName, address, signer);
+    }
+
+    // Re-run post-deploy calls that never ran or whose arguments changed
+    const done = info.calls || [];
+    info.calls = [];
+    for (const [callIndex, call] of (entry.calls || []).entries()) {
+      const callArgs = resolve(call.args || [], context);
+      const executed = { method: call.method, args: toJson(callArgs) };
+      let target = instance;
+      if (call.target) {
+        // Calls on another contract are re-sent if that contract moves
+        executed.target = record.contracts[call.target];
+        const targetArtifact = record.artifacts[call.target].contract;
+        target = await ethers.getContractAt(targetArtifact, executed.target, signer);
+      }
+      if (!sameJson(done[callIndex], executed)) {
+        const tx = await target[call.method](...callArgs);
+        await tx.wait(confirmations);
+        log(`   ↳ ${call.target ? `${call.target}.` : ""}${call.method}(${callArgs.join(", ")})`);
+        info.calls.push(executed);
+        await persist();
+      } else {
+        info.calls.push(executed);
+      }
+    }
+    if (info.calls.length < done.length) {
+      await persist();
+    }
+
+    if (entry.roles) {
+      const owner = await instance.owner();
+      if (owner !== context.deployer) {
+        // Handed over (e.g. to Governance): role changes go through the new owner
+        log(`   ↳ roles left to the owner, ${owner}`);
+      } else {
+        const roles = await assignRoles(ethers, instance, entry.roles, {
+          contract: entry.name,
+          context,
+          confirmations,
+          log,
+        });
+        if (!sameJson(info.roles, roles)) {
+          info.roles = roles;
+          await persist();
+        }
+      }
+    }
+  }
+
+  return record;
+}
+
+module.exports = {
+  PROXY_CONTRACT,
+  dependenciesOf,
+  dependentsOf,
+  isReusable,
+  isReusableProxy,
+  deployContract,
+  planDeployment,
+  deploy,
+};
@@ -0,0 +1,20 @@
+const manifest = require("./manifest");
+const refs = require("./refs");
+const { planDeployment, deploy } = require("./engine");
+const { runPreset, confirmationsFor } = require("./preset");
+const { upgrade } = require("./upgrade");
+const { storageLayoutOf, compareLayouts } = require("./layout");
+const { listRoles } = require("./roles");
+
+module.exports = {
+  manifest,
+  refs,
+  planDeployment,
+  deploy,
+  upgrade,
+  storageLayoutOf,
+  compareLayouts,
+  listRoles,
+  runPreset,
+  confirmationsFor,
+};
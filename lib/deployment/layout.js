@@ -0,0 +1,156 @@
+/**
+ * @title Storage layouts
+ * @dev Storage layouts of compiled contracts (solc's `storageLayout` output, enabled in
+ *      hardhat.config.js) and the rules an upgraded implementation must follow to keep
+ *      reading the proxy's existing storage.
+ *
+ * Layouts are recorded in a compiler-independent form: type IDs (which embed AST ids
+ * that change between compilations) are replaced by the types' labels.
+ *
+ *  {
+ *    storage: [{ label, slot, offset, type }],
+ *    types: { [label]: { encoding, bytes, members?, key?, value?, base? } }
+ *  }
+ */
+
+/**
+ * @notice Storage layout of a compiled contract
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} contract Artifact name
+ * @return {Promise<Object>} Normalized layout (see above)
+ */
+async function storageLayoutOf(hre, contract) {
+  const { sourceName, contractName } = await hre.artifacts.readArtifact(contract);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const output = buildInfo && buildInfo.output.contracts[sourceName][contractName];
+  if (!output || !output.storageLayout) {
+    throw new Error(`No storage layout for ${contract}; is storageLayout in the solc outputSelection?`);
+  }
+  return normalizeLayout(output.storageLayout);
+}
+
+/**
+ * @notice Converts solc's storageLayout output into the recorded form
+ */
+function normalizeLayout({ storage, types }) {
+  const labelOf = (id) => types[id].label;
+  const variable = ({ label, slot, offset, type }) => ({ label, slot: Number(slot), offset, type: labelOf(type) });
+
+  const normalized = {};
+  for (const type of Object.values(types || {})) {
+    const entry = { encoding: type.encoding, bytes: Number(type.numberOfBytes) };
+    if (type.members) {
+      entry.members = type.members.map(variable);
+    }
+    if (type.key) {
+      entry.key = labelOf(type.key);
+      entry.value = labelOf(type.value);
+    }
+    if (type.base) {
+      entry.base = labelOf(type.base);
+    }
+    normalized[type.label] = entry;
+  }
+  return { storage: storage.map(variable), types: normalized };
+}
+
+const isAddress = (label) => label === "address" || label === "address payable" || label.startsWith("contract ");
+
+/**
+ * @dev Problems reading data of type `before` (previous layout) as `after` (new layout).
+ *      `inline` types sit between other data (state variables, struct members, array
+ *      elements) and must keep their size; mapping values can grow.
+ */
+function typeChanges(previous, current, before, after, inline, seen = new Set()) {
+  const key = `${before}|${after}|${inline}`;
+  if (seen.has(key)) {
+    return [];
+  }
+  seen.add(key);
+
+  const old = previous.types[before];
+  const next = current.types[after];
+  if (!old || !next) {
+    return before === after ? [] : [`type changed from ${before} to ${after}`];
+  }
+  if (old.encoding !== next.encoding) {
+    return [`type changed from ${before} to ${after}`];
+  }
+
+  if (old.encoding === "mapping") {
+    if (old.key !== next.key) {
+      return [`mapping key changed from ${old.key} to ${next.key}`];
+    }
+    return typeChanges(previous, current, old.value, next.value, false, seen);
+  }
+  if (old.encoding === "dynamic_array") {
+    return typeChanges(previous, current, old.base, next.base, true, seen);
+  }
+  if (old.members) {
+    if (!next.members) {
+      return [`type changed from ${before} to ${after}`];
+    }
+    if (inline && next.bytes !== old.bytes) {
+      return [`${before} changed size from ${old.bytes} to ${next.bytes} bytes`];
+    }
+    return memberChanges(previous, current, old.members, next.members, seen).map((problem) => `${before}: ${problem}`);
+  }
+  if (old.base) {
+    if (old.bytes !== next.bytes || !next.base) {
+      return [`type changed from ${before} to ${after}`];
+    }
+    return typeChanges(previous, current, old.base, next.base, true, seen);
+  }
+  if (before !== after && !(isAddress(before) && isAddress(after))) {
+    return [`type changed from ${before} to ${after}`];
+  }
+  return [];
+}
+
+/**
+ * @dev Every previous variable must still be found at its slot and offset, with the
+ *      same name and a compatible type; new variables can only use unused space.
+ */
+function memberChanges(previous, current, before, after, seen) {
+  const problems = [];
+  for (const variable of before) {
+    const match = after.find((candidate) => candidate.slot === variable.slot && candidate.offset === variable.offset);
+    if (match && match.label === variable.label) {
+      problems.push(
+        ...typeChanges(previous, current, variable.type, match.type, true, seen).map(
+          (problem) => `\`${variable.label}\` ${problem}`
+        )
+      );
+      continue;
+    }
+    const moved = after.find((candidate) => candidate.label === variable.label);
+    if (moved) {
+      problems.push(`\`${variable.label}\` moved from slot ${variable.slot} to slot ${moved.slot}`);
+    } else if (match) {
+      problems.push(`\`${variable.label}\` at slot ${variable.slot} was replaced by \`${match.label}\``);
+    } else {
+      problems.push(`\`${variable.label}\` was removed`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * @notice Checks that an implementation with `current` layout can replace one with `previous`
+ * @dev Variables may be appended and structs only reached through mappings may gain
+ *      members at their end; anything that would make existing data be read from
+ *      another place or as another type is reported. Enum members are not part of
+ *      solc's layout output, so reordering them is not detected.
+ * @param {Object} previous Recorded layout of the deployed implementation
+ * @param {Object} current Layout of the new implementation
+ * @return {string[]} Problems found, empty when the upgrade is safe
+ */
+function compareLayouts(previous, current) {
+  return memberChanges(previous, current, previous.storage, current.storage, new Set());
+}
+
+module.exports = {
+  storageLayoutOf,
+  normalizeLayout,
+  compareLayouts,
+};
@@ -0,0 +1,99 @@
+const { address, deployer, env, list } = require("./refs");
+
+/**
+ * @title Deployment manifest
+ * @dev Declarative description of every deployable contract in the system.
+ *
+ * Each entry supports:
+ *  - name:      key used in deployment-<network>.json (required)
+ *  - contract:  artifact name, defaults to `name`
+ *  - args:      constructor arguments (literals or refs from ./refs)
+ *  - dependsOn: extra entries that must be deployed first; `address()` refs
+ *               in args or calls are added automatically
+ *  - calls:     post-deploy transactions, `{ method, args, target? }`, sent by the
+ *               deployer to the entry itself or to the `target` entry (which becomes
+ *               a dependency)
+ *  - proxy:     "uups" to deploy the contract behind an upgradeable proxy, initialized
+ *               with `initialize(...args)` (see contracts/Upgradeable.sol); upgrade it
+ *               with `npx hardhat upgrade`
+ *  - roles:     `{ ROLE_NAME: holders }` role assignments (see contracts/Roles.sol); holders
+ *               are an address ref, a comma-separated list or an array. The deployer,
+ *               who gets every role on deployment, renounces those it is not listed for
+ *
+ * Entries are deployed in manifest order unless a dependency requires otherwise.
+ */
+module.exports = [
+  // Core platform
+  { name: "SupplyChainToken", roles: { MINTER_ROLE: env("MINTERS", deployer()) } },
+  { name: "SupplierRegistry", proxy: "uups", roles: { VERIFIER_ROLE: env("VERIFIERS", deployer()) } },
+  { name: "ReputationSystem", proxy: "uups", roles: { VERIFIER_ROLE: env("VERIFIERS", deployer()) } },
+  { name: "ProductCatalog", proxy: "uups" },
+  { name: "ArbitratorRegistry" },
+  {
+    name: "SupplyChainPayment",
+    proxy: "uups",
+    args: [address("SupplierRegistry"), address("ReputationSystem"), address("ArbitratorRegistry")],
+    calls: [
+      { method: "setAcceptedToken", args: [address("SupplyChainToken"), true] },
+      { target: "ReputationSystem", method: "setOrderRecorder", args: [address("SupplyChainPayment")] },
+    ],
+    roles: {
+      ARBITRATOR_ROLE: env("ARBITRATORS", deployer()),
+      TREASURER_ROLE: env("TREASURERS", deployer()),
+    },
+  },
+  {
+    name: "PaymentEscrow",
+    proxy: "uups",
+    args: [address("ArbitratorRegistry")],
+    roles: {
+      ARBITRATOR_ROLE: env("ARBITRATORS", deployer()),
+      REFUNDER_ROLE: env("REFUNDERS", deployer()),
+    },
+  },
+
+  // Logistics
+  {
+    name: "ShippingTracker",
+    args: [address("SupplyChainPayment")],
+    calls: [{ target: "SupplyChainPayment", method: "setShippingTracker", args: [address("ShippingTracker")] }],
+  },
+  { name: "ShipmentTracker" },
+  { name: "BillOfLading" },
+  { name: "WarehouseRegistry", roles: { VERIFIER_ROLE: env("VERIFIERS", deployer()) } },
+  { name: "LogisticsProvider", roles: { VERIFIER_ROLE: env("VERIFIERS", deployer()) } },
+
+  // Insurance
+  { name: "InsuranceEscrow", args: [address("ShippingTracker")] },
+
+  // Compliance
+  {
+    name: "CustomsRegistry",
+    calls: [
+      {
+        method: "registerOffice",
+        args: [
+          env("CUSTOMS_COUNTRY_CODE", "US"),
+          env("CUSTOMS_OFFICE_NAME", "Default Customs Office"),
+          env("CUSTOMS_AUTHORITY", deployer()),
+        ],
+      },
+    ],
+  },
+  { name: "CustomsCompliance", roles: { CUSTOMS_OFFICER_ROLE: env("CUSTOMS_OFFICERS", deployer()) } },
+  {
+    name: "QualityInspector",
+    calls: [{ method: "addInspector", args: [env("QUALITY_INSPECTOR", deployer())] }],
+  },
+
+  // Governance: takes over SupplyChainPayment, PaymentEscrow and SupplyChainToken
+  // with `npx hardhat governance handover` (see lib/governance)
+  {
+    name: "Governance",
+    args: [
+      list(env("GOVERNANCE_SIGNERS", deployer())),
+      env("GOVERNANCE_THRESHOLD", 1),
+      env("GOVERNANCE_DELAY", 2 * 24 * 60 * 60),
+    ],
+  },
+];
@@ -0,0 +1,56 @@
+const { deploy } = require("./engine");
+const { recordPath, loadRecord, saveRecord } = require("./record");
+
+/// @dev Networks that mine instantly and need no extra confirmations
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * @notice Number of blocks to wait for after each deployment transaction
+ * @param {string} network Hardhat network name
+ */
+function confirmationsFor(network) {
+  return LOCAL_NETWORKS.includes(network) ? 1 : 5;
+}
+
+/**
+ * @notice Console wrapper used by the single-contract deploy scripts
+ * @dev Deploys `only` (plus dependencies) and prints the resulting addresses.
+ *      Contracts already recorded in deployment-<network>.json are reused.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string[]} only Manifest entries to deploy
+ * @return {Promise<Object>} Deployment info returned by the engine
+ */
+async function runPreset(hre, only) {
+  const { ethers, network } = hre;
+  const [deployer] = await ethers.getSigners();
+
+  console.log(`Deploying ${only.join(", ")} to ${network.name}...`);
+  console.log("Deploying with account:", deployer.address);
+
+  const balance = await ethers.provider.getBalance(deployer.address);
+  console.log("Account balance:", ethers.formatEther(balance), "ETH");
+
+  const file = recordPath(hre);
+  const info = await deploy(hre, {
+    only,
+    record: loadRecord(file),
+    save: (record) => saveRecord(file, record),
+    confirmations: confirmationsFor(network.name),
+  });
+
+  console.log("\n✅ Deployment successful!");
+  for (const name of only) {
+    console.log(`📝 ${name}: ${info.contracts[name]}`);
+  }
+
+  console.log("\n🔍 To verify on BaseScan, run:");
+  console.log(`npx hardhat run scripts/verify-all.js --network ${network.name}`);
+
+  return info;
+}
+
+module.exports = {
+  LOCAL_NETWORKS,
+  confirmationsFor,
+  runPreset,
+};
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @title Deployment record
+ * @dev Reads and writes deployment-<network>.json.
+ *
+ * Shape:
+ *  {
+ *    network, chainId, deployer, deploymentTime, blockNumber,
+ *    contracts: { [name]: address },
+ *    artifacts: {
+ *      [name]: {
+ *        contract,          // artifact name
+ *        bytecodeHash,      // keccak256 of the artifact's deployedBytecode
+ *        codeHash,          // keccak256 of the runtime code found on-chain
+ *        constructorArgs,   // resolved constructor arguments
+ *        calls,             // post-deploy calls already executed: [{ method, args }]
+ *        roles,             // role holders assigned from the manifest: { [role name]: [address] }
+ *        transactionHash,
+ *        blockNumber,
+ *        verification,      // written by ./verify.js: { status, attempts, message, url, timestamp }
+ *
+ *        // Entries deployed behind a proxy (`contracts[name]` is the proxy); the fields
+ *        // above then describe the current implementation
+ *        proxy,                 // "uups"
+ *        implementation,        // implementation address
+ *        proxyConstructorArgs,  // [initial implementation, initializer calldata]
+ *        storageLayout,         // implementation's layout, see ./layout.js
+ *        upgrades,              // replaced implementations: [{ contract, implementation, bytecodeHash,
+ *                               //   replacedBy, transactionHash, blockNumber }]
+ *        proxyVerification      // like `verification`, for the proxy
+ *      }
+ *    }
+ *  }
+ */
+
+/**
+ * @notice Location of the deployment record for the current network
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} [dir] Directory holding the record (defaults to the project root)
+ */
+function recordPath(hre, dir) {
+  return path.join(dir || hre.config.paths.root, `deployment-${hre.network.name}.json`);
+}
+
+/**
+ * @notice Loads a deployment record
+ * @param {string} file Path to deployment-<network>.json
+ * @return {Object|null} The parsed record, or null if the file does not exist
+ */
+function loadRecord(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @notice Writes a deployment record
+ * @dev Written to a temporary file first so an interrupted write never leaves
+ *      a truncated record behind
+ * @param {string} file Path to deployment-<network>.json
+ * @param {Object} record Deployment record
+ */
+function saveRecord(file, record) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(record, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * @notice Converts values returned by ethers (bigints, Results) into JSON-safe data
+ */
+function toJson(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJson);
+  }
+  return value;
+}
+
+module.exports = {
+  recordPath,
+  loadRecord,
+  saveRecord,
+  toJson,
+};
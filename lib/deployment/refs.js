@@ -0,0 +1,118 @@
+/**
+ * @title Deployment manifest references
+ * @dev Placeholders used inside manifest `args` and post-deploy `calls` that are
+ *      resolved at deploy time (deployed addresses, the deployer, env vars).
+ */
+
+/**
+ * @notice References the address of another contract in the same manifest
+ * @dev Also declares an implicit dependency on that contract
+ * @param {string} name Manifest entry name
+ */
+function address(name) {
+  return { $ref: "address", name };
+}
+
+/**
+ * @notice References the address of the account running the deployment
+ */
+function deployer() {
+  return { $ref: "deployer" };
+}
+
+/**
+ * @notice References an environment variable, with an optional fallback
+ * @param {string} name Variable name (e.g. CUSTOMS_AUTHORITY)
+ * @param {*} fallback Literal or reference used when the variable is unset
+ */
+function env(name, fallback) {
+  return { $ref: "env", name, fallback };
+}
+
+/**
+ * @notice Splits a comma-separated value (e.g. an env var listing addresses) into an array
+ * @param {*} value Literal or reference; arrays are flattened and each item split
+ */
+function list(value) {
+  return { $ref: "list", value };
+}
+
+function isRef(value) {
+  return value !== null && typeof value === "object" && typeof value.$ref === "string";
+}
+
+/**
+ * @notice Replaces every reference inside `value` with its concrete value
+ * @param {*} value Literal, reference or (nested) array of either
+ * @param {{ addresses: Object<string,string>, deployer: string, env: Object }} context
+ */
+function resolve(value, context) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolve(item, context));
+  }
+  if (!isRef(value)) {
+    return value;
+  }
+
+  switch (value.$ref) {
+    case "address": {
+      const resolved = context.addresses[value.name];
+      if (!resolved) {
+        throw new Error(`No deployed address for ${value.name}`);
+      }
+      return resolved;
+    }
+    case "deployer":
+      return context.deployer;
+    case "env": {
+      const raw = context.env[value.name];
+      if (raw !== undefined && raw !== "") {
+        return raw;
+      }
+      if (value.fallback === undefined) {
+        throw new Error(`Environment variable ${value.name} is not set`);
+      }
+      return resolve(value.fallback, context);
+    }
+    case "list":
+      return [resolve(value.value, context)]
+        .flat(Infinity)
+        .flatMap((item) => String(item).split(","))
+        .map((item) => item.trim())
+        .filter((item) => item !== "");
+    default:
+      throw new Error(`Unknown reference type: ${value.$ref}`);
+  }
+}
+
+/**
+ * @notice Lists the manifest entries referenced through `address()` in `value`
+ */
+function addressRefs(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(addressRefs);
+  }
+  if (!isRef(value)) {
+    return [];
+  }
+  if (value.$ref === "address") {
+    return [value.name];
+  }
+  if (value.$ref === "env" && value.fallback !== undefined) {
+    return addressRefs(value.fallback);
+  }
+  if (value.$ref === "list") {
+    return addressRefs(value.value);
+  }
+  return [];
+}
+
+module.exports = {
+  address,
+  deployer,
+  env,
+  list,
+  isRef,
+  resolve,
+  addressRefs,
+};
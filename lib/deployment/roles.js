@@ -0,0 +1,154 @@
+const { list, resolve } = require("./refs");
+
+/**
+ * @title Roles
+ * @dev Role holders of deployed contracts (see contracts/Roles.sol): assigned from the
+ *      manifest's `roles` at deploy time, and listed from the contracts' RoleGranted
+ *      events, checked against `hasRole`.
+ */
+
+/// @dev Role constants follow the `<NAME>_ROLE` convention
+const ROLE_NAME = /^[A-Z][A-Z0-9_]*_ROLE$/;
+
+/**
+ * @notice Names of the role constants a contract declares (e.g. VERIFIER_ROLE)
+ * @param {Object} contractInterface ethers Interface of the contract
+ * @return {string[]} Role names, empty for contracts without roles
+ */
+function roleNamesOf(contractInterface) {
+  if (!contractInterface.getFunction("hasRole")) {
+    return [];
+  }
+  return contractInterface.fragments
+    .filter(
+      (fragment) =>
+        fragment.type === "function" &&
+        ROLE_NAME.test(fragment.name) &&
+        fragment.inputs.length === 0 &&
+        fragment.outputs.length === 1 &&
+        fragment.outputs[0].type === "bytes32"
+    )
+    .map((fragment) => fragment.name)
+    .sort();
+}
+
+/**
+ * @notice Role constant name for user input: "verifier", "customs-officer" or "VERIFIER_ROLE"
+ */
+function roleName(value) {
+  const name = String(value)
+    .trim()
+    .toUpperCase()
+    .replace(/[-\s]+/g, "_");
+  return name.endsWith("_ROLE") ? name : `${name}_ROLE`;
+}
+
+/**
+ * @notice Lists the accounts a manifest `roles` value resolves to
+ * @dev A value can be an address, a comma-separated list of addresses (e.g. from an
+ *      env var) or an array of either
+ */
+function roleHolders(ethers, value, context) {
+  const holders = resolve(list(value), context);
+  for (const holder of holders) {
+    if (!ethers.isAddress(holder)) {
+      throw new Error(`Invalid role holder: ${holder}`);
+    }
+  }
+  return [...new Set(holders.map((holder) => ethers.getAddress(holder)))];
+}
+
+/**
+ * @notice Hands an entry's roles to the configured accounts
+ * @dev Grants each role to the holders that lack it, then renounces the deployer's
+ *      role (granted by the contract on deployment) unless the deployer is a holder.
+ *      Holders granted or revoked by other means are left alone.
+ * @param {Object} ethers Hardhat ethers
+ * @param {Object} instance Deployed contract, connected to the deployer (its owner)
+ * @param {Object} roles Manifest `roles`: role name => holders
+ * @param {Object} options `{ contract, context, confirmations, log }`, context being the
+ *        reference context (see ./refs.js)
+ * @return {Promise<Object>} Role name => configured holders, as recorded
+ */
+async function assignRoles(ethers, instance, roles, { contract, context, confirmations, log }) {
+  const assigned = {};
+  for (const [name, value] of Object.entries(roles)) {
+    if (!roleNamesOf(instance.interface).includes(name)) {
+      throw new Error(`${contract} has no ${name}`);
+    }
+    const role = await instance[name]();
+    const holders = roleHolders(ethers, value, context);
+    for (const holder of holders) {
+      if (!(await instance.hasRole(role, holder))) {
+        await (await instance.grantRole(role, holder)).wait(confirmations);
+        log(`   ↳ grantRole(${name}, ${holder})`);
+      }
+    }
+    if (!holders.includes(context.deployer) && (await instance.hasRole(role, context.deployer))) {
+      await (await instance.renounceRole(role)).wait(confirmations);
+      log(`   ↳ renounceRole(${name})`);
+    }
+    assigned[name] = holders;
+  }
+  return assigned;
+}
+
+/**
+ * @notice Current holders of every role of a contract
+ * @param {Object} contract Contract with roles
+ * @param {number} [fromBlock] Block the contract was deployed in
+ * @return {Promise<Object>} Role name => holders, in the order they were granted
+ */
+async function roleHoldersOf(contract, fromBlock = 0) {
+  const holders = {};
+  for (const name of roleNamesOf(contract.interface)) {
+    const role = await contract[name]();
+    const granted = await contract.queryFilter(contract.filters.RoleGranted(role), fromBlock);
+    holders[name] = [];
+    for (const account of new Set(granted.map((event) => event.args.account))) {
+      if (await contract.hasRole(role, account)) {
+        holders[name].push(account);
+      }
+    }
+  }
+  return holders;
+}
+
+/**
+ * @notice Lists the owner and role holders of the contracts of a deployment record
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} record Deployment record (see ./record.js)
+ * @param {Object} [options]
+ * @param {string[]} [options.only] List only these entries (default: every entry with roles)
+ * @return {Promise<Object>} Per entry: `{ address, owner, roles: { [role name]: [holders] } }`
+ */
+async function listRoles(hre, record, { only = [] } = {}) {
+  const names = only.length > 0 ? only : Object.keys(record.contracts);
+  const result = {};
+  for (const name of names) {
+    const address = record.contracts[name];
+    if (!address) {
+      throw new Error(`${name} is not deployed on ${record.network}`);
+    }
+    const info = (record.artifacts || {})[name] || {};
+    const contract = await hre.ethers.getContractAt(info.contract || name, address);
+    if (roleNamesOf(contract.interface).length === 0) {
+      if (only.length > 0) {
+        throw new Error(`${name} has no roles`);
+      }
+      continue;
+    }
+    const fromBlock = info.blockNumber !== undefined ? info.blockNumber : record.blockNumber || 0;
+    result[name] = { address, owner: await contract.owner(), roles: await roleHoldersOf(contract, fromBlock) };
+  }
+  return result;
+}
+
+module.exports = {
+  roleNamesOf,
+  roleName,
+  roleHolders,
+  assignRoles,
+  roleHoldersOf,
+  listRoles,
+};
@@ -0,0 +1,134 @@
+const defaultManifest = require("./manifest");
+const { resolve } = require("./refs");
+const { toJson } = require("./record");
+const { storageLayoutOf, compareLayouts } = require("./layout");
+const { deployContract } = require("./engine");
+
+/**
+ * @title Proxy upgrades
+ * @dev Moves the proxies of a deployment record (entries deployed with `proxy: "uups"`)
+ *      to the current build of their contract, after checking that its storage layout
+ *      is compatible with the implementation recorded in deployment-<network>.json.
+ */
+
+/**
+ * @notice Upgrades proxied contracts in place
+ * @dev Contracts whose implementation already matches the build are left alone. All
+ *      layouts are checked before anything is sent, so an incompatible contract stops
+ *      the whole upgrade. The record keeps every replaced implementation in `upgrades`.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} record Deployment record (see ./record.js), updated in place
+ * @param {Object} [options]
+ * @param {string[]} [options.only] Upgrade only these entries (default: every proxied entry)
+ * @param {string} [options.implementation] Artifact to upgrade to instead of the entry's
+ *        contract, e.g. a new version under another name (requires a single entry)
+ * @param {boolean} [options.check] Only check the layouts, send nothing
+ * @param {Object[]} [options.manifest] Deployment manifest (defaults to ./manifest.js)
+ * @param {Function} [options.save] Persists the record after each upgrade
+ * @param {number} [options.confirmations] Blocks to wait for after each transaction
+ * @param {Object} [options.env] Source for `env()` references (defaults to process.env)
+ * @param {Function} [options.log] Progress logger (defaults to console.log)
+ * @return {Promise<Object>} Per entry: `{ status, implementation }`, status being
+ *         "unchanged", "compatible" (check only) or "upgraded"
+ */
+async function upgrade(hre, record, options = {}) {
+  const {
+    only = [],
+    implementation,
+    check = false,
+    manifest = defaultManifest,
+    save = async () => {},
+    confirmations = 1,
+    env = process.env,
+    log = console.log,
+  } = options;
+  const { ethers } = hre;
+  const [signer] = await ethers.getSigners();
+
+  const names =
+    only.length > 0
+      ? only
+      : manifest.filter((entry) => entry.proxy && record.contracts[entry.name]).map((entry) => entry.name);
+  if (implementation && names.length !== 1) {
+    throw new Error("An implementation can only be given for a single contract");
+  }
+
+  // Check everything first
+  const plans = [];
+  for (const name of names) {
+    const entry = manifest.find((candidate) => candidate.name === name);
+    if (!entry) {
+      throw new Error(`Unknown contract: ${name}`);
+    }
+    const info = (record.artifacts || {})[name];
+    if (!entry.proxy || !info || !info.proxy) {
+      throw new Error(`${name} is not deployed behind a proxy`);
+    }
+    if (!info.storageLayout) {
+      throw new Error(`No storage layout recorded for ${name}`);
+    }
+
+    const contract = implementation || entry.contract || entry.name;
+    const artifact = await hre.artifacts.readArtifact(contract);
+    const bytecodeHash = ethers.keccak256(artifact.deployedBytecode);
+    if (bytecodeHash === info.bytecodeHash) {
+      log(`${name} is up to date (${info.implementation})`);
+      plans.push({ name, status: "unchanged" });
+      continue;
+    }
+
+    const layout = await storageLayoutOf(hre, contract);
+    const problems = compareLayouts(info.storageLayout, layout);
+    if (problems.length > 0) {
+      throw new Error(
+        `${contract} cannot replace the implementation of ${name}:\n${problems.map((p) => `  - ${p}`).join("\n")}`
+      );
+    }
+    log(`${name}: storage layout of ${contract} is compatible`);
+    plans.push({ name, status: check ? "compatible" : "upgraded", entry, info, contract, bytecodeHash, layout });
+  }
+
+  const results = {};
+  const context = { addresses: record.contracts, deployer: signer.address, env };
+  for (const { name, status, entry, info, contract, bytecodeHash, layout } of plans) {
+    if (status !== "upgraded") {
+      results[name] = { status, implementation: record.artifacts[name].implementation };
+      continue;
+    }
+
+    log(`Upgrading ${name}...`);
+    const args = resolve(entry.args || [], context);
+    const deployed = await deployContract(ethers, contract, args, signer, confirmations);
+    const proxy = await ethers.getContractAt(contract, record.contracts[name], signer);
+    const receipt = await (await proxy.upgradeToAndCall(deployed.address, "0x")).wait(confirmations);
+
+    info.upgrades = [
+      ...(info.upgrades || []),
+      {
+        contract: info.contract,
+        implementation: info.implementation,
+        bytecodeHash: info.bytecodeHash,
+        replacedBy: deployed.address,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      },
+    ];
+    Object.assign(info, {
+      contract,
+      implementation: deployed.address,
+      bytecodeHash,
+      codeHash: deployed.codeHash,
+      constructorArgs: toJson(args),
+      storageLayout: layout,
+    });
+    delete info.verification;
+    await save(record);
+    log(`   ✅ ${name} now runs ${contract} at ${deployed.address}`);
+    results[name] = { status, implementation: deployed.address };
+  }
+  return results;
+}
+
+module.exports = {
+  upgrade,
+};
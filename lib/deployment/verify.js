@@ -0,0 +1,180 @@
+const { Etherscan } = require("@nomicfoundation/hardhat-verify/etherscan");
+const defaultManifest = require("./manifest");
+const { resolve } = require("./refs");
+const { toJson } = require("./record");
+const { PROXY_CONTRACT } = require("./engine");
+
+/**
+ * @title Deployment verification
+ * @dev Verifies every contract of a deployment record on the block explorer
+ *      configured in hardhat.config.js (`etherscan.customChains`) and stores
+ *      the outcome in the record. Contracts behind a proxy are verified twice:
+ *      the current implementation, then the proxy.
+ */
+
+/// @dev Explorer responses that mean "try again later"
+const RETRYABLE_ERRORS = [
+  /rate limit/i,
+  /max calls per sec/i,
+  /too many requests/i,
+  /status code: 429/i,
+  /does not have bytecode/i, // explorer has not indexed the deployment yet
+  /unable to locate contractcode/i,
+  /network request failed/i,
+];
+
+const ALREADY_VERIFIED = /already verified/i;
+
+const sleep = (ms) => new Promise((done) => setTimeout(done, ms));
+
+/**
+ * @notice Constructor arguments used when `name` was deployed
+ * @dev Taken from the record when present, otherwise rebuilt from the manifest
+ *      using the recorded addresses (records written before artifacts were tracked)
+ */
+function constructorArgumentsFor(name, record, manifest = defaultManifest, env = process.env) {
+  const info = (record.artifacts || {})[name];
+  if (info && info.constructorArgs) {
+    return info.constructorArgs;
+  }
+  const entry = manifest.find((candidate) => candidate.name === name);
+  if (!entry) {
+    return [];
+  }
+  const context = { addresses: record.contracts, deployer: record.deployer, env };
+  return toJson(resolve(entry.args || [], context));
+}
+
+/**
+ * @notice Verifies a single contract, retrying on rate limits and indexing delays
+ * @return {Promise<{status: string, attempts: number, message: string}>}
+ */
+async function verifyContract(hre, etherscan, { address, contract, constructorArguments }, options) {
+  const { retries, retryDelayMs, wait } = options;
+  let attempts = 0;
+
+  while (true) {
+    attempts++;
+    try {
+      if (await etherscan.isVerified(address)) {
+        return { status: "verified", attempts, message: "Already verified" };
+      }
+      await hre.run("verify:verify", { address, constructorArguments, contract });
+      return { status: "verified", attempts, message: "Verified" };
+    } catch (error) {
+      const message = error.message || String(error);
+      if (ALREADY_VERIFIED.test(message)) {
+        return { status: "verified", attempts, message: "Already verified" };
+      }
+      if (attempts >= retries || !RETRYABLE_ERRORS.some((pattern) => pattern.test(message))) {
+        return { status: "failed", attempts, message };
+      }
+      await wait(retryDelayMs * attempts);
+    }
+  }
+}
+
+/**
+ * @notice Verifies the contracts of a deployment record
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} record Deployment record (see ./record.js), updated in place
+ * @param {Object} [options]
+ * @param {string[]} [options.only] Verify only these contracts
+ * @param {boolean} [options.force] Re-verify contracts already marked as verified
+ * @param {number} [options.retries] Attempts per contract (default 5)
+ * @param {number} [options.retryDelayMs] Base delay between attempts, multiplied by the attempt number
+ * @param {Function} [options.save] Persists the record after each contract
+ * @param {Function} [options.log] Progress logger (defaults to console.log)
+ * @return {Promise<Object>} Verification status per contract name
+ */
+async function verifyDeployment(hre, record, options = {}) {
+  const {
+    only,
+    force = false,
+    retries = 5,
+    retryDelayMs = 5000,
+    save = async () => {},
+    log = console.log,
+    wait = sleep,
+    manifest = defaultManifest,
+  } = options;
+
+  const chainConfig = await Etherscan.getCurrentChainConfig(
+    hre.network.name,
+    hre.network.provider,
+    hre.config.etherscan.customChains
+  );
+  const etherscan = Etherscan.fromChainConfig(hre.config.etherscan.apiKey, chainConfig);
+
+  record.artifacts = record.artifacts || {};
+  const names = only && only.length > 0 ? only : Object.keys(record.contracts);
+  const results = {};
+
+  for (const name of names) {
+    const address = record.contracts[name];
+    if (!address) {
+      throw new Error(`${name} is not in the deployment record`);
+    }
+
+    const info = record.artifacts[name] || {};
+    record.artifacts[name] = info;
+    const entry = manifest.find((candidate) => candidate.name === name);
+    const targets = [
+      {
+        key: "verification",
+        label: info.proxy ? `${name} implementation` : name,
+        address: info.proxy ? info.implementation : address,
+        contract: info.contract || (entry && entry.contract) || name,
+        constructorArguments: constructorArgumentsFor(name, record, manifest),
+      },
+    ];
+    if (info.proxy) {
+      targets.push({
+        key: "proxyVerification",
+        label: `${name} proxy`,
+        address,
+        contract: PROXY_CONTRACT,
+        constructorArguments: info.proxyConstructorArgs,
+      });
+    }
+
+    for (const { key, label, contract, ...target } of targets) {
+      if (!force && info[key] && info[key].status === "verified") {
+        log(`⏭️  ${label} already verified`);
+        continue;
+      }
+      const artifact = await hre.artifacts.readArtifact(contract);
+
+      log(`🔍 Verifying ${label} at ${target.address}...`);
+      const result = await verifyContract(
+        hre,
+        etherscan,
+        { ...target, contract: `${artifact.sourceName}:${artifact.contractName}` },
+        { retries, retryDelayMs, wait }
+      );
+
+      info[key] = {
+        ...result,
+        url: etherscan.getContractUrl(target.address),
+        timestamp: new Date().toISOString(),
+      };
+      await save(record);
+
+      log(result.status === "verified" ? `   ✅ ${result.message}` : `   ❌ ${result.message}`);
+    }
+
+    // A proxy counts as verified once both halves are
+    const failed = info.proxyVerification && info.proxyVerification.status !== "verified";
+    results[name] = failed
+      ? { ...info.proxyVerification, message: `Proxy: ${info.proxyVerification.message}` }
+      : info.verification;
+  }
+
+  return results;
+}
+
+module.exports = {
+  constructorArgumentsFor,
+  verifyContract,
+  verifyDeployment,
+};
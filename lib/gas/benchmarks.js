@@ -0,0 +1,601 @@
+const { ZeroAddress, parseEther } = require("ethers");
+const { signBuyerAction, buyerActionCall } = require("../sdk/gasless");
+
+/**
+ * @title Gas benchmarks
+ * @dev One benchmark per public function of the main contracts. `prepare(context, size)`
+ *      brings a fresh deployment (see runner.js) to the state just before the call and
+ *      returns a function sending it; only that transaction is measured.
+ *
+ *      Functions that loop over a collection run at each of SIZES, the size being the
+ *      length of the collection at its worst case: the order's milestones
+ *      (addMilestone, startOrder, approveMilestone, autoApproveMilestone, reclaimOrder), the badges known and held
+ *      (awardBadge) or the categories known (addCategory, addProduct, updateProduct).
+ *
+ *      Everything sent is deterministic, signatures included (fixed deadlines), so the
+ *      gas of a benchmark only changes with the contracts or the compiler settings.
+ *      confirmDelivery and approveDeliveredMilestone are left out: they are only reached
+ *      through ShippingTracker deliveries.
+ */
+
+const SIZES = [1, 10, 50];
+
+const ORDER_VALUE = parseEther("1");
+const ESCROW_VALUE = parseEther("0.5");
+
+/// @dev Signature deadline far in the future, so signed calldata does not depend on the clock
+const DEADLINE = 4102444800n;
+
+/// @dev Percentages of `count` milestones adding up to 100
+function split(count) {
+  const share = Math.floor(100 / count);
+  return Array.from({ length: count }, (_, index) => (index === count - 1 ? 100 - share * (count - 1) : share));
+}
+
+async function createOrder({ payment, token, buyer, supplier }, { inToken = false } = {}) {
+  const id = await payment.orderCounter();
+  if (inToken) {
+    await token.connect(buyer).approve(await payment.getAddress(), ORDER_VALUE);
+    await payment
+      .connect(buyer)
+      .createOrderWithToken(supplier.address, "Benchmark order", await token.getAddress(), ORDER_VALUE);
+  } else {
+    await payment.connect(buyer).createOrder(supplier.address, "Benchmark order", { value: ORDER_VALUE });
+  }
+  return id;
+}
+
+async function plannedOrder(context, percentages, options) {
+  const id = await createOrder(context, options);
+  for (const [index, percentage] of percentages.entries()) {
+    await context.payment.connect(context.buyer).addMilestone(id, `Milestone ${index}`, percentage);
+  }
+  return id;
+}
+
+async function startedOrder(context, count, options) {
+  const id = await plannedOrder(context, split(count), options);
+  await context.payment.connect(context.buyer).startOrder(id);
+  return id;
+}
+
+/// @dev Started order whose milestones are all completed and all but the last approved
+async function deliveredOrder(context, count, options) {
+  const { payment, buyer, supplier } = context;
+  const id = await startedOrder(context, count, options);
+  for (let index = 0; index < count; index++) {
+    await payment.connect(supplier).completeMilestone(id, index);
+  }
+  for (let index = 0; index < count - 1; index++) {
+    await payment.connect(buyer).approveMilestone(id, index);
+  }
+  return id;
+}
+
+async function paidOrder(context, options) {
+  const id = await deliveredOrder(context, 1, options);
+  await context.payment.connect(context.buyer).approveMilestone(id, 0);
+  return id;
+}
+
+async function disputedOrder(context) {
+  const id = await startedOrder(context, 1);
+  await context.payment.connect(context.buyer).raiseDispute(id, "Late delivery");
+  return id;
+}
+
+/// @dev Escalated order dispute that a single arbitrator vote settles
+async function escalatedOrder(context) {
+  const { arbitrators, arbitrator, payment, buyer } = context;
+  await arbitrators.addArbitrator(arbitrator.address);
+  await arbitrators.setQuorum(1);
+  const id = await disputedOrder(context);
+  await payment.connect(buyer).escalateDispute(id);
+  return id;
+}
+
+async function endEvidencePeriod({ time }, contract) {
+  await time.increase(await contract.evidencePeriod());
+}
+
+/// @dev Sends a buyer action signed by the buyer from another account, as the relayer does
+async function signedCall({ payment, buyer, rival }, action, fields) {
+  const { method, args } = buyerActionCall(
+    await signBuyerAction(buyer, payment, action, fields, { deadline: DEADLINE })
+  );
+  return () => payment.connect(rival)[method](...args);
+}
+
+async function createEscrow({ escrow, buyer, supplier }) {
+  const receipt = await (
+    await escrow.connect(buyer).createEscrow(0, supplier.address, ZeroAddress, ESCROW_VALUE, 0)
+  ).wait();
+  return receipt.logs.map((log) => escrow.interface.parseLog(log)).find((event) => event.name === "EscrowCreated").args
+    .escrowId;
+}
+
+async function fundedEscrow(context) {
+  const id = await createEscrow(context);
+  await context.escrow.connect(context.buyer).fundEscrow(id, { value: ESCROW_VALUE });
+  return id;
+}
+
+async function disputedEscrow(context) {
+  const id = await fundedEscrow(context);
+  await context.escrow.connect(context.buyer).raiseDispute(id);
+  return id;
+}
+
+async function addBadgeTypes({ reputation }, count) {
+  for (let index = 0; index < count; index++) {
+    await reputation.addBadgeType(`Badge ${index}`);
+  }
+}
+
+async function recordedOrder({ reputation, owner, buyer, supplier }) {
+  await reputation.setOrderRecorder(owner.address);
+  await reputation.recordCompletedOrder(1, buyer.address, supplier.address);
+  return 1;
+}
+
+/// @dev Products of the supplier in `count` distinct categories
+async function addProducts({ catalog, supplier }, count) {
+  for (let index = 0; index < count; index++) {
+    await catalog
+      .connect(supplier)
+      .addProduct(`Product ${index}`, "Benchmark product", "", `Category ${index}`, 100, 10);
+  }
+}
+
+const BENCHMARKS = [
+  // SupplyChainPayment
+  {
+    contract: "SupplyChainPayment",
+    method: "createOrder",
+    prepare:
+      async ({ payment, buyer, supplier }) =>
+      () =>
+        payment.connect(buyer).createOrder(supplier.address, "Benchmark order", { value: ORDER_VALUE }),
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "createOrderWithToken",
+    prepare: async ({ payment, token, buyer, supplier }) => {
+      await token.connect(buyer).approve(await payment.getAddress(), ORDER_VALUE);
+      const address = await token.getAddress();
+      return () =>
+        payment.connect(buyer).createOrderWithToken(supplier.address, "Benchmark order", address, ORDER_VALUE);
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "addMilestone",
+    sizes: SIZES,
+    prepare: async (context, size) => {
+      const id = await plannedOrder(context, Array(size - 1).fill(1));
+      return () => context.payment.connect(context.buyer).addMilestone(id, `Milestone ${size - 1}`, 1);
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "addMilestoneBySig",
+    sizes: SIZES,
+    prepare: async (context, size) => {
+      const orderId = await plannedOrder(context, Array(size - 1).fill(1));
+      return signedCall(context, "AddMilestone", {
+        orderId,
+        description: `Milestone ${size - 1}`,
+        paymentPercentage: 1,
+      });
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "setMilestoneDeadline",
+    prepare: async (context) => {
+      const id = await plannedOrder(context, [100]);
+      return () => context.payment.connect(context.buyer).setMilestoneDeadline(id, 0, DEADLINE);
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "startOrder",
+    sizes: SIZES,
+    prepare: async (context, size) => {
+      const id = await plannedOrder(context, split(size));
+      return () => context.payment.connect(context.buyer).startOrder(id);
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "startOrderBySig",
+    sizes: SIZES,
+    prepare: async (context, size) =>
+      signedCall(context, "StartOrder", { orderId: await plannedOrder(context, split(size)) }),
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "completeMilestone",
+    prepare: async (context) => {
+      const id = await startedOrder(context, 1);
+      return () => context.payment.connect(context.supplier).completeMilestone(id, 0);
+    },
+  },
+  {
+    // The approval completing the order, which scans every milestone
+    contract: "SupplyChainPayment",
+    method: "approveMilestone",
+    sizes: SIZES,
+    prepare: async (context, size) => {
+      const id = await deliveredOrder(context, size);
+      return () => context.payment.connect(context.buyer).approveMilestone(id, size - 1);
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "approveMilestoneBySig",
+    sizes: SIZES,
+    prepare: async (context, size) =>
+      signedCall(context, "ApproveMilestone", {
+        orderId: await deliveredOrder(context, size),
+        milestoneIndex: size - 1,
+      }),
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "autoApproveMilestone",
+    sizes: SIZES,
+    prepare: async (context, size) => {
+      const id = await deliveredOrder(context, size);
+      await context.time.increase(await context.payment.approvalWindow());
+      return () => context.payment.connect(context.rival).autoApproveMilestone(id, size - 1);
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "raiseDispute",
+    prepare: async (context) => {
+      const id = await startedOrder(context, 1);
+      return () => context.payment.connect(context.buyer).raiseDispute(id, "Late delivery");
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "submitEvidence",
+    prepare: async (context) => {
+      const id = await disputedOrder(context);
+      return () => context.payment.connect(context.buyer).submitEvidence(id, "ipfs://evidence");
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "escalateDispute",
+    prepare: async (context) => {
+      await context.arbitrators.addArbitrator(context.arbitrator.address);
+      await context.arbitrators.setQuorum(1);
+      const id = await disputedOrder(context);
+      return () => context.payment.connect(context.buyer).escalateDispute(id);
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "castVote",
+    prepare: async (context) => {
+      const id = await escalatedOrder(context);
+      await endEvidencePeriod(context, context.payment);
+      return () => context.payment.connect(context.arbitrator).castVote(id, 50);
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "resolveDispute",
+    prepare: async (context) => {
+      const id = await disputedOrder(context);
+      await endEvidencePeriod(context, context.payment);
+      return () => context.payment.resolveDispute(id, 50);
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "cancelOrder",
+    prepare: async (context) => {
+      const id = await createOrder(context);
+      return () => context.payment.connect(context.buyer).cancelOrder(id);
+    },
+  },
+  {
+    // Only the last milestone has a deadline, so every milestone is checked
+    contract: "SupplyChainPayment",
+    method: "reclaimOrder",
+    sizes: SIZES,
+    prepare: async (context, size) => {
+      const { payment, buyer, time } = context;
+      const id = await plannedOrder(context, split(size));
+      await payment.connect(buyer).setMilestoneDeadline(id, size - 1, (await time.latest()) + 86400);
+      await payment.connect(buyer).startOrder(id);
+      await time.increase(2 * 86400);
+      return () => payment.connect(buyer).reclaimOrder(id);
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "withdrawPlatformFees",
+    prepare: async (context) => {
+      await paidOrder(context);
+      return () => context.payment.withdrawPlatformFees();
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "withdrawTokenFees",
+    prepare: async (context) => {
+      await paidOrder(context, { inToken: true });
+      const address = await context.token.getAddress();
+      return () => context.payment.withdrawTokenFees(address);
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "updatePlatformFee",
+    prepare:
+      async ({ payment }) =>
+      () =>
+        payment.updatePlatformFee(2),
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "setAcceptedToken",
+    prepare: async ({ payment, token }) => {
+      const address = await token.getAddress();
+      return () => payment.setAcceptedToken(address, false);
+    },
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "setShippingTracker",
+    prepare:
+      async ({ payment, owner }) =>
+      () =>
+        payment.setShippingTracker(owner.address),
+  },
+  {
+    contract: "SupplyChainPayment",
+    method: "setApprovalWindow",
+    prepare:
+      async ({ payment }) =>
+      () =>
+        payment.setApprovalWindow(86400),
+  },
+
+  // PaymentEscrow
+  {
+    contract: "PaymentEscrow",
+    method: "createEscrow",
+    prepare:
+      async ({ escrow, buyer, supplier }) =>
+      () =>
+        escrow.connect(buyer).createEscrow(0, supplier.address, ZeroAddress, ESCROW_VALUE, 0),
+  },
+  {
+    contract: "PaymentEscrow",
+    method: "fundEscrow",
+    prepare: async (context) => {
+      const id = await createEscrow(context);
+      return () => context.escrow.connect(context.buyer).fundEscrow(id, { value: ESCROW_VALUE });
+    },
+  },
+  {
+    contract: "PaymentEscrow",
+    method: "approveRelease",
+    prepare: async (context) => {
+      const id = await fundedEscrow(context);
+      return () => context.escrow.connect(context.buyer).approveRelease(id);
+    },
+  },
+  {
+    contract: "PaymentEscrow",
+    method: "approveRelease",
+    variant: "releasing",
+    prepare: async (context) => {
+      const id = await fundedEscrow(context);
+      await context.escrow.connect(context.buyer).approveRelease(id);
+      return () => context.escrow.connect(context.supplier).approveRelease(id);
+    },
+  },
+  {
+    contract: "PaymentEscrow",
+    method: "refundBuyer",
+    prepare: async (context) => {
+      const id = await fundedEscrow(context);
+      return () => context.escrow.refundBuyer(id);
+    },
+  },
+  {
+    contract: "PaymentEscrow",
+    method: "raiseDispute",
+    prepare: async (context) => {
+      const id = await fundedEscrow(context);
+      return () => context.escrow.connect(context.buyer).raiseDispute(id);
+    },
+  },
+  {
+    contract: "PaymentEscrow",
+    method: "resolveDispute",
+    prepare: async (context) => {
+      const id = await disputedEscrow(context);
+      await endEvidencePeriod(context, context.escrow);
+      return () => context.escrow.resolveDispute(id, 50);
+    },
+  },
+
+  // ReputationSystem
+  {
+    contract: "ReputationSystem",
+    method: "addBadgeType",
+    prepare:
+      async ({ reputation }) =>
+      () =>
+        reputation.addBadgeType("Badge 0"),
+  },
+  {
+    // Scans the known badges, then the supplier's badges
+    contract: "ReputationSystem",
+    method: "awardBadge",
+    sizes: SIZES,
+    prepare: async (context, size) => {
+      const { reputation, supplier } = context;
+      await addBadgeTypes(context, size);
+      for (let index = 0; index < size - 1; index++) {
+        await reputation.awardBadge(supplier.address, `Badge ${index}`);
+      }
+      return () => reputation.awardBadge(supplier.address, `Badge ${size - 1}`);
+    },
+  },
+  {
+    contract: "ReputationSystem",
+    method: "setOrderRecorder",
+    prepare:
+      async ({ reputation, owner }) =>
+      () =>
+        reputation.setOrderRecorder(owner.address),
+  },
+  {
+    contract: "ReputationSystem",
+    method: "recordCompletedOrder",
+    prepare: async ({ reputation, owner, buyer, supplier }) => {
+      await reputation.setOrderRecorder(owner.address);
+      return () => reputation.recordCompletedOrder(1, buyer.address, supplier.address);
+    },
+  },
+  {
+    contract: "ReputationSystem",
+    method: "submitReview",
+    prepare: async (context) => {
+      const id = await recordedOrder(context);
+      return () => context.reputation.connect(context.buyer).submitReview(context.supplier.address, id, 5, "On time");
+    },
+  },
+  {
+    contract: "ReputationSystem",
+    method: "verifyReview",
+    prepare: async (context) => {
+      const { reputation, buyer, supplier } = context;
+      await reputation.connect(buyer).submitReview(supplier.address, await recordedOrder(context), 5, "On time");
+      const id = (await reputation.getTotalReviews()) - 1n;
+      return () => reputation.verifyReview(id);
+    },
+  },
+
+  // SupplierRegistry
+  {
+    contract: "SupplierRegistry",
+    method: "registerSupplier",
+    prepare:
+      async ({ registry, rival }) =>
+      () =>
+        registry
+          .connect(rival)
+          .registerSupplier("Globex Packaging", "sales@globex.example", "2 Dock Street", "ipfs://globex"),
+  },
+  {
+    contract: "SupplierRegistry",
+    method: "updateProfile",
+    prepare:
+      async ({ registry, supplier }) =>
+      () =>
+        registry.connect(supplier).updateProfile("orders@acme.example", "3 Harbour Road", "ipfs://acme-2"),
+  },
+  {
+    // Scans the known categories for a new one
+    contract: "SupplierRegistry",
+    method: "addCategory",
+    sizes: SIZES,
+    prepare: async ({ registry, supplier }, size) => {
+      for (let index = 0; index < size - 1; index++) {
+        await registry.addCategory(supplier.address, `Category ${index}`);
+      }
+      return () => registry.addCategory(supplier.address, `Category ${size - 1}`);
+    },
+  },
+  {
+    contract: "SupplierRegistry",
+    method: "addTag",
+    prepare:
+      async ({ registry, supplier }) =>
+      () =>
+        registry.connect(supplier).addTag("certified"),
+  },
+  {
+    contract: "SupplierRegistry",
+    method: "verifySupplier",
+    prepare: async ({ registry, rival }) => {
+      await registry.connect(rival).registerSupplier("Globex Packaging", "sales@globex.example", "", "ipfs://globex");
+      return () => registry.verifySupplier(rival.address);
+    },
+  },
+  {
+    contract: "SupplierRegistry",
+    method: "deactivateSupplier",
+    prepare:
+      async ({ registry, supplier }) =>
+      () =>
+        registry.deactivateSupplier(supplier.address),
+  },
+
+  // ProductCatalog
+  {
+    // Scans the known categories for a new one
+    contract: "ProductCatalog",
+    method: "addProduct",
+    sizes: SIZES,
+    prepare: async (context, size) => {
+      await addProducts(context, size - 1);
+      return () =>
+        context.catalog
+          .connect(context.supplier)
+          .addProduct(`Product ${size - 1}`, "Benchmark product", "", `Category ${size - 1}`, 100, 10);
+    },
+  },
+  {
+    // Moves a product to a new category
+    contract: "ProductCatalog",
+    method: "updateProduct",
+    sizes: SIZES,
+    prepare: async (context, size) => {
+      await addProducts(context, size);
+      return () => context.catalog.connect(context.supplier).updateProduct(0, "Updated", "", `Category ${size}`);
+    },
+  },
+  ...["updateInventory", "increaseInventory", "decreaseInventory", "updatePrice"].map((method) => ({
+    contract: "ProductCatalog",
+    method,
+    prepare: async (context) => {
+      await addProducts(context, 1);
+      return () => context.catalog.connect(context.supplier)[method](0, 5);
+    },
+  })),
+  {
+    contract: "ProductCatalog",
+    method: "deactivateProduct",
+    prepare: async (context) => {
+      await addProducts(context, 1);
+      return () => context.catalog.connect(context.supplier).deactivateProduct(0);
+    },
+  },
+];
+
+/**
+ * @notice Snapshot key of a benchmark run, e.g. "SupplyChainPayment.addMilestone (n=50)"
+ * @param {Object} benchmark Entry of BENCHMARKS
+ * @param {number} [size] Size of the run, for sized benchmarks
+ */
+function benchmarkKey({ contract, method, variant }, size) {
+  const qualifiers = [variant, size === undefined ? null : `n=${size}`].filter(Boolean);
+  return `${contract}.${method}${qualifiers.length > 0 ? ` (${qualifiers.join(", ")})` : ""}`;
+}
+
+module.exports = {
+  SIZES,
+  BENCHMARKS,
+  benchmarkKey,
+};
@@ -0,0 +1,20 @@
+const { SIZES, BENCHMARKS, benchmarkKey } = require("./benchmarks");
+const { runBenchmarks } = require("./runner");
+const { readSnapshot, writeSnapshot, compareSnapshots, formatDiffTable } = require("./snapshot");
+
+/**
+ * @title Gas benchmarks
+ * @dev Measures the gas of every public function of the main contracts and
+ *      compares it with the committed gas-snapshot.json (see `npx hardhat gas`).
+ */
+
+module.exports = {
+  SIZES,
+  BENCHMARKS,
+  benchmarkKey,
+  runBenchmarks,
+  readSnapshot,
+  writeSnapshot,
+  compareSnapshots,
+  formatDiffTable,
+};
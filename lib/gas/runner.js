@@ -0,0 +1,91 @@
+const { takeSnapshot, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploy } = require("../deployment");
+const { BENCHMARKS, benchmarkKey } = require("./benchmarks");
+
+/**
+ * @title Gas benchmark runner
+ * @dev Deploys the manifest on the in-process Hardhat network, registers and verifies
+ *      the benchmark supplier and funds the buyer in SCT, then runs every benchmark from
+ *      that same state: the chain is reverted to it before each one, so results do not
+ *      depend on the order or on which benchmarks are selected. The chain is left as it
+ *      was found.
+ */
+
+async function seed(hre) {
+  const { ethers } = hre;
+  const [owner, buyer, supplier, rival, carrier, arbitrator] = await ethers.getSigners();
+  const record = await deploy(hre, { log: () => {} });
+  const at = (name) => ethers.getContractAt(record.artifacts[name].contract, record.contracts[name]);
+
+  const context = {
+    owner,
+    buyer,
+    supplier,
+    rival,
+    carrier,
+    arbitrator,
+    time,
+    token: await at("SupplyChainToken"),
+    registry: await at("SupplierRegistry"),
+    reputation: await at("ReputationSystem"),
+    catalog: await at("ProductCatalog"),
+    arbitrators: await at("ArbitratorRegistry"),
+    payment: await at("SupplyChainPayment"),
+    escrow: await at("PaymentEscrow"),
+  };
+  await context.registry
+    .connect(supplier)
+    .registerSupplier("ACME Manufacturing", "sales@acme.example", "1 Harbour Road", "ipfs://acme");
+  await context.registry.verifySupplier(supplier.address);
+  await context.token.mint(buyer.address, ethers.parseEther("1000"));
+  return context;
+}
+
+/**
+ * @notice Measures the gas used by each benchmark
+ * @param {Object} hre Hardhat runtime environment, on the hardhat network
+ * @param {Object} [options]
+ * @param {string[]} [options.only] Contracts or "Contract.method" names to run (default: all)
+ * @param {function(string)} [options.log] Progress output
+ * @return {Promise<Object<string, number>>} Gas used by benchmark key
+ */
+async function runBenchmarks(hre, { only = [], log = () => {} } = {}) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`Gas benchmarks run on the hardhat network (got ${hre.network.name})`);
+  }
+  const selected = BENCHMARKS.filter(
+    ({ contract, method }) => only.length === 0 || only.includes(contract) || only.includes(`${contract}.${method}`)
+  );
+  if (selected.length === 0) {
+    throw new Error(`No benchmark matches ${only.join(", ")}`);
+  }
+
+  const initial = await takeSnapshot();
+  try {
+    const context = await seed(hre);
+    const base = await takeSnapshot();
+    const results = {};
+    for (const benchmark of selected) {
+      for (const size of benchmark.sizes || [undefined]) {
+        const key = benchmarkKey(benchmark, size);
+        await base.restore();
+        try {
+          const send = await benchmark.prepare(context, size);
+          const receipt = await (await send()).wait();
+          results[key] = Number(receipt.gasUsed);
+        } catch (error) {
+          error.message = `Benchmark ${key} failed: ${error.message}`;
+          throw error;
+        }
+        log(`${key}: ${results[key]}`);
+      }
+    }
+    return results;
+  } finally {
+    await initial.restore();
+  }
+}
+
+module.exports = {
+  runBenchmarks,
+};
@@ -0,0 +1,104 @@
+const fs = require("fs");
+
+/**
+ * @title Gas snapshots
+ * @dev A snapshot is a flat JSON object of gas used by benchmark key, written with
+ *      sorted keys so that changes show up as small diffs in review.
+ */
+
+/**
+ * @notice Reads a snapshot file
+ * @return {Object<string, number>|null} null if the file does not exist
+ */
+function readSnapshot(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeSnapshot(file, results) {
+  const sorted = Object.fromEntries(
+    Object.keys(results)
+      .sort()
+      .map((key) => [key, results[key]])
+  );
+  fs.writeFileSync(file, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+/**
+ * @notice Compares measured gas with a baseline snapshot
+ * @dev A benchmark regresses when it uses more than `tolerance` percent above its
+ *      baseline. Benchmarks missing from either side also fail the comparison, so
+ *      the committed snapshot has to be updated whenever the suite changes.
+ * @param {Object<string, number>} baseline Committed snapshot
+ * @param {Object<string, number>} current Measured gas
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] Allowed increase in percent (default 0)
+ * @param {boolean} [options.partial] Only compare the benchmarks in `current`, e.g. for a filtered run
+ * @return {{rows: Object[], failed: boolean}} One row per benchmark, with its status:
+ *         "ok", "improvement", "regression", "new" or "removed"
+ */
+function compareSnapshots(baseline, current, { tolerance = 0, partial = false } = {}) {
+  const keys = new Set(Object.keys(current));
+  if (!partial) {
+    Object.keys(baseline).forEach((key) => keys.add(key));
+  }
+  const rows = [...keys].sort().map((benchmark) => {
+    const before = baseline[benchmark];
+    const after = current[benchmark];
+    if (before === undefined) {
+      return { benchmark, baseline: null, current: after, diff: null, percent: null, status: "new" };
+    }
+    if (after === undefined) {
+      return { benchmark, baseline: before, current: null, diff: null, percent: null, status: "removed" };
+    }
+    const diff = after - before;
+    const percent = before === 0 ? 0 : (diff / before) * 100;
+    const status = percent > tolerance ? "regression" : diff < 0 ? "improvement" : "ok";
+    return { benchmark, baseline: before, current: after, diff, percent, status };
+  });
+  return {
+    rows,
+    failed: rows.some(({ status }) => ["regression", "new", "removed"].includes(status)),
+  };
+}
+
+/**
+ * @notice Renders comparison rows as a text table
+ * @param {Object[]} rows Rows from compareSnapshots
+ * @param {Object} [options]
+ * @param {boolean} [options.changedOnly] Leave out the rows whose gas did not change
+ */
+function formatDiffTable(rows, { changedOnly = false } = {}) {
+  const shown = changedOnly ? rows.filter(({ status, diff }) => status !== "ok" || diff !== 0) : rows;
+  const format = (value, signed) => (value === null ? "-" : `${signed && value > 0 ? "+" : ""}${value}`);
+  const lines = [
+    ["Benchmark", "Baseline", "Current", "Diff", "%", "Status"],
+    ...shown.map((row) => [
+      row.benchmark,
+      format(row.baseline),
+      format(row.current),
+      format(row.diff, true),
+      row.percent === null ? "-" : `${row.percent > 0 ? "+" : ""}${row.percent.toFixed(2)}`,
+      row.status,
+    ]),
+  ];
+  const widths = lines[0].map((_, column) => Math.max(...lines.map((line) => line[column].length)));
+  const render = (line) =>
+    line
+      .map((cell, column) =>
+        column === 0 || column === 5 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+      )
+      .join("  ")
+      .trimEnd();
+  const rule = widths.map((width) => "-".repeat(width)).join("  ");
+  return [render(lines[0]), rule, ...lines.slice(1).map(render)].join("\n");
+}
+
+module.exports = {
+  readSnapshot,
+  writeSnapshot,
+  compareSnapshots,
+  formatDiffTable,
+};
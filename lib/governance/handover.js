@@ -0,0 +1,105 @@
+const { roleHoldersOf } = require("../deployment/roles");
+
+/**
+ * @title Governance handover
+ * @dev Moves contracts of a deployment record under Governance: it becomes their
+ *      owner (fee updates, upgrades, role management) and the only holder of the
+ *      roles that move the treasury and escrowed funds, so none of it can be done
+ *      by a single key anymore.
+ */
+
+/// @notice Contracts Governance takes over by default, with the roles it takes from their holders
+const GOVERNED = {
+  SupplyChainPayment: ["TREASURER_ROLE"],
+  PaymentEscrow: ["REFUNDER_ROLE"],
+};
+
+/**
+ * @notice Hands contracts over to Governance
+ * @dev Every contract is checked before anything is sent: each must be owned by the
+ *      sending account, or already by Governance (then it is left alone). For each
+ *      contract, Governance is granted its roles, the other holders lose them, and
+ *      ownership is transferred last.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} record Deployment record (see lib/deployment/record.js)
+ * @param {Object} [options]
+ * @param {string[]} [options.only] Contracts to hand over (default: those of GOVERNED); others
+ *        than GOVERNED's only change owner
+ * @param {string} [options.governance] Governance address (default: the record's)
+ * @param {Object} [options.signer] Current owner (default: the first configured account)
+ * @param {number} [options.confirmations] Blocks to wait for after each transaction
+ * @param {Function} [options.log] Progress logger (defaults to console.log)
+ * @return {Promise<Object>} Per contract: `{ status, owner, roles, revoked }`, status being
+ *         "unchanged" or "handed over", revoked listing the former holders of each role
+ */
+async function handover(hre, record, options = {}) {
+  const {
+    only = Object.keys(GOVERNED),
+    governance: governanceAddress = record.contracts.Governance,
+    confirmations = 1,
+    log = console.log,
+  } = options;
+  const { ethers } = hre;
+  const signer = options.signer || (await ethers.getSigners())[0];
+  const governance = governanceAddress && ethers.getAddress(governanceAddress);
+
+  if (!governance || (await ethers.provider.getCode(governance)) === "0x") {
+    throw new Error(`Governance is not deployed on ${record.network}`);
+  }
+
+  // Check everything first
+  const plans = [];
+  for (const name of only) {
+    const address = record.contracts[name];
+    if (!address) {
+      throw new Error(`${name} is not deployed on ${record.network}`);
+    }
+    const info = (record.artifacts || {})[name] || {};
+    const contract = await ethers.getContractAt(info.contract || name, address, signer);
+    const owner = await contract.owner();
+    if (owner !== governance && owner !== signer.address) {
+      throw new Error(`${name} is owned by ${owner}, not by ${signer.address}`);
+    }
+    const fromBlock = info.blockNumber !== undefined ? info.blockNumber : record.blockNumber || 0;
+    plans.push({ name, contract, owner, fromBlock });
+  }
+
+  const result = {};
+  for (const { name, contract, owner, fromBlock } of plans) {
+    const roles = {};
+    const revoked = {};
+    for (const role of GOVERNED[name] || []) {
+      roles[role] = [governance];
+      revoked[role] = [];
+    }
+    if (owner === governance) {
+      log(`${name} already owned by Governance`);
+      result[name] = { status: "unchanged", owner, roles, revoked };
+      continue;
+    }
+
+    log(`Handing ${name} over to Governance at ${governance}`);
+    const holders = await roleHoldersOf(contract, fromBlock);
+    for (const roleName of Object.keys(roles)) {
+      const role = await contract[roleName]();
+      if (!(await contract.hasRole(role, governance))) {
+        await (await contract.grantRole(role, governance)).wait(confirmations);
+        log(`   ↳ grantRole(${roleName}, ${governance})`);
+      }
+      for (const holder of holders[roleName].filter((account) => account !== governance)) {
+        await (await contract.revokeRole(role, holder)).wait(confirmations);
+        log(`   ↳ revokeRole(${roleName}, ${holder})`);
+        revoked[roleName].push(holder);
+      }
+    }
+    await (await contract.transferOwnership(governance)).wait(confirmations);
+    log(`   ↳ transferOwnership(${governance})`);
+    result[name] = { status: "handed over", owner: governance, roles, revoked };
+  }
+  return result;
+}
+
+module.exports = {
+  GOVERNED,
+  handover,
+};
@@ -0,0 +1,33 @@
+const {
+  PROPOSAL_STATES,
+  OPEN_STATES,
+  proposalStateName,
+  knownTargets,
+  describeCall,
+  propose,
+  proposeTransfer,
+  getProposal,
+  listProposals,
+} = require("./proposals");
+const { GOVERNED, handover } = require("./handover");
+
+/**
+ * @title Governance tooling
+ * @dev Works with contracts/Governance.sol, the timelocked M-of-N multisig owning the
+ *      fee and refund functions: proposing calls and reading the queue back
+ *      (./proposals.js), and handing contracts over to it (./handover.js).
+ */
+
+module.exports = {
+  PROPOSAL_STATES,
+  OPEN_STATES,
+  proposalStateName,
+  knownTargets,
+  describeCall,
+  propose,
+  proposeTransfer,
+  getProposal,
+  listProposals,
+  GOVERNED,
+  handover,
+};
@@ -0,0 +1,165 @@
+const { getAddress } = require("ethers");
+
+/**
+ * @title Governance proposals
+ * @dev Proposes calls to Governance and reads its queue back, with each call
+ *      decoded against the contracts of the deployment record.
+ */
+
+/// @notice Mirrors Governance.ProposalState
+const PROPOSAL_STATES = ["Pending", "Queued", "Ready", "Executed", "Cancelled", "Expired"];
+
+/// @notice States of proposals still waiting for approvals or execution
+const OPEN_STATES = ["Pending", "Queued", "Ready"];
+
+function proposalStateName(value) {
+  return PROPOSAL_STATES[Number(value)] || `Unknown(${value})`;
+}
+
+/// @dev Results (and nested arrays of them) as plain arrays
+const plain = (value) => (Array.isArray(value) ? [...value].map(plain) : value);
+
+const toDate = (seconds) => (seconds > 0n ? new Date(Number(seconds) * 1000) : null);
+
+/**
+ * @notice Contracts of a deployment record, to decode the calls proposals make
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} record Deployment record (see lib/deployment/record.js)
+ * @return {Promise<Object>} Checksummed address => `{ name, interface }`
+ */
+async function knownTargets(hre, record) {
+  const targets = {};
+  for (const [name, address] of Object.entries(record.contracts)) {
+    const info = (record.artifacts || {})[name] || {};
+    const contract = await hre.ethers.getContractAt(info.contract || name, address);
+    targets[getAddress(address)] = { name, interface: contract.interface };
+  }
+  return targets;
+}
+
+/**
+ * @notice Decodes the call of a proposal
+ * @param {Object} targets See knownTargets
+ * @param {string} target Called address
+ * @param {string} data Calldata, "0x" for a plain ETH transfer
+ * @return {{contract: string, method: string|null, args: Array}} `contract` is the record
+ *         name of the target, or its address if unknown; `method` is null for transfers
+ *         and the selector for calls that could not be decoded
+ */
+function describeCall(targets, target, data) {
+  const known = targets[getAddress(target)];
+  const contract = known ? known.name : target;
+  if (data === "0x") {
+    return { contract, method: null, args: [] };
+  }
+  const parsed = known && known.interface.parseTransaction({ data });
+  if (!parsed) {
+    return { contract, method: data.slice(0, 10), args: [data] };
+  }
+  return { contract, method: parsed.signature, args: plain(parsed.args) };
+}
+
+async function submit(governance, target, value, data, description) {
+  const receipt = await (await governance.propose(target, value, data, description)).wait();
+  const created = receipt.logs
+    .map((log) => governance.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "ProposalCreated");
+  return { proposalId: created.args.proposalId, receipt };
+}
+
+/**
+ * @notice Proposes a call to a contract
+ * @param {Object} governance Governance contract, connected to a signer
+ * @param {Object} target Contract to call (ethers), used to encode the call
+ * @param {string} method Function name or signature
+ * @param {Array} args Call arguments
+ * @param {Object} [options]
+ * @param {bigint} [options.value] ETH sent along, from Governance's balance
+ * @param {string} [options.description] Why the call is made
+ * @return {Promise<{proposalId: bigint, receipt: Object}>}
+ */
+async function propose(governance, target, method, args, { value = 0n, description = "" } = {}) {
+  const data = target.interface.encodeFunctionData(method, args);
+  return submit(governance, await target.getAddress(), value, data, description);
+}
+
+/**
+ * @notice Proposes sending ETH held by Governance (e.g. withdrawn platform fees)
+ * @param {Object} governance Governance contract, connected to a signer
+ * @param {string} recipient Receiving address
+ * @param {bigint} value Amount in wei
+ * @param {Object} [options]
+ * @param {string} [options.description] Why the funds are sent
+ * @return {Promise<{proposalId: bigint, receipt: Object}>}
+ */
+async function proposeTransfer(governance, recipient, value, { description = "" } = {}) {
+  return submit(governance, recipient, value, "0x", description);
+}
+
+/**
+ * @notice A proposal with its call decoded and who approved it
+ * @param {Object} governance Governance contract
+ * @param {bigint|number} proposalId
+ * @param {Object} [targets] See knownTargets
+ */
+async function getProposal(governance, proposalId, targets = {}) {
+  if (BigInt(proposalId) >= (await governance.proposalCount())) {
+    throw new Error(`Proposal ${proposalId} does not exist`);
+  }
+  const [proposal, state, signers, threshold] = await Promise.all([
+    governance.getProposal(proposalId),
+    governance.state(proposalId),
+    governance.getSigners(),
+    governance.threshold(),
+  ]);
+  const approvedBy = [];
+  for (const signer of signers) {
+    if (await governance.hasApproved(proposalId, signer)) {
+      approvedBy.push(signer);
+    }
+  }
+  return {
+    id: BigInt(proposalId),
+    state: proposalStateName(state),
+    description: proposal.description,
+    proposer: proposal.proposer,
+    ...describeCall(targets, proposal.target, proposal.data),
+    target: proposal.target,
+    value: proposal.value,
+    approvals: proposal.approvals,
+    threshold,
+    approvedBy,
+    eta: toDate(proposal.eta),
+  };
+}
+
+/**
+ * @notice Lists proposals, by default those still waiting for approvals or execution
+ * @param {Object} governance Governance contract
+ * @param {Object} [options]
+ * @param {Object} [options.targets] See knownTargets
+ * @param {string[]} [options.states] Only proposals in these states (default: OPEN_STATES)
+ * @return {Promise<Object[]>} See getProposal, oldest first
+ */
+async function listProposals(governance, { targets = {}, states = OPEN_STATES } = {}) {
+  const count = await governance.proposalCount();
+  const proposals = [];
+  for (let id = 0n; id < count; id++) {
+    if (states.includes(proposalStateName(await governance.state(id)))) {
+      proposals.push(await getProposal(governance, id, targets));
+    }
+  }
+  return proposals;
+}
+
+module.exports = {
+  PROPOSAL_STATES,
+  OPEN_STATES,
+  proposalStateName,
+  knownTargets,
+  describeCall,
+  propose,
+  proposeTransfer,
+  getProposal,
+  listProposals,
+};
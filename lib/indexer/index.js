@@ -0,0 +1,13 @@
+const { SCHEMA_VERSION, Store } = require("./store");
+const { INDEXED_CONTRACTS, Indexer } = require("./indexer");
+const { openIndexer } = require("./setup");
+const queries = require("./queries");
+
+module.exports = {
+  SCHEMA_VERSION,
+  Store,
+  INDEXED_CONTRACTS,
+  Indexer,
+  openIndexer,
+  queries,
+};
@@ -0,0 +1,312 @@
+const { Contract, Interface } = require("ethers");
+const abi = require("../sdk/abi");
+const { CONTEXT, applyEvent } = require("./projections");
+
+/**
+ * @title Event indexer
+ * @dev Follows the events of the deployed contracts and keeps a Store in sync.
+ *
+ * Each sync:
+ *  1. compares the hash of the last indexed block with the chain; on a
+ *     mismatch it walks back through the stored block hashes to the last
+ *     common block, drops everything after it and rebuilds the normalized
+ *     tables from the remaining event log;
+ *  2. fetches logs from the checkpoint up to head - confirmations in batches,
+ *     storing each batch and its checkpoint in one transaction and writing
+ *     the database to disk after every batch.
+ */
+
+/// @notice Contracts followed by the indexer (keys of the deployment record)
+const INDEXED_CONTRACTS = [
+  "SupplyChainPayment",
+  "PaymentEscrow",
+  "ShippingTracker",
+  "ReputationSystem",
+  "ProductCatalog",
+  "SupplierRegistry",
+  "InsuranceEscrow",
+];
+
+class Indexer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider ethers provider
+   * @param {Store} options.store Store to write to
+   * @param {Object} options.contracts Addresses by contract name (as in the deployment record)
+   * @param {number} [options.startBlock] First block to index (the deployment block)
+   * @param {number} [options.confirmations] Blocks to stay behind the head
+   * @param {number} [options.batchSize] Blocks per getLogs request
+   * @param {Function} [options.log] Progress logger
+   */
+  constructor({ provider, store, contracts, startBlock = 0, confirmations = 0, batchSize = 2000, log = () => {} }) {
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.log = log;
+
+    this.sources = new Map();
+    for (const name of INDEXED_CONTRACTS) {
+      if (!contracts[name]) {
+        continue;
+      }
+      const address = contracts[name].toLowerCase();
+      this.sources.set(address, {
+        name,
+        iface: new Interface(abi[name]),
+        contract: new Contract(address, abi[name], provider),
+      });
+    }
+    if (this.sources.size === 0) {
+      throw new Error(`None of ${INDEXED_CONTRACTS.join(", ")} is deployed`);
+    }
+  }
+
+  /// @notice Last block written to the store, or null before the first sync
+  get checkpoint() {
+    const value = this.store.getMeta("last_block");
+    return value === null ? null : Number(value);
+  }
+
+  /**
+   * @notice Brings the store up to date with the chain
+   * @return {Promise<{from: number, to: number, events: number, reorg: number|null}>}
+   *         Indexed block range, number of new events and, after a reorg, the last common block
+   */
+  async sync() {
+    await this.checkTarget();
+    const reorg = await this.handleReorg();
+    const head = await this.provider.getBlockNumber();
+    const target = head - this.confirmations;
+    const from = this.checkpoint === null ? this.startBlock : this.checkpoint + 1;
+
+    let events = 0;
+    for (let start = from; start <= target; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, target);
+      events += await this.indexRange(start, end);
+    }
+    return { from, to: Math.max(target, from - 1), events, reorg };
+  }
+
+  /**
+   * @notice Polls the chain until stop() is called
+   * @param {Object} [options]
+   * @param {number} [options.pollIntervalMs] Delay between syncs
+   * @param {Function} [options.onSync] Awaited with the result of every successful sync
+   */
+  async run({ pollIntervalMs = 2000, onSync } = {}) {
+    this.running = true;
+    while (this.running) {
+      try {
+        const result = await this.sync();
+        if (result.reorg !== null) {
+          this.log(`Reorg detected, rolled back to block ${result.reorg}`);
+        }
+        if (result.events > 0) {
+          this.log(`Indexed ${result.events} events up to block ${result.to}`);
+        }
+        if (onSync) {
+          await onSync(result);
+        }
+      } catch (error) {
+        this.log(`Sync failed: ${error.message}`);
+      }
+      if (this.running) {
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, pollIntervalMs);
+          this.wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+      }
+    }
+  }
+
+  stop() {
+    this.running = false;
+    if (this.wake) {
+      this.wake();
+    }
+  }
+
+  /**
+   * @dev Refuses to mix chains or deployments in one database
+   */
+  async checkTarget() {
+    const chainId = (await this.provider.getNetwork()).chainId.toString();
+    const contracts = JSON.stringify([...this.sources.keys()].sort());
+    const stored = { chainId: this.store.getMeta("chain_id"), contracts: this.store.getMeta("contracts") };
+
+    if (stored.chainId === null) {
+      this.store.setMeta("chain_id", chainId);
+      this.store.setMeta("contracts", contracts);
+    } else if (stored.chainId !== chainId || stored.contracts !== contracts) {
+      throw new Error("The index was built for a different chain or deployment; delete it to reindex");
+    }
+  }
+
+  /**
+   * @dev Returns the last common block if the chain no longer contains the checkpoint, null otherwise
+   */
+  async handleReorg() {
+    const checkpoint = this.checkpoint;
+    if (checkpoint === null) {
+      return null;
+    }
+    const stored = this.store.all("SELECT number, hash FROM blocks WHERE number <= $checkpoint ORDER BY number DESC", {
+      checkpoint,
+    });
+    if (stored.length > 0 && stored[0].number === checkpoint && (await this.isCanonical(stored[0]))) {
+      return null;
+    }
+
+    let ancestor = this.startBlock - 1;
+    for (const block of stored) {
+      if (await this.isCanonical(block)) {
+        ancestor = block.number;
+        break;
+      }
+    }
+    this.rollback(ancestor);
+    return ancestor;
+  }
+
+  async isCanonical(block) {
+    const onChain = await this.provider.getBlock(block.number);
+    return onChain !== null && onChain.hash === block.hash;
+  }
+
+  /**
+   * @notice Drops everything after `blockNumber` and rebuilds the normalized tables from the event log
+   */
+  rollback(blockNumber) {
+    this.store.transaction(() => {
+      this.store.run("DELETE FROM events WHERE block_number > $blockNumber", { blockNumber });
+      this.store.run("DELETE FROM blocks WHERE number > $blockNumber", { blockNumber });
+      this.store.clearProjections();
+      for (const row of this.store.all("SELECT * FROM events ORDER BY block_number, log_index")) {
+        applyEvent(this.store, {
+          contract: row.contract,
+          name: row.name,
+          address: row.address,
+          args: JSON.parse(row.args),
+          context: row.context === null ? null : JSON.parse(row.context),
+          blockNumber: row.block_number,
+          logIndex: row.log_index,
+          transactionHash: row.transaction_hash,
+          timestamp: row.timestamp,
+        });
+      }
+      if (blockNumber < this.startBlock) {
+        this.store.run("DELETE FROM meta WHERE key = 'last_block'");
+      } else {
+        this.store.setMeta("last_block", blockNumber);
+      }
+    });
+    this.store.save();
+  }
+
+  /**
+   * @dev Indexes [fromBlock, toBlock] and moves the checkpoint to toBlock
+   */
+  async indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ address: [...this.sources.keys()], fromBlock, toBlock });
+    const blocks = new Map();
+    const block = async (number) => {
+      if (!blocks.has(number)) {
+        const found = await this.provider.getBlock(number);
+        if (!found) {
+          throw new Error(`Block ${number} is not available`);
+        }
+        blocks.set(number, { number, hash: found.hash, timestamp: found.timestamp });
+      }
+      return blocks.get(number);
+    };
+
+    const events = [];
+    for (const log of logs) {
+      const source = this.sources.get(log.address.toLowerCase());
+      const parsed = source && source.iface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+      const { hash, timestamp } = await block(log.blockNumber);
+      if (hash !== log.blockHash) {
+        throw new Error(`Block ${log.blockNumber} changed while indexing; retrying on the next sync`);
+      }
+      const args = decodeArgs(parsed);
+      const readContext = CONTEXT[`${source.name}.${parsed.name}`];
+      events.push({
+        contract: source.name,
+        name: parsed.name,
+        address: log.address.toLowerCase(),
+        args,
+        context: readContext ? await readContext(source.contract, args, log.blockNumber) : null,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        timestamp,
+      });
+    }
+    await block(toBlock);
+
+    this.store.transaction(() => {
+      for (const event of events) {
+        this.store.run(
+          `INSERT INTO events (block_number, log_index, block_hash, transaction_hash, timestamp, contract, address,
+             name, args, context)
+           VALUES ($blockNumber, $logIndex, $blockHash, $transactionHash, $timestamp, $contract, $address,
+             $name, $args, $context)`,
+          {
+            ...event,
+            args: JSON.stringify(event.args),
+            context: event.context === null ? null : JSON.stringify(event.context),
+          }
+        );
+        applyEvent(this.store, event);
+      }
+      for (const { number, hash, timestamp } of blocks.values()) {
+        this.store.run(
+          `INSERT INTO blocks (number, hash, timestamp) VALUES ($number, $hash, $timestamp)
+           ON CONFLICT(number) DO UPDATE SET hash = $hash, timestamp = $timestamp`,
+          { number, hash, timestamp }
+        );
+      }
+      this.store.setMeta("last_block", toBlock);
+    });
+    this.store.save();
+    return events.length;
+  }
+}
+
+/**
+ * @dev Event arguments as JSON-safe values: bigints as decimal strings, addresses in lowercase
+ */
+function decodeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = plain(parsed.args[i], input.type);
+  });
+  return args;
+}
+
+function plain(value, type) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (type === "address") {
+    return value.toLowerCase();
+  }
+  if (value && value._isIndexed) {
+    return value.hash;
+  }
+  return value;
+}
+
+module.exports = {
+  INDEXED_CONTRACTS,
+  Indexer,
+};
@@ -0,0 +1,496 @@
+/**
+ * @title Indexer projections
+ * @dev Turns decoded events into rows of the normalized tables (see ./store.js).
+ *      Handlers only read the stored event (args + context), never the chain,
+ *      so the tables can be rebuilt from the event log after a reorg.
+ *
+ * Some events do not carry everything worth indexing (OrderCreated has no
+ * description or payment token, EscrowCreated no token). `CONTEXT` readers fetch those fields
+ * from the contract at the event's block when the event is first seen; the
+ * result is stored with the event.
+ */
+
+/// @dev ShippingTracker.ShipmentStatus values as stored in the shipments table
+const SHIPMENT_STATUS = ["in_transit", "delayed", "delivered", "lost"];
+
+const CONTEXT = {
+  "SupplyChainPayment.OrderCreated": async (contract, args, blockTag) => {
+    const order = await contract.orders(args.orderId, { blockTag });
+    return { description: order.productDescription, token: order.paymentToken.toLowerCase() };
+  },
+  // A dispute settled with a supplier share pays out without a PaymentReleased event
+  "SupplyChainPayment.DisputeResolved": async (contract, args, blockTag) => {
+    const order = await contract.orders(args.orderId, { blockTag });
+    const stats = await contract.supplierStats(order.supplier, { blockTag });
+    return { totalEarned: stats.totalAmountEarned.toString() };
+  },
+  "SupplierRegistry.SupplierRegistered": async (contract, args, blockTag) => {
+    const profile = await contract.suppliers(args.supplier, { blockTag });
+    return { contactEmail: profile.contactEmail };
+  },
+  "PaymentEscrow.EscrowCreated": async (contract, args, blockTag) => {
+    const escrow = await contract.escrows(args.escrowId, { blockTag });
+    return { token: escrow.token.toLowerCase(), releaseTime: Number(escrow.releaseTime) };
+  },
+  "ShippingTracker.ShipmentCreated": async (contract, args, blockTag) => {
+    const shipment = await contract.shipments(args.shipmentId, { blockTag });
+    return {
+      shipper: shipment.shipper.toLowerCase(),
+      origin: shipment.origin.toLowerCase(),
+      destination: shipment.destination.toLowerCase(),
+      estimatedArrival: Number(shipment.estimatedArrival),
+    };
+  },
+  "ReputationSystem.ReviewSubmitted": async (contract, args, blockTag) => {
+    const review = await contract.getReview(args.reviewId, { blockTag });
+    return { orderId: Number(review.orderId), comment: review.comment };
+  },
+  "ProductCatalog.ProductAdded": async (contract, args, blockTag) => {
+    const product = await contract.getProduct(args.productId, { blockTag });
+    return { category: product.category, inventory: product.inventory.toString() };
+  },
+  "ProductCatalog.ProductUpdated": async (contract, args, blockTag) => {
+    const product = await contract.getProduct(args.productId, { blockTag });
+    return { category: product.category };
+  },
+  "InsuranceEscrow.PolicyCreated": async (contract, args, blockTag) => {
+    const policy = await contract.getPolicy(args.policyId, { blockTag });
+    return {
+      insured: policy.insured.toLowerCase(),
+      premium: policy.premium.toString(),
+      policyNumber: policy.policyNumber,
+      endsAt: Number(policy.endDate),
+      payoutPerPeriod: policy.payoutPerPeriod.toString(),
+      payoutPeriod: Number(policy.period),
+    };
+  },
+};
+
+const id = (value) => Number(value);
+const ETH = "0x0000000000000000000000000000000000000000";
+
+function touchSupplier(store, address) {
+  store.run("INSERT INTO suppliers (address) VALUES ($address) ON CONFLICT(address) DO NOTHING", { address });
+}
+
+function addAmount(store, table, column, key, keyValue, amount) {
+  const row = store.get(`SELECT ${column} AS value FROM ${table} WHERE ${key} = $key`, { key: keyValue });
+  if (row) {
+    store.run(`UPDATE ${table} SET ${column} = $value WHERE ${key} = $key`, {
+      key: keyValue,
+      value: (BigInt(row.value) + BigInt(amount)).toString(),
+    });
+  }
+}
+
+function setOrderStatus(store, orderId, status, timestamp) {
+  store.run("UPDATE orders SET status = $status, updated_at = $timestamp WHERE id = $id", {
+    id: orderId,
+    status,
+    timestamp,
+  });
+}
+
+const HANDLERS = {
+  // --- SupplyChainPayment ---------------------------------------------------
+  "SupplyChainPayment.OrderCreated": (store, { args, context, timestamp }) => {
+    store.run(
+      `INSERT INTO orders (id, buyer, supplier, description, token, amount, status, created_at, updated_at)
+       VALUES ($id, $buyer, $supplier, $description, $token, $amount, 'Created', $timestamp, $timestamp)`,
+      {
+        id: id(args.orderId),
+        buyer: args.buyer,
+        supplier: args.supplier,
+        description: context && context.description,
+        token: context && context.token,
+        amount: args.amount,
+        timestamp,
+      }
+    );
+  },
+  "SupplyChainPayment.MilestoneAdded": (store, { args }) => {
+    store.run(
+      `INSERT INTO milestones (order_id, idx, description, percentage, status)
+       VALUES ($orderId, $idx, $description, $percentage, 'Pending')`,
+      {
+        orderId: id(args.orderId),
+        idx: id(args.milestoneIndex),
+        description: args.description,
+        percentage: id(args.percentage),
+      }
+    );
+  },
+  "SupplyChainPayment.OrderStarted": (store, { args, timestamp }) => {
+    setOrderStatus(store, id(args.orderId), "InProgress", timestamp);
+  },
+  "SupplyChainPayment.MilestoneCompleted": (store, { args, timestamp }) => {
+    store.run(
+      "UPDATE milestones SET status = 'Completed', completed_at = $timestamp WHERE order_id = $orderId AND idx = $idx",
+      { orderId: id(args.orderId), idx: id(args.milestoneIndex), timestamp }
+    );
+  },
+  "SupplyChainPayment.MilestoneApproved": (store, { args, timestamp }) => {
+    const orderId = id(args.orderId);
+    const idx = id(args.milestoneIndex);
+    store.run(
+      `UPDATE milestones SET status = 'Approved', approved_at = $timestamp, payment = $payment
+       WHERE order_id = $orderId AND idx = $idx`,
+      { orderId, idx, timestamp, payment: args.paymentAmount }
+    );
+
+    // paidAmount on-chain is the gross milestone share, before the platform fee; the
+    // approval completing the order is paid whatever rounding left over
+    const order = store.get("SELECT amount, paid FROM orders WHERE id = $id", { id: orderId });
+    const milestone = store.get("SELECT percentage FROM milestones WHERE order_id = $orderId AND idx = $idx", {
+      orderId,
+      idx,
+    });
+    const { pending } = store.get(
+      "SELECT COUNT(*) AS pending FROM milestones WHERE order_id = $orderId AND status != 'Approved'",
+      { orderId }
+    );
+    if (order && milestone) {
+      const amount = BigInt(order.amount);
+      const gross = pending === 0 ? amount - BigInt(order.paid) : (amount * BigInt(milestone.percentage)) / 100n;
+      addAmount(store, "orders", "paid", "id", orderId, gross);
+    }
+    store.run("UPDATE orders SET updated_at = $timestamp WHERE id = $id", { id: orderId, timestamp });
+  },
+  // total_earned mirrors totalAmountEarned, which only counts ETH orders
+  "SupplyChainPayment.PaymentReleased": (store, { args }) => {
+    touchSupplier(store, args.supplier);
+    const order = store.get("SELECT token FROM orders WHERE id = $id", { id: id(args.orderId) });
+    if (!order || !order.token || order.token === ETH) {
+      addAmount(store, "suppliers", "total_earned", "address", args.supplier, args.amount);
+    }
+  },
+  "SupplyChainPayment.OrderCompleted": (store, { args, timestamp }) => {
+    const orderId = id(args.orderId);
+    setOrderStatus(store, orderId, "Completed", timestamp);
+    const order = store.get("SELECT supplier FROM orders WHERE id = $id", { id: orderId });
+    if (order) {
+      store.run("UPDATE suppliers SET orders_completed = orders_completed + 1 WHERE address = $address", {
+        address: order.supplier,
+      });
+    }
+  },
+  "SupplyChainPayment.OrderCancelled": (store, { args, timestamp }) => {
+    setOrderStatus(store, id(args.orderId), "Cancelled", timestamp);
+  },
+  "SupplyChainPayment.DisputeRaised": (store, { args, timestamp }) => {
+    const orderId = id(args.orderId);
+    setOrderStatus(store, orderId, "Disputed", timestamp);
+    store.run("UPDATE orders SET dispute_raised = 1 WHERE id = $id", { id: orderId });
+    store.run(
+      `INSERT INTO disputes (source, ref_id, raised_by, reason, raised_at)
+       VALUES ('order', $orderId, $raisedBy, $reason, $timestamp)`,
+      { orderId, raisedBy: args.raisedBy, reason: args.reason, timestamp }
+    );
+  },
+  "SupplyChainPayment.DisputeResolved": (store, { args, context, timestamp }) => {
+    const orderId = id(args.orderId);
+    const supplierPercentage = Number(args.supplierPercentage);
+    resolveDispute(store, "order", orderId, { ...args, supplierPercentage }, timestamp);
+    setOrderStatus(store, orderId, supplierPercentage > 0 ? "Completed" : "Cancelled", timestamp);
+    const order = store.get("SELECT supplier, amount FROM orders WHERE id = $id", { id: orderId });
+    if (supplierPercentage > 0 && order) {
+      // Whatever was not refunded has now been paid out
+      store.run("UPDATE orders SET paid = $paid WHERE id = $id", {
+        id: orderId,
+        paid: (BigInt(order.amount) - BigInt(args.refundAmount)).toString(),
+      });
+      if (context) {
+        store.run("UPDATE suppliers SET total_earned = $earned WHERE address = $address", {
+          address: order.supplier,
+          earned: context.totalEarned,
+        });
+      }
+      store.run("UPDATE suppliers SET orders_completed = orders_completed + 1 WHERE address = $address", {
+        address: order.supplier,
+      });
+    }
+  },
+  "SupplyChainPayment.DisputeEscalated": (store, { args }) => escalateDispute(store, "order", args),
+
+
+  // --- SupplierRegistry -----------------------------------------------------
+  "SupplierRegistry.SupplierRegistered": (store, { args, context, timestamp }) => {
+    touchSupplier(store, args.supplier);
+    store.run(
+      `UPDATE suppliers SET registry_registered = 1, name = $name, contact_email = $email,
+         registered_at = COALESCE(registered_at, $timestamp) WHERE address = $address`,
+      { address: args.supplier, name: args.businessName, email: context && context.contactEmail, timestamp }
+    );
+  },
+  "SupplierRegistry.SupplierVerified": (store, { args }) => {
+    touchSupplier(store, args.supplier);
+    store.run("UPDATE suppliers SET registry_verified = 1 WHERE address = $address", { address: args.supplier });
+  },
+  "SupplierRegistry.SupplierDeactivated": (store, { args }) => {
+    touchSupplier(store, args.supplier);
+    store.run("UPDATE suppliers SET active = 0 WHERE address = $address", { address: args.supplier });
+  },
+  "SupplierRegistry.CategoryAdded": (store, { args, timestamp }) => {
+    store.run(
+      `INSERT INTO supplier_labels (supplier, kind, label, added_at) VALUES ($supplier, 'category', $label, $timestamp)
+       ON CONFLICT DO NOTHING`,
+      { supplier: args.supplier, label: args.category, timestamp }
+    );
+  },
+  "SupplierRegistry.TagAdded": (store, { args, timestamp }) => {
+    store.run(
+      `INSERT INTO supplier_labels (supplier, kind, label, added_at) VALUES ($supplier, 'tag', $label, $timestamp)
+       ON CONFLICT DO NOTHING`,
+      { supplier: args.supplier, label: args.tag, timestamp }
+    );
+  },
+
+  // --- ReputationSystem -----------------------------------------------------
+  "ReputationSystem.ReviewSubmitted": (store, { args, context, timestamp }) => {
+    store.run(
+      `INSERT INTO reviews (id, reviewer, supplier, order_id, rating, comment, created_at)
+       VALUES ($id, $reviewer, $supplier, $orderId, $rating, $comment, $timestamp)`,
+      {
+        id: id(args.reviewId),
+        reviewer: args.reviewer,
+        supplier: args.supplier,
+        orderId: context && context.orderId,
+        comment: context && context.comment,
+        rating: id(args.rating),
+        timestamp,
+      }
+    );
+  },
+  "ReputationSystem.ReviewVerified": (store, { args }) => {
+    store.run("UPDATE reviews SET verified = 1 WHERE id = $id", { id: id(args.reviewId) });
+  },
+  "ReputationSystem.ReputationUpdated": (store, { args }) => {
+    touchSupplier(store, args.supplier);
+    store.run(
+      "UPDATE suppliers SET average_rating = $average, total_reviews = $total WHERE address = $address",
+      { address: args.supplier, average: id(args.newAverageRating), total: id(args.totalReviews) }
+    );
+  },
+  "ReputationSystem.BadgeAwarded": (store, { args, timestamp }) => {
+    store.run(
+      `INSERT INTO supplier_labels (supplier, kind, label, added_at) VALUES ($supplier, 'badge', $label, $timestamp)
+       ON CONFLICT DO NOTHING`,
+      { supplier: args.supplier, label: args.badge, timestamp }
+    );
+  },
+
+  // --- PaymentEscrow --------------------------------------------------------
+  "PaymentEscrow.EscrowCreated": (store, { args, context, timestamp }) => {
+    store.run(
+      `INSERT INTO escrows (id, order_id, buyer, seller, token, amount, release_time, status, created_at, updated_at)
+       VALUES ($id, $orderId, $buyer, $seller, $token, $amount, $releaseTime, 'Created', $timestamp, $timestamp)`,
+      {
+        id: id(args.escrowId),
+        orderId: id(args.orderId),
+        buyer: args.buyer,
+        seller: args.seller,
+        token: context && context.token,
+        releaseTime: context && context.releaseTime,
+        amount: args.amount,
+        timestamp,
+      }
+    );
+  },
+  "PaymentEscrow.EscrowFunded": (store, event) => setEscrowStatus(store, event, "Funded"),
+  "PaymentEscrow.EscrowReleased": (store, event) => setEscrowStatus(store, event, "Completed"),
+  "PaymentEscrow.EscrowRefunded": (store, event) => setEscrowStatus(store, event, "Refunded"),
+  "PaymentEscrow.EscrowDisputed": (store, event) => {
+    setEscrowStatus(store, event, "Disputed");
+    store.run("INSERT INTO disputes (source, ref_id, raised_at) VALUES ('escrow', $id, $timestamp)", {
+      id: id(event.args.escrowId),
+      timestamp: event.timestamp,
+    });
+  },
+  "PaymentEscrow.EscrowResolved": (store, event) => {
+    const sellerPercentage = Number(event.args.sellerPercentage);
+    setEscrowStatus(store, event, sellerPercentage > 0 ? "Completed" : "Refunded");
+    resolveDispute(
+      store,
+      "escrow",
+      id(event.args.escrowId),
+      { resolvedBy: event.args.resolvedBy, supplierPercentage: sellerPercentage },
+      event.timestamp
+    );
+  },
+  "PaymentEscrow.DisputeEscalated": (store, { args }) => escalateDispute(store, "escrow", args),
+
+  // --- ShippingTracker ------------------------------------------------------
+  "ShippingTracker.ShipmentCreated": (store, { args, context, timestamp, blockNumber, logIndex }) => {
+    const ctx = context || {};
+    store.run(
+      `INSERT INTO shipments (id, order_id, milestone_index, tracking_number, shipper, origin, destination, status,
+         estimated_arrival, departed_at, updated_at)
+       VALUES ($id, $orderId, $milestoneIndex, $tracking, $shipper, $origin, $destination, 'in_transit',
+         $eta, $timestamp, $timestamp)`,
+      {
+        id: id(args.shipmentId),
+        orderId: id(args.orderId),
+        milestoneIndex: id(args.milestoneIndex),
+        tracking: args.trackingNumber,
+        shipper: ctx.shipper,
+        origin: ctx.origin,
+        destination: ctx.destination,
+        eta: ctx.estimatedArrival,
+        timestamp,
+      }
+    );
+    addShipmentUpdate(store, id(args.shipmentId), "in_transit", { timestamp, blockNumber, logIndex });
+  },
+  "ShippingTracker.ShipmentStatusUpdated": (store, { args, timestamp, blockNumber, logIndex }) => {
+    const status = SHIPMENT_STATUS[Number(args.status)];
+    store.run("UPDATE shipments SET status = $status, updated_at = $timestamp WHERE id = $id", {
+      id: id(args.shipmentId),
+      status,
+      timestamp,
+    });
+    addShipmentUpdate(store, id(args.shipmentId), status, { timestamp, blockNumber, logIndex });
+  },
+  "ShippingTracker.ShipmentDelivered": (store, { args, timestamp, blockNumber, logIndex }) => {
+    store.run(
+      "UPDATE shipments SET status = 'delivered', delivered_at = $deliveredAt, updated_at = $timestamp WHERE id = $id",
+      { id: id(args.shipmentId), deliveredAt: id(args.deliveryTime), timestamp }
+    );
+    addShipmentUpdate(store, id(args.shipmentId), "delivered", { timestamp, blockNumber, logIndex });
+  },
+
+  // --- ProductCatalog -------------------------------------------------------
+  "ProductCatalog.ProductAdded": (store, { args, context, timestamp }) => {
+    store.run(
+      `INSERT INTO products (id, supplier, name, category, price, inventory, created_at, updated_at)
+       VALUES ($id, $supplier, $name, $category, $price, $inventory, $timestamp, $timestamp)`,
+      {
+        id: id(args.productId),
+        supplier: args.supplier,
+        name: args.name,
+        category: context && context.category,
+        inventory: context && context.inventory,
+        price: args.price,
+        timestamp,
+      }
+    );
+  },
+  "ProductCatalog.PriceUpdated": (store, { args, timestamp }) => {
+    store.run("UPDATE products SET price = $price, updated_at = $timestamp WHERE id = $id", {
+      id: id(args.productId),
+      price: args.newPrice,
+      timestamp,
+    });
+  },
+  "ProductCatalog.InventoryUpdated": (store, { args, timestamp }) => {
+    store.run("UPDATE products SET inventory = $inventory, updated_at = $timestamp WHERE id = $id", {
+      id: id(args.productId),
+      inventory: args.newInventory,
+      timestamp,
+    });
+  },
+  "ProductCatalog.ProductUpdated": (store, { args, context, timestamp }) => {
+    store.run("UPDATE products SET category = COALESCE($category, category), updated_at = $timestamp WHERE id = $id", {
+      id: id(args.productId),
+      category: context && context.category,
+      timestamp,
+    });
+  },
+  "ProductCatalog.ProductDeactivated": (store, { args, timestamp }) => {
+    store.run("UPDATE products SET active = 0, updated_at = $timestamp WHERE id = $id", {
+      id: id(args.productId),
+      timestamp,
+    });
+  },
+
+  // --- InsuranceEscrow ------------------------------------------------------
+  "InsuranceEscrow.PolicyCreated": (store, { args, context, timestamp }) => {
+    const ctx = context || {};
+    store.run(
+      `INSERT INTO insurance_policies (id, shipment_id, insured, coverage, premium, policy_number, ends_at,
+         payout_per_period, payout_period, status, created_at, updated_at)
+       VALUES ($id, $shipmentId, $insured, $coverage, $premium, $policyNumber, $endsAt,
+         $payoutPerPeriod, $payoutPeriod, 'Active', $timestamp, $timestamp)`,
+      {
+        id: id(args.policyId),
+        shipmentId: id(args.shipmentId),
+        coverage: args.coverageAmount,
+        insured: ctx.insured,
+        premium: ctx.premium,
+        policyNumber: ctx.policyNumber,
+        endsAt: ctx.endsAt,
+        payoutPerPeriod: ctx.payoutPerPeriod,
+        payoutPeriod: ctx.payoutPeriod,
+        timestamp,
+      }
+    );
+  },
+  "InsuranceEscrow.ClaimPaid": (store, { args, timestamp }) => {
+    store.run(
+      `UPDATE insurance_policies SET status = 'Paid', payout = $amount, lost = $lost, delay = $delay,
+         updated_at = $timestamp
+       WHERE id = $id`,
+      { id: id(args.policyId), amount: args.amount, lost: args.lost ? 1 : 0, delay: Number(args.delay), timestamp }
+    );
+  },
+  "InsuranceEscrow.PolicyExpired": (store, { args, timestamp }) => {
+    store.run("UPDATE insurance_policies SET status = 'Expired', updated_at = $timestamp WHERE id = $id", {
+      id: id(args.policyId),
+      timestamp,
+    });
+  },
+};
+
+/**
+ * @dev Closes the open dispute of an order or escrow; a percentage strictly between
+ *      0 and 100 is recorded as a split
+ */
+function resolveDispute(store, source, refId, { resolvedBy, supplierPercentage }, timestamp) {
+  const resolution = supplierPercentage === 100 ? "supplier" : supplierPercentage === 0 ? "buyer" : "split";
+  store.run(
+    `UPDATE disputes SET resolved_by = $resolvedBy, resolution = $resolution,
+       supplier_percentage = $supplierPercentage, resolved_at = $timestamp
+     WHERE source = $source AND ref_id = $refId AND resolved_at IS NULL`,
+    { source, refId, resolvedBy, resolution, supplierPercentage, timestamp }
+  );
+}
+
+function escalateDispute(store, source, args) {
+  store.run(
+    `UPDATE disputes SET escalated = 1
+     WHERE source = $source AND ref_id = $refId AND resolved_at IS NULL`,
+    { source, refId: id(args.disputeId) }
+  );
+}
+
+function setEscrowStatus(store, { args, timestamp }, status) {
+  store.run("UPDATE escrows SET status = $status, updated_at = $timestamp WHERE id = $id", {
+    id: id(args.escrowId),
+    status,
+    timestamp,
+  });
+}
+
+function addShipmentUpdate(store, shipmentId, status, { timestamp, blockNumber, logIndex }) {
+  store.run(
+    `INSERT INTO shipment_updates (shipment_id, block_number, log_index, status, timestamp)
+     VALUES ($shipmentId, $blockNumber, $logIndex, $status, $timestamp)`,
+    { shipmentId, blockNumber, logIndex, status, timestamp }
+  );
+}
+
+/**
+ * @notice Applies one stored event to the normalized tables
+ * @dev Events without a handler (e.g. OwnershipTransferred) are only kept in the event log
+ */
+function applyEvent(store, event) {
+  const handler = HANDLERS[`${event.contract}.${event.name}`];
+  if (handler) {
+    handler(store, event);
+  }
+}
+
+module.exports = {
+  CONTEXT,
+  HANDLERS,
+  applyEvent,
+};
@@ -0,0 +1,297 @@
+/**
+ * @title Indexer queries
+ * @dev Read helpers over a Store. Rows come back with camelCase keys, boolean
+ *      flags as booleans and addresses in lowercase; amounts stay decimal strings.
+ */
+
+const BOOLEAN_COLUMNS = new Set([
+  "dispute_raised",
+  "escalated",
+  "registry_registered",
+  "registry_verified",
+  "active",
+  "verified",
+  "lost",
+]);
+
+function toRecord(row) {
+  const record = {};
+  for (const [column, value] of Object.entries(row)) {
+    const key = column.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+    record[key] = BOOLEAN_COLUMNS.has(column) ? value === 1 : value;
+  }
+  return record;
+}
+
+function toEvent(row) {
+  return {
+    contract: row.contract,
+    name: row.name,
+    args: JSON.parse(row.args),
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    transactionHash: row.transaction_hash,
+    timestamp: row.timestamp,
+  };
+}
+
+const lower = (address) => (address ? address.toLowerCase() : null);
+
+/**
+ * @notice Builds a WHERE clause from the filters that are set
+ * @param {Object} filters column -> value; undefined/null values are ignored
+ * @param {Object} [ranges] column -> [min, max] (inclusive, either end optional)
+ */
+function where(filters, ranges = {}) {
+  const clauses = [];
+  const params = {};
+  for (const [column, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null) {
+      clauses.push(`${column} = $${column}`);
+      params[column] = value;
+    }
+  }
+  for (const [column, [min, max]] of Object.entries(ranges)) {
+    if (min !== undefined && min !== null) {
+      clauses.push(`${column} >= $${column}_min`);
+      params[`${column}_min`] = min;
+    }
+    if (max !== undefined && max !== null) {
+      clauses.push(`${column} <= $${column}_max`);
+      params[`${column}_max`] = max;
+    }
+  }
+  return { sql: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "", params };
+}
+
+function page({ limit = 50, offset = 0 } = {}) {
+  return { sql: "LIMIT $limit OFFSET $offset", params: { limit: Number(limit), offset: Number(offset) } };
+}
+
+/**
+ * @notice Orders, newest first
+ * @param {Object} [filters] `buyer`, `supplier`, `status`, `token` (payment token, the zero address for ETH),
+ *        `createdFrom`/`createdTo` (unix seconds), `limit`, `offset`
+ */
+function listOrders(store, { buyer, supplier, status, token, createdFrom, createdTo, ...paging } = {}) {
+  const filter = where({ buyer: lower(buyer), supplier: lower(supplier), status, token: lower(token) }, {
+    created_at: [createdFrom, createdTo],
+  });
+  const limits = page(paging);
+  return store
+    .all(`SELECT * FROM orders ${filter.sql} ORDER BY id DESC ${limits.sql}`, { ...filter.params, ...limits.params })
+    .map(toRecord);
+}
+
+/**
+ * @notice An order with its milestones, disputes and full event history
+ * @return {Object|null}
+ */
+function getOrder(store, id) {
+  const row = store.get("SELECT * FROM orders WHERE id = $id", { id: Number(id) });
+  if (!row) {
+    return null;
+  }
+  const params = { id: Number(id) };
+  return {
+    ...toRecord(row),
+    milestones: store.all("SELECT * FROM milestones WHERE order_id = $id ORDER BY idx", params).map(toRecord),
+    disputes: store
+      .all("SELECT * FROM disputes WHERE source = 'order' AND ref_id = $id ORDER BY id", params)
+      .map(toRecord),
+    history: store
+      .all(
+        `SELECT * FROM events WHERE contract = 'SupplyChainPayment' AND json_extract(args, '$.orderId') = $orderId
+         ORDER BY block_number, log_index`,
+        { orderId: String(id) }
+      )
+      .map(toEvent),
+  };
+}
+
+/**
+ * @notice Suppliers known to SupplierRegistry or SupplyChainPayment
+ * @param {Object} [filters] `verified` (in SupplierRegistry), `active`, `category`, `limit`, `offset`
+ */
+function listSuppliers(store, { verified, active, category, ...paging } = {}) {
+  const filter = where({ registry_verified: flag(verified), active: flag(active) });
+  let sql = filter.sql;
+  if (category) {
+    sql += `${sql ? " AND" : "WHERE"} address IN
+      (SELECT supplier FROM supplier_labels WHERE kind = 'category' AND label = $category)`;
+    filter.params.category = category;
+  }
+  const limits = page(paging);
+  return store
+    .all(`SELECT * FROM suppliers ${sql} ORDER BY registered_at, address ${limits.sql}`, {
+      ...filter.params,
+      ...limits.params,
+    })
+    .map(toRecord);
+}
+
+/**
+ * @notice A supplier with its categories, tags and badges
+ * @return {Object|null}
+ */
+function getSupplier(store, address) {
+  const row = store.get("SELECT * FROM suppliers WHERE address = $address", { address: lower(address) });
+  if (!row) {
+    return null;
+  }
+  const labels = store.all("SELECT kind, label FROM supplier_labels WHERE supplier = $address ORDER BY added_at", {
+    address: row.address,
+  });
+  const of = (kind) => labels.filter((label) => label.kind === kind).map((label) => label.label);
+  return { ...toRecord(row), categories: of("category"), tags: of("tag"), badges: of("badge") };
+}
+
+/**
+ * @notice Suppliers ranked by average rating, then number of reviews and completed orders
+ * @param {Object} [options] `minReviews` (default 1), `limit`, `offset`
+ */
+function rankSuppliers(store, { minReviews = 1, ...paging } = {}) {
+  const limits = page(paging);
+  return store
+    .all(
+      `SELECT * FROM suppliers WHERE total_reviews >= $minReviews
+       ORDER BY average_rating DESC, total_reviews DESC, orders_completed DESC, address ${limits.sql}`,
+      { minReviews: Number(minReviews), ...limits.params }
+    )
+    .map((row, index) => ({ rank: Number(limits.params.offset) + index + 1, ...toRecord(row) }));
+}
+
+/**
+ * @notice Reviews, oldest first
+ * @param {Object} [filters] `supplier`, `reviewer`, `verified`, `limit`, `offset`
+ */
+function listReviews(store, { supplier, reviewer, verified, ...paging } = {}) {
+  const filter = where({ supplier: lower(supplier), reviewer: lower(reviewer), verified: flag(verified) });
+  const limits = page(paging);
+  return store
+    .all(`SELECT * FROM reviews ${filter.sql} ORDER BY id ${limits.sql}`, { ...filter.params, ...limits.params })
+    .map(toRecord);
+}
+
+/**
+ * @notice A shipment with its status history, by ID or tracking number
+ * @return {Object|null}
+ */
+function getShipment(store, idOrTracking) {
+  const row =
+    typeof idOrTracking === "string" && !/^\d+$/.test(idOrTracking)
+      ? store.get("SELECT * FROM shipments WHERE tracking_number = $tracking", { tracking: idOrTracking })
+      : store.get("SELECT * FROM shipments WHERE id = $id", { id: Number(idOrTracking) });
+  if (!row) {
+    return null;
+  }
+  return {
+    ...toRecord(row),
+    updates: store
+      .all(
+        `SELECT status, timestamp, block_number FROM shipment_updates WHERE shipment_id = $id
+         ORDER BY block_number, log_index`,
+        { id: row.id }
+      )
+      .map(toRecord),
+  };
+}
+
+function listShipments(store, { orderId, status, ...paging } = {}) {
+  const filter = where({ order_id: orderId === undefined ? undefined : Number(orderId), status });
+  const limits = page(paging);
+  return store
+    .all(`SELECT * FROM shipments ${filter.sql} ORDER BY id DESC ${limits.sql}`, { ...filter.params, ...limits.params })
+    .map(toRecord);
+}
+
+function listEscrows(store, { orderId, buyer, seller, status, ...paging } = {}) {
+  const filter = where({
+    order_id: orderId === undefined ? undefined : Number(orderId),
+    buyer: lower(buyer),
+    seller: lower(seller),
+    status,
+  });
+  const limits = page(paging);
+  return store
+    .all(`SELECT * FROM escrows ${filter.sql} ORDER BY id DESC ${limits.sql}`, { ...filter.params, ...limits.params })
+    .map(toRecord);
+}
+
+/**
+ * @notice Products by ID
+ * @param {Object} [filters] `supplier`, `category`, `active`, `inStock`, `limit`, `offset`
+ */
+function listProducts(store, { supplier, category, active, inStock, ...paging } = {}) {
+  const filter = where({ supplier: lower(supplier), category, active: flag(active) });
+  let sql = filter.sql;
+  if (inStock !== undefined && inStock !== null) {
+    sql += `${sql ? " AND" : "WHERE"} inventory ${inStock ? "!=" : "="} '0'`;
+  }
+  const limits = page(paging);
+  return store
+    .all(`SELECT * FROM products ${sql} ORDER BY id ${limits.sql}`, { ...filter.params, ...limits.params })
+    .map(toRecord);
+}
+
+function getProduct(store, id) {
+  const row = store.get("SELECT * FROM products WHERE id = $id", { id: Number(id) });
+  return row ? toRecord(row) : null;
+}
+
+function listPolicies(store, { shipmentId, status, ...paging } = {}) {
+  const filter = where({ shipment_id: shipmentId === undefined ? undefined : Number(shipmentId), status });
+  const limits = page(paging);
+  return store
+    .all(`SELECT * FROM insurance_policies ${filter.sql} ORDER BY id ${limits.sql}`, {
+      ...filter.params,
+      ...limits.params,
+    })
+    .map(toRecord);
+}
+
+function getPolicy(store, id) {
+  const row = store.get("SELECT * FROM insurance_policies WHERE id = $id", { id: Number(id) });
+  return row ? toRecord(row) : null;
+}
+
+/**
+ * @notice Raw events, oldest first
+ * @param {Object} [filters] `contract`, `name`, `fromBlock`, `limit`, `offset`
+ */
+function listEvents(store, { contract, name, fromBlock, ...paging } = {}) {
+  const filter = where({ contract, name });
+  let sql = filter.sql;
+  if (fromBlock !== undefined) {
+    sql += `${sql ? " AND" : "WHERE"} block_number >= $fromBlock`;
+    filter.params.fromBlock = Number(fromBlock);
+  }
+  const limits = page(paging);
+  return store
+    .all(`SELECT * FROM events ${sql} ORDER BY block_number, log_index ${limits.sql}`, {
+      ...filter.params,
+      ...limits.params,
+    })
+    .map(toEvent);
+}
+
+function flag(value) {
+  return value === undefined || value === null ? undefined : value ? 1 : 0;
+}
+
+module.exports = {
+  listOrders,
+  getOrder,
+  listSuppliers,
+  getSupplier,
+  rankSuppliers,
+  listReviews,
+  getShipment,
+  listShipments,
+  listEscrows,
+  listProducts,
+  getProduct,
+  listPolicies,
+  getPolicy,
+  listEvents,
+};
@@ -0,0 +1,39 @@
+const path = require("path");
+const { recordPath, loadRecord } = require("../deployment/record");
+const { Store } = require("./store");
+const { Indexer } = require("./indexer");
+
+/**
+ * @notice Opens the store and builds an indexer for the current network's deployment
+ * @dev Configured from the INDEXER_* environment variables documented in scripts/indexer.js
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} [options]
+ * @param {Object} [options.env] Environment (defaults to process.env)
+ * @param {string} [options.name] Prefix of the default database file, data/<name>-<network>.sqlite
+ * @param {Function} [options.log] Progress logger
+ * @return {Promise<{record: Object, file: string, store: Store, indexer: Indexer}>}
+ */
+async function openIndexer(hre, { env = process.env, name = "indexer", log } = {}) {
+  const recordFile = recordPath(hre);
+  const record = loadRecord(recordFile);
+  if (!record) {
+    throw new Error(`No deployment record at ${recordFile}; deploy first`);
+  }
+
+  const file = env.INDEXER_DB || path.join(hre.config.paths.root, "data", `${name}-${hre.network.name}.sqlite`);
+  const store = await Store.open(file);
+  const indexer = new Indexer({
+    provider: hre.ethers.provider,
+    store,
+    contracts: record.contracts,
+    startBlock: record.blockNumber || 0,
+    confirmations: Number(env.INDEXER_CONFIRMATIONS || 0),
+    batchSize: Number(env.INDEXER_BATCH_SIZE || 2000),
+    log,
+  });
+  return { record, file, store, indexer };
+}
+
+module.exports = {
+  openIndexer,
+};
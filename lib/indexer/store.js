@@ -0,0 +1,346 @@
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+/**
+ * @title Indexer store
+ * @dev Embedded SQLite database (sql.js, no native build needed) holding the
+ *      raw event log, the block hashes used for reorg detection and the
+ *      normalized tables derived from the events. The database lives in
+ *      memory and is written to disk (temp file + rename) at every checkpoint.
+ *
+ * Amounts are stored as decimal strings (uint256 does not fit SQLite
+ * integers), addresses in lowercase, timestamps as unix seconds.
+ */
+
+const SCHEMA_VERSION = 7;
+
+/// @dev Tables rebuilt from the event log after a reorg
+const PROJECTION_TABLES = [
+  "orders",
+  "milestones",
+  "disputes",
+  "suppliers",
+  "supplier_labels",
+  "escrows",
+  "shipments",
+  "shipment_updates",
+  "reviews",
+  "products",
+  "insurance_policies",
+];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    contract TEXT NOT NULL,
+    address TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    context TEXT,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_name ON events (contract, name);
+
+  CREATE TABLE IF NOT EXISTS orders (
+    id INTEGER PRIMARY KEY,
+    buyer TEXT NOT NULL,
+    supplier TEXT NOT NULL,
+    description TEXT,
+    token TEXT,
+    amount TEXT NOT NULL,
+    paid TEXT NOT NULL DEFAULT '0',
+    status TEXT NOT NULL,
+    dispute_raised INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS orders_by_buyer ON orders (buyer);
+  CREATE INDEX IF NOT EXISTS orders_by_supplier ON orders (supplier);
+  CREATE INDEX IF NOT EXISTS orders_by_status ON orders (status);
+
+  CREATE TABLE IF NOT EXISTS milestones (
+    order_id INTEGER NOT NULL,
+    idx INTEGER NOT NULL,
+    description TEXT NOT NULL,
+    percentage INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    payment TEXT,
+    completed_at INTEGER,
+    approved_at INTEGER,
+    PRIMARY KEY (order_id, idx)
+  );
+
+  CREATE TABLE IF NOT EXISTS disputes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    ref_id INTEGER NOT NULL,
+    raised_by TEXT,
+    reason TEXT,
+    raised_at INTEGER NOT NULL,
+    escalated INTEGER NOT NULL DEFAULT 0,
+    resolved_by TEXT,
+    resolution TEXT,
+    supplier_percentage INTEGER,
+    resolved_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS disputes_by_ref ON disputes (source, ref_id);
+
+  CREATE TABLE IF NOT EXISTS suppliers (
+    address TEXT PRIMARY KEY,
+    name TEXT,
+    contact_email TEXT,
+    registered_at INTEGER,
+    registry_registered INTEGER NOT NULL DEFAULT 0,
+    registry_verified INTEGER NOT NULL DEFAULT 0,
+    active INTEGER NOT NULL DEFAULT 1,
+    orders_completed INTEGER NOT NULL DEFAULT 0,
+    total_earned TEXT NOT NULL DEFAULT '0',
+    average_rating INTEGER NOT NULL DEFAULT 0,
+    total_reviews INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS supplier_labels (
+    supplier TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    label TEXT NOT NULL,
+    added_at INTEGER NOT NULL,
+    PRIMARY KEY (supplier, kind, label)
+  );
+
+  CREATE TABLE IF NOT EXISTS escrows (
+    id INTEGER PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    buyer TEXT NOT NULL,
+    seller TEXT NOT NULL,
+    token TEXT,
+    amount TEXT NOT NULL,
+    release_time INTEGER,
+    status TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS escrows_by_order ON escrows (order_id);
+
+  CREATE TABLE IF NOT EXISTS shipments (
+    id INTEGER PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    milestone_index INTEGER,
+    tracking_number TEXT NOT NULL,
+    shipper TEXT,
+    origin TEXT,
+    destination TEXT,
+    status TEXT NOT NULL,
+    estimated_arrival INTEGER,
+    departed_at INTEGER NOT NULL,
+    delivered_at INTEGER,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS shipments_by_order ON shipments (order_id);
+  CREATE INDEX IF NOT EXISTS shipments_by_tracking ON shipments (tracking_number);
+
+  CREATE TABLE IF NOT EXISTS shipment_updates (
+    shipment_id INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS shipment_updates_by_shipment ON shipment_updates (shipment_id);
+
+  CREATE TABLE IF NOT EXISTS reviews (
+    id INTEGER PRIMARY KEY,
+    reviewer TEXT NOT NULL,
+    supplier TEXT NOT NULL,
+    order_id INTEGER,
+    rating INTEGER NOT NULL,
+    comment TEXT,
+    verified INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS reviews_by_supplier ON reviews (supplier);
+
+  CREATE TABLE IF NOT EXISTS products (
+    id INTEGER PRIMARY KEY,
+    supplier TEXT NOT NULL,
+    name TEXT NOT NULL,
+    category TEXT,
+    price TEXT NOT NULL,
+    inventory TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS products_by_supplier ON products (supplier);
+
+  CREATE TABLE IF NOT EXISTS insurance_policies (
+    id INTEGER PRIMARY KEY,
+    shipment_id INTEGER NOT NULL,
+    insured TEXT,
+    coverage TEXT NOT NULL,
+    premium TEXT,
+    policy_number TEXT,
+    ends_at INTEGER,
+    payout_per_period TEXT,
+    payout_period INTEGER,
+    status TEXT NOT NULL,
+    payout TEXT,
+    lost INTEGER,
+    delay INTEGER,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+
+  -- Webhook queue of lib/notifier; not derived from events, so kept on rollback
+  CREATE TABLE IF NOT EXISTS deliveries (
+    id TEXT PRIMARY KEY,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    subscriber TEXT NOT NULL,
+    url TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    last_error TEXT,
+    delivered_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS deliveries_due ON deliveries (status, next_attempt_at);
+`;
+
+let sqlPromise;
+
+class Store {
+  constructor(db, file) {
+    this.db = db;
+    this.file = file;
+  }
+
+  /**
+   * @notice Opens (or creates) a store
+   * @param {string} [file] Database file; omit for a purely in-memory store
+   * @return {Promise<Store>}
+   */
+  static async open(file) {
+    sqlPromise = sqlPromise || initSqlJs();
+    const SQL = await sqlPromise;
+    const db = file && fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+
+    const store = new Store(db, file);
+    store.db.run(SCHEMA);
+    const version = store.getMeta("schema_version");
+    if (version && Number(version) !== SCHEMA_VERSION) {
+      throw new Error(`${file} uses schema version ${version}, expected ${SCHEMA_VERSION}; delete it to reindex`);
+    }
+    store.setMeta("schema_version", SCHEMA_VERSION);
+    return store;
+  }
+
+  run(sql, params = {}) {
+    this.db.run(sql, bind(params));
+  }
+
+  all(sql, params = {}) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(bind(params));
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  get(sql, params = {}) {
+    return this.all(sql, params)[0] || null;
+  }
+
+  /**
+   * @notice Runs `fn` atomically; everything is rolled back if it throws
+   */
+  transaction(fn) {
+    this.db.run("BEGIN");
+    try {
+      const result = fn();
+      this.db.run("COMMIT");
+      return result;
+    } catch (error) {
+      this.db.run("ROLLBACK");
+      throw error;
+    }
+  }
+
+  getMeta(key) {
+    const row = this.get("SELECT value FROM meta WHERE key = $key", { key });
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.run("INSERT INTO meta (key, value) VALUES ($key, $value) ON CONFLICT(key) DO UPDATE SET value = $value", {
+      key,
+      value: String(value),
+    });
+  }
+
+  /// @notice Empties the normalized tables (they are rebuilt from `events`)
+  clearProjections() {
+    for (const table of PROJECTION_TABLES) {
+      this.run(`DELETE FROM ${table}`);
+    }
+  }
+
+  /**
+   * @notice Writes the database to its file
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, Buffer.from(this.db.export()));
+    fs.renameSync(tmp, this.file);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * @dev sql.js expects `$`-prefixed keys and has no bigint/boolean types
+ */
+function bind(params) {
+  const bound = {};
+  for (const [key, value] of Object.entries(params)) {
+    let converted = value;
+    if (typeof value === "bigint") converted = value.toString();
+    else if (typeof value === "boolean") converted = value ? 1 : 0;
+    else if (value === undefined) converted = null;
+    bound[`$${key}`] = converted;
+  }
+  return bound;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  PROJECTION_TABLES,
+  Store,
+};
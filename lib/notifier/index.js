@@ -0,0 +1,11 @@
+const { NOTIFIED_EVENTS, validateSubscriptions, Notifier } = require("./notifier");
+const { SIGNATURE_HEADER, sign, verifySignature } = require("./signature");
+
+module.exports = {
+  NOTIFIED_EVENTS,
+  validateSubscriptions,
+  Notifier,
+  SIGNATURE_HEADER,
+  sign,
+  verifySignature,
+};
@@ -0,0 +1,333 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { isAddress } = require("ethers");
+const { SIGNATURE_HEADER, sign } = require("./signature");
+
+/**
+ * @title Webhook notifier
+ * @dev Turns lifecycle events from the indexer's event log into signed
+ *      webhooks for the parties involved (buyer, supplier, shipper, insured...).
+ *
+ * Deliveries are queued in the indexer store (`deliveries` table) and retried
+ * with exponential backoff; after `maxAttempts` failures they are marked dead
+ * and appended to the dead-letter log (one JSON object per line). Events are
+ * read after the indexer has stored them, so the indexer's `confirmations`
+ * setting also decides how final an event must be before anyone is notified.
+ */
+
+/// @notice Events that trigger webhooks, per contract
+const NOTIFIED_EVENTS = {
+  SupplyChainPayment: [
+    "MilestoneCompleted",
+    "MilestoneApproved",
+    "PaymentReleased",
+    "DisputeRaised",
+    "DisputeResolved",
+    "OrderCancelled",
+  ],
+  PaymentEscrow: ["EscrowDisputed", "EscrowResolved", "EscrowReleased"],
+  ShippingTracker: ["ShipmentDelivered"],
+  InsuranceEscrow: ["ClaimPaid"],
+};
+
+/// @dev Addresses involved in an event, by role, read from the normalized tables
+const PARTIES = {
+  SupplyChainPayment: (store, args) =>
+    store.get("SELECT buyer, supplier FROM orders WHERE id = $id", { id: Number(args.orderId) }),
+  PaymentEscrow: (store, args) =>
+    store.get("SELECT buyer, seller FROM escrows WHERE id = $id", { id: Number(args.escrowId) }),
+  ShippingTracker: (store, args) =>
+    store.get("SELECT shipper, origin, destination FROM shipments WHERE id = $id", { id: Number(args.shipmentId) }),
+  InsuranceEscrow: (store, args) =>
+    store.get("SELECT insured FROM insurance_policies WHERE id = $id", { id: Number(args.policyId) }),
+};
+
+const EVENT_NAMES = Object.values(NOTIFIED_EVENTS).flat();
+
+/**
+ * @notice Checks a subscription list
+ * @param {Object[]} subscriptions `{ address, url, secret, events? }`; `events` limits the event names delivered
+ * @return {Object[]} The subscriptions with lowercase addresses
+ */
+function validateSubscriptions(subscriptions) {
+  if (!Array.isArray(subscriptions)) {
+    throw new Error("Subscriptions must be an array");
+  }
+  return subscriptions.map((subscription, index) => {
+    const { address, url, secret, events } = subscription;
+    if (!isAddress(address)) {
+      throw new Error(`Subscription ${index} has an invalid address: ${address}`);
+    }
+    if (!/^https?:\/\//.test(url || "")) {
+      throw new Error(`Subscription ${index} needs an http(s) url`);
+    }
+    if (!secret) {
+      throw new Error(`Subscription ${index} needs a secret`);
+    }
+    const unknown = (events || []).filter((name) => !EVENT_NAMES.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Subscription ${index} lists unknown events: ${unknown.join(", ")}`);
+    }
+    return { ...subscription, address: address.toLowerCase() };
+  });
+}
+
+class Notifier {
+  /**
+   * @param {Object} options
+   * @param {Store} options.store Indexer store (events are read from it, deliveries queued in it)
+   * @param {Object[]} options.subscriptions See validateSubscriptions
+   * @param {string} [options.network] Network name included in payloads
+   * @param {boolean} [options.fromStart] Notify about events indexed before the notifier first ran
+   * @param {number} [options.maxAttempts] Attempts before a delivery is dead-lettered
+   * @param {number} [options.baseDelayMs] Delay before the first retry; doubles on every attempt
+   * @param {number} [options.maxDelayMs] Upper bound for the retry delay
+   * @param {number} [options.timeoutMs] Request timeout
+   * @param {string} [options.deadLetterFile] JSON lines file receiving dead deliveries
+   * @param {Function} [options.now] Clock in milliseconds
+   * @param {Function} [options.log] Progress logger
+   */
+  constructor({
+    store,
+    subscriptions,
+    network = null,
+    fromStart = false,
+    maxAttempts = 6,
+    baseDelayMs = 1000,
+    maxDelayMs = 5 * 60 * 1000,
+    timeoutMs = 10000,
+    deadLetterFile = null,
+    now = Date.now,
+    log = () => {},
+  }) {
+    this.store = store;
+    this.subscriptions = validateSubscriptions(subscriptions);
+    this.network = network;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.deadLetterFile = deadLetterFile;
+    this.now = now;
+    this.log = log;
+
+    if (this.store.getMeta("notifier_cursor") === null) {
+      const last = fromStart
+        ? null
+        : this.store.get("SELECT block_number, log_index FROM events ORDER BY block_number DESC, log_index DESC");
+      this.setCursor(last ? { block: last.block_number, logIndex: last.log_index } : { block: -1, logIndex: -1 });
+    }
+  }
+
+  /// @notice Position of the last event considered for notification
+  get cursor() {
+    const [block, logIndex] = this.store.getMeta("notifier_cursor").split(":").map(Number);
+    return { block, logIndex };
+  }
+
+  setCursor({ block, logIndex }) {
+    this.store.setMeta("notifier_cursor", `${block}:${logIndex}`);
+  }
+
+  /**
+   * @notice One round of work: queues webhooks for new events and sends those that are due
+   * @param {Object} [syncResult] Result of Indexer.sync(); after a reorg the queue is rewound
+   * @return {Promise<{queued: number, delivered: number, retried: number, dead: number}>}
+   */
+  async tick(syncResult) {
+    if (syncResult && syncResult.reorg !== null && syncResult.reorg !== undefined) {
+      this.rewind(syncResult.reorg);
+    }
+    const queued = this.enqueue();
+    const result = { queued, ...(await this.deliver()) };
+    this.store.save();
+    return result;
+  }
+
+  /**
+   * @notice Forgets events after `blockNumber` that were dropped by a reorg
+   * @dev Deliveries already sent cannot be recalled; pending ones are discarded
+   */
+  rewind(blockNumber) {
+    this.store.transaction(() => {
+      this.store.run("DELETE FROM deliveries WHERE status = 'pending' AND block_number > $blockNumber", {
+        blockNumber,
+      });
+      if (this.cursor.block > blockNumber) {
+        this.setCursor({ block: blockNumber, logIndex: Number.MAX_SAFE_INTEGER });
+      }
+    });
+  }
+
+  /**
+   * @notice Queues one delivery per matching subscription for every new lifecycle event
+   * @return {number} Deliveries queued
+   */
+  enqueue() {
+    const { block, logIndex } = this.cursor;
+    const rows = this.store.all(
+      `SELECT * FROM events WHERE block_number > $block OR (block_number = $block AND log_index > $logIndex)
+       ORDER BY block_number, log_index`,
+      { block, logIndex }
+    );
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    let queued = 0;
+    this.store.transaction(() => {
+      for (const row of rows) {
+        if (!(NOTIFIED_EVENTS[row.contract] || []).includes(row.name)) {
+          continue;
+        }
+        const args = JSON.parse(row.args);
+        const parties = PARTIES[row.contract](this.store, args) || {};
+
+        for (const subscription of this.subscriptions) {
+          const roles = Object.keys(parties).filter((role) => parties[role] === subscription.address);
+          if (roles.length === 0 || (subscription.events && !subscription.events.includes(row.name))) {
+            continue;
+          }
+          const id = crypto
+            .createHash("sha256")
+            .update(`${row.transaction_hash}:${row.log_index}:${subscription.address}:${subscription.url}`)
+            .digest("hex")
+            .slice(0, 32);
+          const payload = {
+            id,
+            network: this.network,
+            event: row.name,
+            contract: row.contract,
+            recipient: { address: subscription.address, roles },
+            args,
+            blockNumber: row.block_number,
+            logIndex: row.log_index,
+            transactionHash: row.transaction_hash,
+            timestamp: row.timestamp,
+          };
+          this.store.run(
+            `INSERT INTO deliveries (id, block_number, log_index, subscriber, url, event, payload, status,
+               next_attempt_at)
+             VALUES ($id, $block, $logIndex, $subscriber, $url, $event, $payload, 'pending', $now)
+             ON CONFLICT(id) DO NOTHING`,
+            {
+              id,
+              block: row.block_number,
+              logIndex: row.log_index,
+              subscriber: subscription.address,
+              url: subscription.url,
+              event: row.name,
+              payload: JSON.stringify(payload),
+              now: this.now(),
+            }
+          );
+          queued++;
+        }
+      }
+      const last = rows[rows.length - 1];
+      this.setCursor({ block: last.block_number, logIndex: last.log_index });
+    });
+    return queued;
+  }
+
+  /**
+   * @notice Sends every pending delivery that is due, oldest event first
+   */
+  async deliver() {
+    const due = this.store.all(
+      `SELECT * FROM deliveries WHERE status = 'pending' AND next_attempt_at <= $now
+       ORDER BY block_number, log_index`,
+      { now: this.now() }
+    );
+    const result = { delivered: 0, retried: 0, dead: 0 };
+    for (const delivery of due) {
+      result[await this.send(delivery)]++;
+    }
+    return result;
+  }
+
+  /**
+   * @dev Makes one attempt and records its outcome
+   * @return {Promise<"delivered"|"retried"|"dead">}
+   */
+  async send(delivery) {
+    const attempts = delivery.attempts + 1;
+    const subscription = this.subscriptions.find(
+      (candidate) => candidate.address === delivery.subscriber && candidate.url === delivery.url
+    );
+
+    let error;
+    if (!subscription) {
+      error = "Subscription removed";
+    } else {
+      try {
+        const response = await fetch(delivery.url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-SupplyChain-Event": delivery.event,
+            "X-SupplyChain-Delivery": delivery.id,
+            [SIGNATURE_HEADER]: sign(subscription.secret, delivery.payload, Math.floor(this.now() / 1000)),
+          },
+          body: delivery.payload,
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+        if (!response.ok) {
+          error = `HTTP ${response.status}`;
+        }
+      } catch (failure) {
+        error = failure.cause ? `${failure.message}: ${failure.cause.message}` : failure.message;
+      }
+    }
+
+    if (!error) {
+      this.store.run(
+        "UPDATE deliveries SET status = 'delivered', attempts = $attempts, delivered_at = $now WHERE id = $id",
+        { id: delivery.id, attempts, now: this.now() }
+      );
+      return "delivered";
+    }
+
+    if (!subscription || attempts >= this.maxAttempts) {
+      this.store.run(
+        "UPDATE deliveries SET status = 'dead', attempts = $attempts, last_error = $error WHERE id = $id",
+        { id: delivery.id, attempts, error }
+      );
+      this.deadLetter(delivery, attempts, error);
+      this.log(`Delivery ${delivery.id} (${delivery.event} to ${delivery.url}) failed ${attempts} times: ${error}`);
+      return "dead";
+    }
+
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+    this.store.run(
+      `UPDATE deliveries SET attempts = $attempts, last_error = $error, next_attempt_at = $next WHERE id = $id`,
+      { id: delivery.id, attempts, error, next: this.now() + delay }
+    );
+    return "retried";
+  }
+
+  deadLetter(delivery, attempts, error) {
+    if (!this.deadLetterFile) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.deadLetterFile), { recursive: true });
+    const entry = {
+      id: delivery.id,
+      url: delivery.url,
+      subscriber: delivery.subscriber,
+      event: delivery.event,
+      attempts,
+      error,
+      failedAt: new Date(this.now()).toISOString(),
+      payload: JSON.parse(delivery.payload),
+    };
+    fs.appendFileSync(this.deadLetterFile, `${JSON.stringify(entry)}\n`);
+  }
+}
+
+module.exports = {
+  NOTIFIED_EVENTS,
+  validateSubscriptions,
+  Notifier,
+};
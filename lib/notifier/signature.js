@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+
+/**
+ * @title Webhook signatures
+ * @dev Every webhook carries `X-SupplyChain-Signature: t=<unix seconds>,v1=<hex>`
+ *      where v1 = HMAC-SHA256(secret, `${t}.${body}`). Signing the timestamp
+ *      lets receivers reject replayed requests.
+ */
+
+const SIGNATURE_HEADER = "X-SupplyChain-Signature";
+
+/**
+ * @notice Signature header value for a request body
+ * @param {string} secret Subscriber secret
+ * @param {string} body Raw request body
+ * @param {number} [timestamp] Unix seconds (defaults to now)
+ */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * @notice Checks a signature header on the receiving side
+ * @param {string} secret Subscriber secret
+ * @param {string} body Raw request body, exactly as received
+ * @param {string} header Value of the X-SupplyChain-Signature header
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds] Maximum age of the signature (default 300)
+ * @param {number} [options.now] Current unix time in seconds
+ * @return {boolean}
+ */
+function verifySignature(secret, body, header, { toleranceSeconds = 300, now = Math.floor(Date.now() / 1000) } = {}) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1 || Math.abs(now - timestamp) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(sign(secret, body, timestamp).split("v1=")[1], "hex");
+  const actual = Buffer.from(parts.v1, "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  sign,
+  verifySignature,
+};
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const { verifyMessage } = require("ethers");
+
+/**
+ * @title Feed attestations
+ * @dev Before acting on a feed the oracle signs a statement of exactly what it
+ *      received: the raw bytes (kept verbatim, with their SHA-256), where they
+ *      came from and which events it took from them. The signature is an
+ *      EIP-191 personal signature by the oracle account over the canonical JSON
+ *      of every other field, so anyone can check that the on-chain updates sent
+ *      from that account were backed by the attested data.
+ */
+
+/// @dev JSON with sorted keys, so the signed bytes do not depend on property order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * @notice Signs an attestation of a raw feed
+ * @param {Object} signer ethers signer of the oracle account
+ * @param {Object} feed
+ * @param {string|Buffer} feed.raw Feed contents as received
+ * @param {string} feed.source File path or endpoint the feed came from
+ * @param {string|null} [feed.carrier] Carrier name
+ * @param {string[]} feed.events IDs of the events taken from the feed
+ * @param {number} [feed.receivedAt] Unix seconds (defaults to now)
+ * @return {Promise<Object>} The attestation, `id` being the SHA-256 of the signed message
+ */
+async function attest(signer, { raw, source, carrier = null, events, receivedAt = Math.floor(Date.now() / 1000) }) {
+  const data = Buffer.isBuffer(raw) ? raw.toString("utf8") : String(raw);
+  const statement = {
+    oracle: (await signer.getAddress()).toLowerCase(),
+    source,
+    carrier,
+    receivedAt,
+    sha256: crypto.createHash("sha256").update(data).digest("hex"),
+    events,
+    raw: data,
+  };
+  const message = canonicalJson(statement);
+  return {
+    id: crypto.createHash("sha256").update(message).digest("hex"),
+    ...statement,
+    signature: await signer.signMessage(message),
+  };
+}
+
+/**
+ * @notice Checks an attestation's digest and signature
+ * @param {Object} attestation As returned by attest (e.g. read back from the log)
+ * @return {boolean} True if the oracle account signed exactly this data
+ */
+function verifyAttestation(attestation) {
+  const { id, signature, ...statement } = attestation;
+  if (crypto.createHash("sha256").update(statement.raw).digest("hex") !== statement.sha256) {
+    return false;
+  }
+  const message = canonicalJson(statement);
+  if (crypto.createHash("sha256").update(message).digest("hex") !== id) {
+    return false;
+  }
+  try {
+    return verifyMessage(message, signature).toLowerCase() === statement.oracle;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  canonicalJson,
+  attest,
+  verifyAttestation,
+};
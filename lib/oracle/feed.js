@@ -0,0 +1,158 @@
+const crypto = require("crypto");
+const { parseTime } = require("../cli/context");
+const csv = require("../bulk/csv");
+
+/**
+ * @title Carrier feeds
+ * @dev Normalizes the tracking events carriers publish into
+ *      `{ id, carrier, trackingNumber, status, timestamp, location, raw }`.
+ *
+ * JSON feeds are an array of events or `{ carrier, events: [...] }`; CSV feeds
+ * have a header row. Either way an event needs a tracking number, a status and
+ * a time (unix seconds or an ISO date); column names are matched loosely
+ * (`tracking_number`, `trackingNumber`, `Tracking Number` ...). Statuses map to
+ * ShippingTracker's InTransit/Delayed/Delivered/Lost through the carrier's own
+ * status map and STATUS_ALIASES; anything else (e.g. "label_created") is
+ * informational and maps to null.
+ */
+
+/// @dev Mirrors ShippingTracker.ShipmentStatus, named as in the indexer
+const SHIPMENT_STATUS = ["in_transit", "delayed", "delivered", "lost"];
+
+/// @notice Carrier vocabulary understood without a statusMap
+const STATUS_ALIASES = {
+  in_transit: "in_transit",
+  picked_up: "in_transit",
+  departed: "in_transit",
+  out_for_delivery: "in_transit",
+  delayed: "delayed",
+  exception: "delayed",
+  delivered: "delivered",
+  lost: "lost",
+};
+
+/// @notice A feed that cannot be read; nothing from it is used
+class FeedError extends Error {}
+
+const FIELDS = {
+  id: ["id", "event_id"],
+  trackingNumber: ["tracking_number", "tracking"],
+  status: ["status", "event"],
+  timestamp: ["timestamp", "time", "occurred_at"],
+  location: ["location"],
+};
+
+const normalizeKey = (key) =>
+  String(key)
+    .trim()
+    .replace(/([a-z])([A-Z])/g, "$1_$2")
+    .replace(/[\s-]+/g, "_")
+    .toLowerCase();
+
+/**
+ * @notice Splits CSV text into records keyed by the header row (see lib/bulk/csv)
+ */
+function parseCsv(text) {
+  try {
+    return csv.parseCsv(text);
+  } catch (error) {
+    throw new FeedError(`${error.message} in CSV feed`);
+  }
+}
+
+/**
+ * @notice Maps a carrier status to a ShippingTracker status name
+ * @param {string} status Status as published by the carrier
+ * @param {Object} [statusMap] Carrier-specific aliases, checked before STATUS_ALIASES
+ * @return {string|null} One of SHIPMENT_STATUS, or null for informational events
+ */
+function mapStatus(status, statusMap = {}) {
+  const key = normalizeKey(status);
+  const custom = Object.fromEntries(Object.entries(statusMap).map(([name, value]) => [normalizeKey(name), value]));
+  const mapped = key in custom ? custom[key] : STATUS_ALIASES[key];
+  if (mapped !== undefined && mapped !== null && !SHIPMENT_STATUS.includes(mapped)) {
+    throw new FeedError(`Status ${status} maps to unknown shipment status ${mapped}`);
+  }
+  return mapped || null;
+}
+
+/**
+ * @notice Parses a carrier feed
+ * @param {string|Buffer} raw Feed contents
+ * @param {Object} [options]
+ * @param {string} [options.format] "json" or "csv"; guessed from the contents when omitted
+ * @param {string} [options.carrier] Carrier name, when the feed does not carry one
+ * @param {Object} [options.statusMaps] Status maps by carrier name (see mapStatus)
+ * @return {{carrier: string|null, events: Object[]}} Events in feed order
+ */
+function parseFeed(raw, { format, carrier = null, statusMaps = {} } = {}) {
+  const text = Buffer.isBuffer(raw) ? raw.toString("utf8") : String(raw);
+  const kind = format || (/^\s*[[{]/.test(text) ? "json" : "csv");
+
+  let records;
+  if (kind === "json") {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new FeedError(`Invalid JSON feed: ${error.message}`);
+    }
+    records = Array.isArray(parsed) ? parsed : parsed.events;
+    carrier = (!Array.isArray(parsed) && parsed.carrier) || carrier;
+    if (!Array.isArray(records)) {
+      throw new FeedError("JSON feeds must be an array of events or { carrier, events }");
+    }
+  } else if (kind === "csv") {
+    records = parseCsv(text);
+  } else {
+    throw new FeedError(`Unknown feed format: ${kind}`);
+  }
+
+  const statusMap = statusMaps[carrier] || {};
+  const events = records.map((record, index) => {
+    const fields = Object.fromEntries(Object.entries(record).map(([key, value]) => [normalizeKey(key), value]));
+    const pick = (name) => {
+      const key = FIELDS[name].find((candidate) => fields[candidate] !== undefined && fields[candidate] !== "");
+      return key === undefined ? undefined : String(fields[key]);
+    };
+
+    const trackingNumber = pick("trackingNumber");
+    const status = pick("status");
+    const time = pick("timestamp");
+    if (!trackingNumber || !status || !time) {
+      throw new FeedError(`Feed event ${index} needs a tracking number, a status and a timestamp`);
+    }
+    let timestamp;
+    try {
+      timestamp = Number(parseTime(time));
+    } catch (error) {
+      throw new FeedError(`Feed event ${index} has an invalid timestamp: ${time}`);
+    }
+    const id =
+      pick("id") ||
+      crypto
+        .createHash("sha256")
+        .update(`${carrier}:${trackingNumber}:${normalizeKey(status)}:${timestamp}`)
+        .digest("hex");
+
+    return {
+      id: carrier ? `${carrier}:${id}` : id,
+      carrier,
+      trackingNumber,
+      status: mapStatus(status, statusMap),
+      timestamp,
+      location: pick("location") || null,
+      raw: record,
+    };
+  });
+  return { carrier, events };
+}
+
+module.exports = {
+  SHIPMENT_STATUS,
+  STATUS_ALIASES,
+  FeedError,
+  parseCsv,
+  mapStatus,
+  parseFeed,
+};
@@ -0,0 +1,19 @@
+const { SHIPMENT_STATUS, STATUS_ALIASES, FeedError, parseCsv, mapStatus, parseFeed } = require("./feed");
+const { canonicalJson, attest, verifyAttestation } = require("./attestation");
+const { canTransition, CarrierOracle } = require("./oracle");
+const { createFeedServer } = require("./server");
+
+module.exports = {
+  SHIPMENT_STATUS,
+  STATUS_ALIASES,
+  FeedError,
+  parseCsv,
+  mapStatus,
+  parseFeed,
+  canonicalJson,
+  attest,
+  verifyAttestation,
+  canTransition,
+  CarrierOracle,
+  createFeedServer,
+};
@@ -0,0 +1,308 @@
+const fs = require("fs");
+const path = require("path");
+const { SHIPMENT_STATUS, parseFeed } = require("./feed");
+const { attest } = require("./attestation");
+const { reasonOf } = require("../sdk/errors");
+
+/**
+ * @title Carrier feed oracle
+ * @dev Pushes carrier tracking events to ShippingTracker from an account the
+ *      tracker's owner authorized with `setCarrier`.
+ *
+ * `ingest` parses a feed, drops events it has already handled (by event ID),
+ * signs an attestation of the raw feed (appended to `attestationFile`, one JSON
+ * object per line) and queues the new events. `flush` reads every queued
+ * shipment with `getShipmentByTracking`, replays its events in time order
+ * against the tracker's state machine and sends one `updateStatus` or
+ * `markDelivered` per real transition. Transactions are sent in batches with
+ * locally assigned nonces and only awaited per batch; a shipment has at most
+ * one transaction in flight, so each one is checked against the state the
+ * previous one left. Nonce clashes and network errors are retried with
+ * exponential backoff, reverts are reported as rejected, and the later events
+ * of a shipment whose update did not go through wait for the next delivery.
+ *
+ * Handled events (applied, or skipped because they change nothing) are kept in
+ * `stateFile` so a feed can be delivered any number of times. Rejected, failed,
+ * blocked and unknown-shipment events are not, so they are tried again the
+ * next time the feed is ingested.
+ */
+
+/// @dev Moves ShippingTracker accepts (see ShippingTracker._canTransition)
+function canTransition(from, to) {
+  return (from === "in_transit" || from === "delayed") && from !== to;
+}
+
+/// @dev Errors that do not depend on the transaction itself: nonce clashes and an unreachable node
+const TRANSIENT_ERROR = /nonce|underpriced|NETWORK_ERROR|TIMEOUT|SERVER_ERROR|ECONNREFUSED|ECONNRESET|ETIMEDOUT/i;
+
+function isTransient(error) {
+  return TRANSIENT_ERROR.test(`${error.code || ""} ${error.message || ""}`);
+}
+
+class CarrierOracle {
+  /**
+   * @param {Object} options
+   * @param {Contract} options.tracker ShippingTracker contract
+   * @param {Object} options.signer Oracle account; it must be an authorized carrier
+   * @param {string} [options.stateFile] JSON file remembering handled events (in memory when omitted)
+   * @param {string} [options.attestationFile] JSON lines file receiving the signed attestations
+   * @param {Object} [options.statusMaps] Carrier-specific status names, by carrier (see feed.mapStatus)
+   * @param {number} [options.batchSize] Transactions sent before waiting for their receipts
+   * @param {number} [options.maxAttempts] Attempts to send a transaction before giving up
+   * @param {number} [options.baseDelayMs] Delay before the first retry; doubles on every attempt
+   * @param {number} [options.maxDelayMs] Upper bound for the retry delay
+   * @param {Function} [options.sleep] Waits the given milliseconds
+   * @param {Function} [options.now] Clock in milliseconds
+   * @param {Function} [options.log] Progress logger
+   */
+  constructor({
+    tracker,
+    signer,
+    stateFile = null,
+    attestationFile = null,
+    statusMaps = {},
+    batchSize = 20,
+    maxAttempts = 5,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    now = Date.now,
+    log = () => {},
+  }) {
+    this.tracker = tracker.connect(signer);
+    this.signer = signer;
+    this.stateFile = stateFile;
+    this.attestationFile = attestationFile;
+    this.statusMaps = statusMaps;
+    this.batchSize = batchSize;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.sleep = sleep;
+    this.now = now;
+    this.log = log;
+
+    this.queue = [];
+    this.nonce = null;
+    this.busy = Promise.resolve();
+    this.handled =
+      stateFile && fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, "utf8")).handled : {};
+  }
+
+  /**
+   * @notice Parses, attests and queues the new events of a feed
+   * @param {string|Buffer} raw Feed contents
+   * @param {Object} options
+   * @param {string} options.source Where the feed came from (file path, endpoint...)
+   * @param {string} [options.format] "json" or "csv" (guessed when omitted)
+   * @param {string} [options.carrier] Carrier name, when the feed does not carry one
+   * @return {Promise<Object>} `{ source, carrier, attestation, received, duplicates, queued }`, attestation
+   *         being the ID of the signed attestation (null if every event was a duplicate)
+   */
+  async ingest(raw, { source = null, format, carrier } = {}) {
+    const feed = parseFeed(raw, { format, carrier, statusMaps: this.statusMaps });
+    const known = new Set([...Object.keys(this.handled), ...this.queue.map((event) => event.id)]);
+    const fresh = [];
+    for (const event of feed.events) {
+      if (!known.has(event.id)) {
+        known.add(event.id);
+        fresh.push(event);
+      }
+    }
+
+    let attestation = null;
+    if (fresh.length > 0) {
+      attestation = await attest(this.signer, {
+        raw,
+        source,
+        carrier: feed.carrier,
+        events: fresh.map((event) => event.id),
+        receivedAt: Math.floor(this.now() / 1000),
+      });
+      this.record(attestation);
+      this.queue.push(...fresh.map((event) => ({ ...event, attestation: attestation.id })));
+    }
+    return {
+      source,
+      carrier: feed.carrier,
+      attestation: attestation && attestation.id,
+      received: feed.events.length,
+      duplicates: feed.events.length - fresh.length,
+      queued: fresh.length,
+    };
+  }
+
+  /**
+   * @notice Sends the transactions for every queued event
+   * @return {Promise<Object>} Counts per outcome, `retries`, and `events`: one
+   *         `{ id, trackingNumber, status, outcome, shipmentId?, transaction?, reason? }`
+   *         per event, outcome being applied, unchanged, ignored, invalid,
+   *         unknown, rejected, failed or blocked (behind a rejected or failed event)
+   */
+  async flush() {
+    const outcomes = [];
+    const done = (event, outcome, details = {}) => {
+      outcomes.push({ id: event.id, trackingNumber: event.trackingNumber, status: event.status, outcome, ...details });
+    };
+
+    const shipments = new Map();
+    for (const event of this.queue.splice(0)) {
+      if (!shipments.has(event.trackingNumber)) {
+        shipments.set(event.trackingNumber, { shipmentId: null, events: [] });
+      }
+      shipments.get(event.trackingNumber).events.push(event);
+    }
+    for (const [trackingNumber, shipment] of shipments) {
+      shipment.events.sort((a, b) => a.timestamp - b.timestamp);
+      shipment.shipmentId = Number(await this.tracker.trackingToShipmentId(trackingNumber));
+      if (shipment.shipmentId === 0) {
+        shipment.events.forEach((event) => done(event, "unknown", { reason: "Shipment not found" }));
+        shipments.delete(trackingNumber);
+      }
+    }
+
+    // Each round sends the next transition of every shipment, judged against its current on-chain status
+    let retries = 0;
+    while (shipments.size > 0) {
+      const steps = [];
+      for (const [trackingNumber, shipment] of shipments) {
+        const { shipmentId, events } = shipment;
+        const current = SHIPMENT_STATUS[Number((await this.tracker.getShipmentByTracking(trackingNumber)).status)];
+        while (events.length > 0) {
+          const event = events.shift();
+          if (event.status === null) {
+            done(event, "ignored", { shipmentId });
+          } else if (event.status === current) {
+            done(event, "unchanged", { shipmentId });
+          } else if (!canTransition(current, event.status)) {
+            done(event, "invalid", { shipmentId, reason: `Cannot move from ${current} to ${event.status}` });
+          } else {
+            steps.push({ trackingNumber, event, shipmentId });
+            break;
+          }
+        }
+      }
+
+      for (let start = 0; start < steps.length; start += this.batchSize) {
+        const batch = [];
+        for (const step of steps.slice(start, start + this.batchSize)) {
+          const sent = await this.send(step);
+          retries += sent.attempts - 1;
+          batch.push({ ...step, ...sent });
+        }
+        for (const { trackingNumber, event, shipmentId, tx, error, outcome } of batch) {
+          let failure = tx ? null : { outcome, reason: error };
+          if (tx) {
+            try {
+              const receipt = await tx.wait();
+              done(event, "applied", { shipmentId, transaction: receipt.hash });
+            } catch (reverted) {
+              const reason = reasonOf(reverted, this.tracker.interface);
+              failure = { outcome: "rejected", transaction: tx.hash, reason };
+            }
+          }
+          if (failure) {
+            const { outcome: failed, ...details } = failure;
+            done(event, failed, { shipmentId, ...details });
+            for (const later of shipments.get(trackingNumber).events) {
+              done(later, "blocked", { shipmentId, reason: `Waiting for ${event.id}` });
+            }
+            shipments.delete(trackingNumber);
+          }
+        }
+      }
+
+      for (const [trackingNumber, shipment] of shipments) {
+        if (shipment.events.length === 0) {
+          shipments.delete(trackingNumber);
+        }
+      }
+    }
+
+    for (const outcome of outcomes) {
+      if (["applied", "unchanged", "ignored", "invalid"].includes(outcome.outcome)) {
+        this.handled[outcome.id] = { outcome: outcome.outcome, transaction: outcome.transaction || null };
+      } else {
+        this.log(`Event ${outcome.id} (${outcome.trackingNumber}) ${outcome.outcome}: ${outcome.reason}`);
+      }
+    }
+    this.save();
+
+    const result = { applied: 0, unchanged: 0, ignored: 0, invalid: 0, unknown: 0, rejected: 0, failed: 0, blocked: 0 };
+    outcomes.forEach(({ outcome }) => result[outcome]++);
+    return { ...result, retries, events: outcomes };
+  }
+
+  /**
+   * @notice Ingests a feed and flushes the queue; calls are serialized
+   * @return {Promise<Object>} The ingest summary with the flush result
+   */
+  process(raw, options) {
+    const run = this.busy.then(async () => ({ ...(await this.ingest(raw, options)), ...(await this.flush()) }));
+    this.busy = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @notice Processes a feed file
+   * @dev The format comes from the .json/.csv extension; feeds that do not name
+   *      their carrier are attributed to the file name (swift-freight.csv: swift-freight)
+   */
+  processFile(file, { carrier = path.basename(file, path.extname(file)) } = {}) {
+    const extension = path.extname(file).slice(1).toLowerCase();
+    const format = ["json", "csv"].includes(extension) ? extension : undefined;
+    return this.process(fs.readFileSync(file), { source: path.resolve(file), format, carrier });
+  }
+
+  /**
+   * @dev Sends one transition with the next local nonce, retrying transient errors
+   * @return {Promise<{tx?: Object, error?: string, outcome?: string, attempts: number}>}
+   */
+  async send({ event, shipmentId }) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        if (this.nonce === null) {
+          this.nonce = await this.signer.getNonce("pending");
+        }
+        const overrides = { nonce: this.nonce };
+        const tx =
+          event.status === "delivered"
+            ? await this.tracker.markDelivered(shipmentId, overrides)
+            : await this.tracker.updateStatus(shipmentId, SHIPMENT_STATUS.indexOf(event.status), overrides);
+        this.nonce++;
+        return { tx, attempts: attempt };
+      } catch (error) {
+        // Someone else may have used the account: ask the node again
+        this.nonce = null;
+        if (!isTransient(error)) {
+          return { error: reasonOf(error, this.tracker.interface), outcome: "rejected", attempts: attempt };
+        }
+        if (attempt >= this.maxAttempts) {
+          return { error: reasonOf(error, this.tracker.interface), outcome: "failed", attempts: attempt };
+        }
+        await this.sleep(Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  record(attestation) {
+    if (!this.attestationFile) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.attestationFile), { recursive: true });
+    fs.appendFileSync(this.attestationFile, `${JSON.stringify(attestation)}\n`);
+  }
+
+  save() {
+    if (!this.stateFile) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(this.stateFile, `${JSON.stringify({ handled: this.handled }, null, 2)}\n`);
+  }
+}
+
+module.exports = {
+  canTransition,
+  CarrierOracle,
+};
@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+const http = require("http");
+const { FeedError } = require("./feed");
+
+/**
+ * @title Feed endpoint
+ * @dev Lets carriers push feeds to the oracle instead of dropping files:
+ *
+ *        POST /feeds            carrier named in the feed ({ carrier, events })
+ *        POST /feeds/<carrier>  carrier named in the path
+ *
+ *      `Content-Type: text/csv` bodies are read as CSV, anything else as JSON.
+ *      The response is `{ data }` with the oracle's processing result, or
+ *      `{ error }` with a 4xx status, as in the read-only API (lib/api). When a
+ *      token is configured requests must carry `Authorization: Bearer <token>`.
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    request.on("end", () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error(`Feeds are limited to ${MAX_BODY_BYTES} bytes`), { status: 413 }));
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+function authorized(request, token) {
+  if (!token) {
+    return true;
+  }
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(request.headers.authorization || "");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * @notice Creates the feed endpoint (call `listen` on the result)
+ * @param {Object} options
+ * @param {CarrierOracle} options.oracle Oracle processing the feeds
+ * @param {string} [options.token] Shared secret carriers must present
+ * @param {Function} [options.log] Error logger
+ * @return {http.Server}
+ */
+function createFeedServer({ oracle, token = null, log = console.error }) {
+  return http.createServer(async (request, response) => {
+    const reply = (status, body) => {
+      response.writeHead(status, { "Content-Type": "application/json" });
+      response.end(JSON.stringify(body));
+    };
+
+    const { pathname } = new URL(request.url, "http://localhost");
+    const match = /^\/feeds(?:\/([^/]+))?\/?$/.exec(pathname);
+    if (!match) {
+      return reply(404, { error: `No route for ${pathname}` });
+    }
+    if (request.method !== "POST") {
+      return reply(405, { error: `${request.method} is not supported; POST a feed` });
+    }
+    if (!authorized(request, token)) {
+      return reply(401, { error: "Missing or invalid token" });
+    }
+
+    let raw;
+    try {
+      raw = await readBody(request);
+    } catch (error) {
+      return reply(error.status || 400, { error: error.message });
+    }
+    const format = /^text\/csv\b/.test(request.headers["content-type"] || "") ? "csv" : "json";
+    const carrier = match[1] ? decodeURIComponent(match[1]) : undefined;
+
+    try {
+      const result = await oracle.process(raw, { source: `POST ${pathname}`, format, carrier });
+      reply(200, { data: result });
+    } catch (error) {
+      if (error instanceof FeedError) {
+        return reply(400, { error: error.message });
+      }
+      log(error);
+      reply(500, { error: "Internal error" });
+    }
+  });
+}
+
+module.exports = {
+  createFeedServer,
+};
@@ -0,0 +1,9 @@
+const { RelayError, parseRequest, Relayer } = require("./relayer");
+const { createRelayerServer } = require("./server");
+
+module.exports = {
+  RelayError,
+  parseRequest,
+  Relayer,
+  createRelayerServer,
+};
@@ -0,0 +1,228 @@
+const fs = require("fs");
+const path = require("path");
+const { isHexString } = require("ethers");
+const { BUYER_ACTION_TYPES, buyerActionDomain, recoverBuyerAction, buyerActionCall } = require("../sdk/gasless");
+const { reasonOf } = require("../sdk/errors");
+
+/**
+ * @title Buyer action relayer
+ * @dev Submits buyer actions signed as EIP-712 typed data (see lib/sdk/gasless)
+ *      from a funded hot wallet, so buyers never need gas.
+ *
+ * `relay` checks the request's shape, that the order's buyer signed it, that
+ * its nonce is the buyer's next one and that its deadline has not passed, then
+ * simulates the call. Only if the simulation succeeds, and the worst-case cost
+ * of the transaction fits in what is left of the buyer's spend limit for the
+ * current period, is it sent. The gas actually paid is charged to the buyer.
+ * Requests are handled one at a time, so nonces and spend limits are checked
+ * against the state the previous request left.
+ *
+ * Spending is kept in `stateFile` so limits survive restarts.
+ */
+
+class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/// @dev Checks a signed action's shape and normalizes its integers to decimal strings
+function parseRequest(request) {
+  if (!request || typeof request !== "object") {
+    throw new RelayError(400, "Expected { action, message, signature }");
+  }
+  const { action, message, signature } = request;
+  const fields = BUYER_ACTION_TYPES[action];
+  if (!fields) {
+    throw new RelayError(400, `Unknown action: ${action} (expected ${Object.keys(BUYER_ACTION_TYPES).join(", ")})`);
+  }
+  if (!message || typeof message !== "object") {
+    throw new RelayError(400, "Missing message");
+  }
+  if (!isHexString(signature)) {
+    throw new RelayError(400, "Missing or malformed signature");
+  }
+
+  const values = {};
+  for (const { name, type } of fields) {
+    const value = message[name];
+    if (type === "string") {
+      if (typeof value !== "string") {
+        throw new RelayError(400, `${action}.${name} must be a string`);
+      }
+      values[name] = value;
+    } else {
+      if (!/^\d+$/.test(String(value ?? ""))) {
+        throw new RelayError(400, `${action}.${name} must be a non-negative integer`);
+      }
+      values[name] = BigInt(value).toString();
+    }
+  }
+  return { action, message: values, signature };
+}
+
+class Relayer {
+  /**
+   * @param {Object} options
+   * @param {Contract} options.payment SupplyChainPayment contract
+   * @param {Object} options.signer Hot wallet paying for the transactions
+   * @param {bigint} options.spendLimit Wei of gas the relayer pays per buyer and period
+   * @param {number} [options.periodMs] Length of a spend period (default a day)
+   * @param {string} [options.stateFile] JSON file keeping each buyer's spending (in memory when omitted)
+   * @param {Function} [options.now] Clock in milliseconds
+   * @param {Function} [options.log] Progress logger
+   */
+  constructor({
+    payment,
+    signer,
+    spendLimit,
+    periodMs = 24 * 60 * 60 * 1000,
+    stateFile = null,
+    now = Date.now,
+    log = () => {},
+  }) {
+    this.payment = payment.connect(signer);
+    this.signer = signer;
+    this.spendLimit = BigInt(spendLimit);
+    this.periodMs = periodMs;
+    this.stateFile = stateFile;
+    this.now = now;
+    this.log = log;
+
+    this.domain = null;
+    this.busy = Promise.resolve();
+    this.spending =
+      stateFile && fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, "utf8")).spending : {};
+  }
+
+  /**
+   * @notice Validates, simulates and submits a signed buyer action
+   * @param {Object} request `{ action, message, signature }` as produced by signBuyerAction
+   * @return {Promise<Object>} `{ action, orderId, buyer, transaction, gasUsed, cost, spent, remaining }`;
+   *         throws a RelayError with an HTTP status when the request is refused
+   */
+  relay(request) {
+    const run = this.busy.then(() => this._relay(request));
+    this.busy = run.catch(() => {});
+    return run;
+  }
+
+  async _relay(request) {
+    const signed = parseRequest(request);
+    const { action, message } = signed;
+    const provider = this.signer.provider;
+
+    const orderId = BigInt(message.orderId);
+    if (orderId >= (await this.payment.orderCounter())) {
+      throw new RelayError(404, `Order ${orderId} does not exist`);
+    }
+    const { buyer } = await this.payment.orders(orderId);
+
+    this.domain = this.domain || (await buyerActionDomain(this.payment));
+    let signer;
+    try {
+      signer = recoverBuyerAction(this.domain, signed);
+    } catch (error) {
+      throw new RelayError(401, "Malformed signature");
+    }
+    if (signer !== buyer) {
+      throw new RelayError(401, `Not signed by the buyer of order ${orderId}`);
+    }
+
+    const nonce = await this.payment.nonces(buyer);
+    if (BigInt(message.nonce) !== nonce) {
+      throw new RelayError(409, `Nonce ${message.nonce} is not the buyer's next nonce (${nonce})`);
+    }
+    const { timestamp } = await provider.getBlock("latest");
+    if (BigInt(message.deadline) <= BigInt(timestamp)) {
+      throw new RelayError(400, "Signature expired");
+    }
+
+    const { method, args } = buyerActionCall(signed);
+    let gasLimit;
+    try {
+      await this.payment[method].staticCall(...args);
+      gasLimit = await this.payment[method].estimateGas(...args);
+    } catch (error) {
+      throw new RelayError(422, `Simulation failed: ${reasonOf(error, this.payment.interface)}`);
+    }
+
+    const fees = await provider.getFeeData();
+    const maxCost = gasLimit * (fees.maxFeePerGas ?? fees.gasPrice);
+    const { spent } = this.spendingOf(buyer);
+    if (spent + maxCost > this.spendLimit) {
+      throw new RelayError(
+        429,
+        `Spend limit reached for ${buyer}: ${spent} of ${this.spendLimit} wei used, this action may cost ${maxCost}`
+      );
+    }
+
+    const tx = await this.payment[method](...args, { gasLimit });
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      receipt = error.receipt;
+      if (receipt) {
+        this.charge(buyer, receipt.fee);
+      }
+      throw new RelayError(422, `Transaction ${tx.hash} failed: ${reasonOf(error, this.payment.interface)}`);
+    }
+    const total = this.charge(buyer, receipt.fee);
+    this.log(`${action} on order ${orderId} for ${buyer}: ${tx.hash} (${receipt.fee} wei)`);
+
+    return {
+      action,
+      orderId: Number(orderId),
+      buyer,
+      transaction: tx.hash,
+      gasUsed: receipt.gasUsed,
+      cost: receipt.fee,
+      spent: total,
+      remaining: this.spendLimit > total ? this.spendLimit - total : 0n,
+    };
+  }
+
+  /**
+   * @notice What the relayer has paid for a buyer in the current period
+   * @return {{spent: bigint, limit: bigint, remaining: bigint, resetsAt: number|null}} resetsAt in milliseconds,
+   *         null when nothing was spent
+   */
+  spendingOf(buyer) {
+    const entry = this.spending[buyer.toLowerCase()];
+    const current = entry && this.now() - entry.since < this.periodMs ? entry : null;
+    const spent = current ? BigInt(current.spent) : 0n;
+    return {
+      spent,
+      limit: this.spendLimit,
+      remaining: this.spendLimit > spent ? this.spendLimit - spent : 0n,
+      resetsAt: current ? current.since + this.periodMs : null,
+    };
+  }
+
+  /// @dev Adds a transaction's fee to the buyer's spending, starting a new period when the last one is over
+  charge(buyer, fee) {
+    const key = buyer.toLowerCase();
+    const entry = this.spending[key];
+    const current = entry && this.now() - entry.since < this.periodMs ? entry : { since: this.now(), spent: "0" };
+    const spent = BigInt(current.spent) + fee;
+    this.spending[key] = { since: current.since, spent: spent.toString() };
+    this.save();
+    return spent;
+  }
+
+  save() {
+    if (!this.stateFile) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(this.stateFile, JSON.stringify({ spending: this.spending }, null, 2));
+  }
+}
+
+module.exports = {
+  RelayError,
+  parseRequest,
+  Relayer,
+};
@@ -0,0 +1,94 @@
+const http = require("http");
+const { isAddress, getAddress } = require("ethers");
+const { RelayError } = require("./relayer");
+
+/**
+ * @title Relayer endpoint
+ * @dev HTTP front of the Relayer:
+ *
+ *        POST /relay             body `{ action, message, signature }` (see lib/sdk/gasless)
+ *        GET  /buyers/<address>  the buyer's next nonce and what is left of their spend limit
+ *
+ *      Responses are `{ data }`, or `{ error }` with a 4xx status, as in the
+ *      read-only API (lib/api). Amounts are decimal strings in wei. The
+ *      signatures authenticate the requests, so no token is needed.
+ */
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function readJson(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    request.on("end", () => {
+      if (size > MAX_BODY_BYTES) {
+        return reject(new RelayError(413, `Requests are limited to ${MAX_BODY_BYTES} bytes`));
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (error) {
+        reject(new RelayError(400, `Invalid JSON: ${error.message}`));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+function serialize(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item));
+}
+
+/**
+ * @notice Creates the relayer endpoint (call `listen` on the result)
+ * @param {Object} options
+ * @param {Relayer} options.relayer Relayer submitting the actions
+ * @param {Function} [options.log] Error logger
+ * @return {http.Server}
+ */
+function createRelayerServer({ relayer, log = console.error }) {
+  return http.createServer(async (request, response) => {
+    const reply = (status, body) => {
+      response.writeHead(status, { "Content-Type": "application/json" });
+      response.end(serialize(body));
+    };
+
+    const { pathname } = new URL(request.url, "http://localhost");
+    const buyer = /^\/buyers\/([^/]+)\/?$/.exec(pathname);
+    try {
+      if (pathname === "/relay") {
+        if (request.method !== "POST") {
+          return reply(405, { error: `${request.method} is not supported; POST a signed action` });
+        }
+        return reply(200, { data: await relayer.relay(await readJson(request)) });
+      }
+      if (buyer) {
+        if (request.method !== "GET") {
+          return reply(405, { error: `${request.method} is not supported` });
+        }
+        if (!isAddress(buyer[1])) {
+          return reply(400, { error: `Invalid address: ${buyer[1]}` });
+        }
+        const address = getAddress(buyer[1]);
+        const nonce = await relayer.payment.nonces(address);
+        return reply(200, { data: { buyer: address, nonce, ...relayer.spendingOf(address) } });
+      }
+      reply(404, { error: `No route for ${pathname}` });
+    } catch (error) {
+      if (error instanceof RelayError) {
+        return reply(error.status, { error: error.message });
+      }
+      log(error);
+      reply(500, { error: "Internal error" });
+    }
+  });
+}
+
+module.exports = {
+  createRelayerServer,
+};
@@ -0,0 +1,391 @@
+/**
+ * @title Contract ABIs
+ * @dev Human-readable ABIs so the SDK works without hardhat artifacts.
+ *      Generated by scripts/generate-abi.js; test/Sdk.test.js checks them
+ *      against the compiled contracts.
+ */
+
+const SupplyChainPayment = [
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error AddressEmptyCode(address target)",
+  "error FailedCall()",
+  "error InvalidAccountNonce(address account, uint256 currentNonce)",
+  "error InvalidInitialization()",
+  "error InvalidShortString()",
+  "error NotInitializing()",
+  "error OwnableInvalidOwner(address owner)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error ReentrancyGuardReentrantCall()",
+  "error SafeERC20FailedOperation(address token)",
+  "error StringTooLong(string str)",
+  "event ApprovalWindowUpdated(uint256 window)",
+  "event ArbitratorVoted(uint256 indexed disputeId, address indexed arbitrator, uint256 supplierPercentage)",
+  "event DisputeEscalated(uint256 indexed disputeId, address indexed escalatedBy, uint256 quorum)",
+  "event DisputeRaised(uint256 indexed orderId, address indexed raisedBy, string reason)",
+  "event DisputeResolved(uint256 indexed orderId, address indexed resolvedBy, uint256 supplierPercentage, uint256 supplierPayment, uint256 refundAmount)",
+  "event EIP712DomainChanged()",
+  "event EvidencePeriodUpdated(uint256 evidencePeriod)",
+  "event EvidenceSubmitted(uint256 indexed disputeId, address indexed party, string evidence)",
+  "event Initialized(uint64 version)",
+  "event MilestoneAdded(uint256 indexed orderId, uint256 milestoneIndex, string description, uint256 percentage)",
+  "event MilestoneApproved(uint256 indexed orderId, uint256 milestoneIndex, uint256 paymentAmount)",
+  "event MilestoneCompleted(uint256 indexed orderId, uint256 milestoneIndex, uint256 timestamp)",
+  "event MilestoneDeadlineSet(uint256 indexed orderId, uint256 milestoneIndex, uint256 deadline)",
+  "event OrderCancelled(uint256 indexed orderId, uint256 refundAmount)",
+  "event OrderCompleted(uint256 indexed orderId, uint256 timestamp)",
+  "event OrderCompletionNotRecorded(uint256 indexed orderId)",
+  "event OrderCreated(uint256 indexed orderId, address indexed buyer, address indexed supplier, uint256 amount)",
+  "event OrderStarted(uint256 indexed orderId, uint256 timestamp)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event PaymentReleased(uint256 indexed orderId, address indexed supplier, uint256 amount)",
+  "event PaymentTokenUpdated(address indexed token, bool accepted)",
+  "event PlatformFeesWithdrawn(address indexed token, address indexed recipient, uint256 amount)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event ShippingTrackerUpdated(address indexed tracker)",
+  "event Upgraded(address indexed implementation)",
+  "function ARBITRATOR_ROLE() view returns (bytes32)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function TREASURER_ROLE() view returns (bytes32)",
+  "function acceptedTokens(address) view returns (bool)",
+  "function addMilestone(uint256 _orderId, string _description, uint256 _paymentPercentage)",
+  "function addMilestoneBySig(uint256 _orderId, string _description, uint256 _paymentPercentage, uint256 _deadline, bytes _signature)",
+  "function approvalWindow() view returns (uint256)",
+  "function approveDeliveredMilestone(uint256 _orderId, uint256 _milestoneIndex)",
+  "function approveMilestone(uint256 _orderId, uint256 _milestoneIndex)",
+  "function approveMilestoneBySig(uint256 _orderId, uint256 _milestoneIndex, uint256 _deadline, bytes _signature)",
+  "function arbitrations(uint256) view returns (uint256 evidenceDeadline, bool escalated, uint256 quorum, uint256 voteCount, uint256 supplierPercentageTotal, bool resolved, uint256 votingDeadline)",
+  "function arbitratorRegistry() view returns (address)",
+  "function autoApproveMilestone(uint256 _orderId, uint256 _milestoneIndex)",
+  "function buyerOrders(address, uint256) view returns (uint256)",
+  "function cancelOrder(uint256 _orderId)",
+  "function castVote(uint256 _disputeId, uint256 _supplierPercentage)",
+  "function completeMilestone(uint256 _orderId, uint256 _milestoneIndex)",
+  "function confirmDelivery(uint256 _orderId, uint256 _milestoneIndex)",
+  "function createOrder(address _supplier, string _productDescription) payable",
+  "function createOrderWithToken(address _supplier, string _productDescription, address _token, uint256 _amount)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function escalateDispute(uint256 _disputeId)",
+  "function evidencePeriod() view returns (uint256)",
+  "function getBuyerOrders(address _buyer) view returns (uint256[])",
+  "function getEvidence(uint256 _disputeId) view returns ((address party, string evidence, uint256 submittedAt)[])",
+  "function getMilestone(uint256 _orderId, uint256 _milestoneIndex) view returns ((string description, uint256 paymentPercentage, bool isCompleted, bool isApproved, uint256 completionDate, uint256 approvalDate))",
+  "function getMilestoneCount(uint256 _orderId) view returns (uint256)",
+  "function getOrder(uint256 _orderId) view returns (uint256 orderId, address buyer, address supplier, string productDescription, uint256 totalAmount, uint256 paidAmount, uint256 createdDate, uint8 status, bool disputeRaised)",
+  "function getSupplierOrders(address _supplier) view returns (uint256[])",
+  "function getSupplierStats(address _supplier) view returns ((uint256 totalOrdersCompleted, uint256 totalAmountEarned))",
+  "function grantRole(bytes32 role, address account)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function hasVoted(uint256, address) view returns (bool)",
+  "function initialize(address _supplierRegistry, address _reputationSystem, address _arbitratorRegistry)",
+  "function milestoneDeadlines(uint256, uint256) view returns (uint256)",
+  "function nonces(address owner) view returns (uint256)",
+  "function orderApprovalWindows(uint256) view returns (uint256)",
+  "function orderCounter() view returns (uint256)",
+  "function orders(uint256) view returns (uint256 orderId, address buyer, address supplier, string productDescription, uint256 totalAmount, address paymentToken, uint256 paidAmount, uint256 createdDate, uint8 status, bool disputeRaised, string disputeReason)",
+  "function owner() view returns (address)",
+  "function platformFeePercentage() view returns (uint256)",
+  "function proxiableUUID() view returns (bytes32)",
+  "function raiseDispute(uint256 _orderId, string _reason)",
+  "function reclaimOrder(uint256 _orderId)",
+  "function renounceOwnership()",
+  "function renounceRole(bytes32 role)",
+  "function reputationSystem() view returns (address)",
+  "function resolveDispute(uint256 _disputeId, uint256 _supplierPercentage)",
+  "function revokeRole(bytes32 role, address account)",
+  "function setAcceptedToken(address _token, bool _accepted)",
+  "function setApprovalWindow(uint256 _window)",
+  "function setEvidencePeriod(uint256 _evidencePeriod)",
+  "function setMilestoneDeadline(uint256 _orderId, uint256 _milestoneIndex, uint256 _deadline)",
+  "function setShippingTracker(address _tracker)",
+  "function shippingTracker() view returns (address)",
+  "function startOrder(uint256 _orderId)",
+  "function startOrderBySig(uint256 _orderId, uint256 _deadline, bytes _signature)",
+  "function submitEvidence(uint256 _disputeId, string _evidence)",
+  "function supplierOrders(address, uint256) view returns (uint256)",
+  "function supplierRegistry() view returns (address)",
+  "function supplierStats(address) view returns (uint256 totalOrdersCompleted, uint256 totalAmountEarned)",
+  "function supplierTokenEarnings(address, address) view returns (uint256)",
+  "function tokenPlatformFees(address) view returns (uint256)",
+  "function totalPlatformFees() view returns (uint256)",
+  "function transferOwnership(address newOwner)",
+  "function updatePlatformFee(uint256 _newFeePercentage)",
+  "function upgradeToAndCall(address _implementation, bytes _data) payable",
+  "function withdrawPlatformFees()",
+  "function withdrawTokenFees(address _token)",
+];
+
+const PaymentEscrow = [
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error AddressEmptyCode(address target)",
+  "error FailedCall()",
+  "error InvalidInitialization()",
+  "error NotInitializing()",
+  "error OwnableInvalidOwner(address owner)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error ReentrancyGuardReentrantCall()",
+  "event ArbitratorVoted(uint256 indexed disputeId, address indexed arbitrator, uint256 supplierPercentage)",
+  "event DisputeEscalated(uint256 indexed disputeId, address indexed escalatedBy, uint256 quorum)",
+  "event EscrowCreated(uint256 indexed escrowId, uint256 orderId, address buyer, address seller, uint256 amount)",
+  "event EscrowDisputed(uint256 indexed escrowId)",
+  "event EscrowFunded(uint256 indexed escrowId, uint256 amount)",
+  "event EscrowRefunded(uint256 indexed escrowId, address recipient, uint256 amount)",
+  "event EscrowReleased(uint256 indexed escrowId, address recipient, uint256 amount)",
+  "event EscrowResolved(uint256 indexed escrowId, address indexed resolvedBy, uint256 sellerPercentage, uint256 sellerAmount, uint256 refundAmount)",
+  "event EvidencePeriodUpdated(uint256 evidencePeriod)",
+  "event EvidenceSubmitted(uint256 indexed disputeId, address indexed party, string evidence)",
+  "event Initialized(uint64 version)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event Upgraded(address indexed implementation)",
+  "function ARBITRATOR_ROLE() view returns (bytes32)",
+  "function REFUNDER_ROLE() view returns (bytes32)",
+  "function approveRelease(uint256 _escrowId)",
+  "function arbitrations(uint256) view returns (uint256 evidenceDeadline, bool escalated, uint256 quorum, uint256 voteCount, uint256 supplierPercentageTotal, bool resolved, uint256 votingDeadline)",
+  "function arbitratorRegistry() view returns (address)",
+  "function castVote(uint256 _disputeId, uint256 _supplierPercentage)",
+  "function createEscrow(uint256 _orderId, address _seller, address _token, uint256 _amount, uint256 _lockDuration) returns (uint256)",
+  "function escalateDispute(uint256 _disputeId)",
+  "function escrows(uint256) view returns (uint256 orderId, address buyer, address seller, address token, uint256 amount, uint256 releaseTime, uint8 status, bool buyerApproval, bool sellerApproval)",
+  "function evidencePeriod() view returns (uint256)",
+  "function fundEscrow(uint256 _escrowId) payable",
+  "function getEvidence(uint256 _disputeId) view returns ((address party, string evidence, uint256 submittedAt)[])",
+  "function grantRole(bytes32 role, address account)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function hasVoted(uint256, address) view returns (bool)",
+  "function initialize(address _arbitratorRegistry)",
+  "function owner() view returns (address)",
+  "function proxiableUUID() view returns (bytes32)",
+  "function raiseDispute(uint256 _escrowId)",
+  "function refundBuyer(uint256 _escrowId)",
+  "function renounceOwnership()",
+  "function renounceRole(bytes32 role)",
+  "function resolveDispute(uint256 _disputeId, uint256 _supplierPercentage)",
+  "function revokeRole(bytes32 role, address account)",
+  "function setEvidencePeriod(uint256 _evidencePeriod)",
+  "function submitEvidence(uint256 _disputeId, string _evidence)",
+  "function transferOwnership(address newOwner)",
+  "function upgradeToAndCall(address _implementation, bytes _data) payable",
+];
+
+const ShippingTracker = [
+  "error OwnableInvalidOwner(address owner)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "event AutoApprovalPeriodUpdated(uint256 period)",
+  "event CarrierAuthorizationUpdated(address indexed carrier, bool authorized)",
+  "event DeliveryAutoApproved(uint256 indexed shipmentId, uint256 indexed orderId, uint256 milestoneIndex)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event ShipmentCreated(uint256 indexed shipmentId, uint256 indexed orderId, uint256 milestoneIndex, string trackingNumber)",
+  "event ShipmentDelivered(uint256 indexed shipmentId, uint256 deliveryTime)",
+  "event ShipmentStatusUpdated(uint256 indexed shipmentId, uint8 status)",
+  "function authorizedCarriers(address) view returns (bool)",
+  "function autoApprovalPeriod() view returns (uint256)",
+  "function autoApproveDelivery(uint256 _shipmentId)",
+  "function carrierConfirmed(uint256) view returns (bool)",
+  "function createShipment(uint256 _orderId, uint256 _milestoneIndex, address _shipper, address _origin, address _destination, uint256 _estimatedArrival, string _trackingNumber) returns (uint256)",
+  "function getShipment(uint256 _shipmentId) view returns ((uint256 orderId, uint256 milestoneIndex, address shipper, address origin, address destination, uint256 departureTime, uint256 estimatedArrival, uint256 actualArrival, uint8 status, string trackingNumber))",
+  "function getShipmentByTracking(string _trackingNumber) view returns ((uint256 orderId, uint256 milestoneIndex, address shipper, address origin, address destination, uint256 departureTime, uint256 estimatedArrival, uint256 actualArrival, uint8 status, string trackingNumber))",
+  "function markDelivered(uint256 _shipmentId)",
+  "function owner() view returns (address)",
+  "function paymentContract() view returns (address)",
+  "function renounceOwnership()",
+  "function setAutoApprovalPeriod(uint256 _period)",
+  "function setCarrier(address _carrier, bool _authorized)",
+  "function shipments(uint256) view returns (uint256 orderId, uint256 milestoneIndex, address shipper, address origin, address destination, uint256 departureTime, uint256 estimatedArrival, uint256 actualArrival, uint8 status, string trackingNumber)",
+  "function trackingToShipmentId(string) view returns (uint256)",
+  "function transferOwnership(address newOwner)",
+  "function updateStatus(uint256 _shipmentId, uint8 _status)",
+];
+
+const ReputationSystem = [
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error AddressEmptyCode(address target)",
+  "error FailedCall()",
+  "error InvalidInitialization()",
+  "error NotInitializing()",
+  "error OwnableInvalidOwner(address owner)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "event BadgeAwarded(address indexed supplier, string badge, uint256 timestamp)",
+  "event Initialized(uint64 version)",
+  "event OrderCompletionRecorded(uint256 indexed orderId, address indexed buyer, address indexed supplier)",
+  "event OrderRecorderUpdated(address indexed recorder)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event ReputationUpdated(address indexed supplier, uint256 newAverageRating, uint256 totalReviews)",
+  "event ReviewSubmitted(uint256 indexed reviewId, address indexed reviewer, address indexed supplier, uint8 rating, uint256 timestamp)",
+  "event ReviewVerified(uint256 indexed reviewId, uint256 orderId)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event Upgraded(address indexed implementation)",
+  "function VERIFIER_ROLE() view returns (bytes32)",
+  "function addBadgeType(string _badge)",
+  "function availableBadges(uint256) view returns (string)",
+  "function awardBadge(address _supplier, string _badge)",
+  "function getAvailableBadges() view returns (string[])",
+  "function getReview(uint256 _reviewId) view returns (address reviewer, address supplier, uint256 orderId, uint8 rating, string comment, uint256 timestamp, bool isVerified)",
+  "function getSupplierBadges(address _supplier) view returns (string[])",
+  "function getSupplierReputation(address _supplier) view returns (uint256 totalReviews, uint256 averageRating, uint256[] reviewIds, string[] badges)",
+  "function getSupplierReviews(address _supplier) view returns (uint256[])",
+  "function getTotalReviews() view returns (uint256)",
+  "function grantRole(bytes32 role, address account)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function hasUserReviewedOrder(address _user, uint256 _orderId) view returns (bool)",
+  "function initialize()",
+  "function orderRecorder() view returns (address)",
+  "function owner() view returns (address)",
+  "function proxiableUUID() view returns (bytes32)",
+  "function recordCompletedOrder(uint256 _orderId, address _buyer, address _supplier)",
+  "function recordedOrders(address, uint256) view returns (address buyer, address supplier, uint256 completedAt, bool reviewed)",
+  "function renounceOwnership()",
+  "function renounceRole(bytes32 role)",
+  "function reputations(address) view returns (uint256 totalReviews, uint256 totalRating, uint256 averageRating)",
+  "function reviewCounter() view returns (uint256)",
+  "function reviews(uint256) view returns (uint256 reviewId, address reviewer, address supplier, uint256 orderId, uint8 rating, string comment, uint256 timestamp, bool isVerified)",
+  "function revokeRole(bytes32 role, address account)",
+  "function setOrderRecorder(address _recorder)",
+  "function submitReview(address _supplier, uint256 _orderId, uint8 _rating, string _comment) returns (uint256)",
+  "function transferOwnership(address newOwner)",
+  "function upgradeToAndCall(address _implementation, bytes _data) payable",
+  "function verifyReview(uint256 _reviewId)",
+];
+
+const ProductCatalog = [
+  "error AddressEmptyCode(address target)",
+  "error FailedCall()",
+  "error InvalidInitialization()",
+  "error NotInitializing()",
+  "error OwnableInvalidOwner(address owner)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "event Initialized(uint64 version)",
+  "event InventoryUpdated(uint256 indexed productId, uint256 newInventory, uint256 timestamp)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event PriceUpdated(uint256 indexed productId, uint256 newPrice, uint256 timestamp)",
+  "event ProductAdded(uint256 indexed productId, address indexed supplier, string name, uint256 price, uint256 timestamp)",
+  "event ProductDeactivated(uint256 indexed productId, uint256 timestamp)",
+  "event ProductUpdated(uint256 indexed productId, uint256 timestamp)",
+  "event Upgraded(address indexed implementation)",
+  "function addProduct(string _name, string _description, string _imageHash, string _category, uint256 _price, uint256 _inventory) returns (uint256)",
+  "function availableCategories(uint256) view returns (string)",
+  "function categoryProducts(string, uint256) view returns (uint256)",
+  "function deactivateProduct(uint256 _productId)",
+  "function decreaseInventory(uint256 _productId, uint256 _amount)",
+  "function getAvailableCategories() view returns (string[])",
+  "function getProduct(uint256 _productId) view returns (uint256 productId, address supplier, string name, string description, string imageHash, string category, uint256 price, uint256 inventory, bool isActive)",
+  "function getProductsByCategory(string _category) view returns (uint256[])",
+  "function getProductsBySupplier(address _supplier) view returns (uint256[])",
+  "function getTotalProducts() view returns (uint256)",
+  "function increaseInventory(uint256 _productId, uint256 _amount)",
+  "function initialize()",
+  "function isInStock(uint256 _productId) view returns (bool)",
+  "function owner() view returns (address)",
+  "function productCounter() view returns (uint256)",
+  "function products(uint256) view returns (uint256 productId, address supplier, string name, string description, string imageHash, string category, uint256 price, uint256 inventory, bool isActive, uint256 createdDate, uint256 lastUpdated)",
+  "function proxiableUUID() view returns (bytes32)",
+  "function renounceOwnership()",
+  "function supplierProducts(address, uint256) view returns (uint256)",
+  "function transferOwnership(address newOwner)",
+  "function updateInventory(uint256 _productId, uint256 _newInventory)",
+  "function updatePrice(uint256 _productId, uint256 _newPrice)",
+  "function updateProduct(uint256 _productId, string _description, string _imageHash, string _category)",
+  "function upgradeToAndCall(address _implementation, bytes _data) payable",
+];
+
+const SupplierRegistry = [
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error AddressEmptyCode(address target)",
+  "error FailedCall()",
+  "error InvalidInitialization()",
+  "error NotInitializing()",
+  "error OwnableInvalidOwner(address owner)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "event CategoryAdded(address indexed supplier, string category)",
+  "event Initialized(uint64 version)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event SupplierDeactivated(address indexed supplier, uint256 timestamp)",
+  "event SupplierRegistered(address indexed supplier, string businessName, uint256 timestamp)",
+  "event SupplierUpdated(address indexed supplier, uint256 timestamp)",
+  "event SupplierVerified(address indexed supplier, uint256 timestamp)",
+  "event TagAdded(address indexed supplier, string tag)",
+  "event Upgraded(address indexed implementation)",
+  "function VERIFIER_ROLE() view returns (bytes32)",
+  "function addCategory(address _supplier, string _category)",
+  "function addTag(string _tag)",
+  "function allSuppliers(uint256) view returns (address)",
+  "function availableCategories(uint256) view returns (string)",
+  "function categoryToSuppliers(string, uint256) view returns (address)",
+  "function deactivateSupplier(address _supplier)",
+  "function getAllSuppliers() view returns (address[])",
+  "function getAvailableCategories() view returns (string[])",
+  "function getSupplier(address _supplier) view returns (address supplierAddress, string businessName, string contactEmail, string businessAddress, string documentHash, bool isVerified, bool isActive, uint256 registrationDate)",
+  "function getSupplierCategories(address _supplier) view returns (string[])",
+  "function getSupplierStatus(address _supplier) view returns (bool isRegistered, bool isVerified, bool isActive)",
+  "function getSupplierTags(address _supplier) view returns (string[])",
+  "function getSuppliersByCategory(string _category) view returns (address[])",
+  "function getSuppliersByTag(string _tag) view returns (address[])",
+  "function getTotalSuppliers() view returns (uint256)",
+  "function grantRole(bytes32 role, address account)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function initialize()",
+  "function isSupplierVerified(address _supplier) view returns (bool)",
+  "function owner() view returns (address)",
+  "function proxiableUUID() view returns (bytes32)",
+  "function registerSupplier(string _businessName, string _contactEmail, string _businessAddress, string _documentHash)",
+  "function renounceOwnership()",
+  "function renounceRole(bytes32 role)",
+  "function revokeRole(bytes32 role, address account)",
+  "function suppliers(address) view returns (address supplierAddress, string businessName, string contactEmail, string businessAddress, string documentHash, bool isVerified, bool isActive, uint256 registrationDate, uint256 lastUpdated)",
+  "function tagToSuppliers(string, uint256) view returns (address)",
+  "function transferOwnership(address newOwner)",
+  "function updateProfile(string _contactEmail, string _businessAddress, string _documentHash)",
+  "function upgradeToAndCall(address _implementation, bytes _data) payable",
+  "function verifySupplier(address _supplier)",
+];
+
+const InsuranceEscrow = [
+  "error OwnableInvalidOwner(address owner)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error ReentrancyGuardReentrantCall()",
+  "event CapitalProvided(address indexed underwriter, uint256 amount, uint256 shares)",
+  "event CapitalWithdrawn(address indexed underwriter, uint256 amount, uint256 shares)",
+  "event ClaimPaid(uint256 indexed policyId, address indexed insured, uint256 amount, bool lost, uint256 delay)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event PolicyCreated(uint256 indexed policyId, uint256 shipmentId, uint256 coverageAmount)",
+  "event PolicyExpired(uint256 indexed policyId)",
+  "event PremiumRatesUpdated(uint256 baseRateBps, uint256 dailyRateBps, uint256 delayRateBps)",
+  "function BASIS_POINTS() view returns (uint256)",
+  "function MAX_POLICY_DURATION() view returns (uint256)",
+  "function baseRateBps() view returns (uint256)",
+  "function claimPayout(uint256 _policyId)",
+  "function createPolicy(uint256 _shipmentId, address _insured, uint256 _coverageAmount, uint256 _duration, uint256 _payoutPerPeriod, uint256 _period, string _policyNumber) payable returns (uint256)",
+  "function dailyRateBps() view returns (uint256)",
+  "function delayRateBps() view returns (uint256)",
+  "function expirePolicy(uint256 _policyId)",
+  "function freeCapital() view returns (uint256)",
+  "function getPolicy(uint256 _policyId) view returns ((uint256 shipmentId, address insured, uint256 coverageAmount, uint256 premium, uint256 startDate, uint256 endDate, uint256 payoutPerPeriod, uint256 period, bool isActive, bool isClaimed, uint256 payout, string policyNumber))",
+  "function lockedCoverage() view returns (uint256)",
+  "function owner() view returns (address)",
+  "function payoutDue(uint256 _policyId) view returns (uint256 amount, bool lost, uint256 delay)",
+  "function policies(uint256) view returns (uint256 shipmentId, address insured, uint256 coverageAmount, uint256 premium, uint256 startDate, uint256 endDate, uint256 payoutPerPeriod, uint256 period, bool isActive, bool isClaimed, uint256 payout, string policyNumber)",
+  "function provideCapital() payable",
+  "function quotePremium(uint256 _coverageAmount, uint256 _duration, uint256 _payoutPerPeriod, uint256 _period) view returns (uint256)",
+  "function renounceOwnership()",
+  "function setPremiumRates(uint256 _baseRateBps, uint256 _dailyRateBps, uint256 _delayRateBps)",
+  "function shares(address) view returns (uint256)",
+  "function shipmentToPolicy(uint256) view returns (uint256)",
+  "function shippingTracker() view returns (address)",
+  "function totalShares() view returns (uint256)",
+  "function transferOwnership(address newOwner)",
+  "function withdrawCapital(uint256 _shares)",
+];
+
+module.exports = {
+  SupplyChainPayment,
+  PaymentEscrow,
+  ShippingTracker,
+  ReputationSystem,
+  ProductCatalog,
+  SupplierRegistry,
+  InsuranceEscrow,
+};
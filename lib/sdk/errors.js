@@ -0,0 +1,50 @@
+const { isHexString } = require("ethers");
+
+/**
+ * @title Revert reasons
+ * @dev Turns the errors of failed calls, gas estimates and transactions into
+ *      the reason the contract gave, whether a reason string or a custom error
+ *      such as OpenZeppelin's `AccessControlUnauthorizedAccount`.
+ */
+
+/// @dev Revert data carried by an error, or by the provider error it wraps
+function revertData(error) {
+  for (const source of [error, error.error, error.info && error.info.error]) {
+    if (source && isHexString(source.data) && source.data.length >= 10) {
+      return source.data;
+    }
+  }
+  return null;
+}
+
+/// @dev `Error(string)` gives its message, other errors read `Name(arg, ...)`
+function describe({ name, args }) {
+  return name === "Error" ? args[0] : `${name}(${Array.from(args, String).join(", ")})`;
+}
+
+/**
+ * @notice Revert reason of a failed call, or the error message
+ * @param {Error} error Error thrown by a call, a gas estimate or a transaction
+ * @param {Interface} [contractInterface] Interface of the called contract, decoding its custom errors
+ * @return {string} e.g. "Order does not exist" or "AccessControlUnauthorizedAccount(0x15d3..., 0x9f2d...)"
+ */
+function reasonOf(error, contractInterface = null) {
+  if (error.revert) {
+    return describe(error.revert);
+  }
+  const data = revertData(error);
+  if (contractInterface && data) {
+    try {
+      const parsed = contractInterface.parseError(data);
+      if (parsed) {
+        return describe(parsed);
+      }
+    } catch (malformed) {
+      // Data that does not decode as the error it names: fall back to the message
+    }
+  }
+  const match = /reverted with reason string '(.*)'/.exec(error.message || "");
+  return error.reason || (match && match[1]) || error.shortMessage || error.message;
+}
+
+module.exports = { reasonOf };
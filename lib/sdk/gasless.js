@@ -0,0 +1,124 @@
+const { verifyTypedData } = require("ethers");
+
+/**
+ * @title Signed buyer actions
+ * @dev EIP-712 typed data for the buyer actions SupplyChainPayment accepts by
+ *      signature (`addMilestoneBySig`, `startOrderBySig`, `approveMilestoneBySig`),
+ *      so a buyer without gas can sign and let a relayer pay for the transaction.
+ *
+ *      A signed action is the JSON-safe object
+ *      `{ action, message: { ...fields, nonce, deadline }, signature }`, with
+ *      integers as decimal strings; it is what the relayer (lib/relayer) accepts.
+ */
+
+/// @dev Typed-data types of each action; must match the type hashes in SupplyChainPayment
+const BUYER_ACTION_TYPES = {
+  AddMilestone: [
+    { name: "orderId", type: "uint256" },
+    { name: "description", type: "string" },
+    { name: "paymentPercentage", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  StartOrder: [
+    { name: "orderId", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  ApproveMilestone: [
+    { name: "orderId", type: "uint256" },
+    { name: "milestoneIndex", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/// @dev Contract function submitting each action
+const BUYER_ACTION_METHODS = {
+  AddMilestone: "addMilestoneBySig",
+  StartOrder: "startOrderBySig",
+  ApproveMilestone: "approveMilestoneBySig",
+};
+
+/// @dev Default signature lifetime in seconds
+const DEFAULT_VALIDITY = 60 * 60;
+
+function typesOf(action) {
+  const fields = BUYER_ACTION_TYPES[action];
+  if (!fields) {
+    throw new Error(`Unknown buyer action: ${action} (expected ${Object.keys(BUYER_ACTION_TYPES).join(", ")})`);
+  }
+  return { [action]: fields };
+}
+
+/**
+ * @notice EIP-712 domain of a SupplyChainPayment deployment, as reported by its eip712Domain()
+ * @param {Contract} payment SupplyChainPayment contract
+ * @return {Promise<Object>} `{ name, version, chainId, verifyingContract }`
+ */
+async function buyerActionDomain(payment) {
+  const { name, version, chainId, verifyingContract } = await payment.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * @notice Signs a buyer action for relaying
+ * @param {Object} signer The order's buyer
+ * @param {Contract} payment SupplyChainPayment contract
+ * @param {string} action "AddMilestone", "StartOrder" or "ApproveMilestone"
+ * @param {Object} fields The action's fields, e.g. `{ orderId, milestoneIndex }`
+ * @param {Object} [options]
+ * @param {bigint|number} [options.nonce] Buyer's nonce (default: their next one on-chain)
+ * @param {bigint|number} [options.deadline] Last valid timestamp (default: an hour from the latest block)
+ * @return {Promise<Object>} `{ action, message, signature }`
+ */
+async function signBuyerAction(signer, payment, action, fields, { nonce, deadline } = {}) {
+  const types = typesOf(action);
+  const provider = payment.runner.provider || payment.runner;
+  const buyer = await signer.getAddress();
+  const message = {
+    ...fields,
+    nonce: nonce ?? (await payment.nonces(buyer)),
+    deadline: deadline ?? BigInt((await provider.getBlock("latest")).timestamp + DEFAULT_VALIDITY),
+  };
+  for (const { name } of types[action]) {
+    if (message[name] === undefined || message[name] === null) {
+      throw new Error(`${action} needs ${name}`);
+    }
+  }
+
+  const signature = await signer.signTypedData(await buyerActionDomain(payment), types, message);
+  const values = {};
+  for (const { name, type } of types[action]) {
+    values[name] = type === "uint256" ? BigInt(message[name]).toString() : message[name];
+  }
+  return { action, message: values, signature };
+}
+
+/**
+ * @notice Address that signed an action
+ * @param {Object} domain See buyerActionDomain
+ * @param {Object} signed `{ action, message, signature }`
+ * @return {string} Checksummed signer address; throws on a malformed signature
+ */
+function recoverBuyerAction(domain, { action, message, signature }) {
+  return verifyTypedData(domain, typesOf(action), message, signature);
+}
+
+/**
+ * @notice Arguments of the contract function submitting an action
+ * @return {{method: string, args: Array}} e.g. `approveMilestoneBySig(orderId, milestoneIndex, deadline, signature)`
+ */
+function buyerActionCall({ action, message, signature }) {
+  const fields = typesOf(action)[action].map(({ name }) => name).filter((name) => name !== "nonce");
+  return { method: BUYER_ACTION_METHODS[action], args: [...fields.map((name) => message[name]), signature] };
+}
+
+module.exports = {
+  BUYER_ACTION_TYPES,
+  BUYER_ACTION_METHODS,
+  buyerActionDomain,
+  signBuyerAction,
+  recoverBuyerAction,
+  buyerActionCall,
+};
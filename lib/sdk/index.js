@@ -0,0 +1,39 @@
+const abi = require("./abi");
+const {
+  ORDER_STATUS,
+  orderStatusName,
+  validateMilestones,
+  deadlineSeconds,
+  computePayout,
+  OrderClient,
+} = require("./orders");
+const { DEFAULT_PREMIUM_RATES, quotePremium, latePayout } = require("./insurance");
+const {
+  BUYER_ACTION_TYPES,
+  BUYER_ACTION_METHODS,
+  buyerActionDomain,
+  signBuyerAction,
+  recoverBuyerAction,
+  buyerActionCall,
+} = require("./gasless");
+const { reasonOf } = require("./errors");
+
+module.exports = {
+  abi,
+  ORDER_STATUS,
+  orderStatusName,
+  validateMilestones,
+  deadlineSeconds,
+  computePayout,
+  OrderClient,
+  DEFAULT_PREMIUM_RATES,
+  quotePremium,
+  latePayout,
+  BUYER_ACTION_TYPES,
+  BUYER_ACTION_METHODS,
+  buyerActionDomain,
+  signBuyerAction,
+  recoverBuyerAction,
+  buyerActionCall,
+  reasonOf,
+};
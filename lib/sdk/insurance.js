@@ -0,0 +1,63 @@
+/**
+ * @title Insurance quotes
+ * @dev Mirrors InsuranceEscrow's pricing and payout schedule with the same
+ *      integer arithmetic, so premiums can be shown before anything is sent.
+ *      Amounts are bigints in wei, durations and delays in seconds.
+ */
+
+const DAY = 24n * 60n * 60n;
+const BASIS_POINTS = 10000n;
+
+/// @dev InsuranceEscrow.MAX_POLICY_DURATION, the longest payout period
+const MAX_PERIOD = 365n * DAY;
+
+/// @notice InsuranceEscrow's rates at deployment (baseRateBps, dailyRateBps, delayRateBps)
+const DEFAULT_PREMIUM_RATES = { baseRateBps: 100n, dailyRateBps: 10n, delayRateBps: 500n };
+
+/**
+ * @notice Minimum premium for a policy, as InsuranceEscrow.quotePremium
+ * @param {bigint|number} coverage Maximum payout
+ * @param {bigint|number} duration Policy length in seconds; every started day is charged in full
+ * @param {Object} schedule `{ payoutPerPeriod, period }`; the fewer days of delay it takes to pay
+ *        the whole coverage, the more it costs
+ * @param {Object} [rates] `{ baseRateBps, dailyRateBps, delayRateBps }`, e.g. read from the contract
+ * @return {{premium: bigint, days: bigint, daysToCoverage: bigint, rateBps: bigint}}
+ */
+function quotePremium(coverage, duration, { payoutPerPeriod, period }, rates = DEFAULT_PREMIUM_RATES) {
+  const amount = BigInt(coverage);
+  const seconds = BigInt(duration);
+  const perPeriod = BigInt(payoutPerPeriod);
+  const periodSeconds = BigInt(period);
+  if (amount <= 0n) {
+    throw new Error("Coverage must be positive");
+  }
+  if (seconds <= 0n) {
+    throw new Error("Duration must be positive");
+  }
+  if (perPeriod <= 0n || periodSeconds <= 0n || periodSeconds > MAX_PERIOD) {
+    throw new Error("Payout schedule needs a positive payout and a period of up to 365 days");
+  }
+  const days = (seconds + DAY - 1n) / DAY;
+  const periodsToCoverage = (amount + perPeriod - 1n) / perPeriod;
+  const daysToCoverage = (periodsToCoverage * periodSeconds + DAY - 1n) / DAY;
+  const rateBps =
+    BigInt(rates.baseRateBps) + BigInt(rates.dailyRateBps) * days + BigInt(rates.delayRateBps) / daysToCoverage;
+  return { premium: (amount * rateBps) / BASIS_POINTS, days, daysToCoverage, rateBps };
+}
+
+/**
+ * @notice Payout of a late delivery, as InsuranceEscrow.payoutDue
+ * @param {Object} schedule `{ coverage, payoutPerPeriod, period }`
+ * @param {bigint|number} delay Seconds between the estimated and the actual arrival
+ * @return {bigint} Payout for every full period of delay, capped at the coverage
+ */
+function latePayout({ coverage, payoutPerPeriod, period }, delay) {
+  const payout = (BigInt(delay) / BigInt(period)) * BigInt(payoutPerPeriod);
+  return payout < BigInt(coverage) ? payout : BigInt(coverage);
+}
+
+module.exports = {
+  DEFAULT_PREMIUM_RATES,
+  quotePremium,
+  latePayout,
+};
@@ -0,0 +1,446 @@
+const { Contract, ZeroAddress } = require("ethers");
+const abi = require("./abi");
+
+/**
+ * @title Order client
+ * @dev High-level wrapper around SupplyChainPayment's order lifecycle.
+ *      Reads return plain objects (status names instead of enum ordinals,
+ *      bigints for amounts, Dates for timestamps); writes wait for the
+ *      transaction to be mined and return the receipt.
+ */
+
+/// @dev What the client needs from an order's payment token
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+/// @dev Mirrors SupplyChainPayment.OrderStatus; the index is the on-chain value
+const ORDER_STATUS = ["Created", "InProgress", "Completed", "Cancelled", "Disputed"];
+
+/**
+ * @notice Name of an on-chain OrderStatus value
+ * @param {bigint|number} value Enum ordinal as returned by the contract
+ * @return {string} e.g. "InProgress"
+ */
+function orderStatusName(value) {
+  const name = ORDER_STATUS[Number(value)];
+  if (!name) {
+    throw new Error(`Unknown order status: ${value}`);
+  }
+  return name;
+}
+
+/**
+ * @notice Unix timestamp of a deadline
+ * @param {Date|number|bigint} deadline Date, or Unix timestamp in seconds
+ * @return {bigint|null} Seconds, or null if `deadline` is neither a valid Date nor a positive timestamp
+ */
+function deadlineSeconds(deadline) {
+  if (deadline instanceof Date) {
+    const time = deadline.getTime();
+    return Number.isNaN(time) ? null : BigInt(Math.floor(time / 1000));
+  }
+  if ((typeof deadline === "number" && Number.isInteger(deadline)) || typeof deadline === "bigint") {
+    return deadline > 0 ? BigInt(deadline) : null;
+  }
+  return null;
+}
+
+/**
+ * @notice Checks a milestone plan before anything is sent
+ * @dev Same rules as addMilestone/startOrder: each milestone needs a
+ *      description and a whole percentage in 1..100, and together they must
+ *      cover exactly 100%. Deadlines are optional; whether they are in the
+ *      future is left to the contract, whose clock is the one that counts.
+ * @param {{description: string, percentage: number|bigint, deadline?: Date|number|bigint}[]} milestones
+ */
+function validateMilestones(milestones) {
+  if (!Array.isArray(milestones) || milestones.length === 0) {
+    throw new Error("At least one milestone is required");
+  }
+  let total = 0;
+  milestones.forEach(({ description, percentage, deadline }, index) => {
+    if (!description) {
+      throw new Error(`Milestone ${index} needs a description`);
+    }
+    const value = Number(percentage);
+    if (!Number.isInteger(value) || value < 1 || value > 100) {
+      throw new Error(`Milestone ${index} percentage must be a whole number between 1 and 100`);
+    }
+    if (deadline != null && deadlineSeconds(deadline) === null) {
+      throw new Error(`Milestone ${index} deadline must be a Date or a Unix timestamp in seconds`);
+    }
+    total += value;
+  });
+  if (total !== 100) {
+    throw new Error(`Milestone percentages must total 100 (got ${total})`);
+  }
+}
+
+/**
+ * @notice Expected payouts for an order, using the contract's integer arithmetic
+ * @dev The contract pays what rounding leaves over with the last approval; this
+ *      assumes the milestones are approved in order, so the last one gets it
+ * @param {bigint} totalAmount Order value in wei, or in token units for token orders
+ * @param {(number|bigint)[]} percentages Milestone percentages
+ * @param {number|bigint} feePercentage platformFeePercentage
+ * @return {{milestones: Object[], gross: bigint, fee: bigint, net: bigint}}
+ */
+function computePayout(totalAmount, percentages, feePercentage) {
+  const total = BigInt(totalAmount);
+  const feeRate = BigInt(feePercentage);
+  let paid = 0n;
+  const milestones = percentages.map((percentage, index) => {
+    const gross = index === percentages.length - 1 ? total - paid : (total * BigInt(percentage)) / 100n;
+    paid += gross;
+    const fee = (gross * feeRate) / 100n;
+    return { percentage: Number(percentage), gross, fee, net: gross - fee };
+  });
+  const sum = (key) => milestones.reduce((acc, milestone) => acc + milestone[key], 0n);
+  return { milestones, gross: sum("gross"), fee: sum("fee"), net: sum("net") };
+}
+
+const toDate = (seconds) => (seconds > 0n ? new Date(Number(seconds) * 1000) : null);
+
+/**
+ * @dev `autoApprovableAt` is when anyone can release the payment of a completed
+ *      milestone the buyer has not approved (see autoApproveMilestone); never if it was completed late
+ */
+function toMilestone(result, index, deadline, approvalWindow) {
+  const late = deadline > 0n && result.completionDate > deadline;
+  const waiting = result.isCompleted && !result.isApproved && !late && approvalWindow > 0n;
+  return {
+    index,
+    description: result.description,
+    percentage: Number(result.paymentPercentage),
+    completed: result.isCompleted,
+    approved: result.isApproved,
+    deadline: toDate(deadline),
+    completedAt: toDate(result.completionDate),
+    approvedAt: toDate(result.approvalDate),
+    autoApprovableAt: waiting ? toDate(result.completionDate + approvalWindow) : null,
+  };
+}
+
+class OrderClient {
+  /**
+   * @param {string|Contract} target SupplyChainPayment address or contract instance
+   * @param {Object} [runner] ethers Signer (for writes) or Provider
+   */
+  constructor(target, runner) {
+    this.contract =
+      typeof target === "string"
+        ? new Contract(target, abi.SupplyChainPayment, runner)
+        : runner
+          ? target.connect(runner)
+          : target;
+  }
+
+  /**
+   * @notice Same client acting as another account
+   */
+  connect(runner) {
+    return new OrderClient(this.contract, runner);
+  }
+
+  /**
+   * @notice Creates an order and, optionally, its full milestone plan
+   * @dev The plan is validated before the first transaction is sent. With
+   *      `start` (the default when milestones are given) the order is moved to
+   *      InProgress once every milestone is added. Token orders approve the
+   *      payment contract first when the current allowance is too low.
+   * @param {Object} order
+   * @param {string} order.supplier Verified supplier address
+   * @param {string} order.description Product description
+   * @param {bigint} order.amount Order value locked in escrow, in wei or in units of `token`
+   * @param {string} [order.token] Accepted ERC20 token to pay in (default: ETH)
+   * @param {{description: string, percentage: number, deadline?: Date|number}[]} [order.milestones]
+   *        `deadline` is when the supplier must have completed the milestone, as a Date
+   *        or a Unix timestamp in seconds
+   * @param {boolean} [order.start]
+   * @return {Promise<Object>} The created order (see getOrder)
+   */
+  async createOrder({ supplier, description, amount, token, milestones = [], start = milestones.length > 0 }) {
+    if (milestones.length > 0 || start) {
+      validateMilestones(milestones);
+    }
+
+    let receipt;
+    if (token && token !== ZeroAddress) {
+      await this.approveToken(token, amount);
+      receipt = await this._send("createOrderWithToken", [supplier, description, token, amount]);
+    } else {
+      receipt = await this._send("createOrder", [supplier, description, { value: amount }]);
+    }
+    const orderId = this._orderIdFrom(receipt);
+
+    await this.addMilestones(orderId, milestones);
+    if (start) {
+      await this.startOrder(orderId);
+    }
+    return this.getOrder(orderId);
+  }
+
+  /**
+   * @notice Lets the payment contract pull `amount` of `token` from the sending account
+   * @dev Does nothing when the allowance already covers the amount
+   * @return {Promise<Object|null>} The approval receipt, or null if none was needed
+   */
+  async approveToken(token, amount) {
+    const runner = this.contract.runner;
+    const erc20 = new Contract(token, ERC20_ABI, runner);
+    const spender = await this.contract.getAddress();
+    if ((await erc20.allowance(await runner.getAddress(), spender)) >= BigInt(amount)) {
+      return null;
+    }
+    return (await erc20.approve(spender, amount)).wait();
+  }
+
+  /**
+   * @notice Adds milestones to an order that has not started yet, and sets their deadlines
+   * @return {Promise<Object[]>} Receipts of every transaction sent
+   */
+  async addMilestones(orderId, milestones) {
+    const receipts = [];
+    for (const { description, percentage, deadline } of milestones) {
+      const receipt = await this._send("addMilestone", [orderId, description, percentage]);
+      receipts.push(receipt);
+      if (deadline != null) {
+        const { milestoneIndex } = this._eventArgs(receipt, "MilestoneAdded");
+        receipts.push(await this.setMilestoneDeadline(orderId, milestoneIndex, deadline));
+      }
+    }
+    return receipts;
+  }
+
+  /**
+   * @notice Sets when a milestone must be completed, before the order starts
+   * @param {Date|number|bigint|null} deadline Date or Unix timestamp in seconds; null removes it
+   */
+  setMilestoneDeadline(orderId, milestoneIndex, deadline) {
+    const seconds = deadline == null ? 0n : deadlineSeconds(deadline);
+    if (seconds === null) {
+      throw new Error(`Invalid deadline: ${deadline}`);
+    }
+    return this._send("setMilestoneDeadline", [orderId, milestoneIndex, seconds]);
+  }
+
+  startOrder(orderId) {
+    return this._send("startOrder", [orderId]);
+  }
+
+  completeMilestone(orderId, milestoneIndex) {
+    return this._send("completeMilestone", [orderId, milestoneIndex]);
+  }
+
+  approveMilestone(orderId, milestoneIndex) {
+    return this._send("approveMilestone", [orderId, milestoneIndex]);
+  }
+
+  /**
+   * @notice Releases the payment of a completed milestone once the buyer's approval window is over (anyone)
+   */
+  autoApproveMilestone(orderId, milestoneIndex) {
+    return this._send("autoApproveMilestone", [orderId, milestoneIndex]);
+  }
+
+  raiseDispute(orderId, reason) {
+    return this._send("raiseDispute", [orderId, reason]);
+  }
+
+  /**
+   * @notice Splits the remaining funds of a disputed order (ARBITRATOR_ROLE)
+   * @dev Only once the evidence period is over and unless the dispute was escalated
+   * @param {bigint|number} supplierPercentage Share paid to the supplier (0-100); the buyer gets the rest
+   */
+  resolveDispute(orderId, supplierPercentage) {
+    return this._send("resolveDispute", [orderId, supplierPercentage]);
+  }
+
+  submitEvidence(orderId, evidence) {
+    return this._send("submitEvidence", [orderId, evidence]);
+  }
+
+  escalateDispute(orderId) {
+    return this._send("escalateDispute", [orderId]);
+  }
+
+  castVote(orderId, supplierPercentage) {
+    return this._send("castVote", [orderId, supplierPercentage]);
+  }
+
+  cancelOrder(orderId) {
+    return this._send("cancelOrder", [orderId]);
+  }
+
+  /**
+   * @notice Cancels an order whose supplier missed a milestone deadline and refunds the unpaid remainder
+   * @dev Milestones completed on time have to be approved (or the order disputed) first;
+   *      one completed after its deadline counts as missed
+   */
+  reclaimOrder(orderId) {
+    return this._send("reclaimOrder", [orderId]);
+  }
+
+  /**
+   * @notice Order with its milestones as a plain object
+   * @dev `approvalWindow` is fixed when the order starts, in seconds (0 before, or if auto-approval is off)
+   */
+  async getOrder(orderId) {
+    const id = BigInt(orderId);
+    if (id >= (await this.contract.orderCounter())) {
+      throw new Error(`Order ${orderId} does not exist`);
+    }
+    const [order, approvalWindow] = await Promise.all([
+      this.contract.orders(id),
+      this.contract.orderApprovalWindows(id),
+    ]);
+    return {
+      id,
+      buyer: order.buyer,
+      supplier: order.supplier,
+      description: order.productDescription,
+      token: order.paymentToken,
+      totalAmount: order.totalAmount,
+      paidAmount: order.paidAmount,
+      createdAt: toDate(order.createdDate),
+      status: orderStatusName(order.status),
+      disputeRaised: order.disputeRaised,
+      disputeReason: order.disputeReason,
+      approvalWindow: Number(approvalWindow),
+      milestones: await this.getMilestones(id),
+    };
+  }
+
+  /**
+   * @notice Arbitration state and evidence of an order's dispute
+   * @dev `evidenceDeadline` is null if no dispute was raised on the order, `votingDeadline`
+   *      (after which an arbitrator settles it instead of the panel) if it was not escalated
+   */
+  async getDispute(orderId) {
+    const [arbitration, evidence] = await Promise.all([
+      this.contract.arbitrations(orderId),
+      this.contract.getEvidence(orderId),
+    ]);
+    return {
+      evidenceDeadline: toDate(arbitration.evidenceDeadline),
+      escalated: arbitration.escalated,
+      votingDeadline: toDate(arbitration.votingDeadline),
+      quorum: arbitration.quorum,
+      votes: arbitration.voteCount,
+      resolved: arbitration.resolved,
+      evidence: evidence.map((item) => ({
+        party: item.party,
+        evidence: item.evidence,
+        submittedAt: toDate(item.submittedAt),
+      })),
+    };
+  }
+
+  async getMilestones(orderId) {
+    const [count, approvalWindow] = await Promise.all([
+      this.contract.getMilestoneCount(orderId),
+      this.contract.orderApprovalWindows(orderId),
+    ]);
+    const milestones = [];
+    for (let index = 0; index < Number(count); index++) {
+      const [milestone, deadline] = await Promise.all([
+        this.contract.getMilestone(orderId, index),
+        this.contract.milestoneDeadlines(orderId, index),
+      ]);
+      milestones.push(toMilestone(milestone, index, deadline, approvalWindow));
+    }
+    return milestones;
+  }
+
+  async getBuyerOrders(buyer) {
+    return Promise.all((await this.contract.getBuyerOrders(buyer)).map((id) => this.getOrder(id)));
+  }
+
+  async getSupplierOrders(supplier) {
+    return Promise.all((await this.contract.getSupplierOrders(supplier)).map((id) => this.getOrder(id)));
+  }
+
+  /**
+   * @notice Supplier profile from SupplierRegistry with its payment statistics
+   * @dev `address` is the zero address if the supplier is not registered
+   * @param {string} address Supplier address
+   */
+  async getSupplier(address) {
+    const registry = new Contract(await this.contract.supplierRegistry(), abi.SupplierRegistry, this.contract.runner);
+    const [profile, stats] = await Promise.all([
+      registry.suppliers(address),
+      this.contract.getSupplierStats(address),
+    ]);
+    return {
+      address: profile.supplierAddress,
+      name: profile.businessName,
+      contactInfo: profile.contactEmail,
+      verified: profile.isVerified,
+      active: profile.isActive,
+      ordersCompleted: stats.totalOrdersCompleted,
+      totalEarned: stats.totalAmountEarned,
+      registeredAt: toDate(profile.registrationDate),
+    };
+  }
+
+  /**
+   * @notice Total paid out to a supplier in one currency
+   * @param {string} address Supplier address
+   * @param {string} [token] ERC20 token (default: ETH, as in getSupplier().totalEarned)
+   */
+  async getEarnings(address, token = ZeroAddress) {
+    if (token === ZeroAddress) {
+      return (await this.contract.getSupplierStats(address)).totalAmountEarned;
+    }
+    return this.contract.supplierTokenEarnings(address, token);
+  }
+
+  /**
+   * @notice Expected supplier payout for an existing order or a planned one
+   * @dev Uses the current platformFeePercentage, which the owner may change
+   *      before the milestones are approved
+   * @param {bigint|number|{amount: bigint, percentages: number[]}} order Order ID or plan
+   */
+  async expectedPayout(order) {
+    const fee = await this.contract.platformFeePercentage();
+    if (typeof order === "object" && order !== null) {
+      return computePayout(order.amount, order.percentages, fee);
+    }
+    const { totalAmount, milestones } = await this.getOrder(order);
+    return computePayout(
+      totalAmount,
+      milestones.map((milestone) => milestone.percentage),
+      fee
+    );
+  }
+
+  async _send(method, args) {
+    const tx = await this.contract[method](...args);
+    return tx.wait();
+  }
+
+  _orderIdFrom(receipt) {
+    return this._eventArgs(receipt, "OrderCreated").orderId;
+  }
+
+  _eventArgs(receipt, name) {
+    for (const log of receipt.logs) {
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed && parsed.name === name) {
+        return parsed.args;
+      }
+    }
+    throw new Error(`No ${name} event in transaction ${receipt.hash}`);
+  }
+}
+
+module.exports = {
+  ORDER_STATUS,
+  orderStatusName,
+  validateMilestones,
+  deadlineSeconds,
+  computePayout,
+  OrderClient,
+};
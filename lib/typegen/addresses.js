@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const defaultManifest = require("../deployment/manifest");
+
+/**
+ * @title Typed address map
+ * @dev Renders the deployment-<network>.json records into a TypeScript module
+ *      that sits next to the typechain bindings, so frontends can write
+ *      `getContract("baseSepolia", "SupplyChainPayment", signer)` and get a
+ *      fully typed contract back.
+ */
+
+const RECORD_FILE = /^deployment-([A-Za-z0-9_-]+)\.json$/;
+
+/**
+ * @notice Reads every deployment record in a directory
+ * @param {string} dir Directory holding deployment-<network>.json files
+ * @return {Object[]} Records sorted by network name
+ */
+function collectDeployments(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => RECORD_FILE.test(file))
+    .sort()
+    .map((file) => {
+      const record = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      return { ...record, network: record.network || file.match(RECORD_FILE)[1] };
+    });
+}
+
+/**
+ * @notice Artifact a deployed name was built from
+ * @dev Recorded since the deployment engine tracks artifacts; older records
+ *      fall back to the manifest and finally to the name itself
+ */
+function contractFor(name, record, manifest = defaultManifest) {
+  const info = (record.artifacts || {})[name];
+  if (info && info.contract) {
+    return info.contract;
+  }
+  const entry = manifest.find((candidate) => candidate.name === name);
+  return (entry && entry.contract) || name;
+}
+
+const quote = (value) => JSON.stringify(value);
+const key = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : quote(name));
+
+/**
+ * @notice Renders the TypeScript address map
+ * @param {Object[]} records Deployment records (see ./record.js)
+ * @param {Object} [options]
+ * @param {Object[]} [options.manifest] Manifest used for records without artifact names
+ * @return {string} Contents of typechain-types/deployments.ts
+ */
+function renderAddressModule(records, { manifest = defaultManifest } = {}) {
+  const contracts = {};
+  for (const record of records) {
+    for (const name of Object.keys(record.contracts || {})) {
+      const contract = contractFor(name, record, manifest);
+      if (contracts[name] && contracts[name] !== contract) {
+        throw new Error(`${name} is deployed from ${contracts[name]} and ${contract} on different networks`);
+      }
+      contracts[name] = contract;
+    }
+  }
+  const names = Object.keys(contracts).sort();
+  const factories = [...new Set(names.map((name) => contracts[name]))].sort();
+
+  const lines = [
+    "/* Autogenerated file. Do not edit manually. */",
+    "/* Generated by scripts/generate-types.js from deployment-<network>.json */",
+    "/* eslint-disable */",
+    'import type { ContractRunner } from "ethers";',
+  ];
+  if (factories.length > 0) {
+    lines.push("import {");
+    factories.forEach((contract) => lines.push(`  ${contract}__factory,`));
+    lines.push('} from "./index";');
+  }
+
+  lines.push("", "export const deployments = {");
+  for (const record of records) {
+    lines.push(`  ${key(record.network)}: {`);
+    lines.push(`    chainId: ${Number(record.chainId)},`);
+    if (record.blockNumber !== undefined) {
+      lines.push(`    blockNumber: ${Number(record.blockNumber)},`);
+    }
+    lines.push("    contracts: {");
+    for (const [name, address] of Object.entries(record.contracts || {})) {
+      lines.push(`      ${key(name)}: ${quote(address)},`);
+    }
+    lines.push("    },");
+    lines.push("  },");
+  }
+  lines.push("} as const;");
+
+  lines.push(
+    "",
+    "const factories = {",
+    ...names.map((name) => `  ${key(name)}: ${contracts[name]}__factory,`),
+    "} as const;",
+    "",
+    "export type NetworkName = keyof typeof deployments;",
+    "export type ContractName = keyof typeof factories;",
+    'export type DeployedContractName<N extends NetworkName> = keyof (typeof deployments)[N]["contracts"] &',
+    "  ContractName;",
+    "export type ContractTypes = {",
+    '  [C in ContractName]: ReturnType<(typeof factories)[C]["connect"]>;',
+    "};",
+    "",
+    "export const networkByChainId = {",
+    ...records.map((record) => `  ${Number(record.chainId)}: ${quote(record.network)},`),
+    "} as const;",
+    "",
+    "/**",
+    " * Address of `name` on `network`",
+    " */",
+    "export function getAddress<N extends NetworkName, C extends DeployedContractName<N>>(",
+    "  network: N,",
+    "  name: C",
+    "): string {",
+    "  const contracts = deployments[network].contracts as Record<string, string>;",
+    "  return contracts[name as string];",
+    "}",
+    "",
+    "/**",
+    " * Typed contract instance for `name` on `network`",
+    " */",
+    "export function getContract<N extends NetworkName, C extends DeployedContractName<N>>(",
+    "  network: N,",
+    "  name: C,",
+    "  runner?: ContractRunner | null",
+    "): ContractTypes[C] {",
+    "  const factory = factories[name] as { connect(address: string, runner?: ContractRunner | null): unknown };",
+    "  return factory.connect(getAddress(network, name), runner) as ContractTypes[C];",
+    "}",
+    ""
+  );
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  collectDeployments,
+  contractFor,
+  renderAddressModule,
+};
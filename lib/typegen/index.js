@@ -0,0 +1,10 @@
+const { collectDeployments, contractFor, renderAddressModule } = require("./addresses");
+const { collectDefinitions, renderSolidityModule } = require("./solidity");
+
+module.exports = {
+  collectDeployments,
+  contractFor,
+  renderAddressModule,
+  collectDefinitions,
+  renderSolidityModule,
+};
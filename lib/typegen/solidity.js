@@ -0,0 +1,158 @@
+/**
+ * @title Solidity enums and structs
+ * @dev typechain only sees the ABI, where enums are plain uint8 and structs
+ *      exist only if a function happens to return them (`getOrder` returns a
+ *      tuple, so `SupplyChainPayment.Order` never shows up). This module reads
+ *      the compiler AST instead and renders every enum and struct declared in
+ *      the project's sources.
+ *
+ * Struct members are typed the way ethers decodes them: integers and enums are
+ * bigint, addresses and bytes are hex strings.
+ */
+
+const DEFINITIONS = ["EnumDefinition", "StructDefinition"];
+
+/**
+ * @notice Collects enum and struct declarations from compiler output
+ * @param {Object[]} buildInfos Hardhat build infos
+ * @param {Function} include Predicate on source names (e.g. only ./contracts)
+ * @return {Object} { scopes: { [contract or "" for file level]: definitions[] } }
+ */
+function collectDefinitions(buildInfos, include = () => true) {
+  const scopes = {};
+  const seen = new Set();
+
+  for (const buildInfo of buildInfos) {
+    const local = {};
+    const pending = [];
+
+    for (const [sourceName, { ast }] of Object.entries(buildInfo.output.sources)) {
+      for (const node of ast.nodes) {
+        if (node.nodeType === "ContractDefinition") {
+          local[node.id] = { kind: "contract", name: node.name };
+          for (const child of node.nodes) {
+            if (DEFINITIONS.includes(child.nodeType)) {
+              pending.push({ sourceName, scope: node.name, node: child });
+            }
+          }
+        } else if (DEFINITIONS.includes(node.nodeType)) {
+          pending.push({ sourceName, scope: "", node });
+        }
+      }
+    }
+
+    for (const { sourceName, scope, node } of pending) {
+      const definition = {
+        kind: node.nodeType === "EnumDefinition" ? "enum" : "struct",
+        scope,
+        name: node.name,
+        node,
+      };
+      local[node.id] = definition;
+
+      const key = `${sourceName}:${node.canonicalName}`;
+      if (include(sourceName) && !seen.has(key)) {
+        seen.add(key);
+        (scopes[scope] = scopes[scope] || []).push(definition);
+      }
+    }
+
+    // AST ids are only unique within one build; resolve references per build
+    for (const definitions of Object.values(scopes)) {
+      for (const definition of definitions) {
+        if (definition.kind === "struct" && !definition.members) {
+          definition.members = structMembers(definition, local);
+        }
+      }
+    }
+  }
+
+  return { scopes };
+}
+
+function structMembers(definition, local) {
+  return definition.node.members
+    .filter((member) => member.typeName.nodeType !== "Mapping") // not part of any ABI
+    .map((member) => ({
+      name: member.name,
+      type: tsType(member.typeName, local, definition.scope),
+    }));
+}
+
+/**
+ * @notice TypeScript type of a Solidity type name, as decoded by ethers
+ */
+function tsType(typeName, local, scope) {
+  switch (typeName.nodeType) {
+    case "ElementaryTypeName": {
+      const name = typeName.name;
+      if (name === "bool") return "boolean";
+      if (/^u?int\d*$/.test(name)) return "bigint";
+      return "string"; // address, address payable, string, bytes, bytesN
+    }
+    case "ArrayTypeName":
+      return `${tsType(typeName.baseType, local, scope)}[]`;
+    case "UserDefinedTypeName": {
+      const target = local[typeName.referencedDeclaration];
+      if (!target || target.kind === "contract") return "string";
+      if (target.kind === "enum") return "bigint";
+      return target.scope && target.scope !== scope ? `${target.scope}.${target.name}` : target.name;
+    }
+    default:
+      return "unknown";
+  }
+}
+
+function renderDefinition(definition, indent) {
+  const lines = [];
+  if (definition.kind === "enum") {
+    lines.push(`${indent}export enum ${definition.name} {`);
+    definition.node.members.forEach((member, index) => {
+      lines.push(`${indent}  ${member.name} = ${index},`);
+    });
+  } else {
+    lines.push(`${indent}export interface ${definition.name} {`);
+    definition.members.forEach((member) => {
+      lines.push(`${indent}  ${member.name}: ${member.type};`);
+    });
+  }
+  lines.push(`${indent}}`);
+  return lines;
+}
+
+/**
+ * @notice Renders the declarations as a TypeScript module
+ * @param {Object} collected Output of collectDefinitions
+ * @return {string} Contents of typechain-types/solidity.ts
+ */
+function renderSolidityModule({ scopes }) {
+  const lines = [
+    "/* Autogenerated file. Do not edit manually. */",
+    "/* Generated by scripts/generate-types.js from the Solidity sources */",
+    "/* eslint-disable */",
+  ];
+
+  for (const definition of scopes[""] || []) {
+    lines.push("", ...renderDefinition(definition, ""));
+  }
+
+  const contracts = Object.keys(scopes)
+    .filter(Boolean)
+    .sort();
+  for (const contract of contracts) {
+    lines.push("", `export namespace ${contract} {`);
+    scopes[contract].forEach((definition, index) => {
+      if (index > 0) lines.push("");
+      lines.push(...renderDefinition(definition, "  "));
+    });
+    lines.push("}");
+  }
+
+  lines.push("");
+  return lines.join("\n");
+}
+
+module.exports = {
+  collectDefinitions,
+  renderSolidityModule,
+};
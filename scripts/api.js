@@ -0,0 +1,45 @@
+const hre = require("hardhat");
+const { openIndexer } = require("../lib/indexer");
+const { createServer } = require("../lib/api");
+
+/**
+ * Serves the read-only HTTP API for deployment-<network>.json. The indexer runs
+ * in the same process, so responses follow the chain with the delay set by
+ * INDEXER_POLL_MS; see scripts/indexer.js for the other INDEXER_* variables.
+ *
+ *   npx hardhat run scripts/api.js --network localhost
+ *
+ * Environment:
+ *   API_PORT   port to listen on (default 4000)
+ *   API_HOST   interface to bind (default 127.0.0.1)
+ *   API_CORS   Access-Control-Allow-Origin value (default *, "off" to disable)
+ */
+async function main() {
+  const { record, file, store, indexer } = await openIndexer(hre, { log: (message) => console.log(message) });
+  const server = createServer({
+    store,
+    network: hre.network.name,
+    contracts: record.contracts,
+    cors: process.env.API_CORS === "off" ? null : process.env.API_CORS || "*",
+  });
+
+  const port = Number(process.env.API_PORT || 4000);
+  const host = process.env.API_HOST || "127.0.0.1";
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  console.log(`API for ${hre.network.name} listening on http://${host}:${port} (index: ${file})`);
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await indexer.run({ pollIntervalMs: Number(process.env.INDEXER_POLL_MS || 2000) });
+  store.close();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,72 +1,99 @@
 const { ethers } = require("hardhat");
+const { OrderClient } = require("..");
 
 async function main() {
     const [deployer, supplier, buyer] = await ethers.getSigners();
     
     console.log("Running demo scenario...\n");
 
-    // Deploy contract
-    console.log("1. Deploying contract...");
+    // Deploy contracts
+    console.log("1. Deploying contracts...");
+    const registry = await ethers.deployContract("SupplierRegistry");
+    const reputation = await ethers.deployContract("ReputationSystem");
+    const arbitrators = await ethers.deployContract("ArbitratorRegistry");
     const SupplyChainPayment = await ethers.getContractFactory("SupplyChainPayment");
-    const contract = await SupplyChainPayment.deploy();
+    const contract = await SupplyChainPayment.deploy(
+        await registry.getAddress(),
+        await reputation.getAddress(),
+        await arbitrators.getAddress()
+    );
     await contract.waitForDeployment();
+    await reputation.setOrderRecorder(await contract.getAddress());
     console.log("   Contract deployed to:", await contract.getAddress());
 
     // Register supplier
-    console.log("\n2. Registering supplier...");
-    await contract.connect(supplier).registerSupplier("ACME Corp", "contact@acme.com");
+    console.log("\n2. Registering supplier in SupplierRegistry...");
+    await registry.connect(supplier).registerSupplier("ACME Corp", "contact@acme.com", "1 Harbour Road", "");
     console.log("   Supplier registered:", supplier.address);
 
     // Verify supplier
     console.log("\n3. Verifying supplier (owner)...");
-    await contract.connect(deployer).verifySupplier(supplier.address);
+    await registry.connect(deployer).verifySupplier(supplier.address);
     console.log("   Supplier verified");
 
-    // Create order
-    console.log("\n4. Creating order (buyer)...");
+    // Create order with its milestone plan and start it
+    console.log("\n4. Creating order with milestones (buyer)...");
     const orderAmount = ethers.parseEther("1.0");
-    await contract.connect(buyer).createOrder(
-        supplier.address,
-        "100 widgets",
-        { value: orderAmount }
-    );
-    console.log("   Order created with", ethers.formatEther(orderAmount), "ETH");
-
-    // Add milestones
-    console.log("\n5. Adding milestones...");
-    await contract.connect(buyer).addMilestone(0, "Design approval", 30);
-    await contract.connect(buyer).addMilestone(0, "Prototype delivery", 40);
-    await contract.connect(buyer).addMilestone(0, "Final delivery", 30);
-    console.log("   3 milestones added (30%, 40%, 30%)");
+    const orders = new OrderClient(contract, buyer);
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const inDays = (days) => timestamp + days * 24 * 60 * 60;
+    const order = await orders.createOrder({
+        supplier: supplier.address,
+        description: "100 widgets",
+        amount: orderAmount,
+        milestones: [
+            { description: "Design approval", percentage: 30, deadline: inDays(14) },
+            { description: "Prototype delivery", percentage: 40, deadline: inDays(45) },
+            { description: "Final delivery", percentage: 30, deadline: inDays(90) },
+        ],
+    });
+    console.log("   Order", order.id.toString(), "created with", ethers.formatEther(orderAmount), "ETH");
+    console.log("   3 milestones added (30%, 40%, 30%), due in 14, 45 and 90 days");
+    console.log("   Order status:", order.status);
+    console.log("   Unapproved milestones auto-approve after", order.approvalWindow / 86400, "days");
 
-    // Start order
-    console.log("\n6. Starting order...");
-    await contract.connect(buyer).startOrder(0);
-    console.log("   Order started");
+    const payout = await orders.expectedPayout(order.id);
+    console.log("   Expected supplier payout:", ethers.formatEther(payout.net), "ETH");
 
     // Complete first milestone
-    console.log("\n7. Completing first milestone (supplier)...");
-    await contract.connect(supplier).completeMilestone(0, 0);
+    console.log("\n5. Completing first milestone (supplier)...");
+    await orders.connect(supplier).completeMilestone(order.id, 0);
     console.log("   Milestone 0 marked complete");
 
     // Approve first milestone
-    console.log("\n8. Approving first milestone (buyer)...");
+    console.log("\n6. Approving first milestone (buyer)...");
     const balanceBefore = await ethers.provider.getBalance(supplier.address);
-    await contract.connect(buyer).approveMilestone(0, 0);
+    await orders.approveMilestone(order.id, 0);
     const balanceAfter = await ethers.provider.getBalance(supplier.address);
     const payment = balanceAfter - balanceBefore;
     console.log("   Milestone 0 approved");
     console.log("   Payment released:", ethers.formatEther(payment), "ETH");
 
     // Get final stats
-    console.log("\n9. Final Statistics:");
-    const supplierData = await contract.getSupplier(supplier.address);
-    console.log("   Supplier total earned:", ethers.formatEther(supplierData.totalAmountEarned), "ETH");
+    console.log("\n7. Final Statistics:");
+    const supplierData = await orders.getSupplier(supplier.address);
+    console.log("   Supplier total earned:", ethers.formatEther(supplierData.totalEarned), "ETH");
     console.log("   Platform fees collected:", ethers.formatEther(await contract.totalPlatformFees()), "ETH");
     
-    const order = await contract.getOrder(0);
-    console.log("   Order paid amount:", ethers.formatEther(order.paidAmount), "ETH");
-    console.log("   Order status:", order.status);
+    const updated = await orders.getOrder(order.id);
+    console.log("   Order paid amount:", ethers.formatEther(updated.paidAmount), "ETH");
+    console.log("   Order status:", updated.status);
+
+    // Pay a second order in SCT
+    console.log("\n8. Paying an order in SupplyChainToken (buyer)...");
+    const token = await ethers.deployContract("SupplyChainToken");
+    await token.waitForDeployment();
+    await token.transfer(buyer.address, ethers.parseEther("1000"));
+    await contract.connect(deployer).setAcceptedToken(await token.getAddress(), true);
+    const tokenOrder = await orders.createOrder({
+        supplier: supplier.address,
+        description: "20 crates",
+        amount: ethers.parseEther("500"),
+        token: await token.getAddress(),
+        milestones: [{ description: "Delivery", percentage: 100 }],
+    });
+    console.log("   Order", tokenOrder.id.toString(), "created with 500 SCT (approved, then created)");
+    console.log("   Escrowed SCT:", ethers.formatEther(await token.balanceOf(await contract.getAddress())));
 
     console.log("\n✅ Demo completed successfully!");
 }
@@ -1,7 +1,13 @@
 const hre = require("hardhat");
+const { manifest, runPreset } = require("../lib/deployment");
 
-async function main() {
-  console.log("Deploying all...");
-}
-
-main();
+/**
+ * Deploys every contract in the manifest without the balance checks of
+ * `npx hardhat deploy` (handy on a local node).
+ */
+runPreset(hre, manifest.map((entry) => entry.name))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
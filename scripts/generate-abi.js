@@ -0,0 +1,55 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+/// Contracts the SDK and the off-chain services talk to
+const CONTRACTS = [
+  "SupplyChainPayment",
+  "PaymentEscrow",
+  "ShippingTracker",
+  "ReputationSystem",
+  "ProductCatalog",
+  "SupplierRegistry",
+  "InsuranceEscrow",
+];
+
+/**
+ * Regenerates lib/sdk/abi.js (human-readable ABIs) from the compiled contracts.
+ * Run after changing a contract's interface; test/Sdk.test.js fails until then.
+ *
+ * Usage: npx hardhat run scripts/generate-abi.js
+ */
+async function main() {
+  await hre.run("compile", { quiet: true });
+
+  const sections = [];
+  for (const name of CONTRACTS) {
+    const { abi } = await hre.artifacts.readArtifact(name);
+    const lines = new hre.ethers.Interface(abi).format().filter((line) => !line.startsWith("constructor"));
+    sections.push(`const ${name} = [\n${lines.map((line) => `  ${JSON.stringify(line)},`).join("\n")}\n];`);
+  }
+
+  const source = `/**
+ * @title Contract ABIs
+ * @dev Human-readable ABIs so the SDK works without hardhat artifacts.
+ *      Generated by scripts/generate-abi.js; test/Sdk.test.js checks them
+ *      against the compiled contracts.
+ */
+
+${sections.join("\n\n")}
+
+module.exports = {
+${CONTRACTS.map((name) => `  ${name},`).join("\n")}
+};
+`;
+  const file = path.join(__dirname, "..", "lib", "sdk", "abi.js");
+  fs.writeFileSync(file, source);
+  console.log(`Wrote ${CONTRACTS.length} ABIs to ${path.relative(process.cwd(), file)}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
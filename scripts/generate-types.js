@@ -1,10 +1,80 @@
 const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { glob, runTypeChain } = require("typechain");
+const {
+  collectDeployments,
+  renderAddressModule,
+  collectDefinitions,
+  renderSolidityModule,
+} = require("../lib/typegen");
 
+/**
+ * Runs typechain over every compiled artifact.
+ * hardhat-toolbox turns off typechain-on-compile for JavaScript projects
+ * (`typechain.dontOverrideCompile`), so bindings are only built on request.
+ */
+async function generateBindings(config) {
+  const cwd = config.paths.root;
+  const allFiles = glob(cwd, [`${config.paths.artifacts}/!(build-info)/**/+([a-zA-Z0-9_]).json`]);
+  return runTypeChain({
+    cwd,
+    allFiles,
+    filesToProcess: allFiles,
+    outDir: config.typechain.outDir,
+    target: config.typechain.target,
+    flags: {
+      alwaysGenerateOverloads: config.typechain.alwaysGenerateOverloads,
+      discriminateTypes: config.typechain.discriminateTypes,
+      tsNocheck: config.typechain.tsNocheck,
+      environment: "hardhat",
+      node16Modules: config.typechain.node16Modules,
+    },
+  });
+}
+
+/**
+ * Build infos of every compiled contract, without duplicates
+ */
+async function buildInfos(artifacts) {
+  const byId = new Map();
+  for (const name of await artifacts.getAllFullyQualifiedNames()) {
+    const buildInfo = await artifacts.getBuildInfo(name);
+    if (buildInfo) byId.set(buildInfo.id, buildInfo);
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Generates typed contract bindings (typechain, ethers-v6) for every artifact
+ * (typechain-types/), Solidity enums and structs (typechain-types/solidity.ts)
+ * and a typed address map built from each deployment-<network>.json
+ * (typechain-types/deployments.ts).
+ *
+ * Usage: npx hardhat run scripts/generate-types.js
+ */
 async function main() {
   console.log("Generating TypeScript definitions...");
-  // Mock generation
-  fs.writeFileSync("types.d.ts", "// Auto-generated types");
-  console.log("Types generated.");
+  await hre.run("compile", { quiet: true });
+  const { filesGenerated } = await generateBindings(hre.config);
+
+  const outDir = path.resolve(hre.config.paths.root, hre.config.typechain.outDir);
+  const sources = path.relative(hre.config.paths.root, hre.config.paths.sources);
+  const definitions = collectDefinitions(await buildInfos(hre.artifacts), (sourceName) =>
+    sourceName.startsWith(`${sources}/`)
+  );
+  fs.writeFileSync(path.join(outDir, "solidity.ts"), renderSolidityModule(definitions));
+
+  const records = collectDeployments(hre.config.paths.root);
+  fs.writeFileSync(path.join(outDir, "deployments.ts"), renderAddressModule(records));
+
+  console.log(`${filesGenerated} bindings written to ${path.relative(hre.config.paths.root, outDir)}/`);
+  console.log(`Address map covers: ${records.map((record) => record.network).join(", ") || "no deployments"}`);
 }
 
-main();
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+const hre = require("hardhat");
+const { openIndexer } = require("../lib/indexer");
+
+/**
+ * Indexes the events of the contracts in deployment-<network>.json into an
+ * SQLite file, starting at the deployment block, and keeps following the
+ * chain until interrupted. Progress is checkpointed after every batch, so a
+ * restart resumes where it stopped.
+ *
+ *   npx hardhat run scripts/indexer.js --network localhost
+ *
+ * Environment:
+ *   INDEXER_DB             database file (default data/indexer-<network>.sqlite)
+ *   INDEXER_CONFIRMATIONS  blocks to stay behind the head (default 0)
+ *   INDEXER_BATCH_SIZE     blocks per getLogs request (default 2000)
+ *   INDEXER_POLL_MS        delay between polls (default 2000)
+ *   INDEXER_ONCE=true      sync up to the head once and exit
+ */
+async function main() {
+  const { file, store, indexer } = await openIndexer(hre, { log: (message) => console.log(message) });
+
+  const checkpoint = indexer.checkpoint;
+  console.log(
+    `Indexing ${hre.network.name} into ${file} from block ${checkpoint === null ? indexer.startBlock : checkpoint + 1}`
+  );
+
+  if (process.env.INDEXER_ONCE === "true") {
+    const result = await indexer.sync();
+    console.log(`Indexed ${result.events} events up to block ${result.to}`);
+  } else {
+    process.on("SIGINT", () => indexer.stop());
+    process.on("SIGTERM", () => indexer.stop());
+    await indexer.run({ pollIntervalMs: Number(process.env.INDEXER_POLL_MS || 2000) });
+  }
+  store.close();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
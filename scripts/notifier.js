@@ -0,0 +1,64 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { openIndexer } = require("../lib/indexer");
+const { Notifier } = require("../lib/notifier");
+
+/**
+ * Sends signed webhooks for order, escrow, shipment and insurance lifecycle
+ * events to the subscribers listed in NOTIFIER_SUBSCRIPTIONS. Runs its own
+ * indexer (data/notifier-<network>.sqlite unless INDEXER_DB is set; see
+ * scripts/indexer.js for the other INDEXER_* variables).
+ *
+ *   npx hardhat run scripts/notifier.js --network localhost
+ *
+ * Environment:
+ *   NOTIFIER_SUBSCRIPTIONS  JSON file: [{ address, url, secret, events? }] (default notifier.subscriptions.json)
+ *   NOTIFIER_MAX_ATTEMPTS   attempts before a webhook is dead-lettered (default 6)
+ *   NOTIFIER_BACKOFF_MS     first retry delay, doubled on each attempt (default 1000)
+ *   NOTIFIER_TIMEOUT_MS     request timeout (default 10000)
+ *   NOTIFIER_DEAD_LETTER    dead-letter log (default data/notifier-dead-letter-<network>.jsonl)
+ *   NOTIFIER_FROM_START     true to also notify about events indexed before the first run
+ */
+async function main() {
+  const subscriptionsFile =
+    process.env.NOTIFIER_SUBSCRIPTIONS || path.join(hre.config.paths.root, "notifier.subscriptions.json");
+  if (!fs.existsSync(subscriptionsFile)) {
+    throw new Error(`No subscriptions at ${subscriptionsFile}; set NOTIFIER_SUBSCRIPTIONS`);
+  }
+
+  const log = (message) => console.log(message);
+  const { file, store, indexer } = await openIndexer(hre, { name: "notifier", log });
+  const notifier = new Notifier({
+    store,
+    subscriptions: JSON.parse(fs.readFileSync(subscriptionsFile, "utf8")),
+    network: hre.network.name,
+    fromStart: process.env.NOTIFIER_FROM_START === "true",
+    maxAttempts: Number(process.env.NOTIFIER_MAX_ATTEMPTS || 6),
+    baseDelayMs: Number(process.env.NOTIFIER_BACKOFF_MS || 1000),
+    timeoutMs: Number(process.env.NOTIFIER_TIMEOUT_MS || 10000),
+    deadLetterFile:
+      process.env.NOTIFIER_DEAD_LETTER ||
+      path.join(hre.config.paths.root, "data", `notifier-dead-letter-${hre.network.name}.jsonl`),
+    log,
+  });
+  console.log(`Notifying ${notifier.subscriptions.length} subscriptions on ${hre.network.name} (index: ${file})`);
+
+  process.on("SIGINT", () => indexer.stop());
+  process.on("SIGTERM", () => indexer.stop());
+  await indexer.run({
+    pollIntervalMs: Number(process.env.INDEXER_POLL_MS || 2000),
+    onSync: async (result) => {
+      const { queued, delivered, dead } = await notifier.tick(result);
+      if (queued + delivered + dead > 0) {
+        console.log(`Webhooks: ${queued} queued, ${delivered} delivered, ${dead} dead-lettered`);
+      }
+    },
+  });
+  store.close();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
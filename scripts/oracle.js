@@ -0,0 +1,95 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { recordPath, loadRecord } = require("../lib/deployment/record");
+const { resolveSigner } = require("../lib/cli/context");
+const { CarrierOracle, createFeedServer } = require("../lib/oracle");
+
+/**
+ * Pushes carrier tracking events to the ShippingTracker in deployment-<network>.json.
+ * Feed files given in ORACLE_FEEDS are processed once; with ORACLE_PORT set the
+ * oracle also accepts feeds on POST /feeds[/<carrier>] until interrupted. The
+ * oracle account must be an authorized carrier (`shipments authorize-carrier`).
+ *
+ *   ORACLE_FEEDS=test/fixtures/feeds npx hardhat run scripts/oracle.js --network localhost
+ *
+ * Environment:
+ *   ORACLE_FEEDS         comma-separated .json/.csv feed files or directories of them
+ *   ORACLE_PORT          port of the feed endpoint (not started when unset)
+ *   ORACLE_HOST          interface to bind (default 127.0.0.1)
+ *   ORACLE_TOKEN         bearer token the endpoint requires (none when unset)
+ *   ORACLE_ACCOUNT       address or index of the oracle account (default 0)
+ *   ORACLE_STATUS_MAPS   JSON file: { "<carrier>": { "<carrier status>": "in_transit|delayed|delivered|lost" } }
+ *   ORACLE_BATCH_SIZE    transactions sent before waiting for receipts (default 20)
+ *   ORACLE_MAX_ATTEMPTS  attempts per transaction on nonce or network errors (default 5)
+ *   ORACLE_BACKOFF_MS    first retry delay, doubled on each attempt (default 1000)
+ *   ORACLE_STATE         handled events (default data/oracle-<network>.json)
+ *   ORACLE_ATTESTATIONS  signed feed attestations (default data/oracle-attestations-<network>.jsonl)
+ */
+async function main() {
+  const file = recordPath(hre);
+  const record = loadRecord(file);
+  if (!record || !record.contracts.ShippingTracker) {
+    throw new Error(`No ShippingTracker in ${file}; deploy first`);
+  }
+
+  const env = process.env;
+  const data = path.join(hre.config.paths.root, "data");
+  const signer = await resolveSigner(hre, env.ORACLE_ACCOUNT);
+  const oracle = new CarrierOracle({
+    tracker: await hre.ethers.getContractAt("ShippingTracker", record.contracts.ShippingTracker),
+    signer,
+    stateFile: env.ORACLE_STATE || path.join(data, `oracle-${hre.network.name}.json`),
+    attestationFile: env.ORACLE_ATTESTATIONS || path.join(data, `oracle-attestations-${hre.network.name}.jsonl`),
+    statusMaps: env.ORACLE_STATUS_MAPS ? JSON.parse(fs.readFileSync(env.ORACLE_STATUS_MAPS, "utf8")) : {},
+    batchSize: Number(env.ORACLE_BATCH_SIZE || 20),
+    maxAttempts: Number(env.ORACLE_MAX_ATTEMPTS || 5),
+    baseDelayMs: Number(env.ORACLE_BACKOFF_MS || 1000),
+    log: (message) => console.log(message),
+  });
+  console.log(`Oracle ${signer.address} feeding ShippingTracker ${record.contracts.ShippingTracker}`);
+
+  const report = (result) => {
+    const counts = ["applied", "unchanged", "ignored", "invalid", "unknown", "rejected", "failed", "blocked"]
+      .filter((outcome) => result[outcome] > 0)
+      .map((outcome) => `${result[outcome]} ${outcome}`);
+    console.log(
+      `${result.source}: ${result.received} events, ${result.duplicates} duplicates` +
+        (counts.length > 0 ? `; ${counts.join(", ")}` : "")
+    );
+  };
+
+  const feeds = (env.ORACLE_FEEDS || "")
+    .split(",")
+    .filter(Boolean)
+    .flatMap((entry) =>
+      fs.statSync(entry).isDirectory()
+        ? fs
+            .readdirSync(entry)
+            .filter((name) => /\.(json|csv)$/i.test(name))
+            .sort()
+            .map((name) => path.join(entry, name))
+        : [entry]
+    );
+  for (const feed of feeds) {
+    report(await oracle.processFile(feed));
+  }
+
+  if (env.ORACLE_PORT) {
+    const server = createFeedServer({ oracle, token: env.ORACLE_TOKEN || null });
+    const host = env.ORACLE_HOST || "127.0.0.1";
+    await new Promise((resolve) => server.listen(Number(env.ORACLE_PORT), host, resolve));
+    console.log(`Accepting feeds on http://${host}:${env.ORACLE_PORT}/feeds`);
+    await new Promise((resolve) => {
+      process.on("SIGINT", () => server.close(resolve));
+      process.on("SIGTERM", () => server.close(resolve));
+    });
+  } else if (feeds.length === 0) {
+    throw new Error("Nothing to do: set ORACLE_FEEDS and/or ORACLE_PORT");
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,57 @@
+const path = require("path");
+const hre = require("hardhat");
+const { recordPath, loadRecord } = require("../lib/deployment/record");
+const { resolveSigner } = require("../lib/cli/context");
+const { Relayer, createRelayerServer } = require("../lib/relayer");
+
+/**
+ * Relays EIP-712 signed buyer actions (addMilestone, startOrder, approveMilestone)
+ * to the SupplyChainPayment in deployment-<network>.json, paying the gas from a
+ * hot wallet, until interrupted.
+ *
+ *   RELAYER_SPEND_LIMIT=0.05 npx hardhat run scripts/relayer.js --network localhost
+ *
+ * Environment:
+ *   RELAYER_PORT          port of the endpoint (default 4200)
+ *   RELAYER_HOST          interface to bind (default 127.0.0.1)
+ *   RELAYER_ACCOUNT       address or index of the hot wallet (default 0)
+ *   RELAYER_SPEND_LIMIT   ETH of gas paid per buyer and period (default 0.01)
+ *   RELAYER_PERIOD_HOURS  length of a spend period (default 24)
+ *   RELAYER_STATE         buyers' spending (default data/relayer-<network>.json)
+ */
+async function main() {
+  const file = recordPath(hre);
+  const record = loadRecord(file);
+  if (!record || !record.contracts.SupplyChainPayment) {
+    throw new Error(`No SupplyChainPayment in ${file}; deploy first`);
+  }
+
+  const env = process.env;
+  const signer = await resolveSigner(hre, env.RELAYER_ACCOUNT);
+  const relayer = new Relayer({
+    payment: await hre.ethers.getContractAt("SupplyChainPayment", record.contracts.SupplyChainPayment),
+    signer,
+    spendLimit: hre.ethers.parseEther(env.RELAYER_SPEND_LIMIT || "0.01"),
+    periodMs: Number(env.RELAYER_PERIOD_HOURS || 24) * 60 * 60 * 1000,
+    stateFile: env.RELAYER_STATE || path.join(hre.config.paths.root, "data", `relayer-${hre.network.name}.json`),
+    log: (message) => console.log(message),
+  });
+
+  const server = createRelayerServer({ relayer });
+  const host = env.RELAYER_HOST || "127.0.0.1";
+  const port = Number(env.RELAYER_PORT || 4200);
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  console.log(
+    `Relaying to SupplyChainPayment ${record.contracts.SupplyChainPayment} from ${signer.address} ` +
+      `on http://${host}:${port}/relay`
+  );
+  await new Promise((resolve) => {
+    process.on("SIGINT", () => server.close(resolve));
+    process.on("SIGTERM", () => server.close(resolve));
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
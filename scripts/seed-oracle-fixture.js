@@ -0,0 +1,70 @@
+const hre = require("hardhat");
+const { recordPath, loadRecord } = require("../lib/deployment/record");
+const { resolveSigner } = require("../lib/cli/context");
+
+/**
+ * Seeds a local deployment with the shipments the fixture feeds in
+ * test/fixtures/feeds refer to, so scripts/oracle.js can be tried end to end:
+ *
+ *   npx hardhat node
+ *   npx hardhat deploy --network localhost
+ *   npx hardhat run scripts/seed-oracle-fixture.js --network localhost
+ *   ORACLE_FEEDS=test/fixtures/feeds npx hardhat run scripts/oracle.js --network localhost
+ *
+ * Account #1 buys a three-milestone order from account #2, who ships the
+ * milestones as HX-1001, HX-1002 and SF-2001; the oracle account (ORACLE_ACCOUNT,
+ * default 0) is authorized as a carrier.
+ */
+const TRACKING_NUMBERS = ["HX-1001", "HX-1002", "SF-2001"];
+
+async function main() {
+  const { ethers } = hre;
+  const file = recordPath(hre);
+  const record = loadRecord(file);
+  if (!record) {
+    throw new Error(`No deployment record at ${file}; deploy first`);
+  }
+  const at = (name) => ethers.getContractAt(record.artifacts[name].contract, record.contracts[name]);
+  const [registry, payment, shipping] = await Promise.all(
+    ["SupplierRegistry", "SupplyChainPayment", "ShippingTracker"].map(at)
+  );
+  const [, buyer, supplier] = await ethers.getSigners();
+  const oracle = await resolveSigner(hre, process.env.ORACLE_ACCOUNT);
+
+  for (const tracking of TRACKING_NUMBERS) {
+    if ((await shipping.trackingToShipmentId(tracking)) !== 0n) {
+      throw new Error(`${tracking} already exists; seed a fresh deployment`);
+    }
+  }
+
+  const [registered, verified] = await registry.getSupplierStatus(supplier.address);
+  if (!registered) {
+    await (await registry.connect(supplier).registerSupplier("Fixture Supplier", "ops@fixture.example", "", "")).wait();
+  }
+  if (!verified) {
+    await (await registry.verifySupplier(supplier.address)).wait();
+  }
+
+  const orderId = await payment.orderCounter();
+  await (await payment.connect(buyer).createOrder(supplier.address, "Oracle fixture", { value: 3000 })).wait();
+  for (const [index, percentage] of [40, 30, 30].entries()) {
+    await (await payment.connect(buyer).addMilestone(orderId, `Lot ${index + 1}`, percentage)).wait();
+  }
+  await (await payment.connect(buyer).startOrder(orderId)).wait();
+
+  for (const [index, tracking] of TRACKING_NUMBERS.entries()) {
+    await (
+      await shipping
+        .connect(supplier)
+        .createShipment(orderId, index, supplier.address, supplier.address, buyer.address, 0, tracking)
+    ).wait();
+  }
+  await (await shipping.setCarrier(oracle.address, true)).wait();
+
+  console.log(`Order ${orderId} ships as ${TRACKING_NUMBERS.join(", ")}; oracle ${oracle.address} authorized`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,9 +1,33 @@
 const hre = require("hardhat");
+const { verifyDeployment } = require("../lib/deployment/verify");
+const { recordPath, loadRecord, saveRecord } = require("../lib/deployment/record");
 
+/**
+ * Verifies every contract in deployment-<network>.json on BaseScan and writes
+ * the per-contract status back into the record. Contracts already marked as
+ * verified are skipped; set FORCE=true to re-check them.
+ */
 async function main() {
-  console.log("Verifying all contracts...");
-  // Mock verification logic
-  console.log("Verification complete.");
+  const file = recordPath(hre);
+  const record = loadRecord(file);
+  if (!record) {
+    throw new Error(`No deployment record at ${file}; deploy first`);
+  }
+
+  console.log(`Verifying all contracts on ${hre.network.name}...`);
+  const results = await verifyDeployment(hre, record, {
+    force: process.env.FORCE === "true",
+    save: (updated) => saveRecord(file, updated),
+  });
+
+  const failed = Object.entries(results).filter(([, result]) => result.status !== "verified");
+  console.log(`\nVerification complete: ${Object.keys(results).length - failed.length} verified, ${failed.length} failed.`);
+  for (const [name, result] of failed) {
+    console.log(`  ${name}: ${result.message}`);
+  }
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
 }
 
 main().catch((error) => {
@@ -0,0 +1,61 @@
+const path = require("path");
+const { scope } = require("hardhat/config");
+const { PERIODS, collectMovements, buildReports, writeReports, reconcile } = require("../../lib/accounting");
+const { parseTime } = require("../../lib/cli/context");
+const { command, action } = require("./command");
+
+const accounting = scope("accounting", "Finance reports of payments, fees and refunds");
+
+/// @dev Every money movement of the deployment, from its deployment block
+async function collect(context) {
+  const record = context.record();
+  const payment = await context.contract("SupplyChainPayment");
+  const escrow = record.contracts.PaymentEscrow ? await context.contract("PaymentEscrow") : null;
+  const ledger = await collectMovements({ payment, escrow, fromBlock: record.blockNumber || 0 });
+  return { payment, escrow, ledger };
+}
+
+command(accounting, "export", "Writes the movements and the per-supplier and per-period ledgers")
+  .addPositionalParam("directory", "Where to write movements, suppliers and periods sheets", "reports")
+  .addOptionalParam("since", "First day included (ISO date or unix seconds)")
+  .addOptionalParam("until", "First day excluded (ISO date or unix seconds)")
+  .addOptionalParam("period", `Period of the period ledger: ${PERIODS.join(", ")}`, "month")
+  .addOptionalParam("format", "csv or json", "csv")
+  .addOptionalParam("supplier", "Only this supplier's orders and escrows")
+  .setAction(
+    action(async (args, context) => {
+      if (!PERIODS.includes(args.period)) {
+        throw new Error(`Unknown period ${args.period} (expected ${PERIODS.join(", ")})`);
+      }
+      if (!["csv", "json"].includes(args.format)) {
+        throw new Error(`Unknown format ${args.format} (expected csv or json)`);
+      }
+      const { ledger } = await collect(context);
+      const reports = buildReports(ledger, {
+        since: args.since ? parseTime(args.since) : null,
+        until: args.until ? parseTime(args.until) : null,
+        supplier: args.supplier,
+        period: args.period,
+      });
+      return {
+        files: writeReports(path.resolve(args.directory), reports, { format: args.format }),
+        movements: reports.movements.length,
+        suppliers: reports.suppliers.length,
+        periods: reports.periods.length,
+      };
+    })
+  );
+
+command(accounting, "reconcile", "Checks each contract's balance against its open orders, escrows and fees")
+  .addFlag("strict", "Fail when anything does not reconcile")
+  .setAction(
+    action(async (args, context) => {
+      const result = await reconcile(await collect(context));
+      const mismatches = result.accounts.filter((account) => account.status !== "ok");
+      if (args.strict && mismatches.length > 0) {
+        const list = mismatches.map(({ contract, token, difference }) => `${contract} ${token} (${difference})`);
+        throw new Error(`Balances do not reconcile: ${list.join(", ")}`);
+      }
+      return result;
+    })
+  );
@@ -0,0 +1,52 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const { createContext } = require("../../lib/cli/context");
+const { print } = require("../../lib/cli/output");
+
+/**
+ * Declares an operator command inside a task scope.
+ * Every command accepts --json and --deployment; commands that send
+ * transactions (`{ write: true }`) also accept --from.
+ */
+function command(scope, name, description, { write = false } = {}) {
+  const definition = scope
+    .task(name, description)
+    .addFlag("json", "Print machine-readable JSON")
+    .addOptionalParam("deployment", "Deployment record to read addresses from (default: deployment-<network>.json)");
+
+  if (write) {
+    definition.addOptionalParam("from", "Account to send from (address or index of a configured account)");
+  }
+  return definition;
+}
+
+/**
+ * Wraps a command body: `fn(args, context)` returns a plain object, which is
+ * printed (text or --json) and returned to callers of hre.run.
+ * Failures are reported as plugin errors so hardhat prints the message
+ * without a stack trace (use --show-stack-traces for the full error).
+ */
+function action(fn) {
+  return async (args, hre) => {
+    let result;
+    try {
+      result = await fn(args, createContext(hre, args));
+    } catch (error) {
+      throw new HardhatPluginError("operator-cli", error.shortMessage || error.message, error);
+    }
+    print(result, { json: args.json });
+    return result;
+  };
+}
+
+/**
+ * Summary of a mined transaction for command output
+ */
+function transaction(receipt) {
+  return { hash: receipt.hash, block: receipt.blockNumber };
+}
+
+module.exports = {
+  command,
+  action,
+  transaction,
+};
@@ -0,0 +1,152 @@
+const { scope } = require("hardhat/config");
+const { parseId } = require("../../lib/cli/context");
+const { orderStatusName } = require("../../lib/sdk");
+const { command, action, transaction } = require("./command");
+
+const disputes = scope("disputes", "Raise, argue and resolve order and escrow disputes");
+
+/// @dev Mirrors PaymentEscrow.EscrowStatus
+const ESCROW_STATUS = ["Created", "Funded", "Completed", "Refunded", "Disputed"];
+
+/**
+ * Declares a command acting on one dispute. Disputes are keyed by order ID in
+ * SupplyChainPayment, or by escrow ID in PaymentEscrow when --escrow is given.
+ */
+function disputeCommand(name, description, options) {
+  return command(disputes, name, description, options)
+    .addPositionalParam("id", "Order ID (escrow ID with --escrow)")
+    .addFlag("escrow", "Act on a PaymentEscrow escrow instead of an order");
+}
+
+async function target(context, args) {
+  const contract = await context.contract(args.escrow ? "PaymentEscrow" : "SupplyChainPayment");
+  return { contract, id: parseId(args.id, args.escrow ? "escrow ID" : "order ID") };
+}
+
+/**
+ * Status of the disputed order or escrow with its arbitration state and evidence
+ */
+async function describeDispute(contract, id, escrow) {
+  const [record, arbitration, evidence] = await Promise.all([
+    escrow ? contract.escrows(id) : contract.orders(id),
+    contract.arbitrations(id),
+    contract.getEvidence(id),
+  ]);
+  return {
+    [escrow ? "escrow" : "order"]: id,
+    status: escrow ? ESCROW_STATUS[Number(record.status)] : orderStatusName(record.status),
+    ...(escrow ? {} : { reason: record.disputeReason }),
+    evidenceDeadline: arbitration.evidenceDeadline > 0n ? new Date(Number(arbitration.evidenceDeadline) * 1000) : null,
+    escalated: arbitration.escalated,
+    votingDeadline: arbitration.votingDeadline > 0n ? new Date(Number(arbitration.votingDeadline) * 1000) : null,
+    votes: arbitration.voteCount,
+    quorum: arbitration.quorum,
+    resolved: arbitration.resolved,
+    evidence: evidence.map((item) => ({ party: item.party, evidence: item.evidence })),
+  };
+}
+
+/**
+ * Supplier (or seller) percentage from --split, or 100/0 from --favor
+ */
+function parseSplit(args) {
+  if (args.split !== undefined && args.favor !== undefined) {
+    throw new Error("Pass either --split or --favor, not both");
+  }
+  if (args.favor !== undefined) {
+    if (!["supplier", "buyer"].includes(args.favor)) {
+      throw new Error(`--favor must be supplier or buyer, got ${args.favor}`);
+    }
+    return args.favor === "supplier" ? 100n : 0n;
+  }
+  if (args.split === undefined) {
+    throw new Error("Pass --split <supplier percentage> or --favor supplier|buyer");
+  }
+  const percentage = parseId(args.split, "supplier percentage");
+  if (percentage > 100n) {
+    throw new Error(`Supplier percentage must be 0-100, got ${args.split}`);
+  }
+  return percentage;
+}
+
+function sendAndDescribe(fn) {
+  return action(async (args, context) => {
+    const { contract, id } = await target(context, args);
+    const receipt = await (await fn(contract, id, args)).wait();
+    return { ...(await describeDispute(contract, id, args.escrow)), transaction: transaction(receipt) };
+  });
+}
+
+disputeCommand("raise", "Raises a dispute on an in-progress order or funded escrow (buyer or supplier)", {
+  write: true,
+})
+  .addOptionalPositionalParam("reason", "Why the order is disputed (orders only)")
+  .setAction(
+    sendAndDescribe((contract, id, args) => {
+      if (args.escrow) {
+        return contract.raiseDispute(id);
+      }
+      if (!args.reason) {
+        throw new Error("A reason is required to dispute an order");
+      }
+      return contract.raiseDispute(id, args.reason);
+    })
+  );
+
+disputeCommand("evidence", "Submits evidence during the evidence period (buyer or supplier)", { write: true })
+  .addPositionalParam("evidence", "Reference to the evidence, e.g. an IPFS hash")
+  .setAction(sendAndDescribe((contract, id, args) => contract.submitEvidence(id, args.evidence)));
+
+disputeCommand("escalate", "Hands a dispute to the arbitrator panel (buyer or supplier)", { write: true }).setAction(
+  sendAndDescribe((contract, id) => contract.escalateDispute(id))
+);
+
+disputeCommand("resolve", "Splits the funds of a dispute that was not escalated (arbitrator)", { write: true })
+  .addOptionalParam("split", "Percentage of the remaining funds paid to the supplier (0-100)")
+  .addOptionalParam("favor", "Shorthand for --split 100 (supplier) or --split 0 (buyer)")
+  .setAction(sendAndDescribe((contract, id, args) => contract.resolveDispute(id, parseSplit(args))));
+
+disputeCommand("vote", "Votes on an escalated dispute (registered arbitrators)", { write: true })
+  .addOptionalParam("split", "Percentage of the remaining funds the supplier should receive (0-100)")
+  .addOptionalParam("favor", "Shorthand for --split 100 (supplier) or --split 0 (buyer)")
+  .setAction(sendAndDescribe((contract, id, args) => contract.castVote(id, parseSplit(args))));
+
+disputeCommand("show", "Shows a dispute's arbitration state and evidence").setAction(
+  action(async (args, context) => {
+    const { contract, id } = await target(context, args);
+    return describeDispute(contract, id, args.escrow);
+  })
+);
+
+async function describePanel(registry) {
+  const [arbitrators, quorum, votingPeriod] = await Promise.all([
+    registry.getArbitrators(),
+    registry.quorum(),
+    registry.votingPeriod(),
+  ]);
+  return { arbitrators, quorum, votingPeriod };
+}
+
+command(disputes, "arbitrators", "Lists the arbitrator panel, its quorum and voting period").setAction(
+  action(async (args, context) => describePanel(await context.contract("ArbitratorRegistry")))
+);
+
+command(disputes, "add-arbitrator", "Adds an arbitrator to the panel (owner)", { write: true })
+  .addPositionalParam("address", "Arbitrator address")
+  .setAction(
+    action(async (args, context) => {
+      const registry = await context.contract("ArbitratorRegistry");
+      const receipt = await (await registry.addArbitrator(args.address)).wait();
+      return { ...(await describePanel(registry)), transaction: transaction(receipt) };
+    })
+  );
+
+command(disputes, "remove-arbitrator", "Removes an arbitrator from the panel (owner)", { write: true })
+  .addPositionalParam("address", "Arbitrator address")
+  .setAction(
+    action(async (args, context) => {
+      const registry = await context.contract("ArbitratorRegistry");
+      const receipt = await (await registry.removeArbitrator(args.address)).wait();
+      return { ...(await describePanel(registry)), transaction: transaction(receipt) };
+    })
+  );
@@ -0,0 +1,98 @@
+const { scope } = require("hardhat/config");
+const { ZeroAddress } = require("ethers");
+const { parseAmount, parseId } = require("../../lib/cli/context");
+const { command, action, transaction } = require("./command");
+
+const escrow = scope("escrow", "Create, fund and release PaymentEscrow escrows");
+
+/// @dev Mirrors PaymentEscrow.EscrowStatus
+const ESCROW_STATUS = ["Created", "Funded", "Completed", "Refunded", "Disputed"];
+const ERC20 = "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+async function describeEscrow(contract, id) {
+  const info = await contract.escrows(id);
+  if (info.buyer === ZeroAddress) {
+    throw new Error(`Escrow ${id} does not exist`);
+  }
+  return {
+    id,
+    orderId: info.orderId,
+    buyer: info.buyer,
+    seller: info.seller,
+    token: info.token === ZeroAddress ? "ETH" : info.token,
+    amount: info.amount,
+    releaseTime: new Date(Number(info.releaseTime) * 1000),
+    status: ESCROW_STATUS[Number(info.status)],
+    buyerApproval: info.buyerApproval,
+    sellerApproval: info.sellerApproval,
+  };
+}
+
+command(escrow, "create", "Creates an escrow with the sending account as buyer", { write: true })
+  .addPositionalParam("order", "Order ID the escrow belongs to")
+  .addPositionalParam("seller", "Seller address")
+  .addPositionalParam("amount", "Amount in whole units (ETH or the token's decimals)")
+  .addOptionalParam("token", "ERC20 token address (default: ETH)")
+  .addOptionalParam("lock", "Lock duration in seconds", "0")
+  .setAction(
+    action(async (args, context) => {
+      const contract = await context.contract("PaymentEscrow");
+      const token = args.token || ZeroAddress;
+      const decimals = args.token ? await (await context.hre.ethers.getContractAt(ERC20, token)).decimals() : 18;
+
+      const tx = await contract.createEscrow(
+        parseId(args.order, "order ID"),
+        args.seller,
+        token,
+        parseAmount(context.hre, args.amount, decimals),
+        parseId(args.lock, "lock duration")
+      );
+      const receipt = await tx.wait();
+      const created = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "EscrowCreated");
+      return { ...(await describeEscrow(contract, created.args.escrowId)), transaction: transaction(receipt) };
+    })
+  );
+
+command(escrow, "fund", "Deposits the escrowed amount (buyer); approves the token first if needed", { write: true })
+  .addPositionalParam("id", "Escrow ID")
+  .setAction(
+    action(async (args, context) => {
+      const contract = await context.contract("PaymentEscrow");
+      const id = parseId(args.id, "escrow ID");
+      const info = await describeEscrow(contract, id);
+      const transactions = [];
+
+      let tx;
+      if (info.token === "ETH") {
+        tx = await contract.fundEscrow(id, { value: info.amount });
+      } else {
+        const signer = await context.signer();
+        const token = await context.hre.ethers.getContractAt(ERC20, info.token, signer);
+        if ((await token.allowance(signer.address, await contract.getAddress())) < info.amount) {
+          transactions.push(transaction(await (await token.approve(await contract.getAddress(), info.amount)).wait()));
+        }
+        tx = await contract.fundEscrow(id);
+      }
+      transactions.push(transaction(await tx.wait()));
+      return { ...(await describeEscrow(contract, id)), transactions };
+    })
+  );
+
+command(escrow, "release", "Approves release (buyer or seller); funds move once both approve", { write: true })
+  .addPositionalParam("id", "Escrow ID")
+  .setAction(
+    action(async (args, context) => {
+      const contract = await context.contract("PaymentEscrow");
+      const id = parseId(args.id, "escrow ID");
+      const receipt = await (await contract.approveRelease(id)).wait();
+      return { ...(await describeEscrow(contract, id)), transaction: transaction(receipt) };
+    })
+  );
+
+command(escrow, "show", "Shows an escrow")
+  .addPositionalParam("id", "Escrow ID")
+  .setAction(
+    action(async (args, context) => describeEscrow(await context.contract("PaymentEscrow"), parseId(args.id, "escrow ID")))
+  );
@@ -0,0 +1,40 @@
+const { scope } = require("hardhat/config");
+const { parseId } = require("../../lib/cli/context");
+const { command, action, transaction } = require("./command");
+
+const fees = scope("fees", "Platform fees collected by SupplyChainPayment");
+
+command(fees, "withdraw", "Withdraws collected platform fees to the sending treasurer (treasurer)", { write: true })
+  .addOptionalParam("token", "Withdraw fees collected in this ERC20 token instead of ETH")
+  .setAction(
+    action(async (args, context) => {
+      const payment = await context.contract("SupplyChainPayment");
+      const amount = args.token ? await payment.tokenPlatformFees(args.token) : await payment.totalPlatformFees();
+      if (amount === 0n) {
+        throw new Error("No fees to withdraw");
+      }
+      const tx = args.token ? await payment.withdrawTokenFees(args.token) : await payment.withdrawPlatformFees();
+      const receipt = await tx.wait();
+      return {
+        withdrawn: amount,
+        token: args.token || "ETH",
+        recipient: (await context.signer()).address,
+        transaction: transaction(receipt),
+      };
+    })
+  );
+
+command(fees, "set", "Sets the platform fee percentage, 0-10 (owner)", { write: true })
+  .addPositionalParam("percentage", "New fee percentage")
+  .setAction(
+    action(async (args, context) => {
+      const payment = await context.contract("SupplyChainPayment");
+      const previous = await payment.platformFeePercentage();
+      const receipt = await (await payment.updatePlatformFee(parseId(args.percentage, "percentage"))).wait();
+      return {
+        previous,
+        current: await payment.platformFeePercentage(),
+        transaction: transaction(receipt),
+      };
+    })
+  );
@@ -0,0 +1,191 @@
+const { scope } = require("hardhat/config");
+const { isAddress } = require("ethers");
+const { parseAmount, parseId } = require("../../lib/cli/context");
+const {
+  PROPOSAL_STATES,
+  OPEN_STATES,
+  knownTargets,
+  propose,
+  proposeTransfer,
+  getProposal,
+  listProposals,
+  handover,
+} = require("../../lib/governance");
+const { command, action, transaction } = require("./command");
+
+const governance = scope("governance", "Timelocked multisig proposals (see contracts/Governance.sol)");
+
+const ERC20 = "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+/**
+ * Governance from the deployment record, with the targets its proposals can be decoded against
+ */
+async function governanceOf(context) {
+  const contract = await context.contract("Governance");
+  return { contract, targets: await knownTargets(context.hre, context.record()) };
+}
+
+/**
+ * Throws unless the sending account is one of the signers
+ */
+async function requireSigner(contract, context) {
+  const account = (await context.signer()).address;
+  if (!(await contract.isSigner(account))) {
+    throw new Error(`${account} is not a Governance signer`);
+  }
+}
+
+/**
+ * Call arguments from the command line: JSON for arrays, objects and booleans, strings otherwise
+ */
+function parseCallArg(value) {
+  return /^(\[|\{|true$|false$)/.test(value) ? JSON.parse(value) : value;
+}
+
+async function proposalResult(context, contract, targets, proposalId, receipt) {
+  return { ...(await getProposal(contract, proposalId, targets)), transaction: transaction(receipt) };
+}
+
+command(governance, "list", "Lists Governance's signers and the proposals waiting for approvals or execution")
+  .addFlag("all", "Include executed, cancelled and expired proposals")
+  .setAction(
+    action(async (args, context) => {
+      const { contract, targets } = await governanceOf(context);
+      return {
+        address: await contract.getAddress(),
+        signers: await contract.getSigners(),
+        threshold: await contract.threshold(),
+        delay: await contract.delay(),
+        balance: await context.hre.ethers.provider.getBalance(await contract.getAddress()),
+        proposals: await listProposals(contract, { targets, ...(args.all ? { states: PROPOSAL_STATES } : {}) }),
+      };
+    })
+  );
+
+command(governance, "propose", "Proposes a call to a deployed contract, approved by the proposer (signer)", {
+  write: true,
+})
+  .addPositionalParam("contract", "Contract name in the deployment record, e.g. SupplyChainPayment or Governance")
+  .addPositionalParam("method", "Function to call, e.g. updatePlatformFee")
+  .addOptionalVariadicPositionalParam("args", "Call arguments (JSON for arrays)", [])
+  .addOptionalParam("value", "ETH sent with the call from Governance's balance, in whole units", "0")
+  .addOptionalParam("description", "Why the call is made", "")
+  .setAction(
+    action(async (args, context) => {
+      const { contract, targets } = await governanceOf(context);
+      await requireSigner(contract, context);
+      const target = await context.contract(args.contract);
+      if (!target.interface.getFunction(args.method)) {
+        throw new Error(`${args.contract} has no function ${args.method}`);
+      }
+      const { proposalId, receipt } = await propose(contract, target, args.method, args.args.map(parseCallArg), {
+        value: parseAmount(context.hre, args.value),
+        description: args.description,
+      });
+      return proposalResult(context, contract, targets, proposalId, receipt);
+    })
+  );
+
+command(governance, "transfer", "Proposes sending ETH or tokens held by Governance (signer)", { write: true })
+  .addPositionalParam("recipient", "Receiving address")
+  .addPositionalParam("amount", "Amount in whole units (ETH or the token's decimals)")
+  .addOptionalParam("token", "ERC20 token address (default: ETH)")
+  .addOptionalParam("description", "Why the funds are sent", "")
+  .setAction(
+    action(async (args, context) => {
+      const { contract, targets } = await governanceOf(context);
+      await requireSigner(contract, context);
+      if (!isAddress(args.recipient)) {
+        throw new Error(`Invalid recipient: ${args.recipient}`);
+      }
+      let sent;
+      if (args.token) {
+        const token = await context.hre.ethers.getContractAt(ERC20, args.token);
+        const amount = parseAmount(context.hre, args.amount, await token.decimals());
+        sent = await propose(contract, token, "transfer", [args.recipient, amount], {
+          description: args.description,
+        });
+      } else {
+        sent = await proposeTransfer(contract, args.recipient, parseAmount(context.hre, args.amount), {
+          description: args.description,
+        });
+      }
+      return proposalResult(context, contract, targets, sent.proposalId, sent.receipt);
+    })
+  );
+
+command(governance, "sign", "Approves a pending proposal; the approval reaching the threshold queues it (signer)", {
+  write: true,
+})
+  .addPositionalParam("id", "Proposal ID")
+  .setAction(
+    action(async (args, context) => {
+      const { contract, targets } = await governanceOf(context);
+      await requireSigner(contract, context);
+      const proposal = await getProposal(contract, parseId(args.id, "proposal ID"), targets);
+      const account = (await context.signer()).address;
+      if (proposal.state !== "Pending") {
+        throw new Error(`Proposal ${proposal.id} is ${proposal.state}, not Pending`);
+      }
+      if (proposal.approvedBy.includes(account)) {
+        throw new Error(`${account} already approved proposal ${proposal.id}`);
+      }
+      const receipt = await (await contract.approve(proposal.id)).wait();
+      return proposalResult(context, contract, targets, proposal.id, receipt);
+    })
+  );
+
+command(governance, "execute", "Makes the call of a proposal whose timelock is over (anyone)", { write: true })
+  .addPositionalParam("id", "Proposal ID")
+  .setAction(
+    action(async (args, context) => {
+      const { contract, targets } = await governanceOf(context);
+      const proposal = await getProposal(contract, parseId(args.id, "proposal ID"), targets);
+      if (proposal.state === "Pending") {
+        throw new Error(`Proposal ${proposal.id} has ${proposal.approvals} of ${proposal.threshold} approvals needed`);
+      }
+      if (proposal.state === "Queued") {
+        throw new Error(`Proposal ${proposal.id} is timelocked until ${proposal.eta.toISOString()}`);
+      }
+      if (proposal.state !== "Ready") {
+        throw new Error(`Proposal ${proposal.id} is ${proposal.state}`);
+      }
+      const receipt = await (await contract.execute(proposal.id)).wait();
+      return proposalResult(context, contract, targets, proposal.id, receipt);
+    })
+  );
+
+command(governance, "cancel", "Withdraws a proposal that was not executed (proposer)", { write: true })
+  .addPositionalParam("id", "Proposal ID")
+  .setAction(
+    action(async (args, context) => {
+      const { contract, targets } = await governanceOf(context);
+      const proposal = await getProposal(contract, parseId(args.id, "proposal ID"), targets);
+      const account = (await context.signer()).address;
+      if (proposal.proposer !== account) {
+        throw new Error(`Only the proposer, ${proposal.proposer}, can cancel proposal ${proposal.id}`);
+      }
+      if (!OPEN_STATES.includes(proposal.state)) {
+        throw new Error(`Proposal ${proposal.id} is ${proposal.state}`);
+      }
+      const receipt = await (await contract.cancel(proposal.id)).wait();
+      return proposalResult(context, contract, targets, proposal.id, receipt);
+    })
+  );
+
+command(governance, "handover", "Transfers ownership and the fund-moving roles of contracts to Governance (owner)", {
+  write: true,
+})
+  .addOptionalVariadicPositionalParam(
+    "contracts",
+    "Contracts to hand over (default: SupplyChainPayment and PaymentEscrow)"
+  )
+  .setAction(
+    action(async (args, context) =>
+      handover(context.hre, context.record(), {
+        ...(args.contracts ? { only: args.contracts } : {}),
+        signer: await context.signer(),
+        log: () => {},
+      })
+    )
+  );
@@ -0,0 +1,11 @@
+// Operator CLI: npx hardhat <scope> <command> --network <network> [--json]
+require("./orders");
+require("./suppliers");
+require("./products");
+require("./disputes");
+require("./fees");
+require("./shipments");
+require("./escrow");
+require("./accounting");
+require("./roles");
+require("./governance");
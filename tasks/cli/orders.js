@@ -0,0 +1,206 @@
+const { scope } = require("hardhat/config");
+const { ZeroAddress } = require("ethers");
+const { ORDER_STATUS } = require("../../lib/sdk");
+const { parseAmount, parseId } = require("../../lib/cli/context");
+const { command, action, transaction } = require("./command");
+
+const orders = scope("orders", "Inspect and manage SupplyChainPayment orders");
+const ERC20 = "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+/**
+ * Parses a milestone plan given as "30:Design approval@14d,70:Final delivery@2026-12-01".
+ * A deadline is optional: a date (midnight UTC unless a time is given) or a number of
+ * days from `now`, the chain's current time in seconds.
+ */
+function parseMilestones(value, now) {
+  return value.split(",").map((part) => {
+    const match = /^\s*(\d+)\s*:\s*(.+?)\s*(?:@\s*(\d+d|\d{4}-\d{2}-\d{2}\S*))?\s*$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid milestone "${part}"; expected <percentage>:<description>[@<deadline>]`);
+    }
+    const milestone = { percentage: Number(match[1]), description: match[2] };
+    if (match[3]) {
+      milestone.deadline = parseDeadline(match[3], now);
+    }
+    return milestone;
+  });
+}
+
+/**
+ * Deadline given as "14d" (days from `now`, in seconds) or as an ISO date
+ */
+function parseDeadline(value, now) {
+  if (value.endsWith("d")) {
+    return now + Number(value.slice(0, -1)) * 86400;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid deadline "${value}"; expected a date (2026-12-01) or a number of days (14d)`);
+  }
+  return date;
+}
+
+/**
+ * Payment token given as an address or as the name of a deployed token ("SupplyChainToken")
+ */
+function resolveToken(context, token) {
+  if (!token) {
+    return ZeroAddress;
+  }
+  return /^0x[0-9a-fA-F]{40}$/.test(token) ? token : context.address(token);
+}
+
+function summary(order) {
+  const { milestones, ...rest } = order;
+  return {
+    ...rest,
+    milestones: `${milestones.filter((m) => m.approved).length}/${milestones.length} approved`,
+  };
+}
+
+command(orders, "list", "Lists orders, newest first")
+  .addOptionalParam("buyer", "Only orders placed by this buyer")
+  .addOptionalParam("supplier", "Only orders for this supplier")
+  .addOptionalParam("status", `Only orders in this status (${ORDER_STATUS.join(", ")})`)
+  .addOptionalParam("limit", "Maximum number of orders", "20")
+  .setAction(
+    action(async (args, context) => {
+      if (args.status && !ORDER_STATUS.includes(args.status)) {
+        throw new Error(`Unknown status ${args.status}; expected one of ${ORDER_STATUS.join(", ")}`);
+      }
+      const client = await context.orders();
+      const limit = Number(parseId(args.limit, "limit"));
+
+      let ids;
+      if (args.buyer) {
+        ids = await client.contract.getBuyerOrders(args.buyer);
+      } else if (args.supplier) {
+        ids = await client.contract.getSupplierOrders(args.supplier);
+      } else {
+        const count = await client.contract.orderCounter();
+        ids = Array.from({ length: Number(count) }, (_, id) => BigInt(id));
+      }
+      if (args.buyer && args.supplier) {
+        const supplier = args.supplier.toLowerCase();
+        ids = (await Promise.all(ids.map((id) => client.contract.orders(id))))
+          .filter((order) => order.supplier.toLowerCase() === supplier)
+          .map((order) => order.orderId);
+      }
+
+      const result = [];
+      for (const id of [...ids].reverse()) {
+        if (result.length >= limit) break;
+        const order = await client.getOrder(id);
+        if (!args.status || order.status === args.status) {
+          result.push(summary(order));
+        }
+      }
+      return result;
+    })
+  );
+
+command(orders, "create", "Creates an order with its milestone plan and starts it (buyer)", { write: true })
+  .addPositionalParam("supplier", "Verified supplier address")
+  .addPositionalParam("description", "Product description")
+  .addPositionalParam("amount", "Order value in whole units (ETH or the token's decimals)")
+  .addParam("milestones", 'Milestone plan with optional deadlines, e.g. "30:Design@14d,70:Final delivery@2026-12-01"')
+  .addOptionalParam("token", "Accepted ERC20 token address or deployed token name (default: ETH)")
+  .setAction(
+    action(async (args, context) => {
+      const client = await context.orders();
+      const token = resolveToken(context, args.token);
+      const decimals =
+        token === ZeroAddress ? 18 : await (await context.hre.ethers.getContractAt(ERC20, token)).decimals();
+      const { timestamp } = await context.hre.ethers.provider.getBlock("latest");
+      const order = await client.createOrder({
+        supplier: args.supplier,
+        description: args.description,
+        amount: parseAmount(context.hre, args.amount, decimals),
+        token,
+        milestones: parseMilestones(args.milestones, timestamp),
+      });
+      return summary(order);
+    })
+  );
+
+command(orders, "accept-token", "Accepts an ERC20 token for new orders, or stops accepting it (owner)", {
+  write: true,
+})
+  .addPositionalParam("token", "ERC20 token address or deployed token name")
+  .addFlag("remove", "Stop accepting the token")
+  .setAction(
+    action(async (args, context) => {
+      const payment = await context.contract("SupplyChainPayment");
+      const token = resolveToken(context, args.token);
+      const receipt = await (await payment.setAcceptedToken(token, !args.remove)).wait();
+      return { token, accepted: await payment.acceptedTokens(token), transaction: transaction(receipt) };
+    })
+  );
+
+command(orders, "show", "Shows an order with its milestones")
+  .addPositionalParam("id", "Order ID")
+  .setAction(
+    action(async (args, context) => {
+      const client = await context.orders();
+      const order = await client.getOrder(parseId(args.id, "order ID"));
+      return { ...order, payout: await client.expectedPayout(order.id) };
+    })
+  );
+
+command(orders, "approve", "Approves a completed milestone and releases its payment (buyer)", { write: true })
+  .addPositionalParam("id", "Order ID")
+  .addPositionalParam("milestone", "Milestone index")
+  .setAction(
+    action(async (args, context) => {
+      const client = await context.orders();
+      const id = parseId(args.id, "order ID");
+      const receipt = await client.approveMilestone(id, parseId(args.milestone, "milestone index"));
+      const order = await client.getOrder(id);
+      return { order: id, milestone: Number(args.milestone), status: order.status, transaction: transaction(receipt) };
+    })
+  );
+
+command(orders, "cancel", "Cancels an order that has not started and refunds the buyer (buyer)", { write: true })
+  .addPositionalParam("id", "Order ID")
+  .setAction(
+    action(async (args, context) => {
+      const client = await context.orders();
+      const id = parseId(args.id, "order ID");
+      const receipt = await client.cancelOrder(id);
+      return { order: id, status: (await client.getOrder(id)).status, transaction: transaction(receipt) };
+    })
+  );
+
+command(orders, "auto-approve", "Releases a completed milestone's payment once the approval window is over (anyone)", {
+  write: true,
+})
+  .addPositionalParam("id", "Order ID")
+  .addPositionalParam("milestone", "Milestone index")
+  .setAction(
+    action(async (args, context) => {
+      const client = await context.orders();
+      const id = parseId(args.id, "order ID");
+      const receipt = await client.autoApproveMilestone(id, parseId(args.milestone, "milestone index"));
+      const order = await client.getOrder(id);
+      return { order: id, milestone: Number(args.milestone), status: order.status, transaction: transaction(receipt) };
+    })
+  );
+
+command(orders, "reclaim", "Cancels an order with a missed milestone deadline and refunds what is unpaid (buyer)", {
+  write: true,
+})
+  .addPositionalParam("id", "Order ID")
+  .setAction(
+    action(async (args, context) => {
+      const client = await context.orders();
+      const id = parseId(args.id, "order ID");
+      const receipt = await client.reclaimOrder(id);
+      const order = await client.getOrder(id);
+      return {
+        order: id,
+        status: order.status,
+        refunded: order.totalAmount - order.paidAmount,
+        transaction: transaction(receipt),
+      };
+    })
+  );
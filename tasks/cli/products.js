@@ -0,0 +1,30 @@
+const { scope } = require("hardhat/config");
+const { PRODUCT_REPORT_COLUMNS, importProducts, exportProducts } = require("../../lib/bulk");
+const { command, action } = require("./command");
+const { importParams, runImport } = require("./sheets");
+
+const products = scope("products", "Bulk-manage ProductCatalog listings");
+
+importParams(
+  command(products, "import", "Adds and updates the sending supplier's products from a sheet", { write: true })
+)
+  .addOptionalParam("categories", "Comma-separated categories rows may use (default: any)")
+  .setAction(
+    action(async (args, context) => {
+      const catalog = await context.contract("ProductCatalog");
+      const categories = args.categories ? args.categories.split(",").map((category) => category.trim()) : undefined;
+      return runImport(args, context, PRODUCT_REPORT_COLUMNS, (options) =>
+        importProducts(catalog, args.file, { ...options, categories })
+      );
+    })
+  );
+
+command(products, "export", "Writes the catalog to a sheet in the import format")
+  .addPositionalParam("file", "Destination (.csv or .json)")
+  .addOptionalParam("supplier", "Only this supplier's products")
+  .setAction(
+    action(async (args, context) => {
+      const catalog = await context.contract("ProductCatalog");
+      return { file: args.file, products: await exportProducts(catalog, args.file, { supplier: args.supplier }) };
+    })
+  );
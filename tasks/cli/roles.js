@@ -0,0 +1,95 @@
+const { scope } = require("hardhat/config");
+const { isAddress } = require("ethers");
+const { listRoles, roleName, roleNamesOf } = require("../../lib/deployment/roles");
+const { command, action, transaction } = require("./command");
+
+const roles = scope("roles", "Role holders of the deployed contracts (see contracts/Roles.sol)");
+
+/**
+ * Declares a command acting on one role of one contract of the deployment record
+ */
+function roleCommand(name, description, options) {
+  return command(roles, name, description, options)
+    .addPositionalParam("contract", "Contract name in the deployment record, e.g. SupplierRegistry")
+    .addPositionalParam("role", "Role, e.g. VERIFIER_ROLE or verifier");
+}
+
+/**
+ * The contract with the role's name and hash, checked against the roles it declares
+ */
+async function roleOf(context, args) {
+  const contract = await context.contract(args.contract);
+  const declared = roleNamesOf(contract.interface);
+  if (declared.length === 0) {
+    throw new Error(`${args.contract} has no roles`);
+  }
+  const name = roleName(args.role);
+  if (!declared.includes(name)) {
+    throw new Error(`${args.contract} has no ${name} (roles: ${declared.join(", ")})`);
+  }
+  return { contract, name, role: await contract[name]() };
+}
+
+function parseAccount(value) {
+  if (!isAddress(value)) {
+    throw new Error(`Invalid account: ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Holders of the role after a change, with the transaction that made it
+ */
+async function describeChange(context, args, name, receipt) {
+  const listed = await listRoles(context.hre, context.record(), { only: [args.contract] });
+  return {
+    contract: args.contract,
+    role: name,
+    holders: listed[args.contract].roles[name],
+    transaction: transaction(receipt),
+  };
+}
+
+command(roles, "list", "Lists the owner and role holders of the deployed contracts")
+  .addOptionalVariadicPositionalParam("contracts", "Only these contracts (default: every contract with roles)")
+  .setAction(action(async (args, context) => listRoles(context.hre, context.record(), { only: args.contracts || [] })));
+
+roleCommand("grant", "Grants a role to an account (owner)", { write: true })
+  .addPositionalParam("account", "Account receiving the role")
+  .setAction(
+    action(async (args, context) => {
+      const { contract, name, role } = await roleOf(context, args);
+      const account = parseAccount(args.account);
+      if (await contract.hasRole(role, account)) {
+        throw new Error(`${account} already holds ${name} on ${args.contract}`);
+      }
+      const receipt = await (await contract.grantRole(role, account)).wait();
+      return describeChange(context, args, name, receipt);
+    })
+  );
+
+roleCommand("revoke", "Revokes a role from an account (owner)", { write: true })
+  .addPositionalParam("account", "Account losing the role")
+  .setAction(
+    action(async (args, context) => {
+      const { contract, name, role } = await roleOf(context, args);
+      const account = parseAccount(args.account);
+      if (!(await contract.hasRole(role, account))) {
+        throw new Error(`${account} does not hold ${name} on ${args.contract}`);
+      }
+      const receipt = await (await contract.revokeRole(role, account)).wait();
+      return describeChange(context, args, name, receipt);
+    })
+  );
+
+roleCommand("renounce", "Gives up one of the sending account's roles", { write: true }).setAction(
+  action(async (args, context) => {
+    const { contract, name, role } = await roleOf(context, args);
+    const account = (await context.signer()).address;
+    if (!(await contract.hasRole(role, account))) {
+      throw new Error(`${account} does not hold ${name} on ${args.contract}`);
+    }
+    const receipt = await (await contract.renounceRole(role)).wait();
+    return describeChange(context, args, name, receipt);
+  })
+);
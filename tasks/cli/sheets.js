@@ -0,0 +1,48 @@
+const fs = require("fs");
+const path = require("path");
+const { writeSheet } = require("../../lib/bulk");
+const { sheetHash } = require("../../lib/bulk/importer");
+
+/**
+ * Options shared by the sheet import commands (`products import`, `suppliers import`)
+ */
+function importParams(definition) {
+  return definition
+    .addPositionalParam("file", "Sheet to import (.csv or .json)")
+    .addOptionalParam("report", "Row-level result report, .csv or .json (default: <sheet>.report.csv)")
+    .addOptionalParam("batchSize", "Rows applied between progress checkpoints", "20")
+    .addOptionalParam("progress", "Progress file for resuming (default: data/import-<network>-<sheet hash>.json)")
+    .addFlag("dryRun", "Only validate and plan: list the transactions without sending them");
+}
+
+/**
+ * Runs an import (`run(options)` returns `{ summary, results }`), writes the report
+ * and returns the summary with the rows that need attention
+ */
+async function runImport(args, context, columns, run) {
+  const file = path.resolve(args.file);
+  const hre = context.hre;
+  const hash = sheetHash(fs.readFileSync(file, "utf8"));
+  const progressFile =
+    args.progress || path.join(hre.config.paths.root, "data", `import-${hre.network.name}-${hash.slice(0, 12)}.json`);
+  const report = args.report || path.join(path.dirname(file), `${path.parse(file).name}.report.csv`);
+
+  const { summary, results } = await run({
+    batchSize: Number(args.batchSize),
+    progressFile,
+    dryRun: args.dryRun,
+  });
+  writeSheet(report, results, columns);
+  return {
+    sheet: file,
+    summary,
+    report,
+    progress: args.dryRun ? null : progressFile,
+    problems: results.filter((result) => result.error),
+  };
+}
+
+module.exports = {
+  importParams,
+  runImport,
+};
@@ -0,0 +1,139 @@
+const { scope } = require("hardhat/config");
+const { ZeroAddress } = require("ethers");
+const { parseId, parseTime } = require("../../lib/cli/context");
+const { command, action, transaction } = require("./command");
+
+const shipments = scope("shipments", "Create, update and track shipments in ShippingTracker");
+
+/// @dev Mirrors ShippingTracker.ShipmentStatus, named as in the indexer
+const SHIPMENT_STATUS = ["in_transit", "delayed", "delivered", "lost"];
+
+const toDate = (seconds) => (seconds > 0n ? new Date(Number(seconds) * 1000) : null);
+
+function describeShipment(id, shipment) {
+  return {
+    id,
+    orderId: shipment.orderId,
+    milestoneIndex: shipment.milestoneIndex,
+    trackingNumber: shipment.trackingNumber,
+    status: SHIPMENT_STATUS[Number(shipment.status)],
+    shipper: shipment.shipper,
+    origin: shipment.origin,
+    destination: shipment.destination,
+    departedAt: toDate(shipment.departureTime),
+    estimatedArrival: toDate(shipment.estimatedArrival),
+    arrivedAt: toDate(shipment.actualArrival),
+  };
+}
+
+async function findShipment(tracker, reference, byId) {
+  const id = byId ? parseId(reference, "shipment ID") : await tracker.trackingToShipmentId(reference);
+  const shipment = await tracker.shipments(id);
+  if (id === 0n || shipment.shipper === ZeroAddress) {
+    throw new Error(`Shipment ${reference} not found`);
+  }
+  return { id, shipment };
+}
+
+/**
+ * Declares a command that sends one transaction for a shipment and prints the shipment afterwards
+ */
+function shipmentCommand(name, description, send) {
+  return command(shipments, name, description, { write: true })
+    .addPositionalParam("reference", "Tracking number")
+    .addFlag("id", "Treat the reference as a shipment ID")
+    .setAction(
+      action(async (args, context) => {
+        const tracker = await context.contract("ShippingTracker");
+        const { id } = await findShipment(tracker, args.reference, args.id);
+        const receipt = await (await send(tracker, id, args)).wait();
+        return { ...describeShipment(id, await tracker.shipments(id)), transaction: transaction(receipt) };
+      })
+    );
+}
+
+command(shipments, "create", "Ships the goods of an order milestone (order's supplier)", { write: true })
+  .addPositionalParam("order", "Order ID")
+  .addParam("milestone", "Index of the milestone the delivery fulfils")
+  .addParam("tracking", "Carrier tracking number")
+  .addParam("shipper", "Shipper address")
+  .addParam("origin", "Origin address (e.g. warehouse)")
+  .addParam("destination", "Destination address")
+  .addParam("eta", "Estimated arrival (unix seconds or ISO date)")
+  .setAction(
+    action(async (args, context) => {
+      const tracker = await context.contract("ShippingTracker");
+      const tx = await tracker.createShipment(
+        parseId(args.order, "order ID"),
+        parseId(args.milestone, "milestone index"),
+        args.shipper,
+        args.origin,
+        args.destination,
+        parseTime(args.eta),
+        args.tracking
+      );
+      const receipt = await tx.wait();
+      const id = await tracker.trackingToShipmentId(args.tracking);
+      return { ...describeShipment(id, await tracker.shipments(id)), transaction: transaction(receipt) };
+    })
+  );
+
+command(shipments, "track", "Shows a shipment by tracking number (or ID with --id)")
+  .addPositionalParam("reference", "Tracking number")
+  .addFlag("id", "Treat the reference as a shipment ID")
+  .setAction(
+    action(async (args, context) => {
+      const { id, shipment } = await findShipment(await context.contract("ShippingTracker"), args.reference, args.id);
+      return describeShipment(id, shipment);
+    })
+  );
+
+function updateStatus(tracker, id, args) {
+  const status = SHIPMENT_STATUS.indexOf(args.status);
+  if (status === -1 || args.status === "delivered") {
+    throw new Error(`Status must be in_transit, delayed or lost (use "shipments deliver"), got ${args.status}`);
+  }
+  return tracker.updateStatus(id, status);
+}
+
+shipmentCommand("update", "Moves a shipment to in_transit, delayed or lost (shipper or carrier)", updateStatus)
+  .addParam("status", "New status: in_transit, delayed or lost");
+
+shipmentCommand(
+  "deliver",
+  "Records the delivery and completes the order milestone (shipper or carrier)",
+  (tracker, id) => tracker.markDelivered(id)
+);
+
+shipmentCommand(
+  "auto-approve",
+  "Releases a delivered milestone the buyer left unapproved past the grace period",
+  (tracker, id) => tracker.autoApproveDelivery(id)
+);
+
+command(shipments, "authorize-carrier", "Lets a carrier update every shipment (owner)", { write: true })
+  .addPositionalParam("carrier", "Carrier address")
+  .addFlag("revoke", "Revoke the authorization instead")
+  .setAction(
+    action(async (args, context) => {
+      const tracker = await context.contract("ShippingTracker");
+      const receipt = await (await tracker.setCarrier(args.carrier, !args.revoke)).wait();
+      return {
+        carrier: args.carrier,
+        authorized: await tracker.authorizedCarriers(args.carrier),
+        transaction: transaction(receipt),
+      };
+    })
+  );
+
+command(shipments, "grace-period", "Sets the buyer's grace period before auto-approval; 0 disables it (owner)", {
+  write: true,
+})
+  .addPositionalParam("seconds", "Grace period in seconds")
+  .setAction(
+    action(async (args, context) => {
+      const tracker = await context.contract("ShippingTracker");
+      const receipt = await (await tracker.setAutoApprovalPeriod(parseId(args.seconds, "grace period"))).wait();
+      return { autoApprovalPeriod: await tracker.autoApprovalPeriod(), transaction: transaction(receipt) };
+    })
+  );
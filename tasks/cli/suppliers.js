@@ -0,0 +1,104 @@
+const { scope } = require("hardhat/config");
+const { ZeroAddress } = require("ethers");
+const { SUPPLIER_REPORT_COLUMNS, importSuppliers, exportSuppliers } = require("../../lib/bulk");
+const { command, action, transaction } = require("./command");
+const { importParams, runImport } = require("./sheets");
+
+const suppliers = scope("suppliers", "Manage suppliers in SupplierRegistry");
+
+/**
+ * Registry profile of a supplier with its SupplyChainPayment statistics;
+ * createOrder only accepts suppliers that are verified and active in the registry
+ */
+async function describeSupplier(context, address) {
+  const registry = await context.contract("SupplierRegistry");
+  const profile = await registry.suppliers(address);
+  const stats = await (await context.contract("SupplyChainPayment")).getSupplierStats(address);
+
+  return {
+    address,
+    registry:
+      profile.supplierAddress === ZeroAddress
+        ? null
+        : {
+            businessName: profile.businessName,
+            contactEmail: profile.contactEmail,
+            businessAddress: profile.businessAddress,
+            documentHash: profile.documentHash,
+            verified: profile.isVerified,
+            active: profile.isActive,
+          },
+    payments: { ordersCompleted: stats.totalOrdersCompleted, totalEarned: stats.totalAmountEarned },
+  };
+}
+
+command(suppliers, "register", "Registers the sending account as a supplier", { write: true })
+  .addParam("name", "Business name")
+  .addParam("email", "Contact email")
+  .addOptionalParam("location", "Business address", "")
+  .addOptionalParam("document", "Hash or IPFS reference of registration documents", "")
+  .setAction(
+    action(async (args, context) => {
+      const address = (await context.signer()).address;
+      if ((await describeSupplier(context, address)).registry) {
+        throw new Error(`${address} is already registered`);
+      }
+      const registry = await context.contract("SupplierRegistry");
+      const tx = await registry.registerSupplier(args.name, args.email, args.location, args.document);
+      const receipt = await tx.wait();
+      return { ...(await describeSupplier(context, address)), transactions: [transaction(receipt)] };
+    })
+  );
+
+command(suppliers, "verify", "Verifies a registered supplier (verifier)", { write: true })
+  .addPositionalParam("address", "Supplier address")
+  .setAction(
+    action(async (args, context) => {
+      const before = await describeSupplier(context, args.address);
+      if (!before.registry) {
+        throw new Error(`${args.address} is not a registered supplier`);
+      }
+      if (before.registry.verified) {
+        throw new Error(`${args.address} is already verified`);
+      }
+      const registry = await context.contract("SupplierRegistry");
+      const receipt = await (await registry.verifySupplier(args.address)).wait();
+      return { ...(await describeSupplier(context, args.address)), transactions: [transaction(receipt)] };
+    })
+  );
+
+command(suppliers, "deactivate", "Deactivates a supplier in SupplierRegistry (verifier)", { write: true })
+  .addPositionalParam("address", "Supplier address")
+  .setAction(
+    action(async (args, context) => {
+      const registry = await context.contract("SupplierRegistry");
+      const receipt = await (await registry.deactivateSupplier(args.address)).wait();
+      return { ...(await describeSupplier(context, args.address)), transactions: [transaction(receipt)] };
+    })
+  );
+
+command(suppliers, "show", "Shows a supplier's registry profile and payment statistics")
+  .addPositionalParam("address", "Supplier address")
+  .setAction(action(async (args, context) => describeSupplier(context, args.address)));
+
+importParams(
+  command(suppliers, "import", "Registers and updates suppliers from a sheet (owner, verifier or supplier)", {
+    write: true,
+  })
+).setAction(
+  action(async (args, context) => {
+    const registry = await context.contract("SupplierRegistry");
+    return runImport(args, context, SUPPLIER_REPORT_COLUMNS, (options) =>
+      importSuppliers(registry, args.file, options)
+    );
+  })
+);
+
+command(suppliers, "export", "Writes every registered supplier to a sheet in the import format")
+  .addPositionalParam("file", "Destination (.csv or .json)")
+  .setAction(
+    action(async (args, context) => {
+      const registry = await context.contract("SupplierRegistry");
+      return { file: args.file, suppliers: await exportSuppliers(registry, args.file) };
+    })
+  );
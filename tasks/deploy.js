@@ -0,0 +1,143 @@
+const { task } = require("hardhat/config");
+const { deploy, upgrade, confirmationsFor } = require("../lib/deployment");
+const { recordPath, loadRecord, saveRecord } = require("../lib/deployment/record");
+
+/**
+ * Splits a comma-separated task parameter into a list of names
+ */
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Smart deployment with automatic network fallback.
+ * Deploys every contract in lib/deployment/manifest.js in dependency order,
+ * resuming from deployment-<network>.json: contracts whose on-chain code is
+ * unchanged are skipped and the record is saved after every step.
+ */
+async function deployWithFallback(hre, { only, force }) {
+  const [deployer] = await hre.ethers.getSigners();
+  const network = hre.network.name;
+  const file = recordPath(hre);
+
+  console.log("=".repeat(60));
+  console.log("🚀 Supply Chain Smart Deployment");
+  console.log("=".repeat(60));
+  console.log(`📍 Network: ${network}`);
+  console.log(`💼 Deployer: ${deployer.address}`);
+
+  const balance = await hre.ethers.provider.getBalance(deployer.address);
+  console.log(`💰 Balance: ${hre.ethers.formatEther(balance)} ETH`);
+  console.log("=".repeat(60));
+
+  // Check minimum balance
+  const minBalance = network === "base" ? hre.ethers.parseEther("0.05") : hre.ethers.parseEther("0.005");
+
+  if (balance < minBalance) {
+    console.log(`⚠️  Warning: Low balance!`);
+    console.log(`   Required: ${hre.ethers.formatEther(minBalance)} ETH`);
+    console.log(`   Current: ${hre.ethers.formatEther(balance)} ETH`);
+
+    if (network === "base") {
+      console.log(`\n🔄 Insufficient funds for Base mainnet`);
+      console.log(`   Run: npx hardhat deploy --network baseSepolia`);
+      process.exit(1);
+    }
+  }
+
+  const previous = loadRecord(file);
+  if (previous) {
+    console.log(`📄 Resuming from ${file}`);
+  }
+  if (force.length > 0) {
+    console.log(`♻️  Forcing redeployment of: ${force.join(", ")}`);
+  }
+
+  try {
+    const deploymentInfo = await deploy(hre, {
+      only,
+      force,
+      record: previous,
+      save: (record) => saveRecord(file, record),
+      confirmations: confirmationsFor(network),
+    });
+    const deployedContracts = deploymentInfo.contracts;
+    console.log(`\n✅ All contracts confirmed!`);
+    console.log(`\n📄 Deployment info saved to deployment-${network}.json`);
+
+    // Display summary
+    console.log("\n" + "=".repeat(60));
+    console.log("📋 Deployment Summary:");
+    console.log("=".repeat(60));
+    Object.entries(deployedContracts).forEach(([name, address]) => {
+      console.log(`${name}:`);
+      console.log(`  ${address}`);
+    });
+
+    console.log(`\n🔍 Verify on BaseScan: npx hardhat run scripts/verify-all.js --network ${network}`);
+
+    const explorerBase = network === "base"
+      ? "https://basescan.org"
+      : "https://sepolia.basescan.org";
+
+    console.log(`\n🔍 View on explorer: ${explorerBase}`);
+
+    console.log("\n" + "=".repeat(60));
+    console.log("✨ All contracts deployed successfully!");
+    console.log("=".repeat(60));
+
+    return deploymentInfo;
+  } catch (error) {
+    console.error(`\n❌ Deployment failed on ${network}!`);
+    console.error(`   Error: ${error.message}`);
+    console.error(`   Completed steps are saved in deployment-${network}.json; rerun to resume.`);
+
+    if (network === "base") {
+      console.log(`\n🔄 Fallback Suggestion:`);
+      console.log(`   Run: npx hardhat deploy --network baseSepolia`);
+    }
+
+    throw error;
+  }
+}
+
+task("deploy", "Deploys the supply chain system, resuming from deployment-<network>.json")
+  .addOptionalParam("only", "Comma-separated contracts to deploy (with their dependencies)", "")
+  .addOptionalParam("force", "Comma-separated contracts to redeploy even if unchanged", "")
+  .setAction(async (taskArgs, hre) => {
+    await hre.run("compile", { quiet: true });
+    return deployWithFallback(hre, {
+      only: parseList(taskArgs.only),
+      force: parseList(taskArgs.force),
+    });
+  });
+
+task("upgrade", "Upgrades proxied contracts in place after checking their storage layout")
+  .addOptionalVariadicPositionalParam("contracts", "Contracts to upgrade (default: every proxied contract)", [])
+  .addOptionalParam("implementation", "Artifact to upgrade to instead of the manifest's contract", "")
+  .addFlag("check", "Only check the storage layouts against deployment-<network>.json")
+  .setAction(async (taskArgs, hre) => {
+    await hre.run("compile", { quiet: true });
+    const file = recordPath(hre);
+    const record = loadRecord(file);
+    if (!record) {
+      throw new Error(`No deployment record at ${file}; deploy first`);
+    }
+    console.log(`📍 Network: ${hre.network.name}`);
+    const results = await upgrade(hre, record, {
+      only: taskArgs.contracts,
+      implementation: taskArgs.implementation || undefined,
+      check: taskArgs.check,
+      save: (updated) => saveRecord(file, updated),
+      confirmations: confirmationsFor(hre.network.name),
+    });
+    console.log(`\n✨ ${taskArgs.check ? "Storage layouts are compatible" : "Upgrade complete"}`);
+    return results;
+  });
+
+module.exports = {
+  parseList,
+};
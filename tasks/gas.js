@@ -0,0 +1,61 @@
+const path = require("path");
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { runBenchmarks, readSnapshot, writeSnapshot, compareSnapshots, formatDiffTable } = require("../lib/gas");
+const { parseList } = require("./deploy");
+
+/**
+ * Gas benchmarks against the committed snapshot.
+ *   npx hardhat gas              compares with gas-snapshot.json and fails on a regression
+ *   npx hardhat gas --update     rewrites gas-snapshot.json
+ * A filtered run (--only) compares or updates just the benchmarks it ran.
+ */
+task("gas", "Benchmarks contract gas usage against the committed snapshot")
+  .addOptionalParam("snapshot", "Snapshot file", "gas-snapshot.json")
+  .addOptionalParam("tolerance", "Allowed increase over the snapshot, in percent", "1")
+  .addOptionalParam("only", "Comma-separated contracts or Contract.method benchmarks to run", "")
+  .addOptionalParam("output", "Also write the measured gas to this file", "")
+  .addFlag("update", "Write the measured gas to the snapshot instead of comparing")
+  .addFlag("quiet", "Only print the benchmarks whose gas changed")
+  .setAction(async (taskArgs, hre) => {
+    const tolerance = Number(taskArgs.tolerance);
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      throw new HardhatPluginError("gas", `Invalid tolerance: ${taskArgs.tolerance}`);
+    }
+    const only = parseList(taskArgs.only);
+    const file = path.resolve(hre.config.paths.root, taskArgs.snapshot);
+
+    await hre.run("compile", { quiet: true });
+    const current = await runBenchmarks(hre, { only });
+    if (taskArgs.output) {
+      writeSnapshot(path.resolve(hre.config.paths.root, taskArgs.output), current);
+    }
+
+    const baseline = readSnapshot(file);
+    if (taskArgs.update) {
+      writeSnapshot(file, only.length > 0 ? { ...baseline, ...current } : current);
+      console.log(`Wrote ${Object.keys(current).length} benchmarks to ${taskArgs.snapshot}`);
+      return current;
+    }
+    if (!baseline) {
+      throw new HardhatPluginError("gas", `No snapshot at ${taskArgs.snapshot}; create it with --update`);
+    }
+
+    const { rows, failed } = compareSnapshots(baseline, current, { tolerance, partial: only.length > 0 });
+    if (!taskArgs.quiet || rows.some(({ status, diff }) => status !== "ok" || diff !== 0)) {
+      console.log(formatDiffTable(rows, { changedOnly: taskArgs.quiet }));
+    }
+    if (failed) {
+      const counts = ["regression", "new", "removed"]
+        .map((status) => [status, rows.filter((row) => row.status === status).length])
+        .filter(([, count]) => count > 0)
+        .map(([status, count]) => `${count} ${status}`);
+      throw new HardhatPluginError(
+        "gas",
+        `Gas snapshot check failed (${counts.join(", ")}, tolerance ${tolerance}%); ` +
+          "run `npx hardhat gas --update` if the change is intended"
+      );
+    }
+    console.log(`\nGas within ${tolerance}% of ${taskArgs.snapshot}`);
+    return current;
+  });
@@ -0,0 +1,266 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time, setBalance } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deploySystemFixture } = require("./fixtures/system");
+const { saveRecord } = require("../lib/deployment/record");
+const { collectMovements, buildReports, periodOf, reconcile } = require("../lib/accounting");
+const { readSheet } = require("../lib/bulk");
+
+describe("Accounting", function () {
+  const eth = (value) => ethers.parseEther(value);
+  const DAY = 24 * 60 * 60;
+
+  /**
+   * A month of trading, then another:
+   *  - order 0: ACME, 1 ETH, 50/50, first milestone paid at the 1% fee
+   *  - order 1: Globex, 0.5 ETH, cancelled (fee raised to 2% afterwards)
+   *  - order 2: Globex, 1 ETH, 40/60, first milestone paid, then disputed and split 50/50
+   *  - order 3: ACME, 100 SCT, in progress
+   *  - escrow 1: Globex, 0.2 ETH, released; escrow 2: ACME, 0.3 ETH, funded
+   *  - the ETH fees withdrawn at the end
+   */
+  async function tradingFixture() {
+    const system = await deploySystemFixture();
+    const { payment, escrow, token, owner, buyer, supplier, rival } = system;
+    const order = async (seller, amount, percentages) => {
+      const id = await payment.orderCounter();
+      await payment.connect(buyer).createOrder(seller.address, `Order ${id}`, { value: amount });
+      for (const percentage of percentages) {
+        await payment.connect(buyer).addMilestone(id, `${percentage}%`, percentage);
+      }
+      await payment.connect(buyer).startOrder(id);
+      return id;
+    };
+    const approve = async (seller, id, milestone) => {
+      await payment.connect(seller).completeMilestone(id, milestone);
+      await payment.connect(buyer).approveMilestone(id, milestone);
+    };
+
+    await approve(supplier, await order(supplier, eth("1"), [50, 50]), 0);
+    await payment.connect(buyer).createOrder(rival.address, "Order 1", { value: eth("0.5") });
+    await payment.connect(buyer).cancelOrder(1);
+    await payment.updatePlatformFee(2);
+
+    await time.increase(40 * DAY);
+    await approve(rival, await order(rival, eth("1"), [40, 60]), 0);
+    await payment.connect(buyer).raiseDispute(2, "Short delivery");
+    await time.increase(await payment.evidencePeriod());
+    await payment.resolveDispute(2, 50);
+
+    await token.connect(buyer).approve(await payment.getAddress(), eth("100"));
+    await payment
+      .connect(buyer)
+      .createOrderWithToken(supplier.address, "Order 3", await token.getAddress(), eth("100"));
+
+    await escrow.connect(buyer).createEscrow(0, rival.address, ethers.ZeroAddress, eth("0.2"), 0);
+    await escrow.connect(buyer).fundEscrow(1, { value: eth("0.2") });
+    await escrow.connect(buyer).approveRelease(1);
+    await escrow.connect(rival).approveRelease(1);
+    await escrow.connect(buyer).createEscrow(0, supplier.address, ethers.ZeroAddress, eth("0.3"), 0);
+    await escrow.connect(buyer).fundEscrow(2, { value: eth("0.3") });
+
+    await payment.connect(owner).withdrawPlatformFees();
+    return system;
+  }
+
+  const collect = ({ payment, escrow }) => collectMovements({ payment, escrow });
+
+  it("Should rebuild every payment, fee, refund and withdrawal from events", async function () {
+    const system = await loadFixture(tradingFixture);
+    const { payment, owner, buyer, supplier, rival, token } = system;
+    const { movements } = await collect(system);
+    const paymentAddress = await payment.getAddress();
+
+    const summary = movements.map(({ reference, type, amount, fee }) => [reference, type, amount, fee]);
+    expect(summary).to.deep.equal([
+      ["order 0", "deposit", eth("1"), 0n],
+      ["order 0", "payment", eth("0.495"), eth("0.005")],
+      ["order 1", "deposit", eth("0.5"), 0n],
+      ["order 1", "refund", eth("0.5"), 0n],
+      ["order 2", "deposit", eth("1"), 0n],
+      ["order 2", "payment", eth("0.392"), eth("0.008")],
+      ["order 2", "payment", eth("0.294"), eth("0.006")],
+      ["order 2", "refund", eth("0.3"), 0n],
+      ["order 3", "deposit", eth("100"), 0n],
+      ["escrow 1", "deposit", eth("0.2"), 0n],
+      ["escrow 1", "payment", eth("0.2"), 0n],
+      ["escrow 2", "deposit", eth("0.3"), 0n],
+      ["platform fees", "withdrawal", eth("0.019"), 0n],
+    ]);
+
+    expect(movements[0]).to.include({ contract: "SupplyChainPayment", token: "ETH", from: buyer.address });
+    expect(movements[0]).to.include({ to: paymentAddress, supplier: supplier.address });
+    expect(movements[3]).to.include({ to: buyer.address, supplier: rival.address, memo: "Order cancelled" });
+    expect(movements[6].memo).to.equal("Dispute settled, 50% to the supplier");
+    expect(movements[8].token).to.equal(await token.getAddress());
+    expect(movements[10]).to.include({ contract: "PaymentEscrow", to: rival.address, memo: "Escrow released" });
+    expect(movements[12]).to.include({ token: "ETH", from: paymentAddress, to: owner.address, supplier: null });
+    expect(movements[12].date).to.equal(new Date(movements[12].time * 1000).toISOString());
+  });
+
+  it("Should total the movements per supplier and per period", async function () {
+    const system = await loadFixture(tradingFixture);
+    const { supplier, rival, token } = system;
+    const ledger = await collect(system);
+    const sct = await token.getAddress();
+
+    const { suppliers, periods } = buildReports(ledger, { period: "month" });
+    const bySupplier = Object.fromEntries(suppliers.map((row) => [`${row.supplier}/${row.token}`, row]));
+    expect(bySupplier[`${supplier.address}/ETH`]).to.deep.equal({
+      supplier: supplier.address,
+      token: "ETH",
+      orders: 1,
+      escrows: 1,
+      deposited: eth("1.3"),
+      paid: eth("0.495"),
+      fees: eth("0.005"),
+      refunded: 0n,
+      held: eth("0.8"),
+    });
+    expect(bySupplier[`${supplier.address}/${sct}`]).to.include({ orders: 1, deposited: eth("100"), held: eth("100") });
+    expect(bySupplier[`${rival.address}/ETH`]).to.include({
+      orders: 2,
+      escrows: 1,
+      deposited: eth("1.7"),
+      paid: eth("0.886"),
+      fees: eth("0.014"),
+      refunded: eth("0.8"),
+      held: 0n,
+    });
+
+    // The first two orders fall in the first month, the rest 40 days later
+    const [first, second] = [ledger.movements[0], ledger.movements[4]].map((movement) =>
+      periodOf(movement.time, "month")
+    );
+    expect(first).to.not.equal(second);
+    const ethPeriods = periods.filter((row) => row.token === "ETH");
+    expect(ethPeriods.map((row) => row.period)).to.deep.equal([first, second]);
+    expect(ethPeriods[0]).to.include({ deposits: eth("1.5"), payments: eth("0.495"), refunds: eth("0.5") });
+    expect(ethPeriods[0].net).to.equal(eth("0.505"));
+    expect(ethPeriods[1]).to.include({ fees: eth("0.014"), withdrawals: eth("0.019") });
+
+    // Date and supplier filters
+    const { movements } = buildReports(ledger, { since: ledger.movements[4].time, supplier: rival.address });
+    expect(movements.map((movement) => movement.reference)).to.deep.equal([
+      "order 2",
+      "order 2",
+      "order 2",
+      "order 2",
+      "escrow 1",
+      "escrow 1",
+    ]);
+  });
+
+  it("Should name ISO weeks, quarters and years in UTC", function () {
+    const at = (iso) => Date.parse(iso) / 1000;
+    expect(periodOf(at("2026-10-18T23:59:59Z"), "day")).to.equal("2026-10-18");
+    expect(periodOf(at("2026-10-18T12:00:00Z"), "week")).to.equal("2026-W42");
+    expect(periodOf(at("2027-01-01T00:00:00Z"), "week")).to.equal("2026-W53");
+    expect(periodOf(at("2024-12-30T00:00:00Z"), "week")).to.equal("2025-W01");
+    expect(periodOf(at("2026-10-18T00:00:00Z"), "quarter")).to.equal("2026-Q4");
+    expect(periodOf(at("2026-10-18T00:00:00Z"), "year")).to.equal("2026");
+    expect(() => periodOf(0, "fortnight")).to.throw("Unknown period: fortnight");
+  });
+
+  it("Should reconcile balances with open orders, escrows and fees, and flag mismatches", async function () {
+    const system = await loadFixture(tradingFixture);
+    const { payment, escrow, token } = system;
+    const ledger = await collect(system);
+
+    const result = await reconcile({ payment, escrow, ledger });
+    expect(result.balanced).to.be.true;
+    const accounts = result.accounts.map(({ contract, token: asset, open, fees, balance, status }) => [
+      contract,
+      asset,
+      open,
+      fees,
+      balance,
+      status,
+    ]);
+    expect(accounts).to.deep.equal([
+      ["SupplyChainPayment", "ETH", eth("0.5"), 0n, eth("0.5"), "ok"],
+      ["SupplyChainPayment", await token.getAddress(), eth("100"), 0n, eth("100"), "ok"],
+      ["PaymentEscrow", "ETH", eth("0.3"), 0n, eth("0.3"), "ok"],
+    ]);
+
+    // ETH forced into the contract is not owed to anyone
+    await setBalance(await payment.getAddress(), eth("0.5") + 1n);
+    const forced = await reconcile({ payment, escrow, ledger });
+    expect(forced.balanced).to.be.false;
+    expect(forced.accounts[0]).to.include({ status: "mismatch", difference: 1n, recorded: eth("0.5") });
+    expect(forced.accounts[1].status).to.equal("ok");
+  });
+
+  it("Should reconcile orders whose milestone shares round down once they are completed", async function () {
+    const system = await loadFixture(tradingFixture);
+    const { payment, escrow, buyer, supplier } = system;
+    const id = await payment.orderCounter();
+    await payment.connect(buyer).createOrder(supplier.address, "Odd lot", { value: 1001n });
+    for (const percentage of [33, 33, 34]) {
+      await payment.connect(buyer).addMilestone(id, `${percentage}%`, percentage);
+    }
+    await payment.connect(buyer).startOrder(id);
+    for (const milestone of [0, 1, 2]) {
+      await payment.connect(supplier).completeMilestone(id, milestone);
+      await payment.connect(buyer).approveMilestone(id, milestone);
+    }
+
+    const ledger = await collect(system);
+    const payments = ledger.movements.filter(
+      ({ reference, type }) => reference === `order ${id}` && type === "payment"
+    );
+    // The last approval is paid the 341 wei left, not 34% of the order
+    expect(payments.map(({ amount, fee }) => amount + fee)).to.deep.equal([330n, 330n, 341n]);
+    expect(payments.map(({ fee }) => fee)).to.deep.equal([6n, 6n, 6n]);
+
+    const result = await reconcile({ payment, escrow, ledger });
+    expect(result.balanced).to.be.true;
+    expect(result.accounts[0]).to.include({ open: eth("0.5"), fees: 18n, balance: eth("0.5") + 18n });
+  });
+
+  it("Should export the ledgers and reconcile through the accounting scope", async function () {
+    const system = await loadFixture(tradingFixture);
+    const { record, payment, supplier } = system;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "accounting-"));
+    const deployment = path.join(dir, "deployment-hardhat.json");
+    saveRecord(deployment, record);
+    const run = async (task, args = {}) => {
+      const { log } = console;
+      console.log = () => {};
+      try {
+        return await hre.run({ scope: "accounting", task }, { deployment, ...args });
+      } finally {
+        console.log = log;
+      }
+    };
+
+    try {
+      const exported = await run("export", { directory: path.join(dir, "reports"), supplier: supplier.address });
+      expect(exported).to.include({ movements: 4, suppliers: 2 });
+      const rows = readSheet(exported.files.suppliers, { columns: ["supplier", "token", "held"] });
+      expect(rows.find((row) => row.token === "ETH")).to.deep.equal({
+        supplier: supplier.address,
+        token: "ETH",
+        held: eth("0.8").toString(),
+      });
+      expect(readSheet(exported.files.movements, { columns: ["type"] })).to.have.length(4);
+
+      const json = await run("export", { directory: path.join(dir, "json"), format: "json", period: "year" });
+      expect(JSON.parse(fs.readFileSync(json.files.periods, "utf8"))[0].period).to.match(/^\d{4}$/);
+      await expect(run("export", { period: "fortnight" })).to.be.rejectedWith("Unknown period fortnight");
+
+      expect((await run("reconcile", { strict: true })).balanced).to.be.true;
+      await setBalance(await payment.getAddress(), eth("1"));
+      expect((await run("reconcile")).balanced).to.be.false;
+      await expect(run("reconcile", { strict: true })).to.be.rejectedWith(
+        `Balances do not reconcile: SupplyChainPayment ETH (${eth("0.5")})`
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
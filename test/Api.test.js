@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploy } = require("../lib/deployment");
+const { Store, Indexer, INDEXED_CONTRACTS } = require("../lib/indexer");
+const { createServer } = require("../lib/api");
+
+const silent = () => {};
+
+describe("API", function () {
+  let owner;
+  let supplier;
+  let rival;
+  let buyer;
+  let record;
+  let store;
+  let server;
+  let baseUrl;
+  let startedAt;
+
+  async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async function () {
+    [owner, supplier, rival, buyer] = await ethers.getSigners();
+    record = await deploy(hre, { log: silent, only: INDEXED_CONTRACTS });
+    const at = (name, signer) => ethers.getContractAt(name, record.contracts[name], signer);
+
+    const registry = await at("SupplierRegistry", owner);
+    for (const [account, name] of [
+      [supplier, "ACME Corp"],
+      [rival, "Globex"],
+    ]) {
+      await registry.connect(account).registerSupplier(name, `ops@${name}.com`, "", "");
+      await registry.verifySupplier(account.address);
+    }
+
+    // Order 0 stays in progress; the others are completed so the buyer can review them
+    const payment = await at("SupplyChainPayment", buyer);
+    startedAt = await time.latest();
+    for (const [index, account] of [supplier, supplier, rival, supplier].entries()) {
+      await payment.createOrder(account.address, `Order ${index}`, { value: 1000 });
+      await payment.addMilestone(index, "All", 100);
+      await payment.startOrder(index);
+      if (index > 0) {
+        await payment.connect(account).completeMilestone(index, 0);
+        await payment.approveMilestone(index, 0);
+      }
+      await time.increase(86400);
+    }
+
+    const reputation = await at("ReputationSystem", buyer);
+    await reputation.submitReview(supplier.address, 1, 4, "Good");
+    await reputation.submitReview(rival.address, 2, 5, "Great");
+    await reputation.submitReview(supplier.address, 3, 5, "Better");
+
+    const catalog = await at("ProductCatalog", supplier);
+    await catalog.addProduct("Widget", "", "", "Electronics", 100, 10);
+    await catalog.addProduct("Gadget", "", "", "Electronics", 200, 0);
+    await catalog.addProduct("Crate", "", "", "Packaging", 50, 5);
+
+    const tracker = await at("ShippingTracker", supplier);
+    const eta = (await time.latest()) + 86400;
+    await tracker.createShipment(0, 0, supplier.address, supplier.address, buyer.address, eta, "TRK-001");
+    await tracker.updateStatus(1, 1); // Delayed
+
+    const insurance = await at("InsuranceEscrow", owner);
+    await insurance.provideCapital({ value: 1000 });
+    await insurance.connect(buyer).createPolicy(1, buyer.address, 1000, 86400, 100, 3600, "POL-1", { value: 61 });
+
+    store = await Store.open();
+    await new Indexer({
+      provider: ethers.provider,
+      store,
+      contracts: record.contracts,
+      startBlock: record.blockNumber,
+    }).sync();
+
+    server = createServer({ store, network: "hardhat", contracts: record.contracts, log: silent });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    store.close();
+  });
+
+  it("Should report the indexed network and contracts", async function () {
+    const { status, body } = await get("/status");
+    expect(status).to.equal(200);
+    expect(body.data).to.include({ network: "hardhat", chainId: "31337" });
+    expect(body.data.indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(body.data.contracts.SupplyChainPayment).to.equal(record.contracts.SupplyChainPayment);
+  });
+
+  it("Should filter and paginate orders", async function () {
+    const bySupplier = await get(`/orders?supplier=${supplier.address}&limit=1`);
+    expect(bySupplier.body.data.map((order) => order.description)).to.deep.equal(["Order 3"]);
+    expect(bySupplier.body.pagination).to.deep.equal({ limit: 1, offset: 0, next: 1 });
+
+    const next = await get(`/orders?supplier=${supplier.address}&limit=2&offset=1`);
+    expect(next.body.data.map((order) => order.description)).to.deep.equal(["Order 1", "Order 0"]);
+
+    const inProgress = await get(`/orders?buyer=${buyer.address}&status=InProgress`);
+    expect(inProgress.body.data.map((order) => order.id)).to.deep.equal([0]);
+    expect(inProgress.body.pagination.next).to.equal(null);
+
+    const from = new Date((startedAt + 86400) * 1000).toISOString();
+    const range = await get(`/orders?from=${from}&to=${startedAt + 2 * 86400}`);
+    expect(range.body.data.map((order) => order.id)).to.deep.equal([1]);
+  });
+
+  it("Should return an order with its milestones and history", async function () {
+    const { body } = await get("/orders/0");
+    expect(body.data).to.include({ status: "InProgress", amount: "1000" });
+    expect(body.data.history.map((event) => event.name)).to.deep.equal([
+      "OrderCreated",
+      "MilestoneAdded",
+      "OrderStarted",
+    ]);
+
+    const milestones = await get("/orders/0/milestones");
+    expect(milestones.body.data).to.have.lengthOf(1);
+    expect(milestones.body.data[0]).to.include({ description: "All", percentage: 100, status: "Pending" });
+  });
+
+  it("Should rank suppliers by reputation", async function () {
+    const { body } = await get("/suppliers/leaderboard");
+    expect(body.data.map((row) => [row.rank, row.address, row.averageRating])).to.deep.equal([
+      [1, rival.address.toLowerCase(), 500],
+      [2, supplier.address.toLowerCase(), 450],
+    ]);
+
+    const reviews = await get(`/suppliers/${supplier.address}/reviews`);
+    expect(reviews.body.data.map((review) => review.comment)).to.deep.equal(["Good", "Better"]);
+  });
+
+  it("Should filter products by category and stock", async function () {
+    const { body } = await get("/products?category=Electronics&inStock=true");
+    expect(body.data.map((product) => product.name)).to.deep.equal(["Widget"]);
+
+    const product = await get("/products/2");
+    expect(product.body.data).to.include({ name: "Crate", category: "Packaging", price: "50" });
+  });
+
+  it("Should find shipments by tracking number and list policies", async function () {
+    const { body } = await get("/shipments/TRK-001");
+    expect(body.data).to.include({ id: 1, milestoneIndex: 0, status: "delayed" });
+    expect(body.data.updates.map((update) => update.status)).to.deep.equal(["in_transit", "delayed"]);
+
+    const policies = await get("/policies?shipmentId=1");
+    expect(policies.body.data[0]).to.include({ policyNumber: "POL-1", coverage: "1000", status: "Active" });
+  });
+
+  it("Should answer errors as JSON", async function () {
+    expect(await get("/orders/42")).to.deep.equal({ status: 404, body: { error: "Order 42 not found" } });
+    expect(await get("/orders?buyer=0x1234")).to.deep.equal({
+      status: 400,
+      body: { error: "Invalid buyer: 0x1234" },
+    });
+    expect((await get("/orders?status=Lost")).status).to.equal(400);
+    expect((await get("/orders?limit=1000")).body.error).to.equal("limit must be between 1 and 100");
+    expect((await get("/nowhere")).status).to.equal(404);
+
+    const response = await fetch(`${baseUrl}/orders`, { method: "POST" });
+    expect(response.status).to.equal(405);
+  });
+});
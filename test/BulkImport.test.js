@@ -0,0 +1,283 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deploySystemFixture } = require("./fixtures/system");
+const { saveRecord } = require("../lib/deployment/record");
+const {
+  importRows,
+  importProducts,
+  importSuppliers,
+  exportProducts,
+  exportSuppliers,
+  readSheet,
+} = require("../lib/bulk");
+
+describe("Bulk import/export", function () {
+  const CID = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bulk-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /// Writes a sheet into the test's directory
+  function sheet(name, contents) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof contents === "string" ? contents : JSON.stringify(contents));
+    return file;
+  }
+
+  const byRow = (results) => Object.fromEntries(results.map((result) => [result.row, result]));
+
+  describe("products", function () {
+    const PRODUCTS_CSV = [
+      "name,description,image_hash,category,price,inventory",
+      `Industrial Sensor,Rugged sensor,ipfs://${CID},Electronics,0.012,450`,
+      "Control Board,Control Board by ACME Manufacturing,,Electronics,0.05,120",
+      `Relay Module,"Switches 10A, 250V",${CID},Electronics,0.003,75`,
+      "Power Supply,,not-a-cid,Electronics,0.02,10",
+      "Cable Set,,,Electronics,free,10",
+      "Relay Module,Duplicate,,Electronics,0.004,5",
+    ].join("\n");
+
+    it("Should add, update and skip products by diffing against the catalog", async function () {
+      const { catalog, supplier, products } = await loadFixture(deploySystemFixture);
+      const file = sheet("products.csv", PRODUCTS_CSV);
+
+      const { summary, results } = await importProducts(catalog.connect(supplier), file);
+      expect(summary).to.deep.equal({ rows: 6, resumed: 0, updated: 1, unchanged: 1, added: 1, invalid: 3 });
+
+      const rows = byRow(results);
+      expect(rows[1]).to.include({ status: "updated", productId: Number(products.sensor.id) });
+      expect(rows[1].actions).to.deep.equal(["updateProduct", "updatePrice", "updateInventory"]);
+      expect(rows[2]).to.include({ status: "unchanged", productId: Number(products.board.id) });
+      expect(rows[2].transactions).to.be.empty;
+      expect(rows[3]).to.include({ status: "added", productId: 3, name: "Relay Module" });
+      expect(rows[4].error).to.equal("imageHash must be an IPFS CID (Qm... or b...), got not-a-cid");
+      expect(rows[5].error).to.match(/^price must be a positive amount in ETH/);
+      expect(rows[6].error).to.equal('Row 3 already changes new product "Relay Module"');
+
+      const sensor = await catalog.getProduct(products.sensor.id);
+      expect(sensor.description).to.equal("Rugged sensor");
+      expect(sensor.imageHash).to.equal(CID);
+      expect(sensor.price).to.equal(ethers.parseEther("0.012"));
+      expect(sensor.inventory).to.equal(450);
+      const added = await catalog.getProduct(3);
+      expect(added.supplier).to.equal(supplier.address);
+      expect(added.description).to.equal("Switches 10A, 250V");
+    });
+
+    it("Should validate categories and refuse other suppliers' and deactivated products", async function () {
+      const { catalog, supplier, products } = await loadFixture(deploySystemFixture);
+      await catalog.connect(supplier).deactivateProduct(products.board.id);
+      const file = sheet("products.json", {
+        products: [
+          { name: "Industrial Sensor", category: "Toys", price: "0.01", inventory: 500 },
+          { productId: 2, name: "Shipping Crate", category: "Electronics", price: "0.01", inventory: 1 },
+          { productId: 0, name: "Sensor", category: "Electronics", price: "0.01", inventory: 500 },
+          { name: "Control Board", category: "Electronics", price: "0.05", inventory: 120 },
+          { name: "Industrial Sensor", category: "Electronics", price: "0.01", inventory: 500, active: false },
+        ],
+      });
+
+      const { results } = await importProducts(catalog.connect(supplier), file, { categories: ["Electronics"] });
+      expect(results.map((result) => result.error)).to.deep.equal([
+        "category must be one of Electronics, got Toys",
+        "Product 2 is not one of the supplier's products",
+        'Product 0 is named "Industrial Sensor"; names cannot change',
+        "Product 1 is deactivated and cannot be updated",
+        null,
+      ]);
+      expect(results[4]).to.include({ status: "deactivated", productId: 0 });
+      expect((await catalog.getProduct(products.sensor.id)).isActive).to.be.false;
+    });
+
+    it("Should export sheets that import back unchanged", async function () {
+      const { catalog, supplier, rival } = await loadFixture(deploySystemFixture);
+      await importProducts(catalog.connect(supplier), sheet("products.csv", PRODUCTS_CSV));
+
+      for (const name of ["export.csv", "export.json"]) {
+        const file = path.join(dir, name);
+        expect(await exportProducts(catalog, file, { supplier: supplier.address })).to.equal(3);
+        const { summary } = await importProducts(catalog.connect(supplier), file);
+        expect(summary).to.deep.equal({ rows: 3, resumed: 0, unchanged: 3 });
+      }
+
+      const all = path.join(dir, "all.csv");
+      expect(await exportProducts(catalog, all)).to.equal(4);
+      const rows = readSheet(all, { columns: ["productId", "supplier", "name", "price", "active"] });
+      expect(rows[2]).to.deep.equal({
+        productId: "2",
+        supplier: rival.address,
+        name: "Shipping Crate",
+        price: "0.002",
+        active: "true",
+      });
+    });
+
+    it("Should plan without sending on a dry run", async function () {
+      const { catalog, supplier, products } = await loadFixture(deploySystemFixture);
+      const progressFile = path.join(dir, "progress.json");
+
+      const { summary, results } = await importProducts(
+        catalog.connect(supplier),
+        sheet("products.csv", PRODUCTS_CSV),
+        { dryRun: true, progressFile }
+      );
+      expect(summary).to.include({ planned: 2, unchanged: 1, invalid: 3 });
+      expect(results[2].actions).to.deep.equal(["addProduct"]);
+      expect(await catalog.productCounter()).to.equal(3);
+      expect((await catalog.getProduct(products.sensor.id)).inventory).to.equal(500);
+      expect(fs.existsSync(progressFile)).to.be.false;
+    });
+
+    it("Should resume an interrupted import without applying rows twice", async function () {
+      const { catalog, supplier } = await loadFixture(deploySystemFixture);
+      const file = sheet("products.csv", PRODUCTS_CSV);
+      const progressFile = path.join(dir, "state", "progress.json");
+      await importProducts(catalog.connect(supplier), file, { batchSize: 2, progressFile });
+
+      // As if the import had stopped after its first batch
+      const progress = JSON.parse(fs.readFileSync(progressFile, "utf8"));
+      expect(Object.keys(progress.rows)).to.deep.equal(["1", "2", "3"]);
+      delete progress.rows[3];
+      fs.writeFileSync(progressFile, JSON.stringify(progress));
+
+      const { summary, results } = await importProducts(catalog.connect(supplier), file, { progressFile });
+      expect(summary).to.deep.equal({ rows: 6, resumed: 2, updated: 1, unchanged: 2, invalid: 3 });
+      expect(results[0]).to.include({ status: "updated", resumed: true });
+      // The product row 3 added is found on-chain, so it is not added again
+      expect(results[2]).to.include({ status: "unchanged", productId: 3 });
+      expect(await catalog.productCounter()).to.equal(4);
+
+      // Another sheet starts over
+      const other = sheet("other.csv", "name,category,price,inventory\nFuse,Electronics,0.001,9");
+      expect((await importProducts(catalog.connect(supplier), other, { progressFile })).summary).to.include({
+        added: 1,
+        resumed: 0,
+      });
+    });
+  });
+
+  describe("suppliers", function () {
+    it("Should register, update, verify and deactivate suppliers from the accounts allowed to", async function () {
+      const { registry, owner, supplier, rival } = await loadFixture(deploySystemFixture);
+      const [newcomer] = (await ethers.getSigners()).slice(5);
+      const rows = [
+        {
+          address: supplier.address,
+          businessName: "ACME Manufacturing",
+          contactEmail: "orders@acme.example",
+          businessAddress: "2 Harbour Road",
+          documentHash: CID,
+          categories: ["Electronics", "Robotics"],
+          tags: ["iso-9001"],
+        },
+        { address: newcomer.address, businessName: "Initech", contactEmail: "hi@initech.example", verified: true },
+        { address: rival.address, businessName: "Globex", contactEmail: "sales@globex.example" },
+        { address: "0x1234", businessName: "Nobody", contactEmail: "no@where.example" },
+      ];
+
+      // The supplier sends its own profile changes, but not the owner's
+      const own = await importSuppliers(registry.connect(supplier), sheet("acme.json", rows.slice(0, 1)));
+      expect(own.results[0].error).to.equal(
+        `addCategory must be sent by the registry owner (${owner.address}); import this row from that account`
+      );
+      const acme = { ...rows[0], categories: ["Electronics"] };
+      expect((await importSuppliers(registry.connect(supplier), sheet("acme2.json", [acme]))).results[0]).to.include({
+        status: "updated",
+      });
+      expect(await registry.getSupplierTags(supplier.address)).to.deep.equal(["iso-9001"]);
+
+      const { results } = await importSuppliers(registry, sheet("suppliers.json", { suppliers: rows }));
+      expect(results.map((result) => result.status)).to.deep.equal(["updated", "invalid", "invalid", "invalid"]);
+      expect(results[0].actions).to.deep.equal(["addCategory"]);
+      expect(results[1].error).to.match(/^registerSupplier must be sent by the supplier/);
+      expect(results[2].error).to.equal('Registered as "Globex Packaging"; the business name cannot change');
+      expect(results[3].error).to.equal("address must be an account address, got 0x1234");
+
+      // Once the newcomer has registered, the owner verifies them
+      const newcomerRow = sheet(
+        "initech.csv",
+        `address,businessName,contactEmail\n${newcomer.address},Initech,hi@x.io`
+      );
+      expect((await importSuppliers(registry.connect(newcomer), newcomerRow)).results[0]).to.include({
+        status: "registered",
+      });
+      const verify = sheet(
+        "verify.csv",
+        `address,business name,contact email,verified\n${newcomer.address},Initech,hi@x.io,yes`
+      );
+      await importSuppliers(registry, verify);
+      expect((await registry.suppliers(newcomer.address)).isVerified).to.be.true;
+
+      const exported = path.join(dir, "export.csv");
+      expect(await exportSuppliers(registry, exported)).to.equal(3);
+      const [first] = readSheet(exported, { columns: ["address", "categories", "tags", "documentHash"] });
+      expect(first).to.deep.equal({
+        address: supplier.address,
+        categories: "Electronics;Robotics",
+        tags: "iso-9001",
+        documentHash: CID,
+      });
+    });
+
+    it("Should name the custom error of a rejected transaction", async function () {
+      const { registry, supplier, rival } = await loadFixture(deploySystemFixture);
+      // Planned as if the rival were a verifier, e.g. one whose role was revoked since
+      const [result] = await importRows({
+        rows: [{ address: supplier.address }],
+        sheet: "revoked",
+        contract: registry.connect(rival),
+        validate: (row) => row,
+        identify: (row) => ({ address: row.address }),
+        plan: async ({ address }) => ({ status: "updated", actions: [{ method: "verifySupplier", args: [address] }] }),
+      });
+      expect(result).to.include({
+        status: "failed",
+        error: `AccessControlUnauthorizedAccount(${rival.address}, ${await registry.VERIFIER_ROLE()})`,
+      });
+    });
+  });
+
+  describe("CLI", function () {
+    it("Should import with a report and export through the products scope", async function () {
+      const { record, catalog, supplier } = await loadFixture(deploySystemFixture);
+      const deployment = path.join(dir, "deployment-hardhat.json");
+      saveRecord(deployment, record);
+      const file = sheet(
+        "products.csv",
+        "name,category,price,inventory\nFuse,Electronics,0.001,9\nBad,Electronics,0,1"
+      );
+      const run = async (task, args) => {
+        const { log } = console;
+        console.log = () => {};
+        try {
+          return await hre.run({ scope: "products", task }, { deployment, ...args });
+        } finally {
+          console.log = log;
+        }
+      };
+
+      const progress = path.join(dir, "progress.json");
+      const result = await run("import", { file, from: supplier.address, batchSize: "20", progress });
+      expect(result.summary).to.include({ added: 1, invalid: 1 });
+      expect(result.report).to.equal(path.join(dir, "products.report.csv"));
+      expect(result.problems.map((problem) => problem.row)).to.deep.equal([2]);
+      const report = readSheet(result.report, { columns: ["row", "status", "productId", "actions"] });
+      expect(report[0]).to.deep.equal({ row: "1", status: "added", productId: "3", actions: "addProduct" });
+
+      const exported = await run("export", { file: path.join(dir, "catalog.json"), supplier: supplier.address });
+      expect(exported.products).to.equal(3);
+      expect(await catalog.productCounter()).to.equal(4);
+    });
+  });
+});
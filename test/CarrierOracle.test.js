@@ -0,0 +1,232 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deploySystemFixture } = require("./fixtures/system");
+const { CarrierOracle, createFeedServer, parseFeed, verifyAttestation } = require("../lib/oracle");
+
+const FEEDS = path.join(__dirname, "fixtures", "feeds");
+const JSON_FEED = path.join(FEEDS, "harbor-express.json");
+const CSV_FEED = path.join(FEEDS, "swift-freight.csv");
+
+describe("CarrierOracle", function () {
+  const ShipmentStatus = { InTransit: 0, Delayed: 1, Delivered: 2, Lost: 3 };
+
+  /// The system fixture with one started order whose milestones ship as HX-1001, HX-1002 and SF-2001
+  async function shipmentsFixture() {
+    const system = await deploySystemFixture();
+    const { payment, shipping, buyer, supplier, carrier } = system;
+    const [feed] = (await ethers.getSigners()).slice(5);
+
+    await payment.connect(buyer).createOrder(supplier.address, "Control boards", { value: 3000 });
+    for (const [index, percentage] of [40, 30, 30].entries()) {
+      await payment.connect(buyer).addMilestone(0, `Lot ${index + 1}`, percentage);
+    }
+    await payment.connect(buyer).startOrder(0);
+    for (const [index, tracking] of ["HX-1001", "HX-1002", "SF-2001"].entries()) {
+      await shipping
+        .connect(supplier)
+        .createShipment(0, index, carrier.address, supplier.address, buyer.address, 0, tracking);
+    }
+    await shipping.setCarrier(feed.address, true);
+    return { ...system, feed };
+  }
+
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "oracle-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function oracle({ shipping, feed }, options = {}) {
+    return new CarrierOracle({
+      tracker: shipping,
+      signer: feed,
+      stateFile: path.join(dir, "state.json"),
+      attestationFile: path.join(dir, "attestations.jsonl"),
+      baseDelayMs: 0,
+      ...options,
+    });
+  }
+
+  const statusOf = async (shipping, tracking) => (await shipping.getShipmentByTracking(tracking)).status;
+
+  it("Should push the fixture feeds on-chain", async function () {
+    const system = await loadFixture(shipmentsFixture);
+    const { shipping, payment } = system;
+    const service = oracle(system);
+
+    const fromJson = await service.processFile(JSON_FEED);
+    expect(fromJson).to.include({ carrier: "harbor-express", received: 5, duplicates: 0, queued: 5 });
+    expect(fromJson).to.include({ applied: 3, unchanged: 1, ignored: 1, rejected: 0, failed: 0 });
+    expect(await statusOf(shipping, "HX-1001")).to.equal(ShipmentStatus.Delivered);
+    expect(await statusOf(shipping, "HX-1002")).to.equal(ShipmentStatus.Delayed);
+    expect((await payment.getMilestone(0, 0)).isCompleted).to.be.true;
+
+    const delivered = fromJson.events.find((event) => event.id === "harbor-express:HX-E3");
+    expect(delivered).to.include({ trackingNumber: "HX-1001", status: "delivered", outcome: "applied", shipmentId: 1 });
+    const receipt = await ethers.provider.getTransactionReceipt(delivered.transaction);
+    expect(receipt.from).to.equal(system.feed.address);
+
+    // The CSV feed has no carrier field, repeats a row and refers to the time in two formats
+    const fromCsv = await service.processFile(CSV_FEED);
+    expect(fromCsv).to.include({ carrier: "swift-freight", received: 3, duplicates: 1, applied: 1, unchanged: 1 });
+    expect(await statusOf(shipping, "SF-2001")).to.equal(ShipmentStatus.Lost);
+  });
+
+  it("Should handle each event once, across deliveries and restarts", async function () {
+    const system = await loadFixture(shipmentsFixture);
+    await oracle(system).processFile(JSON_FEED);
+
+    const again = await oracle(system).processFile(JSON_FEED);
+    expect(again).to.include({ received: 5, duplicates: 5, queued: 0, attestation: null, applied: 0 });
+
+    const state = JSON.parse(fs.readFileSync(path.join(dir, "state.json"), "utf8"));
+    expect(state.handled["harbor-express:HX-E4"]).to.deep.equal({ outcome: "ignored", transaction: null });
+  });
+
+  it("Should sign an attestation of the raw data behind every update", async function () {
+    const system = await loadFixture(shipmentsFixture);
+    const result = await oracle(system).processFile(CSV_FEED);
+
+    const [attestation] = fs
+      .readFileSync(path.join(dir, "attestations.jsonl"), "utf8")
+      .trim()
+      .split("\n")
+      .map(JSON.parse);
+    expect(attestation.id).to.equal(result.attestation);
+    expect(attestation).to.include({
+      oracle: system.feed.address.toLowerCase(),
+      source: CSV_FEED,
+      carrier: "swift-freight",
+      raw: fs.readFileSync(CSV_FEED, "utf8"),
+    });
+    expect(attestation.events).to.deep.equal(result.events.map((event) => event.id));
+    expect(verifyAttestation(attestation)).to.be.true;
+
+    expect(verifyAttestation({ ...attestation, raw: attestation.raw.replace("lost", "delivered") })).to.be.false;
+    expect(verifyAttestation({ ...attestation, events: [] })).to.be.false;
+    const forged = await system.buyer.signMessage("forged");
+    expect(verifyAttestation({ ...attestation, signature: forged })).to.be.false;
+  });
+
+  it("Should send one transition per shipment and batch, in event time order", async function () {
+    const system = await loadFixture(shipmentsFixture);
+    const feed = [
+      { trackingNumber: "HX-1001", status: "delivered", timestamp: 30 },
+      { trackingNumber: "HX-1002", status: "delayed", timestamp: 10 },
+      { trackingNumber: "HX-1001", status: "delayed", timestamp: 10 },
+      { trackingNumber: "HX-1001", status: "in_transit", timestamp: 20 },
+    ];
+    const result = await oracle(system, { batchSize: 1 }).process(JSON.stringify(feed), { source: "test" });
+
+    expect(result.applied).to.equal(4);
+    const order = result.events.filter((event) => event.trackingNumber === "HX-1001").map((event) => event.status);
+    expect(order).to.deep.equal(["delayed", "in_transit", "delivered"]);
+    const blocks = [];
+    for (const event of result.events) {
+      blocks.push((await ethers.provider.getTransactionReceipt(event.transaction)).blockNumber);
+    }
+    expect(blocks).to.deep.equal([...blocks].sort((a, b) => a - b));
+  });
+
+  it("Should resynchronize its nonce when the account is used elsewhere", async function () {
+    const system = await loadFixture(shipmentsFixture);
+    const service = oracle(system);
+    await service.process(JSON.stringify([{ trackingNumber: "HX-1001", status: "delayed", timestamp: 1 }]));
+
+    // Spends the nonce the oracle would use next
+    await system.feed.sendTransaction({ to: system.buyer.address, value: 1 });
+    const result = await service.process(JSON.stringify([{ trackingNumber: "HX-1002", status: "lost", timestamp: 2 }]));
+    expect(result).to.include({ applied: 1, retries: 1 });
+    expect(await statusOf(system.shipping, "HX-1002")).to.equal(ShipmentStatus.Lost);
+  });
+
+  it("Should report rejected, unknown and invalid events, and retry rejected ones later", async function () {
+    const system = await loadFixture(shipmentsFixture);
+    const { shipping, feed } = system;
+    const events = JSON.stringify([
+      { trackingNumber: "HX-1001", status: "lost", timestamp: 1 },
+      { trackingNumber: "HX-1001", status: "delivered", timestamp: 2 },
+      { trackingNumber: "NOPE-1", status: "delivered", timestamp: 1 },
+    ]);
+
+    await shipping.setCarrier(feed.address, false);
+    const service = oracle(system);
+    const first = await service.process(events, { source: "test" });
+    expect(first).to.include({ rejected: 1, blocked: 1, unknown: 1, applied: 0 });
+    expect(first.events.find((event) => event.outcome === "rejected").reason).to.equal(
+      "Only shipper or authorized carrier"
+    );
+
+    // Nothing was handled, so the whole feed is tried again
+    await shipping.setCarrier(feed.address, true);
+    const second = await service.process(events, { source: "test" });
+    expect(second).to.include({ duplicates: 0, applied: 1, invalid: 1, unknown: 1 });
+    expect(second.events.find((event) => event.outcome === "invalid").reason).to.equal(
+      "Cannot move from lost to delivered"
+    );
+    expect(await statusOf(shipping, "HX-1001")).to.equal(ShipmentStatus.Lost);
+  });
+
+  it("Should accept feeds over HTTP", async function () {
+    const system = await loadFixture(shipmentsFixture);
+    const server = createFeedServer({ oracle: oracle(system), token: "s3cret", log: () => {} });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const post = (pathname, body, headers = {}) =>
+      fetch(`${url}${pathname}`, {
+        method: "POST",
+        headers: { Authorization: "Bearer s3cret", "Content-Type": "text/csv", ...headers },
+        body,
+      });
+
+    try {
+      const csv = fs.readFileSync(CSV_FEED);
+      expect((await post("/feeds/swift-freight", csv, { Authorization: "Bearer nope" })).status).to.equal(401);
+      expect((await fetch(`${url}/feeds`)).status).to.equal(405);
+      expect((await post("/status", csv)).status).to.equal(404);
+
+      const response = await post("/feeds/swift-freight", csv);
+      expect(response.status).to.equal(200);
+      const { data } = await response.json();
+      expect(data).to.include({ source: "POST /feeds/swift-freight", carrier: "swift-freight", applied: 1 });
+      expect(await statusOf(system.shipping, "SF-2001")).to.equal(ShipmentStatus.Lost);
+
+      const invalid = await post("/feeds", "{ not json", { "Content-Type": "application/json" });
+      expect(invalid.status).to.equal(400);
+      expect((await invalid.json()).error).to.match(/^Invalid JSON feed/);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  describe("parseFeed", function () {
+    it("Should read loosely named CSV columns, quoted fields and carrier statuses", function () {
+      const csv = 'trackingNumber,EVENT,occurred_at,location\r\nT-1,Held at customs,1700000000,"Dover, ""UK"""\r\n';
+      const { events } = parseFeed(csv, {
+        carrier: "acme",
+        statusMaps: { acme: { "held at customs": "delayed" } },
+      });
+      expect(events).to.have.lengthOf(1);
+      expect(events[0]).to.include({ carrier: "acme", trackingNumber: "T-1", status: "delayed" });
+      expect(events[0]).to.include({ timestamp: 1700000000, location: 'Dover, "UK"' });
+      expect(events[0].id).to.match(/^acme:[0-9a-f]{64}$/);
+
+      expect(parseFeed(csv).events[0].status).to.be.null;
+      expect(() => parseFeed('[{"trackingNumber":"T-1","status":"lost"}]')).to.throw(
+        "Feed event 0 needs a tracking number, a status and a timestamp"
+      );
+      expect(() => parseFeed(csv, { carrier: "acme", statusMaps: { acme: { "held at customs": "held" } } })).to.throw(
+        "Status Held at customs maps to unknown shipment status held"
+      );
+    });
+  });
+});
@@ -0,0 +1,261 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { manifest, planDeployment, deploy, refs } = require("../lib/deployment");
+
+const silent = () => {};
+
+describe("Deployment Engine", function () {
+  describe("Planning", function () {
+    it("Should keep manifest order for independent contracts", function () {
+      const plan = planDeployment([{ name: "A" }, { name: "B" }, { name: "C" }]);
+      expect(plan.map((e) => e.name)).to.deep.equal(["A", "B", "C"]);
+    });
+
+    it("Should order dependencies before dependents", function () {
+      const plan = planDeployment([
+        { name: "Payment", args: [refs.address("Registry")] },
+        { name: "Escrow", calls: [{ method: "link", args: [refs.address("Payment")] }] },
+        { name: "Registry" },
+      ]);
+      expect(plan.map((e) => e.name)).to.deep.equal(["Registry", "Payment", "Escrow"]);
+    });
+
+    it("Should deploy call targets before the entry calling them", function () {
+      const plan = planDeployment([
+        { name: "Payment", calls: [{ target: "Reputation", method: "setRecorder", args: [refs.address("Payment")] }] },
+        { name: "Reputation" },
+      ]);
+      expect(plan.map((e) => e.name)).to.deep.equal(["Reputation", "Payment"]);
+    });
+
+    it("Should honour explicit dependsOn", function () {
+      const plan = planDeployment([{ name: "A", dependsOn: ["B"] }, { name: "B" }]);
+      expect(plan.map((e) => e.name)).to.deep.equal(["B", "A"]);
+    });
+
+    it("Should restrict the plan to requested contracts and their dependencies", function () {
+      const plan = planDeployment(
+        [{ name: "A" }, { name: "B", args: [refs.address("A")] }, { name: "C" }],
+        ["B"]
+      );
+      expect(plan.map((e) => e.name)).to.deep.equal(["A", "B"]);
+    });
+
+    it("Should reject dependency cycles", function () {
+      expect(() =>
+        planDeployment([{ name: "A", dependsOn: ["B"] }, { name: "B", dependsOn: ["A"] }])
+      ).to.throw("Dependency cycle");
+    });
+
+    it("Should reject unknown dependencies", function () {
+      expect(() => planDeployment([{ name: "A", dependsOn: ["Missing"] }])).to.throw(
+        "A depends on unknown contract Missing"
+      );
+    });
+
+    it("Should reject duplicate entries", function () {
+      expect(() => planDeployment([{ name: "A" }, { name: "A" }])).to.throw("Duplicate manifest entry: A");
+    });
+
+    it("Should plan every contract in the default manifest", function () {
+      const names = planDeployment(manifest).map((e) => e.name);
+      expect(names).to.include.members([
+        "SupplyChainPayment",
+        "ShippingTracker",
+        "InsuranceEscrow",
+        "WarehouseRegistry",
+        "LogisticsProvider",
+        "CustomsCompliance",
+      ]);
+      expect(names).to.have.lengthOf(manifest.length);
+    });
+  });
+
+  describe("Reference resolution", function () {
+    const context = { addresses: { A: "0xA" }, deployer: "0xD", env: { SET: "value" } };
+
+    it("Should resolve addresses, deployer and env references", function () {
+      const resolved = refs.resolve(
+        [refs.address("A"), refs.deployer(), refs.env("SET"), refs.env("UNSET", refs.deployer()), 7],
+        context
+      );
+      expect(resolved).to.deep.equal(["0xA", "0xD", "value", "0xD", 7]);
+    });
+
+    it("Should split comma-separated lists", function () {
+      const list = refs.list(refs.env("SIGNERS", [refs.address("A"), "0xB,0xC"]));
+      expect(refs.resolve(list, context)).to.deep.equal(["0xA", "0xB", "0xC"]);
+      expect(refs.resolve(list, { ...context, env: { SIGNERS: "0xE, 0xF," } })).to.deep.equal(["0xE", "0xF"]);
+      expect(refs.addressRefs(list)).to.deep.equal(["A"]);
+    });
+
+    it("Should fail on missing env variables without fallback", function () {
+      expect(() => refs.resolve(refs.env("UNSET"), context)).to.throw("Environment variable UNSET is not set");
+    });
+  });
+
+  describe("Deploying", function () {
+    it("Should deploy the full manifest and run post-deploy calls", async function () {
+      const [deployer] = await ethers.getSigners();
+      const info = await deploy(hre, { env: {}, log: silent });
+
+      expect(Object.keys(info.contracts)).to.have.lengthOf(manifest.length);
+      expect(info.network).to.equal("hardhat");
+      expect(info.deployer).to.equal(deployer.address);
+
+      const inspector = await ethers.getContractAt("QualityInspector", info.contracts.QualityInspector);
+      expect(await inspector.isInspector(deployer.address)).to.be.true;
+
+      const customs = await ethers.getContractAt("CustomsRegistry", info.contracts.CustomsRegistry);
+      expect(await customs.isAuthorized("US", deployer.address)).to.be.true;
+
+      const payment = await ethers.getContractAt("SupplyChainPayment", info.contracts.SupplyChainPayment);
+      const reputation = await ethers.getContractAt("ReputationSystem", info.contracts.ReputationSystem);
+      expect(await payment.supplierRegistry()).to.equal(info.contracts.SupplierRegistry);
+      expect(await payment.reputationSystem()).to.equal(info.contracts.ReputationSystem);
+      expect(await reputation.orderRecorder()).to.equal(info.contracts.SupplyChainPayment);
+      expect(info.artifacts.SupplyChainPayment.calls[1]).to.deep.equal({
+        method: "setOrderRecorder",
+        args: [info.contracts.SupplyChainPayment],
+        target: info.contracts.ReputationSystem,
+      });
+    });
+
+    it("Should pass deployed addresses into later calls", async function () {
+      const info = await deploy(hre, {
+        log: silent,
+        manifest: [
+          {
+            name: "QualityInspector",
+            calls: [{ method: "addInspector", args: [refs.address("CustomsRegistry")] }],
+          },
+          { name: "CustomsRegistry" },
+        ],
+      });
+
+      const inspector = await ethers.getContractAt("QualityInspector", info.contracts.QualityInspector);
+      expect(await inspector.isInspector(info.contracts.CustomsRegistry)).to.be.true;
+    });
+  });
+
+  describe("Resuming", function () {
+    // Inspector depends on Registry through a post-deploy call; Token is unrelated
+    const resumeManifest = [
+      { name: "Registry", contract: "CustomsRegistry" },
+      {
+        name: "Inspector",
+        contract: "QualityInspector",
+        calls: [{ method: "addInspector", args: [refs.address("Registry")] }],
+      },
+      { name: "Token", contract: "SupplyChainToken" },
+    ];
+
+    async function deployWithRecord(options = {}) {
+      const saved = [];
+      const record = await deploy(hre, {
+        manifest: resumeManifest,
+        log: silent,
+        save: (snapshot) => saved.push(JSON.parse(JSON.stringify(snapshot))),
+        ...options,
+      });
+      return { record, saved };
+    }
+
+    it("Should save the record after every step with bytecode hashes", async function () {
+      const { record, saved } = await deployWithRecord();
+
+      // 3 deployments + 1 post-deploy call
+      expect(saved).to.have.lengthOf(4);
+      expect(Object.keys(saved[0].contracts)).to.deep.equal(["Registry"]);
+
+      const artifact = await hre.artifacts.readArtifact("CustomsRegistry");
+      expect(record.artifacts.Registry.bytecodeHash).to.equal(ethers.keccak256(artifact.deployedBytecode));
+      expect(record.artifacts.Inspector.calls).to.deep.equal([
+        { method: "addInspector", args: [record.contracts.Registry] },
+      ]);
+      expect(record.blockNumber).to.equal(record.artifacts.Registry.blockNumber);
+    });
+
+    it("Should skip unchanged contracts on rerun", async function () {
+      const { record: first } = await deployWithRecord();
+      const blockBefore = await ethers.provider.getBlockNumber();
+
+      const { record: second, saved } = await deployWithRecord({ record: first });
+
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+      expect(second.contracts).to.deep.equal(first.contracts);
+      expect(saved).to.have.lengthOf(0);
+    });
+
+    it("Should only deploy what is missing after a failure", async function () {
+      const { record: partial } = await deployWithRecord({ only: ["Registry"] });
+      const { record } = await deployWithRecord({ record: partial });
+
+      expect(record.contracts.Registry).to.equal(partial.contracts.Registry);
+      expect(record.contracts.Token).to.be.properAddress;
+      expect(record.contracts.Inspector).to.be.properAddress;
+    });
+
+    it("Should redeploy contracts whose code is missing on-chain", async function () {
+      const { record: first } = await deployWithRecord();
+      const stale = JSON.parse(JSON.stringify(first));
+      stale.contracts.Token = ethers.Wallet.createRandom().address;
+
+      const { record } = await deployWithRecord({ record: stale });
+      expect(record.contracts.Token).to.not.equal(stale.contracts.Token);
+      expect(record.contracts.Registry).to.equal(first.contracts.Registry);
+    });
+
+    it("Should force a redeploy and update dependents", async function () {
+      const { record: first } = await deployWithRecord();
+      const { record } = await deployWithRecord({
+        record: JSON.parse(JSON.stringify(first)),
+        force: ["Registry"],
+      });
+
+      expect(record.contracts.Registry).to.not.equal(first.contracts.Registry);
+      expect(record.contracts.Token).to.equal(first.contracts.Token);
+
+      // Inspector is kept but its post-deploy call is re-run with the new address
+      expect(record.contracts.Inspector).to.equal(first.contracts.Inspector);
+      const inspector = await ethers.getContractAt("QualityInspector", record.contracts.Inspector);
+      expect(await inspector.isInspector(record.contracts.Registry)).to.be.true;
+    });
+
+    it("Should update the dependents of a forced contract outside the requested ones", async function () {
+      const { record: first } = await deployWithRecord();
+      const { record } = await deployWithRecord({
+        record: JSON.parse(JSON.stringify(first)),
+        only: ["Token"],
+        force: ["Registry"],
+      });
+
+      expect(record.contracts.Registry).to.not.equal(first.contracts.Registry);
+      const inspector = await ethers.getContractAt("QualityInspector", record.contracts.Inspector);
+      expect(await inspector.isInspector(record.contracts.Registry)).to.be.true;
+      expect(record.artifacts.Inspector.calls).to.deep.equal([
+        { method: "addInspector", args: [record.contracts.Registry] },
+      ]);
+    });
+
+    it("Should adopt address-only records when the on-chain code matches", async function () {
+      const { record: first } = await deployWithRecord({ only: ["Token"] });
+      const legacy = { chainId: first.chainId, contracts: { Token: first.contracts.Token } };
+
+      const { record } = await deployWithRecord({ record: legacy, only: ["Token"] });
+      expect(record.contracts.Token).to.equal(first.contracts.Token);
+      expect(record.artifacts.Token.bytecodeHash).to.equal(first.artifacts.Token.bytecodeHash);
+    });
+
+    it("Should refuse a record from another chain", async function () {
+      await expect(deployWithRecord({ record: { chainId: 1, contracts: {} } })).to.be.rejectedWith(
+        "Deployment record is for chain 1"
+      );
+    });
+
+    it("Should reject unknown contracts in force", async function () {
+      await expect(deployWithRecord({ force: ["Nope"] })).to.be.rejectedWith("Unknown contract: Nope");
+    });
+  });
+});
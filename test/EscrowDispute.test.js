@@ -1,10 +1,243 @@
 const { expect } = require("chai");
 const hre = require("hardhat");
 const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
 describe("EscrowDispute", function () {
-  it("Should handle dispute logic", async function () {
-      // Mock test for dispute resolution
-    expect(true).to.be.true;
+  const amount = 1000n;
+
+  async function deployFixture() {
+    const [owner, buyer, seller, ...arbiters] = await ethers.getSigners();
+    const registry = await ethers.deployContract("ArbitratorRegistry");
+    const escrow = await ethers.deployContract("PaymentEscrow", [await registry.getAddress()]);
+
+    await escrow.connect(buyer).createEscrow(7, seller.address, ethers.ZeroAddress, amount, 0);
+    await escrow.connect(buyer).fundEscrow(1, { value: amount });
+    await escrow.connect(buyer).raiseDispute(1);
+
+    return { escrow, registry, owner, buyer, seller, arbiters: arbiters.slice(0, 4) };
+  }
+
+  async function escalatedFixture() {
+    const fixture = await deployFixture();
+    const { escrow, registry, buyer, arbiters } = fixture;
+    for (const arbiter of arbiters.slice(0, 3)) {
+      await registry.addArbitrator(arbiter.address);
+    }
+    await escrow.connect(buyer).escalateDispute(1);
+    await time.increase(await escrow.evidencePeriod());
+    return fixture;
+  }
+
+  describe("Evidence", function () {
+    it("Should collect evidence from both parties during the evidence period", async function () {
+      const { escrow, owner, buyer, seller } = await loadFixture(deployFixture);
+
+      await expect(escrow.connect(seller).submitEvidence(1, "ipfs://delivery-note"))
+        .to.emit(escrow, "EvidenceSubmitted")
+        .withArgs(1, seller.address, "ipfs://delivery-note");
+      await escrow.connect(buyer).submitEvidence(1, "ipfs://photos");
+      await expect(escrow.connect(owner).submitEvidence(1, "ipfs://x")).to.be.revertedWith(
+        "Only the parties can submit evidence"
+      );
+      await expect(escrow.connect(buyer).submitEvidence(1, "")).to.be.revertedWith("Evidence required");
+
+      const evidence = await escrow.getEvidence(1);
+      expect(evidence.map((item) => [item.party, item.evidence])).to.deep.equal([
+        [seller.address, "ipfs://delivery-note"],
+        [buyer.address, "ipfs://photos"],
+      ]);
+
+      await time.increase(await escrow.evidencePeriod());
+      await expect(escrow.connect(buyer).submitEvidence(1, "ipfs://late")).to.be.revertedWith("Evidence period over");
+    });
+
+    it("Should only let the owner change the evidence period", async function () {
+      const { escrow, buyer } = await loadFixture(deployFixture);
+
+      await expect(escrow.connect(buyer).setEvidencePeriod(0)).to.be.revertedWithCustomError(
+        escrow,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(escrow.setEvidencePeriod(31 * 24 * 60 * 60)).to.be.revertedWith("Evidence period too long");
+      await expect(escrow.setEvidencePeriod(60)).to.emit(escrow, "EvidencePeriodUpdated").withArgs(60);
+    });
+  });
+
+  describe("Owner resolution", function () {
+    it("Should split the escrow between seller and buyer", async function () {
+      const { escrow, owner, buyer, seller } = await loadFixture(deployFixture);
+
+      await expect(escrow.resolveDispute(1, 25)).to.be.revertedWith("Evidence period not over");
+      await time.increase(await escrow.evidencePeriod());
+
+      const tx = escrow.resolveDispute(1, 25);
+      await expect(tx).to.emit(escrow, "EscrowResolved").withArgs(1, owner.address, 25, 250, 750);
+      await expect(tx).to.changeEtherBalances([seller, buyer], [250, 750]);
+      expect((await escrow.escrows(1)).status).to.equal(2); // Completed
+      await expect(escrow.resolveDispute(1, 25)).to.be.revertedWith("Not in dispute");
+    });
+
+    it("Should mark a full refund as refunded", async function () {
+      const { escrow, buyer } = await loadFixture(deployFixture);
+      await time.increase(await escrow.evidencePeriod());
+
+      await expect(escrow.resolveDispute(1, 0)).to.changeEtherBalance(buyer, amount);
+      expect((await escrow.escrows(1)).status).to.equal(3); // Refunded
+    });
+
+    it("Should not refund a disputed escrow outside of the dispute", async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      await expect(escrow.refundBuyer(1)).to.be.revertedWith("Invalid status");
+    });
+  });
+
+  describe("Arbitration", function () {
+    it("Should need enough registered arbitrators to escalate", async function () {
+      const { escrow, registry, owner, buyer, arbiters } = await loadFixture(deployFixture);
+
+      await expect(escrow.connect(owner).escalateDispute(1)).to.be.revertedWith("Only the parties can escalate");
+      await expect(escrow.connect(buyer).escalateDispute(1)).to.be.revertedWith("Not enough arbitrators");
+
+      await registry.setQuorum(2);
+      await registry.addArbitrator(arbiters[0].address);
+      await registry.addArbitrator(arbiters[1].address);
+      await expect(escrow.connect(buyer).escalateDispute(1))
+        .to.emit(escrow, "DisputeEscalated")
+        .withArgs(1, buyer.address, 2);
+      await expect(escrow.connect(buyer).escalateDispute(1)).to.be.revertedWith("Already escalated");
+    });
+
+    it("Should only count arbitrators who can vote on the dispute towards the quorum", async function () {
+      const { escrow, registry, buyer, seller, arbiters } = await loadFixture(deployFixture);
+      await registry.setQuorum(2);
+      await registry.addArbitrator(arbiters[0].address);
+      // Parties cannot vote on their own dispute
+      await registry.addArbitrator(buyer.address);
+      await registry.addArbitrator(seller.address);
+      await expect(escrow.connect(buyer).escalateDispute(1)).to.be.revertedWith("Not enough arbitrators");
+
+      await registry.addArbitrator(arbiters[1].address);
+      await expect(escrow.connect(buyer).escalateDispute(1)).to.emit(escrow, "DisputeEscalated");
+    });
+
+    it("Should settle with the average vote once the quorum is reached", async function () {
+      const { escrow, buyer, seller, arbiters } = await loadFixture(escalatedFixture);
+
+      await expect(escrow.connect(arbiters[0]).castVote(1, 100))
+        .to.emit(escrow, "ArbitratorVoted")
+        .withArgs(1, arbiters[0].address, 100);
+      await escrow.connect(arbiters[1]).castVote(1, 50);
+      expect((await escrow.arbitrations(1)).voteCount).to.equal(2);
+      expect((await escrow.escrows(1)).status).to.equal(4); // still Disputed
+
+      // (100 + 50 + 0) / 3 = 50
+      const tx = escrow.connect(arbiters[2]).castVote(1, 0);
+      await expect(tx).to.emit(escrow, "EscrowResolved").withArgs(1, arbiters[2].address, 50, 500, 500);
+      await expect(tx).to.changeEtherBalances([seller, buyer], [500, 500]);
+      expect((await escrow.arbitrations(1)).resolved).to.be.true;
+    });
+
+    it("Should reject votes from outsiders, parties and repeat voters", async function () {
+      const { escrow, registry, buyer, arbiters } = await loadFixture(escalatedFixture);
+
+      await expect(escrow.connect(arbiters[3]).castVote(1, 50)).to.be.revertedWith("Not an arbitrator");
+      await registry.addArbitrator(buyer.address);
+      await expect(escrow.connect(buyer).castVote(1, 100)).to.be.revertedWith("Parties cannot vote");
+      await expect(escrow.connect(arbiters[0]).castVote(1, 101)).to.be.revertedWith("Invalid percentage");
+
+      await escrow.connect(arbiters[0]).castVote(1, 60);
+      await expect(escrow.connect(arbiters[0]).castVote(1, 60)).to.be.revertedWith("Already voted");
+    });
+
+    it("Should take escalated disputes out of the owner's hands", async function () {
+      const { escrow } = await loadFixture(escalatedFixture);
+      await expect(escrow.resolveDispute(1, 100)).to.be.revertedWith("Dispute escalated to arbitrators");
+    });
+
+    it("Should hand the dispute back to the arbitrators once the panel's voting period is over", async function () {
+      const { escrow, registry, owner, buyer, seller, arbiters } = await loadFixture(escalatedFixture);
+      const { evidenceDeadline, votingDeadline } = await escrow.arbitrations(1);
+      expect(votingDeadline).to.equal(evidenceDeadline + 7n * 24n * 60n * 60n);
+
+      // The panel can no longer reach its quorum of 3
+      await escrow.connect(arbiters[0]).castVote(1, 100);
+      await registry.removeArbitrator(arbiters[2].address);
+      await expect(escrow.connect(arbiters[2]).castVote(1, 0)).to.be.revertedWith("Not an arbitrator");
+
+      await time.setNextBlockTimestamp(votingDeadline - 1n);
+      await expect(escrow.resolveDispute(1, 30)).to.be.revertedWith("Dispute escalated to arbitrators");
+      await expect(escrow.connect(arbiters[1]).castVote(1, 50)).to.be.revertedWith("Voting period over");
+
+      const tx = escrow.resolveDispute(1, 30);
+      await expect(tx).to.emit(escrow, "EscrowResolved").withArgs(1, owner.address, 30, 300, 700);
+      await expect(tx).to.changeEtherBalances([seller, buyer], [300, 700]);
+    });
+
+    it("Should give the panel the voting period from escalation once the evidence period is over", async function () {
+      const { escrow, registry, seller, arbiters } = await loadFixture(deployFixture);
+      await registry.setQuorum(1);
+      await registry.addArbitrator(arbiters[0].address);
+      await expect(registry.setVotingPeriod(12 * 60 * 60)).to.be.revertedWith("Invalid voting period");
+      await expect(registry.setVotingPeriod(31 * 24 * 60 * 60)).to.be.revertedWith("Invalid voting period");
+      await expect(registry.connect(seller).setVotingPeriod(24 * 60 * 60)).to.be.revertedWithCustomError(
+        registry,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(registry.setVotingPeriod(24 * 60 * 60))
+        .to.emit(registry, "VotingPeriodUpdated")
+        .withArgs(24 * 60 * 60);
+
+      await time.increase(2n * (await escrow.evidencePeriod()));
+      await escrow.connect(seller).escalateDispute(1);
+      expect((await escrow.arbitrations(1)).votingDeadline).to.equal((await time.latest()) + 24 * 60 * 60);
+      await expect(escrow.resolveDispute(1, 100)).to.be.revertedWith("Dispute escalated to arbitrators");
+      await expect(escrow.connect(arbiters[0]).castVote(1, 100)).to.emit(escrow, "EscrowResolved");
+    });
+
+    it("Should not accept votes before the evidence period is over", async function () {
+      const { escrow, registry, seller, arbiters } = await loadFixture(deployFixture);
+      await registry.setQuorum(1);
+      await registry.addArbitrator(arbiters[0].address);
+      await escrow.connect(seller).escalateDispute(1);
+
+      await expect(escrow.connect(arbiters[0]).castVote(1, 50)).to.be.revertedWith("Evidence period not over");
+    });
+
+    it("Should not accept votes on disputes that were not escalated", async function () {
+      const { escrow, registry, arbiters } = await loadFixture(deployFixture);
+      await registry.addArbitrator(arbiters[0].address);
+      await time.increase(await escrow.evidencePeriod());
+
+      await expect(escrow.connect(arbiters[0]).castVote(1, 50)).to.be.revertedWith("Dispute not escalated");
+    });
+  });
+
+  describe("ArbitratorRegistry", function () {
+    it("Should manage the panel (owner only)", async function () {
+      const { registry, buyer, arbiters } = await loadFixture(deployFixture);
+
+      await expect(registry.connect(buyer).addArbitrator(buyer.address)).to.be.revertedWithCustomError(
+        registry,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(registry.addArbitrator(ethers.ZeroAddress)).to.be.revertedWith("Invalid arbitrator");
+      for (const arbiter of arbiters.slice(0, 3)) {
+        await expect(registry.addArbitrator(arbiter.address))
+          .to.emit(registry, "ArbitratorAdded")
+          .withArgs(arbiter.address);
+      }
+      await expect(registry.addArbitrator(arbiters[0].address)).to.be.revertedWith("Already an arbitrator");
+
+      await expect(registry.removeArbitrator(arbiters[0].address))
+        .to.emit(registry, "ArbitratorRemoved")
+        .withArgs(arbiters[0].address);
+      await expect(registry.removeArbitrator(arbiters[0].address)).to.be.revertedWith("Not an arbitrator");
+      expect([...(await registry.getArbitrators())]).to.deep.equal([arbiters[2].address, arbiters[1].address]);
+      expect(await registry.isArbitrator(arbiters[0].address)).to.be.false;
+
+      await expect(registry.setQuorum(0)).to.be.revertedWith("Quorum must be > 0");
+      await expect(registry.setQuorum(2)).to.emit(registry, "QuorumUpdated").withArgs(2);
+    });
   });
 });
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { BENCHMARKS, benchmarkKey, compareSnapshots, formatDiffTable, readSnapshot } = require("../lib/gas");
+
+describe("Gas benchmarks", function () {
+  describe("snapshots", function () {
+    const BASELINE = { "A.f": 1000, "A.g (n=1)": 500, "A.h": 200, "B.gone": 300 };
+    const CURRENT = { "A.f": 1005, "A.g (n=1)": 520, "A.h": 150, "B.added": 90 };
+
+    it("Should classify each benchmark against the baseline with a tolerance", function () {
+      const { rows, failed } = compareSnapshots(BASELINE, CURRENT, { tolerance: 1 });
+      expect(failed).to.be.true;
+      expect(rows.map(({ benchmark, status }) => [benchmark, status])).to.deep.equal([
+        ["A.f", "ok"],
+        ["A.g (n=1)", "regression"],
+        ["A.h", "improvement"],
+        ["B.added", "new"],
+        ["B.gone", "removed"],
+      ]);
+      expect(rows[1]).to.include({ baseline: 500, current: 520, diff: 20, percent: 4 });
+
+      expect(compareSnapshots(BASELINE, { "A.f": 1005, "A.h": 150 }, { tolerance: 1, partial: true }).failed).to.be
+        .false;
+      expect(compareSnapshots({ "A.f": 1000 }, { "A.f": 1001 }).failed).to.be.true;
+    });
+
+    it("Should print a per-function diff table", function () {
+      const { rows } = compareSnapshots(BASELINE, CURRENT, { tolerance: 1 });
+      const lines = formatDiffTable(rows).split("\n");
+      expect(lines[0]).to.match(/^Benchmark\s+Baseline\s+Current\s+Diff\s+%\s+Status$/);
+      expect(lines[3]).to.match(/^A\.g \(n=1\)\s+500\s+520\s+\+20\s+\+4\.00\s+regression$/);
+      expect(lines[4]).to.match(/^A\.h\s+200\s+150\s+-50\s+-25\.00\s+improvement$/);
+      expect(lines[5]).to.match(/^B\.added\s+-\s+90\s+-\s+-\s+new$/);
+
+      const changed = formatDiffTable(compareSnapshots({ "A.f": 1000, "A.h": 200 }, { "A.f": 1000, "A.h": 210 }).rows, {
+        changedOnly: true,
+      });
+      expect(changed.split("\n")).to.have.length(3);
+      expect(changed).to.not.include("A.f");
+    });
+
+    it("Should cover every size of the sized benchmarks in the committed snapshot", function () {
+      const snapshot = readSnapshot(path.join(__dirname, "..", "gas-snapshot.json"));
+      const keys = BENCHMARKS.flatMap((benchmark) =>
+        (benchmark.sizes || [undefined]).map((size) => benchmarkKey(benchmark, size))
+      );
+      expect(Object.keys(snapshot)).to.have.members(keys);
+      expect(keys).to.include.members([
+        "SupplyChainPayment.addMilestone (n=1)",
+        "SupplyChainPayment.addMilestone (n=50)",
+        "ReputationSystem.awardBadge (n=10)",
+        "SupplierRegistry.addCategory (n=50)",
+        "PaymentEscrow.approveRelease (releasing)",
+      ]);
+    });
+  });
+
+  describe("gas task", function () {
+    let dir;
+    let output;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "gas-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function run(args) {
+      const { log } = console;
+      output = [];
+      console.log = (line) => output.push(line);
+      try {
+        await hre.run("gas", { only: "SupplyChainPayment.startOrder,PaymentEscrow.fundEscrow", ...args });
+        return output.join("\n");
+      } finally {
+        console.log = log;
+      }
+    }
+
+    it("Should write a snapshot and fail with a diff table once it is exceeded", async function () {
+      const file = path.join(dir, "gas-snapshot.json");
+      const snapshot = path.relative(hre.config.paths.root, file);
+      await run({ snapshot, update: true });
+      const measured = readSnapshot(file);
+      expect(Object.keys(measured)).to.deep.equal([
+        "PaymentEscrow.fundEscrow",
+        "SupplyChainPayment.startOrder (n=1)",
+        "SupplyChainPayment.startOrder (n=10)",
+        "SupplyChainPayment.startOrder (n=50)",
+      ]);
+      expect(measured["SupplyChainPayment.startOrder (n=50)"]).to.be.greaterThan(
+        measured["SupplyChainPayment.startOrder (n=1)"]
+      );
+
+      // Runs start from the same state, so a second run measures exactly the same gas
+      expect(await run({ snapshot, tolerance: "0" })).to.include("Gas within 0% of");
+
+      const key = "SupplyChainPayment.startOrder (n=10)";
+      fs.writeFileSync(file, JSON.stringify({ ...measured, [key]: measured[key] - 1000 }));
+      await expect(run({ snapshot, tolerance: "5" })).to.not.be.rejected;
+      await expect(run({ snapshot, tolerance: "0.5" })).to.be.rejectedWith(
+        "Gas snapshot check failed (1 regression, tolerance 0.5%)"
+      );
+      expect(output[0]).to.match(/^Benchmark\s+Baseline/);
+      expect(output[0].split("\n").find((line) => line.startsWith(key))).to.match(/\+1000\s+\+[\d.]+\s+regression$/);
+
+      await expect(
+        run({ snapshot: path.relative(hre.config.paths.root, path.join(dir, "missing.json")) })
+      ).to.be.rejectedWith("No snapshot at");
+      await expect(run({ snapshot, tolerance: "-1" })).to.be.rejectedWith("Invalid tolerance: -1");
+      await expect(run({ snapshot, only: "Nothing" })).to.be.rejectedWith("No benchmark matches Nothing");
+    });
+  });
+});
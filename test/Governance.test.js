@@ -0,0 +1,354 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deploySystemFixture } = require("./fixtures/system");
+const { deploy } = require("../lib/deployment");
+const { propose, proposeTransfer, getProposal, listProposals, knownTargets, handover } = require("../lib/governance");
+
+describe("Governance", function () {
+  const DAY = 24 * 60 * 60;
+  const silent = () => {};
+
+  /// System with a fee-paying order and a funded escrow, plus a 2-of-3 Governance with a one-day delay
+  async function governanceFixture() {
+    const system = await deploySystemFixture();
+    const { payment, escrow, buyer, supplier } = system;
+    const [, , , , , alice, bob, carol, outsider] = await ethers.getSigners();
+    const factory = await ethers.getContractFactory("Governance");
+    const governance = await factory.deploy([alice.address, bob.address, carol.address], 2, DAY);
+
+    await payment.connect(buyer).createOrder(supplier.address, "Sensors", { value: ethers.parseEther("1") });
+    await payment.connect(buyer).addMilestone(0, "Delivery", 100);
+    await payment.connect(buyer).startOrder(0);
+    await payment.connect(supplier).completeMilestone(0, 0);
+    await payment.connect(buyer).approveMilestone(0, 0);
+
+    await escrow.connect(buyer).createEscrow(7, supplier.address, ethers.ZeroAddress, 100, 0);
+    await escrow.connect(buyer).fundEscrow(1, { value: 100 });
+
+    return { ...system, governance, alice, bob, carol, outsider };
+  }
+
+  /// Proposes a call as `alice`, approves it as `bob` and executes it once the delay is over
+  async function pass({ governance, alice, bob }, target, method, args) {
+    const { proposalId } = await propose(governance.connect(alice), target, method, args);
+    await governance.connect(bob).approve(proposalId);
+    await time.increase(await governance.delay());
+    return governance.execute(proposalId);
+  }
+
+  describe("Proposals", function () {
+    it("Should queue a proposal once the threshold approves and execute it after the delay", async function () {
+      const { governance, payment, alice, bob, outsider } = await loadFixture(governanceFixture);
+      await handover(
+        hre,
+        { network: "hardhat", contracts: { SupplyChainPayment: await payment.getAddress() } },
+        {
+          only: ["SupplyChainPayment"],
+          governance: await governance.getAddress(),
+          log: silent,
+        }
+      );
+
+      const { proposalId } = await propose(governance.connect(alice), payment, "updatePlatformFee", [3], {
+        description: "Lower fees for Q3",
+      });
+      expect(await governance.state(proposalId)).to.equal(0); // Pending
+      await expect(governance.execute(proposalId)).to.be.revertedWith("Proposal not ready");
+
+      const approval = governance.connect(bob).approve(proposalId);
+      await expect(approval).to.emit(governance, "ProposalApproved").withArgs(proposalId, bob.address, 2);
+      await expect(approval).to.emit(governance, "ProposalQueued");
+      await expect(governance.execute(proposalId)).to.be.revertedWith("Timelock not expired");
+
+      await time.increase(DAY);
+      await expect(governance.connect(outsider).execute(proposalId))
+        .to.emit(governance, "ProposalExecuted")
+        .withArgs(proposalId, outsider.address);
+      expect(await payment.platformFeePercentage()).to.equal(3);
+      await expect(governance.execute(proposalId)).to.be.revertedWith("Proposal not ready");
+
+      const targets = await knownTargets(hre, { contracts: { SupplyChainPayment: await payment.getAddress() } });
+      expect(await getProposal(governance, proposalId, targets)).to.deep.include({
+        state: "Executed",
+        description: "Lower fees for Q3",
+        proposer: alice.address,
+        contract: "SupplyChainPayment",
+        method: "updatePlatformFee(uint256)",
+        args: [3n],
+        approvals: 2n,
+        threshold: 2n,
+        approvedBy: [alice.address, bob.address],
+      });
+    });
+
+    it("Should only let signers propose and approve, once each", async function () {
+      const { governance, payment, alice, bob, carol, outsider } = await loadFixture(governanceFixture);
+
+      await expect(propose(governance.connect(outsider), payment, "updatePlatformFee", [3])).to.be.revertedWith(
+        "Not a signer"
+      );
+      const { proposalId } = await propose(governance.connect(alice), payment, "updatePlatformFee", [3]);
+      await expect(governance.connect(outsider).approve(proposalId)).to.be.revertedWith("Not a signer");
+      await expect(governance.connect(alice).approve(proposalId)).to.be.revertedWith("Already approved");
+      await expect(governance.connect(bob).approve(7)).to.be.revertedWith("Proposal does not exist");
+
+      await governance.connect(bob).approve(proposalId);
+      await expect(governance.connect(carol).approve(proposalId)).to.be.revertedWith("Proposal not pending");
+    });
+
+    it("Should let signers withdraw approvals until the proposal is queued", async function () {
+      const { governance, payment, alice, bob } = await loadFixture(governanceFixture);
+      const { proposalId } = await propose(governance.connect(alice), payment, "updatePlatformFee", [3]);
+
+      await expect(governance.connect(alice).revokeApproval(proposalId))
+        .to.emit(governance, "ApprovalRevoked")
+        .withArgs(proposalId, alice.address, 0);
+      await expect(governance.connect(alice).revokeApproval(proposalId)).to.be.revertedWith("Not approved");
+
+      await governance.connect(bob).approve(proposalId);
+      expect(await governance.state(proposalId)).to.equal(0); // Pending: one approval of two
+      await governance.connect(alice).approve(proposalId);
+      await expect(governance.connect(bob).revokeApproval(proposalId)).to.be.revertedWith("Proposal not pending");
+    });
+
+    it("Should let the proposer cancel, and expire proposals not executed in time", async function () {
+      const { governance, payment, alice, bob } = await loadFixture(governanceFixture);
+      const first = await propose(governance.connect(alice), payment, "updatePlatformFee", [3]);
+      const second = await propose(governance.connect(alice), payment, "updatePlatformFee", [4]);
+      await governance.connect(bob).approve(first.proposalId);
+      await governance.connect(bob).approve(second.proposalId);
+
+      await expect(governance.connect(bob).cancel(first.proposalId)).to.be.revertedWith("Not the proposer");
+      await expect(governance.connect(alice).cancel(first.proposalId))
+        .to.emit(governance, "ProposalCancelled")
+        .withArgs(first.proposalId);
+      await time.increase(DAY);
+      await expect(governance.execute(first.proposalId)).to.be.revertedWith("Proposal not ready");
+
+      await time.increase(14 * DAY + 1);
+      expect(await governance.state(second.proposalId)).to.equal(5); // Expired
+      await expect(governance.execute(second.proposalId)).to.be.revertedWith("Proposal not ready");
+      await expect(governance.connect(alice).cancel(second.proposalId)).to.be.revertedWith("Proposal not open");
+      expect(await listProposals(governance)).to.deep.equal([]);
+    });
+
+    it("Should revert with the error of a failing call", async function () {
+      const fixture = await loadFixture(governanceFixture);
+      const { payment, owner } = fixture;
+
+      // Governance does not own SupplyChainPayment yet
+      await expect(pass(fixture, payment, "updatePlatformFee", [3]))
+        .to.be.revertedWithCustomError(payment, "OwnableUnauthorizedAccount")
+        .withArgs(await fixture.governance.getAddress());
+      expect(await payment.owner()).to.equal(owner.address);
+    });
+  });
+
+  describe("Signers", function () {
+    it("Should only change signers, threshold and delay through proposals", async function () {
+      const fixture = await loadFixture(governanceFixture);
+      const { governance, alice, bob, carol, outsider } = fixture;
+
+      await expect(governance.connect(alice).addSigner(outsider.address)).to.be.revertedWith("Only through a proposal");
+      await expect(pass(fixture, governance, "addSigner", [outsider.address]))
+        .to.emit(governance, "SignerAdded")
+        .withArgs(outsider.address);
+      await pass(fixture, governance, "setDelay", [2 * DAY]);
+      await pass(fixture, governance, "setThreshold", [3]);
+      expect(await governance.getSigners()).to.deep.equal([
+        alice.address,
+        bob.address,
+        carol.address,
+        outsider.address,
+      ]);
+      expect(await governance.threshold()).to.equal(3);
+      expect(await governance.delay()).to.equal(2 * DAY);
+
+      // Three approvals and two days from now on
+      const { proposalId } = await propose(governance.connect(alice), governance, "removeSigner", [carol.address]);
+      await governance.connect(bob).approve(proposalId);
+      expect(await governance.state(proposalId)).to.equal(0); // Pending
+      await governance.connect(outsider).approve(proposalId);
+      await time.increase(DAY);
+      await expect(governance.execute(proposalId)).to.be.revertedWith("Timelock not expired");
+      await time.increase(DAY);
+      await expect(governance.execute(proposalId)).to.emit(governance, "SignerRemoved").withArgs(carol.address);
+      expect(await governance.isSigner(carol.address)).to.be.false;
+    });
+
+    it("Should stop counting the approvals of removed signers", async function () {
+      const { governance, payment, alice, bob, carol } = await loadFixture(governanceFixture);
+      const { proposalId } = await propose(governance.connect(alice), payment, "updatePlatformFee", [3]);
+
+      const removal = await propose(governance.connect(bob), governance, "removeSigner", [alice.address]);
+      await governance.connect(carol).approve(removal.proposalId);
+      await time.increase(DAY);
+      await governance.execute(removal.proposalId);
+
+      // Alice's approval is gone: Bob's alone does not reach the threshold of 2
+      await expect(governance.connect(bob).approve(proposalId))
+        .to.emit(governance, "ProposalApproved")
+        .withArgs(proposalId, bob.address, 1);
+      expect(await governance.state(proposalId)).to.equal(0); // Pending
+      await expect(governance.queue(proposalId)).to.be.revertedWith("Not enough approvals");
+      expect((await governance.getProposal(proposalId)).approvals).to.equal(1);
+      expect((await getProposal(governance, proposalId)).approvedBy).to.deep.equal([bob.address]);
+
+      await expect(governance.connect(carol).approve(proposalId)).to.emit(governance, "ProposalQueued");
+    });
+
+    it("Should not count approvals given before a removed signer was added again", async function () {
+      const { governance, alice, bob, carol } = await loadFixture(governanceFixture);
+      const { proposalId } = await propose(governance.connect(alice), governance, "setDelay", [2 * DAY]);
+      const pass = async (method, args) => {
+        const { proposalId: id } = await propose(governance.connect(bob), governance, method, args);
+        await governance.connect(carol).approve(id);
+        await time.increase(DAY);
+        await governance.execute(id);
+      };
+      await pass("removeSigner", [alice.address]);
+      await pass("addSigner", [alice.address]);
+
+      expect(await governance.hasApproved(proposalId, alice.address)).to.be.false;
+      expect((await governance.getProposal(proposalId)).approvals).to.equal(0);
+      await governance.connect(bob).approve(proposalId);
+      await expect(governance.queue(proposalId)).to.be.revertedWith("Not enough approvals");
+
+      // Back as a signer, Alice decides again
+      await expect(governance.connect(alice).approve(proposalId))
+        .to.emit(governance, "ProposalApproved")
+        .withArgs(proposalId, alice.address, 2);
+      await time.increase(DAY);
+      await governance.execute(proposalId);
+      expect(await governance.delay()).to.equal(2 * DAY);
+    });
+
+    it("Should queue proposals that already have enough approvals after the threshold is lowered", async function () {
+      const fixture = await loadFixture(governanceFixture);
+      const { governance, payment, alice, bob, carol } = fixture;
+      await pass(fixture, governance, "setThreshold", [3]);
+      const { proposalId } = await propose(governance.connect(alice), payment, "updatePlatformFee", [3]);
+      await governance.connect(bob).approve(proposalId);
+      await expect(governance.queue(proposalId)).to.be.revertedWith("Not enough approvals");
+
+      const lower = await propose(governance.connect(alice), governance, "setThreshold", [2]);
+      await governance.connect(bob).approve(lower.proposalId);
+      await governance.connect(carol).approve(lower.proposalId);
+      await time.increase(DAY);
+      await governance.execute(lower.proposalId);
+
+      await expect(governance.queue(proposalId)).to.emit(governance, "ProposalQueued");
+      expect(await governance.state(proposalId)).to.equal(1); // Queued
+    });
+
+    it("Should reject invalid configurations", async function () {
+      const fixture = await loadFixture(governanceFixture);
+      const { governance, alice, bob } = fixture;
+      const factory = await ethers.getContractFactory("Governance");
+      const signers = [alice.address, bob.address];
+
+      await expect(factory.deploy(signers, 3, DAY)).to.be.revertedWith("Invalid threshold");
+      await expect(factory.deploy(signers, 0, DAY)).to.be.revertedWith("Invalid threshold");
+      await expect(factory.deploy(signers, 1, 60)).to.be.revertedWith("Invalid delay");
+      await expect(factory.deploy(signers, 1, 31 * DAY)).to.be.revertedWith("Invalid delay");
+      await expect(factory.deploy([alice.address, alice.address], 1, DAY)).to.be.revertedWith("Already a signer");
+      await expect(factory.deploy([ethers.ZeroAddress], 1, DAY)).to.be.revertedWith("Invalid signer");
+
+      // Removing a signer may not leave fewer signers than approvals needed
+      await pass(fixture, governance, "setThreshold", [3]);
+      const { proposalId } = await propose(governance.connect(alice), governance, "removeSigner", [bob.address]);
+      await governance.connect(bob).approve(proposalId);
+      await governance.connect(fixture.carol).approve(proposalId);
+      await time.increase(DAY);
+      await expect(governance.execute(proposalId)).to.be.revertedWith("Would fall below threshold");
+    });
+  });
+
+  describe("Handover", function () {
+    it("Should move fee and refund powers from the owner to Governance", async function () {
+      const fixture = await loadFixture(governanceFixture);
+      const { record, governance, payment, escrow, token, owner, buyer, outsider } = fixture;
+      const address = await governance.getAddress();
+      const fees = ethers.parseEther("0.01");
+
+      const result = await handover(hre, record, { governance: address, log: silent });
+      expect(result.SupplyChainPayment).to.deep.equal({
+        status: "handed over",
+        owner: address,
+        roles: { TREASURER_ROLE: [address] },
+        revoked: { TREASURER_ROLE: [owner.address] },
+      });
+      expect(result.PaymentEscrow.revoked).to.deep.equal({ REFUNDER_ROLE: [owner.address] });
+      // Disputes stay with the arbitrators
+      expect(await escrow.hasRole(await escrow.ARBITRATOR_ROLE(), owner.address)).to.be.true;
+      for (const contract of [payment, escrow]) {
+        expect(await contract.owner()).to.equal(address);
+      }
+      // The token and its minters are left alone
+      expect(result).to.not.have.property("SupplyChainToken");
+      expect(await token.owner()).to.equal(owner.address);
+      expect(await token.hasRole(await token.MINTER_ROLE(), owner.address)).to.be.true;
+
+      // The former owner can no longer act alone
+      await expect(payment.updatePlatformFee(3)).to.be.revertedWithCustomError(payment, "OwnableUnauthorizedAccount");
+      await expect(payment.withdrawPlatformFees()).to.be.revertedWithCustomError(
+        payment,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(escrow.refundBuyer(1)).to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+
+      // Governance can, once the signers agree and the delay is over
+      await pass(fixture, payment, "updatePlatformFee", [3]);
+      expect(await payment.platformFeePercentage()).to.equal(3);
+      await expect(pass(fixture, escrow, "refundBuyer", [1])).to.changeEtherBalance(buyer, 100);
+      await expect(pass(fixture, payment, "withdrawPlatformFees", [])).to.changeEtherBalance(governance, fees);
+
+      // Withdrawn fees leave Governance through a proposal too
+      const { proposalId } = await proposeTransfer(governance.connect(fixture.alice), outsider.address, fees, {
+        description: "Fees to the treasury",
+      });
+      await governance.connect(fixture.bob).approve(proposalId);
+      await time.increase(DAY);
+      await expect(governance.execute(proposalId)).to.changeEtherBalances([governance, outsider], [-fees, fees]);
+      expect(await getProposal(governance, proposalId)).to.deep.include({ method: null, value: fees });
+    });
+
+    it("Should check every contract first and skip those already handed over", async function () {
+      const { record, governance, payment, buyer } = await loadFixture(governanceFixture);
+      const address = await governance.getAddress();
+      await handover(hre, record, { only: ["SupplyChainPayment"], governance: address, log: silent });
+
+      const lines = [];
+      await expect(
+        handover(hre, record, { governance: address, signer: buyer, log: (line) => lines.push(line) })
+      ).to.be.rejectedWith(`PaymentEscrow is owned by`);
+      expect(lines).to.deep.equal([]);
+
+      const again = await handover(hre, record, { only: ["SupplyChainPayment"], governance: address, log: silent });
+      expect(again.SupplyChainPayment.status).to.equal("unchanged");
+      expect(await payment.owner()).to.equal(address);
+      await expect(handover(hre, record, { governance: buyer.address, log: silent })).to.be.rejectedWith(
+        "Governance is not deployed on"
+      );
+    });
+
+    it("Should deploy Governance from the environment and leave handed-over roles alone on reruns", async function () {
+      const [owner, alice, bob] = await ethers.getSigners();
+      const only = ["Governance", "SupplyChainPayment"];
+      const env = { GOVERNANCE_SIGNERS: `${alice.address}, ${bob.address}`, GOVERNANCE_THRESHOLD: "2" };
+      const record = await deploy(hre, { only, env, log: silent });
+      const governance = await ethers.getContractAt("Governance", record.contracts.Governance);
+      expect(await governance.getSigners()).to.deep.equal([alice.address, bob.address]);
+      expect(await governance.threshold()).to.equal(2);
+      expect(await governance.delay()).to.equal(2 * DAY);
+
+      await handover(hre, record, { only: ["SupplyChainPayment"], log: silent });
+      const lines = [];
+      await deploy(hre, { only, env: { ...env, TREASURERS: owner.address }, record, log: (line) => lines.push(line) });
+      expect(lines).to.include(`   ↳ roles left to the owner, ${record.contracts.Governance}`);
+      expect(lines.filter((line) => line.includes("Role("))).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,304 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deploy } = require("../lib/deployment");
+const { Store, Indexer, INDEXED_CONTRACTS, queries } = require("../lib/indexer");
+
+const silent = () => {};
+
+describe("Indexer", function () {
+  let owner;
+  let supplier;
+  let buyer;
+  let record;
+  let store;
+  let contracts;
+
+  function indexer(options = {}) {
+    return new Indexer({
+      provider: ethers.provider,
+      store,
+      contracts: record.contracts,
+      startBlock: record.blockNumber,
+      ...options,
+    });
+  }
+
+  beforeEach(async function () {
+    [owner, supplier, buyer] = await ethers.getSigners();
+    record = await deploy(hre, { log: silent, only: INDEXED_CONTRACTS });
+    contracts = {};
+    for (const name of INDEXED_CONTRACTS) {
+      contracts[name] = await ethers.getContractAt(name, record.contracts[name]);
+    }
+    store = await Store.open();
+
+    const registry = contracts.SupplierRegistry;
+    await registry.connect(supplier).registerSupplier("ACME Corp", "ops@acme.com", "1 Dock St", "ipfs://docs");
+    await registry.verifySupplier(supplier.address);
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  async function createOrder(description, percentages = [100], amount = ethers.parseEther("1")) {
+    const payment = contracts.SupplyChainPayment.connect(buyer);
+    const id = await payment.orderCounter();
+    await payment.createOrder(supplier.address, description, { value: amount });
+    for (const [index, percentage] of percentages.entries()) {
+      await payment.addMilestone(id, `Milestone ${index}`, percentage);
+    }
+    await payment.startOrder(id);
+    return id;
+  }
+
+  it("Should project an order lifecycle with its full history", async function () {
+    const payment = contracts.SupplyChainPayment;
+    const id = await createOrder("100 widgets", [30, 70]);
+    for (const milestone of [0, 1]) {
+      await payment.connect(supplier).completeMilestone(id, milestone);
+      await payment.connect(buyer).approveMilestone(id, milestone);
+    }
+    const disputed = await createOrder("Late batch");
+    await payment.connect(buyer).raiseDispute(disputed, "Late delivery");
+    await time.increase(await payment.evidencePeriod());
+    await payment.resolveDispute(disputed, 100);
+
+    // Paid in SCT: must not count towards the ETH total_earned
+    const token = await ethers.getContractAt("SupplyChainToken", record.contracts.SupplyChainToken);
+    await token.transfer(buyer.address, 500n);
+    await token.connect(buyer).approve(record.contracts.SupplyChainPayment, 500n);
+    const tokenOrder = await payment.orderCounter();
+    await payment
+      .connect(buyer)
+      .createOrderWithToken(supplier.address, "Crates", record.contracts.SupplyChainToken, 500n);
+    await payment.connect(buyer).addMilestone(tokenOrder, "All", 100);
+    await payment.connect(buyer).startOrder(tokenOrder);
+    await payment.connect(supplier).completeMilestone(tokenOrder, 0);
+    await payment.connect(buyer).approveMilestone(tokenOrder, 0);
+
+    const result = await indexer().sync();
+    expect(result.reorg).to.equal(null);
+    expect(result.to).to.equal(await ethers.provider.getBlockNumber());
+
+    const order = queries.getOrder(store, id);
+    expect(order).to.include({
+      buyer: buyer.address.toLowerCase(),
+      description: "100 widgets",
+      token: ethers.ZeroAddress,
+      amount: ethers.parseEther("1").toString(),
+      paid: ethers.parseEther("1").toString(),
+      status: "Completed",
+      disputeRaised: false,
+    });
+    expect(order.milestones.map((m) => [m.percentage, m.status])).to.deep.equal([
+      [30, "Approved"],
+      [70, "Approved"],
+    ]);
+    expect(order.history.map((event) => event.name)).to.deep.equal([
+      "OrderCreated",
+      "MilestoneAdded",
+      "MilestoneAdded",
+      "OrderStarted",
+      "MilestoneCompleted",
+      "MilestoneApproved",
+      "PaymentReleased",
+      "MilestoneCompleted",
+      "MilestoneApproved",
+      "PaymentReleased",
+      "OrderCompleted",
+    ]);
+
+    const [dispute] = queries.getOrder(store, disputed).disputes;
+    expect(dispute).to.include({ reason: "Late delivery", resolution: "supplier" });
+    expect(queries.listOrders(store, { buyer: buyer.address }).map((o) => o.id)).to.deep.equal([2, 1, 0]);
+    expect(queries.listOrders(store, { status: "Completed" })).to.have.lengthOf(3);
+    const paidInToken = queries.listOrders(store, { token: record.contracts.SupplyChainToken });
+    expect(paidInToken.map((o) => [o.id, o.paid])).to.deep.equal([[2, "500"]]);
+
+    const profile = queries.getSupplier(store, supplier.address);
+    const onChain = await payment.supplierStats(supplier.address);
+    expect(profile).to.include({ name: "ACME Corp", registryVerified: true, ordersCompleted: 3 });
+    expect(profile.totalEarned).to.equal(onChain.totalAmountEarned.toString());
+  });
+
+  it("Should add what rounding left over to the approval completing an order", async function () {
+    const payment = contracts.SupplyChainPayment;
+    const id = await createOrder("Odd lot", [33, 33, 34], 1001n);
+    for (const milestone of [0, 1]) {
+      await payment.connect(supplier).completeMilestone(id, milestone);
+      await payment.connect(buyer).approveMilestone(id, milestone);
+    }
+    await indexer().sync();
+    expect(queries.getOrder(store, id).paid).to.equal("660");
+
+    await payment.connect(supplier).completeMilestone(id, 2);
+    await payment.connect(buyer).approveMilestone(id, 2);
+    await indexer().sync();
+    expect(queries.getOrder(store, id).paid).to.equal("1001");
+    expect((await payment.orders(id)).paidAmount).to.equal(1001n);
+  });
+
+  it("Should record escalated and split dispute settlements", async function () {
+    const { SupplyChainPayment, PaymentEscrow } = contracts;
+    const [, , , arbiter] = await ethers.getSigners();
+    const arbitrators = await ethers.getContractAt("ArbitratorRegistry", record.contracts.ArbitratorRegistry);
+    await arbitrators.addArbitrator(arbiter.address);
+    await arbitrators.setQuorum(1);
+
+    const split = await createOrder("Short shipment");
+    await SupplyChainPayment.connect(buyer).raiseDispute(split, "Half missing");
+    await SupplyChainPayment.connect(supplier).escalateDispute(split);
+    await PaymentEscrow.connect(buyer).createEscrow(split, supplier.address, ethers.ZeroAddress, 500, 0);
+    await PaymentEscrow.connect(buyer).fundEscrow(1, { value: 500 });
+    await PaymentEscrow.connect(buyer).raiseDispute(1);
+    await time.increase(await SupplyChainPayment.evidencePeriod());
+    await SupplyChainPayment.connect(arbiter).castVote(split, 40);
+    await PaymentEscrow.resolveDispute(1, 0);
+
+    await indexer().sync();
+
+    const order = queries.getOrder(store, split);
+    expect(order).to.include({ status: "Completed", paid: ethers.parseEther("0.4").toString() });
+    expect(order.disputes[0]).to.include({
+      escalated: true,
+      resolution: "split",
+      supplierPercentage: 40,
+      resolvedBy: arbiter.address.toLowerCase(),
+    });
+    expect(queries.listEscrows(store, { buyer: buyer.address })[0]).to.include({ status: "Refunded" });
+  });
+
+  it("Should index suppliers, reviews, products, shipments, escrows and policies", async function () {
+    const { SupplyChainPayment, SupplierRegistry, ReputationSystem, ProductCatalog, ShippingTracker } = contracts;
+    const { PaymentEscrow, InsuranceEscrow } = contracts;
+    await SupplierRegistry.addCategory(supplier.address, "Electronics");
+    const order = await createOrder("Reviewed order");
+    // The shipment is insured, delivered two hours late (completing the order's milestone) and pays out
+    const tracker = ShippingTracker.connect(supplier);
+    const eta = (await time.latest()) + 3600;
+    await tracker.createShipment(order, 0, supplier.address, supplier.address, buyer.address, eta, "TRK-1");
+    await InsuranceEscrow.provideCapital({ value: 5000 });
+    await InsuranceEscrow.connect(buyer).createPolicy(1, buyer.address, 1000, 86400, 100, 3600, "POL-1", { value: 61 });
+    await tracker.updateStatus(1, 1); // Delayed
+    await ShippingTracker.setCarrier(owner.address, true);
+    await time.setNextBlockTimestamp(eta + 2 * 3600);
+    await ShippingTracker.markDelivered(1);
+    await InsuranceEscrow.claimPayout(1);
+    await SupplyChainPayment.connect(buyer).approveMilestone(order, 0);
+    await ReputationSystem.connect(buyer).submitReview(supplier.address, order, 5, "Great");
+    await ProductCatalog.connect(supplier).addProduct("Widget", "A widget", "", "Electronics", 100, 10);
+    await ProductCatalog.connect(supplier).updateInventory(0, 7);
+    await PaymentEscrow.connect(buyer).createEscrow(0, supplier.address, ethers.ZeroAddress, 500, 3600);
+    await PaymentEscrow.connect(buyer).fundEscrow(1, { value: 500 });
+
+    await indexer({ batchSize: 3 }).sync();
+
+    expect(queries.getSupplier(store, supplier.address)).to.deep.include({
+      registryVerified: true,
+      contactEmail: "ops@acme.com",
+      averageRating: 500,
+      totalReviews: 1,
+      categories: ["Electronics"],
+    });
+    expect(queries.listReviews(store, { supplier: supplier.address })[0]).to.include({
+      rating: 5,
+      comment: "Great",
+      orderId: 0,
+    });
+    expect(queries.listSuppliers(store, { category: "Electronics" })).to.have.lengthOf(1);
+    expect(queries.listProducts(store, { supplier: supplier.address })[0]).to.include({
+      name: "Widget",
+      category: "Electronics",
+      inventory: "7",
+    });
+
+    const shipment = queries.getShipment(store, "TRK-1");
+    expect(shipment).to.include({
+      id: 1,
+      orderId: Number(order),
+      milestoneIndex: 0,
+      status: "delivered",
+      destination: buyer.address.toLowerCase(),
+    });
+    expect(shipment.updates.map((update) => update.status)).to.deep.equal(["in_transit", "delayed", "delivered"]);
+
+    expect(queries.listEscrows(store, { buyer: buyer.address })[0]).to.include({
+      status: "Funded",
+      token: ethers.ZeroAddress,
+      amount: "500",
+    });
+    expect(queries.listPolicies(store, { shipmentId: 1 })[0]).to.include({
+      status: "Paid",
+      premium: "61",
+      policyNumber: "POL-1",
+      insured: buyer.address.toLowerCase(),
+      payoutPerPeriod: "100",
+      payoutPeriod: 3600,
+      payout: "200",
+      lost: false,
+      delay: 2 * 3600,
+    });
+  });
+
+  it("Should roll back and rebuild after a reorg", async function () {
+    await createOrder("Before the fork");
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await createOrder("Orphaned order");
+    await indexer().sync();
+    expect(queries.listOrders(store).map((o) => o.description)).to.include("Orphaned order");
+
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await createOrder("Canonical order", [40, 60]);
+    await ethers.provider.send("hardhat_mine", ["0x5"]);
+
+    const result = await indexer().sync();
+    expect(result.reorg).to.be.a("number");
+    expect(result.reorg).to.be.below(result.to);
+
+    const descriptions = queries.listOrders(store).map((o) => o.description);
+    expect(descriptions).to.deep.equal(["Canonical order", "Before the fork"]);
+    expect(queries.getOrder(store, 1).milestones).to.have.lengthOf(2);
+    expect(store.get("SELECT COUNT(*) AS n FROM events WHERE name = 'OrderCreated'").n).to.equal(2);
+  });
+
+  it("Should resume from its checkpoint after a restart", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    const file = path.join(dir, "index.sqlite");
+    try {
+      store.close();
+      store = await Store.open(file);
+      await createOrder("First");
+      const first = await indexer({ confirmations: 2 }).sync();
+      expect(indexer().checkpoint).to.equal((await ethers.provider.getBlockNumber()) - 2);
+      store.close();
+
+      await createOrder("Second");
+      store = await Store.open(file);
+      const resumed = indexer();
+      expect(resumed.checkpoint).to.equal(first.to);
+
+      const second = await resumed.sync();
+      expect(second.from).to.equal(first.to + 1);
+      expect(queries.listOrders(store).map((o) => o.description)).to.deep.equal(["Second", "First"]);
+      expect(store.get("SELECT COUNT(*) AS n FROM events WHERE name = 'OrderStarted'").n).to.equal(2);
+    } finally {
+      store.close();
+      store = await Store.open();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should refuse to mix deployments in one index", async function () {
+    await indexer().sync();
+    const other = await deploy(hre, { log: silent, only: ["SupplyChainPayment"] });
+    await expect(
+      new Indexer({ provider: ethers.provider, store, contracts: other.contracts }).sync()
+    ).to.be.rejectedWith("The index was built for a different chain or deployment; delete it to reindex");
+  });
+});
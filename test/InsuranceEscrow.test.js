@@ -0,0 +1,267 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deploySystemFixture } = require("./fixtures/system");
+const { quotePremium, latePayout } = require("..");
+
+describe("InsuranceEscrow", function () {
+  const HOUR = 60 * 60;
+  const DAY = 24 * HOUR;
+  const ShipmentStatus = { InTransit: 0, Delayed: 1, Delivered: 2, Lost: 3 };
+  const coverage = ethers.parseEther("1");
+  const perHour = ethers.parseEther("0.05");
+  const hourly = { payoutPerPeriod: perHour, period: HOUR };
+
+  /// The system fixture with an underwritten pool and two shipments due in a day
+  async function insuranceFixture() {
+    const system = await deploySystemFixture();
+    const { payment, shipping, insurance, owner, buyer, supplier, carrier } = system;
+
+    await payment.connect(buyer).createOrder(supplier.address, "Sensors", { value: 1000 });
+    await payment.connect(buyer).addMilestone(0, "First lot", 50);
+    await payment.connect(buyer).addMilestone(0, "Second lot", 50);
+    await payment.connect(buyer).startOrder(0);
+    const eta = (await time.latest()) + DAY;
+    for (const [index, tracking] of ["INS-1", "INS-2"].entries()) {
+      await shipping
+        .connect(supplier)
+        .createShipment(0, index, carrier.address, supplier.address, buyer.address, eta, tracking);
+    }
+    await insurance.connect(owner).provideCapital({ value: ethers.parseEther("3") });
+    return { ...system, eta };
+  }
+
+  async function insure({ insurance, buyer }, { shipmentId = 1, amount = coverage, duration = 7 * DAY } = {}) {
+    const { premium } = quotePremium(amount, duration, hourly);
+    await insurance
+      .connect(buyer)
+      .createPolicy(shipmentId, buyer.address, amount, duration, perHour, HOUR, `POL-${shipmentId}`, { value: premium });
+    return premium;
+  }
+
+  async function deliverAt({ shipping, carrier }, shipmentId, timestamp) {
+    await time.setNextBlockTimestamp(timestamp);
+    await shipping.connect(carrier).markDelivered(shipmentId);
+  }
+
+  describe("Underwriting pool", function () {
+    it("Should share premiums between underwriters and keep open coverage locked", async function () {
+      const system = await loadFixture(insuranceFixture);
+      const { insurance, owner, rival } = system;
+      expect(await insurance.shares(owner.address)).to.equal(ethers.parseEther("3"));
+
+      // The premium raises the value of the owner's shares before the rival joins
+      const premium = await insure(system);
+      expect(await insurance.lockedCoverage()).to.equal(coverage);
+      expect(await insurance.freeCapital()).to.equal(ethers.parseEther("2") + premium);
+      const pool = ethers.parseEther("3") + premium;
+      await expect(insurance.connect(rival).provideCapital({ value: pool }))
+        .to.emit(insurance, "CapitalProvided")
+        .withArgs(rival.address, pool, ethers.parseEther("3"));
+
+      // Half the pool may leave, but not the capital backing the policy
+      await expect(insurance.connect(rival).withdrawCapital(ethers.parseEther("3"))).to.changeEtherBalance(rival, pool);
+      await expect(insurance.connect(owner).withdrawCapital(ethers.parseEther("3"))).to.be.revertedWith(
+        "Capital locked by open policies"
+      );
+      await expect(insurance.connect(owner).withdrawCapital(ethers.parseEther("1"))).to.changeEtherBalance(
+        owner,
+        pool / 3n
+      );
+      await expect(insurance.connect(rival).withdrawCapital(1)).to.be.revertedWith("Invalid shares");
+    });
+
+    it("Should only write policies the pool can pay in full", async function () {
+      const system = await loadFixture(insuranceFixture);
+      await insure(system, { amount: ethers.parseEther("2") });
+      await expect(insure(system, { shipmentId: 2, amount: ethers.parseEther("1.5") })).to.be.revertedWith(
+        "Insufficient pool capital"
+      );
+      await insure(system, { shipmentId: 2, amount: ethers.parseEther("1") });
+    });
+  });
+
+  describe("Policies", function () {
+    it("Should price premiums by coverage and started days", async function () {
+      const { insurance, buyer } = await loadFixture(insuranceFixture);
+      // Pays the coverage after 1000 days of delay, too slow for any surcharge
+      const slow = ethers.parseEther("0.001");
+
+      // 1% base + 0.1% per started day
+      expect(await insurance.quotePremium(coverage, 7 * DAY, slow, DAY)).to.equal(ethers.parseEther("0.017"));
+      expect(await insurance.quotePremium(coverage, 7 * DAY + 1, slow, DAY)).to.equal(ethers.parseEther("0.018"));
+      expect(quotePremium(coverage, 7 * DAY + 1, { payoutPerPeriod: slow, period: DAY })).to.deep.equal({
+        premium: ethers.parseEther("0.018"),
+        days: 8n,
+        daysToCoverage: 1000n,
+        rateBps: 180n,
+      });
+
+      await expect(insurance.connect(buyer).setPremiumRates(0, 0, 0)).to.be.revertedWithCustomError(
+        insurance,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(insurance.setPremiumRates(200, 5, 10001)).to.be.revertedWith("Rate too high");
+      await expect(insurance.setPremiumRates(200, 5, 300))
+        .to.emit(insurance, "PremiumRatesUpdated")
+        .withArgs(200, 5, 300);
+      const rates = {
+        baseRateBps: await insurance.baseRateBps(),
+        dailyRateBps: await insurance.dailyRateBps(),
+        delayRateBps: await insurance.delayRateBps(),
+      };
+      expect(await insurance.quotePremium(coverage, 3 * DAY, perHour, HOUR)).to.equal(
+        quotePremium(coverage, 3 * DAY, hourly, rates).premium
+      );
+    });
+
+    it("Should charge more for payout schedules that reach the coverage faster", async function () {
+      const system = await loadFixture(insuranceFixture);
+      const { insurance, buyer } = system;
+      const quote = (payoutPerPeriod, period) => insurance.quotePremium(coverage, 7 * DAY, payoutPerPeriod, period);
+
+      // 1.7% plus 5% divided by the days of delay it takes to pay the whole coverage
+      expect(await quote(ethers.parseEther("0.1"), DAY)).to.equal(ethers.parseEther("0.022"));
+      expect(await quote(perHour, HOUR)).to.equal(ethers.parseEther("0.067"));
+      // The whole coverage for a second of delay costs as much as paying it within a day
+      const instant = await quote(coverage, 1);
+      expect(instant).to.equal(ethers.parseEther("0.067"));
+      await expect(quote(coverage, 366 * DAY)).to.be.revertedWith("Invalid payout schedule");
+
+      // Priced for a mild schedule, the premium does not buy an aggressive one
+      const mild = await quote(ethers.parseEther("0.1"), DAY);
+      const create = (premium) =>
+        insurance
+          .connect(buyer)
+          .createPolicy(1, buyer.address, coverage, 7 * DAY, coverage, 1, "POL", { value: premium });
+      await expect(create(mild)).to.be.revertedWith("Premium too low");
+      await expect(create(instant)).to.emit(insurance, "PolicyCreated");
+    });
+
+    it("Should only insure shipments still on their way", async function () {
+      const system = await loadFixture(insuranceFixture);
+      const { insurance, buyer, eta } = system;
+      const create = (shipmentId, options = {}) =>
+        insurance
+          .connect(buyer)
+          .createPolicy(
+            shipmentId,
+            buyer.address,
+            coverage,
+            options.duration || DAY,
+            options.perPeriod ?? perHour,
+            HOUR,
+            "POL",
+            { value: options.premium ?? ethers.parseEther("0.061") }
+          );
+
+      await expect(create(9)).to.be.revertedWith("Invalid shipment ID");
+      await expect(create(1, { premium: ethers.parseEther("0.0609") })).to.be.revertedWith("Premium too low");
+      await expect(create(1, { duration: 366 * DAY })).to.be.revertedWith("Invalid duration");
+      await expect(create(1, { perPeriod: 0 })).to.be.revertedWith("Invalid payout schedule");
+
+      await create(1);
+      await expect(create(1)).to.be.revertedWith("Shipment already insured");
+
+      await time.increaseTo(eta);
+      await expect(create(2)).to.be.revertedWith("Shipment already due");
+      await deliverAt(system, 2, eta + HOUR);
+      await expect(create(2)).to.be.revertedWith("Shipment not in transit");
+    });
+  });
+
+  describe("Payouts", function () {
+    it("Should pay every full hour of delay once the shipment is delivered", async function () {
+      const system = await loadFixture(insuranceFixture);
+      const { insurance, buyer, carrier, eta } = system;
+      await insure(system);
+      await expect(insurance.claimPayout(1)).to.be.revertedWith("No payout due");
+
+      await deliverAt(system, 1, eta + 5 * HOUR + 30 * 60);
+      const expected = latePayout({ coverage, payoutPerPeriod: perHour, period: HOUR }, 5 * HOUR + 30 * 60);
+      expect(expected).to.equal(perHour * 5n);
+      expect([...(await insurance.payoutDue(1))]).to.deep.equal([expected, false, BigInt(5 * HOUR + 30 * 60)]);
+
+      // Anyone can trigger it; the insured is paid
+      const tx = insurance.connect(carrier).claimPayout(1);
+      await expect(tx).to.emit(insurance, "ClaimPaid").withArgs(1, buyer.address, expected, false, 5 * HOUR + 30 * 60);
+      await expect(tx).to.changeEtherBalance(buyer, expected);
+      expect(await insurance.lockedCoverage()).to.equal(0);
+      const policy = await insurance.getPolicy(1);
+      expect([policy.isActive, policy.isClaimed, policy.payout]).to.deep.equal([false, true, expected]);
+      await expect(insurance.claimPayout(1)).to.be.revertedWith("Policy not active");
+    });
+
+    it("Should cap late payouts at the coverage and pay it in full for lost shipments", async function () {
+      const system = await loadFixture(insuranceFixture);
+      const { insurance, shipping, buyer, carrier, eta } = system;
+      await insure(system);
+      await insure(system, { shipmentId: 2 });
+
+      await deliverAt(system, 1, eta + 3 * DAY);
+      await expect(insurance.claimPayout(1)).to.changeEtherBalance(buyer, coverage);
+
+      await shipping.connect(carrier).updateStatus(2, ShipmentStatus.Lost);
+      await expect(insurance.claimPayout(2))
+        .to.emit(insurance, "ClaimPaid")
+        .withArgs(2, buyer.address, coverage, true, 0);
+    });
+
+    it("Should not pay out outcomes the supplier's own shipper reports", async function () {
+      const system = await loadFixture(insuranceFixture);
+      const { insurance, shipping, buyer, supplier, rival, eta } = system;
+
+      // The supplier ships through itself, then tries to insure the shipments for its own benefit
+      for (const [index, tracking] of ["INS-3", "INS-4"].entries()) {
+        await shipping
+          .connect(supplier)
+          .createShipment(0, index, supplier.address, supplier.address, buyer.address, eta, tracking);
+      }
+      const { premium } = quotePremium(coverage, 7 * DAY, hourly);
+      const create = (signer, shipmentId, insured) =>
+        insurance
+          .connect(signer)
+          .createPolicy(shipmentId, insured, coverage, 7 * DAY, perHour, HOUR, "POL", { value: premium });
+      await expect(create(supplier, 3, supplier.address)).to.be.revertedWith("Only the order's buyer");
+      await expect(create(rival, 3, rival.address)).to.be.revertedWith("Only the order's buyer");
+      await expect(create(buyer, 3, supplier.address)).to.be.revertedWith("Insured cannot be shipper or supplier");
+
+      // Insured by the buyer, neither a self-reported loss nor a late delivery pays
+      await create(buyer, 3, buyer.address);
+      await create(buyer, 4, buyer.address);
+      await shipping.connect(supplier).updateStatus(3, ShipmentStatus.Lost);
+      await time.setNextBlockTimestamp(eta + 3 * DAY);
+      await shipping.connect(supplier).markDelivered(4);
+      for (const policyId of [1, 2]) {
+        expect([...(await insurance.payoutDue(policyId))]).to.deep.equal([0n, false, 0n]);
+        await expect(insurance.claimPayout(policyId)).to.be.revertedWith("No payout due");
+      }
+      expect(await shipping.carrierConfirmed(3)).to.be.false;
+      expect(await insurance.lockedCoverage()).to.equal(coverage * 2n);
+    });
+
+    it("Should release the coverage of policies that end without a payout", async function () {
+      const system = await loadFixture(insuranceFixture);
+      const { insurance, eta } = system;
+      await insure(system, { duration: 2 * DAY });
+
+      await deliverAt(system, 1, eta - HOUR);
+      await expect(insurance.claimPayout(1)).to.be.revertedWith("No payout due");
+      await expect(insurance.expirePolicy(1)).to.be.revertedWith("Policy still running");
+
+      await time.increase(2 * DAY);
+      await expect(insurance.claimPayout(1)).to.be.revertedWith("Policy expired");
+      await expect(insurance.expirePolicy(1)).to.emit(insurance, "PolicyExpired").withArgs(1);
+      expect(await insurance.lockedCoverage()).to.equal(0);
+      await expect(insurance.expirePolicy(1)).to.be.revertedWith("Policy not active");
+      const policy = await insurance.getPolicy(1);
+      expect([policy.isActive, policy.isClaimed, policy.payout]).to.deep.equal([false, false, 0n]);
+    });
+  });
+
+  it("Should reject out-of-range policy IDs", async function () {
+    const { insurance } = await loadFixture(insuranceFixture);
+    await expect(insurance.getPolicy(1)).to.be.revertedWith("Invalid policy");
+    await expect(insurance.payoutDue(0)).to.be.revertedWith("Invalid policy");
+  });
+});
@@ -0,0 +1,830 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deploySystemFixture } = require("./fixtures/system");
+const { fuzz } = require("./fixtures/fuzz");
+const { orderStatusName } = require("../lib/sdk");
+
+/**
+ * Random sequences of calls by many actors against SupplyChainPayment and
+ * PaymentEscrow (see fixtures/fuzz.js). A model predicts each call's outcome,
+ * including the reason of every revert, and after each step:
+ *  - each contract holds, per token, what was deposited minus what was released
+ *  - that balance is exactly what it owes: the unpaid part of open orders or the
+ *    funded escrows, plus the platform fees not withdrawn
+ *  - no order is paid beyond its totalAmount, and paidAmount, fees and supplier
+ *    earnings match the model
+ *  - statuses only move along the edges below
+ */
+describe("Invariants", function () {
+  const { ZeroAddress } = ethers;
+  const HOUR = 60 * 60;
+
+  const ESCROW_STATUS = ["Created", "Funded", "Completed", "Refunded", "Disputed"];
+
+  const ORDER_EDGES = {
+    Created: ["InProgress", "Cancelled"],
+    InProgress: ["Completed", "Disputed", "Cancelled"],
+    Disputed: ["Completed", "Cancelled"],
+    Completed: [],
+    Cancelled: [],
+  };
+
+  const ESCROW_EDGES = {
+    Created: ["Funded"],
+    Funded: ["Completed", "Refunded", "Disputed"],
+    Disputed: ["Completed", "Refunded"],
+    Completed: [],
+    Refunded: [],
+  };
+
+  /// @dev Reason of the first failed check, in the order the contract makes them
+  const check = (...rules) => (rules.find(([failed]) => failed) || [])[1];
+
+  const OPEN_ORDERS = ["Created", "InProgress", "Disputed"];
+  const OPEN_ESCROWS = ["Funded", "Disputed"];
+
+  /**
+   * Actors, an SCT allowance for the buyer and a one-hour evidence period, so
+   * that waits can end it
+   */
+  async function setupActors(system, spender) {
+    const { owner, buyer, supplier, rival, carrier, token } = system;
+    const [, , , , , extra] = await ethers.getSigners();
+    await spender.setEvidencePeriod(HOUR);
+    await token.connect(buyer).approve(await spender.getAddress(), ethers.MaxUint256);
+    const names = new Map(Object.entries({ owner, buyer, supplier, rival, carrier, extra }).map(([k, v]) => [v, k]));
+    return {
+      ...system,
+      extra,
+      sct: await token.getAddress(),
+      actors: [owner, buyer, supplier, rival, carrier, extra],
+      name: (signer) => names.get(signer) || "nobody",
+      seen: new Map(),
+    };
+  }
+
+  async function balanceOf(state, contract, token) {
+    const address = await contract.getAddress();
+    return token === ZeroAddress ? ethers.provider.getBalance(address) : state.token.balanceOf(address);
+  }
+
+  /// @dev Sometimes a random amount (dust included), sometimes a round one
+  const amountOf = (random) =>
+    random.chance(0.3) ? BigInt(random.int(1, 20)) * 10n ** 17n : random.bigint(1n, ethers.parseEther("2"));
+
+  const percentageOf = (random) => random.pick([0, 100, random.int(1, 99), random.int(1, 99)]);
+
+  /// @dev Usually the `usual` account, otherwise any actor
+  const callerOf = (state, random, usual) => (usual && random.chance(0.85) ? usual : random.pick(state.actors));
+
+  /**
+   * An item of `items` ready for the call, preferably the oldest so that some
+   * get to the end of their lifecycle. Now and then any item, or one past the
+   * end standing for an ID that was never created; otherwise null when no item
+   * is ready.
+   */
+  function pick(random, items, ready, missing) {
+    if (random.chance(0.05)) {
+      return missing(items.length);
+    }
+    const preferred = items.filter(ready);
+    if (preferred.length > 0 && random.chance(0.9)) {
+      return random.chance(0.6) ? preferred[0] : random.pick(preferred);
+    }
+    return items.length > 0 && random.chance(0.3) ? random.pick(items) : null;
+  }
+
+  const inStatus = (...statuses) => (item) => statuses.includes(item.status);
+
+  /**
+   * Settlement of a dispute by the owner (who holds ARBITRATOR_ROLE), made at a
+   * known block time so the model can tell whether the evidence period is over
+   */
+  async function resolveAction(state, random, contract, item, apply) {
+    const caller = callerOf(state, random, state.owner);
+    const percentage = random.chance(0.05) ? 101 : percentageOf(random);
+    const at = (await time.latest()) + 1;
+    return {
+      label: `resolve ${item.id} at ${percentage}% by ${state.name(caller)}`,
+      send: async () => {
+        await time.setNextBlockTimestamp(at);
+        return contract.connect(caller).resolveDispute(item.id, percentage);
+      },
+      revert:
+        caller !== state.owner
+          ? { contract, error: "AccessControlUnauthorizedAccount" }
+          : check(
+            [item.status !== "Disputed", "Not in dispute"],
+            [at < item.deadline, "Evidence period not over"],
+            [percentage > 100, "Invalid percentage"]
+          ),
+      apply: () => apply(BigInt(percentage)),
+    };
+  }
+
+  const waitAction = (random) => {
+    const seconds = random.int(1, 2 * HOUR);
+    return {
+      label: `wait ${seconds}s`,
+      send: async () => {
+        await time.increase(seconds);
+        return null;
+      },
+    };
+  };
+
+  /// @dev Checks a status change since the last step is one of `edges`
+  function expectTransition(state, key, status, edges) {
+    const previous = state.seen.get(key) || "Created";
+    if (previous !== status) {
+      expect(edges[previous], `${key}: ${previous} -> ${status}`).to.include(status);
+    }
+    state.seen.set(key, status);
+  }
+
+  describe("SupplyChainPayment", function () {
+    async function setup() {
+      const system = await loadFixture(deploySystemFixture);
+      const state = await setupActors(system, system.payment);
+      const { payment, sct } = state;
+      // Short enough for waits to end it, so that auto-approvals go through
+      await payment.setApprovalWindow(HOUR);
+      state.model = {
+        orders: [],
+        fee: await payment.platformFeePercentage(),
+        balances: {
+          [ZeroAddress]: await balanceOf(state, payment, ZeroAddress),
+          [sct]: await balanceOf(state, payment, sct),
+        },
+        fees: { [ZeroAddress]: 0n, [sct]: 0n },
+        earnings: new Map(),
+      };
+      return state;
+    }
+
+    const missingOrder = (id) => ({ id, missing: true, buyer: null, supplier: null, status: null, milestones: [] });
+    const pickOrder = (state, random, ready) => pick(random, state.model.orders, ready, missingOrder);
+    const planned = (order) => order.milestones.reduce((sum, milestone) => sum + milestone.percentage, 0);
+    const canPlan = (order) => order.status === "Created" && planned(order) < 100;
+    const canStart = (order) => order.status === "Created" && planned(order) === 100;
+    const canComplete = (order) =>
+      order.status === "InProgress" && order.milestones.some((milestone) => !milestone.completed);
+    const canApprove = (order) =>
+      order.status === "InProgress" && order.milestones.some((milestone) => milestone.completed && !milestone.approved);
+    // Cancellations mostly hit orders not planned yet and disputes partly paid ones, so others get completed
+    const canCancel = (order) => order.status === "Created" && order.milestones.length === 0;
+    const canDispute = (order) =>
+      order.status === "InProgress" && order.milestones.some((milestone) => milestone.approved);
+    const canSchedule = (order) => order.status === "Created" && order.milestones.length > 0;
+    const canReclaim = (order) =>
+      order.status === "InProgress" && order.milestones.some((milestone) => milestone.deadline > 0);
+
+    /// @dev Whether a milestone was completed after its deadline, or is still open at `at` past it
+    const missed = (milestone, at) =>
+      milestone.deadline > 0 && (milestone.completed ? milestone.completedAt : at) > milestone.deadline;
+
+    /// @dev Books a payout as the contract does: fee at the current rate, the rest to the supplier
+    function payOut(model, order, gross) {
+      const fee = (gross * model.fee) / 100n;
+      const key = `${order.supplier.address}/${order.token}`;
+      order.paid += gross;
+      model.fees[order.token] += fee;
+      model.earnings.set(key, (model.earnings.get(key) || 0n) + gross - fee);
+      model.balances[order.token] -= gross - fee;
+    }
+
+    /// @dev Approves a milestone as the contract does; the approval completing the order pays what rounding left over
+    function approveIn(model, order, milestone) {
+      milestone.approved = true;
+      const last = order.milestones.every((candidate) => candidate.approved);
+      const share = (order.total * BigInt(milestone.percentage)) / 100n;
+      payOut(model, order, last ? order.total - order.paid : share);
+      if (last) {
+        order.status = "Completed";
+      }
+    }
+
+    /// @dev Index of a milestone of `order` that is `ready`, or now and then any index including an invalid one
+    function milestoneIndex(random, order, ready) {
+      const candidates = order.milestones.filter(ready);
+      return candidates.length > 0 && random.chance(0.8)
+        ? order.milestones.indexOf(random.pick(candidates))
+        : random.int(0, order.milestones.length);
+    }
+
+    const actions = {
+      create: {
+        weight: 2,
+        generate: (state, random) => {
+          const { payment, model, sct } = state;
+          const buyer = callerOf(state, random, state.buyer);
+          const supplier = random.pick([state.supplier, state.rival, state.carrier]);
+          const token = buyer === state.buyer && random.chance(0.4) ? sct : ZeroAddress;
+          const amount = random.chance(0.05) ? 0n : amountOf(random);
+          const description = random.chance(0.05) ? "" : "Fuzzed goods";
+          return {
+            label: `create ${amount} ${token === sct ? "SCT" : "wei"} order with ${state.name(supplier)} ` +
+              `by ${state.name(buyer)}`,
+            send: () =>
+              token === sct
+                ? payment.connect(buyer).createOrderWithToken(supplier.address, description, sct, amount)
+                : payment.connect(buyer).createOrder(supplier.address, description, { value: amount }),
+            revert: check(
+              [supplier === state.carrier, "Supplier not registered"],
+              [amount === 0n, "Order amount must be greater than 0"],
+              [description === "", "Product description required"],
+              [supplier === buyer, "Cannot create order with yourself"]
+            ),
+            apply: () => {
+              model.orders.push({
+                id: model.orders.length,
+                buyer,
+                supplier,
+                token,
+                total: amount,
+                paid: 0n,
+                status: "Created",
+                milestones: [],
+                disputed: false,
+              });
+              model.balances[token] += amount;
+            },
+          };
+        },
+      },
+
+      addMilestone: {
+        weight: 4,
+        generate: (state, random) => {
+          const order = pickOrder(state, random, canPlan);
+          if (!order) {
+            return null;
+          }
+          const caller = callerOf(state, random, order.buyer);
+          // Mostly plans of several milestones, whose shares of odd amounts leave rounding dust
+          const left = 100 - planned(order);
+          const percentage = random.chance(0.1)
+            ? random.int(0, 101)
+            : left <= 1 || random.chance(left <= 50 ? 0.7 : 0.2)
+              ? left
+              : random.int(1, left - 1);
+          const description = random.chance(0.05) ? "" : `Part ${order.milestones.length}`;
+          return {
+            label: `add ${percentage}% milestone to ${order.id} by ${state.name(caller)}`,
+            send: () => state.payment.connect(caller).addMilestone(order.id, description, percentage),
+            revert: check(
+              [order.missing, "Order does not exist"],
+              [caller !== order.buyer, "Only buyer can perform this action"],
+              [order.status !== "Created", "Can only add milestones to created orders"],
+              [percentage < 1 || percentage > 100, "Invalid percentage"],
+              [description === "", "Description required"],
+              [planned(order) + percentage > 100, "Total percentage exceeds 100%"]
+            ),
+            apply: () => order.milestones.push({ percentage, deadline: 0, completed: false, approved: false }),
+          };
+        },
+      },
+
+      start: {
+        weight: 4,
+        generate: (state, random) => {
+          const order = pickOrder(state, random, canStart);
+          if (!order) {
+            return null;
+          }
+          const caller = callerOf(state, random, order.buyer);
+          return {
+            label: `start ${order.id} by ${state.name(caller)}`,
+            send: () => state.payment.connect(caller).startOrder(order.id),
+            revert: check(
+              [order.missing, "Order does not exist"],
+              [caller !== order.buyer, "Only buyer can perform this action"],
+              [order.status !== "Created", "Order already started"],
+              [order.milestones.length === 0, "Must add at least one milestone"],
+              [planned(order) !== 100, "Milestones must total 100%"]
+            ),
+            apply: () => {
+              order.status = "InProgress";
+              order.window = HOUR;
+            },
+          };
+        },
+      },
+
+      complete: {
+        weight: 6,
+        generate: (state, random) => {
+          const order = pickOrder(state, random, canComplete);
+          if (!order) {
+            return null;
+          }
+          const caller = callerOf(state, random, order.supplier);
+          const index = milestoneIndex(random, order, (candidate) => !candidate.completed);
+          const milestone = order.milestones[index];
+          return {
+            label: `complete ${order.id}/${index} by ${state.name(caller)}`,
+            send: () => state.payment.connect(caller).completeMilestone(order.id, index),
+            revert: check(
+              [order.missing, "Order does not exist"],
+              [caller !== order.supplier, "Only supplier can perform this action"],
+              [order.status !== "InProgress", "Order not in progress"],
+              [!milestone, "Invalid milestone index"],
+              [milestone && milestone.completed, "Milestone already completed"]
+            ),
+            apply: async (receipt) => {
+              milestone.completed = true;
+              milestone.completedAt = (await receipt.getBlock()).timestamp;
+            },
+          };
+        },
+      },
+
+      approve: {
+        weight: 6,
+        generate: (state, random) => {
+          const { model } = state;
+          const order = pickOrder(state, random, canApprove);
+          if (!order) {
+            return null;
+          }
+          const caller = callerOf(state, random, order.buyer);
+          const index = milestoneIndex(random, order, (candidate) => candidate.completed && !candidate.approved);
+          const milestone = order.milestones[index];
+          return {
+            label: `approve ${order.id}/${index} by ${state.name(caller)}`,
+            send: () => state.payment.connect(caller).approveMilestone(order.id, index),
+            revert: check(
+              [order.missing, "Order does not exist"],
+              [caller !== order.buyer, "Only buyer can perform this action"],
+              [order.status !== "InProgress", "Order not in progress"],
+              [!milestone, "Invalid milestone index"],
+              [milestone && !milestone.completed, "Milestone not completed"],
+              [milestone && milestone.approved, "Milestone already approved"]
+            ),
+            apply: () => approveIn(model, order, milestone),
+          };
+        },
+      },
+
+      schedule: {
+        weight: 2,
+        generate: async (state, random) => {
+          const order = pickOrder(state, random, canSchedule);
+          if (!order) {
+            return null;
+          }
+          const caller = callerOf(state, random, order.buyer);
+          const index = milestoneIndex(random, order, () => true);
+          const milestone = order.milestones[index];
+          const at = (await time.latest()) + 1;
+          // Mostly a deadline waits can reach, sometimes none or one already passed
+          const deadline = random.chance(0.1) ? 0 : random.chance(0.05) ? at : at + random.int(1, 3 * HOUR);
+          return {
+            label: `set deadline of ${order.id}/${index} to ${deadline} by ${state.name(caller)}`,
+            send: async () => {
+              await time.setNextBlockTimestamp(at);
+              return state.payment.connect(caller).setMilestoneDeadline(order.id, index, deadline);
+            },
+            revert: check(
+              [order.missing, "Order does not exist"],
+              [caller !== order.buyer, "Only buyer can perform this action"],
+              [order.status !== "Created", "Order already started"],
+              [!milestone, "Invalid milestone index"],
+              [deadline !== 0 && deadline <= at, "Deadline must be in the future"]
+            ),
+            apply: () => {
+              milestone.deadline = deadline;
+            },
+          };
+        },
+      },
+
+      autoApprove: {
+        weight: 3,
+        generate: async (state, random) => {
+          const { model } = state;
+          const order = pickOrder(state, random, canApprove);
+          if (!order) {
+            return null;
+          }
+          const caller = random.pick(state.actors);
+          const index = milestoneIndex(random, order, (candidate) => candidate.completed && !candidate.approved);
+          const milestone = order.milestones[index];
+          const completedAt = (milestone && milestone.completedAt) || 0;
+          // Usually after the buyer had the window to approve it
+          const at = (await time.latest()) + 1 + (random.chance(0.7) ? HOUR : 0);
+          return {
+            label: `auto-approve ${order.id}/${index} by ${state.name(caller)}`,
+            send: async () => {
+              await time.setNextBlockTimestamp(at);
+              return state.payment.connect(caller).autoApproveMilestone(order.id, index);
+            },
+            revert: check(
+              [order.missing, "Order does not exist"],
+              [!milestone, "Invalid milestone index"],
+              [!order.window || at < completedAt + order.window, "Approval window not over"],
+              [milestone && missed(milestone, at), "Milestone missed its deadline"],
+              [order.status !== "InProgress", "Order not in progress"],
+              [milestone && !milestone.completed, "Milestone not completed"],
+              [milestone && milestone.approved, "Milestone already approved"]
+            ),
+            apply: () => approveIn(model, order, milestone),
+          };
+        },
+      },
+
+      reclaim: {
+        weight: 2,
+        generate: async (state, random) => {
+          const order = pickOrder(state, random, canReclaim);
+          if (!order) {
+            return null;
+          }
+          const caller = callerOf(state, random, order.buyer);
+          // Often once some deadline has passed
+          const at = (await time.latest()) + 1 + (random.chance(0.5) ? random.int(0, 3 * HOUR) : 0);
+          const open = order.milestones.filter((milestone) => !milestone.approved);
+          return {
+            label: `reclaim ${order.id} by ${state.name(caller)}`,
+            send: async () => {
+              await time.setNextBlockTimestamp(at);
+              return state.payment.connect(caller).reclaimOrder(order.id);
+            },
+            revert: check(
+              [order.missing, "Order does not exist"],
+              [caller !== order.buyer, "Only buyer can perform this action"],
+              [order.status !== "InProgress", "Order not in progress"],
+              [open.some((milestone) => milestone.completed && !missed(milestone, at)), "Milestones awaiting approval"],
+              [!open.some((milestone) => missed(milestone, at)), "No missed deadline"]
+            ),
+            apply: () => {
+              order.status = "Cancelled";
+              state.model.balances[order.token] -= order.total - order.paid;
+            },
+          };
+        },
+      },
+
+      dispute: {
+        weight: 1,
+        generate: (state, random) => {
+          const order = pickOrder(state, random, canDispute);
+          if (!order) {
+            return null;
+          }
+          const caller = callerOf(state, random, random.pick([order.buyer, order.supplier]));
+          const reason = random.chance(0.05) ? "" : "Late delivery";
+          return {
+            label: `dispute ${order.id} by ${state.name(caller)}`,
+            send: () => state.payment.connect(caller).raiseDispute(order.id, reason),
+            revert: check(
+              [order.missing, "Order does not exist"],
+              [caller !== order.buyer && caller !== order.supplier, "Only buyer or supplier can raise dispute"],
+              [order.status !== "InProgress", "Can only dispute in-progress orders"],
+              [order.disputed, "Dispute already raised"],
+              [reason === "", "Reason required"]
+            ),
+            apply: async (receipt) => {
+              order.status = "Disputed";
+              order.disputed = true;
+              order.deadline = (await receipt.getBlock()).timestamp + HOUR;
+            },
+          };
+        },
+      },
+
+      resolve: {
+        weight: 3,
+        generate: (state, random) => {
+          const { model } = state;
+          const order = pickOrder(state, random, inStatus("Disputed"));
+          if (!order) {
+            return null;
+          }
+          return resolveAction(state, random, state.payment, order, (percentage) => {
+            const remaining = order.total - order.paid;
+            const supplierAmount = (remaining * percentage) / 100n;
+            if (supplierAmount > 0n) {
+              payOut(model, order, supplierAmount);
+            }
+            model.balances[order.token] -= remaining - supplierAmount;
+            order.status = percentage > 0n ? "Completed" : "Cancelled";
+          });
+        },
+      },
+
+      cancel: {
+        weight: 1,
+        generate: (state, random) => {
+          const order = pickOrder(state, random, canCancel);
+          if (!order) {
+            return null;
+          }
+          const caller = callerOf(state, random, order.buyer);
+          return {
+            label: `cancel ${order.id} by ${state.name(caller)}`,
+            send: () => state.payment.connect(caller).cancelOrder(order.id),
+            revert: check(
+              [order.missing, "Order does not exist"],
+              [caller !== order.buyer, "Only buyer can perform this action"],
+              [order.status !== "Created", "Can only cancel created orders"]
+            ),
+            apply: () => {
+              order.status = "Cancelled";
+              state.model.balances[order.token] -= order.total;
+            },
+          };
+        },
+      },
+
+      withdraw: {
+        weight: 1,
+        generate: (state, random) => {
+          const { payment, model } = state;
+          const caller = callerOf(state, random, state.owner);
+          const token = random.pick([ZeroAddress, state.sct]);
+          return {
+            label: `withdraw ${token === ZeroAddress ? "ETH" : "SCT"} fees by ${state.name(caller)}`,
+            send: () =>
+              token === ZeroAddress
+                ? payment.connect(caller).withdrawPlatformFees()
+                : payment.connect(caller).withdrawTokenFees(token),
+            revert:
+              caller !== state.owner
+                ? { contract: payment, error: "AccessControlUnauthorizedAccount" }
+                : check([model.fees[token] === 0n, "No fees to withdraw"]),
+            apply: () => {
+              model.balances[token] -= model.fees[token];
+              model.fees[token] = 0n;
+            },
+          };
+        },
+      },
+
+      fee: {
+        weight: 1,
+        generate: (state, random) => {
+          const { payment } = state;
+          const caller = callerOf(state, random, state.owner);
+          const fee = random.int(0, 12);
+          return {
+            label: `set fee to ${fee}% by ${state.name(caller)}`,
+            send: () => payment.connect(caller).updatePlatformFee(fee),
+            revert:
+              caller !== state.owner
+                ? { contract: payment, error: "OwnableUnauthorizedAccount" }
+                : check([fee > 10, "Fee cannot exceed 10%"]),
+            apply: () => {
+              state.model.fee = BigInt(fee);
+            },
+          };
+        },
+      },
+
+      wait: { weight: 1, generate: (state, random) => waitAction(random) },
+    };
+
+    async function invariants(state) {
+      const { payment, model, sct } = state;
+      const owed = { [ZeroAddress]: 0n, [sct]: 0n };
+      for (const expected of model.orders) {
+        const order = await payment.orders(expected.id);
+        const status = orderStatusName(order.status);
+        expect(order.paidAmount, `order ${expected.id} paid beyond its total`).to.be.at.most(order.totalAmount);
+        expect(order.paidAmount, `order ${expected.id} paidAmount`).to.equal(expected.paid);
+        expect(status, `order ${expected.id} status`).to.equal(expected.status);
+        expectTransition(state, `order ${expected.id}`, status, ORDER_EDGES);
+        if (OPEN_ORDERS.includes(status)) {
+          owed[expected.token] += order.totalAmount - order.paidAmount;
+        }
+      }
+
+      const fees = {
+        [ZeroAddress]: await payment.totalPlatformFees(),
+        [sct]: await payment.tokenPlatformFees(sct),
+      };
+      for (const token of [ZeroAddress, sct]) {
+        const balance = await balanceOf(state, payment, token);
+        expect(fees[token], `${token} platform fees`).to.equal(model.fees[token]);
+        expect(balance, `${token} balance against deposits minus releases`).to.equal(model.balances[token]);
+        expect(balance, `${token} balance against open orders and fees`).to.equal(owed[token] + fees[token]);
+      }
+
+      for (const supplier of [state.supplier, state.rival]) {
+        const earned = (token) => model.earnings.get(`${supplier.address}/${token}`) || 0n;
+        expect((await payment.getSupplierStats(supplier.address)).totalAmountEarned).to.equal(earned(ZeroAddress));
+        expect(await payment.supplierTokenEarnings(supplier.address, sct)).to.equal(earned(sct));
+      }
+    }
+
+    it("Should keep balances, payouts and statuses consistent under random order flows", async function () {
+      const { counts } = await fuzz({ title: "SupplyChainPayment", setup, actions, invariants });
+      // The runs reached every kind of call
+      expect(Object.keys(counts)).to.have.members(Object.keys(actions));
+    });
+  });
+
+  describe("PaymentEscrow", function () {
+    async function setup() {
+      const system = await loadFixture(deploySystemFixture);
+      const state = await setupActors(system, system.escrow);
+      const { escrow, sct } = state;
+      state.model = {
+        escrows: [],
+        balances: {
+          [ZeroAddress]: await balanceOf(state, escrow, ZeroAddress),
+          [sct]: await balanceOf(state, escrow, sct),
+        },
+      };
+      return state;
+    }
+
+    // Escrow IDs start at 1; an ID never created reads as an empty Created escrow
+    const missingEscrow = (count) => ({
+      id: count + 1,
+      buyer: null,
+      seller: null,
+      token: ZeroAddress,
+      status: "Created",
+    });
+    const pickEscrow = (state, random, ready) => pick(random, state.model.escrows, ready, missingEscrow);
+
+    const actions = {
+      create: {
+        weight: 2,
+        generate: (state, random) => {
+          const { escrow, model, sct } = state;
+          const buyer = callerOf(state, random, state.buyer);
+          const seller = random.chance(0.05) ? null : random.pick(state.actors);
+          const token = buyer === state.buyer && random.chance(0.4) ? sct : ZeroAddress;
+          const amount = random.chance(0.05) ? 0n : amountOf(random);
+          return {
+            label: `create ${amount} ${token === sct ? "SCT" : "wei"} escrow for ${state.name(seller)} ` +
+              `by ${state.name(buyer)}`,
+            send: () => escrow.connect(buyer).createEscrow(0, seller ? seller.address : ZeroAddress, token, amount, 0),
+            revert: check([!seller, "Invalid seller"], [amount === 0n, "Amount must be > 0"]),
+            apply: () => {
+              model.escrows.push({
+                id: model.escrows.length + 1,
+                buyer,
+                seller,
+                token,
+                amount,
+                status: "Created",
+                buyerApproval: false,
+                sellerApproval: false,
+              });
+            },
+          };
+        },
+      },
+
+      fund: {
+        weight: 3,
+        generate: (state, random) => {
+          const item = pickEscrow(state, random, inStatus("Created"));
+          if (!item) {
+            return null;
+          }
+          const caller = callerOf(state, random, item.buyer);
+          const inEth = item.token === ZeroAddress;
+          const value = inEth ? (item.amount || 0n) + (random.chance(0.1) ? 1n : 0n) : 0n;
+          return {
+            label: `fund ${item.id} with ${value} wei by ${state.name(caller)}`,
+            send: () => state.escrow.connect(caller).fundEscrow(item.id, { value }),
+            revert: check(
+              [item.status !== "Created", "Invalid status"],
+              [caller !== item.buyer, "Not buyer"],
+              [inEth && value !== item.amount, "Incorrect amount"]
+            ),
+            apply: () => {
+              item.status = "Funded";
+              state.model.balances[item.token] += item.amount;
+            },
+          };
+        },
+      },
+
+      approve: {
+        weight: 4,
+        generate: (state, random) => {
+          const item = pickEscrow(state, random, inStatus("Funded"));
+          if (!item) {
+            return null;
+          }
+          const caller = callerOf(state, random, random.pick([item.buyer, item.seller]));
+          return {
+            label: `approve release of ${item.id} by ${state.name(caller)}`,
+            send: () => state.escrow.connect(caller).approveRelease(item.id),
+            revert: check(
+              [item.status !== "Funded", "Invalid status"],
+              [caller !== item.buyer && caller !== item.seller, "Unauthorized"]
+            ),
+            apply: () => {
+              // A buyer who is also the seller only ever approves as the buyer
+              if (caller === item.buyer) {
+                item.buyerApproval = true;
+              } else {
+                item.sellerApproval = true;
+              }
+              if (item.buyerApproval && item.sellerApproval) {
+                item.status = "Completed";
+                state.model.balances[item.token] -= item.amount;
+              }
+            },
+          };
+        },
+      },
+
+      refund: {
+        weight: 1,
+        generate: (state, random) => {
+          const { escrow } = state;
+          const item = pickEscrow(state, random, inStatus("Funded"));
+          if (!item) {
+            return null;
+          }
+          const caller = callerOf(state, random, state.owner);
+          return {
+            label: `refund ${item.id} by ${state.name(caller)}`,
+            send: () => escrow.connect(caller).refundBuyer(item.id),
+            revert:
+              caller !== state.owner
+                ? { contract: escrow, error: "AccessControlUnauthorizedAccount" }
+                : check([item.status !== "Funded", "Invalid status"]),
+            apply: () => {
+              item.status = "Refunded";
+              state.model.balances[item.token] -= item.amount;
+            },
+          };
+        },
+      },
+
+      dispute: {
+        weight: 2,
+        generate: (state, random) => {
+          const item = pickEscrow(state, random, inStatus("Funded"));
+          if (!item) {
+            return null;
+          }
+          const caller = callerOf(state, random, random.pick([item.buyer, item.seller]));
+          return {
+            label: `dispute ${item.id} by ${state.name(caller)}`,
+            send: () => state.escrow.connect(caller).raiseDispute(item.id),
+            revert: check(
+              [caller !== item.buyer && caller !== item.seller, "Unauthorized"],
+              [item.status !== "Funded", "Invalid status"]
+            ),
+            apply: async (receipt) => {
+              item.status = "Disputed";
+              item.deadline = (await receipt.getBlock()).timestamp + HOUR;
+            },
+          };
+        },
+      },
+
+      resolve: {
+        weight: 2,
+        generate: (state, random) => {
+          const item = pickEscrow(state, random, inStatus("Disputed"));
+          if (!item) {
+            return null;
+          }
+          return resolveAction(state, random, state.escrow, item, (percentage) => {
+            item.status = percentage > 0n ? "Completed" : "Refunded";
+            state.model.balances[item.token] -= item.amount;
+          });
+        },
+      },
+
+      wait: { weight: 1, generate: (state, random) => waitAction(random) },
+    };
+
+    async function invariants(state) {
+      const { escrow, model, sct } = state;
+      const held = { [ZeroAddress]: 0n, [sct]: 0n };
+      for (const expected of model.escrows) {
+        const item = await escrow.escrows(expected.id);
+        const status = ESCROW_STATUS[Number(item.status)];
+        expect(status, `escrow ${expected.id} status`).to.equal(expected.status);
+        expect(item.amount, `escrow ${expected.id} amount`).to.equal(expected.amount);
+        expectTransition(state, `escrow ${expected.id}`, status, ESCROW_EDGES);
+        if (OPEN_ESCROWS.includes(status)) {
+          held[expected.token] += item.amount;
+        }
+      }
+
+      for (const token of [ZeroAddress, sct]) {
+        const balance = await balanceOf(state, escrow, token);
+        expect(balance, `${token} balance against deposits minus releases`).to.equal(model.balances[token]);
+        expect(balance, `${token} balance against funded escrows`).to.equal(held[token]);
+      }
+    }
+
+    it("Should keep balances and statuses consistent under random escrow flows", async function () {
+      const { counts } = await fuzz({ title: "PaymentEscrow", setup, actions, invariants });
+      expect(Object.keys(counts)).to.have.members(Object.keys(actions));
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deploy } = require("../lib/deployment");
+const { Store, Indexer, INDEXED_CONTRACTS } = require("../lib/indexer");
+const { Notifier, SIGNATURE_HEADER, verifySignature } = require("../lib/notifier");
+
+const silent = () => {};
+
+describe("Notifier", function () {
+  let owner;
+  let supplier;
+  let buyer;
+  let record;
+  let payment;
+  let store;
+  let indexer;
+  let receiver;
+  let baseUrl;
+  let received;
+  let statuses;
+  let clock;
+
+  /// Local webhook receiver answering with the queued statuses, then 200
+  before(async function () {
+    receiver = http.createServer((request, response) => {
+      let body = "";
+      request.on("data", (chunk) => (body += chunk));
+      request.on("end", () => {
+        received.push({ path: request.url, headers: request.headers, body });
+        response.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+        response.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  after(async function () {
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  beforeEach(async function () {
+    [owner, supplier, buyer] = await ethers.getSigners();
+    record = await deploy(hre, { log: silent, only: INDEXED_CONTRACTS });
+    payment = await ethers.getContractAt("SupplyChainPayment", record.contracts.SupplyChainPayment);
+    const registry = await ethers.getContractAt("SupplierRegistry", record.contracts.SupplierRegistry);
+    await registry.connect(supplier).registerSupplier("ACME Corp", "ops@acme.com", "", "");
+    await registry.verifySupplier(supplier.address);
+
+    store = await Store.open();
+    indexer = new Indexer({
+      provider: ethers.provider,
+      store,
+      contracts: record.contracts,
+      startBlock: record.blockNumber,
+    });
+    received = [];
+    statuses = [];
+    clock = Date.now();
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  function notifier(subscriptions, options = {}) {
+    return new Notifier({ store, subscriptions, network: "hardhat", now: () => clock, ...options });
+  }
+
+  async function createOrder(percentages = [50, 50]) {
+    const id = await payment.orderCounter();
+    await payment.connect(buyer).createOrder(supplier.address, "Widgets", { value: 1000 });
+    for (const [index, percentage] of percentages.entries()) {
+      await payment.connect(buyer).addMilestone(id, `Milestone ${index}`, percentage);
+    }
+    await payment.connect(buyer).startOrder(id);
+    return id;
+  }
+
+  it("Should deliver signed webhooks to the parties of each new event", async function () {
+    const id = await createOrder();
+    await payment.connect(supplier).completeMilestone(id, 0);
+    await indexer.sync();
+    const service = notifier([
+      { address: supplier.address, url: `${baseUrl}/supplier`, secret: "supplier-secret" },
+      { address: buyer.address, url: `${baseUrl}/buyer`, secret: "buyer-secret", events: ["DisputeRaised"] },
+    ]);
+
+    await payment.connect(buyer).approveMilestone(id, 0);
+    await payment.connect(buyer).raiseDispute(id, "Damaged goods");
+    const result = await service.tick(await indexer.sync());
+    expect(result).to.deep.equal({ queued: 4, delivered: 4, retried: 0, dead: 0 });
+
+    const toSupplier = received.filter((request) => request.path === "/supplier");
+    expect(toSupplier.map((request) => request.headers["x-supplychain-event"])).to.deep.equal([
+      "MilestoneApproved",
+      "PaymentReleased",
+      "DisputeRaised",
+    ]);
+    for (const request of toSupplier) {
+      const header = request.headers[SIGNATURE_HEADER.toLowerCase()];
+      expect(verifySignature("supplier-secret", request.body, header)).to.be.true;
+      expect(verifySignature("buyer-secret", request.body, header)).to.be.false;
+    }
+
+    const [toBuyer] = received.filter((request) => request.path === "/buyer");
+    const payload = JSON.parse(toBuyer.body);
+    expect(payload).to.deep.include({
+      event: "DisputeRaised",
+      contract: "SupplyChainPayment",
+      network: "hardhat",
+      recipient: { address: buyer.address.toLowerCase(), roles: ["buyer"] },
+      args: { orderId: id.toString(), raisedBy: buyer.address.toLowerCase(), reason: "Damaged goods" },
+    });
+    expect(toBuyer.headers["x-supplychain-delivery"]).to.equal(payload.id);
+
+    expect(await service.tick(await indexer.sync())).to.deep.equal({ queued: 0, delivered: 0, retried: 0, dead: 0 });
+  });
+
+  it("Should retry with exponential backoff and dead-letter after the last attempt", async function () {
+    const deadLetterFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "notifier-")), "dead.jsonl");
+    try {
+      const service = notifier([{ address: supplier.address, url: `${baseUrl}/hook`, secret: "s" }], {
+        maxAttempts: 3,
+        baseDelayMs: 1000,
+        deadLetterFile,
+      });
+      const id = await createOrder([100]);
+      await payment.connect(supplier).completeMilestone(id, 0);
+      await indexer.sync();
+
+      statuses.push(500, 500, 500);
+      expect(await service.tick()).to.include({ queued: 1, retried: 1 });
+      expect(await service.tick()).to.include({ retried: 0, dead: 0 }); // not due yet
+      clock += 1000;
+      expect(await service.tick()).to.include({ retried: 1 });
+      clock += 1999;
+      expect(await service.tick()).to.include({ dead: 0 });
+      clock += 1;
+      expect(await service.tick()).to.include({ dead: 1 });
+      expect(received).to.have.lengthOf(3);
+
+      const [entry] = fs.readFileSync(deadLetterFile, "utf8").trim().split("\n").map(JSON.parse);
+      expect(entry).to.include({ event: "MilestoneCompleted", attempts: 3, error: "HTTP 500" });
+      expect(entry.payload.args.orderId).to.equal(id.toString());
+
+      statuses.push(503);
+      await payment.connect(buyer).approveMilestone(id, 0);
+      await indexer.sync();
+      expect(await service.tick()).to.include({ queued: 2, delivered: 1, retried: 1 });
+      clock += 1000;
+      expect(await service.tick()).to.include({ delivered: 1 });
+      expect(store.get("SELECT COUNT(*) AS n FROM deliveries WHERE status = 'delivered'").n).to.equal(2);
+    } finally {
+      fs.rmSync(path.dirname(deadLetterFile), { recursive: true, force: true });
+    }
+  });
+
+  it("Should drop pending webhooks for events removed by a reorg", async function () {
+    const service = notifier([{ address: supplier.address, url: `${baseUrl}/hook`, secret: "s" }]);
+    const id = await createOrder([100]);
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+    await payment.connect(buyer).raiseDispute(id, "Orphaned");
+    statuses.push(500);
+    expect(await service.tick(await indexer.sync())).to.include({ queued: 1, retried: 1 });
+
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await payment.connect(supplier).completeMilestone(id, 0);
+    await ethers.provider.send("hardhat_mine", ["0x3"]);
+
+    const sync = await indexer.sync();
+    expect(sync.reorg).to.be.a("number");
+    clock += 1000;
+    expect(await service.tick(sync)).to.include({ queued: 1, delivered: 1, retried: 0 });
+
+    const events = received.map((request) => JSON.parse(request.body).event);
+    expect(events).to.deep.equal(["DisputeRaised", "MilestoneCompleted"]);
+    expect(store.get("SELECT COUNT(*) AS n FROM deliveries WHERE status = 'pending'").n).to.equal(0);
+  });
+
+  it("Should reject invalid subscriptions", function () {
+    expect(() => notifier([{ address: "0x1234", url: baseUrl, secret: "s" }])).to.throw(
+      "Subscription 0 has an invalid address: 0x1234"
+    );
+    expect(() => notifier([{ address: buyer.address, url: "ftp://host", secret: "s" }])).to.throw(
+      "Subscription 0 needs an http(s) url"
+    );
+    expect(() => notifier([{ address: buyer.address, url: baseUrl, secret: "s", events: ["OrderCreated"] }])).to.throw(
+      "Subscription 0 lists unknown events: OrderCreated"
+    );
+  });
+});
@@ -0,0 +1,503 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deploy } = require("../lib/deployment");
+const { saveRecord } = require("../lib/deployment/record");
+
+const silent = () => {};
+
+describe("Operator CLI", function () {
+  let owner;
+  let supplier;
+  let buyer;
+  let record;
+  let deployment;
+  let output;
+
+  /**
+   * Runs `npx hardhat <scope> <task>` in-process and captures what it prints
+   */
+  async function cli(scope, task, args = {}) {
+    const { log } = console;
+    output = [];
+    console.log = (line) => output.push(line);
+    try {
+      return await hre.run({ scope, task }, { deployment, ...args });
+    } finally {
+      console.log = log;
+    }
+  }
+
+  before(async function () {
+    deployment = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "cli-")), "deployment-hardhat.json");
+  });
+
+  after(function () {
+    fs.rmSync(path.dirname(deployment), { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    [owner, supplier, buyer] = await ethers.getSigners();
+    record = await deploy(hre, {
+      log: silent,
+      only: ["SupplyChainPayment", "SupplierRegistry", "ShippingTracker", "PaymentEscrow"],
+    });
+    saveRecord(deployment, record);
+
+    await cli("suppliers", "register", { name: "ACME Corp", email: "ops@acme.com", from: supplier.address });
+    await cli("suppliers", "verify", { address: supplier.address });
+  });
+
+  async function createOrder(milestones = [100]) {
+    const payment = await ethers.getContractAt("SupplyChainPayment", record.contracts.SupplyChainPayment, buyer);
+    const id = await payment.orderCounter();
+    await payment.createOrder(supplier.address, "Widgets", { value: ethers.parseEther("1") });
+    for (const [index, percentage] of milestones.entries()) {
+      await payment.addMilestone(id, `Milestone ${index}`, percentage);
+    }
+    return { payment, id };
+  }
+
+  describe("suppliers", function () {
+    it("Should register and verify in SupplierRegistry", async function () {
+      const shown = await cli("suppliers", "show", { address: supplier.address });
+      expect(shown.registry).to.include({ businessName: "ACME Corp", verified: true, active: true });
+      expect(shown.payments).to.deep.equal({ ordersCompleted: 0n, totalEarned: 0n });
+    });
+
+    it("Should deactivate a supplier", async function () {
+      const result = await cli("suppliers", "deactivate", { address: supplier.address });
+      expect(result.registry.active).to.be.false;
+    });
+
+    it("Should refuse to register twice", async function () {
+      await expect(
+        cli("suppliers", "register", { name: "ACME Corp", email: "ops@acme.com", from: supplier.address })
+      ).to.be.rejectedWith(`${supplier.address} is already registered`);
+    });
+  });
+
+  describe("orders", function () {
+    it("Should list and filter orders, newest first", async function () {
+      const { payment, id: first } = await createOrder();
+      await payment.startOrder(first);
+      const { id: second } = await createOrder();
+
+      const all = await cli("orders", "list");
+      expect(all.map((order) => order.id)).to.deep.equal([second, first]);
+      expect(all[1]).to.include({ status: "InProgress", milestones: "0/1 approved" });
+
+      const created = await cli("orders", "list", { status: "Created", buyer: buyer.address });
+      expect(created.map((order) => order.id)).to.deep.equal([second]);
+
+      await expect(cli("orders", "list", { status: "Done" })).to.be.rejectedWith("Unknown status Done");
+    });
+
+    it("Should approve milestones as the buyer", async function () {
+      const { payment, id } = await createOrder([40, 60]);
+      await payment.startOrder(id);
+      await payment.connect(supplier).completeMilestone(id, 0);
+
+      const result = await cli("orders", "approve", { id: id.toString(), milestone: "0", from: buyer.address });
+      expect(result).to.include({ milestone: 0, status: "InProgress" });
+      expect(result.transaction.hash).to.match(/^0x[0-9a-f]{64}$/);
+
+      const order = await cli("orders", "show", { id: id.toString() });
+      expect(order.milestones[0].approved).to.be.true;
+      expect(order.payout.net).to.equal(ethers.parseEther("0.99"));
+    });
+
+    it("Should create orders paid in ETH or in an accepted token", async function () {
+      const created = await cli("orders", "create", {
+        supplier: supplier.address,
+        description: "Widgets",
+        amount: "1.5",
+        milestones: "30:Design approval, 70:Final delivery",
+        from: buyer.address,
+      });
+      expect(created).to.include({ status: "InProgress", totalAmount: ethers.parseEther("1.5") });
+      expect(created.token).to.equal(ethers.ZeroAddress);
+
+      const token = await ethers.getContractAt("SupplyChainToken", record.contracts.SupplyChainToken);
+      await token.transfer(buyer.address, ethers.parseEther("500"));
+      const paid = await cli("orders", "create", {
+        supplier: supplier.address,
+        description: "Crates",
+        amount: "200",
+        milestones: "100:Delivery",
+        token: "SupplyChainToken",
+        from: buyer.address,
+      });
+      expect(paid).to.include({ token: record.contracts.SupplyChainToken, totalAmount: ethers.parseEther("200") });
+
+      const payment = await ethers.getContractAt("SupplyChainPayment", record.contracts.SupplyChainPayment);
+      await payment.connect(supplier).completeMilestone(paid.id, 0);
+      await cli("orders", "approve", { id: paid.id.toString(), milestone: "0", from: buyer.address });
+      const withdrawn = await cli("fees", "withdraw", { token: record.contracts.SupplyChainToken });
+      expect(withdrawn).to.include({ withdrawn: ethers.parseEther("2"), token: record.contracts.SupplyChainToken });
+
+      await cli("orders", "accept-token", { token: "SupplyChainToken", remove: true });
+      await expect(
+        cli("orders", "create", {
+          supplier: supplier.address,
+          description: "Crates",
+          amount: "1",
+          milestones: "100:Delivery",
+          token: "SupplyChainToken",
+          from: buyer.address,
+        })
+      ).to.be.rejectedWith("Token not accepted");
+      await expect(
+        cli("orders", "create", { supplier: supplier.address, description: "X", amount: "1", milestones: "all" })
+      ).to.be.rejectedWith('Invalid milestone "all"');
+    });
+
+    it("Should cancel an order", async function () {
+      const { id } = await createOrder();
+      const result = await cli("orders", "cancel", { id: id.toString(), from: "2" });
+      expect(result.status).to.equal("Cancelled");
+    });
+
+    it("Should create orders with milestone deadlines and reclaim them once one is missed", async function () {
+      const now = await time.latest();
+      const date = new Date((now + 30 * 86400) * 1000).toISOString().slice(0, 10);
+      const { id } = await cli("orders", "create", {
+        supplier: supplier.address,
+        description: "Widgets",
+        amount: "1",
+        milestones: `40:Prototype@7d, 60:Final delivery@${date}`,
+        from: buyer.address,
+      });
+
+      const shown = await cli("orders", "show", { id: id.toString() });
+      const [prototype, delivery] = shown.milestones;
+      expect(prototype.deadline.getTime() / 1000).to.be.closeTo(now + 7 * 86400, 60);
+      expect(delivery.deadline).to.deep.equal(new Date(date));
+      expect(shown.approvalWindow).to.equal(7 * 86400);
+
+      const payment = await ethers.getContractAt("SupplyChainPayment", record.contracts.SupplyChainPayment);
+      await payment.connect(supplier).completeMilestone(id, 0);
+      await time.increase(7 * 86400);
+      const approved = await cli("orders", "auto-approve", { id: id.toString(), milestone: "0" });
+      expect(approved).to.include({ milestone: 0, status: "InProgress" });
+
+      await time.increaseTo(delivery.deadline.getTime() / 1000 + 1);
+      const reclaimed = await cli("orders", "reclaim", { id: id.toString(), from: buyer.address });
+      expect(reclaimed).to.include({ status: "Cancelled", refunded: ethers.parseEther("0.6") });
+
+      await expect(
+        cli("orders", "create", {
+          supplier: supplier.address,
+          description: "X",
+          amount: "1",
+          milestones: "100:All@2026-13-45",
+        })
+      ).to.be.rejectedWith('Invalid deadline "2026-13-45"');
+    });
+
+    it("Should print JSON for scripting", async function () {
+      const { id } = await createOrder();
+      await cli("orders", "show", { id: id.toString(), json: true });
+
+      const printed = JSON.parse(output.join("\n"));
+      expect(printed).to.include({ id: "0", status: "Created", totalAmount: ethers.parseEther("1").toString() });
+    });
+  });
+
+  describe("disputes and fees", function () {
+    it("Should raise and resolve disputes", async function () {
+      const { payment, id } = await createOrder();
+      await payment.startOrder(id);
+
+      const raised = await cli("disputes", "raise", { id: "0", reason: "Late", from: buyer.address });
+      expect(raised).to.include({ status: "Disputed", reason: "Late", escalated: false });
+
+      const argued = await cli("disputes", "evidence", { id: "0", evidence: "ipfs://pod", from: supplier.address });
+      expect(argued.evidence).to.deep.equal([{ party: supplier.address, evidence: "ipfs://pod" }]);
+
+      await expect(cli("disputes", "resolve", { id: "0", favor: "nobody" })).to.be.rejectedWith(
+        "--favor must be supplier or buyer"
+      );
+      await expect(cli("disputes", "resolve", { id: "0", split: "101" })).to.be.rejectedWith(
+        "Supplier percentage must be 0-100"
+      );
+      await expect(cli("disputes", "resolve", { id: "0", favor: "supplier" })).to.be.rejectedWith(
+        "Evidence period not over"
+      );
+      await time.increase(await payment.evidencePeriod());
+      const resolved = await cli("disputes", "resolve", { id: "0", favor: "supplier" });
+      expect(resolved).to.include({ status: "Completed", resolved: true });
+
+      const withdrawn = await cli("fees", "withdraw");
+      expect(withdrawn).to.include({ withdrawn: ethers.parseEther("0.01"), recipient: owner.address });
+    });
+
+    it("Should let the arbitrator panel settle an escalated escrow dispute", async function () {
+      const arbiter = (await ethers.getSigners())[3];
+      await cli("disputes", "add-arbitrator", { address: arbiter.address });
+      const panel = await cli("disputes", "arbitrators");
+      expect(panel).to.deep.equal({ arbitrators: [arbiter.address], quorum: 3n, votingPeriod: 604800n });
+
+      const registry = await ethers.getContractAt("ArbitratorRegistry", record.contracts.ArbitratorRegistry);
+      await registry.setQuorum(1);
+      const escrow = await ethers.getContractAt("PaymentEscrow", record.contracts.PaymentEscrow, buyer);
+      await escrow.createEscrow(0, supplier.address, ethers.ZeroAddress, ethers.parseEther("1"), 0);
+      await escrow.fundEscrow(1, { value: ethers.parseEther("1") });
+
+      await cli("disputes", "raise", { id: "1", escrow: true, from: supplier.address });
+      const escalated = await cli("disputes", "escalate", { id: "1", escrow: true, from: buyer.address });
+      expect(escalated).to.include({ escrow: 1n, status: "Disputed", escalated: true, quorum: 1n });
+
+      await time.increase(await escrow.evidencePeriod());
+      await expect(cli("disputes", "resolve", { id: "1", escrow: true, split: "50" })).to.be.rejectedWith(
+        "Dispute escalated to arbitrators"
+      );
+      const voted = await cli("disputes", "vote", { id: "1", escrow: true, split: "40", from: arbiter.address });
+      expect(voted).to.include({ status: "Completed", votes: 1n, resolved: true });
+    });
+
+    it("Should set the platform fee", async function () {
+      const result = await cli("fees", "set", { percentage: "5" });
+      expect(result).to.include({ previous: 1n, current: 5n });
+    });
+  });
+
+  describe("shipments and escrow", function () {
+    it("Should create and track shipments", async function () {
+      const { payment, id } = await createOrder();
+      await payment.startOrder(id);
+      const created = await cli("shipments", "create", {
+        order: "0",
+        milestone: "0",
+        from: supplier.address,
+        tracking: "TRK-1",
+        shipper: owner.address,
+        origin: supplier.address,
+        destination: buyer.address,
+        eta: "2030-01-01T00:00:00Z",
+      });
+      expect(created).to.include({ id: 1n, milestoneIndex: 0n, status: "in_transit" });
+
+      const tracked = await cli("shipments", "track", { reference: "TRK-1" });
+      expect(tracked.estimatedArrival.toISOString()).to.equal("2030-01-01T00:00:00.000Z");
+      expect((await cli("shipments", "track", { reference: "1", id: true })).trackingNumber).to.equal("TRK-1");
+      await expect(cli("shipments", "track", { reference: "NOPE" })).to.be.rejectedWith("Shipment NOPE not found");
+    });
+
+    it("Should update, deliver and auto-approve shipments", async function () {
+      const { payment, id } = await createOrder();
+      // Shorter than the grace period, which then decides
+      await payment.connect(owner).setApprovalWindow(60);
+      await payment.startOrder(id);
+      await cli("shipments", "create", {
+        order: "0",
+        milestone: "0",
+        from: supplier.address,
+        tracking: "TRK-1",
+        shipper: supplier.address,
+        origin: supplier.address,
+        destination: buyer.address,
+        eta: "2030-01-01T00:00:00Z",
+      });
+
+      await expect(cli("shipments", "update", { reference: "TRK-1", status: "delayed" })).to.be.rejectedWith(
+        "Only shipper or authorized carrier"
+      );
+      const authorized = await cli("shipments", "authorize-carrier", { carrier: owner.address });
+      expect(authorized.authorized).to.be.true;
+      expect((await cli("shipments", "update", { reference: "TRK-1", status: "delayed" })).status).to.equal("delayed");
+      await expect(cli("shipments", "update", { reference: "TRK-1", status: "delivered" })).to.be.rejectedWith(
+        "Status must be in_transit, delayed or lost"
+      );
+
+      const delivered = await cli("shipments", "deliver", { reference: "TRK-1" });
+      expect(delivered.status).to.equal("delivered");
+      expect((await payment.getMilestone(id, 0)).isCompleted).to.be.true;
+
+      await cli("shipments", "grace-period", { seconds: "3600" });
+      await expect(cli("shipments", "auto-approve", { reference: "TRK-1" })).to.be.rejectedWith("Grace period not over");
+      await time.increase(3600);
+      await cli("shipments", "auto-approve", { reference: "TRK-1" });
+      expect((await payment.orders(id)).status).to.equal(2n); // Completed
+    });
+
+    it("Should create, fund and release an escrow", async function () {
+      const created = await cli("escrow", "create", {
+        order: "7",
+        seller: supplier.address,
+        amount: "0.5",
+        from: buyer.address,
+      });
+      expect(created).to.include({ id: 1n, token: "ETH", amount: ethers.parseEther("0.5"), status: "Created" });
+
+      const funded = await cli("escrow", "fund", { id: "1", from: buyer.address });
+      expect(funded.status).to.equal("Funded");
+
+      await cli("escrow", "release", { id: "1", from: buyer.address });
+      const released = await cli("escrow", "release", { id: "1", from: supplier.address });
+      expect(released.status).to.equal("Completed");
+    });
+  });
+
+  describe("roles", function () {
+    it("Should list, grant, revoke and renounce roles", async function () {
+      const listed = await cli("roles", "list", { contracts: ["SupplierRegistry", "SupplyChainPayment"] });
+      expect(listed.SupplierRegistry).to.deep.equal({
+        address: record.contracts.SupplierRegistry,
+        owner: owner.address,
+        roles: { VERIFIER_ROLE: [owner.address] },
+      });
+      expect(Object.keys(listed.SupplyChainPayment.roles)).to.deep.equal(["ARBITRATOR_ROLE", "TREASURER_ROLE"]);
+      expect(Object.keys(await cli("roles", "list"))).to.deep.equal([
+        "SupplyChainToken",
+        "SupplierRegistry",
+        "ReputationSystem",
+        "SupplyChainPayment",
+        "PaymentEscrow",
+      ]);
+
+      const granted = await cli("roles", "grant", {
+        contract: "SupplierRegistry",
+        role: "verifier",
+        account: buyer.address,
+      });
+      expect(granted).to.include({ contract: "SupplierRegistry", role: "VERIFIER_ROLE" });
+      expect(granted.holders).to.deep.equal([owner.address, buyer.address]);
+
+      const revoked = await cli("roles", "revoke", {
+        contract: "SupplierRegistry",
+        role: "VERIFIER_ROLE",
+        account: owner.address,
+      });
+      expect(revoked.holders).to.deep.equal([buyer.address]);
+      await expect(cli("suppliers", "deactivate", { address: supplier.address })).to.be.rejectedWith(
+        "AccessControlUnauthorizedAccount"
+      );
+      expect(
+        (await cli("suppliers", "deactivate", { address: supplier.address, from: buyer.address })).registry
+      ).to.include({ active: false });
+
+      const renounced = await cli("roles", "renounce", {
+        contract: "SupplierRegistry",
+        role: "verifier",
+        from: buyer.address,
+      });
+      expect(renounced.holders).to.deep.equal([]);
+    });
+
+    it("Should refuse unknown roles and pointless changes", async function () {
+      await expect(
+        cli("roles", "grant", { contract: "SupplierRegistry", role: "minter", account: buyer.address })
+      ).to.be.rejectedWith("SupplierRegistry has no MINTER_ROLE (roles: VERIFIER_ROLE)");
+      await expect(
+        cli("roles", "grant", { contract: "SupplierRegistry", role: "verifier", account: owner.address })
+      ).to.be.rejectedWith(`${owner.address} already holds VERIFIER_ROLE on SupplierRegistry`);
+      await expect(
+        cli("roles", "revoke", { contract: "SupplyChainPayment", role: "treasurer", account: buyer.address })
+      ).to.be.rejectedWith(`${buyer.address} does not hold TREASURER_ROLE on SupplyChainPayment`);
+      await expect(
+        cli("roles", "grant", { contract: "SupplierRegistry", role: "verifier", account: "nobody" })
+      ).to.be.rejectedWith("Invalid account: nobody");
+      await expect(cli("roles", "list", { contracts: ["ShippingTracker"] })).to.be.rejectedWith(
+        "ShippingTracker has no roles"
+      );
+      await expect(
+        cli("roles", "grant", {
+          contract: "SupplierRegistry",
+          role: "verifier",
+          account: buyer.address,
+          from: buyer.address,
+        })
+      ).to.be.rejectedWith("OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("governance", function () {
+    /// Adds a 2-of-2 Governance (owner and supplier) to the deployment
+    beforeEach(async function () {
+      const env = { GOVERNANCE_SIGNERS: `${owner.address},${supplier.address}`, GOVERNANCE_THRESHOLD: "2" };
+      record = await deploy(hre, { only: ["Governance"], env, record, log: silent });
+      saveRecord(deployment, record);
+    });
+
+    it("Should hand fees over and propose, sign, list and execute changes", async function () {
+      const handedOver = await cli("governance", "handover", { contracts: ["SupplyChainPayment"] });
+      expect(handedOver.SupplyChainPayment).to.include({ status: "handed over", owner: record.contracts.Governance });
+      await expect(cli("fees", "set", { percentage: "3" })).to.be.rejectedWith("OwnableUnauthorizedAccount");
+
+      const proposed = await cli("governance", "propose", {
+        contract: "SupplyChainPayment",
+        method: "updatePlatformFee",
+        args: ["3"],
+        description: "Lower fees",
+      });
+      expect(proposed).to.deep.include({
+        id: 0n,
+        state: "Pending",
+        contract: "SupplyChainPayment",
+        method: "updatePlatformFee(uint256)",
+        args: [3n],
+        approvedBy: [owner.address],
+      });
+      await expect(cli("governance", "execute", { id: "0" })).to.be.rejectedWith(
+        "Proposal 0 has 1 of 2 approvals needed"
+      );
+
+      const signed = await cli("governance", "sign", { id: "0", from: supplier.address });
+      expect(signed.state).to.equal("Queued");
+      await expect(cli("governance", "sign", { id: "0" })).to.be.rejectedWith("Proposal 0 is Queued, not Pending");
+      await expect(cli("governance", "execute", { id: "0" })).to.be.rejectedWith(
+        `Proposal 0 is timelocked until ${signed.eta.toISOString()}`
+      );
+
+      const listed = await cli("governance", "list");
+      expect(listed).to.include({ threshold: 2n, delay: 172800n });
+      expect(listed.signers).to.deep.equal([owner.address, supplier.address]);
+      expect(listed.proposals.map(({ id, state }) => [id, state])).to.deep.equal([[0n, "Queued"]]);
+      expect(output).to.include("    method: updatePlatformFee(uint256)");
+
+      await time.increase(2 * 24 * 60 * 60);
+      expect((await cli("governance", "execute", { id: "0", from: buyer.address })).state).to.equal("Executed");
+      const payment = await ethers.getContractAt("SupplyChainPayment", record.contracts.SupplyChainPayment);
+      expect(await payment.platformFeePercentage()).to.equal(3);
+      expect((await cli("governance", "list")).proposals).to.deep.equal([]);
+      expect((await cli("governance", "list", { all: true })).proposals).to.have.lengthOf(1);
+    });
+
+    it("Should refuse proposals from outsiders and cancellations by others", async function () {
+      await expect(
+        cli("governance", "propose", {
+          contract: "SupplyChainPayment",
+          method: "updatePlatformFee",
+          from: buyer.address,
+        })
+      ).to.be.rejectedWith(`${buyer.address} is not a Governance signer`);
+      await expect(
+        cli("governance", "propose", { contract: "SupplyChainPayment", method: "setFee", args: ["3"] })
+      ).to.be.rejectedWith("SupplyChainPayment has no function setFee");
+      await expect(cli("governance", "transfer", { recipient: "treasury", amount: "1" })).to.be.rejectedWith(
+        "Invalid recipient: treasury"
+      );
+
+      const proposed = await cli("governance", "transfer", { recipient: buyer.address, amount: "0.5" });
+      expect(proposed).to.include({ contract: buyer.address, method: null, value: ethers.parseEther("0.5") });
+      await expect(cli("governance", "cancel", { id: "0", from: supplier.address })).to.be.rejectedWith(
+        `Only the proposer, ${owner.address}, can cancel proposal 0`
+      );
+      expect((await cli("governance", "cancel", { id: "0" })).state).to.equal("Cancelled");
+      await expect(cli("governance", "sign", { id: "1", from: supplier.address })).to.be.rejectedWith(
+        "Proposal 1 does not exist"
+      );
+    });
+  });
+
+  it("Should explain missing deployments", async function () {
+    await expect(cli("orders", "list", { deployment: "/nonexistent/deployment.json" })).to.be.rejectedWith(
+      "No deployment record at /nonexistent/deployment.json"
+    );
+  });
+});
@@ -6,8 +6,9 @@ const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helper
 describe("PaymentEscrow", function () {
   async function deployFixture() {
     const [owner, buyer, seller] = await ethers.getSigners();
+    const arbitrators = await ethers.deployContract("ArbitratorRegistry");
     const PaymentEscrow = await ethers.getContractFactory("PaymentEscrow");
-    const escrow = await PaymentEscrow.deploy();
+    const escrow = await PaymentEscrow.deploy(await arbitrators.getAddress());
     return { escrow, owner, buyer, seller };
   }
   
@@ -16,4 +17,46 @@ describe("PaymentEscrow", function () {
     await expect(escrow.connect(buyer).createEscrow(1, seller.address, ethers.ZeroAddress, 100, 3600))
       .to.emit(escrow, "EscrowCreated");
   });
+
+  it("Should fund an ETH escrow with the exact amount, from the buyer only", async function () {
+    const { escrow, buyer, seller } = await loadFixture(deployFixture);
+    await escrow.connect(buyer).createEscrow(1, seller.address, ethers.ZeroAddress, 100, 0);
+
+    await expect(escrow.connect(seller).fundEscrow(1, { value: 100 })).to.be.revertedWith("Not buyer");
+    await expect(escrow.connect(buyer).fundEscrow(1, { value: 99 })).to.be.revertedWith("Incorrect amount");
+    await expect(escrow.connect(buyer).fundEscrow(1, { value: 100 }))
+      .to.emit(escrow, "EscrowFunded")
+      .withArgs(1, 100);
+    expect((await escrow.escrows(1)).status).to.equal(1); // Funded
+    await expect(escrow.connect(buyer).fundEscrow(1, { value: 100 })).to.be.revertedWith("Invalid status");
+  });
+
+  it("Should release the funds once both parties approve", async function () {
+    const { escrow, owner, buyer, seller } = await loadFixture(deployFixture);
+    await escrow.connect(buyer).createEscrow(1, seller.address, ethers.ZeroAddress, 100, 0);
+    await expect(escrow.connect(buyer).approveRelease(1)).to.be.revertedWith("Invalid status");
+    await escrow.connect(buyer).fundEscrow(1, { value: 100 });
+
+    await expect(escrow.connect(owner).approveRelease(1)).to.be.revertedWith("Unauthorized");
+    await expect(escrow.connect(buyer).approveRelease(1)).to.not.emit(escrow, "EscrowReleased");
+    await expect(escrow.connect(seller).approveRelease(1)).to.changeEtherBalances([escrow, seller], [-100, 100]);
+    expect((await escrow.escrows(1)).status).to.equal(2); // Completed
+    await expect(escrow.connect(buyer).approveRelease(1)).to.be.revertedWith("Invalid status");
+  });
+
+  it("Should let a refunder refund a funded escrow", async function () {
+    const { escrow, buyer, seller } = await loadFixture(deployFixture);
+    await escrow.connect(buyer).createEscrow(1, seller.address, ethers.ZeroAddress, 100, 0);
+    await expect(escrow.refundBuyer(1)).to.be.revertedWith("Invalid status");
+    await escrow.connect(buyer).fundEscrow(1, { value: 100 });
+
+    await expect(escrow.connect(buyer).refundBuyer(1))
+      .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount")
+      .withArgs(buyer.address, await escrow.REFUNDER_ROLE());
+    const refund = escrow.refundBuyer(1);
+    await expect(refund).to.emit(escrow, "EscrowRefunded").withArgs(1, buyer.address, 100);
+    await expect(refund).to.changeEtherBalances([escrow, buyer], [-100, 100]);
+    expect((await escrow.escrows(1)).status).to.equal(3); // Refunded
+    await expect(escrow.connect(seller).approveRelease(1)).to.be.revertedWith("Invalid status");
+  });
 });
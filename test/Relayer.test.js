@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deploySystemFixture } = require("./fixtures/system");
+const { signBuyerAction, buyerActionCall } = require("..");
+const { Relayer, createRelayerServer } = require("../lib/relayer");
+
+describe("Relayer", function () {
+  const OrderStatus = { Created: 0, InProgress: 1, Completed: 2 };
+
+  /// The system fixture with a created order (0) of `buyer` and a hot wallet paying for relayed actions
+  async function orderFixture() {
+    const system = await deploySystemFixture();
+    const { payment, buyer, supplier } = system;
+    const [hotWallet] = (await ethers.getSigners()).slice(5);
+    await payment.connect(buyer).createOrder(supplier.address, "Pallets", { value: ethers.parseEther("1") });
+    return { ...system, hotWallet };
+  }
+
+  function relayer({ payment, hotWallet }, options = {}) {
+    return new Relayer({ payment, signer: hotWallet, spendLimit: ethers.parseEther("0.01"), ...options });
+  }
+
+  /// Expects a relay to be refused with the given HTTP status and message
+  async function refused(promise, status, message) {
+    const error = await promise.then(
+      () => expect.fail("The relay went through"),
+      (error) => error
+    );
+    expect(error.status).to.equal(status);
+    expect(error.message).to.match(message);
+  }
+
+  it("Should run a buyer's order on signatures alone", async function () {
+    const system = await loadFixture(orderFixture);
+    const { payment, buyer, supplier, hotWallet } = system;
+    const service = relayer(system);
+    const sign = (action, fields, options) => signBuyerAction(buyer, payment, action, fields, options);
+
+    // Both milestones are signed up front, so the second one takes the next nonce
+    const first = await sign("AddMilestone", { orderId: 0, description: "Half", paymentPercentage: 50 });
+    const second = await sign("AddMilestone", { orderId: 0, description: "Rest", paymentPercentage: 50 }, { nonce: 1 });
+    const buyerBalance = await ethers.provider.getBalance(buyer.address);
+    const walletBalance = await ethers.provider.getBalance(hotWallet.address);
+
+    const results = [await service.relay(first), await service.relay(second)];
+    results.push(await service.relay(await sign("StartOrder", { orderId: 0 })));
+    expect((await payment.getOrder(0)).status).to.equal(OrderStatus.InProgress);
+
+    await payment.connect(supplier).completeMilestone(0, 0);
+    const approval = await sign("ApproveMilestone", { orderId: 0, milestoneIndex: 0 });
+    const supplierBalance = await ethers.provider.getBalance(supplier.address);
+    results.push(await service.relay(approval));
+    expect(await ethers.provider.getBalance(supplier.address)).to.equal(
+      supplierBalance + ethers.parseEther("0.495")
+    );
+
+    expect(results.map((result) => result.action)).to.deep.equal([
+      "AddMilestone",
+      "AddMilestone",
+      "StartOrder",
+      "ApproveMilestone",
+    ]);
+    const paid = results.reduce((total, result) => total + result.cost, 0n);
+    expect(await ethers.provider.getBalance(buyer.address)).to.equal(buyerBalance);
+    expect(await ethers.provider.getBalance(hotWallet.address)).to.equal(walletBalance - paid);
+    expect(results[3]).to.include({ orderId: 0, buyer: buyer.address, spent: paid });
+    expect(service.spendingOf(buyer.address)).to.include({ spent: paid, remaining: ethers.parseEther("0.01") - paid });
+    expect(await payment.nonces(buyer.address)).to.equal(4);
+  });
+
+  it("Should refuse replayed, foreign, expired and failing actions", async function () {
+    const system = await loadFixture(orderFixture);
+    const { payment, buyer, rival } = system;
+    const service = relayer(system);
+    const fields = { orderId: 0, description: "All", paymentPercentage: 100 };
+
+    const signed = await signBuyerAction(buyer, payment, "AddMilestone", fields);
+    await service.relay(signed);
+    await refused(service.relay(signed), 409, /^Nonce 0 is not the buyer's next nonce \(1\)$/);
+
+    await refused(
+      service.relay(await signBuyerAction(rival, payment, "StartOrder", { orderId: 0 }, { nonce: 1 })),
+      401,
+      /^Not signed by the buyer of order 0$/
+    );
+    await refused(
+      service.relay(await signBuyerAction(buyer, payment, "StartOrder", { orderId: 0 }, { deadline: 1 })),
+      400,
+      /^Signature expired$/
+    );
+    await refused(
+      service.relay(await signBuyerAction(buyer, payment, "ApproveMilestone", { orderId: 0, milestoneIndex: 0 })),
+      422,
+      /^Simulation failed: Order not in progress$/
+    );
+    await refused(service.relay({ ...signed, message: { ...signed.message, orderId: "7" } }), 404, /Order 7/);
+    await refused(service.relay({ ...signed, action: "CancelOrder" }), 400, /^Unknown action: CancelOrder/);
+    await refused(service.relay({ ...signed, signature: "0x1234" }), 401, /^Malformed signature$/);
+
+    // Nothing refused used up a nonce, so the buyer's next action still goes through
+    await service.relay(await signBuyerAction(buyer, payment, "StartOrder", { orderId: 0 }));
+    expect((await payment.getOrder(0)).status).to.equal(OrderStatus.InProgress);
+  });
+
+  it("Should only accept each signature once, before its deadline, on-chain", async function () {
+    const { payment, buyer, rival } = await loadFixture(orderFixture);
+    const deadline = (await time.latest()) + 600;
+    const signed = await signBuyerAction(
+      buyer,
+      payment,
+      "AddMilestone",
+      { orderId: 0, description: "All", paymentPercentage: 100 },
+      { deadline }
+    );
+    const { method, args } = buyerActionCall(signed);
+
+    // Anyone may submit it, but changing a field breaks the signature
+    const tampered = buyerActionCall({ ...signed, message: { ...signed.message, paymentPercentage: "90" } });
+    await expect(payment.connect(rival)[method](...tampered.args)).to.be.revertedWith("Invalid buyer signature");
+    await expect(payment.connect(rival)[method](...args))
+      .to.emit(payment, "MilestoneAdded")
+      .withArgs(0, 0, "All", 100);
+    await expect(payment.connect(rival)[method](...args)).to.be.revertedWith("Invalid buyer signature");
+
+    const start = await signBuyerAction(buyer, payment, "StartOrder", { orderId: 0 }, { deadline });
+    await time.increaseTo(deadline + 1);
+    const call = buyerActionCall(start);
+    await expect(payment[call.method](...call.args)).to.be.revertedWith("Signature expired");
+  });
+
+  it("Should cap what it pays for each buyer per period", async function () {
+    const system = await loadFixture(orderFixture);
+    const { payment, buyer } = system;
+    let now = 0;
+    const probe = relayer(system);
+    const first = await probe.relay(
+      await signBuyerAction(buyer, payment, "AddMilestone", { orderId: 0, description: "Half", paymentPercentage: 50 })
+    );
+
+    // Room for one more milestone per period
+    const service = relayer(system, { spendLimit: (first.cost * 3n) / 2n, periodMs: 1000, now: () => now });
+    const milestone = async (description) =>
+      service.relay(
+        await signBuyerAction(buyer, payment, "AddMilestone", { orderId: 0, description, paymentPercentage: 10 })
+      );
+    await milestone("One");
+    await refused(milestone("Two"), 429, /^Spend limit reached for /);
+
+    now = 1000;
+    await milestone("Two");
+    expect(service.spendingOf(buyer.address).resetsAt).to.equal(2000);
+  });
+
+  it("Should serve signed actions and spending over HTTP", async function () {
+    const system = await loadFixture(orderFixture);
+    const { payment, buyer } = system;
+    const server = createRelayerServer({ relayer: relayer(system), log: () => {} });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const post = (body) =>
+      fetch(`${url}/relay`, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+
+    try {
+      const signed = await signBuyerAction(buyer, payment, "AddMilestone", {
+        orderId: 0,
+        description: "All",
+        paymentPercentage: 100,
+      });
+      const response = await post(JSON.stringify(signed));
+      expect(response.status).to.equal(200);
+      const { data } = await response.json();
+      expect(data).to.include({ action: "AddMilestone", orderId: 0, buyer: buyer.address });
+      expect(data.cost).to.match(/^\d+$/);
+
+      const replay = await post(JSON.stringify(signed));
+      expect(replay.status).to.equal(409);
+      expect((await post("{ nope")).status).to.equal(400);
+      expect((await fetch(`${url}/relay`)).status).to.equal(405);
+      expect((await fetch(`${url}/buyers/nope`)).status).to.equal(400);
+      expect((await fetch(`${url}/orders`)).status).to.equal(404);
+
+      const spending = await (await fetch(`${url}/buyers/${buyer.address.toLowerCase()}`)).json();
+      expect(spending.data).to.include({ buyer: buyer.address, nonce: "1", spent: data.cost });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
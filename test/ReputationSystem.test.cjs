@@ -9,9 +9,75 @@ describe("ReputationSystem", function () {
     const ReputationSystem = await ethers.getContractFactory("ReputationSystem");
     const reputation = await ReputationSystem.deploy();
 
+    // The owner stands in for SupplyChainPayment and reports completed orders
+    await reputation.setOrderRecorder(owner.address);
+    await reputation.recordCompletedOrder(123, user.address, supplier.address);
+    await reputation.recordCompletedOrder(1, user.address, supplier.address);
+    await reputation.recordCompletedOrder(2, user2.address, supplier.address);
+
     return { reputation, owner, supplier, user, user2 };
   }
 
+  describe("Completed Orders", function () {
+    it("Should only accept completed orders from the order recorder", async function () {
+      const { reputation, owner, supplier, user } = await loadFixture(deployFixture);
+
+      await expect(
+        reputation.connect(user).recordCompletedOrder(7, user.address, supplier.address)
+      ).to.be.revertedWith("Only order recorder");
+      await expect(reputation.recordCompletedOrder(7, user.address, supplier.address))
+        .to.emit(reputation, "OrderCompletionRecorded")
+        .withArgs(7, user.address, supplier.address);
+      await expect(
+        reputation.recordCompletedOrder(7, user.address, supplier.address)
+      ).to.be.revertedWith("Order already recorded");
+
+      await expect(
+        reputation.connect(user).setOrderRecorder(user.address)
+      ).to.be.revertedWithCustomError(reputation, "OwnableUnauthorizedAccount");
+      await expect(reputation.setOrderRecorder(owner.address))
+        .to.emit(reputation, "OrderRecorderUpdated")
+        .withArgs(owner.address);
+    });
+
+    it("Should only accept reviews from the buyer of a completed order", async function () {
+      const { reputation, supplier, user, user2 } = await loadFixture(deployFixture);
+
+      await expect(
+        reputation.connect(user).submitReview(supplier.address, 99, 5, "Never ordered")
+      ).to.be.revertedWith("Order not completed");
+      await expect(
+        reputation.connect(user2).submitReview(supplier.address, 1, 1, "Not my order")
+      ).to.be.revertedWith("Only the buyer can review");
+      await expect(
+        reputation.connect(user).submitReview(user2.address, 1, 1, "Wrong supplier")
+      ).to.be.revertedWith("Supplier did not fulfil this order");
+    });
+
+    it("Should keep the orders of each recorder apart", async function () {
+      const { reputation, owner, supplier, user, user2 } = await loadFixture(deployFixture);
+
+      // A redeployed payment contract numbers its orders from 0 again
+      await reputation.setOrderRecorder(user2.address);
+      await expect(reputation.connect(user2).recordCompletedOrder(1, user2.address, supplier.address))
+        .to.emit(reputation, "OrderCompletionRecorded")
+        .withArgs(1, user2.address, supplier.address);
+      expect((await reputation.recordedOrders(owner.address, 1)).buyer).to.equal(user.address);
+      expect((await reputation.recordedOrders(user2.address, 1)).buyer).to.equal(user2.address);
+
+      // Reviews are for orders of the current recorder
+      await expect(
+        reputation.connect(user).submitReview(supplier.address, 1, 5, "Earlier order")
+      ).to.be.revertedWith("Only the buyer can review");
+      await reputation.connect(user2).submitReview(supplier.address, 1, 4, "Good");
+      expect(await reputation.hasUserReviewedOrder(user2.address, 1)).to.be.true;
+      expect(await reputation.hasUserReviewedOrder(user.address, 1)).to.be.false;
+      await expect(
+        reputation.connect(user2).submitReview(supplier.address, 1, 4, "Again")
+      ).to.be.revertedWith("Already reviewed this order");
+    });
+  });
+
   describe("Review Submission", function () {
     it("Should submit review successfully", async function () {
       const { reputation, supplier, user } = await loadFixture(deployFixture);
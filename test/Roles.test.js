@@ -0,0 +1,239 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deploySystemFixture } = require("./fixtures/system");
+const { deploy, listRoles } = require("../lib/deployment");
+
+describe("Roles", function () {
+  const silent = () => {};
+
+  /// System with a fee-paying order, a funded escrow, a warehouse and a customs declaration
+  async function rolesFixture() {
+    const system = await deploySystemFixture();
+    const { record, payment, escrow, customs, buyer, supplier } = system;
+    const [, , , , , manager, officer] = await ethers.getSigners();
+    const warehouses = await ethers.getContractAt("WarehouseRegistry", record.contracts.WarehouseRegistry);
+
+    await payment.connect(buyer).createOrder(supplier.address, "Sensors", { value: ethers.parseEther("1") });
+    await payment.connect(buyer).addMilestone(0, "Delivery", 100);
+    await payment.connect(buyer).startOrder(0);
+    await payment.connect(supplier).completeMilestone(0, 0);
+    await payment.connect(buyer).approveMilestone(0, 0);
+
+    await escrow.connect(buyer).createEscrow(7, supplier.address, ethers.ZeroAddress, 100, 0);
+    await escrow.connect(buyer).fundEscrow(1, { value: 100 });
+    await warehouses.registerWarehouse("Harbour Depot", "Rotterdam", manager.address, 1000);
+    await customs.connect(supplier).fileDeclaration(1, "DE", "US", 1000, "8471.30", []);
+
+    return { ...system, warehouses, officer };
+  }
+
+  describe("Privileged actions", function () {
+    /// Each role-gated action, as [contract, role, method, args], succeeds once the sender holds the role
+    const ACTIONS = [
+      ["registry", "VERIFIER_ROLE", "deactivateSupplier", ({ supplier }) => [supplier.address]],
+      ["reputation", "VERIFIER_ROLE", "awardBadge", ({ supplier }) => [supplier.address, "Top Rated"]],
+      ["warehouses", "VERIFIER_ROLE", "verifyWarehouse", () => [1]],
+      ["logistics", "VERIFIER_ROLE", "deactivateProvider", () => [1]],
+      ["payment", "TREASURER_ROLE", "withdrawPlatformFees", () => []],
+      ["escrow", "REFUNDER_ROLE", "refundBuyer", () => [1]],
+      ["customs", "CUSTOMS_OFFICER_ROLE", "clearCustoms", () => [1, "J. Doe"]],
+      ["customs", "CUSTOMS_OFFICER_ROLE", "flagForInspection", () => [1]],
+      ["token", "MINTER_ROLE", "mint", ({ buyer }) => [buyer.address, 1]],
+    ];
+
+    for (const [key, roleName, method, argsOf] of ACTIONS) {
+      it(`Should reserve ${method} to ${roleName} holders`, async function () {
+        const system = await loadFixture(rolesFixture);
+        const { owner, officer } = system;
+        const contract = system[key];
+        const role = await contract[roleName]();
+        const as = (account) => contract.connect(account)[method](...argsOf(system));
+
+        await expect(as(officer))
+          .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount")
+          .withArgs(officer.address, role);
+
+        await expect(contract.grantRole(role, officer.address))
+          .to.emit(contract, "RoleGranted")
+          .withArgs(role, officer.address, owner.address);
+        await expect(contract.revokeRole(role, owner.address))
+          .to.emit(contract, "RoleRevoked")
+          .withArgs(role, owner.address, owner.address);
+
+        await expect(as(owner)).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+        await expect(as(officer)).not.to.be.reverted;
+      });
+    }
+
+    it("Should pay withdrawn fees to the treasurer", async function () {
+      const { payment, officer } = await loadFixture(rolesFixture);
+      const fees = ethers.parseEther("0.01");
+      await payment.grantRole(await payment.TREASURER_ROLE(), officer.address);
+
+      const withdrawal = payment.connect(officer).withdrawPlatformFees();
+      await expect(withdrawal)
+        .to.emit(payment, "PlatformFeesWithdrawn")
+        .withArgs(ethers.ZeroAddress, officer.address, fees);
+      await expect(withdrawal).to.changeEtherBalances([payment, officer], [-fees, fees]);
+    });
+
+    it("Should let arbitrators settle disputes the panel was not asked to", async function () {
+      const { payment, escrow, buyer, supplier, officer } = await loadFixture(rolesFixture);
+      await payment.connect(buyer).createOrder(supplier.address, "Boards", { value: 1000 });
+      await payment.connect(buyer).addMilestone(1, "Delivery", 100);
+      await payment.connect(buyer).startOrder(1);
+      await payment.connect(buyer).raiseDispute(1, "Late");
+      await time.increase(3 * 24 * 3600);
+
+      await expect(payment.connect(officer).resolveDispute(1, 50)).to.be.revertedWithCustomError(
+        payment,
+        "AccessControlUnauthorizedAccount"
+      );
+      await payment.grantRole(await payment.ARBITRATOR_ROLE(), officer.address);
+      await expect(payment.connect(officer).resolveDispute(1, 50)).to.emit(payment, "DisputeResolved");
+
+      // Roles are per contract: PaymentEscrow has its own arbitrators
+      expect(await escrow.hasRole(await escrow.ARBITRATOR_ROLE(), officer.address)).to.be.false;
+    });
+
+    it("Should not let escrow arbitrators refund escrows", async function () {
+      const { escrow, officer } = await loadFixture(rolesFixture);
+      await escrow.grantRole(await escrow.ARBITRATOR_ROLE(), officer.address);
+
+      await expect(escrow.connect(officer).refundBuyer(1))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount")
+        .withArgs(officer.address, await escrow.REFUNDER_ROLE());
+    });
+  });
+
+  describe("Role management", function () {
+    it("Should only let the owner grant and revoke roles", async function () {
+      const { registry, owner, officer } = await loadFixture(rolesFixture);
+      const role = await registry.VERIFIER_ROLE();
+
+      await expect(registry.connect(officer).grantRole(role, officer.address))
+        .to.be.revertedWithCustomError(registry, "OwnableUnauthorizedAccount")
+        .withArgs(officer.address);
+      await expect(registry.connect(officer).revokeRole(role, owner.address)).to.be.revertedWithCustomError(
+        registry,
+        "OwnableUnauthorizedAccount"
+      );
+
+      // Granting twice or revoking a missing role changes nothing
+      await registry.grantRole(role, officer.address);
+      await expect(registry.grantRole(role, officer.address)).not.to.emit(registry, "RoleGranted");
+      await registry.revokeRole(role, officer.address);
+      await expect(registry.revokeRole(role, officer.address)).not.to.emit(registry, "RoleRevoked");
+      expect(await registry.hasRole(role, officer.address)).to.be.false;
+    });
+
+    it("Should let holders renounce their roles", async function () {
+      const { token, officer } = await loadFixture(rolesFixture);
+      const role = await token.MINTER_ROLE();
+      await token.grantRole(role, officer.address);
+
+      await expect(token.connect(officer).renounceRole(role))
+        .to.emit(token, "RoleRevoked")
+        .withArgs(role, officer.address, officer.address);
+      expect(await token.hasRole(role, officer.address)).to.be.false;
+      await expect(token.connect(officer).mint(officer.address, 1)).to.be.revertedWithCustomError(
+        token,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should list role holders from the deployment record", async function () {
+      const { record, registry, owner, officer } = await loadFixture(rolesFixture);
+      await registry.grantRole(await registry.VERIFIER_ROLE(), officer.address);
+      await registry.revokeRole(await registry.VERIFIER_ROLE(), owner.address);
+
+      const listed = await listRoles(hre, record);
+      expect(Object.keys(listed).sort()).to.deep.equal([
+        "CustomsCompliance",
+        "LogisticsProvider",
+        "PaymentEscrow",
+        "ReputationSystem",
+        "SupplierRegistry",
+        "SupplyChainPayment",
+        "SupplyChainToken",
+        "WarehouseRegistry",
+      ]);
+      expect(listed.SupplierRegistry).to.deep.equal({
+        address: record.contracts.SupplierRegistry,
+        owner: owner.address,
+        roles: { VERIFIER_ROLE: [officer.address] },
+      });
+      expect(listed.SupplyChainPayment.roles).to.deep.equal({
+        ARBITRATOR_ROLE: [owner.address],
+        TREASURER_ROLE: [owner.address],
+      });
+      await expect(listRoles(hre, record, { only: ["ShippingTracker"] })).to.be.rejectedWith(
+        "ShippingTracker has no roles"
+      );
+    });
+  });
+
+  describe("Deployment", function () {
+    const ONLY = ["SupplyChainPayment", "CustomsCompliance"];
+
+    it("Should hand roles to the configured accounts at deploy time", async function () {
+      const [owner, verifier, auditor, treasurer] = await ethers.getSigners();
+      const env = { VERIFIERS: `${verifier.address}, ${auditor.address}`, TREASURERS: treasurer.address };
+      const record = await deploy(hre, { only: ONLY, env, log: silent });
+      const at = (name) => ethers.getContractAt(name, record.contracts[name]);
+
+      expect(record.artifacts.SupplierRegistry.roles).to.deep.equal({
+        VERIFIER_ROLE: [verifier.address, auditor.address],
+      });
+      expect(record.artifacts.SupplyChainPayment.roles).to.deep.equal({
+        ARBITRATOR_ROLE: [owner.address],
+        TREASURER_ROLE: [treasurer.address],
+      });
+      const listed = await listRoles(hre, record, {
+        only: ["SupplierRegistry", "ReputationSystem", "SupplyChainPayment"],
+      });
+      expect(listed.SupplierRegistry.roles.VERIFIER_ROLE).to.deep.equal([verifier.address, auditor.address]);
+      expect(listed.ReputationSystem.roles.VERIFIER_ROLE).to.deep.equal([verifier.address, auditor.address]);
+      expect(listed.SupplyChainPayment.roles).to.deep.equal(record.artifacts.SupplyChainPayment.roles);
+
+      // The deployer renounced the roles it was not listed for, but still owns the contracts
+      const registry = await at("SupplierRegistry");
+      expect(await registry.hasRole(await registry.VERIFIER_ROLE(), owner.address)).to.be.false;
+      expect(await registry.owner()).to.equal(owner.address);
+      const customs = await at("CustomsCompliance");
+      expect(await customs.hasRole(await customs.CUSTOMS_OFFICER_ROLE(), owner.address)).to.be.true;
+    });
+
+    it("Should only send role changes that are missing on a rerun", async function () {
+      const [, verifier, auditor] = await ethers.getSigners();
+      const env = { VERIFIERS: verifier.address };
+      const record = await deploy(hre, { only: ONLY, env, log: silent });
+
+      const lines = [];
+      await deploy(hre, { only: ONLY, env, record, log: (line) => lines.push(line) });
+      expect(lines.filter((line) => line.includes("Role("))).to.deep.equal([]);
+
+      // Holders granted by other means are left alone
+      const registry = await ethers.getContractAt("SupplierRegistry", record.contracts.SupplierRegistry);
+      const rerun = await deploy(hre, {
+        only: ONLY,
+        env: { VERIFIERS: auditor.address },
+        record,
+        log: (line) => lines.push(line),
+      });
+      expect(lines).to.include(`   ↳ grantRole(VERIFIER_ROLE, ${auditor.address})`);
+      expect(rerun.artifacts.SupplierRegistry.roles).to.deep.equal({ VERIFIER_ROLE: [auditor.address] });
+      expect(await registry.hasRole(await registry.VERIFIER_ROLE(), verifier.address)).to.be.true;
+    });
+
+    it("Should reject invalid role configurations", async function () {
+      await expect(
+        deploy(hre, { only: ["SupplierRegistry"], env: { VERIFIERS: "0x1234" }, log: silent })
+      ).to.be.rejectedWith("Invalid role holder: 0x1234");
+      const manifest = [{ name: "SupplierRegistry", roles: { MINTER_ROLE: [ethers.ZeroAddress] } }];
+      await expect(deploy(hre, { manifest, log: silent })).to.be.rejectedWith("SupplierRegistry has no MINTER_ROLE");
+    });
+  });
+});
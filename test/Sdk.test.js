@@ -0,0 +1,284 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const sdk = require("..");
+const { OrderClient, orderStatusName, validateMilestones, computePayout, quotePremium, latePayout, reasonOf } = sdk;
+
+const plan = [
+  { description: "Design approval", percentage: 30 },
+  { description: "Prototype delivery", percentage: 40 },
+  { description: "Final delivery", percentage: 30 },
+];
+
+describe("SDK", function () {
+  describe("ABIs", function () {
+    for (const name of Object.keys(sdk.abi)) {
+      it(`Should match the compiled ${name} ABI (npx hardhat run scripts/generate-abi.js)`, async function () {
+        const artifact = await hre.artifacts.readArtifact(name);
+        const compiled = new ethers.Interface(artifact.abi).format().filter((line) => !line.startsWith("constructor"));
+        expect(new ethers.Interface(sdk.abi[name]).format()).to.deep.equal(compiled);
+      });
+    }
+  });
+
+  describe("Helpers", function () {
+    it("Should decode order statuses", function () {
+      expect(orderStatusName(0n)).to.equal("Created");
+      expect(orderStatusName(4)).to.equal("Disputed");
+      expect(() => orderStatusName(9)).to.throw("Unknown order status: 9");
+    });
+
+    it("Should validate milestone plans", function () {
+      expect(() => validateMilestones(plan)).to.not.throw();
+      expect(() => validateMilestones([])).to.throw("At least one milestone is required");
+      expect(() => validateMilestones(plan.slice(1))).to.throw("Milestone percentages must total 100 (got 70)");
+      expect(() => validateMilestones([{ description: "", percentage: 100 }])).to.throw("Milestone 0 needs a description");
+      expect(() => validateMilestones([{ description: "All", percentage: 100.5 }])).to.throw(
+        "Milestone 0 percentage must be a whole number between 1 and 100"
+      );
+      expect(() => validateMilestones([{ description: "All", percentage: 100, deadline: new Date() }])).to.not.throw();
+      expect(() => validateMilestones([{ description: "All", percentage: 100, deadline: "soon" }])).to.throw(
+        "Milestone 0 deadline must be a Date or a Unix timestamp in seconds"
+      );
+    });
+
+    it("Should compute payouts with the contract's rounding", function () {
+      // The last milestone also gets the wei rounding leaves over
+      const payout = computePayout(1001n, [30, 70], 1);
+      expect(payout.milestones.map((m) => m.gross)).to.deep.equal([300n, 701n]);
+      expect(payout.milestones.map((m) => m.fee)).to.deep.equal([3n, 7n]);
+      expect(payout).to.include({ gross: 1001n, fee: 10n, net: 991n });
+    });
+
+    it("Should quote insurance premiums and late-delivery payouts", function () {
+      // Paying the coverage takes 1000 hourly periods, so 42 days of delay: 500 / 42 bps more
+      const hourly = { payoutPerPeriod: 10n, period: 3600 };
+      expect(quotePremium(10000n, 86400, hourly)).to.deep.equal({
+        premium: 121n,
+        days: 1n,
+        daysToCoverage: 42n,
+        rateBps: 121n,
+      });
+      const rates = { baseRateBps: 0, dailyRateBps: 50, delayRateBps: 0 };
+      expect(quotePremium(10000n, 86401, hourly, rates).premium).to.equal(100n);
+      expect(quotePremium(10000n, 86400, { payoutPerPeriod: 10000n, period: 1 }).rateBps).to.equal(610n);
+      expect(() => quotePremium(0, 86400, hourly)).to.throw("Coverage must be positive");
+      expect(() => quotePremium(1, 0, hourly)).to.throw("Duration must be positive");
+      expect(() => quotePremium(1, 1, { payoutPerPeriod: 0, period: 1 })).to.throw("Payout schedule needs");
+
+      const schedule = { coverage: 1000n, payoutPerPeriod: 300n, period: 3600 };
+      expect(latePayout(schedule, 3599)).to.equal(0n);
+      expect(latePayout(schedule, 7300)).to.equal(600n);
+      expect(latePayout(schedule, 4 * 3600)).to.equal(1000n);
+    });
+
+    it("Should read revert reasons, decoding custom errors with the contract's interface", async function () {
+      const [owner, outsider] = await ethers.getSigners();
+      const token = await ethers.deployContract("SupplyChainToken");
+      const failure = async (call) => call().then(() => expect.fail("Expected a revert"), (error) => error);
+
+      const unauthorized = await failure(() => token.connect(outsider).mint.staticCall(outsider.address, 1));
+      expect(reasonOf(unauthorized, token.interface)).to.equal(
+        `AccessControlUnauthorizedAccount(${outsider.address}, ${await token.MINTER_ROLE()})`
+      );
+      // Without the interface there is nothing to decode the error with
+      expect(reasonOf(unauthorized)).to.match(/custom error 'AccessControlUnauthorizedAccount/);
+
+      const payment = await ethers.deployContract("SupplyChainPayment", [owner, owner, owner]);
+      const missing = await failure(() => payment.startOrder.staticCall(7));
+      expect(reasonOf(missing, payment.interface)).to.equal("Order does not exist");
+      expect(reasonOf(missing)).to.equal("Order does not exist");
+      expect(reasonOf(new Error("could not detect network"), payment.interface)).to.equal("could not detect network");
+    });
+  });
+
+  describe("OrderClient", function () {
+    let contract;
+    let owner;
+    let supplier;
+    let buyer;
+    let client;
+
+    beforeEach(async function () {
+      [owner, supplier, buyer] = await ethers.getSigners();
+      const registry = await ethers.deployContract("SupplierRegistry");
+      const reputation = await ethers.deployContract("ReputationSystem");
+      const arbitrators = await ethers.deployContract("ArbitratorRegistry");
+      contract = await ethers.deployContract("SupplyChainPayment", [registry, reputation, arbitrators]);
+      await reputation.setOrderRecorder(contract);
+      await registry.connect(supplier).registerSupplier("ACME Corp", "contact@acme.com", "", "");
+      await registry.verifySupplier(supplier.address);
+
+      client = new OrderClient(await contract.getAddress(), buyer);
+    });
+
+    it("Should create and start an order with its milestone plan in one call", async function () {
+      const order = await client.createOrder({
+        supplier: supplier.address,
+        description: "100 widgets",
+        amount: ethers.parseEther("1"),
+        milestones: plan,
+      });
+
+      expect(order).to.include({
+        id: 0n,
+        buyer: buyer.address,
+        supplier: supplier.address,
+        description: "100 widgets",
+        token: ethers.ZeroAddress,
+        totalAmount: ethers.parseEther("1"),
+        paidAmount: 0n,
+        status: "InProgress",
+        disputeRaised: false,
+      });
+      expect(order.createdAt).to.be.instanceOf(Date);
+      expect(order.milestones.map((m) => [m.description, m.percentage])).to.deep.equal([
+        ["Design approval", 30],
+        ["Prototype delivery", 40],
+        ["Final delivery", 30],
+      ]);
+    });
+
+    it("Should leave the order in Created state when asked not to start", async function () {
+      const order = await client.createOrder({
+        supplier: supplier.address,
+        description: "Draft",
+        amount: 1000n,
+        milestones: plan,
+        start: false,
+      });
+      expect(order.status).to.equal("Created");
+      expect(order.milestones).to.have.lengthOf(3);
+    });
+
+    it("Should approve the payment token before creating a token order", async function () {
+      const token = await ethers.deployContract("SupplyChainToken");
+      const tokenAddress = await token.getAddress();
+      await token.mint(buyer.address, 5000n);
+      await contract.setAcceptedToken(tokenAddress, true);
+
+      const order = await client.createOrder({
+        supplier: supplier.address,
+        description: "Widgets",
+        amount: 3000n,
+        token: tokenAddress,
+        milestones: plan,
+      });
+      expect(order).to.include({ token: tokenAddress, totalAmount: 3000n, status: "InProgress" });
+      expect(await token.balanceOf(buyer.address)).to.equal(2000n);
+
+      // An allowance that already covers the amount is reused
+      await token.connect(buyer).approve(await contract.getAddress(), 2000n);
+      expect(await client.approveToken(tokenAddress, 2000n)).to.equal(null);
+
+      await client.connect(supplier).completeMilestone(order.id, 0);
+      await client.approveMilestone(order.id, 0);
+      expect(await client.getEarnings(supplier.address, tokenAddress)).to.equal(891n);
+      expect(await client.getEarnings(supplier.address)).to.equal(0n);
+    });
+
+    it("Should reject invalid plans before sending anything", async function () {
+      const block = await ethers.provider.getBlockNumber();
+      await expect(
+        client.createOrder({
+          supplier: supplier.address,
+          description: "Widgets",
+          amount: 1000n,
+          milestones: plan.slice(0, 2),
+        })
+      ).to.be.rejectedWith("Milestone percentages must total 100 (got 70)");
+      expect(await ethers.provider.getBlockNumber()).to.equal(block);
+    });
+
+    it("Should pay out what expectedPayout predicts", async function () {
+      const amount = ethers.parseEther("1");
+      const { id } = await client.createOrder({
+        supplier: supplier.address,
+        description: "Widgets",
+        amount,
+        milestones: plan,
+      });
+      const expected = await client.expectedPayout(id);
+      expect(expected).to.deep.equal(await client.expectedPayout({ amount, percentages: [30, 40, 30] }));
+
+      const asSupplier = client.connect(supplier);
+      const before = await ethers.provider.getBalance(supplier.address);
+      let gas = 0n;
+      for (const milestone of [0, 1, 2]) {
+        const receipt = await asSupplier.completeMilestone(id, milestone);
+        gas += receipt.gasUsed * receipt.gasPrice;
+        await client.approveMilestone(id, milestone);
+      }
+
+      expect((await ethers.provider.getBalance(supplier.address)) - before + gas).to.equal(expected.net);
+      expect(await contract.totalPlatformFees()).to.equal(expected.fee);
+
+      const order = await client.getOrder(id);
+      expect(order.status).to.equal("Completed");
+      expect(order.milestones.every((m) => m.approved && m.approvedAt instanceof Date)).to.be.true;
+    });
+
+    it("Should set milestone deadlines, auto-approve and reclaim orders", async function () {
+      const now = await time.latest();
+      const { id, approvalWindow, milestones } = await client.createOrder({
+        supplier: supplier.address,
+        description: "Widgets",
+        amount: 1000n,
+        milestones: [
+          { description: "Prototype", percentage: 40, deadline: new Date((now + 86400) * 1000) },
+          { description: "Delivery", percentage: 60, deadline: now + 10 * 86400 },
+        ],
+      });
+      expect(approvalWindow).to.equal(7 * 86400);
+      expect(milestones.map((m) => m.deadline.getTime() / 1000)).to.deep.equal([now + 86400, now + 10 * 86400]);
+
+      const receipt = await client.connect(supplier).completeMilestone(id, 0);
+      const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+      const [prototype] = await client.getMilestones(id);
+      expect(prototype.autoApprovableAt.getTime() / 1000).to.equal(timestamp + approvalWindow);
+
+      await time.increase(approvalWindow);
+      await client.connect(owner).autoApproveMilestone(id, 0);
+      expect((await client.getMilestones(id))[0]).to.include({ approved: true, autoApprovableAt: null });
+
+      // Completed after its deadline: missed, so never auto-approved and no obstacle to reclaiming
+      await time.increase(10 * 86400);
+      await client.connect(supplier).completeMilestone(id, 1);
+      expect((await client.getMilestones(id))[1]).to.include({ completed: true, autoApprovableAt: null });
+      await client.reclaimOrder(id);
+      expect(await client.getOrder(id)).to.include({ status: "Cancelled", paidAmount: 400n });
+    });
+
+    it("Should report disputes and list orders per party", async function () {
+      const { id } = await client.createOrder({
+        supplier: supplier.address,
+        description: "Widgets",
+        amount: 1000n,
+        milestones: [{ description: "All", percentage: 100 }],
+      });
+      await client.connect(supplier).raiseDispute(id, "Late delivery");
+      await client.connect(buyer).submitEvidence(id, "ipfs://tracking");
+      const dispute = await client.getDispute(id);
+      expect(dispute).to.include({ escalated: false, resolved: false });
+      expect(dispute.evidenceDeadline).to.be.an.instanceOf(Date);
+      expect(dispute.evidence).to.have.lengthOf(1);
+      expect(dispute.evidence[0]).to.include({ party: buyer.address, evidence: "ipfs://tracking" });
+
+      await time.increase(await contract.evidencePeriod());
+      await new OrderClient(contract, owner).resolveDispute(id, 0);
+      expect((await client.getDispute(id)).resolved).to.be.true;
+
+      const [order] = await client.getBuyerOrders(buyer.address);
+      expect(order).to.include({ status: "Cancelled", disputeRaised: true, disputeReason: "Late delivery" });
+      expect(await client.getSupplierOrders(supplier.address)).to.have.lengthOf(1);
+
+      const profile = await client.getSupplier(supplier.address);
+      expect(profile).to.include({ address: supplier.address, name: "ACME Corp", verified: true });
+    });
+
+    it("Should fail clearly for unknown orders", async function () {
+      await expect(client.getOrder(42)).to.be.rejectedWith("Order 42 does not exist");
+    });
+  });
+});
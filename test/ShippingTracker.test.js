@@ -1,113 +1,314 @@
 const { expect } = require("chai");
 const hre = require("hardhat");
 const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("ShippingTracker", function () {
-  let shippingTracker, owner, shipper, origin, destination;
-  
+  const ShipmentStatus = { InTransit: 0, Delayed: 1, Delivered: 2, Lost: 3 };
+  let shippingTracker, payment, owner, shipper, supplier, buyer, carrier;
+
   beforeEach(async function () {
-    [owner, shipper, origin, destination] = await ethers.getSigners();
-    
+    [owner, shipper, supplier, buyer, carrier] = await ethers.getSigners();
+
+    const registry = await ethers.deployContract("SupplierRegistry");
+    const reputation = await ethers.deployContract("ReputationSystem");
+    const arbitrators = await ethers.deployContract("ArbitratorRegistry");
+    payment = await ethers.deployContract("SupplyChainPayment", [registry, reputation, arbitrators]);
+    await reputation.setOrderRecorder(await payment.getAddress());
+
     const ShippingTracker = await ethers.getContractFactory("ShippingTracker");
-    shippingTracker = await ShippingTracker.deploy();
+    shippingTracker = await ShippingTracker.deploy(await payment.getAddress());
+    await payment.setShippingTracker(await shippingTracker.getAddress());
+
+    await registry.connect(supplier).registerSupplier("ACME Corp", "ops@acme.com", "", "");
+    await registry.verifySupplier(supplier.address);
+
+    // Order 0: two milestones, started with a one-day approval window
+    await payment.setApprovalWindow(24 * 60 * 60);
+    await payment.connect(buyer).createOrder(supplier.address, "Widgets", { value: 1000 });
+    await payment.connect(buyer).addMilestone(0, "Production", 40);
+    await payment.connect(buyer).addMilestone(0, "Delivery", 60);
+    await payment.connect(buyer).startOrder(0);
   });
-  
+
+  function createShipment(trackingNumber = "TRACK-001", milestoneIndex = 1) {
+    const eta = Math.floor(Date.now() / 1000) + 86400; // +1 day
+    return shippingTracker
+      .connect(supplier)
+      .createShipment(0, milestoneIndex, shipper.address, supplier.address, buyer.address, eta, trackingNumber);
+  }
+
   describe("Shipment Creation", function () {
     it("Should create shipment successfully", async function () {
-      const estimatedArrival = Math.floor(Date.now() / 1000) + 86400; // +1 day
-      
-      await expect(shippingTracker.createShipment(
-        1, // orderId
-        shipper.address,
-        origin.address,
-        destination.address,
-        estimatedArrival,
-        "TRACK-001"
-      )).to.emit(shippingTracker, "ShipmentCreated");
-    });
-    
+      await expect(createShipment()).to.emit(shippingTracker, "ShipmentCreated").withArgs(1, 0, 1, "TRACK-001");
+
+      const shipment = await shippingTracker.shipments(1);
+      expect(shipment.status).to.equal(ShipmentStatus.InTransit);
+      expect(shipment.milestoneIndex).to.equal(1);
+    });
+
     it("Should fail with invalid shipper", async function () {
       await expect(
-        shippingTracker.createShipment(
-          1,
-          ethers.ZeroAddress,
-          origin.address,
-          destination.address,
-          123456,
-          "TRACK-001"
-        )
+        shippingTracker
+          .connect(supplier)
+          .createShipment(0, 1, ethers.ZeroAddress, supplier.address, buyer.address, 123456, "TRACK-001")
       ).to.be.revertedWith("Invalid shipper");
     });
-    
+
     it("Should fail with duplicate tracking number", async function () {
-      const estimatedArrival = Math.floor(Date.now() / 1000) + 86400;
-      
-      await shippingTracker.createShipment(
-        1,
-        shipper.address,
-        origin.address,
-        destination.address,
-        estimatedArrival,
-        "TRACK-001"
-      );
-      
-      await expect(
-        shippingTracker.createShipment(
-          2,
-          shipper.address,
-          origin.address,
-          destination.address,
-          estimatedArrival,
-          "TRACK-001"
-        )
-      ).to.be.revertedWith("Tracking number exists");
+      await createShipment();
+      await expect(createShipment("TRACK-001", 0)).to.be.revertedWith("Tracking number exists");
+    });
+
+    it("Should only bind shipments to existing milestones of the supplier's orders", async function () {
+      const ship = (signer, orderId, milestoneIndex) =>
+        shippingTracker
+          .connect(signer)
+          .createShipment(orderId, milestoneIndex, shipper.address, supplier.address, buyer.address, 0, "TRACK-X");
+
+      await expect(ship(supplier, 5, 0)).to.be.revertedWith("Order does not exist");
+      await expect(ship(buyer, 0, 0)).to.be.revertedWith("Only the order's supplier");
+      await expect(ship(supplier, 0, 2)).to.be.revertedWith("Invalid milestone index");
+
+      await payment.connect(supplier).completeMilestone(0, 0);
+      await expect(ship(supplier, 0, 0)).to.be.revertedWith("Milestone already completed");
+
+      await payment.connect(buyer).createOrder(supplier.address, "Gadgets", { value: 1000 });
+      await payment.connect(buyer).addMilestone(1, "Delivery", 100);
+      await expect(ship(supplier, 1, 0)).to.be.revertedWith("Order not in progress");
     });
   });
-  
+
   describe("Status Updates", function () {
     beforeEach(async function () {
-      const estimatedArrival = Math.floor(Date.now() / 1000) + 86400;
-      await shippingTracker.createShipment(
-        1,
-        shipper.address,
-        origin.address,
-        destination.address,
-        estimatedArrival,
-        "TRACK-001"
-      );
+      await createShipment();
     });
-    
+
     it("Should update shipment status", async function () {
-      await expect(shippingTracker.updateStatus(1, "delayed"))
+      await expect(shippingTracker.connect(shipper).updateStatus(1, ShipmentStatus.Delayed))
         .to.emit(shippingTracker, "ShipmentStatusUpdated")
-        .withArgs(1, "delayed");
+        .withArgs(1, ShipmentStatus.Delayed);
+      await shippingTracker.connect(shipper).updateStatus(1, ShipmentStatus.InTransit);
+      expect((await shippingTracker.shipments(1)).status).to.equal(ShipmentStatus.InTransit);
     });
-    
+
+    it("Should only accept updates from the shipper or an authorized carrier", async function () {
+      await expect(shippingTracker.connect(carrier).updateStatus(1, ShipmentStatus.Delayed)).to.be.revertedWith(
+        "Only shipper or authorized carrier"
+      );
+      await expect(shippingTracker.connect(carrier).markDelivered(1)).to.be.revertedWith(
+        "Only shipper or authorized carrier"
+      );
+
+      await expect(shippingTracker.connect(shipper).setCarrier(carrier.address, true)).to.be.revertedWithCustomError(
+        shippingTracker,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(shippingTracker.setCarrier(carrier.address, true))
+        .to.emit(shippingTracker, "CarrierAuthorizationUpdated")
+        .withArgs(carrier.address, true);
+      await shippingTracker.connect(carrier).updateStatus(1, ShipmentStatus.Delayed);
+
+      await shippingTracker.setCarrier(carrier.address, false);
+      await expect(shippingTracker.connect(carrier).updateStatus(1, ShipmentStatus.InTransit)).to.be.revertedWith(
+        "Only shipper or authorized carrier"
+      );
+    });
+
+    it("Should reject invalid status transitions", async function () {
+      await expect(shippingTracker.connect(shipper).updateStatus(1, ShipmentStatus.InTransit)).to.be.revertedWith(
+        "Invalid status transition"
+      );
+      await expect(shippingTracker.connect(shipper).updateStatus(1, ShipmentStatus.Delivered)).to.be.revertedWith(
+        "Use markDelivered"
+      );
+
+      await shippingTracker.connect(shipper).updateStatus(1, ShipmentStatus.Lost);
+      await expect(shippingTracker.connect(shipper).updateStatus(1, ShipmentStatus.InTransit)).to.be.revertedWith(
+        "Invalid status transition"
+      );
+      await expect(shippingTracker.connect(shipper).markDelivered(1)).to.be.revertedWith("Invalid status transition");
+    });
+
     it("Should mark as delivered", async function () {
-      await expect(shippingTracker.markDelivered(1))
-        .to.emit(shippingTracker, "ShipmentDelivered");
-      
+      await expect(shippingTracker.connect(shipper).markDelivered(1)).to.emit(shippingTracker, "ShipmentDelivered");
+
       const shipment = await shippingTracker.shipments(1);
-      expect(shipment.status).to.equal("delivered");
+      expect(shipment.status).to.equal(ShipmentStatus.Delivered);
       expect(shipment.actualArrival).to.be.gt(0);
+      await expect(shippingTracker.connect(shipper).markDelivered(1)).to.be.revertedWith("Invalid status transition");
     });
   });
-  
+
+  describe("Milestone Completion", function () {
+    beforeEach(async function () {
+      await createShipment();
+    });
+
+    it("Should complete the bound milestone on delivery", async function () {
+      await expect(shippingTracker.connect(shipper).markDelivered(1))
+        .to.emit(payment, "MilestoneCompleted")
+        .withArgs(0, 1, anyValue);
+
+      const milestone = await payment.getMilestone(0, 1);
+      expect(milestone.isCompleted).to.be.true;
+      expect(milestone.isApproved).to.be.false;
+    });
+
+    it("Should still record deliveries of milestones the order can no longer complete", async function () {
+      await payment.connect(supplier).completeMilestone(0, 1);
+      await expect(shippingTracker.connect(shipper).markDelivered(1))
+        .to.emit(shippingTracker, "ShipmentDelivered")
+        .and.not.to.emit(payment, "MilestoneCompleted");
+    });
+
+    it("Should only record deliveries while the order is in progress", async function () {
+      await payment.connect(buyer).raiseDispute(0, "Goods damaged");
+      await expect(shippingTracker.connect(shipper).markDelivered(1)).to.be.revertedWith("Order not in progress");
+      await expect(shippingTracker.connect(shipper).updateStatus(1, ShipmentStatus.Lost))
+        .to.emit(shippingTracker, "ShipmentStatusUpdated")
+        .withArgs(1, ShipmentStatus.Lost);
+    });
+
+    it("Should only let the tracker complete or approve milestones", async function () {
+      await expect(payment.connect(shipper).confirmDelivery(0, 1)).to.be.revertedWith("Only shipping tracker");
+      await expect(payment.connect(shipper).approveDeliveredMilestone(0, 1)).to.be.revertedWith(
+        "Only shipping tracker"
+      );
+      await expect(payment.connect(buyer).setShippingTracker(buyer.address)).to.be.revertedWithCustomError(
+        payment,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("Auto-approval", function () {
+    const gracePeriod = 2 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await createShipment();
+      await shippingTracker.connect(shipper).markDelivered(1);
+    });
+
+    it("Should be disabled by default", async function () {
+      await time.increase(gracePeriod);
+      await expect(shippingTracker.autoApproveDelivery(1)).to.be.revertedWith("Auto-approval disabled");
+    });
+
+    it("Should pay the milestone once the buyer's grace period is over", async function () {
+      await expect(shippingTracker.setAutoApprovalPeriod(gracePeriod))
+        .to.emit(shippingTracker, "AutoApprovalPeriodUpdated")
+        .withArgs(gracePeriod);
+      await expect(shippingTracker.autoApproveDelivery(1)).to.be.revertedWith("Grace period not over");
+
+      await time.increase(gracePeriod);
+      // 60% of 1000, minus the 1% platform fee; anyone can trigger it
+      const tx = shippingTracker.connect(carrier).autoApproveDelivery(1);
+      await expect(tx).to.emit(shippingTracker, "DeliveryAutoApproved").withArgs(1, 0, 1);
+      await expect(tx).to.emit(payment, "MilestoneApproved").withArgs(0, 1, 594);
+      await expect(tx).to.changeEtherBalance(supplier, 594);
+      await expect(shippingTracker.autoApproveDelivery(1)).to.be.revertedWith("Milestone already approved");
+    });
+
+    it("Should wait for the order's approval window when it is longer than the grace period", async function () {
+      await shippingTracker.setAutoApprovalPeriod(gracePeriod);
+      await payment.setApprovalWindow(3 * gracePeriod);
+      await payment.connect(buyer).createOrder(supplier.address, "Gadgets", { value: 1000 });
+      await payment.connect(buyer).addMilestone(1, "Delivery", 100);
+      await payment.connect(buyer).startOrder(1);
+      await shippingTracker
+        .connect(supplier)
+        .createShipment(1, 0, shipper.address, supplier.address, buyer.address, 0, "TRACK-002");
+      await shippingTracker.connect(shipper).markDelivered(2);
+
+      // The same window as autoApproveMilestone, counted from the milestone's completion
+      await time.increase(gracePeriod);
+      await expect(shippingTracker.autoApproveDelivery(2)).to.be.revertedWith("Approval window not over");
+      await expect(payment.autoApproveMilestone(1, 0)).to.be.revertedWith("Approval window not over");
+      await time.increase(2 * gracePeriod);
+      await expect(shippingTracker.autoApproveDelivery(2)).to.emit(payment, "MilestoneApproved");
+    });
+
+    it("Should leave delivered milestones of orders without auto-approval to the grace period", async function () {
+      await shippingTracker.setAutoApprovalPeriod(gracePeriod);
+      await payment.setApprovalWindow(0);
+      await payment.connect(buyer).createOrder(supplier.address, "Gadgets", { value: 1000 });
+      await payment.connect(buyer).addMilestone(1, "Delivery", 100);
+      await payment.connect(buyer).startOrder(1);
+      await shippingTracker
+        .connect(supplier)
+        .createShipment(1, 0, shipper.address, supplier.address, buyer.address, 0, "TRACK-002");
+      await shippingTracker.connect(shipper).markDelivered(2);
+      await time.increase(gracePeriod);
+
+      await expect(payment.autoApproveMilestone(1, 0)).to.be.revertedWith("Approval window not over");
+      await expect(shippingTracker.autoApproveDelivery(2)).to.emit(payment, "MilestoneApproved");
+    });
+
+    it("Should give the buyer the whole grace period for goods shipped before the order started", async function () {
+      await shippingTracker.setAutoApprovalPeriod(gracePeriod);
+      await payment.connect(buyer).createOrder(supplier.address, "Gadgets", { value: 1000 });
+      await payment.connect(buyer).addMilestone(1, "Delivery", 100);
+      const ship = () =>
+        shippingTracker
+          .connect(supplier)
+          .createShipment(1, 0, shipper.address, supplier.address, buyer.address, 0, "TRACK-002");
+
+      // Nothing can be delivered before the buyer starts the order, so no grace period can run out
+      await expect(ship()).to.be.revertedWith("Order not in progress");
+      await time.increase(2 * gracePeriod);
+      await payment.connect(buyer).startOrder(1);
+      await ship();
+      await shippingTracker.connect(shipper).markDelivered(2);
+
+      await expect(shippingTracker.autoApproveDelivery(2)).to.be.revertedWith("Grace period not over");
+      await time.increase(gracePeriod);
+      await expect(shippingTracker.autoApproveDelivery(2)).to.emit(payment, "MilestoneApproved");
+    });
+
+    it("Should not auto-approve a milestone the buyer disputed", async function () {
+      await shippingTracker.setAutoApprovalPeriod(gracePeriod);
+      await payment.connect(buyer).raiseDispute(0, "Goods damaged");
+      await time.increase(gracePeriod);
+
+      await expect(shippingTracker.autoApproveDelivery(1)).to.be.revertedWith("Order not in progress");
+    });
+
+    it("Should not auto-approve shipments that were not delivered", async function () {
+      await shippingTracker.setAutoApprovalPeriod(gracePeriod);
+      await createShipment("TRACK-002", 0);
+      await time.increase(gracePeriod);
+
+      await expect(shippingTracker.autoApproveDelivery(2)).to.be.revertedWith("Shipment not delivered");
+    });
+
+    it("Should not auto-approve a delivery that came after the milestone's deadline", async function () {
+      await shippingTracker.setAutoApprovalPeriod(gracePeriod);
+      await payment.connect(buyer).createOrder(supplier.address, "Gadgets", { value: 1000 });
+      await payment.connect(buyer).addMilestone(1, "Delivery", 100);
+      const deadline = (await time.latest()) + 86400;
+      await payment.connect(buyer).setMilestoneDeadline(1, 0, deadline);
+      await payment.connect(buyer).startOrder(1);
+      await shippingTracker
+        .connect(supplier)
+        .createShipment(1, 0, shipper.address, supplier.address, buyer.address, deadline, "TRACK-002");
+
+      await time.increaseTo(deadline + 1);
+      await shippingTracker.connect(shipper).markDelivered(2);
+      await time.increase(gracePeriod);
+
+      await expect(shippingTracker.autoApproveDelivery(2)).to.be.revertedWith("Milestone missed its deadline");
+    });
+  });
+
   describe("Tracking Lookup", function () {
     it("Should retrieve shipment by tracking number", async function () {
-      const estimatedArrival = Math.floor(Date.now() / 1000) + 86400;
-      await shippingTracker.createShipment(
-        1,
-        shipper.address,
-        origin.address,
-        destination.address,
-        estimatedArrival,
-        "TRACK-001"
-      );
-      
+      await createShipment();
+
       const shipment = await shippingTracker.getShipmentByTracking("TRACK-001");
       expect(shipment.trackingNumber).to.equal("TRACK-001");
-      expect(shipment.orderId).to.equal(1);
+      expect(shipment.orderId).to.equal(0);
     });
   });
 });
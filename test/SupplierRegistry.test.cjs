@@ -72,15 +72,15 @@ describe("SupplierRegistry", function () {
       expect(await registry.isSupplierVerified(supplier.address)).to.equal(true);
     });
 
-    it("Should revert if non-owner verifies", async function () {
+    it("Should revert if a non-verifier verifies", async function () {
       const { registry, supplier, otherAccount } = await loadFixture(deployFixture);
       
       await registry.connect(supplier).registerSupplier("Acme", "email", "addr", "hash");
       
       await expect(
         registry.connect(otherAccount).verifySupplier(supplier.address)
-      ).to.be.revertedWithCustomError(registry, "OwnableUnauthorizedAccount")
-      .withArgs(otherAccount.address);
+      ).to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount")
+      .withArgs(otherAccount.address, await registry.VERIFIER_ROLE());
     });
   });
 
@@ -102,6 +102,17 @@ describe("SupplierRegistry", function () {
       expect(profile.documentHash).to.equal("NewHash");
     });
 
+    it("Should report registration, verification and activity", async function () {
+      const { registry, owner, supplier } = await loadFixture(deployFixture);
+
+      expect(await registry.getSupplierStatus(supplier.address)).to.deep.equal([false, false, false]);
+      await registry.connect(supplier).registerSupplier("Acme", "email", "addr", "hash");
+      expect(await registry.getSupplierStatus(supplier.address)).to.deep.equal([true, false, true]);
+      await registry.connect(owner).verifySupplier(supplier.address);
+      await registry.connect(owner).deactivateSupplier(supplier.address);
+      expect(await registry.getSupplierStatus(supplier.address)).to.deep.equal([true, true, false]);
+    });
+
     it("Should add category successfully", async function () {
       const { registry, owner, supplier } = await loadFixture(deployFixture);
       
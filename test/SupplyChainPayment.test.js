@@ -1,9 +1,13 @@
 const { expect } = require("chai");
 const hre = require("hardhat");
 const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
 describe("SupplyChainPayment", function () {
     let supplyChainPayment;
+    let registry;
+    let reputation;
+    let arbitrators;
     let owner;
     let supplier;
     let buyer;
@@ -12,10 +16,29 @@ describe("SupplyChainPayment", function () {
     beforeEach(async function () {
         [owner, supplier, buyer, addr1] = await ethers.getSigners();
         
+        registry = await ethers.deployContract("SupplierRegistry");
+        reputation = await ethers.deployContract("ReputationSystem");
+        arbitrators = await ethers.deployContract("ArbitratorRegistry");
         const SupplyChainPayment = await ethers.getContractFactory("SupplyChainPayment");
-        supplyChainPayment = await SupplyChainPayment.deploy();
+        supplyChainPayment = await SupplyChainPayment.deploy(
+            await registry.getAddress(),
+            await reputation.getAddress(),
+            await arbitrators.getAddress()
+        );
+        await reputation.setOrderRecorder(await supplyChainPayment.getAddress());
     });
 
+    /// Moves past the evidence period of disputes raised so far
+    async function endEvidencePeriod() {
+        await time.increase(await supplyChainPayment.evidencePeriod());
+    }
+
+    /// Registers and verifies an account in SupplierRegistry
+    async function registerSupplier(account) {
+        await registry.connect(account).registerSupplier("Test Supplier", "test@supplier.com", "", "");
+        await registry.verifySupplier(account.address);
+    }
+
     describe("Deployment", function () {
         it("Should set the right owner", async function () {
             expect(await supplyChainPayment.owner()).to.equal(owner.address);
@@ -30,75 +53,187 @@ describe("SupplyChainPayment", function () {
         });
     });
 
-    describe("Supplier Registration", function () {
-        it("Should allow supplier to register", async function () {
-            await supplyChainPayment.connect(supplier).registerSupplier("Test Supplier", "test@supplier.com");
-            
-            const supplierData = await supplyChainPayment.getSupplier(supplier.address);
-            expect(supplierData.name).to.equal("Test Supplier");
-            expect(supplierData.contactInfo).to.equal("test@supplier.com");
-            expect(supplierData.isVerified).to.equal(false);
+    describe("Supplier Registry", function () {
+        it("Should use the registry and reputation system it was deployed with", async function () {
+            expect(await supplyChainPayment.supplierRegistry()).to.equal(await registry.getAddress());
+            expect(await supplyChainPayment.reputationSystem()).to.equal(await reputation.getAddress());
         });
 
-        it("Should emit SupplierRegistered event", async function () {
-            const tx = await supplyChainPayment.connect(supplier).registerSupplier("Test Supplier", "test@supplier.com");
-            const receipt = await tx.wait();
-            const block = await ethers.provider.getBlock(receipt.blockNumber);
-            
-            await expect(tx)
-                .to.emit(supplyChainPayment, "SupplierRegistered")
-                .withArgs(supplier.address, "Test Supplier", block.timestamp);
+        it("Should reject zero addresses in the constructor", async function () {
+            const SupplyChainPayment = await ethers.getContractFactory("SupplyChainPayment");
+            const [registryAddress, reputationAddress, arbitratorsAddress] = await Promise.all(
+                [registry, reputation, arbitrators].map((contract) => contract.getAddress())
+            );
+            await expect(
+                SupplyChainPayment.deploy(ethers.ZeroAddress, reputationAddress, arbitratorsAddress)
+            ).to.be.revertedWith("Invalid registry");
+            await expect(
+                SupplyChainPayment.deploy(registryAddress, ethers.ZeroAddress, arbitratorsAddress)
+            ).to.be.revertedWith("Invalid reputation system");
+            await expect(
+                SupplyChainPayment.deploy(registryAddress, reputationAddress, ethers.ZeroAddress)
+            ).to.be.revertedWith("Invalid arbitrator registry");
         });
 
-        it("Should not allow duplicate registration", async function () {
-            await supplyChainPayment.connect(supplier).registerSupplier("Test Supplier", "test@supplier.com");
-            
+        it("Should not allow orders with suppliers missing from the registry", async function () {
             await expect(
-                supplyChainPayment.connect(supplier).registerSupplier("Test Supplier 2", "test2@supplier.com")
-            ).to.be.revertedWith("Supplier already registered");
+                supplyChainPayment.connect(buyer).createOrder(addr1.address, "Test order", { value: 1000 })
+            ).to.be.revertedWith("Supplier not registered");
         });
 
-        it("Should not allow empty name", async function () {
+        it("Should block new orders once the supplier is deactivated", async function () {
+            await registerSupplier(supplier);
+            await supplyChainPayment.connect(buyer).createOrder(supplier.address, "Before", { value: 1000 });
+            await supplyChainPayment.connect(buyer).addMilestone(0, "All", 100);
+            await supplyChainPayment.connect(buyer).startOrder(0);
+
+            await registry.deactivateSupplier(supplier.address);
             await expect(
-                supplyChainPayment.connect(supplier).registerSupplier("", "test@supplier.com")
-            ).to.be.revertedWith("Name cannot be empty");
+                supplyChainPayment.connect(buyer).createOrder(supplier.address, "After", { value: 1000 })
+            ).to.be.revertedWith("Supplier not active");
+
+            // Existing orders still settle
+            await supplyChainPayment.connect(supplier).completeMilestone(0, 0);
+            await expect(supplyChainPayment.connect(buyer).approveMilestone(0, 0))
+                .to.emit(supplyChainPayment, "OrderCompleted");
         });
     });
 
-    describe("Supplier Verification", function () {
+    describe("Completed Orders", function () {
         beforeEach(async function () {
-            await supplyChainPayment.connect(supplier).registerSupplier("Test Supplier", "test@supplier.com");
+            await registerSupplier(supplier);
+            await supplyChainPayment.connect(buyer).createOrder(supplier.address, "100 widgets", { value: 1000 });
+            await supplyChainPayment.connect(buyer).addMilestone(0, "All", 100);
+            await supplyChainPayment.connect(buyer).startOrder(0);
         });
 
-        it("Should allow owner to verify supplier", async function () {
-            await supplyChainPayment.connect(owner).verifySupplier(supplier.address);
-            
-            const supplierData = await supplyChainPayment.getSupplier(supplier.address);
-            expect(supplierData.isVerified).to.equal(true);
+        it("Should record completed orders in the reputation system", async function () {
+            await supplyChainPayment.connect(supplier).completeMilestone(0, 0);
+            await expect(supplyChainPayment.connect(buyer).approveMilestone(0, 0))
+                .to.emit(reputation, "OrderCompletionRecorded")
+                .withArgs(0, buyer.address, supplier.address);
+
+            expect((await supplyChainPayment.getSupplierStats(supplier.address)).totalOrdersCompleted).to.equal(1);
+            await expect(reputation.connect(buyer).submitReview(supplier.address, 0, 5, "On time"))
+                .to.emit(reputation, "ReviewSubmitted");
         });
 
-        it("Should emit SupplierVerified event", async function () {
-            await expect(supplyChainPayment.connect(owner).verifySupplier(supplier.address))
-                .to.emit(supplyChainPayment, "SupplierVerified");
+        it("Should record orders resolved in the supplier's favor", async function () {
+            await supplyChainPayment.connect(supplier).raiseDispute(0, "Unpaid");
+            await endEvidencePeriod();
+            await supplyChainPayment.resolveDispute(0, 100);
+
+            expect((await reputation.recordedOrders(await supplyChainPayment.getAddress(), 0)).buyer)
+                .to.equal(buyer.address);
         });
 
-        it("Should not allow non-owner to verify", async function () {
+        it("Should not record orders refunded to the buyer", async function () {
+            await supplyChainPayment.connect(buyer).raiseDispute(0, "Late");
+            await endEvidencePeriod();
+            await supplyChainPayment.resolveDispute(0, 0);
+
             await expect(
-                supplyChainPayment.connect(buyer).verifySupplier(supplier.address)
-            ).to.be.reverted;
+                reputation.connect(buyer).submitReview(supplier.address, 0, 1, "Never arrived")
+            ).to.be.revertedWith("Order not completed");
         });
 
-        it("Should not verify unregistered supplier", async function () {
-            await expect(
-                supplyChainPayment.connect(owner).verifySupplier(addr1.address)
-            ).to.be.revertedWith("Supplier not registered");
+        it("Should record the reused order IDs of a redeployed payment contract", async function () {
+            await supplyChainPayment.connect(supplier).completeMilestone(0, 0);
+            await supplyChainPayment.connect(buyer).approveMilestone(0, 0);
+
+            const redeployed = await ethers.deployContract("SupplyChainPayment", [
+                await registry.getAddress(),
+                await reputation.getAddress(),
+                await arbitrators.getAddress(),
+            ]);
+            await reputation.setOrderRecorder(await redeployed.getAddress());
+            await redeployed.connect(buyer).createOrder(supplier.address, "Second batch", { value: 1000 });
+            await redeployed.connect(buyer).addMilestone(0, "All", 100);
+            await redeployed.connect(buyer).startOrder(0);
+            await redeployed.connect(supplier).completeMilestone(0, 0);
+            await expect(redeployed.connect(buyer).approveMilestone(0, 0))
+                .to.emit(reputation, "OrderCompletionRecorded")
+                .withArgs(0, buyer.address, supplier.address);
+            await expect(reputation.connect(buyer).submitReview(supplier.address, 0, 4, "Second batch"))
+                .to.emit(reputation, "ReviewSubmitted");
+        });
+
+        it("Should pay the supplier even if the reputation system refuses the order", async function () {
+            // The payment contract is no longer the order recorder
+            await reputation.setOrderRecorder(addr1.address);
+            await supplyChainPayment.connect(supplier).completeMilestone(0, 0);
+
+            const approval = supplyChainPayment.connect(buyer).approveMilestone(0, 0);
+            await expect(approval).to.emit(supplyChainPayment, "OrderCompletionNotRecorded").withArgs(0);
+            await expect(approval).to.changeEtherBalance(supplier, 990);
+            expect((await supplyChainPayment.getOrder(0)).status).to.equal(2); // Completed
+        });
+
+        it("Should pay what rounding left over with the approval completing the order", async function () {
+            await supplyChainPayment.connect(buyer).createOrder(supplier.address, "Odd lot", { value: 1001 });
+            for (const percentage of [33, 33, 34]) {
+                await supplyChainPayment.connect(buyer).addMilestone(1, `${percentage}%`, percentage);
+            }
+            await supplyChainPayment.connect(buyer).startOrder(1);
+            for (const milestone of [0, 1, 2]) {
+                await supplyChainPayment.connect(supplier).completeMilestone(1, milestone);
+            }
+
+            // Shares of 340 and 330 wei, then the remaining 331 wei whichever milestone is approved last
+            await supplyChainPayment.connect(buyer).approveMilestone(1, 2);
+            await supplyChainPayment.connect(buyer).approveMilestone(1, 1);
+            await expect(supplyChainPayment.connect(buyer).approveMilestone(1, 0))
+                .to.emit(supplyChainPayment, "MilestoneApproved")
+                .withArgs(1, 0, 331 - 3);
+
+            expect((await supplyChainPayment.getOrder(1)).paidAmount).to.equal(1001);
+            const fees = await supplyChainPayment.totalPlatformFees();
+            expect(fees).to.equal(3 + 3 + 3);
+            expect(await ethers.provider.getBalance(await supplyChainPayment.getAddress())).to.equal(1000n + fees);
+        });
+    });
+
+    describe("Dispute Resolution", function () {
+        beforeEach(async function () {
+            await registerSupplier(supplier);
+            await supplyChainPayment.connect(buyer).createOrder(supplier.address, "100 widgets", { value: 1000 });
+            await supplyChainPayment.connect(buyer).addMilestone(0, "Prototype", 40);
+            await supplyChainPayment.connect(buyer).addMilestone(0, "Delivery", 60);
+            await supplyChainPayment.connect(buyer).startOrder(0);
+            await supplyChainPayment.connect(supplier).completeMilestone(0, 0);
+            await supplyChainPayment.connect(buyer).approveMilestone(0, 0);
+            await supplyChainPayment.connect(buyer).raiseDispute(0, "Half the delivery is missing");
+        });
+
+        it("Should split the remaining funds once the evidence period is over", async function () {
+            await expect(supplyChainPayment.resolveDispute(0, 50)).to.be.revertedWith("Evidence period not over");
+            await endEvidencePeriod();
+            await expect(supplyChainPayment.resolveDispute(0, 101)).to.be.revertedWith("Invalid percentage");
+
+            // 600 remaining: 300 to the supplier (minus the 1% fee), 300 back to the buyer
+            const tx = supplyChainPayment.resolveDispute(0, 50);
+            await expect(tx)
+                .to.emit(supplyChainPayment, "DisputeResolved")
+                .withArgs(0, owner.address, 50, 297, 300);
+            await expect(tx).to.changeEtherBalances([supplier, buyer], [297, 300]);
+
+            const order = await supplyChainPayment.orders(0);
+            expect(order.status).to.equal(2); // Completed
+            expect(order.paidAmount).to.equal(700);
+            expect(await supplyChainPayment.totalPlatformFees()).to.equal(7);
+            await expect(supplyChainPayment.resolveDispute(0, 50)).to.be.revertedWith("Not in dispute");
+        });
+
+        it("Should only let arbitrators resolve disputes", async function () {
+            await endEvidencePeriod();
+            await expect(supplyChainPayment.connect(buyer).resolveDispute(0, 0))
+                .to.be.revertedWithCustomError(supplyChainPayment, "AccessControlUnauthorizedAccount");
         });
     });
 
     describe("Order Creation", function () {
         beforeEach(async function () {
-            await supplyChainPayment.connect(supplier).registerSupplier("Test Supplier", "test@supplier.com");
-            await supplyChainPayment.connect(owner).verifySupplier(supplier.address);
+            await registerSupplier(supplier);
         });
 
         it("Should allow buyer to create order", async function () {
@@ -127,7 +262,7 @@ describe("SupplyChainPayment", function () {
         });
 
         it("Should not allow order with unverified supplier", async function () {
-            await supplyChainPayment.connect(addr1).registerSupplier("Unverified", "test@test.com");
+            await registry.connect(addr1).registerSupplier("Unverified", "test@test.com", "", "");
             
             await expect(
                 supplyChainPayment.connect(buyer).createOrder(
@@ -151,8 +286,7 @@ describe("SupplyChainPayment", function () {
 
     describe("Milestone Management", function () {
         beforeEach(async function () {
-            await supplyChainPayment.connect(supplier).registerSupplier("Test Supplier", "test@supplier.com");
-            await supplyChainPayment.connect(owner).verifySupplier(supplier.address);
+            await registerSupplier(supplier);
             await supplyChainPayment.connect(buyer).createOrder(
                 supplier.address,
                 "100 widgets",
@@ -191,5 +325,282 @@ describe("SupplyChainPayment", function () {
                 supplyChainPayment.connect(buyer).addMilestone(0, "Milestone 3", 20)
             ).to.be.revertedWith("Total percentage exceeds 100%");
         });
+
+        it("Should emit OrderStarted when the order starts", async function () {
+            await supplyChainPayment.connect(buyer).addMilestone(0, "Milestone 1", 100);
+            await expect(supplyChainPayment.connect(buyer).startOrder(0))
+                .to.emit(supplyChainPayment, "OrderStarted");
+        });
+    });
+
+    describe("Deadlines and Approval Window", function () {
+        const DAY = 24 * 60 * 60;
+        let prototypeDeadline;
+        let deliveryDeadline;
+
+        beforeEach(async function () {
+            await registerSupplier(supplier);
+            await supplyChainPayment.connect(buyer).createOrder(supplier.address, "100 widgets", { value: 1000 });
+            await supplyChainPayment.connect(buyer).addMilestone(0, "Prototype", 40);
+            await supplyChainPayment.connect(buyer).addMilestone(0, "Delivery", 60);
+            prototypeDeadline = (await time.latest()) + 10 * DAY;
+            deliveryDeadline = (await time.latest()) + 30 * DAY;
+            await supplyChainPayment.connect(buyer).setMilestoneDeadline(0, 0, prototypeDeadline);
+            await supplyChainPayment.connect(buyer).setMilestoneDeadline(0, 1, deliveryDeadline);
+            await supplyChainPayment.connect(buyer).startOrder(0);
+        });
+
+        it("Should let the buyer set milestone deadlines before the order starts", async function () {
+            expect(await supplyChainPayment.milestoneDeadlines(0, 1)).to.equal(deliveryDeadline);
+
+            await supplyChainPayment.connect(buyer).createOrder(supplier.address, "Draft", { value: 1000 });
+            await supplyChainPayment.connect(buyer).addMilestone(1, "All", 100);
+            await expect(supplyChainPayment.connect(buyer).setMilestoneDeadline(1, 0, deliveryDeadline))
+                .to.emit(supplyChainPayment, "MilestoneDeadlineSet")
+                .withArgs(1, 0, deliveryDeadline);
+            await expect(
+                supplyChainPayment.connect(buyer).setMilestoneDeadline(1, 0, await time.latest())
+            ).to.be.revertedWith("Deadline must be in the future");
+            await expect(
+                supplyChainPayment.connect(buyer).setMilestoneDeadline(1, 1, deliveryDeadline)
+            ).to.be.revertedWith("Invalid milestone index");
+            await expect(
+                supplyChainPayment.connect(supplier).setMilestoneDeadline(1, 0, deliveryDeadline)
+            ).to.be.revertedWith("Only buyer can perform this action");
+            await expect(
+                supplyChainPayment.connect(buyer).setMilestoneDeadline(0, 0, deliveryDeadline)
+            ).to.be.revertedWith("Order already started");
+
+            // 0 removes the deadline
+            await supplyChainPayment.connect(buyer).setMilestoneDeadline(1, 0, 0);
+            expect(await supplyChainPayment.milestoneDeadlines(1, 0)).to.equal(0);
+        });
+
+        it("Should fix the approval window when the order starts", async function () {
+            expect(await supplyChainPayment.approvalWindow()).to.equal(7 * DAY);
+            expect(await supplyChainPayment.orderApprovalWindows(0)).to.equal(7 * DAY);
+
+            await expect(supplyChainPayment.setApprovalWindow(DAY))
+                .to.emit(supplyChainPayment, "ApprovalWindowUpdated")
+                .withArgs(DAY);
+            await expect(supplyChainPayment.connect(buyer).setApprovalWindow(0))
+                .to.be.revertedWithCustomError(supplyChainPayment, "OwnableUnauthorizedAccount");
+            expect(await supplyChainPayment.orderApprovalWindows(0)).to.equal(7 * DAY);
+        });
+
+        it("Should let anyone approve a completed milestone once the approval window is over", async function () {
+            await supplyChainPayment.connect(supplier).completeMilestone(0, 0);
+            await expect(supplyChainPayment.connect(addr1).autoApproveMilestone(0, 0))
+                .to.be.revertedWith("Approval window not over");
+
+            await time.increase(7 * DAY);
+            await expect(supplyChainPayment.connect(addr1).autoApproveMilestone(0, 1))
+                .to.be.revertedWith("Milestone not completed");
+            const tx = supplyChainPayment.connect(addr1).autoApproveMilestone(0, 0);
+            await expect(tx).to.emit(supplyChainPayment, "MilestoneApproved").withArgs(0, 0, 396);
+            await expect(tx).to.changeEtherBalance(supplier, 396);
+            await expect(supplyChainPayment.connect(addr1).autoApproveMilestone(0, 0))
+                .to.be.revertedWith("Milestone already approved");
+        });
+
+        it("Should not auto-approve disputed orders or orders started without a window", async function () {
+            await supplyChainPayment.connect(supplier).completeMilestone(0, 0);
+            await supplyChainPayment.connect(buyer).raiseDispute(0, "Prototype is faulty");
+            await time.increase(7 * DAY);
+            await expect(supplyChainPayment.autoApproveMilestone(0, 0)).to.be.revertedWith("Order not in progress");
+
+            await supplyChainPayment.setApprovalWindow(0);
+            await supplyChainPayment.connect(buyer).createOrder(supplier.address, "No window", { value: 1000 });
+            await supplyChainPayment.connect(buyer).addMilestone(1, "All", 100);
+            await supplyChainPayment.connect(buyer).startOrder(1);
+            await supplyChainPayment.connect(supplier).completeMilestone(1, 0);
+            await time.increase(365 * DAY);
+            await expect(supplyChainPayment.autoApproveMilestone(1, 0)).to.be.revertedWith("Approval window not over");
+        });
+
+        it("Should refund the unpaid remainder once a deadline is missed", async function () {
+            await expect(supplyChainPayment.connect(buyer).reclaimOrder(0)).to.be.revertedWith("No missed deadline");
+
+            // Delivered late, but delivered: the prototype is no longer overdue
+            await time.increaseTo(prototypeDeadline + 1);
+            await supplyChainPayment.connect(supplier).completeMilestone(0, 0);
+            await supplyChainPayment.connect(buyer).approveMilestone(0, 0);
+            await expect(supplyChainPayment.connect(buyer).reclaimOrder(0)).to.be.revertedWith("No missed deadline");
+
+            // The deadline itself is still on time
+            await time.setNextBlockTimestamp(deliveryDeadline);
+            await expect(supplyChainPayment.connect(buyer).reclaimOrder(0)).to.be.revertedWith("No missed deadline");
+            await expect(supplyChainPayment.connect(supplier).reclaimOrder(0))
+                .to.be.revertedWith("Only buyer can perform this action");
+
+            const tx = supplyChainPayment.connect(buyer).reclaimOrder(0);
+            await expect(tx).to.emit(supplyChainPayment, "OrderCancelled").withArgs(0, 600);
+            await expect(tx).to.changeEtherBalances([buyer, supplyChainPayment], [600, -600]);
+            expect((await supplyChainPayment.orders(0)).status).to.equal(3); // Cancelled
+            await expect(supplyChainPayment.connect(supplier).completeMilestone(0, 1))
+                .to.be.revertedWith("Order not in progress");
+        });
+
+        it("Should make the buyer settle milestones completed on time before reclaiming", async function () {
+            await supplyChainPayment.connect(supplier).completeMilestone(0, 0);
+            await time.increaseTo(deliveryDeadline + 1);
+            await expect(supplyChainPayment.connect(buyer).reclaimOrder(0))
+                .to.be.revertedWith("Milestones awaiting approval");
+
+            // ...or dispute the order instead
+            await supplyChainPayment.connect(buyer).raiseDispute(0, "Delivery is late");
+            expect((await supplyChainPayment.orders(0)).status).to.equal(4); // Disputed
+            await expect(supplyChainPayment.connect(buyer).reclaimOrder(0)).to.be.revertedWith("Order not in progress");
+        });
+
+        it("Should treat a milestone completed after its deadline as missed", async function () {
+            await time.increaseTo(prototypeDeadline + 1);
+            await supplyChainPayment.connect(supplier).completeMilestone(0, 0);
+            await time.increase(7 * DAY);
+            await expect(supplyChainPayment.autoApproveMilestone(0, 0))
+                .to.be.revertedWith("Milestone missed its deadline");
+
+            // Completing it late does not stop the buyer from reclaiming the whole order
+            const tx = supplyChainPayment.connect(buyer).reclaimOrder(0);
+            await expect(tx).to.emit(supplyChainPayment, "OrderCancelled").withArgs(0, 1000);
+            await expect(tx).to.changeEtherBalances([buyer, supplier], [1000, 0]);
+        });
+    });
+
+    describe("Token Payments", function () {
+        let token;
+        const amount = ethers.parseEther("1000");
+
+        beforeEach(async function () {
+            const Token = await ethers.getContractFactory("SupplyChainToken");
+            token = await Token.deploy();
+            await token.mint(buyer.address, ethers.parseEther("5000"));
+            await supplyChainPayment.setAcceptedToken(await token.getAddress(), true);
+
+            await registerSupplier(supplier);
+        });
+
+        async function createTokenOrder(percentages = [100]) {
+            const orderId = await supplyChainPayment.orderCounter();
+            await token.connect(buyer).approve(await supplyChainPayment.getAddress(), amount);
+            await supplyChainPayment
+                .connect(buyer)
+                .createOrderWithToken(supplier.address, "Test Product", await token.getAddress(), amount);
+            for (const percentage of percentages) {
+                await supplyChainPayment.connect(buyer).addMilestone(orderId, "Milestone", percentage);
+            }
+            return orderId;
+        }
+
+        it("Should only let the owner manage accepted tokens", async function () {
+            const tokenAddress = await token.getAddress();
+            await expect(supplyChainPayment.setAcceptedToken(tokenAddress, false))
+                .to.emit(supplyChainPayment, "PaymentTokenUpdated")
+                .withArgs(tokenAddress, false);
+            expect(await supplyChainPayment.acceptedTokens(tokenAddress)).to.equal(false);
+
+            await expect(
+                supplyChainPayment.connect(buyer).setAcceptedToken(tokenAddress, true)
+            ).to.be.revertedWithCustomError(supplyChainPayment, "OwnableUnauthorizedAccount");
+            await expect(
+                supplyChainPayment.setAcceptedToken(ethers.ZeroAddress, true)
+            ).to.be.revertedWith("Invalid token");
+        });
+
+        it("Should lock the tokens when the order is created", async function () {
+            const orderId = await createTokenOrder();
+
+            const order = await supplyChainPayment.orders(orderId);
+            expect(order.paymentToken).to.equal(await token.getAddress());
+            expect(order.totalAmount).to.equal(amount);
+            expect(await token.balanceOf(await supplyChainPayment.getAddress())).to.equal(amount);
+        });
+
+        it("Should reject tokens that are not accepted", async function () {
+            const Other = await ethers.getContractFactory("SupplyChainToken");
+            const other = await Other.deploy();
+
+            await expect(
+                supplyChainPayment
+                    .connect(buyer)
+                    .createOrderWithToken(supplier.address, "Test Product", await other.getAddress(), amount)
+            ).to.be.revertedWith("Token not accepted");
+        });
+
+        it("Should revert without an allowance", async function () {
+            await expect(
+                supplyChainPayment
+                    .connect(buyer)
+                    .createOrderWithToken(supplier.address, "Test Product", await token.getAddress(), amount)
+            ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+        });
+
+        it("Should release milestones and collect fees in the token", async function () {
+            const orderId = await createTokenOrder([40, 60]);
+            await supplyChainPayment.connect(buyer).startOrder(orderId);
+
+            await supplyChainPayment.connect(supplier).completeMilestone(orderId, 0);
+            await expect(supplyChainPayment.connect(buyer).approveMilestone(orderId, 0)).to.changeTokenBalance(
+                token,
+                supplier,
+                ethers.parseEther("396")
+            );
+
+            const tokenAddress = await token.getAddress();
+            expect(await supplyChainPayment.tokenPlatformFees(tokenAddress)).to.equal(ethers.parseEther("4"));
+            expect(await supplyChainPayment.totalPlatformFees()).to.equal(0);
+            expect(await supplyChainPayment.supplierTokenEarnings(supplier.address, tokenAddress)).to.equal(
+                ethers.parseEther("396")
+            );
+            expect((await supplyChainPayment.getSupplierStats(supplier.address)).totalAmountEarned).to.equal(0);
+
+            const withdrawal = supplyChainPayment.withdrawTokenFees(tokenAddress);
+            await expect(withdrawal).to.changeTokenBalance(token, owner, ethers.parseEther("4"));
+            await expect(withdrawal)
+                .to.emit(supplyChainPayment, "PlatformFeesWithdrawn")
+                .withArgs(tokenAddress, owner.address, ethers.parseEther("4"));
+            await expect(supplyChainPayment.withdrawTokenFees(tokenAddress)).to.be.revertedWith("No fees to withdraw");
+        });
+
+        it("Should settle disputes in the token", async function () {
+            const refunded = await createTokenOrder();
+            await supplyChainPayment.connect(buyer).startOrder(refunded);
+            await supplyChainPayment.connect(buyer).raiseDispute(refunded, "Late");
+            await endEvidencePeriod();
+            await expect(supplyChainPayment.resolveDispute(refunded, 0)).to.changeTokenBalance(
+                token,
+                buyer,
+                amount
+            );
+
+            const paid = await createTokenOrder();
+            await supplyChainPayment.connect(buyer).startOrder(paid);
+            await supplyChainPayment.connect(supplier).raiseDispute(paid, "Unpaid");
+            await endEvidencePeriod();
+            await expect(supplyChainPayment.resolveDispute(paid, 100)).to.changeTokenBalance(
+                token,
+                supplier,
+                ethers.parseEther("990")
+            );
+        });
+
+        it("Should refund the tokens when the order is cancelled", async function () {
+            const orderId = await createTokenOrder();
+
+            const tx = supplyChainPayment.connect(buyer).cancelOrder(orderId);
+            await expect(tx).to.emit(supplyChainPayment, "OrderCancelled").withArgs(orderId, amount);
+            await expect(tx).to.changeTokenBalance(token, buyer, amount);
+        });
+
+        it("Should keep settling orders in a token that is no longer accepted", async function () {
+            const orderId = await createTokenOrder();
+            await supplyChainPayment.setAcceptedToken(await token.getAddress(), false);
+
+            await expect(supplyChainPayment.connect(buyer).cancelOrder(orderId)).to.changeTokenBalance(
+                token,
+                buyer,
+                amount
+            );
+        });
     });
 });
@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  collectDeployments,
+  renderAddressModule,
+  collectDefinitions,
+  renderSolidityModule,
+} = require("../lib/typegen");
+
+describe("Type Generation", function () {
+  describe("Address map", function () {
+    const sepolia = {
+      network: "baseSepolia",
+      chainId: 84532,
+      blockNumber: 100,
+      contracts: { SupplyChainPayment: "0x00000000000000000000000000000000000000A1" },
+    };
+    const local = {
+      network: "localhost",
+      chainId: 31337,
+      contracts: { Registry: "0x00000000000000000000000000000000000000B2" },
+      artifacts: { Registry: { contract: "CustomsRegistry" } },
+    };
+
+    it("Should render addresses per network with typed factories", function () {
+      const source = renderAddressModule([sepolia, local]);
+
+      expect(source).to.include("  baseSepolia: {\n    chainId: 84532,\n    blockNumber: 100,");
+      expect(source).to.include('      SupplyChainPayment: "0x00000000000000000000000000000000000000A1",');
+      expect(source).to.include("  SupplyChainPayment: SupplyChainPayment__factory,");
+      expect(source).to.include("  84532: \"baseSepolia\",");
+      expect(source).to.include("export function getContract<");
+    });
+
+    it("Should use the recorded artifact for renamed deployments", function () {
+      const source = renderAddressModule([local]);
+      expect(source).to.include("  Registry: CustomsRegistry__factory,");
+      expect(source).to.not.include("Registry: Registry__factory");
+    });
+
+    it("Should reject a name built from different contracts across networks", function () {
+      const other = {
+        ...sepolia,
+        contracts: { Registry: "0x1" },
+        artifacts: { Registry: { contract: "SupplierRegistry" } },
+      };
+      expect(() => renderAddressModule([local, other])).to.throw(
+        "Registry is deployed from CustomsRegistry and SupplierRegistry on different networks"
+      );
+    });
+
+    it("Should read every deployment record in a directory", function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "typegen-"));
+      try {
+        fs.writeFileSync(path.join(dir, "deployment-localhost.json"), JSON.stringify(local));
+        // the network name falls back to the file name
+        const { network, ...unnamed } = sepolia;
+        fs.writeFileSync(path.join(dir, "deployment-baseSepolia.json"), JSON.stringify(unnamed));
+        fs.writeFileSync(path.join(dir, "package.json"), "{}");
+
+        const records = collectDeployments(dir);
+        expect(records.map((record) => record.network)).to.deep.equal(["baseSepolia", "localhost"]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Solidity definitions", function () {
+    let source;
+
+    before(async function () {
+      const names = [
+        "contracts/SupplyChainPayment.sol:SupplyChainPayment",
+        "contracts/PaymentEscrow.sol:PaymentEscrow",
+      ];
+      const buildInfos = await Promise.all(names.map((name) => hre.artifacts.getBuildInfo(name)));
+      source = renderSolidityModule(
+        collectDefinitions(buildInfos, (sourceName) => sourceName.startsWith("contracts/"))
+      );
+    });
+
+    it("Should render enums with their ordinal values", function () {
+      expect(source).to.include(
+        "  export enum OrderStatus {\n    Created = 0,\n    InProgress = 1,\n    Completed = 2,\n    Cancelled = 3,\n    Disputed = 4,\n  }"
+      );
+      expect(source).to.include("export namespace PaymentEscrow {\n  export enum EscrowStatus {");
+    });
+
+    it("Should render structs that never appear in the ABI", function () {
+      expect(source).to.include("export namespace SupplyChainPayment {");
+      expect(source).to.include("  export interface Order {\n    orderId: bigint;\n    buyer: string;");
+      expect(source).to.include("    status: bigint;\n    milestones: Milestone[];\n    disputeRaised: boolean;");
+    });
+
+    it("Should skip declarations outside the project sources", function () {
+      expect(source).to.not.include("namespace Ownable");
+      expect(source).to.not.include("namespace ReentrancyGuard");
+    });
+  });
+});
@@ -0,0 +1,368 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deploySystemFixture } = require("./fixtures/system");
+const { deploy, upgrade, storageLayoutOf, compareLayouts } = require("../lib/deployment");
+const { signBuyerAction, buyerActionCall } = require("..");
+
+describe("Upgrades", function () {
+  const OrderStatus = { Created: 0n, InProgress: 1n, Completed: 2n };
+  const EscrowStatus = { Funded: 1n };
+  const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+  const PROXIED = ["SupplierRegistry", "ReputationSystem", "ProductCatalog", "SupplyChainPayment", "PaymentEscrow"];
+  const silent = () => {};
+
+  const implementationOf = async (proxy) =>
+    ethers.getAddress(`0x${(await ethers.provider.getStorage(proxy, IMPLEMENTATION_SLOT)).slice(26)}`);
+
+  /// System with an ETH order halfway paid, a token order, an open order and a funded escrow
+  async function liveOrdersFixture() {
+    const system = await deploySystemFixture();
+    const { payment, escrow, token, buyer, supplier, rival } = system;
+
+    await payment.connect(buyer).createOrder(supplier.address, "Sensors", { value: ethers.parseEther("1") });
+    await payment.connect(buyer).addMilestone(0, "Production", 40);
+    await payment.connect(buyer).addMilestone(0, "Delivery", 60);
+    await payment.connect(buyer).startOrder(0);
+    await payment.connect(supplier).completeMilestone(0, 0);
+    await payment.connect(buyer).approveMilestone(0, 0);
+
+    const amount = ethers.parseEther("300");
+    await token.connect(buyer).approve(await payment.getAddress(), amount);
+    await payment.connect(buyer).createOrderWithToken(rival.address, "Crates", await token.getAddress(), amount);
+    await payment.connect(buyer).addMilestone(1, "Delivery", 100);
+    await payment.connect(buyer).startOrder(1);
+
+    await payment.connect(buyer).createOrder(supplier.address, "Boards", { value: ethers.parseEther("0.2") });
+
+    await escrow.connect(buyer).createEscrow(7, supplier.address, ethers.ZeroAddress, ethers.parseEther("0.5"), 0);
+    await escrow.connect(buyer).fundEscrow(1, { value: ethers.parseEther("0.5") });
+
+    return system;
+  }
+
+  /// loadFixture hands out the same objects every time, and upgrade() updates the record in place
+  async function loadLiveOrders() {
+    const system = await loadFixture(liveOrdersFixture);
+    return { ...system, record: JSON.parse(JSON.stringify(system.record)) };
+  }
+
+  describe("Proxy deployments", function () {
+    it("Should deploy the stateful contracts behind initialized proxies", async function () {
+      const { record, payment, escrow, reputation, owner } = await loadFixture(deploySystemFixture);
+
+      for (const name of PROXIED) {
+        const info = record.artifacts[name];
+        expect(info.proxy, name).to.equal("uups");
+        expect(await implementationOf(record.contracts[name]), name).to.equal(info.implementation);
+        expect(info.storageLayout.storage[0]).to.deep.equal({ label: "_owner", slot: 0, offset: 0, type: "address" });
+        expect(info.upgrades).to.deep.equal([]);
+      }
+      expect(record.artifacts.SupplyChainToken.proxy).to.be.undefined;
+
+      // State set by the initializers lives in the proxies
+      expect(await payment.owner()).to.equal(owner.address);
+      expect(await payment.platformFeePercentage()).to.equal(1n);
+      expect(await payment.evidencePeriod()).to.equal(3n * 24n * 60n * 60n);
+      expect(await payment.supplierRegistry()).to.equal(record.contracts.SupplierRegistry);
+      expect(await escrow.evidencePeriod()).to.equal(3n * 24n * 60n * 60n);
+      expect(await reputation.getAvailableBadges()).to.have.lengthOf(5);
+    });
+
+    it("Should lock the implementations and refuse a second initialization", async function () {
+      const { record, payment, escrow, rival } = await loadFixture(deploySystemFixture);
+      const implementation = await ethers.getContractAt(
+        "SupplyChainPayment",
+        record.artifacts.SupplyChainPayment.implementation
+      );
+      const args = record.artifacts.SupplyChainPayment.constructorArgs;
+
+      await expect(payment.connect(rival).initialize(...args)).to.be.revertedWithCustomError(
+        payment,
+        "InvalidInitialization"
+      );
+      await expect(implementation.connect(rival).initialize(...args)).to.be.revertedWithCustomError(
+        payment,
+        "InvalidInitialization"
+      );
+      await expect(escrow.initialize(record.contracts.ArbitratorRegistry)).to.be.revertedWithCustomError(
+        escrow,
+        "InvalidInitialization"
+      );
+      await expect(implementation.upgradeToAndCall(rival.address, "0x")).to.be.revertedWith(
+        "Must be called through a proxy"
+      );
+      await expect(payment.proxiableUUID()).to.be.revertedWith("Must not be called through a proxy");
+      expect(await implementation.proxiableUUID()).to.equal(IMPLEMENTATION_SLOT);
+    });
+
+    it("Should only let the owner upgrade, and only to an upgradeable implementation", async function () {
+      const { record, payment, rival } = await loadFixture(deploySystemFixture);
+      const implementation = record.artifacts.SupplyChainPayment.implementation;
+
+      await expect(payment.connect(rival).upgradeToAndCall(implementation, "0x"))
+        .to.be.revertedWithCustomError(payment, "OwnableUnauthorizedAccount")
+        .withArgs(rival.address);
+      await expect(payment.upgradeToAndCall(record.contracts.SupplyChainToken, "0x")).to.be.revertedWith(
+        "Implementation is not upgradeable"
+      );
+      await expect(payment.upgradeToAndCall(record.contracts.SupplierRegistry, "0x")).to.be.revertedWith(
+        "Implementation is not upgradeable"
+      );
+    });
+
+    it("Should refuse to redeploy a proxy whose implementation changed unless forced", async function () {
+      const { record } = await loadFixture(deploySystemFixture);
+      const stale = JSON.parse(JSON.stringify(record));
+      stale.artifacts.ProductCatalog.bytecodeHash = ethers.ZeroHash;
+
+      await expect(deploy(hre, { record: stale, log: silent, only: ["ProductCatalog"] })).to.be.rejectedWith(
+        "ProductCatalog is deployed behind a proxy and its implementation changed: upgrade it with " +
+          "`npx hardhat upgrade ProductCatalog`"
+      );
+
+      const forced = await deploy(hre, {
+        record: stale,
+        log: silent,
+        only: ["ProductCatalog"],
+        force: ["ProductCatalog"],
+      });
+      expect(forced.contracts.ProductCatalog).to.not.equal(record.contracts.ProductCatalog);
+      const unchanged = await deploy(hre, { record: JSON.parse(JSON.stringify(record)), log: silent });
+      expect(unchanged.contracts).to.deep.equal(record.contracts);
+    });
+
+    it("Should refuse to keep a proxy whose initializer arguments changed with a forced dependency", async function () {
+      const { record } = await loadFixture(deploySystemFixture);
+      let saved;
+      const redeploy = deploy(hre, {
+        record: JSON.parse(JSON.stringify(record)),
+        log: silent,
+        save: (snapshot) => (saved = JSON.parse(JSON.stringify(snapshot))),
+        only: ["SupplierRegistry"],
+        force: ["SupplierRegistry"],
+      });
+
+      // SupplyChainPayment is not requested, but depends on the forced SupplierRegistry
+      await expect(redeploy).to.be.rejectedWith(
+        "SupplyChainPayment is deployed behind a proxy initialized with other arguments " +
+          `(argument 0: ${record.contracts.SupplierRegistry} -> `
+      );
+      expect(saved.contracts.SupplierRegistry).to.not.equal(record.contracts.SupplierRegistry);
+      expect(saved.contracts.SupplyChainPayment).to.equal(record.contracts.SupplyChainPayment);
+    });
+  });
+
+  describe("Upgrading with live orders", function () {
+    it("Should keep orders, escrows and balances across an upgrade", async function () {
+      const { record, payment, escrow, token, buyer, supplier, rival } = await loadLiveOrders();
+      const address = await payment.getAddress();
+      const previous = record.artifacts.SupplyChainPayment.implementation;
+      const orders = await Promise.all([0, 1, 2].map((id) => payment.orders(id)));
+      const balance = await ethers.provider.getBalance(address);
+      const tokens = await token.balanceOf(address);
+      const fees = await payment.totalPlatformFees();
+
+      const saved = [];
+      const results = await upgrade(hre, record, {
+        only: ["SupplyChainPayment"],
+        implementation: "SupplyChainPaymentV2",
+        log: silent,
+        save: (snapshot) => saved.push(JSON.parse(JSON.stringify(snapshot))),
+      });
+
+      const info = record.artifacts.SupplyChainPayment;
+      expect(results.SupplyChainPayment).to.deep.equal({ status: "upgraded", implementation: info.implementation });
+      expect(info.implementation).to.not.equal(previous);
+      expect(await implementationOf(address)).to.equal(info.implementation);
+      expect(info.contract).to.equal("SupplyChainPaymentV2");
+      expect(info.storageLayout).to.deep.equal(await storageLayoutOf(hre, "SupplyChainPaymentV2"));
+      expect(info.upgrades).to.have.lengthOf(1);
+      expect(info.upgrades[0]).to.include({
+        contract: "SupplyChainPayment",
+        implementation: previous,
+        replacedBy: info.implementation,
+      });
+      expect(saved).to.have.lengthOf(1);
+      expect(record.contracts.SupplyChainPayment).to.equal(address);
+
+      // Same address, same state, new code
+      const upgraded = await ethers.getContractAt("SupplyChainPaymentV2", address);
+      expect(await upgraded.version()).to.equal("2");
+      for (const [id, order] of orders.entries()) {
+        expect(await upgraded.orders(id)).to.deep.equal(order);
+      }
+      expect(await upgraded.getMilestoneCount(0)).to.equal(2n);
+      expect((await upgraded.getMilestone(0, 0)).isApproved).to.be.true;
+      expect(await ethers.provider.getBalance(address)).to.equal(balance);
+      expect(await token.balanceOf(address)).to.equal(tokens);
+      expect(await upgraded.totalPlatformFees()).to.equal(fees);
+      expect(await upgraded.owner()).to.equal(record.deployer);
+      expect(await upgraded.platformFeePercentage()).to.equal(1n);
+      await upgraded.setReleaseNote("Milestone deadlines");
+      expect(await upgraded.releaseNote()).to.equal("Milestone deadlines");
+
+      // Live orders carry on: the last ETH milestone pays the rest of the order
+      await upgraded.connect(supplier).completeMilestone(0, 1);
+      await expect(upgraded.connect(buyer).approveMilestone(0, 1)).to.changeEtherBalances(
+        [address, supplier],
+        [-ethers.parseEther("0.594"), ethers.parseEther("0.594")]
+      );
+      expect((await upgraded.orders(0)).status).to.equal(OrderStatus.Completed);
+
+      // ...signatures made for the proxy stay valid (same EIP-712 domain)
+      await upgraded.connect(rival).completeMilestone(1, 0);
+      const signed = await signBuyerAction(buyer, upgraded, "ApproveMilestone", { orderId: 1, milestoneIndex: 0 });
+      const { method, args } = buyerActionCall(signed);
+      await upgraded.connect(supplier)[method](...args);
+      expect(await token.balanceOf(rival.address)).to.equal(ethers.parseEther("297"));
+
+      // ...and new orders start where the counter was
+      await upgraded.connect(buyer).addMilestone(2, "Delivery", 100);
+      await upgraded.connect(buyer).startOrder(2);
+      expect((await upgraded.orders(2)).status).to.equal(OrderStatus.InProgress);
+      expect(await upgraded.orderCounter()).to.equal(3n);
+
+      // The other proxies were left alone
+      expect((await escrow.escrows(1)).status).to.equal(EscrowStatus.Funded);
+    });
+
+    it("Should only send upgrades for contracts whose code changed", async function () {
+      const { record } = await loadLiveOrders();
+      const blockBefore = await ethers.provider.getBlockNumber();
+
+      const results = await upgrade(hre, record, { log: silent });
+      expect(Object.keys(results)).to.deep.equal(PROXIED);
+      for (const name of PROXIED) {
+        expect(results[name]).to.deep.equal({
+          status: "unchanged",
+          implementation: record.artifacts[name].implementation,
+        });
+      }
+
+      const checked = await upgrade(hre, record, {
+        only: ["SupplyChainPayment"],
+        implementation: "SupplyChainPaymentV2",
+        check: true,
+        log: silent,
+      });
+      expect(checked.SupplyChainPayment.status).to.equal("compatible");
+      expect(record.artifacts.SupplyChainPayment.contract).to.equal("SupplyChainPayment");
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    });
+
+    it("Should refuse an implementation whose storage layout is incompatible", async function () {
+      const { record, registry, supplier } = await loadLiveOrders();
+      const before = JSON.stringify(record);
+      const blockBefore = await ethers.provider.getBlockNumber();
+
+      await expect(
+        upgrade(hre, record, { only: ["SupplierRegistry"], implementation: "SupplierRegistryShifted", log: silent })
+      ).to.be.rejectedWith(
+        /SupplierRegistryShifted cannot replace the implementation of SupplierRegistry:\n {2}- `_owner` moved from slot 0 to slot 1/
+      );
+      expect(JSON.stringify(record)).to.equal(before);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+      expect((await registry.suppliers(supplier.address)).businessName).to.equal("ACME Manufacturing");
+
+      await expect(upgrade(hre, record, { only: ["SupplyChainToken"], log: silent })).to.be.rejectedWith(
+        "SupplyChainToken is not deployed behind a proxy"
+      );
+      await expect(upgrade(hre, record, { implementation: "SupplyChainPaymentV2", log: silent })).to.be.rejectedWith(
+        "An implementation can only be given for a single contract"
+      );
+    });
+  });
+
+  describe("Storage layout rules", function () {
+    const layout = (storage, types = {}) => ({
+      storage: storage.map(([label, slot, type, offset = 0]) => ({ label, slot, offset, type })),
+      types: {
+        uint256: { encoding: "inplace", bytes: 32 },
+        address: { encoding: "inplace", bytes: 20 },
+        "contract SupplierRegistry": { encoding: "inplace", bytes: 20 },
+        bool: { encoding: "inplace", bytes: 1 },
+        ...types,
+      },
+    });
+    const struct = (label, members) => ({
+      [label]: {
+        encoding: "inplace",
+        bytes: 32 * members.length,
+        members: members.map(([name, slot, type]) => ({ label: name, slot, offset: 0, type })),
+      },
+    });
+    const mapping = (value) => ({
+      [`mapping(uint256 => ${value})`]: { encoding: "mapping", bytes: 32, key: "uint256", value },
+    });
+    const order = [
+      ["buyer", 0, "address"],
+      ["total", 1, "uint256"],
+    ];
+    const ORDERS = "mapping(uint256 => struct Order)";
+
+    it("Should accept appended variables and appended members of mapped structs", function () {
+      const previous = layout(
+        [
+          ["owner", 0, "address"],
+          ["orders", 1, ORDERS],
+        ],
+        { ...struct("struct Order", order), ...mapping("struct Order") }
+      );
+      const current = layout(
+        [
+          ["owner", 0, "contract SupplierRegistry"],
+          ["paused", 0, "bool", 20],
+          ["orders", 1, ORDERS],
+          ["fee", 2, "uint256"],
+        ],
+        { ...struct("struct Order", [...order, ["deadline", 2, "uint256"]]), ...mapping("struct Order") }
+      );
+      expect(compareLayouts(previous, current)).to.deep.equal([]);
+    });
+
+    it("Should report moved, removed, replaced and retyped variables", function () {
+      const previous = layout(
+        [
+          ["owner", 0, "address"],
+          ["fee", 1, "uint256"],
+          ["count", 2, "uint256"],
+          ["limit", 3, "uint256"],
+          ["orders", 4, ORDERS],
+          ["current", 5, "struct Order"],
+          ["spare", 7, "uint256"],
+        ],
+        { ...struct("struct Order", order), ...mapping("struct Order") }
+      );
+      const current = layout(
+        [
+          ["owner", 0, "uint256"],
+          ["count", 1, "uint256"],
+          ["cap", 3, "uint256"],
+          ["orders", 4, ORDERS],
+          ["current", 5, "struct Order"],
+        ],
+        {
+          ...struct("struct Order", [
+            ["total", 0, "uint256"],
+            ["buyer", 1, "address"],
+            ["deadline", 2, "uint256"],
+          ]),
+          ...mapping("struct Order"),
+        }
+      );
+
+      expect(compareLayouts(previous, current)).to.deep.equal([
+        "`owner` type changed from address to uint256",
+        "`fee` at slot 1 was replaced by `count`",
+        "`count` moved from slot 2 to slot 1",
+        "`limit` at slot 3 was replaced by `cap`",
+        "`orders` struct Order: `buyer` moved from slot 0 to slot 1",
+        "`orders` struct Order: `total` moved from slot 1 to slot 0",
+        "`current` struct Order changed size from 64 to 96 bytes",
+        "`spare` was removed",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const { expect } = require("chai");
+const http = require("http");
+const hre = require("hardhat");
+const { deploy } = require("../lib/deployment");
+const { verifyDeployment, constructorArgumentsFor } = require("../lib/deployment/verify");
+
+const silent = () => {};
+
+/**
+ * hardhat-verify reports progress on the console; keep the test output readable
+ */
+async function quietly(fn) {
+  const { log, warn } = console;
+  console.log = silent;
+  console.warn = silent;
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+/**
+ * Minimal stand-in for the BaseScan contract API
+ * `script` is a queue of responses for `verifysourcecode` requests
+ */
+function startExplorer() {
+  const state = { verified: new Set(), submissions: [], script: [] };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const query = new URL(req.url, "http://localhost").searchParams;
+      const params = req.method === "POST" ? new URLSearchParams(body) : query;
+      const reply = (json) => {
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify(json));
+      };
+
+      switch (params.get("action")) {
+        case "getsourcecode": {
+          const address = params.get("address").toLowerCase();
+          return reply({
+            status: "1",
+            message: "OK",
+            result: [{ SourceCode: state.verified.has(address) ? "contract X {}" : "" }],
+          });
+        }
+        case "verifysourcecode": {
+          const address = params.get("contractaddress").toLowerCase();
+          state.submissions.push({
+            address,
+            contractName: params.get("contractname"),
+            constructorArguments: params.get("constructorArguements"),
+          });
+          const next = state.script.shift() || "ok";
+          if (next === "rate-limit") {
+            return reply({ status: "0", message: "NOTOK", result: "Max rate limit reached" });
+          }
+          if (next === "already-verified") {
+            return reply({ status: "0", message: "NOTOK", result: "Contract source code already verified" });
+          }
+          state.verified.add(address);
+          return reply({ status: "1", message: "OK", result: `guid-${address}` });
+        }
+        case "checkverifystatus":
+          return reply({ status: "1", message: "OK", result: "Pass - Verified" });
+        default:
+          res.statusCode = 400;
+          return reply({ status: "0", message: "NOTOK", result: "Unknown action" });
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, state, port: server.address().port }));
+  });
+}
+
+describe("Deployment Verification", function () {
+  this.timeout(60000);
+
+  let explorer;
+  let originalEtherscan;
+  let record;
+
+  before(async function () {
+    explorer = await startExplorer();
+    originalEtherscan = hre.config.etherscan;
+    hre.config.etherscan = {
+      ...originalEtherscan,
+      apiKey: { hardhat: "test-key" },
+      customChains: [
+        {
+          network: "hardhat",
+          chainId: 31337,
+          urls: {
+            apiURL: `http://127.0.0.1:${explorer.port}/api`,
+            browserURL: "http://explorer.local",
+          },
+        },
+      ],
+    };
+  });
+
+  after(async function () {
+    hre.config.etherscan = originalEtherscan;
+    await new Promise((done) => explorer.server.close(done));
+  });
+
+  beforeEach(async function () {
+    explorer.state.verified.clear();
+    explorer.state.submissions.length = 0;
+    explorer.state.script.length = 0;
+
+    record = await deploy(hre, {
+      log: silent,
+      manifest: [{ name: "SupplyChainToken" }, { name: "QualityInspector" }],
+    });
+  });
+
+  it("Should verify every contract and record the status", async function () {
+    let saves = 0;
+    const results = await quietly(() => verifyDeployment(hre, record, {
+      log: silent,
+      save: () => saves++,
+    }));
+
+    expect(Object.keys(results)).to.deep.equal(["SupplyChainToken", "QualityInspector"]);
+    expect(results.SupplyChainToken.status).to.equal("verified");
+    expect(record.artifacts.QualityInspector.verification.status).to.equal("verified");
+    expect(record.artifacts.QualityInspector.verification.url).to.equal(
+      `http://explorer.local/address/${record.contracts.QualityInspector}#code`
+    );
+    expect(saves).to.equal(2);
+    expect(explorer.state.submissions.map((s) => s.contractName)).to.deep.equal([
+      "contracts/SupplyChainToken.sol:SupplyChainToken",
+      "contracts/QualityInspector.sol:QualityInspector",
+    ]);
+  });
+
+  it("Should retry on rate limits", async function () {
+    explorer.state.script.push("rate-limit", "rate-limit");
+    const waits = [];
+
+    const results = await quietly(() => verifyDeployment(hre, record, {
+      only: ["SupplyChainToken"],
+      log: silent,
+      wait: async (ms) => waits.push(ms),
+      retryDelayMs: 10,
+    }));
+
+    expect(results.SupplyChainToken).to.include({ status: "verified", attempts: 3 });
+    expect(waits).to.deep.equal([10, 20]);
+  });
+
+  it("Should give up after the configured number of retries", async function () {
+    explorer.state.script.push("rate-limit", "rate-limit", "rate-limit");
+
+    const results = await quietly(() => verifyDeployment(hre, record, {
+      only: ["SupplyChainToken"],
+      log: silent,
+      wait: async () => {},
+      retries: 2,
+    }));
+
+    expect(results.SupplyChainToken.status).to.equal("failed");
+    expect(results.SupplyChainToken.attempts).to.equal(2);
+    expect(results.SupplyChainToken.message).to.match(/rate limit/);
+  });
+
+  it("Should treat already verified contracts as verified", async function () {
+    explorer.state.verified.add(record.contracts.SupplyChainToken.toLowerCase());
+    explorer.state.script.push("already-verified");
+
+    const results = await quietly(() => verifyDeployment(hre, record, { log: silent }));
+
+    expect(results.SupplyChainToken).to.include({ status: "verified", message: "Already verified" });
+    expect(results.QualityInspector).to.include({ status: "verified", message: "Already verified" });
+    expect(explorer.state.submissions).to.have.lengthOf(1);
+  });
+
+  it("Should skip contracts recorded as verified unless forced", async function () {
+    await quietly(() => verifyDeployment(hre, record, { log: silent }));
+    const submitted = explorer.state.submissions.length;
+
+    await quietly(() => verifyDeployment(hre, record, { log: silent }));
+    expect(explorer.state.submissions).to.have.lengthOf(submitted);
+
+    explorer.state.verified.clear();
+    await quietly(() => verifyDeployment(hre, record, { log: silent, force: true }));
+    expect(explorer.state.submissions).to.have.lengthOf(submitted * 2);
+  });
+
+  it("Should verify both the implementation and the proxy of proxied contracts", async function () {
+    const proxied = await deploy(hre, { log: silent, manifest: [{ name: "SupplierRegistry", proxy: "uups" }] });
+    const info = proxied.artifacts.SupplierRegistry;
+
+    const results = await quietly(() => verifyDeployment(hre, proxied, { log: silent }));
+
+    expect(results.SupplierRegistry.status).to.equal("verified");
+    expect(info.verification.url).to.equal(`http://explorer.local/address/${info.implementation}#code`);
+    expect(info.proxyVerification.url).to.equal(
+      `http://explorer.local/address/${proxied.contracts.SupplierRegistry}#code`
+    );
+    expect(explorer.state.submissions.map((s) => [s.address, s.contractName])).to.deep.equal([
+      [info.implementation.toLowerCase(), "contracts/SupplierRegistry.sol:SupplierRegistry"],
+      [proxied.contracts.SupplierRegistry.toLowerCase(), "contracts/SupplyChainProxy.sol:SupplyChainProxy"],
+    ]);
+    const encoded = hre.ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes"], info.proxyConstructorArgs);
+    expect(explorer.state.submissions[1].constructorArguments).to.equal(encoded.slice(2));
+  });
+
+  it("Should rebuild constructor arguments for address-only records", function () {
+    const legacy = { deployer: "0x1", contracts: { Registry: "0xAAA", Payment: "0xBBB" } };
+    const manifest = [
+      { name: "Registry" },
+      { name: "Payment", args: [{ $ref: "address", name: "Registry" }, 5n] },
+    ];
+
+    expect(constructorArgumentsFor("Payment", legacy, manifest)).to.deep.equal(["0xAAA", "5"]);
+    expect(constructorArgumentsFor("Registry", legacy, manifest)).to.deep.equal([]);
+  });
+});
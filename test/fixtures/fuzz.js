@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+
+/**
+ * @title Stateful fuzzing harness
+ * @dev Drives a contract through random sequences of actions, checking each
+ *      call against a model of what it should do and the invariants after
+ *      every step:
+ *
+ *        await fuzz({ title: "payment", setup, actions, invariants });
+ *
+ * Each run starts from `setup(random)`, which returns the state (contracts,
+ * actors and the model) handed to every action and invariant check. An action
+ * is a weighted generator returning the call to make, or null when it has
+ * nothing to do in the current state:
+ *
+ *   {
+ *     label: "approve 3/1 by buyer",         // shown when a run fails
+ *     send: () => contract.connect(...).f(), // the transaction (or null, e.g. to move time)
+ *     revert: "Reason",                      // expected revert reason, or
+ *     revert: { contract, error },           //   custom error, or none
+ *     apply: async (receipt) => {...},       // model update after a success
+ *   }
+ *
+ * Runs are reproducible: the default seed is fixed so the suite is stable,
+ * FUZZ_SEED explores other sequences or replays a failing one (printed with
+ * the failure), and FUZZ_RUNS and FUZZ_STEPS make the search longer.
+ */
+
+const DEFAULT_SEED = 1;
+const DEFAULT_RUNS = 3;
+const DEFAULT_STEPS = 100;
+
+/// @dev How many recent steps a failure reports
+const HISTORY = 12;
+
+/**
+ * @notice Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed 32-bit seed
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+  const random = {
+    next,
+    /// @dev Integer in [min, max]
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    /// @dev bigint in [min, max]
+    bigint: (min, max) => min + (BigInt(Math.floor(next() * 2 ** 52)) * (max - min + 1n)) / 2n ** 52n,
+    chance: (probability) => next() < probability,
+    pick: (items) => items[Math.floor(next() * items.length)],
+    /// @dev Key of `weights` ({ key: weight }) drawn in proportion to its weight
+    weighted: (weights) => {
+      const entries = Object.entries(weights);
+      let roll = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) {
+          return key;
+        }
+      }
+      return entries[entries.length - 1][0];
+    },
+  };
+  return random;
+}
+
+function envNumber(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative integer (got ${value})`);
+  }
+  return number;
+}
+
+async function execute(action) {
+  if (typeof action.revert === "string") {
+    await expect(action.send()).to.be.revertedWith(action.revert);
+  } else if (action.revert) {
+    await expect(action.send()).to.be.revertedWithCustomError(action.revert.contract, action.revert.error);
+  } else {
+    const tx = await action.send();
+    const receipt = tx && (await tx.wait());
+    if (action.apply) {
+      await action.apply(receipt);
+    }
+  }
+}
+
+/**
+ * @notice Runs the random action sequences
+ * @param {Object} options
+ * @param {string} options.title Name used in failure reports
+ * @param {function(Object): Promise<Object>} options.setup Called with the run's random generator
+ * @param {Object<string, {weight: number, generate: Function}>} options.actions
+ *        `generate(state, random)` returns an action (see above) or null
+ * @param {function(Object): Promise<void>} options.invariants Throws when the state is broken
+ * @param {number} [options.runs] Default FUZZ_RUNS or 3
+ * @param {number} [options.steps] Default FUZZ_STEPS or 100
+ * @param {number} [options.seed] Default FUZZ_SEED or 1; run `i` uses `seed + i`
+ * @return {Promise<{seed: number, counts: Object}>} Actions made (or expected to revert) by name
+ */
+async function fuzz({ title, setup, actions, invariants, runs, steps, seed }) {
+  runs = runs ?? envNumber("FUZZ_RUNS", DEFAULT_RUNS);
+  steps = steps ?? envNumber("FUZZ_STEPS", DEFAULT_STEPS);
+  seed = seed ?? envNumber("FUZZ_SEED", DEFAULT_SEED);
+  const weights = Object.fromEntries(Object.entries(actions).map(([name, { weight }]) => [name, weight]));
+  const counts = {};
+
+  for (let run = 0; run < runs; run++) {
+    const random = createRandom(seed + run);
+    const history = [];
+    let step = 0;
+    try {
+      const state = await setup(random);
+      await invariants(state);
+      for (; step < steps; step++) {
+        let name;
+        let action = null;
+        // Actions with nothing to do in this state are drawn again
+        for (let attempt = 0; !action && attempt < 20; attempt++) {
+          name = random.weighted(weights);
+          action = await actions[name].generate(state, random);
+        }
+        if (!action) {
+          continue;
+        }
+        const reverts = action.revert ? ` (reverts: ${action.revert.error || action.revert})` : "";
+        history.push(`  ${step}: ${action.label}${reverts}`);
+        await execute(action);
+        counts[name] = (counts[name] || 0) + 1;
+        await invariants(state);
+      }
+    } catch (error) {
+      error.message =
+        `${title} fuzz run ${run} failed at step ${step} (replay with FUZZ_SEED=${seed}):\n` +
+        `${history.slice(-HISTORY).join("\n")}\n${error.message}`;
+      throw error;
+    }
+  }
+  return { seed, counts };
+}
+
+module.exports = {
+  createRandom,
+  fuzz,
+};
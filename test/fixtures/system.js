@@ -0,0 +1,89 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deploy } = require("../../lib/deployment");
+
+/**
+ * @title Full-system fixture
+ * @dev Deploys every contract of the manifest through the deployment engine
+ *      (so post-deploy calls such as the default customs office run too) and
+ *      seeds a small marketplace. Use with loadFixture:
+ *
+ *        const system = await loadFixture(deploySystemFixture);
+ *
+ * Seed data:
+ *  - `supplier` (ACME Manufacturing, Electronics) and `rival` (Globex Packaging,
+ *    Packaging) registered and verified in SupplierRegistry
+ *  - catalog: ACME's sensor and control board, Globex's shipping crate
+ *  - `carrier` registered and verified in LogisticsProvider, and authorized on
+ *    ShippingTracker
+ *  - 10,000 SCT minted to `buyer`
+ */
+
+const PRODUCTS = {
+  sensor: { name: "Industrial Sensor", category: "Electronics", price: ethers.parseEther("0.01"), inventory: 500n },
+  board: { name: "Control Board", category: "Electronics", price: ethers.parseEther("0.05"), inventory: 120n },
+  crate: { name: "Shipping Crate", category: "Packaging", price: ethers.parseEther("0.002"), inventory: 2000n },
+};
+
+const BUYER_TOKENS = ethers.parseEther("10000");
+
+async function deploySystemFixture() {
+  const [owner, buyer, supplier, rival, carrier] = await ethers.getSigners();
+  const record = await deploy(hre, { log: () => {} });
+  const at = (name) => ethers.getContractAt(record.artifacts[name].contract, record.contracts[name]);
+
+  const system = {
+    record,
+    owner,
+    buyer,
+    supplier,
+    rival,
+    carrier,
+    token: await at("SupplyChainToken"),
+    registry: await at("SupplierRegistry"),
+    reputation: await at("ReputationSystem"),
+    catalog: await at("ProductCatalog"),
+    payment: await at("SupplyChainPayment"),
+    escrow: await at("PaymentEscrow"),
+    shipping: await at("ShippingTracker"),
+    logistics: await at("LogisticsProvider"),
+    insurance: await at("InsuranceEscrow"),
+    customsRegistry: await at("CustomsRegistry"),
+    customs: await at("CustomsCompliance"),
+    products: {},
+  };
+  const { registry, catalog, logistics, shipping, token } = system;
+
+  const suppliers = [
+    [supplier, "ACME Manufacturing", "Electronics", ["sensor", "board"]],
+    [rival, "Globex Packaging", "Packaging", ["crate"]],
+  ];
+  for (const [account, name, category, products] of suppliers) {
+    const email = `sales@${name.split(" ")[0].toLowerCase()}.example`;
+    await registry.connect(account).registerSupplier(name, email, "1 Harbour Road", `ipfs://${name}`);
+    await registry.verifySupplier(account.address);
+    await registry.addCategory(account.address, category);
+
+    for (const key of products) {
+      const product = PRODUCTS[key];
+      const id = await catalog.productCounter();
+      await catalog
+        .connect(account)
+        .addProduct(product.name, `${product.name} by ${name}`, "", product.category, product.price, product.inventory);
+      system.products[key] = { id, ...product };
+    }
+  }
+
+  await logistics.registerProvider("FastFreight", "Ocean", carrier.address);
+  await logistics.verifyProvider(await logistics.addressToProviderId(carrier.address));
+  await shipping.setCarrier(carrier.address, true);
+  await token.mint(buyer.address, BUYER_TOKENS);
+
+  return system;
+}
+
+module.exports = {
+  PRODUCTS,
+  BUYER_TOKENS,
+  deploySystemFixture,
+};
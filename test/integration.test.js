@@ -1,122 +1,187 @@
 const { expect } = require("chai");
-const hre = require("hardhat");
-const { ethers } = hre;
-
-describe.skip("SupplyChainPayment Integration Tests", function () {
-  let token, supplierRegistry, reputationSystem, productCatalog, payment;
-  let owner, buyer, supplier1, supplier2;
-  
-  before(async function () {
-    [owner, buyer, supplier1, supplier2] = await ethers.getSigners();
-    
-    // Deploy all contracts
-    const Token = await ethers.getContractFactory("SupplyChainToken");
-    token = await Token.deploy();
-    
-    const SupplierRegistry = await ethers.getContractFactory("SupplierRegistry");
-    supplierRegistry = await SupplierRegistry.deploy();
-    
-    const ReputationSystem = await ethers.getContractFactory("ReputationSystem");
-    reputationSystem = await ReputationSystem.deploy();
-    
-    const ProductCatalog = await ethers.getContractFactory("ProductCatalog");
-    productCatalog = await ProductCatalog.deploy();
-    
-    const Payment = await ethers.getContractFactory("SupplyChainPayment");
-    payment = await Payment.deploy(
-      await token.getAddress(),
-      await supplierRegistry.getAddress(),
-      await reputationSystem.getAddress()
-    );
-  });
-  
-  describe("End-to-End Order Flow", function () {
-    it("Should complete full order lifecycle", async function () {
-      // 1. Register supplier
-      await supplierRegistry.registerSupplier(
-        "Supplier Inc",
-        "Manufacturing",
-        supplier1.address
-      );
-      
-      await supplierRegistry.verifySupplier(1);
-      
-      // 2. Add product to catalog
-      await productCatalog.addProduct(
-        "Widget A",
-        "High quality widget",
-        ethers.parseEther("100"),
-        supplier1.address
-      );
-      
-      // 3. Mint tokens to buyer
-      await token.mint(buyer.address, ethers.parseEther("1000"));
-      
-      // 4. Buyer approves payment contract
-      await token.connect(buyer).approve(
-        await payment.getAddress(),
-        ethers.parseEther("1000")
-      );
-      
-      // 5. Create order
-      await payment.connect(buyer).createOrder(
-        supplier1.address,
-        ethers.parseEther("500"),
-        2 // 2 milestones
-      );
-      
-      // 6. Complete milestones
-      await payment.connect(buyer).completeMilestone(1, 1);
-      await payment.connect(buyer).completeMilestone(1, 2);
-      
-      // 7. Verify supplier received payment
-      const supplierBalance = await token.balanceOf(supplier1.address);
-      expect(supplierBalance).to.equal(ethers.parseEther("500"));
-      
-      // 8. Check reputation increased
-      const reputation = await reputationSystem.getReputation(supplier1.address);
-      expect(reputation.score).to.be.gt(0);
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deploySystemFixture, BUYER_TOKENS } = require("./fixtures/system");
+const { quotePremium } = require("..");
+
+describe("Integration", function () {
+  const OrderStatus = { Created: 0n, InProgress: 1n, Completed: 2n, Cancelled: 3n, Disputed: 4n };
+  const ShipmentStatus = { InTransit: 0n, Delayed: 1n, Delivered: 2n, Lost: 3n };
+
+  /// Creates and starts an order in SupplyChainPayment, returning its ID
+  async function placeOrder(system, supplier, value, milestones) {
+    const { payment, buyer } = system;
+    const orderId = await payment.orderCounter();
+    await payment.connect(buyer).createOrder(supplier.address, "Integration order", { value });
+    for (const [description, percentage] of milestones) {
+      await payment.connect(buyer).addMilestone(orderId, description, percentage);
+    }
+    await payment.connect(buyer).startOrder(orderId);
+    return orderId;
+  }
+
+  describe("End-to-end order flow", function () {
+    it("Should take an order from the catalog to a supplier review", async function () {
+      const system = await loadFixture(deploySystemFixture);
+      const { buyer, supplier, rival, carrier, catalog, payment, shipping, customs, logistics, reputation } = system;
+
+      // Browse the catalog
+      const electronics = await catalog.getProductsByCategory("Electronics");
+      expect(electronics).to.deep.equal([system.products.sensor.id, system.products.board.id]);
+      const board = await catalog.getProduct(system.products.board.id);
+      expect(board.supplier).to.equal(supplier.address);
+      expect(await catalog.isInStock(system.products.board.id)).to.be.true;
+
+      // Order 20 boards with three payment milestones
+      const quantity = 20n;
+      const value = board.price * quantity;
+      const orderId = await placeOrder(system, supplier, value, [
+        ["Production", 30],
+        ["Shipment", 40],
+        ["Delivery", 30],
+      ]);
+      await catalog.connect(supplier).decreaseInventory(system.products.board.id, quantity);
+      expect((await catalog.getProduct(system.products.board.id)).inventory).to.equal(100n);
+
+      const supplierStart = await ethers.provider.getBalance(supplier.address);
+      await payment.connect(supplier).completeMilestone(orderId, 0);
+      await payment.connect(buyer).approveMilestone(orderId, 0);
+
+      // Ship through customs to the buyer; the shipment is bound to the "Delivery" milestone
+      const eta = (await time.latest()) + 7 * 24 * 60 * 60;
+      await shipping
+        .connect(supplier)
+        .createShipment(orderId, 2, carrier.address, supplier.address, buyer.address, eta, "TRK-BOARD-1");
+      const shipmentId = await shipping.trackingToShipmentId("TRK-BOARD-1");
+      await payment.connect(supplier).completeMilestone(orderId, 1);
+      await payment.connect(buyer).approveMilestone(orderId, 1);
+
+      await shipping.connect(carrier).updateStatus(shipmentId, ShipmentStatus.Delayed);
+      await customs.fileDeclaration(shipmentId, "CN", "US", value, "8537.10", ["invoice.pdf", "packing-list.pdf"]);
+      await customs.clearCustoms(1, "Officer Diaz");
+      expect((await customs.getDeclaration(1)).isCleared).to.be.true;
+      await shipping.connect(carrier).updateStatus(shipmentId, ShipmentStatus.InTransit);
+
+      await time.increase(3 * 24 * 60 * 60);
+      await expect(shipping.connect(carrier).markDelivered(shipmentId))
+        .to.emit(shipping, "ShipmentDelivered")
+        .and.to.emit(payment, "MilestoneCompleted");
+      const shipment = await shipping.getShipmentByTracking("TRK-BOARD-1");
+      expect(shipment.status).to.equal(ShipmentStatus.Delivered);
+      expect(shipment.actualArrival).to.be.lte(shipment.estimatedArrival);
+
+      const providerId = await logistics.addressToProviderId(carrier.address);
+      await logistics.connect(carrier).recordShipment(providerId, shipment.actualArrival <= shipment.estimatedArrival);
+      expect(await logistics.getOnTimeRate(providerId)).to.equal(100n);
+
+      // The delivery completed the final milestone; the buyer's approval completes the order
+      expect((await payment.getMilestone(orderId, 2)).isCompleted).to.be.true;
+      await expect(payment.connect(buyer).approveMilestone(orderId, 2)).to.emit(payment, "OrderCompleted");
+
+      const order = await payment.getOrder(orderId);
+      expect(order.status).to.equal(OrderStatus.Completed);
+      expect(order.paidAmount).to.equal(value);
+      const fees = value / 100n;
+      expect(await payment.totalPlatformFees()).to.equal(fees);
+      expect((await payment.getSupplierStats(supplier.address)).totalAmountEarned).to.equal(value - fees);
+      // The supplier paid gas for its own transactions
+      const supplierEnd = await ethers.provider.getBalance(supplier.address);
+      expect(supplierEnd - supplierStart).to.be.closeTo(value - fees, ethers.parseEther("0.001"));
+
+      // Only the buyer of a completed order can review it
+      await expect(
+        reputation.connect(rival).submitReview(supplier.address, orderId, 1, "Competitor review")
+      ).to.be.revertedWith("Only the buyer can review");
+      await reputation.connect(buyer).submitReview(supplier.address, orderId, 5, "Boards arrived early");
+      const sensors = await placeOrder(system, supplier, system.products.sensor.price, [["Delivery", 100]]);
+      await expect(
+        reputation.connect(buyer).submitReview(supplier.address, sensors, 4, "Good packaging")
+      ).to.be.revertedWith("Order not completed");
+      await payment.connect(supplier).completeMilestone(sensors, 0);
+      await payment.connect(buyer).approveMilestone(sensors, 0);
+      await reputation.connect(buyer).submitReview(supplier.address, sensors, 4, "Good packaging");
+      await reputation.verifyReview(0);
+      const [totalReviews, averageRating, reviewIds] = await reputation.getSupplierReputation(supplier.address);
+      expect(totalReviews).to.equal(2n);
+      expect(averageRating).to.equal(450n);
+      expect(reviewIds).to.deep.equal([0n, 1n]);
+      expect((await reputation.getReview(0)).isVerified).to.be.true;
+      await expect(
+        reputation.connect(buyer).submitReview(supplier.address, orderId, 1, "Changed my mind")
+      ).to.be.revertedWith("Already reviewed this order");
+
+      await payment.withdrawPlatformFees();
+      expect(await ethers.provider.getBalance(await payment.getAddress())).to.equal(0n);
     });
   });
-  
-  describe("Multi-Supplier Scenario", function () {
-    it("Should handle multiple concurrent orders", async function () {
-      // Register second supplier
-      await supplierRegistry.registerSupplier(
-        "Supplier Two",
-        "Logistics",
-        supplier2.address
-      );
-      
-      await supplierRegistry.verifySupplier(2);
-      
-      // Mint more tokens
-      await token.mint(buyer.address, ethers.parseEther("2000"));
-      await token.connect(buyer).approve(
-        await payment.getAddress(),
-        ethers.parseEther("2000")
-      );
-      
-      // Create orders with both suppliers
-      await payment.connect(buyer).createOrder(
-        supplier1.address,
-        ethers.parseEther("300"),
-        1
-      );
-      
-      await payment.connect(buyer).createOrder(
-        supplier2.address,
-        ethers.parseEther("400"),
-        1
+
+  describe("Multi-supplier scenario", function () {
+    it("Should run concurrent orders with different suppliers and settle them independently", async function () {
+      const system = await loadFixture(deploySystemFixture);
+      const { owner, buyer, supplier, rival, payment } = system;
+
+      const sensors = await placeOrder(system, supplier, ethers.parseEther("1"), [["Delivery", 100]]);
+      const crates = await placeOrder(system, rival, ethers.parseEther("0.5"), [
+        ["Half", 50],
+        ["Rest", 50],
+      ]);
+      expect(await payment.getBuyerOrders(buyer.address)).to.deep.equal([sensors, crates]);
+
+      await payment.connect(rival).completeMilestone(crates, 0);
+      await payment.connect(buyer).approveMilestone(crates, 0);
+      await payment.connect(supplier).completeMilestone(sensors, 0);
+      await payment.connect(buyer).approveMilestone(sensors, 0);
+
+      // The second crate delivery is disputed and refunded
+      await payment.connect(buyer).raiseDispute(crates, "Crates arrived damaged");
+      await time.increase(await payment.evidencePeriod());
+      const refund = ethers.parseEther("0.25");
+      await expect(payment.connect(owner).resolveDispute(crates, 0)).to.changeEtherBalance(buyer, refund);
+
+      expect((await payment.getOrder(sensors)).status).to.equal(OrderStatus.Completed);
+      expect((await payment.getOrder(crates)).status).to.equal(OrderStatus.Cancelled);
+      expect((await payment.getSupplierStats(supplier.address)).totalAmountEarned).to.equal(ethers.parseEther("0.99"));
+      expect((await payment.getSupplierStats(rival.address)).totalAmountEarned).to.equal(ethers.parseEther("0.2475"));
+      expect(await payment.totalPlatformFees()).to.equal(ethers.parseEther("0.0125"));
+    });
+
+    it("Should pay a supplier in SCT through escrow and insure the shipment", async function () {
+      const system = await loadFixture(deploySystemFixture);
+      const { owner, buyer, rival, token, escrow, shipping, insurance, carrier } = system;
+      const crates = await placeOrder(system, rival, system.products.crate.price * 10n, [["Crates", 100]]);
+      expect(await token.balanceOf(buyer.address)).to.equal(BUYER_TOKENS);
+
+      // Pay for crates in SCT through the escrow
+      const amount = ethers.parseEther("250");
+      await escrow.connect(buyer).createEscrow(7, rival.address, await token.getAddress(), amount, 0);
+      await token.connect(buyer).approve(await escrow.getAddress(), amount);
+      await escrow.connect(buyer).fundEscrow(1);
+      await escrow.connect(buyer).approveRelease(1);
+      await expect(escrow.connect(rival).approveRelease(1)).to.changeTokenBalances(
+        token,
+        [escrow, rival],
+        [-amount, amount]
       );
-      
-      // Complete both orders
-      await payment.connect(buyer).completeMilestone(2, 1);
-      await payment.connect(buyer).completeMilestone(3, 1);
-      
-      // Verify both received payments
-      expect(await token.balanceOf(supplier1.address)).to.be.gt(0);
-      expect(await token.balanceOf(supplier2.address)).to.be.gt(0);
+
+      // Insure the crate shipment against delays; the carrier loses it, which pays the full coverage
+      const eta = (await time.latest()) + 24 * 60 * 60;
+      await shipping
+        .connect(rival)
+        .createShipment(crates, 0, carrier.address, rival.address, buyer.address, eta, "TRK-CRATE-1");
+      const shipmentId = await shipping.trackingToShipmentId("TRK-CRATE-1");
+      await insurance.connect(owner).provideCapital({ value: ethers.parseEther("5") });
+      const [coverage, duration] = [ethers.parseEther("1"), 30 * 24 * 60 * 60];
+      const perDay = ethers.parseEther("0.1");
+      const { premium } = quotePremium(coverage, duration, { payoutPerPeriod: perDay, period: 24 * 60 * 60 });
+      expect(premium).to.equal(await insurance.quotePremium(coverage, duration, perDay, 24 * 60 * 60));
+      await insurance
+        .connect(buyer)
+        .createPolicy(shipmentId, buyer.address, coverage, duration, perDay, 24 * 60 * 60, "POL-CRATE-1", {
+          value: premium,
+        });
+      await shipping.connect(carrier).updateStatus(shipmentId, ShipmentStatus.Lost);
+      await expect(insurance.connect(carrier).claimPayout(1)).to.changeEtherBalance(buyer, coverage);
+      expect((await insurance.getPolicy(1)).isClaimed).to.be.true;
     });
   });
 });